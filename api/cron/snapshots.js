@@ -4,6 +4,7 @@
 const lightspeed = require('../../backend/src/lightspeedClient');
 const db = require('../../backend/src/db');
 const logger = require('../../backend/src/logger');
+const lightspeedScheduler = require('../../backend/src/lightspeedScheduler');
 
 async function ensureSnapshotTables(pool) {
   await pool.query(`CREATE EXTENSION IF NOT EXISTS pgcrypto;`);
@@ -588,7 +589,8 @@ module.exports = async (req, res) => {
   try {
     const mode = (req.query?.mode || req.body?.mode || 'all');
     const date = (req.query?.date || req.body?.date || null);
-    const results = await runSnapshotJob({ mode, date });
+    // Called directly by Vercel (not through the Express /api/cron mount), so mark the lane here.
+    const results = await lightspeedScheduler.runInLane('background', () => runSnapshotJob({ mode, date }));
     return res.status(200).json({
       success: true,
       message: 'Snapshot job completed',
@@ -0,0 +1,10 @@
+BEGIN;
+
+-- Records which minimum-age rule (default, outlet, product category) a verification was checked against.
+ALTER TABLE verifications
+  ADD COLUMN IF NOT EXISTS minimum_age INTEGER;
+
+ALTER TABLE verifications
+  ADD COLUMN IF NOT EXISTS age_rule VARCHAR(200);
+
+COMMIT;
@@ -0,0 +1,16 @@
+BEGIN;
+
+-- Shared store for live sale verification sessions (SALE_VERIFICATION_STORE=postgres), so the handheld scan and the
+-- payment gateway poll can reach different serverless instances.
+CREATE TABLE IF NOT EXISTS sale_verification_sessions (
+  sale_id VARCHAR(100) PRIMARY KEY,
+  session JSONB NOT NULL,
+  version INTEGER NOT NULL DEFAULT 0,
+  expires_at TIMESTAMPTZ NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_sale_verification_sessions_expires_at ON sale_verification_sessions(expires_at);
+
+COMMIT;
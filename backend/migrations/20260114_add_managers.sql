@@ -0,0 +1,41 @@
+BEGIN;
+
+-- Manager accounts for sale overrides. PINs are stored as a salted scrypt hash plus a peppered HMAC lookup value so
+-- a bare PIN typed on a register resolves to exactly one active manager.
+CREATE TABLE IF NOT EXISTS managers (
+  id VARCHAR(100) PRIMARY KEY,
+  name VARCHAR(150) NOT NULL,
+  employee_code VARCHAR(100),
+  email VARCHAR(200),
+  pin_hash TEXT NOT NULL,
+  pin_lookup VARCHAR(64) NOT NULL,
+  outlet_ids TEXT[] NOT NULL DEFAULT '{}',
+  all_outlets BOOLEAN NOT NULL DEFAULT FALSE,
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  last_used_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_managers_pin_lookup_active ON managers (pin_lookup) WHERE active;
+
+-- Failed PIN attempts per scope (manager:<id>, or pin:<register/outlet> for PIN-only entry).
+CREATE TABLE IF NOT EXISTS manager_pin_lockouts (
+  scope_key VARCHAR(200) PRIMARY KEY,
+  failed_attempts INTEGER NOT NULL DEFAULT 0,
+  last_failed_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  locked_until TIMESTAMPTZ
+);
+
+-- New overrides must name a real manager. NOT VALID keeps legacy rows (Manager-<last two PIN digits>) readable.
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'verification_overrides_manager_id_fkey') THEN
+    ALTER TABLE verification_overrides
+      ADD CONSTRAINT verification_overrides_manager_id_fkey
+      FOREIGN KEY (manager_id) REFERENCES managers(id) NOT VALID;
+  END IF;
+END;
+$$;
+
+COMMIT;
@@ -0,0 +1,31 @@
+BEGIN;
+
+-- Named admin console users (replaces the shared ADMIN_TOKEN). Roles: owner, compliance, store_manager (scoped to
+-- outlet_ids), analyst.
+CREATE TABLE IF NOT EXISTS admin_users (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  email VARCHAR(254) NOT NULL UNIQUE,
+  name VARCHAR(150),
+  role VARCHAR(30) NOT NULL CHECK (role IN ('owner', 'compliance', 'store_manager', 'analyst')),
+  outlet_ids TEXT[] NOT NULL DEFAULT '{}',
+  password_hash TEXT NOT NULL,
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  last_login_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Login sessions; only the SHA-256 of the session token is stored.
+CREATE TABLE IF NOT EXISTS admin_sessions (
+  token_hash VARCHAR(64) PRIMARY KEY,
+  user_id UUID NOT NULL REFERENCES admin_users(id) ON DELETE CASCADE,
+  expires_at TIMESTAMPTZ NOT NULL,
+  ip_address INET,
+  user_agent TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_admin_sessions_user ON admin_sessions (user_id);
+CREATE INDEX IF NOT EXISTS idx_admin_sessions_expires_at ON admin_sessions (expires_at);
+
+COMMIT;
@@ -0,0 +1,32 @@
+BEGIN;
+
+-- Append-only, hash-chained ledger of every write to verifications, verification_overrides and sales_completions
+-- (see backend/src/auditLedger.js). seq is assigned by the writer under an advisory lock, so a gap means a removed
+-- entry. Entries hold ids and row hashes, not PII, so they outlive the retention window of the rows they describe.
+CREATE TABLE IF NOT EXISTS compliance_audit_ledger (
+  seq BIGINT PRIMARY KEY,
+  event_type VARCHAR(50) NOT NULL,
+  entity_type VARCHAR(50) NOT NULL,
+  entity_id VARCHAR(150),
+  payload JSONB NOT NULL DEFAULT '{}'::jsonb,
+  recorded_at TIMESTAMPTZ NOT NULL,
+  prev_hash CHAR(64) NOT NULL,
+  entry_hash CHAR(64) NOT NULL UNIQUE
+);
+
+CREATE INDEX IF NOT EXISTS idx_compliance_audit_ledger_entity ON compliance_audit_ledger (entity_type, entity_id);
+
+CREATE OR REPLACE FUNCTION reject_compliance_audit_ledger_change()
+RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION 'compliance_audit_ledger is append-only';
+END;
+$$ language 'plpgsql';
+
+DROP TRIGGER IF EXISTS compliance_audit_ledger_append_only ON compliance_audit_ledger;
+CREATE TRIGGER compliance_audit_ledger_append_only BEFORE UPDATE OR DELETE
+  ON compliance_audit_ledger FOR EACH ROW EXECUTE FUNCTION reject_compliance_audit_ledger_change();
+
+COMMENT ON TABLE compliance_audit_ledger IS 'TABC Compliance: tamper-evident, append-only log of audit-trail writes. Check with GET /admin/compliance/verify-ledger.';
+
+COMMIT;
@@ -0,0 +1,23 @@
+BEGIN;
+
+-- Legal holds: rows for a held sale, customer document (upper-cased document number) or outlet are skipped by
+-- retention enforcement until the hold is released. At most one active hold per scope/value.
+CREATE TABLE IF NOT EXISTS retention_legal_holds (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  scope VARCHAR(20) NOT NULL CHECK (scope IN ('sale', 'document', 'outlet')),
+  value VARCHAR(150) NOT NULL,
+  reason TEXT NOT NULL,
+  placed_by VARCHAR(254),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  released_at TIMESTAMPTZ,
+  released_by VARCHAR(254),
+  release_note TEXT
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_retention_legal_holds_active
+  ON retention_legal_holds (scope, value)
+  WHERE released_at IS NULL;
+
+COMMENT ON TABLE retention_legal_holds IS 'TABC Compliance: legal holds exempting a sale, document or outlet from retention deletion. Released, never deleted.';
+
+COMMIT;
@@ -0,0 +1,71 @@
+BEGIN;
+
+-- Field-level encryption of verification and banned-list PII (backend/src/piiCrypto.js). Existing rows stay in
+-- plaintext until `node scripts/migratePiiEncryption.js` encrypts them; new rows are encrypted once PII keys are set.
+ALTER TABLE verifications ADD COLUMN IF NOT EXISTS pii_key_id VARCHAR(64);
+ALTER TABLE verifications ADD COLUMN IF NOT EXISTS pii_dek TEXT;
+ALTER TABLE verifications ADD COLUMN IF NOT EXISTS pii_ciphertext TEXT;
+ALTER TABLE verifications ADD COLUMN IF NOT EXISTS document_number_bidx CHAR(64);
+
+CREATE INDEX IF NOT EXISTS idx_verifications_document_bidx ON verifications(document_number_bidx);
+CREATE INDEX IF NOT EXISTS idx_verifications_pii_key ON verifications(pii_key_id);
+
+ALTER TABLE banned_customers ALTER COLUMN document_number DROP NOT NULL;
+ALTER TABLE banned_customers ADD COLUMN IF NOT EXISTS pii_key_id VARCHAR(64);
+ALTER TABLE banned_customers ADD COLUMN IF NOT EXISTS pii_dek TEXT;
+ALTER TABLE banned_customers ADD COLUMN IF NOT EXISTS pii_ciphertext TEXT;
+ALTER TABLE banned_customers ADD COLUMN IF NOT EXISTS document_number_bidx CHAR(64);
+ALTER TABLE banned_customers ADD COLUMN IF NOT EXISTS name_dob_bidx CHAR(64);
+ALTER TABLE banned_customers ADD COLUMN IF NOT EXISTS last_name_bidx CHAR(64);
+ALTER TABLE banned_customers ADD COLUMN IF NOT EXISTS phone_bidx CHAR(64);
+ALTER TABLE banned_customers ADD COLUMN IF NOT EXISTS email_bidx CHAR(64);
+
+-- Encrypted rows have a NULL document_number, so uniqueness moves to the blind index.
+CREATE UNIQUE INDEX IF NOT EXISTS idx_banned_customers_doc_bidx
+  ON banned_customers(document_type, document_number_bidx, issuing_country)
+  WHERE document_number_bidx IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_banned_customers_name_dob_bidx ON banned_customers(name_dob_bidx);
+CREATE INDEX IF NOT EXISTS idx_banned_customers_last_name_bidx ON banned_customers(last_name_bidx);
+CREATE INDEX IF NOT EXISTS idx_banned_customers_phone_bidx ON banned_customers(phone_bidx);
+CREATE INDEX IF NOT EXISTS idx_banned_customers_email_bidx ON banned_customers(email_bidx);
+
+ALTER TABLE retention_legal_holds ADD COLUMN IF NOT EXISTS value_bidx CHAR(64);
+
+CREATE OR REPLACE VIEW compliance_report AS
+SELECT
+  v.verification_id,
+  v.sale_id,
+  v.clerk_id,
+  v.first_name,
+  v.last_name,
+  v.middle_name,
+  v.age,
+  v.status AS verification_status,
+  v.reason AS rejection_reason,
+  v.document_type,
+  v.document_number,
+  v.issuing_country,
+  v.document_expiry,
+  v.nationality,
+  v.sex,
+  v.source,
+  v.ip_address,
+  v.user_agent,
+  v.location_id,
+  v.created_at AS verified_at,
+  sc.payment_type,
+  sc.amount AS sale_amount,
+  sc.completed_at,
+  CASE
+    WHEN sc.completed_at IS NOT NULL THEN 'completed'
+    WHEN v.status = 'rejected' THEN 'rejected'
+    ELSE 'pending'
+  END AS sale_status,
+  v.pii_key_id,
+  v.pii_dek,
+  v.pii_ciphertext
+FROM verifications v
+LEFT JOIN sales_completions sc ON v.verification_id = sc.verification_id
+ORDER BY v.created_at DESC;
+
+COMMIT;
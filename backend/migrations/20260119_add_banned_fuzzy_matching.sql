@@ -0,0 +1,15 @@
+BEGIN;
+
+-- Fuzzy banned matching (backend/src/bannedMatcher.js). address/postal_code add to the match score and are
+-- encrypted like the other PII columns; dob_bidx and last_name_phonetic_bidx (Soundex) let the lookup find
+-- candidates among encrypted rows. Run `npm run pii:migrate` afterwards to fill them for rows encrypted earlier.
+ALTER TABLE banned_customers ADD COLUMN IF NOT EXISTS address VARCHAR(200);
+ALTER TABLE banned_customers ADD COLUMN IF NOT EXISTS postal_code VARCHAR(20);
+ALTER TABLE banned_customers ADD COLUMN IF NOT EXISTS dob_bidx CHAR(64);
+ALTER TABLE banned_customers ADD COLUMN IF NOT EXISTS last_name_phonetic_bidx CHAR(64);
+
+CREATE INDEX IF NOT EXISTS idx_banned_customers_dob_bidx ON banned_customers(dob_bidx);
+CREATE INDEX IF NOT EXISTS idx_banned_customers_last_name_phonetic_bidx ON banned_customers(last_name_phonetic_bidx);
+CREATE INDEX IF NOT EXISTS idx_banned_customers_dob ON banned_customers(date_of_birth);
+
+COMMIT;
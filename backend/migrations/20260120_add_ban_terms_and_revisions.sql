@@ -0,0 +1,53 @@
+BEGIN;
+
+-- Time-bound, outlet-scoped bans. A ban applies from starts_at until ends_at (NULL = indefinite) at the outlets in
+-- its scope ('chain', one 'outlet' or a set of 'outlets' in outlet_ids) until it is lifted. Existing bans become
+-- chain-wide bans starting when they were created, which is how the lookup already treated them.
+ALTER TABLE banned_customers ADD COLUMN IF NOT EXISTS starts_at TIMESTAMPTZ;
+UPDATE banned_customers SET starts_at = created_at WHERE starts_at IS NULL;
+ALTER TABLE banned_customers ALTER COLUMN starts_at SET DEFAULT NOW();
+ALTER TABLE banned_customers ALTER COLUMN starts_at SET NOT NULL;
+ALTER TABLE banned_customers ADD COLUMN IF NOT EXISTS ends_at TIMESTAMPTZ;
+ALTER TABLE banned_customers ADD COLUMN IF NOT EXISTS scope VARCHAR(20) NOT NULL DEFAULT 'chain'
+  CHECK (scope IN ('chain', 'outlet', 'outlets'));
+ALTER TABLE banned_customers ADD COLUMN IF NOT EXISTS outlet_ids TEXT[] NOT NULL DEFAULT '{}';
+ALTER TABLE banned_customers ADD COLUMN IF NOT EXISTS reason_category VARCHAR(40) NOT NULL DEFAULT 'other';
+ALTER TABLE banned_customers ADD COLUMN IF NOT EXISTS lifted_at TIMESTAMPTZ;
+ALTER TABLE banned_customers ADD COLUMN IF NOT EXISTS lifted_by VARCHAR(254);
+ALTER TABLE banned_customers ADD COLUMN IF NOT EXISTS lift_reason TEXT;
+CREATE INDEX IF NOT EXISTS idx_banned_customers_outlet_ids ON banned_customers USING GIN (outlet_ids);
+
+-- Lifting a ban no longer deletes it; each change to its terms is kept here.
+CREATE TABLE IF NOT EXISTS banned_customer_revisions (
+  id BIGSERIAL PRIMARY KEY,
+  banned_id UUID NOT NULL REFERENCES banned_customers(id),
+  action VARCHAR(20) NOT NULL CHECK (action IN ('created', 'updated', 'lifted')),
+  changed_by VARCHAR(254),
+  note TEXT,
+  terms JSONB NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_banned_customer_revisions_banned ON banned_customer_revisions (banned_id, created_at);
+
+-- Seed one revision per existing ban so every timeline starts with its creation.
+INSERT INTO banned_customer_revisions (banned_id, action, note, terms, created_at)
+SELECT
+  b.id,
+  'created',
+  'Recorded before ban history was kept',
+  jsonb_build_object(
+    'startsAt', b.starts_at,
+    'endsAt', NULL,
+    'scope', 'chain',
+    'outletIds', '[]'::jsonb,
+    'reasonCategory', 'other',
+    'bannedLocationId', b.banned_location_id,
+    'notes', b.notes
+  ),
+  b.created_at
+FROM banned_customers b
+WHERE NOT EXISTS (SELECT 1 FROM banned_customer_revisions r WHERE r.banned_id = b.id);
+
+COMMENT ON TABLE banned_customer_revisions IS 'History of ban terms (dates, scope, reason category) and lifts. Bans are lifted, never deleted.';
+
+COMMIT;
@@ -0,0 +1,12 @@
+BEGIN;
+
+-- A manager can ban a customer straight from a scan. The ban remembers the verification it was captured from, and
+-- the other scans of the same document in the look-back window are flagged with it.
+ALTER TABLE banned_customers ADD COLUMN IF NOT EXISTS source_verification_id VARCHAR(100);
+ALTER TABLE verifications ADD COLUMN IF NOT EXISTS banned_flag_id UUID REFERENCES banned_customers(id) ON DELETE SET NULL;
+ALTER TABLE verifications ADD COLUMN IF NOT EXISTS banned_flagged_at TIMESTAMPTZ;
+CREATE INDEX IF NOT EXISTS idx_verifications_banned_flag ON verifications(banned_flag_id) WHERE banned_flag_id IS NOT NULL;
+
+COMMENT ON COLUMN verifications.banned_flag_id IS 'Ban added after this scan for the same document; set when a manager bans from a verification.';
+
+COMMIT;
@@ -0,0 +1,24 @@
+BEGIN;
+
+-- Compliance alerting: every alert raised by a rule in alerting.js, with the delivery outcome per channel. The
+-- (rule_id, dedupe_key, created_at) index backs the per-rule throttle check.
+CREATE TABLE IF NOT EXISTS alert_history (
+  id BIGSERIAL PRIMARY KEY,
+  rule_id VARCHAR(100) NOT NULL,
+  rule_type VARCHAR(50) NOT NULL,
+  severity VARCHAR(20) NOT NULL,
+  dedupe_key VARCHAR(200) NOT NULL,
+  outlet_id VARCHAR(100),
+  verification_id VARCHAR(100),
+  summary TEXT NOT NULL,
+  details JSONB NOT NULL DEFAULT '{}'::jsonb,
+  deliveries JSONB NOT NULL DEFAULT '{}'::jsonb,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_alert_history_rule_dedupe ON alert_history (rule_id, dedupe_key, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_alert_history_created_at ON alert_history (created_at DESC);
+
+COMMENT ON TABLE alert_history IS 'Compliance alerts (underage bursts, banned hits, multi-outlet documents, fake-ID suspicions, override bursts) and their deliveries.';
+
+COMMIT;
@@ -0,0 +1,24 @@
+BEGIN;
+
+-- Real-time compliance gate: a sale.update webhook reporting a CLOSED sale with no approved, unexpired verification
+-- records one row per sale (reason NO_VERIFICATION, NOT_APPROVED or VERIFICATION_EXPIRED) and raises the
+-- sold_without_scan alert. Holds Lightspeed ids only, no PII.
+CREATE TABLE IF NOT EXISTS compliance_exceptions (
+  id BIGSERIAL PRIMARY KEY,
+  sale_id VARCHAR(100) NOT NULL UNIQUE,
+  outlet_id VARCHAR(100),
+  register_id VARCHAR(100),
+  user_id VARCHAR(100),
+  reason VARCHAR(50) NOT NULL,
+  verification_id VARCHAR(100),
+  sale_closed_at TIMESTAMPTZ,
+  webhook_event_id BIGINT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_compliance_exceptions_created_at ON compliance_exceptions (created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_compliance_exceptions_outlet ON compliance_exceptions (outlet_id, created_at DESC);
+
+COMMENT ON TABLE compliance_exceptions IS 'Closed sales without an approved, unexpired ID verification, recorded from Lightspeed sale.update webhooks.';
+
+COMMIT;
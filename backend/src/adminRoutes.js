@@ -7,7 +7,30 @@ const logger = require('./logger');
 const chatService = require('./chatService');
 const marketingService = require('./marketingService');
 const lightspeedWebhookQueue = require('./lightspeedWebhookQueue');
+const lightspeedScheduler = require('./lightspeedScheduler');
+const lightspeedWriteOutbox = require('./lightspeedWriteOutbox');
 const customerReconcileQueue = require('./customerReconcileQueue');
+const managerStore = require('./managerStore');
+const complianceStore = require('./complianceStore');
+const inspectionExport = require('./inspectionExport');
+const auditLedger = require('./auditLedger');
+const alerting = require('./alerting');
+const documentVelocity = require('./documentVelocity');
+const piiCrypto = require('./piiCrypto');
+const { requireRole } = require('./auth');
+const adminUserStore = require('./adminUserStore');
+const {
+  validateManagerId,
+  validateManagerCreate,
+  validateManagerUpdate,
+  validateManagerPin,
+  validateLegalHoldCreate,
+  validateLegalHoldRelease,
+  validateAdminUserId,
+  validateAdminUserCreate,
+  validateAdminUserUpdate,
+  validateAdminUserPassword
+} = require('./validation');
 
 const router = express.Router();
 
@@ -31,8 +54,12 @@ router.get('/pending.html', (req, res) => serveAdminPage(req, res, 'admin-data-c
 router.get('/scans.html', (req, res) => serveAdminPage(req, res, 'admin-scans.html'));
 router.get('/banned.html', (req, res) => serveAdminPage(req, res, 'admin-banned.html'));
 router.get('/audit.html', (req, res) => serveAdminPage(req, res, 'admin-audit.html'));
+router.get('/alerts.html', (req, res) => serveAdminPage(req, res, 'admin-alerts.html'));
+router.get('/webhooks.html', (req, res) => serveAdminPage(req, res, 'admin-webhooks.html'));
+router.get('/writes.html', (req, res) => serveAdminPage(req, res, 'admin-writes.html'));
 router.get('/marketing.html', (req, res) => serveAdminPage(req, res, 'admin-marketing.html'));
 router.get('/oauth.html', (req, res) => serveAdminPage(req, res, 'admin-oauth.html'));
+router.get('/login.html', (req, res) => serveAdminPage(req, res, 'admin-login.html'));
 
 const scansCache = new Map();
 const SCAN_CACHE_TTL_MS = 60 * 1000;
@@ -121,37 +148,6 @@ function isoDateOnly(value) {
   }
 }
 
-async function getCompliantSaleIdsFromDb(saleIds) {
-  const ids = Array.isArray(saleIds) ? saleIds.map((s) => String(s || '').trim()).filter(Boolean) : [];
-  if (!ids.length) return new Set();
-
-  const [verificationsRes, overridesRes, mappedRes] = await Promise.all([
-    db.pool.query('SELECT DISTINCT sale_id FROM verifications WHERE sale_id = ANY($1::text[])', [ids]),
-    db.pool.query('SELECT DISTINCT sale_id FROM verification_overrides WHERE sale_id = ANY($1::text[])', [ids]),
-    db.pool.query(
-      `
-        SELECT DISTINCT j.resolved_sale_id AS sale_id
-        FROM customer_reconcile_jobs j
-        JOIN verifications v ON v.sale_id = j.sale_id
-        WHERE j.resolved_sale_id = ANY($1::text[])
-      `,
-      [ids]
-    )
-  ]);
-
-  const set = new Set();
-  for (const row of verificationsRes.rows || []) {
-    if (row?.sale_id) set.add(String(row.sale_id));
-  }
-  for (const row of overridesRes.rows || []) {
-    if (row?.sale_id) set.add(String(row.sale_id));
-  }
-  for (const row of mappedRes.rows || []) {
-    if (row?.sale_id) set.add(String(row.sale_id));
-  }
-  return set;
-}
-
 async function listRecentClosedSalesFromLightspeed({ minutes = 240, limit = 200, outletId = null } = {}) {
   const normalizedMinutes = Math.max(5, Math.min(Number.parseInt(minutes, 10) || 240, 24 * 60 * 7));
   const normalizedLimit = Math.max(1, Math.min(Number.parseInt(limit, 10) || 200, 1000));
@@ -395,21 +391,27 @@ async function buildAuthStatus() {
   };
 }
 
-router.get('/status', async (req, res) => {
-  res.json(await buildAuthStatus());
+// Lightspeed auth state plus request scheduler metrics (rate-limit bucket, per-lane queue/429 counts).
+router.get('/status', requireRole('any'), async (req, res) => {
+  res.json({ ...(await buildAuthStatus()), lightspeedRequests: lightspeedScheduler.getMetrics() });
 });
 
 // GET /admin/outlets - configured outlets for dashboard filtering
-router.get('/outlets', async (req, res) => {
+router.get('/outlets', requireRole('any'), async (req, res) => {
   try {
     const outlets = await listOutletsForAdmin();
     const defaultOutletId = config?.lightspeed?.defaultOutletId || null;
-    const payload = outlets.slice();
+    let payload = outlets.slice();
 
     if (payload.length === 0 && defaultOutletId) {
       payload.push({ outletId: defaultOutletId, code: 'DEFAULT', label: 'Default Outlet' });
     }
 
+    // Store managers only get their own outlets in the dashboard filters.
+    if (req.admin?.role === 'store_manager') {
+      payload = payload.filter((outlet) => req.admin.outletIds.includes(String(outlet.outletId)));
+    }
+
     res.status(200).json({
       success: true,
       count: payload.length,
@@ -421,7 +423,7 @@ router.get('/outlets', async (req, res) => {
   }
 });
 
-router.post('/refresh', async (req, res) => {
+router.post('/refresh', requireRole('owner'), async (req, res) => {
   if (typeof lightspeed.refreshAccessToken !== 'function') {
     return res.status(503).json({
       error: 'NOT_SUPPORTED',
@@ -464,6 +466,9 @@ async function buildSalesAudit({ status = 'ALL', limit = 50, outlet = null, miss
           v.status AS verification_status,
           v.age AS verification_age,
           v.date_of_birth AS verification_dob,
+          v.pii_key_id,
+          v.pii_dek,
+          v.pii_ciphertext,
           v.location_id,
           v.clerk_id,
           v.created_at AS verification_created_at,
@@ -480,6 +485,9 @@ async function buildSalesAudit({ status = 'ALL', limit = 50, outlet = null, miss
         l.verification_status,
         l.verification_age,
         l.verification_dob,
+        l.pii_key_id,
+        l.pii_dek,
+        l.pii_ciphertext,
         l.location_id,
         l.clerk_id,
         l.verification_created_at,
@@ -502,6 +510,9 @@ async function buildSalesAudit({ status = 'ALL', limit = 50, outlet = null, miss
         l.verification_status,
         l.verification_age,
         l.verification_dob,
+        l.pii_key_id,
+        l.pii_dek,
+        l.pii_ciphertext,
         l.location_id,
         l.clerk_id,
         l.verification_created_at,
@@ -576,7 +587,9 @@ async function buildSalesAudit({ status = 'ALL', limit = 50, outlet = null, miss
           approved: verifiedApproved || noteInfo.noteStatus === 'APPROVED',
           verification_status: row.verification_status,
           verification_age: row.verification_age ?? null,
-          verification_dob: row.verification_dob || null,
+          verification_dob: row.pii_ciphertext
+            ? piiCrypto.revealRow('verifications', row).date_of_birth || null
+            : row.verification_dob || null,
           verification_created_at: row.verification_created_at || null,
           payment_type: row.payment_type || null,
           amount: row.amount ?? null,
@@ -656,7 +669,7 @@ async function buildSalesAudit({ status = 'ALL', limit = 50, outlet = null, miss
 }
 
 // GET /api/admin/pending/:locationId - Get pending/rejected sales for specific location
-router.get('/pending/:locationId', async (req, res) => {
+router.get('/pending/:locationId', requireRole('compliance', 'store_manager'), async (req, res) => {
   if (!db.pool) {
     if (typeof lightspeed.listVerifications === 'function') {
       const { locationId } = req.params;
@@ -748,7 +761,7 @@ router.get('/pending/:locationId', async (req, res) => {
 });
 
 // GET /api/admin/scans - Get all scans with optional filters
-router.get('/scans', async (req, res) => {
+router.get('/scans', requireRole('compliance', 'store_manager'), async (req, res) => {
   res.setHeader('Cache-Control', 'no-store');
   const force = ['1', 'true', 'yes', 'on'].includes(String(req.query?.force || req.query?.refresh || '').toLowerCase());
   const cacheKey = getScanCacheKey(req.query);
@@ -834,7 +847,10 @@ router.get('/scans', async (req, res) => {
       source,
       location_id,
       clerk_id,
-      created_at
+      created_at,
+      pii_key_id,
+      pii_dek,
+      pii_ciphertext
       FROM verifications
       ${whereClause}
       ORDER BY created_at DESC
@@ -844,7 +860,13 @@ router.get('/scans', async (req, res) => {
     const result = await db.pool.query(query, params);
 
     const outletsById = config?.lightspeed?.outletsById || {};
-    const scans = (result.rows || []).map((row) => {
+    const scans = (result.rows || []).map((encryptedRow) => {
+      // The scan list shows name and DOB only; drop the other decrypted fields.
+      const {
+        middle_name: _middleName,
+        document_number: _documentNumber,
+        ...row
+      } = piiCrypto.revealRow('verifications', encryptedRow);
       const locationId = row.location_id ? String(row.location_id) : null;
       const outlet = locationId ? outletsById[locationId] : null;
       return {
@@ -872,7 +894,7 @@ router.get('/scans', async (req, res) => {
 });
 
 // GET /admin/transactions - Recent sales with ID-note audit (notification center source)
-router.get('/transactions', async (req, res) => {
+router.get('/transactions', requireRole('compliance', 'store_manager'), async (req, res) => {
   try {
     const audit = await buildSalesAudit(req.query || {});
     res.status(200).json({
@@ -895,7 +917,7 @@ router.get('/transactions', async (req, res) => {
 });
 
 // GET /admin/sales - Alias for the manager data-center dashboard (same audit data, different payload key)
-router.get('/sales', async (req, res) => {
+router.get('/sales', requireRole('compliance', 'store_manager'), async (req, res) => {
   try {
     const audit = await buildSalesAudit(req.query || {});
     res.status(200).json({
@@ -918,7 +940,7 @@ router.get('/sales', async (req, res) => {
 });
 
 // BI endpoints (Data Center) - DB-backed daily snapshots for fast dashboards
-router.get('/bi/snapshot-health', async (req, res) => {
+router.get('/bi/snapshot-health', requireRole('analyst'), async (req, res) => {
   if (!db.pool) {
     const today = isoDateOnly(new Date());
     return res.status(200).json({
@@ -965,7 +987,7 @@ router.get('/bi/snapshot-health', async (req, res) => {
 });
 
 // Compliance audit (for managers): detect CLOSED sales missing an ID scan/override (does NOT depend on store speed).
-router.get('/compliance/summary', async (req, res) => {
+router.get('/compliance/summary', requireRole('compliance', 'store_manager'), async (req, res) => {
   res.setHeader('Cache-Control', 'no-store');
   if (!db.pool) {
     return res.status(200).json({
@@ -985,7 +1007,7 @@ router.get('/compliance/summary', async (req, res) => {
     const filtered = (sales || []).filter((s) => String(s?.status || '').toUpperCase() === 'CLOSED');
     const saleIds = filtered.map((s) => s.saleId).filter(Boolean);
 
-    const compliant = await getCompliantSaleIdsFromDb(saleIds);
+    const compliant = await complianceStore.findCompliantSaleIds(saleIds);
     const missing = filtered.filter((s) => !compliant.has(String(s.saleId)));
 
     return res.status(200).json({
@@ -1006,7 +1028,7 @@ router.get('/compliance/summary', async (req, res) => {
   }
 });
 
-router.get('/compliance/missing-scans', async (req, res) => {
+router.get('/compliance/missing-scans', requireRole('compliance', 'store_manager'), async (req, res) => {
   res.setHeader('Cache-Control', 'no-store');
   if (!db.pool) {
     return res.status(200).json({
@@ -1026,7 +1048,7 @@ router.get('/compliance/missing-scans', async (req, res) => {
     const filtered = (sales || []).filter((s) => String(s?.status || '').toUpperCase() === 'CLOSED');
     const saleIds = filtered.map((s) => s.saleId).filter(Boolean);
 
-    const compliant = await getCompliantSaleIdsFromDb(saleIds);
+    const compliant = await complianceStore.findCompliantSaleIds(saleIds);
     const missing = filtered.filter((s) => !compliant.has(String(s.saleId)));
 
     return res.status(200).json({
@@ -1054,7 +1076,217 @@ router.get('/compliance/missing-scans', async (req, res) => {
   }
 });
 
-router.get('/bi/summary', async (req, res) => {
+// GET /admin/compliance/exceptions?minutes=240&outletId=&limit=&offset=
+// Live "sold without scan" feed: sales Lightspeed reported CLOSED (sale.update webhook) without an approved,
+// unexpired verification. Unlike /compliance/missing-scans this reads what the webhook gate recorded, not Lightspeed.
+router.get('/compliance/exceptions', requireRole('compliance', 'store_manager'), async (req, res) => {
+  res.setHeader('Cache-Control', 'no-store');
+  if (!requireAdminDb(res)) return;
+
+  const minutes = normalizeInteger(req.query?.minutes, { fallback: 240, min: 5, max: 24 * 60 * 31 });
+  const limit = normalizeInteger(req.query?.limit, { fallback: 100, min: 1, max: 500 });
+  const offset = normalizeInteger(req.query?.offset, { fallback: 0, min: 0, max: 1000000 });
+  const outletId = req.query?.outletId ? String(req.query.outletId).trim() : null;
+
+  try {
+    const exceptions = await complianceStore.listComplianceExceptions({
+      outletId,
+      since: new Date(Date.now() - minutes * 60 * 1000),
+      limit,
+      offset
+    });
+    return res.status(200).json({ success: true, minutes, outletId, count: exceptions.length, exceptions });
+  } catch (error) {
+    logger.logAPIError('admin_compliance_exceptions', error, { minutes, outletId });
+    return res.status(500).json({ error: 'INTERNAL_ERROR', message: 'Failed to load compliance exceptions.' });
+  }
+});
+
+// GET /admin/compliance/velocity?days=1&outletId=
+// Documents approving many separate sales per hour/day or used at several outlets in a day (see documentVelocity.js).
+router.get('/compliance/velocity', requireRole('compliance'), async (req, res) => {
+  res.setHeader('Cache-Control', 'no-store');
+  if (!requireAdminDb(res)) return;
+
+  const days = normalizeInteger(req.query?.days, { fallback: 1, min: 1, max: documentVelocity.MAX_REPORT_DAYS });
+  const outletId = req.query?.outletId ? String(req.query.outletId).trim() : null;
+
+  try {
+    const report = await documentVelocity.analyzeDocumentVelocity({ days, outletId });
+    logger.logSecurity('document_velocity_report', {
+      adminUserId: req.admin.id,
+      days,
+      outletId,
+      flaggedDocuments: report.documents.length
+    });
+    return res.status(200).json({ success: true, outletId, count: report.documents.length, ...report, generatedAt: new Date().toISOString() });
+  } catch (error) {
+    logger.logAPIError('admin_compliance_velocity', error, { days, outletId });
+    return res.status(500).json({ error: 'INTERNAL_ERROR', message: 'Failed to build the velocity report.' });
+  }
+});
+
+const INSPECTION_EXPORT_ERRORS = {
+  INVALID_RANGE: 'start and end must be YYYY-MM-DD dates with start <= end.',
+  RANGE_TOO_LARGE: `The range may cover at most ${inspectionExport.MAX_RANGE_DAYS} days.`,
+  OUTLET_REQUIRED: 'outletId is required.'
+};
+
+// GET /admin/compliance/inspection-export?start=YYYY-MM-DD&end=YYYY-MM-DD&outletId=...
+// Returns the TABC inspection bundle (.tar.gz of CSV/PDF + manifest.json + SHA256SUMS); format=manifest returns only the manifest.
+router.get('/compliance/inspection-export', requireRole('compliance', 'store_manager'), async (req, res) => {
+  res.setHeader('Cache-Control', 'no-store');
+  if (!requireAdminDb(res)) return;
+
+  const { start, end, outletId } = req.query || {};
+  const format = String(req.query?.format || 'bundle').trim().toLowerCase();
+  if (!['bundle', 'manifest'].includes(format)) {
+    return res.status(400).json({ error: 'VALIDATION_ERROR', message: 'format must be bundle or manifest.' });
+  }
+
+  try {
+    const result = await inspectionExport.buildInspectionExport({
+      start,
+      end,
+      outletId,
+      generatedBy: { id: req.admin.id, email: req.admin.email || null, role: req.admin.role }
+    });
+
+    logger.logSecurity('inspection_export', {
+      adminUserId: req.admin.id,
+      outletId: result.manifest.outlet.id,
+      start: result.manifest.range.start,
+      end: result.manifest.range.end,
+      archiveSha256: result.archiveSha256
+    });
+
+    if (format === 'manifest') {
+      return res.status(200).json({ success: true, bundleName: result.bundleName, archiveSha256: result.archiveSha256, manifest: result.manifest });
+    }
+
+    res.setHeader('Content-Disposition', `attachment; filename="${result.bundleName}.tar.gz"`);
+    res.setHeader('X-Bundle-SHA256', result.archiveSha256);
+    return res.type('application/gzip').status(200).send(result.archive);
+  } catch (error) {
+    if (INSPECTION_EXPORT_ERRORS[error.message]) {
+      return res.status(400).json({ error: 'VALIDATION_ERROR', message: INSPECTION_EXPORT_ERRORS[error.message] });
+    }
+    logger.logAPIError('admin_inspection_export', error, { outletId, start, end });
+    return res.status(500).json({ error: 'INTERNAL_ERROR', message: 'Failed to build the inspection export.' });
+  }
+});
+
+// GET /admin/compliance/verify-ledger
+// Walks the audit ledger hash chain; ok=false names the first broken link (the entry that was edited, removed or
+// inserted out of order). Keep the reported lastSeq/lastHash to detect truncation of the tail on a later run.
+router.get('/compliance/verify-ledger', requireRole('compliance'), async (req, res) => {
+  res.setHeader('Cache-Control', 'no-store');
+  if (!requireAdminDb(res)) return;
+
+  try {
+    const result = await auditLedger.verifyLedger();
+    logger.logSecurity('audit_ledger_verify', {
+      adminUserId: req.admin.id,
+      ok: result.ok,
+      entriesChecked: result.entriesChecked,
+      lastSeq: result.lastSeq,
+      brokenSeq: result.firstBrokenLink?.seq || null,
+      reason: result.firstBrokenLink?.reason || null
+    });
+    return res.status(200).json({ success: true, verifiedAt: new Date().toISOString(), ...result });
+  } catch (error) {
+    logger.logAPIError('admin_verify_ledger', error);
+    return res.status(500).json({ error: 'INTERNAL_ERROR', message: 'Failed to verify the audit ledger.' });
+  }
+});
+
+const LEGAL_HOLD_ERRORS = {
+  INVALID_SCOPE: 'scope must be sale, document or outlet.',
+  VALUE_REQUIRED: 'value is required.',
+  REASON_REQUIRED: 'reason is required.'
+};
+
+// Legal holds keep a sale, customer document or outlet out of retention enforcement until released.
+router.get('/compliance/legal-holds', requireRole('compliance'), async (req, res) => {
+  if (!requireAdminDb(res)) return;
+  try {
+    const holds = await complianceStore.listLegalHolds({
+      includeReleased: String(req.query.includeReleased || '') === 'true'
+    });
+    return res.status(200).json({ success: true, holds });
+  } catch (error) {
+    logger.logAPIError('admin_legal_holds_list', error);
+    return res.status(500).json({ error: 'INTERNAL_ERROR', message: 'Failed to load legal holds.' });
+  }
+});
+
+router.post('/compliance/legal-holds', requireRole('compliance'), validateLegalHoldCreate, async (req, res) => {
+  if (!requireAdminDb(res)) return;
+  try {
+    const hold = await complianceStore.placeLegalHold({
+      scope: req.body.scope,
+      value: req.body.value,
+      reason: req.body.reason,
+      placedBy: req.admin.email || req.admin.id
+    });
+    return res.status(201).json({ success: true, hold });
+  } catch (error) {
+    if (error.message === 'HOLD_EXISTS') {
+      return res.status(409).json({ error: 'HOLD_EXISTS', message: 'An active legal hold already covers this value.' });
+    }
+    if (LEGAL_HOLD_ERRORS[error.message]) {
+      return res.status(400).json({ error: 'VALIDATION_ERROR', message: LEGAL_HOLD_ERRORS[error.message] });
+    }
+    logger.logAPIError('admin_legal_holds_create', error, { scope: req.body.scope });
+    return res.status(500).json({ error: 'INTERNAL_ERROR', message: 'Failed to place the legal hold.' });
+  }
+});
+
+router.post('/compliance/legal-holds/:id/release', requireRole('compliance'), validateLegalHoldRelease, async (req, res) => {
+  if (!requireAdminDb(res)) return;
+  try {
+    const hold = await complianceStore.releaseLegalHold(req.params.id, {
+      releasedBy: req.admin.email || req.admin.id,
+      note: req.body?.note || null
+    });
+    if (!hold) {
+      return res.status(404).json({ error: 'NOT_FOUND', message: 'No active legal hold with that id.' });
+    }
+    return res.status(200).json({ success: true, hold });
+  } catch (error) {
+    logger.logAPIError('admin_legal_holds_release', error, { holdId: req.params.id });
+    return res.status(500).json({ error: 'INTERNAL_ERROR', message: 'Failed to release the legal hold.' });
+  }
+});
+
+// GET /admin/compliance/alerts?ruleId=&outletId=&severity=&limit=&offset=
+// Alert history (alerting.js), newest first, with the delivery outcome per channel.
+router.get('/compliance/alerts', requireRole('compliance'), async (req, res) => {
+  res.setHeader('Cache-Control', 'no-store');
+  if (!requireAdminDb(res)) return;
+  try {
+    const alerts = await alerting.listAlerts({
+      ruleId: req.query.ruleId ? String(req.query.ruleId).trim() : null,
+      outletId: req.query.outletId ? String(req.query.outletId).trim() : null,
+      severity: req.query.severity ? String(req.query.severity).trim() : null,
+      limit: req.query.limit,
+      offset: req.query.offset
+    });
+    return res.status(200).json({ success: true, alerts });
+  } catch (error) {
+    logger.logAPIError('admin_alerts_list', error);
+    return res.status(500).json({ error: 'INTERNAL_ERROR', message: 'Failed to load alerts.' });
+  }
+});
+
+// GET /admin/compliance/alerts/rules
+// Effective alert rules (defaults merged with ALERT_RULES) and which channels are configured.
+router.get('/compliance/alerts/rules', requireRole('compliance'), (req, res) => {
+  res.setHeader('Cache-Control', 'no-store');
+  return res.status(200).json({ success: true, ...alerting.describeConfiguration() });
+});
+
+router.get('/bi/summary', requireRole('analyst', 'store_manager'), async (req, res) => {
   if (!db.pool) {
     const days = normalizeInteger(req.query?.days, { fallback: 7, min: 1, max: 365 });
     const outletId = req.query?.outletId ? String(req.query.outletId).trim() : null;
@@ -1221,7 +1453,7 @@ router.get('/bi/summary', async (req, res) => {
   }
 });
 
-router.get('/bi/top-products', async (req, res) => {
+router.get('/bi/top-products', requireRole('analyst', 'store_manager'), async (req, res) => {
   if (!db.pool) {
     const days = normalizeInteger(req.query?.days, { fallback: 7, min: 1, max: 365 });
     const limit = normalizeInteger(req.query?.limit, { fallback: 10, min: 1, max: 200 });
@@ -1396,7 +1628,7 @@ router.get('/bi/top-products', async (req, res) => {
   }
 });
 
-router.get('/bi/top-customers', async (req, res) => {
+router.get('/bi/top-customers', requireRole('analyst', 'store_manager'), async (req, res) => {
   if (!db.pool) {
     const days = normalizeInteger(req.query?.days, { fallback: 30, min: 1, max: 730 });
     const limit = normalizeInteger(req.query?.limit, { fallback: 10, min: 1, max: 200 });
@@ -1520,7 +1752,7 @@ router.get('/bi/top-customers', async (req, res) => {
   }
 });
 
-router.get('/bi/low-stock', async (req, res) => {
+router.get('/bi/low-stock', requireRole('analyst', 'store_manager'), async (req, res) => {
   if (!db.pool) {
     const limit = normalizeInteger(req.query?.limit, { fallback: 25, min: 1, max: 500 });
     const outletId = req.query?.outletId ? String(req.query.outletId).trim() : null;
@@ -1702,7 +1934,7 @@ router.get('/bi/low-stock', async (req, res) => {
 });
 
 // Marketing Analytics (Customer profiles + segments)
-router.get('/marketing/health', async (req, res) => {
+router.get('/marketing/health', requireRole('analyst'), async (req, res) => {
   res.setHeader('Cache-Control', 'no-store');
   if (!db.pool) {
     const profiles = marketingMemory.profiles.length ? marketingMemory.profiles : await getMarketingProfilesLive({ after: null, pageSize: 500 });
@@ -1726,7 +1958,7 @@ router.get('/marketing/health', async (req, res) => {
   }
 });
 
-router.post('/marketing/sync', async (req, res) => {
+router.post('/marketing/sync', requireRole('owner'), async (req, res) => {
   res.setHeader('Cache-Control', 'no-store');
   if (!db.pool) {
     try {
@@ -1794,7 +2026,7 @@ router.post('/marketing/sync', async (req, res) => {
   }
 });
 
-router.get('/marketing/summary', async (req, res) => {
+router.get('/marketing/summary', requireRole('analyst'), async (req, res) => {
   res.setHeader('Cache-Control', 'no-store');
   if (!db.pool) {
     const days = normalizeInteger(req.query?.days, { fallback: 90, min: 1, max: 3650 });
@@ -1870,7 +2102,7 @@ router.get('/marketing/summary', async (req, res) => {
   }
 });
 
-router.get('/marketing/segments', async (req, res) => {
+router.get('/marketing/segments', requireRole('analyst'), async (req, res) => {
   res.setHeader('Cache-Control', 'no-store');
   if (!db.pool) {
     const days = normalizeInteger(req.query?.days, { fallback: 90, min: 1, max: 3650 });
@@ -1935,7 +2167,7 @@ function csvEscape(value) {
   return str;
 }
 
-router.get('/marketing/segments/:segmentId', async (req, res) => {
+router.get('/marketing/segments/:segmentId', requireRole('analyst'), async (req, res) => {
   res.setHeader('Cache-Control', 'no-store');
   if (!db.pool) {
     const segmentId = String(req.params.segmentId || '').trim();
@@ -2057,7 +2289,7 @@ router.get('/marketing/segments/:segmentId', async (req, res) => {
 });
 
 // POST /admin/chat - AI-powered business intelligence chat
-router.post('/chat', async (req, res) => {
+router.post('/chat', requireRole('analyst'), async (req, res) => {
   const { message, history = [] } = req.body || {};
 
   if (!message || typeof message !== 'string' || message.trim().length === 0) {
@@ -2114,14 +2346,14 @@ router.post('/chat', async (req, res) => {
 });
 
 // GET /admin/chat/status - Check if chat is configured
-router.get('/chat/status', (req, res) => {
+router.get('/chat/status', requireRole('analyst'), (req, res) => {
   res.json({
     configured: chatService.isConfigured(),
     features: ['sales', 'inventory', 'customers', 'compliance']
   });
 });
 
-router.get('/', (req, res) => {
+router.get('/', requireRole('any'), (req, res) => {
   const authStatusScript = `
     async function refreshStatus() {
       const banner = document.getElementById('status-banner');
@@ -2143,6 +2375,18 @@ router.get('/', (req, res) => {
         document.getElementById('hasRefresh').textContent = status.hasRefreshToken ? 'yes' : 'no';
         document.getElementById('timestamp').textContent = new Date(status.timestamp).toLocaleString();
 
+        const requests = status.lightspeedRequests;
+        if (requests) {
+          const lanes = requests.lanes || {};
+          document.getElementById('rateBucket').textContent = requests.bucket.tokens + ' / ' + requests.bucket.capacity
+            + (requests.bucket.source === 'headers' ? '' : ' (default)')
+            + (requests.bucket.pausedUntil ? ' – paused until ' + new Date(requests.bucket.pausedUntil).toLocaleTimeString() : '');
+          document.getElementById('laneStats').textContent = Object.keys(lanes).map((lane) => {
+            const l = lanes[lane];
+            return lane + ': ' + l.completed + ' ok, ' + l.failed + ' failed, ' + l.rateLimited + ' × 429, ' + l.queued + ' queued, avg wait ' + l.avgWaitMs + ' ms';
+          }).join(' | ');
+        }
+
         const alerts = [];
         if (status.lightspeedMode === 'mock') {
           alerts.push('Running in MOCK mode – real OAuth not active.');
@@ -2252,6 +2496,8 @@ router.get('/', (req, res) => {
               <tr><td>Has Refresh Token</td><td id="hasRefresh">--</td></tr>
               <tr><td>Access Token Expires</td><td id="expires">--</td></tr>
               <tr><td>Last Updated</td><td id="timestamp">--</td></tr>
+              <tr><td>API Rate Limit</td><td id="rateBucket">--</td></tr>
+              <tr><td>API Requests</td><td id="laneStats">--</td></tr>
             </tbody>
           </table>
 
@@ -2266,8 +2512,216 @@ router.get('/', (req, res) => {
       </html>`);
 });
 
+// --- Manager accounts (override PINs) ---
+function requireAdminDb(res) {
+  if (db.pool) return true;
+  res.status(503).json({
+    error: 'DB_DISABLED',
+    message: 'DATABASE_URL is not configured'
+  });
+  return false;
+}
+
+function sendManagerError(res, error, operation) {
+  if (error.message === 'PIN_IN_USE') {
+    return res.status(409).json({ error: 'PIN_IN_USE', message: 'Another active manager already uses this PIN.' });
+  }
+  if (error.message === 'INVALID_PIN_FORMAT') {
+    return res.status(400).json({ error: 'VALIDATION_ERROR', message: 'PIN must be 4-8 digits.' });
+  }
+  if (error.message === 'PIN_PEPPER_NOT_CONFIGURED') {
+    return res.status(503).json({ error: 'PIN_PEPPER_NOT_CONFIGURED', message: 'Set MANAGER_PIN_PEPPER before setting manager PINs.' });
+  }
+  logger.logAPIError(operation, error);
+  return res.status(500).json({ error: 'INTERNAL_ERROR', message: 'Manager operation failed.' });
+}
+
+function managerNotFound(res) {
+  return res.status(404).json({ error: 'NOT_FOUND', message: 'Manager not found.' });
+}
+
+router.get('/managers', requireRole('compliance', 'store_manager'), async (req, res) => {
+  if (!requireAdminDb(res)) return;
+  try {
+    const managers = await managerStore.listManagers({
+      outletId: req.query.outletId ? String(req.query.outletId) : null,
+      includeInactive: String(req.query.includeInactive || '') === 'true'
+    });
+    return res.status(200).json({ success: true, count: managers.length, managers });
+  } catch (error) {
+    return sendManagerError(res, error, 'admin_managers_list');
+  }
+});
+
+router.post('/managers', requireRole('compliance'), validateManagerCreate, async (req, res) => {
+  if (!requireAdminDb(res)) return;
+  try {
+    const manager = await managerStore.createManager({
+      name: req.body.name,
+      pin: req.body.pin,
+      employeeCode: req.body.employeeCode || null,
+      email: req.body.email || null,
+      outletIds: req.body.outletIds || [],
+      allOutlets: Boolean(req.body.allOutlets)
+    });
+    return res.status(201).json({ success: true, manager });
+  } catch (error) {
+    return sendManagerError(res, error, 'admin_managers_create');
+  }
+});
+
+router.get('/managers/:id', requireRole('compliance'), validateManagerId, async (req, res) => {
+  if (!requireAdminDb(res)) return;
+  try {
+    const manager = await managerStore.getManager(req.params.id);
+    if (!manager) return managerNotFound(res);
+    return res.status(200).json({ success: true, manager });
+  } catch (error) {
+    return sendManagerError(res, error, 'admin_managers_get');
+  }
+});
+
+router.patch('/managers/:id', requireRole('compliance'), validateManagerUpdate, async (req, res) => {
+  if (!requireAdminDb(res)) return;
+  try {
+    const changes = {};
+    for (const field of ['name', 'employeeCode', 'email', 'outletIds', 'allOutlets']) {
+      if (req.body[field] !== undefined) changes[field] = req.body[field];
+    }
+    const manager = await managerStore.updateManager(req.params.id, changes);
+    if (!manager) return managerNotFound(res);
+    return res.status(200).json({ success: true, manager });
+  } catch (error) {
+    return sendManagerError(res, error, 'admin_managers_update');
+  }
+});
+
+// Deactivates; overrides already recorded keep pointing at this manager.
+router.delete('/managers/:id', requireRole('compliance'), validateManagerId, async (req, res) => {
+  if (!requireAdminDb(res)) return;
+  try {
+    const deactivated = await managerStore.deactivateManager(req.params.id);
+    if (!deactivated) return managerNotFound(res);
+    return res.status(200).json({ success: true, id: req.params.id, active: false });
+  } catch (error) {
+    return sendManagerError(res, error, 'admin_managers_deactivate');
+  }
+});
+
+router.post('/managers/:id/pin', requireRole('compliance'), validateManagerPin, async (req, res) => {
+  if (!requireAdminDb(res)) return;
+  try {
+    const manager = await managerStore.setManagerPin(req.params.id, req.body.pin);
+    if (!manager) return managerNotFound(res);
+    return res.status(200).json({ success: true, manager });
+  } catch (error) {
+    return sendManagerError(res, error, 'admin_managers_pin');
+  }
+});
+
+router.post('/managers/:id/unlock', requireRole('compliance'), validateManagerId, async (req, res) => {
+  if (!requireAdminDb(res)) return;
+  try {
+    const manager = await managerStore.getManager(req.params.id);
+    if (!manager) return managerNotFound(res);
+    const cleared = await managerStore.unlockManager(req.params.id);
+    return res.status(200).json({ success: true, cleared, manager: { ...manager, lockedUntil: null } });
+  } catch (error) {
+    return sendManagerError(res, error, 'admin_managers_unlock');
+  }
+});
+
+// --- Admin console users (owner only) ---
+function sendAdminUserError(res, error, operation) {
+  if (error.message === 'EMAIL_IN_USE') {
+    return res.status(409).json({ error: 'EMAIL_IN_USE', message: 'An admin user with this email already exists.' });
+  }
+  if (error.message === 'WEAK_PASSWORD') {
+    return res.status(400).json({
+      error: 'VALIDATION_ERROR',
+      message: `Password must be at least ${adminUserStore.MIN_PASSWORD_LENGTH} characters.`
+    });
+  }
+  logger.logAPIError(operation, error);
+  return res.status(500).json({ error: 'INTERNAL_ERROR', message: 'Admin user operation failed.' });
+}
+
+function adminUserNotFound(res) {
+  return res.status(404).json({ error: 'NOT_FOUND', message: 'Admin user not found.' });
+}
+
+router.get('/users', requireRole('owner'), async (req, res) => {
+  if (!requireAdminDb(res)) return;
+  try {
+    const users = await adminUserStore.listAdminUsers({
+      includeInactive: String(req.query.includeInactive || '') === 'true'
+    });
+    return res.status(200).json({ success: true, count: users.length, users });
+  } catch (error) {
+    return sendAdminUserError(res, error, 'admin_users_list');
+  }
+});
+
+router.post('/users', requireRole('owner'), validateAdminUserCreate, async (req, res) => {
+  if (!requireAdminDb(res)) return;
+  try {
+    const user = await adminUserStore.createAdminUser({
+      email: req.body.email,
+      name: req.body.name || null,
+      role: req.body.role,
+      outletIds: req.body.outletIds || [],
+      password: req.body.password
+    });
+    logger.info({ event: 'admin_user_created_by', adminUserId: user.id, createdBy: req.admin.id }, 'Admin user created');
+    return res.status(201).json({ success: true, user });
+  } catch (error) {
+    return sendAdminUserError(res, error, 'admin_users_create');
+  }
+});
+
+router.patch('/users/:id', requireRole('owner'), validateAdminUserUpdate, async (req, res) => {
+  if (!requireAdminDb(res)) return;
+  try {
+    const changes = {};
+    for (const field of ['name', 'role', 'outletIds']) {
+      if (req.body[field] !== undefined) changes[field] = req.body[field];
+    }
+    const user = await adminUserStore.updateAdminUser(req.params.id, changes);
+    if (!user) return adminUserNotFound(res);
+    return res.status(200).json({ success: true, user });
+  } catch (error) {
+    return sendAdminUserError(res, error, 'admin_users_update');
+  }
+});
+
+router.post('/users/:id/password', requireRole('owner'), validateAdminUserPassword, async (req, res) => {
+  if (!requireAdminDb(res)) return;
+  try {
+    const updated = await adminUserStore.setAdminPassword(req.params.id, req.body.password);
+    if (!updated) return adminUserNotFound(res);
+    return res.status(200).json({ success: true, id: req.params.id });
+  } catch (error) {
+    return sendAdminUserError(res, error, 'admin_users_password');
+  }
+});
+
+// Deactivates and signs the user out everywhere.
+router.delete('/users/:id', requireRole('owner'), validateAdminUserId, async (req, res) => {
+  if (!requireAdminDb(res)) return;
+  if (req.admin?.id === req.params.id) {
+    return res.status(400).json({ error: 'CANNOT_DEACTIVATE_SELF', message: 'You cannot deactivate your own account.' });
+  }
+  try {
+    const deactivated = await adminUserStore.deactivateAdminUser(req.params.id);
+    if (!deactivated) return adminUserNotFound(res);
+    return res.status(200).json({ success: true, id: req.params.id, active: false });
+  } catch (error) {
+    return sendAdminUserError(res, error, 'admin_users_deactivate');
+  }
+});
+
 // --- Lightspeed Webhook Queue (admin) ---
-router.get('/webhooks/health', async (req, res) => {
+router.get('/webhooks/health', requireRole('owner'), async (req, res) => {
   try {
     if (!db.pool) {
       return res.status(503).json({
@@ -2283,7 +2737,7 @@ router.get('/webhooks/health', async (req, res) => {
   }
 });
 
-router.post('/webhooks/process', async (req, res) => {
+router.post('/webhooks/process', requireRole('owner'), async (req, res) => {
   try {
     if (!db.pool) {
       return res.status(503).json({
@@ -2303,8 +2757,204 @@ router.post('/webhooks/process', async (req, res) => {
   }
 });
 
+function sendWebhookEventsError(res, error, operation) {
+  if (error.code === 'INVALID_RANGE') {
+    return res.status(400).json({ error: 'INVALID_RANGE', message: error.message });
+  }
+  logger.logAPIError(operation, error);
+  return res.status(500).json({ error: 'INTERNAL_ERROR', message: 'Failed to work with webhook events.' });
+}
+
+// GET /admin/webhooks/events?status=&topic=&since=&until=&limit=&offset=
+// Stored Lightspeed webhook events, newest first (no bodies; see /webhooks/events/:id).
+router.get('/webhooks/events', requireRole('owner'), async (req, res) => {
+  res.setHeader('Cache-Control', 'no-store');
+  if (!requireAdminDb(res)) return;
+  const status = req.query.status ? String(req.query.status).trim() : null;
+  if (status && !lightspeedWebhookQueue.EVENT_STATUSES.includes(status)) {
+    return res.status(400).json({
+      error: 'INVALID_STATUS',
+      message: `status must be one of: ${lightspeedWebhookQueue.EVENT_STATUSES.join(', ')}`
+    });
+  }
+  try {
+    const events = await lightspeedWebhookQueue.listWebhookEvents({
+      status,
+      topic: req.query.topic ? String(req.query.topic).trim() : null,
+      since: req.query.since || null,
+      until: req.query.until || null,
+      limit: normalizeInteger(req.query.limit, { fallback: 50, min: 1, max: 500 }),
+      offset: normalizeInteger(req.query.offset, { fallback: 0, min: 0, max: 1000000 })
+    });
+    return res.status(200).json({ success: true, events });
+  } catch (error) {
+    return sendWebhookEventsError(res, error, 'admin_webhook_events_list');
+  }
+});
+
+// GET /admin/webhooks/events/:id — one event with payload, stored headers and raw body.
+router.get('/webhooks/events/:id', requireRole('owner'), async (req, res) => {
+  res.setHeader('Cache-Control', 'no-store');
+  if (!requireAdminDb(res)) return;
+  if (!/^\d+$/.test(req.params.id)) {
+    return res.status(404).json({ error: 'NOT_FOUND', message: 'Webhook event not found.' });
+  }
+  try {
+    const event = await lightspeedWebhookQueue.getWebhookEvent(req.params.id);
+    if (!event) return res.status(404).json({ error: 'NOT_FOUND', message: 'Webhook event not found.' });
+    return res.status(200).json({ success: true, event });
+  } catch (error) {
+    return sendWebhookEventsError(res, error, 'admin_webhook_event_get');
+  }
+});
+
+async function replayWebhookEventsForAdmin(req, selection) {
+  const result = await lightspeedWebhookQueue.replayWebhookEvents({
+    ...selection,
+    replayedBy: req.admin?.email || req.admin?.id || null
+  });
+  logger.logSecurity('webhook_events_replayed', {
+    adminUserId: req.admin?.id || null,
+    replayed: result.replayed,
+    eventIds: result.events.map((event) => event.id)
+  });
+  return result;
+}
+
+// POST /admin/webhooks/events/:id/replay — re-run the topic handler for one event (no signature re-check).
+router.post('/webhooks/events/:id/replay', requireRole('owner'), async (req, res) => {
+  if (!requireAdminDb(res)) return;
+  if (!/^\d+$/.test(req.params.id)) {
+    return res.status(404).json({ error: 'NOT_FOUND', message: 'Webhook event not found.' });
+  }
+  try {
+    const result = await replayWebhookEventsForAdmin(req, { ids: [req.params.id] });
+    if (!result.replayed) {
+      const event = await lightspeedWebhookQueue.getWebhookEvent(req.params.id);
+      return event
+        ? res.status(409).json({ error: 'EVENT_IN_PROGRESS', message: 'This event is being processed; try again shortly.' })
+        : res.status(404).json({ error: 'NOT_FOUND', message: 'Webhook event not found.' });
+    }
+    return res.status(200).json({ success: true, ...result });
+  } catch (error) {
+    return sendWebhookEventsError(res, error, 'admin_webhook_event_replay');
+  }
+});
+
+// POST /admin/webhooks/events/replay { ids? | fromId/toId? | since/until?, status?, topic?, limit? }
+router.post('/webhooks/events/replay', requireRole('owner'), async (req, res) => {
+  if (!requireAdminDb(res)) return;
+  const body = req.body || {};
+  const status = body.status ? String(body.status).trim() : null;
+  if (status && !lightspeedWebhookQueue.EVENT_STATUSES.includes(status)) {
+    return res.status(400).json({
+      error: 'INVALID_STATUS',
+      message: `status must be one of: ${lightspeedWebhookQueue.EVENT_STATUSES.join(', ')}`
+    });
+  }
+  try {
+    const result = await replayWebhookEventsForAdmin(req, {
+      ids: Array.isArray(body.ids) ? body.ids : null,
+      fromId: body.fromId ?? null,
+      toId: body.toId ?? null,
+      since: body.since || null,
+      until: body.until || null,
+      status,
+      topic: body.topic ? String(body.topic).trim() : null,
+      limit: normalizeInteger(body.limit, {
+        fallback: lightspeedWebhookQueue.MAX_REPLAY_BATCH,
+        min: 1,
+        max: lightspeedWebhookQueue.MAX_REPLAY_BATCH
+      })
+    });
+    return res.status(200).json({ success: true, ...result });
+  } catch (error) {
+    return sendWebhookEventsError(res, error, 'admin_webhook_events_replay');
+  }
+});
+
+// --- Lightspeed write outbox (admin) ---
+// GET /admin/lightspeed/writes?status=&kind=&saleId=&limit=&offset=
+// Queued sale notes, sale completions and customer updates, newest first, with outbox health.
+router.get('/lightspeed/writes', requireRole('owner'), async (req, res) => {
+  res.setHeader('Cache-Control', 'no-store');
+  if (!requireAdminDb(res)) return;
+  const status = req.query.status ? String(req.query.status).trim() : null;
+  if (status && !lightspeedWriteOutbox.WRITE_STATUSES.includes(status)) {
+    return res.status(400).json({
+      error: 'INVALID_STATUS',
+      message: `status must be one of: ${lightspeedWriteOutbox.WRITE_STATUSES.join(', ')}`
+    });
+  }
+  const kind = req.query.kind ? String(req.query.kind).trim() : null;
+  if (kind && !lightspeedWriteOutbox.WRITE_KINDS.includes(kind)) {
+    return res.status(400).json({
+      error: 'INVALID_KIND',
+      message: `kind must be one of: ${lightspeedWriteOutbox.WRITE_KINDS.join(', ')}`
+    });
+  }
+  try {
+    const [writes, health] = await Promise.all([
+      lightspeedWriteOutbox.listWrites({
+        status,
+        kind,
+        saleId: req.query.saleId ? String(req.query.saleId).trim() : null,
+        limit: normalizeInteger(req.query.limit, { fallback: 50, min: 1, max: 500 }),
+        offset: normalizeInteger(req.query.offset, { fallback: 0, min: 0, max: 1000000 })
+      }),
+      lightspeedWriteOutbox.getOutboxHealth()
+    ]);
+    return res.status(200).json({ success: true, health, writes });
+  } catch (error) {
+    logger.logAPIError('admin_lightspeed_writes_list', error);
+    return res.status(500).json({ error: 'INTERNAL_ERROR', message: 'Failed to load Lightspeed writes.' });
+  }
+});
+
+// POST /admin/lightspeed/writes/process — drain due writes now instead of waiting for the cron.
+router.post('/lightspeed/writes/process', requireRole('owner'), async (req, res) => {
+  if (!requireAdminDb(res)) return;
+  try {
+    const result = await lightspeedWriteOutbox.processDueWrites({
+      limit: normalizeInteger(req.body?.limit, { fallback: 100, min: 1, max: 500 }),
+      maxDurationMs: normalizeInteger(req.body?.maxDurationMs, { fallback: 8000, min: 1000, max: 60000 })
+    });
+    const health = await lightspeedWriteOutbox.getOutboxHealth();
+    return res.status(200).json({ success: true, ...result, health });
+  } catch (error) {
+    logger.logAPIError('admin_lightspeed_writes_process', error);
+    return res.status(500).json({ error: 'LIGHTSPEED_WRITES_FAILED', message: error.message });
+  }
+});
+
+// POST /admin/lightspeed/writes/:id/retry — reset a failed write's attempts and send it again.
+router.post('/lightspeed/writes/:id/retry', requireRole('owner'), async (req, res) => {
+  if (!requireAdminDb(res)) return;
+  if (!/^\d+$/.test(req.params.id)) {
+    return res.status(404).json({ error: 'NOT_FOUND', message: 'No failed or pending write with that id.' });
+  }
+  try {
+    const write = await lightspeedWriteOutbox.retryWrite(req.params.id, {
+      retriedBy: req.admin?.email || req.admin?.id || null
+    });
+    if (!write) {
+      return res.status(404).json({ error: 'NOT_FOUND', message: 'No failed or pending write with that id.' });
+    }
+    logger.logSecurity('lightspeed_write_retried', {
+      adminUserId: req.admin?.id || null,
+      writeId: write.id,
+      kind: write.kind,
+      saleId: write.saleId
+    });
+    return res.status(200).json({ success: true, write });
+  } catch (error) {
+    logger.logAPIError('admin_lightspeed_write_retry', error);
+    return res.status(500).json({ error: 'INTERNAL_ERROR', message: 'Failed to retry Lightspeed write.' });
+  }
+});
+
 // --- Customer Reconcile Jobs (admin) ---
-router.get('/customer-reconcile/health', async (req, res) => {
+router.get('/customer-reconcile/health', requireRole('owner'), async (req, res) => {
   try {
     if (!db.pool) {
       return res.status(503).json({
@@ -2320,7 +2970,7 @@ router.get('/customer-reconcile/health', async (req, res) => {
   }
 });
 
-router.post('/customer-reconcile/process', async (req, res) => {
+router.post('/customer-reconcile/process', requireRole('owner'), async (req, res) => {
   try {
     if (!db.pool) {
       return res.status(503).json({
@@ -0,0 +1,109 @@
+"use strict";
+
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const { body } = require('express-validator');
+const logger = require('./logger');
+const db = require('./db');
+const adminUserStore = require('./adminUserStore');
+const { handleValidationErrors } = require('./validation');
+const {
+  adminAuth,
+  readAdminSessionToken,
+  setAdminSessionCookie,
+  clearAdminSessionCookie
+} = require('./auth');
+
+// Admin console sign-in. Mounted at /admin/auth ahead of the adminAuth-protected /admin router.
+const router = express.Router();
+
+const loginLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 20,
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler(req, res) {
+    logger.logSecurity('rate_limit_exceeded', {
+      ip: req.ip,
+      path: req.path,
+      type: 'admin_login'
+    });
+    res.status(429).json({
+      error: 'RATE_LIMIT_EXCEEDED',
+      message: 'Too many sign-in attempts from this IP, please try again later.'
+    });
+  }
+});
+
+const validateLogin = [
+  body('email')
+    .isString()
+    .trim()
+    .isLength({ min: 3, max: 254 })
+    .withMessage('email is required'),
+  body('password')
+    .isString()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('password is required'),
+  handleValidationErrors
+];
+
+// POST /admin/auth/login - exchange email + password for a session cookie
+router.post('/login', loginLimiter, validateLogin, async (req, res) => {
+  if (!db.pool) {
+    return res.status(503).json({
+      error: 'DB_DISABLED',
+      message: 'DATABASE_URL is not configured'
+    });
+  }
+
+  try {
+    const user = await adminUserStore.authenticateAdminPassword(req.body.email, req.body.password);
+    if (!user) {
+      logger.logSecurity('admin_login_failed', { ip: req.ip, email: String(req.body.email).trim().toLowerCase() });
+      return res.status(401).json({
+        error: 'INVALID_CREDENTIALS',
+        message: 'Invalid email or password.'
+      });
+    }
+
+    const session = await adminUserStore.createSession(user.id, { ip: req.ip, userAgent: req.get('user-agent') });
+    setAdminSessionCookie(res, session.token, session.expiresAt);
+    logger.info({ event: 'admin_login', adminUserId: user.id, role: user.role }, 'Admin signed in');
+
+    return res.status(200).json({
+      success: true,
+      user,
+      expiresAt: session.expiresAt,
+      // Scripts that cannot keep cookies ask for the raw token and send it as a Bearer header.
+      token: req.body.issueToken === true ? session.token : undefined
+    });
+  } catch (error) {
+    logger.logAPIError('admin_login', error);
+    return res.status(500).json({ error: 'INTERNAL_ERROR', message: 'Sign-in failed.' });
+  }
+});
+
+// POST /admin/auth/logout - revoke the current session
+router.post('/logout', async (req, res) => {
+  const token = readAdminSessionToken(req);
+  clearAdminSessionCookie(res);
+  if (!token || !db.pool) {
+    return res.status(200).json({ success: true });
+  }
+
+  try {
+    await adminUserStore.revokeSession(token);
+    return res.status(200).json({ success: true });
+  } catch (error) {
+    logger.logAPIError('admin_logout', error);
+    return res.status(500).json({ error: 'INTERNAL_ERROR', message: 'Sign-out failed.' });
+  }
+});
+
+// GET /admin/auth/me - who is signed in (the admin pages use this to show the user and hide what they cannot do)
+router.get('/me', adminAuth, (req, res) => {
+  res.status(200).json({ success: true, user: req.admin });
+});
+
+module.exports = router;
@@ -0,0 +1,305 @@
+"use strict";
+
+const crypto = require('crypto');
+const db = require('./db');
+const logger = require('./logger');
+const { hashSecret, verifySecret } = require('./secretHash');
+
+/**
+ * Named admin console users and their login sessions.
+ *
+ * Roles (see auth.requireRole):
+ *   owner         - everything, including admin user management
+ *   compliance    - banned list, manager accounts, scans/audit; can also read BI
+ *   store_manager - scans, audit and BI for the outlets in outlet_ids only
+ *   analyst       - read-only BI / marketing
+ *
+ * Sessions are random bearer tokens; only their SHA-256 is stored, so a database read does not yield a usable session.
+ */
+
+const ADMIN_ROLES = ['owner', 'compliance', 'store_manager', 'analyst'];
+const MIN_PASSWORD_LENGTH = 12;
+
+// Verified against when the email is unknown, so a miss costs the same as a wrong password.
+let dummyHashPromise = null;
+
+function getSessionTtlMs() {
+  const hours = Number.parseInt(String(process.env.ADMIN_SESSION_TTL_HOURS || ''), 10);
+  return (Number.isFinite(hours) && hours > 0 ? Math.min(hours, 24 * 30) : 12) * 60 * 60 * 1000;
+}
+
+function normalizeEmail(email) {
+  return String(email || '').trim().toLowerCase();
+}
+
+function normalizeOutletIds(outletIds) {
+  const list = Array.isArray(outletIds) ? outletIds : [];
+  return Array.from(new Set(list.map((id) => String(id || '').trim()).filter(Boolean)));
+}
+
+function hashSessionToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function toAdminUser(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    email: row.email,
+    name: row.name || null,
+    role: row.role,
+    outletIds: row.outlet_ids || [],
+    active: Boolean(row.active),
+    lastLoginAt: row.last_login_at || null,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+function assertRole(role) {
+  if (!ADMIN_ROLES.includes(role)) {
+    throw new Error('INVALID_ROLE');
+  }
+}
+
+function assertPassword(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    throw new Error('WEAK_PASSWORD');
+  }
+}
+
+async function ensureTables() {
+  if (!db.pool) return false;
+
+  await db.query(
+    `
+      CREATE TABLE IF NOT EXISTS admin_users (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        email VARCHAR(254) NOT NULL UNIQUE,
+        name VARCHAR(150),
+        role VARCHAR(30) NOT NULL CHECK (role IN ('owner', 'compliance', 'store_manager', 'analyst')),
+        outlet_ids TEXT[] NOT NULL DEFAULT '{}',
+        password_hash TEXT NOT NULL,
+        active BOOLEAN NOT NULL DEFAULT TRUE,
+        last_login_at TIMESTAMPTZ,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      )
+    `
+  );
+  await db.query(
+    `
+      CREATE TABLE IF NOT EXISTS admin_sessions (
+        token_hash VARCHAR(64) PRIMARY KEY,
+        user_id UUID NOT NULL REFERENCES admin_users(id) ON DELETE CASCADE,
+        expires_at TIMESTAMPTZ NOT NULL,
+        ip_address INET,
+        user_agent TEXT,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      )
+    `
+  );
+  await db.query('CREATE INDEX IF NOT EXISTS idx_admin_sessions_user ON admin_sessions (user_id)');
+  await db.query('CREATE INDEX IF NOT EXISTS idx_admin_sessions_expires_at ON admin_sessions (expires_at)');
+  return true;
+}
+
+async function requireTables() {
+  if (!(await ensureTables())) {
+    throw new Error('DATABASE_NOT_CONFIGURED');
+  }
+}
+
+const USER_COLUMNS = 'id, email, name, role, outlet_ids, active, last_login_at, created_at, updated_at';
+
+async function getAdminUser(id) {
+  await requireTables();
+  const { rows } = await db.query(`SELECT ${USER_COLUMNS} FROM admin_users WHERE id = $1`, [id]);
+  return toAdminUser(rows[0]);
+}
+
+async function listAdminUsers({ includeInactive = false } = {}) {
+  await requireTables();
+  const { rows } = await db.query(
+    `SELECT ${USER_COLUMNS} FROM admin_users WHERE ($1::boolean OR active) ORDER BY active DESC, email ASC`,
+    [Boolean(includeInactive)]
+  );
+  return rows.map(toAdminUser);
+}
+
+async function createAdminUser({ email, name = null, role, outletIds = [], password }) {
+  await requireTables();
+  assertRole(role);
+  assertPassword(password);
+
+  const normalizedEmail = normalizeEmail(email);
+  const { rows: existing } = await db.query('SELECT id FROM admin_users WHERE email = $1', [normalizedEmail]);
+  if (existing.length) {
+    throw new Error('EMAIL_IN_USE');
+  }
+
+  const { rows } = await db.query(
+    `
+      INSERT INTO admin_users (email, name, role, outlet_ids, password_hash)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING ${USER_COLUMNS}
+    `,
+    [normalizedEmail, name, role, role === 'store_manager' ? normalizeOutletIds(outletIds) : [], await hashSecret(password)]
+  );
+
+  logger.info({ event: 'admin_user_created', adminUserId: rows[0].id, role }, 'Admin user created');
+  return toAdminUser(rows[0]);
+}
+
+async function updateAdminUser(id, changes = {}) {
+  await requireTables();
+  if (changes.role !== undefined) assertRole(changes.role);
+
+  const { rows } = await db.query(
+    `
+      UPDATE admin_users
+      SET name = COALESCE($2, name),
+          role = COALESCE($3, role),
+          outlet_ids = CASE
+            WHEN COALESCE($3, role) <> 'store_manager' THEN '{}'
+            ELSE COALESCE($4, outlet_ids)
+          END,
+          updated_at = NOW()
+      WHERE id = $1
+      RETURNING ${USER_COLUMNS}
+    `,
+    [
+      id,
+      changes.name ?? null,
+      changes.role ?? null,
+      changes.outletIds !== undefined ? normalizeOutletIds(changes.outletIds) : null
+    ]
+  );
+  if (!rows.length) return null;
+
+  // Role or outlet changes apply to the next login, not to sessions issued under the old grants.
+  if (changes.role !== undefined || changes.outletIds !== undefined) {
+    await revokeUserSessions(id);
+  }
+
+  logger.info({ event: 'admin_user_updated', adminUserId: id, fields: Object.keys(changes) }, 'Admin user updated');
+  return toAdminUser(rows[0]);
+}
+
+async function setAdminPassword(id, password) {
+  await requireTables();
+  assertPassword(password);
+
+  const { rowCount } = await db.query(
+    'UPDATE admin_users SET password_hash = $2, updated_at = NOW() WHERE id = $1',
+    [id, await hashSecret(password)]
+  );
+  if (!rowCount) return false;
+
+  await revokeUserSessions(id);
+  logger.info({ event: 'admin_password_reset', adminUserId: id }, 'Admin password reset');
+  return true;
+}
+
+async function deactivateAdminUser(id) {
+  await requireTables();
+  const { rowCount } = await db.query(
+    'UPDATE admin_users SET active = FALSE, updated_at = NOW() WHERE id = $1 AND active',
+    [id]
+  );
+  if (!rowCount) return false;
+
+  await revokeUserSessions(id);
+  logger.info({ event: 'admin_user_deactivated', adminUserId: id }, 'Admin user deactivated');
+  return true;
+}
+
+/**
+ * @returns {Promise<object|null>} the active user when the password matches
+ */
+async function authenticateAdminPassword(email, password) {
+  await requireTables();
+  const { rows } = await db.query(
+    `SELECT ${USER_COLUMNS}, password_hash FROM admin_users WHERE email = $1 AND active`,
+    [normalizeEmail(email)]
+  );
+  const row = rows[0];
+
+  if (!row) {
+    dummyHashPromise = dummyHashPromise || hashSecret(crypto.randomBytes(16).toString('hex'));
+    await verifySecret(String(password || ''), await dummyHashPromise);
+    return null;
+  }
+  if (!(await verifySecret(String(password || ''), row.password_hash))) {
+    return null;
+  }
+
+  await db.query('UPDATE admin_users SET last_login_at = NOW() WHERE id = $1', [row.id]);
+  return toAdminUser(row);
+}
+
+async function createSession(userId, { ip = null, userAgent = null } = {}) {
+  await requireTables();
+  const token = crypto.randomBytes(32).toString('base64url');
+  const expiresAt = new Date(Date.now() + getSessionTtlMs());
+
+  await db.query(
+    `
+      INSERT INTO admin_sessions (token_hash, user_id, expires_at, ip_address, user_agent)
+      VALUES ($1, $2, $3, $4, $5)
+    `,
+    [hashSessionToken(token), userId, expiresAt, ip, userAgent ? String(userAgent).slice(0, 500) : null]
+  );
+  // Opportunistic cleanup; sessions are short-lived and there is no cron for them.
+  await db.query('DELETE FROM admin_sessions WHERE expires_at <= NOW()');
+
+  return { token, expiresAt };
+}
+
+/**
+ * @returns {Promise<object|null>} the active user owning an unexpired session
+ */
+async function getSessionUser(token) {
+  if (!token) return null;
+  await requireTables();
+  const { rows } = await db.query(
+    `
+      SELECT u.id, u.email, u.name, u.role, u.outlet_ids, u.active, u.last_login_at, u.created_at, u.updated_at,
+             s.expires_at AS session_expires_at
+      FROM admin_sessions s
+      JOIN admin_users u ON u.id = s.user_id
+      WHERE s.token_hash = $1 AND s.expires_at > NOW() AND u.active
+    `,
+    [hashSessionToken(token)]
+  );
+  if (!rows.length) return null;
+  return { ...toAdminUser(rows[0]), sessionExpiresAt: rows[0].session_expires_at };
+}
+
+async function revokeSession(token) {
+  if (!token) return false;
+  await requireTables();
+  const { rowCount } = await db.query('DELETE FROM admin_sessions WHERE token_hash = $1', [hashSessionToken(token)]);
+  return rowCount > 0;
+}
+
+async function revokeUserSessions(userId) {
+  const { rowCount } = await db.query('DELETE FROM admin_sessions WHERE user_id = $1', [userId]);
+  return rowCount;
+}
+
+module.exports = {
+  ADMIN_ROLES,
+  MIN_PASSWORD_LENGTH,
+  ensureTables,
+  getAdminUser,
+  listAdminUsers,
+  createAdminUser,
+  updateAdminUser,
+  setAdminPassword,
+  deactivateAdminUser,
+  authenticateAdminPassword,
+  createSession,
+  getSessionUser,
+  revokeSession
+};
@@ -0,0 +1,172 @@
+"use strict";
+
+const logger = require('./logger');
+
+// Minimum-age rules keyed by outlet and Lightspeed product category.
+//
+// AGE_POLICY_RULES (JSON), every key optional:
+//   {
+//     "defaultMinimumAge": 21,
+//     "outlets": { "<outletId>": 18 },
+//     "categories": { "<categoryId or category name>": 21 },
+//     "outletCategories": { "<outletId>": { "<categoryId or category name>": 18 } }
+//   }
+//
+// Precedence for one cart line: outlet+category, category, outlet, default. The sale requires the highest minimum
+// among its lines, so an 18+ accessories cart passes at a 21+ outlet only when every line has an 18+ rule.
+// A line whose product cannot be resolved gets the strictest age configured for that outlet, so a Lightspeed
+// outage never lowers the bar.
+
+const FALLBACK_MINIMUM_AGE = 21;
+
+function coerceAge(value) {
+  const parsed = Number.parseInt(value, 10);
+  if (!Number.isFinite(parsed) || parsed < 0 || parsed > 99) return null;
+  return parsed;
+}
+
+function normalizeKey(value) {
+  return value === null || value === undefined ? '' : String(value).trim().toLowerCase();
+}
+
+function normalizeAgeMap(raw) {
+  const map = {};
+  if (!raw || typeof raw !== 'object') return map;
+  for (const [key, value] of Object.entries(raw)) {
+    const age = coerceAge(value);
+    if (normalizeKey(key) && age !== null) map[normalizeKey(key)] = age;
+  }
+  return map;
+}
+
+function loadAgePolicy() {
+  const defaultFromEnv = coerceAge(process.env.MINIMUM_AGE);
+  let raw = {};
+  const text = String(process.env.AGE_POLICY_RULES || '').trim();
+  if (text) {
+    try {
+      raw = JSON.parse(text) || {};
+    } catch (error) {
+      logger.error({ event: 'age_policy_invalid', error: error.message }, 'AGE_POLICY_RULES is not valid JSON; using defaults');
+      raw = {};
+    }
+  }
+
+  const outletCategories = {};
+  for (const [outletId, categories] of Object.entries(raw.outletCategories || {})) {
+    const map = normalizeAgeMap(categories);
+    if (normalizeKey(outletId) && Object.keys(map).length) outletCategories[normalizeKey(outletId)] = map;
+  }
+
+  return {
+    defaultMinimumAge: coerceAge(raw.defaultMinimumAge) ?? defaultFromEnv ?? FALLBACK_MINIMUM_AGE,
+    outlets: normalizeAgeMap(raw.outlets),
+    categories: normalizeAgeMap(raw.categories),
+    outletCategories
+  };
+}
+
+function hasCategoryRules(policy, outletId) {
+  return Object.keys(policy.categories).length > 0 || Boolean(policy.outletCategories[normalizeKey(outletId)]);
+}
+
+function baselineRule(policy, outletId) {
+  const outletAge = policy.outlets[normalizeKey(outletId)];
+  if (outletAge !== undefined) {
+    return { minimumAge: outletAge, rule: 'outlet', ruleId: `outlet:${outletId}`, outletId };
+  }
+  return { minimumAge: policy.defaultMinimumAge, rule: 'default', ruleId: 'default', outletId: outletId || null };
+}
+
+function ruleForProduct(policy, outletId, product) {
+  const outletMap = policy.outletCategories[normalizeKey(outletId)] || {};
+  const candidates = [product.categoryId, product.categoryName].map(normalizeKey).filter(Boolean);
+
+  for (const key of candidates) {
+    if (outletMap[key] !== undefined) {
+      return { minimumAge: outletMap[key], rule: 'outlet_category', ruleId: `outlet_category:${outletId}/${key}` };
+    }
+  }
+  for (const key of candidates) {
+    if (policy.categories[key] !== undefined) {
+      return { minimumAge: policy.categories[key], rule: 'category', ruleId: `category:${key}` };
+    }
+  }
+  return null;
+}
+
+function strictestRule(policy, outletId) {
+  const outletMap = policy.outletCategories[normalizeKey(outletId)] || {};
+  const ages = [baselineRule(policy, outletId).minimumAge, ...Object.values(policy.categories), ...Object.values(outletMap)];
+  return { minimumAge: Math.max(...ages), rule: 'unresolved_product', ruleId: 'unresolved_product' };
+}
+
+function lineProductId(item) {
+  if (!item || typeof item !== 'object') return null;
+  return item.product_id || item.productId || item.product?.id || null;
+}
+
+/**
+ * Resolve the minimum age a sale requires.
+ *
+ * @param {object} params
+ * @param {object|null} params.sale - sale from lightspeed.getSaleById (items = Lightspeed line_items)
+ * @param {string|null} params.outletId - outlet the scan happened at
+ * @param {Function} [params.getProductById] - product lookup (lightspeed.getProductById)
+ * @param {boolean} [params.saleUnavailable] - the sale could not be fetched; apply the strictest configured age
+ * @returns {Promise<{minimumAge:number, rule:string, ruleId:string, outletId:string|null, productId:string|null, categoryId:string|null}>}
+ */
+async function resolveAgeRequirement({
+  sale = null,
+  outletId = null,
+  getProductById = null,
+  saleUnavailable = false,
+  policy = loadAgePolicy()
+} = {}) {
+  const effectiveOutletId = outletId || sale?.outletId || null;
+  const base = { ...baselineRule(policy, effectiveOutletId), productId: null, categoryId: null };
+
+  if (saleUnavailable && requiresSaleLookup(policy)) {
+    return { ...strictestRule(policy, effectiveOutletId), outletId: effectiveOutletId, productId: null, categoryId: null };
+  }
+
+  const items = Array.isArray(sale?.items) ? sale.items : [];
+  if (!items.length || !hasCategoryRules(policy, effectiveOutletId)) {
+    return base;
+  }
+
+  const productIds = [...new Set(items.map(lineProductId).filter(Boolean))];
+  const lineRules = await Promise.all(
+    productIds.map(async (productId) => {
+      let product = null;
+      try {
+        product = typeof getProductById === 'function' ? await getProductById(productId) : null;
+      } catch (error) {
+        logger.warn({ event: 'age_policy_product_lookup_failed', productId, error: error.message }, 'Product lookup failed for age policy');
+      }
+      if (!product) {
+        return { ...strictestRule(policy, effectiveOutletId), outletId: effectiveOutletId, productId, categoryId: null };
+      }
+      const rule = ruleForProduct(policy, effectiveOutletId, product) || baselineRule(policy, effectiveOutletId);
+      return { ...rule, outletId: effectiveOutletId, productId, categoryId: product.categoryId || product.categoryName || null };
+    })
+  );
+
+  // Lines without a product (custom/misc lines) fall under the outlet baseline.
+  if (items.some((item) => !lineProductId(item))) {
+    lineRules.push(base);
+  }
+
+  return lineRules.reduce((current, candidate) => (candidate.minimumAge > current.minimumAge ? candidate : current));
+}
+
+// True when any category rule exists, i.e. the sale's line items can change the answer.
+function requiresSaleLookup(policy = loadAgePolicy()) {
+  return Object.keys(policy.categories).length > 0 || Object.keys(policy.outletCategories).length > 0;
+}
+
+module.exports = {
+  loadAgePolicy,
+  resolveAgeRequirement,
+  requiresSaleLookup
+};
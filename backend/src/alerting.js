@@ -0,0 +1,504 @@
+"use strict";
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const db = require('./db');
+const logger = require('./logger');
+const piiCrypto = require('./piiCrypto');
+const emailService = require('./emailService');
+
+// Compliance alerting: rules watch saved verifications, manager overrides and closed sales, and raise alerts through
+// channels.
+//
+// Built-in rules (ids), each overridable through ALERT_RULES (JSON keyed by rule id, every key optional):
+//   underage_burst         N underage rejections at one outlet within M minutes
+//   banned_hit             any banned-list hit (hard block or possible match sent to manager review)
+//   document_multi_outlet  the same document scanned at two or more outlets within M minutes
+//   fake_id_suspicion      a scan with a fake-ID signal (failed MRZ check digits, a hit on a ban for a fake ID)
+//   override_burst         N manager overrides at one outlet within M minutes
+//   sold_without_scan      Lightspeed reported a sale CLOSED with no approved, unexpired verification
+//
+//   ALERT_RULES='{"underage_burst":{"threshold":5,"windowMinutes":15},"banned_hit":{"channels":["smtp","webhook"]},
+//                 "override_burst":{"enabled":false},"late_night_underage":{"type":"underage_rejections","threshold":2}}'
+//
+// A new id needs a "type" (one of RULE_TYPES). throttleMinutes suppresses repeats of a rule for the same subject
+// (outlet, ban or document) while an earlier alert is younger than that; 0 alerts every time. Every raised alert is
+// kept in alert_history with the outcome per channel. Alerting never fails the scan, override or webhook that
+// triggered it.
+
+const DEFAULT_RULES = {
+  underage_burst: { type: 'underage_rejections', threshold: 3, windowMinutes: 30, throttleMinutes: 60, severity: 'warning' },
+  banned_hit: { type: 'banned_hit', throttleMinutes: 15, severity: 'critical' },
+  document_multi_outlet: { type: 'document_multi_outlet', windowMinutes: 60, throttleMinutes: 60, severity: 'warning' },
+  fake_id_suspicion: { type: 'fake_id_suspicion', throttleMinutes: 15, severity: 'critical' },
+  // Replaces the fixed "3 overrides in 10 minutes" email, which was sent for every override over the threshold.
+  override_burst: { type: 'override_burst', threshold: 3, windowMinutes: 10, throttleMinutes: 0, severity: 'warning' },
+  sold_without_scan: { type: 'sale_without_verification', throttleMinutes: 0, severity: 'critical' }
+};
+
+const SEVERITIES = ['info', 'warning', 'critical'];
+
+const UNDERAGE_REASON_PREFIX = 'Underage';
+
+function parseIntInRange(value, fallback, min, max) {
+  const parsed = Number.parseInt(String(value ?? ''), 10);
+  if (!Number.isFinite(parsed)) return fallback;
+  return Math.max(min, Math.min(max, parsed));
+}
+
+function parseChannelList(value) {
+  const list = Array.isArray(value) ? value : String(value || '').split(',');
+  return list.map((name) => String(name).trim().toLowerCase()).filter(Boolean);
+}
+
+// Document numbers written by flows that had no real document to scan.
+const isPlaceholderDocumentNumber = (value) => !value || value === 'no-scan' || String(value).startsWith('RAW-');
+
+// Stable, non-reversible key for a document (alert history holds no document numbers).
+function documentKey(verification) {
+  const index = piiCrypto.documentIndex(verification.document_number);
+  if (index) return index;
+  return crypto.createHash('sha256').update(piiCrypto.normalizeDocumentNumber(verification.document_number)).digest('hex');
+}
+
+const RULE_TYPES = {
+  underage_rejections: {
+    event: 'verification',
+    async evaluate(rule, { verification }) {
+      const outletId = verification.location_id;
+      if (verification.status !== 'rejected' || !String(verification.reason || '').startsWith(UNDERAGE_REASON_PREFIX) || !outletId) {
+        return null;
+      }
+      const { rows } = await db.query(
+        `
+          SELECT COUNT(*)::int AS count
+          FROM verifications
+          WHERE location_id = $1
+            AND status = 'rejected'
+            AND reason LIKE $3 || '%'
+            AND created_at >= NOW() - ($2::int * INTERVAL '1 minute')
+        `,
+        [outletId, rule.windowMinutes, UNDERAGE_REASON_PREFIX]
+      );
+      const count = rows[0]?.count || 0;
+      if (count < rule.threshold) return null;
+      return {
+        dedupeKey: `outlet:${outletId}`,
+        outletId,
+        verificationId: verification.verification_id,
+        summary: `${count} underage rejections at outlet ${outletId} in the last ${rule.windowMinutes} minutes`,
+        details: { count, threshold: rule.threshold, windowMinutes: rule.windowMinutes }
+      };
+    }
+  },
+
+  banned_hit: {
+    event: 'verification',
+    async evaluate(rule, { verification, signals }) {
+      if (!signals.bannedId) return null;
+      const review = signals.bannedMatch === 'review';
+      return {
+        dedupeKey: `ban:${signals.bannedId}`,
+        outletId: verification.location_id || null,
+        verificationId: verification.verification_id,
+        summary: review
+          ? `Possible banned customer at outlet ${verification.location_id || 'unknown'} (manager review required)`
+          : `Banned customer scanned at outlet ${verification.location_id || 'unknown'}`,
+        details: {
+          bannedId: signals.bannedId,
+          match: review ? 'review' : 'block',
+          confidence: signals.bannedConfidence ?? null,
+          saleId: verification.sale_id || null
+        }
+      };
+    }
+  },
+
+  document_multi_outlet: {
+    event: 'verification',
+    async evaluate(rule, { verification }) {
+      if (isPlaceholderDocumentNumber(verification.document_number) || !verification.location_id) return null;
+      const { rows } = await db.query(
+        `
+          SELECT location_id, COUNT(*)::int AS scans, MAX(created_at) AS last_seen_at
+          FROM verifications
+          WHERE document_type = $1
+            AND COALESCE(issuing_country, '') = $2
+            AND (document_number_bidx = $3 OR (document_number_bidx IS NULL AND document_number = $4))
+            AND location_id IS NOT NULL
+            AND created_at >= NOW() - ($5::int * INTERVAL '1 minute')
+          GROUP BY location_id
+          ORDER BY MAX(created_at)
+        `,
+        [
+          verification.document_type,
+          verification.issuing_country || '',
+          piiCrypto.documentIndex(verification.document_number),
+          verification.document_number,
+          rule.windowMinutes
+        ]
+      );
+      if (rows.length < 2) return null;
+      const outletIds = rows.map((row) => row.location_id);
+      return {
+        dedupeKey: `document:${documentKey(verification)}`,
+        outletId: verification.location_id,
+        verificationId: verification.verification_id,
+        summary: `Same ID scanned at ${outletIds.length} outlets within ${rule.windowMinutes} minutes (${outletIds.join(', ')})`,
+        details: {
+          windowMinutes: rule.windowMinutes,
+          outlets: rows.map((row) => ({ outletId: row.location_id, scans: row.scans, lastSeenAt: row.last_seen_at }))
+        }
+      };
+    }
+  },
+
+  fake_id_suspicion: {
+    event: 'verification',
+    async evaluate(rule, { verification, signals }) {
+      const suspicions = Array.isArray(signals.suspicions) ? signals.suspicions : [];
+      if (!suspicions.length) return null;
+      return {
+        dedupeKey: isPlaceholderDocumentNumber(verification.document_number)
+          ? `verification:${verification.verification_id}`
+          : `document:${documentKey(verification)}`,
+        outletId: verification.location_id || null,
+        verificationId: verification.verification_id,
+        summary: `Possible fake ID at outlet ${verification.location_id || 'unknown'}: ${suspicions.join(', ')}`,
+        details: { suspicions, status: verification.status, saleId: verification.sale_id || null }
+      };
+    }
+  },
+
+  override_burst: {
+    event: 'override',
+    async evaluate(rule, { outletId, saleId, verificationId, manager, note }) {
+      const { rows } = await db.query(
+        `
+          SELECT COUNT(*)::int AS count
+          FROM verification_overrides o
+          JOIN verifications v ON v.verification_id = o.verification_id
+          WHERE o.created_at >= NOW() - ($1::int * INTERVAL '1 minute')
+            AND ($2::text IS NULL OR v.location_id = $2)
+        `,
+        [rule.windowMinutes, outletId || null]
+      );
+      const count = rows[0]?.count || 0;
+      if (count < rule.threshold) return null;
+      return {
+        dedupeKey: `outlet:${outletId || 'all'}`,
+        outletId: outletId || null,
+        verificationId: verificationId || null,
+        summary: `High override volume: ${count} overrides at outlet ${outletId || 'unknown'} in the last ${rule.windowMinutes} minutes`,
+        details: {
+          count,
+          threshold: rule.threshold,
+          windowMinutes: rule.windowMinutes,
+          latest: { saleId: saleId || null, managerId: manager?.id || null, managerName: manager?.name || null, note: note || null }
+        }
+      };
+    }
+  },
+
+  // Every compliance_exceptions row raises one alert (the row itself is unique per sale).
+  sale_without_verification: {
+    event: 'sale',
+    async evaluate(rule, { exception }) {
+      const where = [
+        `outlet ${exception.outletId || 'unknown'}`,
+        exception.registerId ? `register ${exception.registerId}` : null,
+        exception.userId ? `user ${exception.userId}` : null
+      ].filter(Boolean).join(', ');
+      return {
+        dedupeKey: `sale:${exception.saleId}`,
+        outletId: exception.outletId || null,
+        verificationId: exception.verificationId || null,
+        summary: `Sale ${exception.saleId} closed without an approved ID scan (${where})`,
+        details: {
+          saleId: exception.saleId,
+          reason: exception.reason,
+          registerId: exception.registerId || null,
+          userId: exception.userId || null,
+          exceptionId: exception.id,
+          saleClosedAt: exception.saleClosedAt instanceof Date ? exception.saleClosedAt.toISOString() : exception.saleClosedAt || null
+        }
+      };
+    }
+  }
+};
+
+function normalizeRule(id, raw, defaultChannels) {
+  const type = raw.type;
+  if (!RULE_TYPES[type]) {
+    logger.warn({ event: 'alert_rule_invalid', ruleId: id, type: type || null }, 'Alert rule has an unknown type; ignoring it');
+    return null;
+  }
+  return {
+    id,
+    type,
+    enabled: raw.enabled !== false,
+    threshold: parseIntInRange(raw.threshold, 1, 1, 10000),
+    windowMinutes: parseIntInRange(raw.windowMinutes, 60, 1, 7 * 24 * 60),
+    throttleMinutes: parseIntInRange(raw.throttleMinutes, 0, 0, 7 * 24 * 60),
+    severity: SEVERITIES.includes(raw.severity) ? raw.severity : 'warning',
+    channels: raw.channels ? parseChannelList(raw.channels) : defaultChannels
+  };
+}
+
+/**
+ * Effective rules: DEFAULT_RULES merged with ALERT_RULES, plus rules defined only in ALERT_RULES.
+ * Read on every call, so a config change applies without a restart.
+ */
+function loadRules() {
+  const defaultChannels = parseChannelList(process.env.ALERT_CHANNELS || 'smtp');
+  let overrides = {};
+  const text = String(process.env.ALERT_RULES || '').trim();
+  if (text) {
+    try {
+      overrides = JSON.parse(text) || {};
+    } catch (error) {
+      logger.error({ event: 'alert_rules_invalid', error: error.message }, 'ALERT_RULES is not valid JSON; using the default rules');
+      overrides = {};
+    }
+  }
+
+  const ids = Array.from(new Set([...Object.keys(DEFAULT_RULES), ...Object.keys(overrides)]));
+  return ids
+    .map((id) => normalizeRule(id, { ...DEFAULT_RULES[id], ...(overrides[id] || {}) }, defaultChannels))
+    .filter(Boolean);
+}
+
+// ---- Channels ---------------------------------------------------------------------------------------------------
+
+const channels = new Map();
+
+/**
+ * Add or replace a delivery channel. `send(alert)` resolves to 'sent' or 'skipped' (channel not configured) and
+ * throws when delivery fails.
+ *
+ * @param {string} name as listed in ALERT_CHANNELS / a rule's channels
+ * @param {(alert: object) => Promise<'sent'|'skipped'>} send
+ */
+function registerChannel(name, send) {
+  channels.set(String(name).toLowerCase(), send);
+}
+
+function toPayload(alert) {
+  return {
+    id: String(alert.id),
+    ruleId: alert.rule_id,
+    type: alert.rule_type,
+    severity: alert.severity,
+    summary: alert.summary,
+    outletId: alert.outlet_id || null,
+    verificationId: alert.verification_id || null,
+    details: alert.details || {},
+    createdAt: alert.created_at instanceof Date ? alert.created_at.toISOString() : alert.created_at
+  };
+}
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+registerChannel('smtp', async (alert) => {
+  if (!process.env.SMTP_USER || !process.env.SMTP_PASS) return 'skipped';
+  const payload = toPayload(alert);
+  const html = `
+    <h2>${escapeHtml(payload.summary)}</h2>
+    <p><strong>Rule:</strong> ${escapeHtml(payload.ruleId)} (${escapeHtml(payload.severity)})</p>
+    <p><strong>Outlet:</strong> ${escapeHtml(payload.outletId || 'Unknown')}</p>
+    <p><strong>Verification:</strong> ${escapeHtml(payload.verificationId || 'None')}</p>
+    <pre>${escapeHtml(JSON.stringify(payload.details, null, 2))}</pre>
+    <p>Alert history: /admin/alerts.html</p>
+  `;
+  const info = await emailService.sendAlertEmail(payload.summary, html);
+  if (!info) throw new Error('SMTP_SEND_FAILED');
+  return 'sent';
+});
+
+// Generic JSON webhook. With ALERT_WEBHOOK_SECRET set, X-Alert-Signature is sha256=<HMAC-SHA256 of the raw body>.
+registerChannel('webhook', async (alert) => {
+  const url = process.env.ALERT_WEBHOOK_URL;
+  if (!url) return 'skipped';
+  const body = JSON.stringify(toPayload(alert));
+  const headers = { 'Content-Type': 'application/json' };
+  if (process.env.ALERT_WEBHOOK_SECRET) {
+    headers['X-Alert-Signature'] = `sha256=${crypto.createHmac('sha256', process.env.ALERT_WEBHOOK_SECRET).update(body).digest('hex')}`;
+  }
+  const response = await fetch(url, {
+    method: 'POST',
+    headers,
+    body,
+    signal: AbortSignal.timeout(parseIntInRange(process.env.ALERT_WEBHOOK_TIMEOUT_MS, 5000, 500, 30000))
+  });
+  if (!response.ok) throw new Error(`WEBHOOK_HTTP_${response.status}`);
+  return 'sent';
+});
+
+// One JSON line per alert; meant for tests and local development.
+registerChannel('file', async (alert) => {
+  const filePath = process.env.ALERT_FILE_PATH;
+  if (!filePath) return 'skipped';
+  await fs.promises.mkdir(path.dirname(path.resolve(filePath)), { recursive: true });
+  await fs.promises.appendFile(filePath, `${JSON.stringify(toPayload(alert))}\n`, 'utf8');
+  return 'sent';
+});
+
+async function deliver(alert, channelNames) {
+  const deliveries = {};
+  for (const name of channelNames) {
+    const send = channels.get(name);
+    if (!send) {
+      deliveries[name] = { status: 'failed', error: 'UNKNOWN_CHANNEL' };
+      continue;
+    }
+    try {
+      deliveries[name] = { status: await send(alert) };
+    } catch (error) {
+      deliveries[name] = { status: 'failed', error: error.message };
+      logger.warn({ event: 'alert_delivery_failed', alertId: String(alert.id), channel: name, error: error.message }, 'Alert delivery failed');
+    }
+  }
+  return deliveries;
+}
+
+// ---- History ----------------------------------------------------------------------------------------------------
+
+// Insert unless the rule already alerted on this subject within its throttle window (checked in the same statement).
+async function recordAlert(rule, hit) {
+  const { rows } = await db.query(
+    `
+      INSERT INTO alert_history (rule_id, rule_type, severity, dedupe_key, outlet_id, verification_id, summary, details)
+      SELECT $1, $2, $3, $4, $5, $6, $7, $8
+      WHERE $9::int <= 0 OR NOT EXISTS (
+        SELECT 1
+        FROM alert_history
+        WHERE rule_id = $1
+          AND dedupe_key = $4
+          AND created_at > NOW() - ($9::int * INTERVAL '1 minute')
+      )
+      RETURNING *
+    `,
+    [
+      rule.id,
+      rule.type,
+      rule.severity,
+      hit.dedupeKey,
+      hit.outletId || null,
+      hit.verificationId || null,
+      hit.summary,
+      JSON.stringify(hit.details || {}),
+      rule.throttleMinutes
+    ]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Run the rules for one event and raise the alerts they produce. Never throws.
+ *
+ * @param {{kind: 'verification', verification: object, signals?: object}
+ *   | {kind: 'override', outletId?: string, saleId?: string, verificationId?: string, manager?: object, note?: string}
+ *   | {kind: 'sale', exception: object}} event
+ *   verification is the saved (revealed) verifications row; signals carry what the row cannot: bannedId,
+ *   bannedMatch ('block'|'review'), bannedConfidence, suspicions (string[]); exception is a recorded
+ *   compliance_exceptions row (complianceStore.recordComplianceException)
+ * @returns {Promise<object[]>} the alert_history rows raised, with their deliveries
+ */
+async function processEvent(event) {
+  if (!db.pool || process.env.ALERTS_ENABLED === 'false') return [];
+  const normalized = event.kind === 'verification' ? { ...event, signals: event.signals || {} } : event;
+  const raised = [];
+
+  for (const rule of loadRules()) {
+    if (!rule.enabled || RULE_TYPES[rule.type].event !== event.kind) continue;
+    try {
+      const hit = await RULE_TYPES[rule.type].evaluate(rule, normalized);
+      if (!hit) continue;
+      const alert = await recordAlert(rule, hit);
+      if (!alert) {
+        logger.debug({ event: 'alert_throttled', ruleId: rule.id, dedupeKey: hit.dedupeKey }, 'Alert suppressed by throttle');
+        continue;
+      }
+      const deliveries = await deliver(alert, rule.channels);
+      await db.query('UPDATE alert_history SET deliveries = $2 WHERE id = $1', [alert.id, JSON.stringify(deliveries)]);
+      logger.logSecurity('alert_raised', { alertId: String(alert.id), ruleId: rule.id, outletId: alert.outlet_id, deliveries });
+      raised.push({ ...alert, deliveries });
+    } catch (error) {
+      logger.logAPIError('alert_rule', error, { ruleId: rule.id, kind: event.kind });
+    }
+  }
+  return raised;
+}
+
+function mapAlert(row) {
+  return {
+    id: String(row.id),
+    ruleId: row.rule_id,
+    type: row.rule_type,
+    severity: row.severity,
+    summary: row.summary,
+    outletId: row.outlet_id || null,
+    verificationId: row.verification_id || null,
+    details: row.details || {},
+    deliveries: row.deliveries || {},
+    createdAt: row.created_at
+  };
+}
+
+/**
+ * Alert history, newest first.
+ *
+ * @param {{ruleId?: string, outletId?: string, severity?: string, limit?: number, offset?: number}} [filters]
+ */
+async function listAlerts({ ruleId, outletId, severity, limit = 100, offset = 0 } = {}) {
+  const { rows } = await db.query(
+    `
+      SELECT *
+      FROM alert_history
+      WHERE ($1::text IS NULL OR rule_id = $1)
+        AND ($2::text IS NULL OR outlet_id = $2)
+        AND ($3::text IS NULL OR severity = $3)
+      ORDER BY created_at DESC, id DESC
+      LIMIT $4 OFFSET $5
+    `,
+    [
+      ruleId || null,
+      outletId || null,
+      SEVERITIES.includes(severity) ? severity : null,
+      parseIntInRange(limit, 100, 1, 500),
+      parseIntInRange(offset, 0, 0, Number.MAX_SAFE_INTEGER)
+    ]
+  );
+  return rows.map(mapAlert);
+}
+
+// Rules and channel readiness for the admin console (no secrets).
+function describeConfiguration() {
+  return {
+    enabled: process.env.ALERTS_ENABLED !== 'false',
+    rules: loadRules(),
+    channels: {
+      smtp: Boolean(process.env.SMTP_USER && process.env.SMTP_PASS),
+      webhook: Boolean(process.env.ALERT_WEBHOOK_URL),
+      file: Boolean(process.env.ALERT_FILE_PATH),
+      ...Object.fromEntries(Array.from(channels.keys()).filter((name) => !['smtp', 'webhook', 'file'].includes(name)).map((name) => [name, true]))
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_RULES,
+  RULE_TYPES,
+  loadRules,
+  registerChannel,
+  processEvent,
+  listAlerts,
+  describeConfiguration
+};
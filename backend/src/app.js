@@ -10,10 +10,12 @@ const logger = require('./logger');
 const { authenticateRequest, optionalAuth, adminAuth } = require('./auth');
 const apiRoutes = require('./routes');
 const adminRoutes = require('./adminRoutes');
+const adminSessionRoutes = require('./adminSessionRoutes');
 const scanSessionRoutes = require('./scanSessionRoutes');
 const terminalRoutes = require('./terminalRoutes');
 const oauthRoutes = require('./oauthRoutes');
 const lightspeedWebhookRoutes = require('./lightspeedWebhookRoutes');
+const lightspeedScheduler = require('./lightspeedScheduler');
 
 const app = express();
 
@@ -103,6 +105,25 @@ const strictLimiter = rateLimit({
   }
 });
 
+// Manager PIN checks: on top of the per-address PIN lockout (managerStore), cap how fast one address can try.
+const managerPinLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 30,
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler(req, res) {
+    logger.logSecurity('rate_limit_exceeded', {
+      ip: req.ip,
+      path: req.path,
+      type: 'manager_pin'
+    });
+    res.status(429).json({
+      error: 'RATE_LIMIT_EXCEEDED',
+      message: 'Too many manager PIN attempts from this IP, please try again later.'
+    });
+  }
+});
+
 app.use(
   pinoHttp({
     logger,
@@ -143,9 +164,17 @@ const scanSessionLimiter = rateLimit({
 app.use('/api/scan-sessions', scanSessionLimiter);
 app.use('/api/sales/:saleId/verify', strictLimiter);
 app.use('/api/sales/:saleId/complete', strictLimiter);
+app.use('/api/v2/sales/:saleId/verifications', strictLimiter); // v2 verify and complete
+app.use('/api/sales/:saleId/override', managerPinLimiter);
+app.use('/api/verifications/:verificationId/ban', managerPinLimiter);
 app.use('/api', generalLimiter);
 
-// Admin routes - protected with admin token authentication
+// Lightspeed calls made for dashboards and crons queue behind register-time calls (see lightspeedScheduler.js).
+app.use('/admin', lightspeedScheduler.laneMiddleware('admin'));
+app.use('/api/cron', lightspeedScheduler.laneMiddleware('background'));
+
+// Admin routes - sign-in is public; everything else needs an admin session (roles are checked per endpoint)
+app.use('/admin/auth', adminSessionRoutes);
 app.use('/admin', adminAuth, adminRoutes);
 
 // API routes - enforce authentication when API_SECRET_KEY is configured
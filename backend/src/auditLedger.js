@@ -0,0 +1,251 @@
+"use strict";
+
+const crypto = require('crypto');
+const db = require('./db');
+const logger = require('./logger');
+
+/**
+ * Append-only, hash-chained audit ledger for the TABC compliance records.
+ *
+ * complianceStore writes one entry per verification insert/update, override, sale completion and retention deletion,
+ * in the same transaction as the change itself. Each entry's hash covers its own content plus the previous entry's
+ * hash, so editing or removing any entry breaks every link after it; verifyLedger() walks the chain and reports the
+ * first broken link. Entries carry identifiers and a hash of the affected row, not the customer PII itself, so the
+ * ledger can outlive the retention window of the records it describes.
+ *
+ * Deleting entries from the tail cannot be detected from the chain alone; keep the { lastSeq, lastHash } that
+ * verifyLedger() reports (e.g. in the inspection manifest) to anchor it.
+ */
+
+const GENESIS_HASH = '0'.repeat(64);
+// pg_advisory_xact_lock key serializing appends (the ASCII for "TABCLEDG").
+const LEDGER_LOCK_KEY = '6071206629481989191';
+const VERIFY_BATCH_SIZE = 1000;
+
+let ensurePromise = null;
+
+async function ensureTables() {
+  if (!db.pool) return false;
+  if (!ensurePromise) {
+    ensurePromise = (async () => {
+      await db.query(
+        `
+          CREATE TABLE IF NOT EXISTS compliance_audit_ledger (
+            seq BIGINT PRIMARY KEY,
+            event_type VARCHAR(50) NOT NULL,
+            entity_type VARCHAR(50) NOT NULL,
+            entity_id VARCHAR(150),
+            payload JSONB NOT NULL DEFAULT '{}'::jsonb,
+            recorded_at TIMESTAMPTZ NOT NULL,
+            prev_hash CHAR(64) NOT NULL,
+            entry_hash CHAR(64) NOT NULL UNIQUE
+          )
+        `
+      );
+      await db.query(
+        'CREATE INDEX IF NOT EXISTS idx_compliance_audit_ledger_entity ON compliance_audit_ledger (entity_type, entity_id)'
+      );
+      return true;
+    })().catch((error) => {
+      ensurePromise = null;
+      throw error;
+    });
+  }
+  return ensurePromise;
+}
+
+// JSON with sorted object keys, so the hash does not depend on property order (JSONB reorders keys on storage).
+function canonicalJson(value) {
+  if (value === null || value === undefined) return 'null';
+  if (value instanceof Date) return JSON.stringify(value.toISOString());
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (typeof value === 'object') {
+    return `{${Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function sha256Hex(text) {
+  return crypto.createHash('sha256').update(text, 'utf8').digest('hex');
+}
+
+/**
+ * Hash of a database row as it was written; lets an auditor prove a record matches what the ledger saw.
+ */
+function hashRecord(row) {
+  return sha256Hex(canonicalJson(row || {}));
+}
+
+function computeEntryHash({ seq, eventType, entityType, entityId, payload, recordedAt, prevHash }) {
+  const body = canonicalJson({
+    seq: String(seq),
+    eventType,
+    entityType,
+    entityId: entityId ?? null,
+    payload: payload || {},
+    recordedAt: recordedAt instanceof Date ? recordedAt.toISOString() : recordedAt
+  });
+  return sha256Hex(`${prevHash}\n${body}`);
+}
+
+/**
+ * Append entries inside the caller's transaction (client must be inside BEGIN). Appends are serialized with a
+ * transaction-scoped advisory lock so concurrent writers cannot fork the chain; seq is assigned under the same lock,
+ * so a gap in seq always means a deleted entry (unlike a sequence, which skips values on rollback).
+ *
+ * @param {import('pg').PoolClient} client
+ * @param {Array<{eventType: string, entityType: string, entityId?: string, payload?: object}>} entries
+ * @returns {Promise<Array<{seq: string, entryHash: string}>>}
+ */
+async function appendEntries(client, entries) {
+  if (!entries.length) return [];
+
+  await client.query('SELECT pg_advisory_xact_lock($1::bigint)', [LEDGER_LOCK_KEY]);
+  const { rows } = await client.query(
+    'SELECT seq, entry_hash FROM compliance_audit_ledger ORDER BY seq DESC LIMIT 1'
+  );
+  let prevHash = rows[0]?.entry_hash || GENESIS_HASH;
+  let seq = rows[0] ? BigInt(rows[0].seq) : 0n;
+
+  const appended = [];
+  for (const entry of entries) {
+    seq += 1n;
+    // Round-trip through JSON so Dates and undefined hash the same way they will read back from JSONB.
+    const payload = JSON.parse(JSON.stringify(entry.payload || {}));
+    const recordedAt = new Date().toISOString();
+    const entryHash = computeEntryHash({
+      seq,
+      eventType: entry.eventType,
+      entityType: entry.entityType,
+      entityId: entry.entityId ?? null,
+      payload,
+      recordedAt,
+      prevHash
+    });
+
+    await client.query(
+      `
+        INSERT INTO compliance_audit_ledger
+          (seq, event_type, entity_type, entity_id, payload, recorded_at, prev_hash, entry_hash)
+        VALUES ($1, $2, $3, $4, $5::jsonb, $6, $7, $8)
+      `,
+      [String(seq), entry.eventType, entry.entityType, entry.entityId ?? null, JSON.stringify(payload), recordedAt, prevHash, entryHash]
+    );
+    appended.push({ seq: String(seq), entryHash });
+    prevHash = entryHash;
+  }
+  return appended;
+}
+
+/**
+ * Run `work(client, record)` in a transaction; entries passed to record() are appended to the ledger just before
+ * COMMIT, so the change and its ledger entry commit (or roll back) together.
+ */
+async function withLedgerTransaction(work) {
+  if (!db.pool) {
+    throw new Error('DATABASE_URL is not configured');
+  }
+  await ensureTables();
+
+  const client = await db.pool.connect();
+  const pending = [];
+  try {
+    await client.query('BEGIN');
+    const result = await work(client, (entry) => pending.push(entry));
+    await appendEntries(client, pending);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Walk the whole chain in seq order.
+ *
+ * @returns {Promise<{ok: boolean, entriesChecked: number, lastSeq: string|null, lastHash: string|null,
+ *   firstBrokenLink: null|{seq: string, reason: string, expected: string, actual: string}}>}
+ *   reason is SEQUENCE_GAP (an entry was removed), PREV_HASH_MISMATCH (entries reordered/removed/inserted) or
+ *   HASH_MISMATCH (the entry's content was edited).
+ */
+async function verifyLedger({ batchSize = VERIFY_BATCH_SIZE } = {}) {
+  if (!(await ensureTables())) {
+    throw new Error('DATABASE_NOT_CONFIGURED');
+  }
+
+  let expectedSeq = 1n;
+  let prevHash = GENESIS_HASH;
+  let entriesChecked = 0;
+  let lastSeq = null;
+
+  for (;;) {
+    const { rows } = await db.query(
+      `
+        SELECT seq, event_type, entity_type, entity_id, payload, recorded_at, prev_hash, entry_hash
+        FROM compliance_audit_ledger
+        WHERE seq >= $1
+        ORDER BY seq ASC
+        LIMIT $2
+      `,
+      [String(expectedSeq), batchSize],
+      30_000
+    );
+    if (!rows.length) break;
+
+    for (const row of rows) {
+      const seq = BigInt(row.seq);
+      const broken = (reason, expected, actual) => ({
+        ok: false,
+        entriesChecked,
+        lastSeq,
+        lastHash: lastSeq ? prevHash : null,
+        firstBrokenLink: { seq: String(seq), reason, expected, actual }
+      });
+
+      if (seq !== expectedSeq) {
+        return broken('SEQUENCE_GAP', String(expectedSeq), String(seq));
+      }
+      if (row.prev_hash !== prevHash) {
+        return broken('PREV_HASH_MISMATCH', prevHash, row.prev_hash);
+      }
+      const recomputed = computeEntryHash({
+        seq,
+        eventType: row.event_type,
+        entityType: row.entity_type,
+        entityId: row.entity_id,
+        payload: row.payload,
+        recordedAt: new Date(row.recorded_at),
+        prevHash: row.prev_hash
+      });
+      if (recomputed !== row.entry_hash) {
+        return broken('HASH_MISMATCH', recomputed, row.entry_hash);
+      }
+
+      prevHash = row.entry_hash;
+      lastSeq = String(seq);
+      expectedSeq = seq + 1n;
+      entriesChecked += 1;
+    }
+    if (rows.length < batchSize) break;
+  }
+
+  logger.info({ event: 'audit_ledger_verified', entriesChecked, lastSeq }, 'Audit ledger chain verified');
+  return { ok: true, entriesChecked, lastSeq, lastHash: lastSeq ? prevHash : null, firstBrokenLink: null };
+}
+
+module.exports = {
+  GENESIS_HASH,
+  ensureTables,
+  hashRecord,
+  computeEntryHash,
+  appendEntries,
+  withLedgerTransaction,
+  verifyLedger
+};
@@ -1,5 +1,7 @@
 const logger = require('./logger');
 const config = require('./config');
+const db = require('./db');
+const adminUserStore = require('./adminUserStore');
 
 /**
  * API Key Authentication Middleware
@@ -87,79 +89,243 @@ function optionalAuth(req, res, next) {
 }
 
 /**
- * Admin Token Authentication Middleware
+ * Admin Session Authentication Middleware
  *
- * Protects admin routes (dashboard, reports, sensitive data) from unauthorized access
+ * Protects admin routes (dashboard, reports, sensitive data) with named admin users (see adminUserStore.js)
  * Required for TABC compliance and data privacy
  *
  * Usage:
- * - Admin requests must include X-Admin-Token header
- * - Token stored in environment variable ADMIN_TOKEN
- * - Generate with: node -e "console.log(require('crypto').randomBytes(32).toString('hex'))"
+ * - Sign in with POST /admin/auth/login; the browser then sends the admin_session cookie automatically
+ * - Scripts may send the same session token as "Authorization: Bearer <token>"
+ * - Each admin endpoint declares the roles it accepts with requireRole(...)
+ * - Outside production, an explicit ADMIN_AUTH_BYPASS=true signs every request in as an owner; a missing
+ *   DATABASE_URL never does (admin routes then answer 401/503 instead of opening up)
  */
-function adminAuth(req, res, next) {
-  // Allow the admin HTML shell pages to load without a token so the UI can prompt
-  // for X-Admin-Token (production serves these via static rewrites).
+const ADMIN_SESSION_COOKIE = 'admin_session';
+const OUTLET_QUERY_KEYS = ['outletId', 'location', 'outlet'];
+
+// Which endpoint roles each user role satisfies. Owners satisfy everything and are never outlet-scoped.
+const ROLE_GRANTS = {
+  owner: ['owner', 'compliance', 'store_manager', 'analyst'],
+  compliance: ['compliance', 'analyst'],
+  store_manager: ['store_manager'],
+  analyst: ['analyst']
+};
+
+const DEV_BYPASS_ADMIN = Object.freeze({
+  id: 'dev-bypass',
+  email: null,
+  name: 'Development bypass',
+  role: 'owner',
+  outletIds: [],
+  bypass: true
+});
+
+function parseCookies(header) {
+  return String(header || '')
+    .split(';')
+    .reduce((cookies, part) => {
+      const index = part.indexOf('=');
+      if (index > 0) {
+        const name = part.slice(0, index).trim();
+        try {
+          cookies[name] = decodeURIComponent(part.slice(index + 1).trim());
+        } catch (error) {
+          cookies[name] = part.slice(index + 1).trim();
+        }
+      }
+      return cookies;
+    }, {});
+}
+
+function readAdminSessionToken(req) {
+  const authorization = String(req.headers.authorization || '');
+  if (/^Bearer\s+/i.test(authorization)) {
+    return authorization.replace(/^Bearer\s+/i, '').trim() || null;
+  }
+  return parseCookies(req.headers.cookie)[ADMIN_SESSION_COOKIE] || null;
+}
+
+function isAdminAuthBypassed() {
+  if (config.env === 'production') return false;
+  return String(process.env.ADMIN_AUTH_BYPASS || '').trim().toLowerCase() === 'true';
+}
+
+function rejectAdmin(req, res, message) {
+  // Browser navigations (e.g. GET /admin/) go to the login page instead of a JSON error.
+  if (req.method === 'GET' && req.accepts(['json', 'html']) === 'html') {
+    return res.redirect(302, `/admin/login.html?next=${encodeURIComponent(req.originalUrl)}`);
+  }
+  return res.status(401).json({
+    error: 'UNAUTHORIZED',
+    message
+  });
+}
+
+async function adminAuth(req, res, next) {
+  // Allow the admin HTML shell pages to load without a session so the UI can
+  // send the user to the login page (production serves these via static rewrites).
   if (req.method === 'GET' && typeof req.path === 'string' && req.path.toLowerCase().endsWith('.html')) {
     return next();
   }
 
-  const token = String(req.headers['x-admin-token'] || '').trim();
-  const expectedToken = String(process.env.ADMIN_TOKEN || '').trim();
+  const token = readAdminSessionToken(req);
 
-  // If no admin token is configured, allow access but warn
-  if (!expectedToken) {
+  if (isAdminAuthBypassed() && (!token || !db.pool)) {
     logger.warn({
       event: 'admin_auth_bypassed',
       ip: req.ip,
       path: req.path,
-      reason: 'ADMIN_TOKEN not configured'
-    }, 'Admin route accessed without authentication - ADMIN_TOKEN not set');
+      reason: 'ADMIN_AUTH_BYPASS enabled'
+    }, 'Admin route accessed without authentication (non-production bypass)');
+    req.admin = DEV_BYPASS_ADMIN;
     return next();
   }
 
-  // Check if token is provided
+  // Check if a session is provided
   if (!token) {
-    logger.logSecurity('missing_admin_token', {
+    logger.logSecurity('missing_admin_session', {
       ip: req.ip,
       path: req.path,
       origin: req.get('origin'),
       userAgent: req.get('user-agent')
     });
+    return rejectAdmin(req, res, 'Sign in to the admin console (POST /admin/auth/login).');
+  }
 
-    return res.status(401).json({
-      error: 'UNAUTHORIZED',
-      message: 'Missing admin token. Include X-Admin-Token header in your request.'
+  let admin = null;
+  try {
+    admin = await adminUserStore.getSessionUser(token);
+  } catch (error) {
+    logger.logAPIError('admin_session_lookup', error, { path: req.path });
+    return res.status(503).json({
+      error: 'ADMIN_AUTH_UNAVAILABLE',
+      message: 'Admin sessions are unavailable. Check the database connection.'
     });
   }
 
-  // Validate token
-  if (token !== expectedToken) {
-    logger.logSecurity('invalid_admin_token', {
+  // Validate session
+  if (!admin) {
+    logger.logSecurity('invalid_admin_session', {
       ip: req.ip,
       path: req.path,
-      providedToken: token.substring(0, 8) + '...', // Log prefix only for security
       origin: req.get('origin')
     });
-
-    return res.status(401).json({
-      error: 'UNAUTHORIZED',
-      message: 'Invalid admin token.'
-    });
+    return rejectAdmin(req, res, 'Admin session expired or invalid. Sign in again.');
   }
 
   // Success - log and continue
   logger.debug({
     event: 'admin_auth_success',
     ip: req.ip,
-    path: req.path
+    path: req.path,
+    adminUserId: admin.id,
+    role: admin.role
   }, 'Admin request authenticated successfully');
 
+  req.admin = admin;
   next();
 }
 
+function requestedOutletIds(req) {
+  const values = [req.params?.locationId, ...OUTLET_QUERY_KEYS.map((key) => req.query?.[key]), req.body?.outletId];
+  return values
+    .filter((value) => value !== undefined && value !== null && String(value).trim() !== '')
+    .map((value) => String(value).trim());
+}
+
+/**
+ * Store managers only see their own outlets: any outlet the request names must be theirs, and a request that names
+ * none is pinned to their outlet (or rejected when they have several and must pick one).
+ */
+function enforceOutletScope(req, res) {
+  const allowed = req.admin.outletIds || [];
+  const requested = requestedOutletIds(req);
+
+  const forbidden = requested.find((outletId) => !allowed.includes(outletId));
+  if (forbidden) {
+    logger.logSecurity('admin_outlet_forbidden', { adminUserId: req.admin.id, outletId: forbidden, path: req.path });
+    res.status(403).json({
+      error: 'OUTLET_FORBIDDEN',
+      message: 'Your account is not assigned to this outlet.'
+    });
+    return false;
+  }
+
+  if (!requested.length) {
+    if (allowed.length !== 1) {
+      res.status(400).json({
+        error: 'OUTLET_REQUIRED',
+        message: 'Choose one of your outlets (outletId).',
+        outletIds: allowed
+      });
+      return false;
+    }
+    OUTLET_QUERY_KEYS.forEach((key) => {
+      req.query[key] = allowed[0];
+    });
+  }
+  return true;
+}
+
+/**
+ * Declare the roles an admin endpoint accepts, e.g. router.get('/bi/summary', requireRole('analyst', 'store_manager'), ...).
+ * requireRole('any') accepts every signed-in admin without outlet scoping (status, outlet list).
+ * Must run after adminAuth.
+ */
+function requireRole(...roles) {
+  const anyRole = roles.includes('any');
+  return (req, res, next) => {
+    const admin = req.admin;
+    if (!admin) {
+      return res.status(401).json({
+        error: 'UNAUTHORIZED',
+        message: 'Sign in to the admin console (POST /admin/auth/login).'
+      });
+    }
+
+    if (anyRole) return next();
+
+    const grants = ROLE_GRANTS[admin.role] || [];
+    if (!roles.some((role) => grants.includes(role))) {
+      logger.logSecurity('admin_role_denied', { adminUserId: admin.id, role: admin.role, required: roles, path: req.path });
+      return res.status(403).json({
+        error: 'FORBIDDEN',
+        message: `This action requires one of the roles: ${roles.join(', ')}.`
+      });
+    }
+
+    if (admin.role === 'store_manager' && !enforceOutletScope(req, res)) return undefined;
+    return next();
+  };
+}
+
+function setAdminSessionCookie(res, token, expiresAt) {
+  res.cookie(ADMIN_SESSION_COOKIE, token, {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: config.env === 'production',
+    path: '/',
+    expires: expiresAt
+  });
+}
+
+function clearAdminSessionCookie(res) {
+  res.clearCookie(ADMIN_SESSION_COOKIE, {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: config.env === 'production',
+    path: '/'
+  });
+}
+
 module.exports = {
   authenticateRequest,
   optionalAuth,
-  adminAuth
+  adminAuth,
+  requireRole,
+  readAdminSessionToken,
+  setAdminSessionCookie,
+  clearAdminSessionCookie,
+  ADMIN_SESSION_COOKIE
 };
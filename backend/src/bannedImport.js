@@ -0,0 +1,293 @@
+"use strict";
+
+const { validationResult } = require('express-validator');
+const { validateBannedCreate } = require('./validation');
+
+/**
+ * Bulk banned-list import/export: CSV/JSON parsing, column mapping, per-row validation with the same rules as
+ * POST /api/banned, and the export record format (which the import reads back unchanged).
+ */
+
+const BANNED_IMPORT_FIELDS = [
+  'documentType',
+  'documentNumber',
+  'issuingCountry',
+  'firstName',
+  'lastName',
+  'dateOfBirth',
+  'phone',
+  'email',
+  'address',
+  'postalCode',
+  'notes',
+  'reasonCategory',
+  'scope',
+  'outletIds',
+  'startsAt',
+  'endsAt',
+  'bannedLocationId'
+];
+
+// Common spreadsheet headers that do not reduce to a field name on their own.
+const HEADER_ALIASES = {
+  dob: 'dateOfBirth',
+  birthdate: 'dateOfBirth',
+  zip: 'postalCode',
+  zipcode: 'postalCode',
+  note: 'notes',
+  reason: 'notes',
+  country: 'issuingCountry',
+  outlets: 'outletIds',
+  idnumber: 'documentNumber',
+  licensenumber: 'documentNumber'
+};
+
+const MAX_IMPORT_ROWS = 5000;
+
+function headerKey(value) {
+  return String(value || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+const FIELD_BY_HEADER = BANNED_IMPORT_FIELDS.reduce(
+  (acc, field) => ({ ...acc, [headerKey(field)]: field }),
+  { ...HEADER_ALIASES }
+);
+
+/**
+ * RFC 4180 CSV: quoted fields may contain commas, quotes ("") and line breaks. Blank lines are skipped.
+ *
+ * @returns {{ header: string[], records: Array<{ line: number, cells: string[] }> }}
+ * @throws {Error} CSV_UNTERMINATED_QUOTE
+ */
+function parseCsv(text) {
+  const input = String(text || '').replace(/^\uFEFF/, '');
+  const records = [];
+  let cells = [];
+  let cell = '';
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const endRecord = () => {
+    cells.push(cell);
+    if (cells.length > 1 || cells[0].trim() !== '') {
+      records.push({ line: recordLine, cells });
+    }
+    cells = [];
+    cell = '';
+  };
+
+  for (let i = 0; i < input.length; i += 1) {
+    const ch = input[i];
+    if (quoted) {
+      if (ch === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        if (ch === '\n') line += 1;
+        cell += ch;
+      }
+    } else if (ch === '"' && cell === '') {
+      quoted = true;
+    } else if (ch === ',') {
+      cells.push(cell);
+      cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && input[i + 1] === '\n') i += 1;
+      endRecord();
+      line += 1;
+      recordLine = line;
+    } else {
+      cell += ch;
+    }
+  }
+  if (quoted) {
+    throw new Error('CSV_UNTERMINATED_QUOTE');
+  }
+  if (cell !== '' || cells.length) {
+    endRecord();
+  }
+
+  const [header, ...rest] = records;
+  return { header: header ? header.cells.map((name) => name.trim()) : [], records: rest };
+}
+
+// The CSV export (exportFormats.toCsv) puts a ' before a cell that would start a spreadsheet formula; drop it so an
+// export imports as is.
+function unguardCell(value) {
+  return /^'[=+\-@\t\r]/.test(value) ? value.slice(1) : value;
+}
+
+/**
+ * Resolve each field to a source column: an explicit `mapping` ({ field: column }) wins, otherwise a column whose
+ * name matches the field ignoring case, spaces and underscores ("First Name", "first_name", "firstName").
+ *
+ * @throws {Error} UNKNOWN_MAPPING_FIELD / MAPPED_COLUMN_MISSING
+ */
+function resolveColumns(columns, mapping = {}) {
+  const resolved = {};
+  columns.forEach((column) => {
+    const field = FIELD_BY_HEADER[headerKey(column)];
+    if (field && !resolved[field]) resolved[field] = column;
+  });
+  Object.entries(mapping || {}).forEach(([field, column]) => {
+    if (!BANNED_IMPORT_FIELDS.includes(field)) {
+      const error = new Error('UNKNOWN_MAPPING_FIELD');
+      error.field = field;
+      throw error;
+    }
+    if (!columns.includes(column)) {
+      const error = new Error('MAPPED_COLUMN_MISSING');
+      error.field = field;
+      error.column = column;
+      throw error;
+    }
+    resolved[field] = column;
+  });
+  return resolved;
+}
+
+function toFieldValues(source, columnsByField) {
+  const values = {};
+  Object.entries(columnsByField).forEach(([field, column]) => {
+    let value = source[column];
+    if (value === null || value === undefined) return;
+    if (field === 'outletIds') {
+      value = Array.isArray(value) ? value : String(value).split(/[;|]/);
+      value = value.map((id) => String(id).trim()).filter(Boolean);
+    } else if (typeof value !== 'string') {
+      value = String(value);
+    }
+    if (value === '') return;
+    values[field] = value;
+  });
+  return values;
+}
+
+/**
+ * Turn an upload into mapped rows. JSON is an array of objects or the export envelope ({ entries: [...] }); rows
+ * are numbered by CSV line (header = 1) or by array position (first = 1).
+ *
+ * @param {{ format: 'csv'|'json', data: string|object|Array, mapping?: object }} upload
+ * @returns {{ columns: string[], columnsByField: object, rows: Array<{ line: number, values: object }> }}
+ * @throws {Error} INVALID_IMPORT / TOO_MANY_ROWS / CSV_UNTERMINATED_QUOTE / mapping errors
+ */
+function readImportRows({ format, data, mapping }) {
+  let columns;
+  let sources;
+
+  if (format === 'json') {
+    let parsed = data;
+    if (typeof data === 'string') {
+      try {
+        parsed = JSON.parse(data);
+      } catch {
+        throw new Error('INVALID_IMPORT');
+      }
+    }
+    const entries = Array.isArray(parsed) ? parsed : parsed?.entries;
+    if (!Array.isArray(entries) || entries.some((entry) => !entry || typeof entry !== 'object' || Array.isArray(entry))) {
+      throw new Error('INVALID_IMPORT');
+    }
+    columns = Array.from(new Set(entries.flatMap((entry) => Object.keys(entry))));
+    sources = entries.map((entry, index) => ({ line: index + 1, source: entry }));
+  } else {
+    if (typeof data !== 'string') {
+      throw new Error('INVALID_IMPORT');
+    }
+    const { header, records } = parseCsv(data);
+    if (!header.length) {
+      throw new Error('INVALID_IMPORT');
+    }
+    columns = header;
+    sources = records.map(({ line, cells }) => ({
+      line,
+      source: header.reduce((acc, name, index) => ({ ...acc, [name]: unguardCell(cells[index] ?? '').trim() }), {})
+    }));
+  }
+
+  if (sources.length > MAX_IMPORT_ROWS) {
+    throw new Error('TOO_MANY_ROWS');
+  }
+
+  const columnsByField = resolveColumns(columns, mapping);
+  return {
+    columns,
+    columnsByField,
+    rows: sources.map(({ line, source }) => ({ line, values: toFieldValues(source, columnsByField) }))
+  };
+}
+
+/**
+ * Run one row through the validateBannedCreate chains, exactly as if it had been POSTed to /api/banned.
+ *
+ * @returns {Promise<{ body: object, errors: Array<{ field: string|null, message: string }> }>} body has the chains'
+ * sanitizers applied
+ */
+async function validateImportRow(values) {
+  const req = { body: { ...values } };
+  for (const chain of validateBannedCreate) {
+    if (typeof chain.run === 'function') {
+      await chain.run(req);
+    }
+  }
+  const errors = validationResult(req)
+    .array()
+    .map((error) => ({ field: error.path || null, message: error.msg }));
+  return { body: req.body, errors };
+}
+
+function formatDateOnly(value) {
+  if (!value) return null;
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString().slice(0, 10);
+}
+
+function formatTimestamp(value) {
+  if (!value) return null;
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Export shape of a ban (listBannedCustomers item): the import fields only, so an export can be imported as is.
+ */
+function toExportRecord(ban) {
+  return {
+    documentType: ban.documentType,
+    documentNumber: ban.documentNumber || null,
+    issuingCountry: ban.issuingCountry || null,
+    firstName: ban.firstName || null,
+    lastName: ban.lastName || null,
+    dateOfBirth: formatDateOnly(ban.dateOfBirth),
+    phone: ban.phone || null,
+    email: ban.email || null,
+    address: ban.address || null,
+    postalCode: ban.postalCode || null,
+    notes: ban.notes || null,
+    reasonCategory: ban.reasonCategory || 'other',
+    scope: ban.scope || 'chain',
+    outletIds: ban.outletIds || [],
+    startsAt: formatTimestamp(ban.startsAt),
+    endsAt: formatTimestamp(ban.endsAt),
+    bannedLocationId: ban.bannedLocationId || null
+  };
+}
+
+// CSV cells are flat: outlet ids are joined with ';' (split again on import).
+function toExportCsvRow(record) {
+  return { ...record, outletIds: record.outletIds.join(';') };
+}
+
+module.exports = {
+  BANNED_IMPORT_FIELDS,
+  MAX_IMPORT_ROWS,
+  parseCsv,
+  resolveColumns,
+  readImportRows,
+  validateImportRow,
+  toExportRecord,
+  toExportCsvRow
+};
@@ -0,0 +1,352 @@
+"use strict";
+
+/**
+ * Scored matching of a scanned ID against a banned_customers row, so a banned person is still caught after a
+ * license renewal (new document number) or with a slightly different spelling ("Jon" vs "John").
+ *
+ * An exact document number match is always conclusive. Otherwise the score adds up DOB, last name, first name and
+ * address agreement (names compared normalized, by Soundex code, edit distance and common nicknames):
+ *
+ *   exact first + last name + DOB  0.85  -> high (same as the old exact name + DOB rule)
+ *   "Jon" for "John" + last + DOB  0.77  -> medium (manager review)
+ *   ... plus the same address      0.92  -> high
+ *
+ * Thresholds: BANNED_MATCH_HIGH_CONFIDENCE (default 0.85) and BANNED_MATCH_REVIEW_CONFIDENCE (default 0.6).
+ */
+
+const WEIGHTS = {
+  dateOfBirth: { exact: 0.35, partial: 0.15 },
+  lastName: { exact: 0.3, fuzzy: 0.2 },
+  firstName: { exact: 0.2, fuzzy: 0.12 },
+  address: { exact: 0.15, street: 0.1, postal: 0.07 },
+  documentNumber: { near: 0.2 }
+};
+
+const POSSIBLE_MATCH_REASON = 'POSSIBLE_BANNED_MATCH: manager review required';
+
+const DEFAULT_HIGH_CONFIDENCE = 0.85;
+const DEFAULT_REVIEW_CONFIDENCE = 0.6;
+
+// Nickname groups for first names; any two names in one group count as a fuzzy match.
+const NICKNAME_GROUPS = [
+  ['john', 'jon', 'johnny', 'jack', 'jonathan', 'jonathon'],
+  ['william', 'will', 'bill', 'billy', 'liam'],
+  ['robert', 'rob', 'bob', 'bobby', 'robbie'],
+  ['richard', 'rick', 'ricky', 'dick', 'rich'],
+  ['james', 'jim', 'jimmy', 'jamie'],
+  ['michael', 'mike', 'mikey', 'mick'],
+  ['joseph', 'joe', 'joey', 'jose'],
+  ['thomas', 'tom', 'tommy'],
+  ['christopher', 'chris', 'kris'],
+  ['daniel', 'dan', 'danny'],
+  ['matthew', 'matt'],
+  ['nicholas', 'nick', 'nicky'],
+  ['anthony', 'tony'],
+  ['alexander', 'alex', 'alejandro', 'xander'],
+  ['edward', 'ed', 'eddie', 'ted', 'eduardo'],
+  ['steven', 'stephen', 'steve'],
+  ['elizabeth', 'liz', 'beth', 'betty', 'eliza', 'lisa'],
+  ['katherine', 'catherine', 'kathryn', 'kate', 'katie', 'kathy', 'cathy'],
+  ['margaret', 'maggie', 'meg', 'peggy'],
+  ['jennifer', 'jen', 'jenny'],
+  ['rebecca', 'becky', 'becca'],
+  ['patricia', 'pat', 'patty', 'trish'],
+  ['samuel', 'sam', 'sammy', 'samantha']
+];
+
+const NICKNAMES = new Map();
+NICKNAME_GROUPS.forEach((group, index) => {
+  group.forEach((name) => {
+    if (!NICKNAMES.has(name)) NICKNAMES.set(name, new Set());
+    NICKNAMES.get(name).add(index);
+  });
+});
+
+const STREET_ABBREVIATIONS = {
+  street: 'st',
+  avenue: 'ave',
+  road: 'rd',
+  drive: 'dr',
+  boulevard: 'blvd',
+  lane: 'ln',
+  court: 'ct',
+  place: 'pl',
+  parkway: 'pkwy',
+  highway: 'hwy',
+  apartment: 'apt',
+  suite: 'ste',
+  north: 'n',
+  south: 's',
+  east: 'e',
+  west: 'w'
+};
+
+function readThreshold(key, fallback) {
+  const parsed = Number.parseFloat(process.env[key]);
+  return Number.isFinite(parsed) && parsed > 0 && parsed <= 1 ? parsed : fallback;
+}
+
+// Env is read per call so thresholds can be tuned without a restart.
+function getThresholds() {
+  const high = readThreshold('BANNED_MATCH_HIGH_CONFIDENCE', DEFAULT_HIGH_CONFIDENCE);
+  const review = Math.min(readThreshold('BANNED_MATCH_REVIEW_CONFIDENCE', DEFAULT_REVIEW_CONFIDENCE), high);
+  return { high, review };
+}
+
+// Lowercase letters and single spaces: accents folded, punctuation and hyphens turned into spaces.
+function normalizeNameForMatch(value) {
+  return String(value ?? '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z]+/g, ' ')
+    .trim();
+}
+
+const SOUNDEX_CODES = {
+  b: '1', f: '1', p: '1', v: '1',
+  c: '2', g: '2', j: '2', k: '2', q: '2', s: '2', x: '2', z: '2',
+  d: '3', t: '3',
+  l: '4',
+  m: '5', n: '5',
+  r: '6'
+};
+
+/**
+ * American Soundex ("Robert" and "Rupert" -> R163); '' when there are no letters.
+ */
+function soundex(value) {
+  const letters = normalizeNameForMatch(value).replace(/ /g, '');
+  if (!letters) return '';
+
+  let code = letters[0].toUpperCase();
+  let previous = SOUNDEX_CODES[letters[0]] || '';
+  for (let i = 1; i < letters.length && code.length < 4; i += 1) {
+    const letter = letters[i];
+    const digit = SOUNDEX_CODES[letter] || '';
+    if (digit && digit !== previous) code += digit;
+    // h and w do not separate letters with the same code; vowels do.
+    if (letter !== 'h' && letter !== 'w') previous = digit;
+  }
+  return code.padEnd(4, '0');
+}
+
+function levenshtein(a, b) {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+function isNickname(a, b) {
+  const left = NICKNAMES.get(a);
+  const right = NICKNAMES.get(b);
+  return Boolean(left && right && [...left].some((group) => right.has(group)));
+}
+
+function wordsAreClose(a, b, { nicknames }) {
+  if (a === b) return true;
+  if (nicknames && isNickname(a, b)) return true;
+  const allowedEdits = Math.max(1, Math.floor(Math.max(a.length, b.length) / 4));
+  return soundex(a) === soundex(b) && levenshtein(a, b) <= allowedEdits;
+}
+
+/**
+ * @returns {'exact'|'phonetic'|null} phonetic covers sound-alike spellings, small typos, nicknames (first names)
+ * and compound names sharing a part ("Garcia Lopez" vs "Garcia")
+ */
+function compareNames(scanned, banned, { nicknames = false } = {}) {
+  const a = normalizeNameForMatch(scanned);
+  const b = normalizeNameForMatch(banned);
+  if (!a || !b) return null;
+  if (a === b || a.replace(/ /g, '') === b.replace(/ /g, '')) return 'exact';
+  if (wordsAreClose(a.replace(/ /g, ''), b.replace(/ /g, ''), { nicknames })) return 'phonetic';
+
+  const aParts = a.split(' ').filter((part) => part.length > 1);
+  const bParts = b.split(' ').filter((part) => part.length > 1);
+  const shared = aParts.some((part) => bParts.some((other) => wordsAreClose(part, other, { nicknames })));
+  return shared ? 'phonetic' : null;
+}
+
+function toIsoDate(value) {
+  if (value === null || value === undefined || value === '') return null;
+  if (value instanceof Date) {
+    return Number.isNaN(value.getTime()) ? null : value.toISOString().slice(0, 10);
+  }
+  const str = String(value).trim();
+  if (/^\d{4}-\d{2}-\d{2}/.test(str)) return str.slice(0, 10);
+  const parsed = new Date(str);
+  return Number.isNaN(parsed.getTime()) ? null : parsed.toISOString().slice(0, 10);
+}
+
+/**
+ * @returns {'exact'|'partial'|null} partial: day and month swapped, or exactly one of year/month/day differs
+ */
+function compareDates(scanned, banned) {
+  const a = toIsoDate(scanned);
+  const b = toIsoDate(banned);
+  if (!a || !b) return null;
+  if (a === b) return 'exact';
+
+  const [ay, am, ad] = a.split('-');
+  const [by, bm, bd] = b.split('-');
+  if (ay === by && am === bd && ad === bm) return 'partial';
+  const differing = [ay !== by, am !== bm, ad !== bd].filter(Boolean).length;
+  return differing === 1 ? 'partial' : null;
+}
+
+function normalizeStreet(value) {
+  return String(value ?? '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+    .split(' ')
+    .filter(Boolean)
+    .map((word) => STREET_ABBREVIATIONS[word] || word)
+    .join(' ');
+}
+
+const postal5 = (value) => String(value ?? '').replace(/\D+/g, '').slice(0, 5);
+
+/**
+ * @returns {'exact'|'street'|'postal'|null}
+ */
+function compareAddresses(scanned, banned) {
+  const streetA = normalizeStreet(scanned.address);
+  const streetB = normalizeStreet(banned.address);
+  const zipA = postal5(scanned.postalCode);
+  const zipB = postal5(banned.postalCode);
+  const postalMatch = zipA.length === 5 && zipA === zipB;
+  const streetMatch = Boolean(streetA && streetB) &&
+    (streetA === streetB || levenshtein(streetA, streetB) <= Math.max(1, Math.floor(streetA.length / 10)));
+
+  if (streetMatch) return postalMatch ? 'exact' : 'street';
+  return postalMatch ? 'postal' : null;
+}
+
+const normalizeDocument = (value) => String(value ?? '').toUpperCase().replace(/[\s-]+/g, '');
+
+/**
+ * @returns {'exact'|'near'|null} near: one character off on a document number of 6+ characters, same type
+ */
+function compareDocuments(scanned, banned) {
+  const a = normalizeDocument(scanned.documentNumber);
+  const b = normalizeDocument(banned.document_number);
+  // name_dob bans carry a generated placeholder number that never matches a real scan.
+  if (!a || !b || banned.document_type === 'name_dob') return null;
+  if (scanned.documentType && banned.document_type && scanned.documentType !== banned.document_type) return null;
+  const scannedCountry = scanned.issuingCountry || '';
+  const bannedCountry = banned.issuing_country || '';
+  if (scannedCountry && bannedCountry && scannedCountry !== bannedCountry) return null;
+  if (a === b) return 'exact';
+  return a.length >= 6 && b.length >= 6 && levenshtein(a, b) === 1 ? 'near' : null;
+}
+
+/**
+ * Score one banned_customers row (decrypted, snake_case) against a scan.
+ *
+ * @param {object} scan { documentType, documentNumber, issuingCountry, firstName, lastName, dateOfBirth, address, postalCode }
+ * @param {object} banned
+ * @returns {{confidence: number, level: 'high'|'medium'|'low', matchedFields: Array<{field: string, match: string}>}}
+ */
+function scoreBannedMatch(scan, banned) {
+  const thresholds = getThresholds();
+  const matchedFields = [];
+  let confidence = 0;
+
+  const document = compareDocuments(scan, banned);
+  if (document) matchedFields.push({ field: 'document_number', match: document });
+
+  const dob = compareDates(scan.dateOfBirth, banned.date_of_birth);
+  if (dob) {
+    matchedFields.push({ field: 'date_of_birth', match: dob });
+    confidence += WEIGHTS.dateOfBirth[dob];
+  }
+
+  const lastName = compareNames(scan.lastName, banned.last_name);
+  if (lastName) {
+    matchedFields.push({ field: 'last_name', match: lastName });
+    confidence += lastName === 'exact' ? WEIGHTS.lastName.exact : WEIGHTS.lastName.fuzzy;
+  }
+
+  const firstName = compareNames(scan.firstName, banned.first_name, { nicknames: true });
+  if (firstName) {
+    matchedFields.push({ field: 'first_name', match: firstName });
+    confidence += firstName === 'exact' ? WEIGHTS.firstName.exact : WEIGHTS.firstName.fuzzy;
+  }
+
+  const address = compareAddresses(scan, { address: banned.address, postalCode: banned.postal_code });
+  if (address) {
+    matchedFields.push({ field: 'address', match: address });
+    confidence += WEIGHTS.address[address];
+  }
+
+  if (document === 'exact') {
+    confidence = 1;
+  } else if (document === 'near') {
+    confidence += WEIGHTS.documentNumber.near;
+  }
+
+  confidence = Math.min(1, Math.round(confidence * 100) / 100);
+  let level = 'low';
+  if (confidence >= thresholds.high) level = 'high';
+  else if (confidence >= thresholds.review) level = 'medium';
+
+  return { confidence, level, matchedFields };
+}
+
+/**
+ * Best-scoring row at medium confidence or above, or null.
+ * @returns {{row: object, match: {confidence: number, level: string, matchedFields: object[]}}|null}
+ */
+function findBestMatch(scan, rows) {
+  let best = null;
+  for (const row of rows) {
+    const match = scoreBannedMatch(scan, row);
+    if (match.level === 'low') continue;
+    if (!best || match.confidence > best.match.confidence) best = { row, match };
+  }
+  return best;
+}
+
+/**
+ * What a findBannedCustomer result means for a scan: high blocks it (reason = the ban note), medium declines it
+ * pending manager review, which a manager clears with the usual PIN override. Rows without `match` count as high.
+ *
+ * @returns {{block: boolean, review: boolean, reason: string, match: object}|null}
+ */
+function bannedMatchOutcome(record) {
+  if (!record) return null;
+  const match = record.match || { confidence: 1, level: 'high', matchedFields: [] };
+  const block = match.level !== 'medium';
+  return {
+    block,
+    review: !block,
+    reason: block ? record.notes || 'BANNED_CUSTOMER' : POSSIBLE_MATCH_REASON,
+    match: { bannedId: record.id, ...match }
+  };
+}
+
+module.exports = {
+  POSSIBLE_MATCH_REASON,
+  getThresholds,
+  normalizeNameForMatch,
+  soundex,
+  levenshtein,
+  compareNames,
+  compareDates,
+  compareAddresses,
+  scoreBannedMatch,
+  findBestMatch,
+  bannedMatchOutcome
+};
@@ -1,5 +1,10 @@
 const { query } = require('./db');
 const logger = require('./logger');
+const auditLedger = require('./auditLedger');
+const retentionArchive = require('./retentionArchive');
+const piiCrypto = require('./piiCrypto');
+const bannedMatcher = require('./bannedMatcher');
+const alerting = require('./alerting');
 const config = require('./config');
 const fs = require('fs');
 const path = require('path');
@@ -52,10 +57,47 @@ async function ensureComplianceSchema() {
             ALTER TABLE IF EXISTS banned_customers ADD COLUMN IF NOT EXISTS banned_location_id VARCHAR(100);
             ALTER TABLE IF EXISTS banned_customers ADD COLUMN IF NOT EXISTS phone VARCHAR(30);
             ALTER TABLE IF EXISTS banned_customers ADD COLUMN IF NOT EXISTS email VARCHAR(254);
+            ALTER TABLE IF EXISTS banned_customers ALTER COLUMN document_number DROP NOT NULL;
+            ALTER TABLE IF EXISTS banned_customers ADD COLUMN IF NOT EXISTS pii_key_id VARCHAR(64);
+            ALTER TABLE IF EXISTS banned_customers ADD COLUMN IF NOT EXISTS pii_dek TEXT;
+            ALTER TABLE IF EXISTS banned_customers ADD COLUMN IF NOT EXISTS pii_ciphertext TEXT;
+            ALTER TABLE IF EXISTS banned_customers ADD COLUMN IF NOT EXISTS document_number_bidx CHAR(64);
+            ALTER TABLE IF EXISTS banned_customers ADD COLUMN IF NOT EXISTS name_dob_bidx CHAR(64);
+            ALTER TABLE IF EXISTS banned_customers ADD COLUMN IF NOT EXISTS last_name_bidx CHAR(64);
+            ALTER TABLE IF EXISTS banned_customers ADD COLUMN IF NOT EXISTS phone_bidx CHAR(64);
+            ALTER TABLE IF EXISTS banned_customers ADD COLUMN IF NOT EXISTS email_bidx CHAR(64);
+            CREATE UNIQUE INDEX IF NOT EXISTS idx_banned_customers_doc_bidx
+              ON banned_customers(document_type, document_number_bidx, issuing_country)
+              WHERE document_number_bidx IS NOT NULL;
+            CREATE INDEX IF NOT EXISTS idx_banned_customers_name_dob_bidx ON banned_customers(name_dob_bidx);
+            ALTER TABLE IF EXISTS banned_customers ADD COLUMN IF NOT EXISTS address VARCHAR(200);
+            ALTER TABLE IF EXISTS banned_customers ADD COLUMN IF NOT EXISTS postal_code VARCHAR(20);
+            ALTER TABLE IF EXISTS banned_customers ADD COLUMN IF NOT EXISTS dob_bidx CHAR(64);
+            ALTER TABLE IF EXISTS banned_customers ADD COLUMN IF NOT EXISTS last_name_phonetic_bidx CHAR(64);
+            CREATE INDEX IF NOT EXISTS idx_banned_customers_dob_bidx ON banned_customers(dob_bidx);
+            CREATE INDEX IF NOT EXISTS idx_banned_customers_last_name_phonetic_bidx ON banned_customers(last_name_phonetic_bidx);
             CREATE INDEX IF NOT EXISTS idx_banned_customers_doc ON banned_customers(document_number);
             CREATE INDEX IF NOT EXISTS idx_banned_customers_type ON banned_customers(document_type);
             CREATE INDEX IF NOT EXISTS idx_banned_customers_country ON banned_customers(issuing_country);
             CREATE INDEX IF NOT EXISTS idx_banned_customers_banned_location ON banned_customers(banned_location_id);
+            ALTER TABLE IF EXISTS banned_customers ADD COLUMN IF NOT EXISTS starts_at TIMESTAMPTZ NOT NULL DEFAULT NOW();
+            ALTER TABLE IF EXISTS banned_customers ADD COLUMN IF NOT EXISTS ends_at TIMESTAMPTZ;
+            ALTER TABLE IF EXISTS banned_customers ADD COLUMN IF NOT EXISTS scope VARCHAR(20) NOT NULL DEFAULT 'chain';
+            ALTER TABLE IF EXISTS banned_customers ADD COLUMN IF NOT EXISTS outlet_ids TEXT[] NOT NULL DEFAULT '{}';
+            ALTER TABLE IF EXISTS banned_customers ADD COLUMN IF NOT EXISTS reason_category VARCHAR(40) NOT NULL DEFAULT 'other';
+            ALTER TABLE IF EXISTS banned_customers ADD COLUMN IF NOT EXISTS lifted_at TIMESTAMPTZ;
+            ALTER TABLE IF EXISTS banned_customers ADD COLUMN IF NOT EXISTS lifted_by VARCHAR(254);
+            ALTER TABLE IF EXISTS banned_customers ADD COLUMN IF NOT EXISTS lift_reason TEXT;
+            CREATE TABLE IF NOT EXISTS banned_customer_revisions (
+              id BIGSERIAL PRIMARY KEY,
+              banned_id UUID NOT NULL REFERENCES banned_customers(id),
+              action VARCHAR(20) NOT NULL,
+              changed_by VARCHAR(254),
+              note TEXT,
+              terms JSONB NOT NULL,
+              created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+            );
+            ALTER TABLE IF EXISTS banned_customers ADD COLUMN IF NOT EXISTS source_verification_id VARCHAR(100);
           `,
           [],
           30_000
@@ -99,86 +141,118 @@ function normalizeVerificationPayload(verification, context = {}) {
     source: verification.source || null,
     ip_address: context.ipAddress || null,
     user_agent: context.userAgent || null,
-    location_id: context.locationId || null
+    location_id: context.locationId || null,
+    minimum_age: Number.isInteger(verification.minimumAge) ? verification.minimumAge : null,
+    age_rule: verification.ageRule ? String(verification.ageRule).substring(0, 200) : null
   };
 }
 
 async function saveVerification(verification, context) {
   const payload = normalizeVerificationPayload(verification, context);
+  const stored = { ...payload, ...piiCrypto.protectFields('verifications', payload) };
 
   try {
-    const { rows } = await query(
-      `
-        INSERT INTO verifications (
-          verification_id,
-          sale_id,
-          clerk_id,
-          first_name,
-          last_name,
-          middle_name,
-          age,
-          date_of_birth,
-          status,
-          reason,
-          document_type,
-          document_number,
-          issuing_country,
-          document_expiry,
-          nationality,
-          sex,
-          source,
-          ip_address,
-          user_agent,
-          location_id
-        )
-        VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16,$17,$18,$19,$20)
-        ON CONFLICT (verification_id)
-        DO UPDATE
-          SET
-            clerk_id = EXCLUDED.clerk_id,
-            first_name = EXCLUDED.first_name,
-            last_name = EXCLUDED.last_name,
-            middle_name = EXCLUDED.middle_name,
-            age = EXCLUDED.age,
-            date_of_birth = EXCLUDED.date_of_birth,
-            status = EXCLUDED.status,
-            reason = EXCLUDED.reason,
-            document_type = EXCLUDED.document_type,
-            document_number = EXCLUDED.document_number,
-            issuing_country = EXCLUDED.issuing_country,
-            document_expiry = EXCLUDED.document_expiry,
-            nationality = EXCLUDED.nationality,
-            sex = EXCLUDED.sex,
-            source = EXCLUDED.source,
-            ip_address = EXCLUDED.ip_address,
-            user_agent = EXCLUDED.user_agent,
-            location_id = EXCLUDED.location_id,
-            updated_at = NOW()
-        RETURNING *
-      `,
-      [
-        payload.verification_id,
-        payload.sale_id,
-        payload.clerk_id,
-        payload.first_name,
-        payload.last_name,
-        payload.middle_name,
-        payload.age,
-        payload.date_of_birth,
-        payload.status,
-        payload.reason,
-        payload.document_type,
-        payload.document_number,
-        payload.issuing_country,
-        payload.document_expiry,
-        payload.nationality,
-        payload.sex,
-        payload.source,
-        payload.ip_address,
-        payload.user_agent,
-        payload.location_id
-      ]
-    );
+    const row = await auditLedger.withLedgerTransaction(async (client, record) => {
+      const { rows } = await client.query(
+        `
+          INSERT INTO verifications (
+            verification_id,
+            sale_id,
+            clerk_id,
+            first_name,
+            last_name,
+            middle_name,
+            age,
+            date_of_birth,
+            status,
+            reason,
+            document_type,
+            document_number,
+            issuing_country,
+            document_expiry,
+            nationality,
+            sex,
+            source,
+            ip_address,
+            user_agent,
+            location_id,
+            minimum_age,
+            age_rule,
+            pii_key_id,
+            pii_dek,
+            pii_ciphertext,
+            document_number_bidx
+          )
+          VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16,$17,$18,$19,$20,$21,$22,$23,$24,$25,$26)
+          ON CONFLICT (verification_id)
+          DO UPDATE
+            SET
+              clerk_id = EXCLUDED.clerk_id,
+              first_name = EXCLUDED.first_name,
+              last_name = EXCLUDED.last_name,
+              middle_name = EXCLUDED.middle_name,
+              age = EXCLUDED.age,
+              date_of_birth = EXCLUDED.date_of_birth,
+              status = EXCLUDED.status,
+              reason = EXCLUDED.reason,
+              document_type = EXCLUDED.document_type,
+              document_number = EXCLUDED.document_number,
+              issuing_country = EXCLUDED.issuing_country,
+              document_expiry = EXCLUDED.document_expiry,
+              nationality = EXCLUDED.nationality,
+              sex = EXCLUDED.sex,
+              source = EXCLUDED.source,
+              ip_address = EXCLUDED.ip_address,
+              user_agent = EXCLUDED.user_agent,
+              location_id = EXCLUDED.location_id,
+              minimum_age = EXCLUDED.minimum_age,
+              age_rule = EXCLUDED.age_rule,
+              pii_key_id = EXCLUDED.pii_key_id,
+              pii_dek = EXCLUDED.pii_dek,
+              pii_ciphertext = EXCLUDED.pii_ciphertext,
+              document_number_bidx = EXCLUDED.document_number_bidx,
+              updated_at = NOW()
+          RETURNING *, (xmax = 0) AS inserted
+        `,
+        [
+          stored.verification_id,
+          stored.sale_id,
+          stored.clerk_id,
+          stored.first_name,
+          stored.last_name,
+          stored.middle_name,
+          stored.age,
+          stored.date_of_birth,
+          stored.status,
+          stored.reason,
+          stored.document_type,
+          stored.document_number,
+          stored.issuing_country,
+          stored.document_expiry,
+          stored.nationality,
+          stored.sex,
+          stored.source,
+          stored.ip_address,
+          stored.user_agent,
+          stored.location_id,
+          stored.minimum_age,
+          stored.age_rule,
+          stored.pii_key_id,
+          stored.pii_dek,
+          stored.pii_ciphertext,
+          stored.document_number_bidx
+        ]
+      );
+
+      const { inserted, ...saved } = rows[0];
+      record({
+        eventType: inserted ? 'verification_recorded' : 'verification_updated',
+        entityType: 'verification',
+        entityId: saved.verification_id,
+        payload: { saleId: saved.sale_id, status: saved.status, locationId: saved.location_id, rowHash: auditLedger.hashRecord(saved) }
+      });
+      return piiCrypto.revealRow('verifications', saved);
+    });
 
     logger.info(
       {
@@ -195,7 +269,10 @@ async function saveVerification(verification, context) {
       'Verification persisted to compliance store'
     );
 
-    return rows[0];
+    // Alert rules run after the commit; they never hold up or fail the scan.
+    void alerting.processEvent({ kind: 'verification', verification: row, signals: context?.alertSignals });
+
+    return row;
   } catch (error) {
     logger.logAPIError('saveVerification', error, {
       saleId: payload.sale_id,
@@ -217,38 +294,182 @@ async function getLatestVerificationForSale(saleId) {
     [saleId]
   );
 
-  return rows[0] || null;
+  return rows[0] ? piiCrypto.revealRow('verifications', rows[0]) : null;
 }
 
-async function recordSaleCompletion({ saleId, verificationId, paymentType, amount }) {
-  try {
-    const { rows } = await query(
+/**
+ * Sale ids (of those given) that have an ID scan or manager override on file, including sales reached through a
+ * customer reconcile job. Used by the missing-scan reports and the webhook closed-sale check.
+ *
+ * @param {string[]} saleIds
+ * @returns {Promise<Set<string>>}
+ */
+async function findCompliantSaleIds(saleIds) {
+  const ids = Array.isArray(saleIds) ? saleIds.map((s) => String(s || '').trim()).filter(Boolean) : [];
+  if (!ids.length) return new Set();
+
+  const [verificationsRes, overridesRes, mappedRes] = await Promise.all([
+    query('SELECT DISTINCT sale_id FROM verifications WHERE sale_id = ANY($1::text[])', [ids]),
+    query('SELECT DISTINCT sale_id FROM verification_overrides WHERE sale_id = ANY($1::text[])', [ids]),
+    query(
       `
-        INSERT INTO sales_completions (
-          sale_id,
-          verification_id,
-          payment_type,
-          amount
-        )
-        VALUES ($1,$2,$3,$4)
-        ON CONFLICT (sale_id)
-        DO UPDATE
-          SET
-            verification_id = EXCLUDED.verification_id,
-            payment_type = EXCLUDED.payment_type,
-            amount = EXCLUDED.amount,
-            completed_at = NOW()
-        RETURNING *
+        SELECT DISTINCT j.resolved_sale_id AS sale_id
+        FROM customer_reconcile_jobs j
+        JOIN verifications v ON v.sale_id = j.sale_id
+        WHERE j.resolved_sale_id = ANY($1::text[])
       `,
-      [saleId, verificationId, paymentType, amount]
-    );
+      [ids]
+    )
+  ]);
+
+  const set = new Set();
+  for (const row of [...(verificationsRes.rows || []), ...(overridesRes.rows || []), ...(mappedRes.rows || [])]) {
+    if (row?.sale_id) set.add(String(row.sale_id));
+  }
+  return set;
+}
+
+const COMPLIANCE_EXCEPTION_REASONS = ['NO_VERIFICATION', 'NOT_APPROVED', 'VERIFICATION_EXPIRED'];
+
+/**
+ * Whether a closed sale was covered by an approved, unexpired verification: the sale's latest verification (directly
+ * or through a customer reconcile job) must be approved or overridden, and no older than VERIFICATION_EXPIRY_MINUTES
+ * when the sale closed. An override counts from the time the manager approved it.
+ *
+ * @param {string} saleId
+ * @param {{closedAt?: Date}} [options]
+ * @returns {Promise<{compliant: boolean, reason: string|null, verificationId: string|null}>} reason is one of
+ *   COMPLIANCE_EXCEPTION_REASONS when not compliant
+ */
+async function checkSaleCompliance(saleId, { closedAt = new Date() } = {}) {
+  const { rows } = await query(
+    `
+      SELECT
+        v.verification_id,
+        v.status,
+        GREATEST(v.created_at, (SELECT MAX(o.created_at) FROM verification_overrides o WHERE o.verification_id = v.verification_id)) AS approved_at
+      FROM verifications v
+      WHERE v.sale_id = $1
+        OR v.sale_id IN (SELECT j.sale_id FROM customer_reconcile_jobs j WHERE j.resolved_sale_id = $1)
+      ORDER BY v.created_at DESC
+      LIMIT 1
+    `,
+    [saleId]
+  );
+
+  const latest = rows[0];
+  if (!latest) return { compliant: false, reason: 'NO_VERIFICATION', verificationId: null };
+  if (!['approved', 'approved_override'].includes(latest.status)) {
+    return { compliant: false, reason: 'NOT_APPROVED', verificationId: latest.verification_id };
+  }
+  const ageMs = closedAt.getTime() - new Date(latest.approved_at).getTime();
+  if (ageMs > config.verificationExpiryMinutes * 60 * 1000) {
+    return { compliant: false, reason: 'VERIFICATION_EXPIRED', verificationId: latest.verification_id };
+  }
+  return { compliant: true, reason: null, verificationId: latest.verification_id };
+}
+
+function mapComplianceException(row) {
+  return {
+    id: String(row.id),
+    saleId: row.sale_id,
+    outletId: row.outlet_id || null,
+    registerId: row.register_id || null,
+    userId: row.user_id || null,
+    reason: row.reason,
+    verificationId: row.verification_id || null,
+    saleClosedAt: row.sale_closed_at || null,
+    webhookEventId: row.webhook_event_id ? String(row.webhook_event_id) : null,
+    createdAt: row.created_at
+  };
+}
+
+/**
+ * Record a closed sale that had no approved, unexpired verification. One row per sale: repeated sale.update
+ * webhooks for the same sale return null instead of a second row.
+ */
+async function recordComplianceException({
+  saleId,
+  outletId = null,
+  registerId = null,
+  userId = null,
+  reason,
+  verificationId = null,
+  closedAt = null,
+  webhookEventId = null
+}) {
+  const { rows } = await query(
+    `
+      INSERT INTO compliance_exceptions (
+        sale_id, outlet_id, register_id, user_id, reason, verification_id, sale_closed_at, webhook_event_id
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      ON CONFLICT (sale_id) DO NOTHING
+      RETURNING *
+    `,
+    [saleId, outletId, registerId, userId, reason, verificationId, closedAt, webhookEventId]
+  );
+  return rows[0] ? mapComplianceException(rows[0]) : null;
+}
+
+/**
+ * "Sold without scan" feed, newest first.
+ *
+ * @param {{outletId?: string|null, since?: Date|null, limit?: number, offset?: number}} [filters]
+ */
+async function listComplianceExceptions({ outletId = null, since = null, limit = 100, offset = 0 } = {}) {
+  const { rows } = await query(
+    `
+      SELECT *
+      FROM compliance_exceptions
+      WHERE ($1::text IS NULL OR outlet_id = $1)
+        AND ($2::timestamptz IS NULL OR created_at >= $2)
+      ORDER BY created_at DESC, id DESC
+      LIMIT $3 OFFSET $4
+    `,
+    [outletId || null, since || null, limit, offset]
+  );
+  return rows.map(mapComplianceException);
+}
+
+async function recordSaleCompletion({ saleId, verificationId, paymentType, amount }) {
+  try {
+    const row = await auditLedger.withLedgerTransaction(async (client, record) => {
+      const { rows } = await client.query(
+        `
+          INSERT INTO sales_completions (
+            sale_id,
+            verification_id,
+            payment_type,
+            amount
+          )
+          VALUES ($1,$2,$3,$4)
+          ON CONFLICT (sale_id)
+          DO UPDATE
+            SET
+              verification_id = EXCLUDED.verification_id,
+              payment_type = EXCLUDED.payment_type,
+              amount = EXCLUDED.amount,
+              completed_at = NOW()
+          RETURNING *
+        `,
+        [saleId, verificationId, paymentType, amount]
+      );
+
+      record({
+        eventType: 'sale_completed',
+        entityType: 'sale_completion',
+        entityId: rows[0].sale_id,
+        payload: { verificationId: rows[0].verification_id, paymentType: rows[0].payment_type, rowHash: auditLedger.hashRecord(rows[0]) }
+      });
+      return rows[0];
+    });
 
     logger.info(
       { event: 'sale_completion_persisted', saleId, verificationId, paymentType },
       'Sale completion persisted to compliance store'
     );
 
-    return rows[0];
+    return row;
   } catch (error) {
     logger.logAPIError('recordSaleCompletion', error, { saleId, verificationId, paymentType });
     throw error;
@@ -393,57 +614,181 @@ async function summarizeCompliance({ days = 30, limit = 50 } = {}) {
   };
 }
 
-async function findBannedCustomer({ documentType, documentNumber, issuingCountry, firstName, lastName, dateOfBirth }) {
+const BANNED_CANDIDATE_LIMIT = 500;
+
+/**
+ * Scored banned-list lookup (see bannedMatcher.js). Candidates are rows sharing the document number, DOB or last-name
+ * Soundex code (blind indexes for encrypted rows; DOB or last-name initial for plaintext ones), scored after
+ * decryption.
+ *
+ * Only bans in force are candidates: not lifted, started, not yet ended, and covering `outletId`. Without an
+ * outletId (a scan with no resolvable outlet) outlet-scoped bans are enforced too rather than silently skipped.
+ *
+ * @returns {Promise<object|null>} the best-matching row with `match: { confidence, level, matchedFields }`, where
+ * level is 'high' (block) or 'medium' (manager review); null when nothing reaches the review threshold
+ */
+async function findBannedCustomer({
+  documentType,
+  documentNumber,
+  issuingCountry,
+  firstName,
+  lastName,
+  dateOfBirth,
+  address,
+  postalCode,
+  outletId
+}) {
   await ensureComplianceSchema();
 
   const normalizedDocType = documentType || null;
   const normalizedDocNumber = documentNumber || null;
   const normalizedCountry = issuingCountry ? issuingCountry : '';
+  const fn = firstName ? String(firstName).trim() : '';
+  const ln = lastName ? String(lastName).trim() : '';
+  const dob = dateOfBirth ? new Date(dateOfBirth) : null;
+  const dobIso = dob && !Number.isNaN(dob.getTime()) ? dob.toISOString().slice(0, 10) : null;
+  const lastNameInitial = bannedMatcher.normalizeNameForMatch(ln).charAt(0) || null;
 
-  if (normalizedDocType && normalizedDocNumber) {
-    const { rows } = await query(
-      `
-        SELECT *
-        FROM banned_customers
-        WHERE document_type = $1
-          AND document_number = $2
-          AND ($3 = '' OR issuing_country = $3 OR issuing_country = '')
-        LIMIT 1
-      `,
-      [normalizedDocType, normalizedDocNumber, normalizedCountry]
-    );
+  if (!(normalizedDocType && normalizedDocNumber) && !dobIso && !lastNameInitial) {
+    return null;
+  }
 
-    if (rows[0]) return rows[0];
+  const { rows } = await query(
+    `
+      SELECT *
+      FROM banned_customers
+      WHERE lifted_at IS NULL
+        AND starts_at <= NOW()
+        AND (ends_at IS NULL OR ends_at > NOW())
+        AND (scope = 'chain' OR $10::text IS NULL OR $10 = ANY(outlet_ids))
+        AND (
+          (
+            document_type = $1
+            AND (document_number_bidx = $4 OR (document_number_bidx IS NULL AND document_number = $2))
+            AND ($3 = '' OR issuing_country = $3 OR issuing_country = '')
+          )
+          OR name_dob_bidx = $5
+          OR dob_bidx = $6
+          OR last_name_phonetic_bidx = $7
+          OR (pii_ciphertext IS NULL AND date_of_birth = $8::date)
+          OR (pii_ciphertext IS NULL AND left(lower(last_name), 1) = $9)
+        )
+      -- Document and DOB candidates first, so a long list of same-initial names cannot push them past the limit.
+      ORDER BY
+        (document_number_bidx = $4 OR document_number = $2 OR name_dob_bidx = $5 OR dob_bidx = $6 OR date_of_birth = $8::date) IS TRUE DESC,
+        updated_at DESC
+      LIMIT ${BANNED_CANDIDATE_LIMIT}
+    `,
+    [
+      normalizedDocType,
+      normalizedDocNumber,
+      normalizedCountry,
+      normalizedDocNumber ? piiCrypto.documentIndex(normalizedDocNumber) : null,
+      fn && ln && dobIso ? piiCrypto.nameDobIndex(fn, ln, dobIso) : null,
+      dobIso ? piiCrypto.dobIndex(dobIso) : null,
+      ln ? piiCrypto.lastNamePhoneticIndex(ln) : null,
+      dobIso,
+      lastNameInitial,
+      outletId ? String(outletId) : null
+    ]
+  );
+
+  const best = bannedMatcher.findBestMatch(
+    {
+      documentType: normalizedDocType,
+      documentNumber: normalizedDocNumber,
+      issuingCountry: normalizedCountry,
+      firstName: fn,
+      lastName: ln,
+      dateOfBirth: dobIso,
+      address: address || null,
+      postalCode: postalCode || null
+    },
+    rows.map((row) => piiCrypto.revealRow('banned_customers', row))
+  );
+
+  return best ? { ...best.row, match: best.match } : null;
+}
+
+const BAN_SCOPES = ['chain', 'outlet', 'outlets'];
+const BAN_REASON_CATEGORIES = ['fake_id', 'third_party_purchase', 'underage_attempt', 'theft', 'abusive_behavior', 'other'];
+
+function toTimestamp(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+}
+
+/**
+ * Validate and normalize a ban's terms. 'outlet' takes exactly one outlet id, 'outlets' one or more, 'chain' none.
+ *
+ * @throws {Error} INVALID_SCOPE / OUTLETS_REQUIRED / INVALID_REASON_CATEGORY / INVALID_BAN_DATES
+ */
+function normalizeBanTerms({ startsAt, endsAt, scope, outletIds, reasonCategory } = {}) {
+  const normalizedScope = scope || 'chain';
+  if (!BAN_SCOPES.includes(normalizedScope)) {
+    throw new Error('INVALID_SCOPE');
+  }
+  const outlets = normalizedScope === 'chain'
+    ? []
+    : Array.from(new Set((Array.isArray(outletIds) ? outletIds : []).map((id) => String(id || '').trim()).filter(Boolean)));
+  if ((normalizedScope === 'outlet' && outlets.length !== 1) || (normalizedScope === 'outlets' && !outlets.length)) {
+    throw new Error('OUTLETS_REQUIRED');
   }
 
-  // Name + DOB match (for store owners who don't track DL#).
-  // We require DOB to reduce false positives from common names.
-  const fn = firstName ? String(firstName).trim() : '';
-  const ln = lastName ? String(lastName).trim() : '';
-  const dob = dateOfBirth ? new Date(dateOfBirth) : null;
-  if (fn && ln && dob && !Number.isNaN(dob.getTime())) {
-    const { rows } = await query(
-      `
-        SELECT *
-        FROM banned_customers
-        WHERE lower(first_name) = lower($1)
-          AND lower(last_name) = lower($2)
-          AND date_of_birth IS NOT NULL
-          AND date_of_birth = $3::date
-        ORDER BY updated_at DESC
-        LIMIT 1
-      `,
-      [fn, ln, dob.toISOString().slice(0, 10)]
-    );
-    if (rows[0]) return rows[0];
+  const category = reasonCategory || 'other';
+  if (!BAN_REASON_CATEGORIES.includes(category)) {
+    throw new Error('INVALID_REASON_CATEGORY');
   }
 
-  return null;
+  const start = toTimestamp(startsAt);
+  const end = toTimestamp(endsAt);
+  if (start === undefined || end === undefined || (end && end <= (start || new Date()))) {
+    throw new Error('INVALID_BAN_DATES');
+  }
+
+  return { startsAt: start || new Date(), endsAt: end, scope: normalizedScope, outletIds: outlets, reasonCategory: category };
 }
 
-async function addBannedCustomer(entry) {
-  await ensureComplianceSchema();
+function banStatus(row, now = new Date()) {
+  if (row.lifted_at) return 'lifted';
+  if (row.starts_at && new Date(row.starts_at) > now) return 'scheduled';
+  if (row.ends_at && new Date(row.ends_at) <= now) return 'expired';
+  return 'active';
+}
+
+// Snapshot kept in banned_customer_revisions: the ban's terms only, never the customer's PII.
+function banTermsSnapshot(row) {
+  return {
+    startsAt: row.starts_at,
+    endsAt: row.ends_at || null,
+    scope: row.scope,
+    outletIds: row.outlet_ids || [],
+    reasonCategory: row.reason_category,
+    bannedLocationId: row.banned_location_id || null,
+    notes: row.notes || null,
+    liftedAt: row.lifted_at || null
+  };
+}
+
+async function recordBanRevision(client, record, row, { action, changedBy, note }) {
+  await client.query(
+    `
+      INSERT INTO banned_customer_revisions (banned_id, action, changed_by, note, terms)
+      VALUES ($1, $2, $3, $4, $5)
+    `,
+    [row.id, action, changedBy || null, sanitizeNote(note), JSON.stringify(banTermsSnapshot(row))]
+  );
+  record({
+    eventType: `banned_customer_${action}`,
+    entityType: 'banned_customer',
+    entityId: row.id,
+    payload: { changedBy: changedBy || null, rowHash: auditLedger.hashRecord(row) }
+  });
+}
 
+// One ban upsert on a ledger transaction's client; adds the 'created' or 'updated' revision.
+async function upsertBannedCustomer(client, record, entry, terms, { changedBy, note } = {}) {
   const {
     documentType,
     documentNumber,
@@ -454,11 +799,27 @@ async function addBannedCustomer(entry) {
     lastName,
     phone,
     email,
+    address,
+    postalCode,
     notes
   } = entry;
   const normalizedCountry = issuingCountry ? issuingCountry : '';
-
-  const { rows } = await query(
+  const stored = piiCrypto.protectFields('banned_customers', {
+    document_number: documentNumber,
+    date_of_birth: dateOfBirth ? new Date(dateOfBirth) : null,
+    first_name: firstName || null,
+    last_name: lastName || null,
+    phone: phone || null,
+    email: email || null,
+    address: address || null,
+    postal_code: postalCode || null
+  });
+  // With encryption on, document_number is NULL and uniqueness moves to the blind index.
+  const conflictTarget = stored.pii_ciphertext
+    ? '(document_type, document_number_bidx, issuing_country) WHERE document_number_bidx IS NOT NULL'
+    : '(document_type, document_number, issuing_country)';
+
+  const { rows } = await client.query(
     `
       INSERT INTO banned_customers (
         document_type,
@@ -470,10 +831,27 @@ async function addBannedCustomer(entry) {
         last_name,
         phone,
         email,
-        notes
+        notes,
+        pii_key_id,
+        pii_dek,
+        pii_ciphertext,
+        document_number_bidx,
+        name_dob_bidx,
+        last_name_bidx,
+        phone_bidx,
+        email_bidx,
+        address,
+        postal_code,
+        dob_bidx,
+        last_name_phonetic_bidx,
+        starts_at,
+        ends_at,
+        scope,
+        outlet_ids,
+        reason_category
       )
-      VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10)
-      ON CONFLICT (document_type, document_number, issuing_country)
+      VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16,$17,$18,$19,$20,$21,$22,$23,$24,$25,$26,$27)
+      ON CONFLICT ${conflictTarget}
       DO UPDATE
         SET
           issuing_country = EXCLUDED.issuing_country,
@@ -484,169 +862,389 @@ async function addBannedCustomer(entry) {
           phone = EXCLUDED.phone,
           email = EXCLUDED.email,
           notes = EXCLUDED.notes,
+          pii_key_id = EXCLUDED.pii_key_id,
+          pii_dek = EXCLUDED.pii_dek,
+          pii_ciphertext = EXCLUDED.pii_ciphertext,
+          name_dob_bidx = EXCLUDED.name_dob_bidx,
+          last_name_bidx = EXCLUDED.last_name_bidx,
+          phone_bidx = EXCLUDED.phone_bidx,
+          email_bidx = EXCLUDED.email_bidx,
+          address = EXCLUDED.address,
+          postal_code = EXCLUDED.postal_code,
+          dob_bidx = EXCLUDED.dob_bidx,
+          last_name_phonetic_bidx = EXCLUDED.last_name_phonetic_bidx,
+          starts_at = EXCLUDED.starts_at,
+          ends_at = EXCLUDED.ends_at,
+          scope = EXCLUDED.scope,
+          outlet_ids = EXCLUDED.outlet_ids,
+          reason_category = EXCLUDED.reason_category,
+          lifted_at = NULL,
+          lifted_by = NULL,
+          lift_reason = NULL,
           updated_at = NOW()
-      RETURNING *
+      RETURNING *, (xmax = 0) AS inserted
     `,
     [
       documentType,
-      documentNumber,
+      stored.document_number,
       normalizedCountry,
       bannedLocationId || null,
-      dateOfBirth ? new Date(dateOfBirth) : null,
-      firstName || null,
-      lastName || null,
-      phone || null,
-      email || null,
-      notes || null
+      stored.date_of_birth,
+      stored.first_name,
+      stored.last_name,
+      stored.phone,
+      stored.email,
+      notes || null,
+      stored.pii_key_id,
+      stored.pii_dek,
+      stored.pii_ciphertext,
+      stored.document_number_bidx,
+      stored.name_dob_bidx,
+      stored.last_name_bidx,
+      stored.phone_bidx,
+      stored.email_bidx,
+      stored.address,
+      stored.postal_code,
+      stored.dob_bidx,
+      stored.last_name_phonetic_bidx,
+      terms.startsAt,
+      terms.endsAt,
+      terms.scope,
+      terms.outletIds,
+      terms.reasonCategory
     ]
   );
+  const { inserted, ...saved } = rows[0];
+  await recordBanRevision(client, record, saved, { action: inserted ? 'created' : 'updated', changedBy, note });
+  return { row: saved, inserted: Boolean(inserted) };
+}
+
+/**
+ * Create a ban, or replace the terms of the existing ban on the same document (which also reinstates a lifted
+ * one). Each call adds a 'created' or 'updated' revision.
+ *
+ * @param {object} entry customer fields plus terms (startsAt, endsAt, scope, outletIds, reasonCategory)
+ * @param {{changedBy?: string}} [options]
+ * @throws {Error} see normalizeBanTerms
+ */
+async function addBannedCustomer(entry, { changedBy } = {}) {
+  const terms = normalizeBanTerms(entry);
+  await ensureComplianceSchema();
+
+  const { row } = await auditLedger.withLedgerTransaction((client, record) =>
+    upsertBannedCustomer(client, record, entry, terms, { changedBy })
+  );
+  const { documentType, documentNumber, issuingCountry } = entry;
+  const normalizedCountry = issuingCountry ? issuingCountry : '';
 
   logger.info(
     {
       event: 'banned_customer_saved',
       documentType,
       documentNumber,
-      issuingCountry: normalizedCountry || null
+      issuingCountry: normalizedCountry || null,
+      scope: terms.scope,
+      reasonCategory: terms.reasonCategory
     },
     'Banned customer entry upserted'
   );
 
-  return rows[0];
+  return piiCrypto.revealRow('banned_customers', row);
+}
+
+/**
+ * Existing bans for a list of (documentType, documentNumber, issuingCountry) keys — the banned_customers unique
+ * key — matched through the document blind index for encrypted rows.
+ *
+ * @param {Array<{documentType: string, documentNumber: string, issuingCountry?: string}>} keys
+ * @returns {Promise<object[]>} mapped bans (see listBannedCustomers)
+ */
+async function findBannedByKeys(keys) {
+  if (!keys.length) return [];
+  await ensureComplianceSchema();
+
+  const { rows } = await query(
+    `
+      SELECT DISTINCT b.*
+      FROM banned_customers b
+      JOIN unnest($1::text[], $2::text[], $3::text[], $4::text[]) AS k(document_type, document_number, issuing_country, document_bidx)
+        ON b.document_type = k.document_type
+        AND COALESCE(b.issuing_country, '') = k.issuing_country
+        AND (b.document_number_bidx = k.document_bidx OR (b.document_number_bidx IS NULL AND b.document_number = k.document_number))
+    `,
+    [
+      keys.map((key) => key.documentType),
+      keys.map((key) => key.documentNumber),
+      keys.map((key) => key.issuingCountry || ''),
+      keys.map((key) => piiCrypto.documentIndex(key.documentNumber))
+    ]
+  );
+  return rows.map((row) => mapBannedCustomer(piiCrypto.revealRow('banned_customers', row)));
+}
+
+/**
+ * Upsert many bans in one transaction: all are saved or none is. Every entry gets its own revision.
+ *
+ * @throws {Error} see normalizeBanTerms (checked for every entry before anything is written)
+ */
+async function importBannedCustomers(entries, { changedBy } = {}) {
+  const prepared = entries.map((entry) => ({ entry, terms: normalizeBanTerms(entry) }));
+  await ensureComplianceSchema();
+
+  const results = await auditLedger.withLedgerTransaction(async (client, record) => {
+    const saved = [];
+    for (const { entry, terms } of prepared) {
+      saved.push(await upsertBannedCustomer(client, record, entry, terms, { changedBy }));
+    }
+    return saved;
+  });
+
+  const summary = {
+    inserted: results.filter((result) => result.inserted).length,
+    updated: results.filter((result) => !result.inserted).length,
+    ids: results.map((result) => result.row.id)
+  };
+  logger.logSecurity('banned_list_imported', { inserted: summary.inserted, updated: summary.updated, changedBy: changedBy || null });
+  return summary;
+}
+
+function mapBannedCustomer(row) {
+  return {
+    id: row.id,
+    documentType: row.document_type,
+    documentNumber: row.document_number,
+    issuingCountry: row.issuing_country || null,
+    bannedLocationId: row.banned_location_id,
+    dateOfBirth: row.date_of_birth,
+    firstName: row.first_name,
+    lastName: row.last_name,
+    phone: row.phone,
+    email: row.email,
+    address: row.address || null,
+    postalCode: row.postal_code || null,
+    notes: row.notes,
+    startsAt: row.starts_at || null,
+    endsAt: row.ends_at || null,
+    scope: row.scope || 'chain',
+    outletIds: row.outlet_ids || [],
+    reasonCategory: row.reason_category || 'other',
+    status: banStatus(row),
+    liftedAt: row.lifted_at || null,
+    liftedBy: row.lifted_by || null,
+    liftReason: row.lift_reason || null,
+    sourceVerificationId: row.source_verification_id || null,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
 }
 
-async function listBannedCustomers({ query: search, limit = 500, offset = 0 } = {}) {
+const BAN_STATUSES = ['active', 'scheduled', 'expired', 'lifted'];
+
+/**
+ * @param {object} [options]
+ * @param {string} [options.status] 'active' | 'scheduled' | 'expired' | 'lifted'; any other value lists every ban
+ * @param {string} [options.outletId] only bans that cover this outlet (chain-wide bans always do)
+ */
+async function listBannedCustomers({ query: search, status, outletId, limit = 500, offset = 0 } = {}) {
   await ensureComplianceSchema();
 
   const normalizedSearch = search ? sanitizeNote(search).trim() : null;
   const normalizedLimit = Math.min(Math.max(parseInt(limit, 10) || 500, 1), 2000);
   const normalizedOffset = Math.max(parseInt(offset, 10) || 0, 0);
+  const term = normalizedSearch && normalizedSearch.length ? normalizedSearch : null;
 
+  // Encrypted PII can only be searched by exact value (document number, last name, phone or email) through the
+  // blind indexes; partial matches still work on notes and on rows stored before encryption was enabled.
   const { rows } = await query(
     `
-      SELECT
-        id,
-        document_type AS "documentType",
-        document_number AS "documentNumber",
-        NULLIF(issuing_country, '') AS "issuingCountry",
-        banned_location_id AS "bannedLocationId",
-        date_of_birth AS "dateOfBirth",
-        first_name AS "firstName",
-        last_name AS "lastName",
-        phone,
-        email,
-        notes,
-        created_at AS "createdAt",
-        updated_at AS "updatedAt"
+      SELECT *
       FROM banned_customers
-      WHERE ($1::text IS NULL)
-        OR (document_number ILIKE '%' || $1 || '%')
-        OR (first_name ILIKE '%' || $1 || '%')
-        OR (last_name ILIKE '%' || $1 || '%')
-        OR (phone ILIKE '%' || $1 || '%')
-        OR (email ILIKE '%' || $1 || '%')
-        OR (notes ILIKE '%' || $1 || '%')
+      WHERE (
+          ($1::text IS NULL)
+          OR (document_number ILIKE '%' || $1 || '%')
+          OR (first_name ILIKE '%' || $1 || '%')
+          OR (last_name ILIKE '%' || $1 || '%')
+          OR (phone ILIKE '%' || $1 || '%')
+          OR (email ILIKE '%' || $1 || '%')
+          OR (notes ILIKE '%' || $1 || '%')
+          OR document_number_bidx = $4
+          OR last_name_bidx = $5
+          OR phone_bidx = $6
+          OR email_bidx = $7
+        )
+        AND (
+          $8::text IS NULL
+          OR (
+            CASE
+              WHEN lifted_at IS NOT NULL THEN 'lifted'
+              WHEN starts_at > NOW() THEN 'scheduled'
+              WHEN ends_at IS NOT NULL AND ends_at <= NOW() THEN 'expired'
+              ELSE 'active'
+            END
+          ) = $8
+        )
+        AND ($9::text IS NULL OR scope = 'chain' OR $9 = ANY(outlet_ids))
       ORDER BY created_at DESC
       LIMIT $2 OFFSET $3
     `
     ,
-    [normalizedSearch && normalizedSearch.length ? normalizedSearch : null, normalizedLimit, normalizedOffset]
+    [
+      term,
+      normalizedLimit,
+      normalizedOffset,
+      term ? piiCrypto.documentIndex(term) : null,
+      term ? piiCrypto.blindIndex('name', piiCrypto.normalizeName(term)) : null,
+      term ? piiCrypto.blindIndex('phone', piiCrypto.normalizePhone(term)) : null,
+      term ? piiCrypto.blindIndex('email', piiCrypto.normalizeEmail(term)) : null,
+      BAN_STATUSES.includes(status) ? status : null,
+      outletId ? String(outletId) : null
+    ]
   );
 
-  return rows;
+  return rows.map((row) => mapBannedCustomer(piiCrypto.revealRow('banned_customers', row)));
+}
+
+async function listBannedRevisions(bannedId) {
+  await ensureComplianceSchema();
+
+  const { rows } = await query(
+    `
+      SELECT *
+      FROM banned_customer_revisions
+      WHERE banned_id = $1
+      ORDER BY created_at ASC, id ASC
+    `,
+    [bannedId]
+  );
+  return rows.map((row) => ({
+    id: String(row.id),
+    action: row.action,
+    changedBy: row.changed_by,
+    note: row.note,
+    terms: row.terms,
+    createdAt: row.created_at
+  }));
 }
 
 async function markVerificationOverride({ verificationId, saleId, managerId, note, clerkId, registerId }) {
   if (!verificationId || !saleId) {
     throw new Error('VERIFICATION_REQUIRED');
   }
+  // managers.id (see managerStore.js); TABC audits need the override tied to a person.
+  if (!managerId) {
+    throw new Error('MANAGER_REQUIRED');
+  }
 
   const sanitizedNote = sanitizeNote(note);
-  let finalVerificationId = verificationId;
-  let verificationRecord = null;
 
-  // Handle "Pure" Manual Override (No previous scan)
-  if (verificationId === 'MANUAL-OVERRIDE') {
-    // Generate a unique verification_id for manual override
-    const generatedVerificationId = `OVERRIDE-${saleId}-${Date.now()}`;
+  const result = await auditLedger.withLedgerTransaction(async (client, record) => {
+    let verificationRecord = null;
+
+    // Handle "Pure" Manual Override (No previous scan)
+    if (verificationId === 'MANUAL-OVERRIDE') {
+      // Generate a unique verification_id for manual override
+      const generatedVerificationId = `OVERRIDE-${saleId}-${Date.now()}`;
+
+      const newVerification = await client.query(
+        `
+          INSERT INTO verifications (
+            verification_id, sale_id, clerk_id, location_id, status, reason, 
+            document_type, document_number, age, approved, source
+          )
+          VALUES ($1, $2, $3, $4, 'approved_override', $5, 
+                  'manual', 'no-scan', 21, true, 'manual_override')
+          RETURNING *
+        `,
+        [generatedVerificationId, saleId, clerkId || 'unknown-clerk', registerId || 'unknown-location', sanitizedNote]
+      );
+      verificationRecord = newVerification.rows[0];
+    } else {
+      // Existing logic for updating a rejected scan; the status before the override is kept in the ledger entry.
+      const updateResult = await client.query(
+        `
+          UPDATE verifications v
+          SET status = 'approved_override',
+              reason = COALESCE($1, v.reason),
+              clerk_id = COALESCE($3, v.clerk_id),
+              location_id = COALESCE($4, v.location_id),
+              updated_at = NOW()
+          FROM (SELECT verification_id, status FROM verifications WHERE verification_id = $2 FOR UPDATE) previous
+          WHERE v.verification_id = previous.verification_id
+          RETURNING v.*, previous.status AS previous_status
+        `,
+        [sanitizedNote, verificationId, clerkId, registerId]
+      );
 
-    const newVerification = await query(
+      if (!updateResult.rows.length) {
+        throw new Error('VERIFICATION_NOT_FOUND');
+      }
+      verificationRecord = updateResult.rows[0];
+    }
+
+    const { previous_status: previousStatus = null, ...verification } = verificationRecord;
+
+    const overrideInsert = await client.query(
       `
-        INSERT INTO verifications (
-          verification_id, sale_id, clerk_id, location_id, status, reason, 
-          document_type, document_number, age, approved, source
+        INSERT INTO verification_overrides (
+          verification_id,
+          sale_id,
+          manager_id,
+          note
         )
-        VALUES ($1, $2, $3, $4, 'approved_override', $5, 
-                'manual', 'no-scan', 21, true, 'manual_override')
-        RETURNING *
-      `,
-      [generatedVerificationId, saleId, clerkId || 'unknown-clerk', registerId || 'unknown-location', sanitizedNote]
-    );
-    finalVerificationId = newVerification.rows[0].verification_id;
-    verificationRecord = newVerification.rows[0];
-  } else {
-    // Existing logic for updating a rejected scan
-    const updateResult = await query(
-      `
-        UPDATE verifications
-        SET status = 'approved_override',
-            reason = COALESCE($1, reason),
-            clerk_id = COALESCE($3, clerk_id),
-            location_id = COALESCE($4, location_id),
-            updated_at = NOW()
-        WHERE verification_id = $2
-        RETURNING *
+        VALUES ($1,$2,$3,$4)
+        RETURNING id, verification_id, sale_id, manager_id, note, created_at
       `,
-      [sanitizedNote, verificationId, clerkId, registerId]
+      [verification.verification_id, saleId, managerId, sanitizedNote]
     );
+    const override = overrideInsert.rows[0];
+
+    record({
+      eventType: 'verification_override',
+      entityType: 'verification',
+      entityId: verification.verification_id,
+      payload: {
+        saleId,
+        managerId,
+        overrideId: override.id,
+        manual: verificationId === 'MANUAL-OVERRIDE',
+        previousStatus,
+        status: verification.status,
+        rowHash: auditLedger.hashRecord(verification),
+        overrideRowHash: auditLedger.hashRecord(override)
+      }
+    });
 
-    if (!updateResult.rows.length) {
-      throw new Error('VERIFICATION_NOT_FOUND');
-    }
-    verificationRecord = updateResult.rows[0];
-  }
-
-  const overrideInsert = await query(
-    `
-      INSERT INTO verification_overrides (
-        verification_id,
-        sale_id,
-        manager_id,
-        note
-      )
-      VALUES ($1,$2,$3,$4)
-      RETURNING id, verification_id, sale_id, manager_id, note, created_at
-    `,
-    [finalVerificationId, saleId, managerId || 'unknown-manager', sanitizedNote]
-  );
+    return { verification: piiCrypto.revealRow('verifications', verification), override };
+  });
 
   logger.info({
     event: 'verification_override',
     verificationId,
     saleId,
-    managerId: managerId || null
+    managerId
   }, 'Verification override recorded');
 
-  return {
-    verification: verificationRecord,
-    override: overrideInsert.rows[0]
-  };
+  return result;
 }
 
 
-
 async function listOverridesForSale(saleId) {
+  await ensureComplianceSchema();
+
   const { rows } = await query(
     `
       SELECT
-        id,
-        verification_id AS verificationId,
-        sale_id AS saleId,
-        manager_id AS managerId,
-        note,
-        created_at AS createdAt
-      FROM verification_overrides
-      WHERE sale_id = $1
-      ORDER BY created_at DESC
+        o.id,
+        o.verification_id AS verificationId,
+        o.sale_id AS saleId,
+        o.manager_id AS managerId,
+        m.name AS managerName,
+        o.note,
+        o.created_at AS createdAt
+      FROM verification_overrides o
+      LEFT JOIN managers m ON m.id = o.manager_id
+      WHERE o.sale_id = $1
+      ORDER BY o.created_at DESC
     `,
     [saleId]
   );
@@ -666,6 +1264,8 @@ async function listRecentOverrides({ days = 30, limit = 200 } = {}) {
   const normalizedDays = normalizeRetentionDays(days, 30);
   const normalizedLimit = Math.min(Math.max(parseInt(limit, 10) || 200, 1), 1000);
 
+  await ensureComplianceSchema();
+
   const { rows } = await query(
     `
       SELECT
@@ -673,19 +1273,24 @@ async function listRecentOverrides({ days = 30, limit = 200 } = {}) {
         o.verification_id AS "verificationId",
         o.sale_id AS "saleId",
         o.manager_id AS "managerId",
+        m.name AS "managerName",
         o.note,
         o.created_at AS "createdAt",
         v.location_id AS "locationId",
         v.clerk_id AS "clerkId",
         v.status,
         v.document_type AS "documentType",
-        v.document_number AS "documentNumber",
+        v.document_number,
         v.issuing_country AS "issuingCountry",
         v.document_expiry AS "documentExpiry",
         v.nationality,
-        v.sex
+        v.sex,
+        v.pii_key_id,
+        v.pii_dek,
+        v.pii_ciphertext
       FROM verification_overrides o
       JOIN verifications v ON v.verification_id = o.verification_id
+      LEFT JOIN managers m ON m.id = o.manager_id
       WHERE o.created_at >= NOW() - ($1::int || ' days')::interval
       ORDER BY o.created_at DESC
       LIMIT $2
@@ -693,13 +1298,125 @@ async function listRecentOverrides({ days = 30, limit = 200 } = {}) {
     [normalizedDays, normalizedLimit]
   );
 
-  return rows;
+  // Only the document number is surfaced here; the other decrypted fields are dropped.
+  return rows.map((row) => {
+    const {
+      document_number: documentNumber,
+      first_name: _firstName,
+      middle_name: _middleName,
+      last_name: _lastName,
+      date_of_birth: _dateOfBirth,
+      ...rest
+    } = piiCrypto.revealRow('verifications', row);
+    return { ...rest, documentNumber };
+  });
+}
+
+// An active legal hold covering a row, given the SQL expressions for its sale, document number and outlet.
+// Encrypted verifications have no plaintext document number, so document holds also match on the blind index.
+function legalHoldClause({ saleId, documentNumber, documentBidx, locationId }) {
+  return `EXISTS (
+    SELECT 1 FROM retention_legal_holds h
+    WHERE h.released_at IS NULL
+      AND (
+        (h.scope = 'sale' AND h.value = ${saleId})
+        OR (h.scope = 'document' AND h.value = UPPER(TRIM(${documentNumber})))
+        OR (h.scope = 'document' AND h.value_bidx = ${documentBidx})
+        OR (h.scope = 'outlet' AND h.value = ${locationId})
+      )
+  )`;
+}
+
+const RETENTION_PREVIEW_LIMIT = 100;
+
+// Expired rows per table, with the ones under a legal hold (or, for verifications, still referenced by a row that is
+// being kept) split out. `lock` is '' for a dry run and FOR UPDATE inside the deleting transaction.
+async function collectExpiredRows(run, { overrideDays, completionDays, verificationDays, lock }) {
+  const split = (rows) => {
+    const removable = [];
+    const held = [];
+    const referenced = [];
+    rows.forEach(({ legal_hold: legalHold, still_referenced: stillReferenced, ...row }) => {
+      if (legalHold) held.push(row);
+      else if (stillReferenced) referenced.push(row);
+      else removable.push(row);
+    });
+    return { removable, held, referenced };
+  };
+
+  const overrides = split((await run(
+    `
+      SELECT o.*, ${legalHoldClause({ saleId: 'o.sale_id', documentNumber: 'v.document_number', documentBidx: 'v.document_number_bidx', locationId: 'v.location_id' })} AS legal_hold
+      FROM verification_overrides o
+      LEFT JOIN verifications v ON v.verification_id = o.verification_id
+      WHERE o.created_at < NOW() - ($1::int || ' days')::interval
+      ORDER BY o.created_at ASC
+      ${lock ? `${lock} OF o` : ''}
+    `,
+    [overrideDays]
+  )).rows);
+
+  const completions = split((await run(
+    `
+      SELECT sc.*, ${legalHoldClause({ saleId: 'sc.sale_id', documentNumber: 'v.document_number', documentBidx: 'v.document_number_bidx', locationId: 'v.location_id' })} AS legal_hold
+      FROM sales_completions sc
+      LEFT JOIN verifications v ON v.verification_id = sc.verification_id
+      WHERE sc.completed_at < NOW() - ($1::int || ' days')::interval
+      ORDER BY sc.completed_at ASC
+      ${lock ? `${lock} OF sc` : ''}
+    `,
+    [completionDays]
+  )).rows);
+
+  // A verification goes only once nothing that is being kept points at it (completions would block the DELETE;
+  // overrides would cascade without being archived).
+  const verifications = split((await run(
+    `
+      SELECT v.*, ${legalHoldClause({ saleId: 'v.sale_id', documentNumber: 'v.document_number', documentBidx: 'v.document_number_bidx', locationId: 'v.location_id' })} AS legal_hold,
+        (
+          EXISTS (
+            SELECT 1 FROM sales_completions sc
+            WHERE sc.verification_id = v.verification_id AND NOT (sc.sale_id = ANY($2::text[]))
+          )
+          OR EXISTS (
+            SELECT 1 FROM verification_overrides o
+            WHERE o.verification_id = v.verification_id AND NOT (o.id::text = ANY($3::text[]))
+          )
+        ) AS still_referenced
+      FROM verifications v
+      WHERE v.created_at < NOW() - ($1::int || ' days')::interval
+      ORDER BY v.created_at ASC
+      ${lock ? `${lock} OF v` : ''}
+    `,
+    [
+      verificationDays,
+      completions.removable.map((row) => row.sale_id),
+      overrides.removable.map((row) => String(row.id))
+    ]
+  )).rows);
+
+  return { overrides, completions, verifications };
 }
 
+/**
+ * Remove verifications, overrides and completions past their retention window, except rows under a legal hold.
+ *
+ * Removed rows are first written to a gzipped NDJSON archive (see retentionArchive.js) and every deletion is
+ * recorded in the audit ledger, all in one transaction: if the archive cannot be written nothing is deleted. With
+ * archiving on but no RETENTION_ARCHIVE_DIR, nothing is deleted either and `archive` is 'not_configured'.
+ *
+ * @param {object} [options]
+ * @param {boolean} [options.dryRun] report what would be removed (with up to 100 ids per table) without deleting
+ * @param {boolean} [options.archive] defaults to true unless RETENTION_ARCHIVE=false
+ * @param {string} [options.archiveDir] defaults to RETENTION_ARCHIVE_DIR (required when archiving)
+ */
 async function enforceRetention({
   verificationDays = 730, // TABC requires 2-year retention (730 days)
   overrideDays,
-  completionDays
+  completionDays,
+  dryRun = false,
+  archive = retentionArchive.isArchiveEnabled(),
+  archiveDir
 } = {}) {
   const normalizedVerificationDays = normalizeRetentionDays(verificationDays, 730);
   const normalizedOverrideDays = normalizeRetentionDays(
@@ -710,57 +1427,92 @@ async function enforceRetention({
     completionDays ?? normalizedVerificationDays,
     normalizedVerificationDays
   );
-
-  const results = {
-    verificationsDeleted: 0,
-    completionsDeleted: 0,
-    overridesDeleted: 0
+  const windows = {
+    overrideDays: normalizedOverrideDays,
+    completionDays: normalizedCompletionDays,
+    verificationDays: normalizedVerificationDays
   };
 
-  const deletions = [];
-
-  deletions.push(
-    query(
-      `
-        DELETE FROM verification_overrides
-        WHERE created_at < NOW() - ($1::int || ' days')::interval
-      `,
-      [normalizedOverrideDays]
-    ).then((res) => {
-      results.overridesDeleted = res.rowCount || 0;
-    })
-  );
+  await ensureComplianceSchema();
 
-  deletions.push(
-    query(
-      `
-        DELETE FROM sales_completions
-        WHERE completed_at < NOW() - ($1::int || ' days')::interval
-      `,
-      [normalizedCompletionDays]
-    ).then((res) => {
-      results.completionsDeleted = res.rowCount || 0;
-    })
-  );
+  const summarize = (expired) => ({
+    dryRun,
+    verificationsDeleted: expired.verifications.removable.length,
+    completionsDeleted: expired.completions.removable.length,
+    overridesDeleted: expired.overrides.removable.length,
+    held: {
+      verifications: expired.verifications.held.length,
+      completions: expired.completions.held.length,
+      overrides: expired.overrides.held.length
+    },
+    verificationsStillReferenced: expired.verifications.referenced.length
+  });
+
+  if (dryRun) {
+    const expired = await collectExpiredRows(query, { ...windows, lock: '' });
+    const results = {
+      ...summarize(expired),
+      archive: null,
+      preview: {
+        verifications: expired.verifications.removable.slice(0, RETENTION_PREVIEW_LIMIT).map((row) => row.verification_id),
+        completions: expired.completions.removable.slice(0, RETENTION_PREVIEW_LIMIT).map((row) => row.sale_id),
+        overrides: expired.overrides.removable.slice(0, RETENTION_PREVIEW_LIMIT).map((row) => String(row.id))
+      }
+    };
+    logger.info({ event: 'retention_dry_run', ...windows, ...results, preview: undefined }, 'Retention dry run');
+    return results;
+  }
 
-  await Promise.all(deletions);
+  const results = await auditLedger.withLedgerTransaction(async (client, record) => {
+    const expired = await collectExpiredRows((text, params) => client.query(text, params), { ...windows, lock: 'FOR UPDATE' });
+
+    // Overrides and completions reference verifications, so they go first.
+    const deletions = [
+      { table: 'verification_overrides', rows: expired.overrides.removable, days: normalizedOverrideDays, id: (row) => String(row.id), sql: 'DELETE FROM verification_overrides WHERE id = ANY($1::uuid[])' },
+      { table: 'sales_completions', rows: expired.completions.removable, days: normalizedCompletionDays, id: (row) => row.sale_id, sql: 'DELETE FROM sales_completions WHERE sale_id = ANY($1::text[])' },
+      { table: 'verifications', rows: expired.verifications.removable, days: normalizedVerificationDays, id: (row) => row.verification_id, sql: 'DELETE FROM verifications WHERE verification_id = ANY($1::text[])' }
+    ].filter((deletion) => deletion.rows.length);
+
+    let archived = null;
+    if (archive && deletions.length) {
+      const dir = archiveDir || retentionArchive.getArchiveDir();
+      if (!dir) {
+        logger.warn(
+          { event: 'retention_archive_not_configured', ...summarize(expired) },
+          'Retention skipped: set RETENTION_ARCHIVE_DIR (or RETENTION_ARCHIVE=false) to delete expired rows'
+        );
+        return { ...summarize(expired), verificationsDeleted: 0, completionsDeleted: 0, overridesDeleted: 0, archive: 'not_configured' };
+      }
+      archived = await retentionArchive.writeRetentionArchive({
+        datasets: deletions.map(({ table, rows }) => ({ table, rows })),
+        meta: { retention: windows },
+        dir
+      });
+    }
 
-  const verificationsResult = await query(
-    `
-      DELETE FROM verifications
-      WHERE created_at < NOW() - ($1::int || ' days')::interval
-    `,
-    [normalizedVerificationDays]
-  );
+    for (const deletion of deletions) {
+      const ids = deletion.rows.map(deletion.id);
+      await client.query(deletion.sql, [ids]);
+      record({
+        eventType: 'retention_deleted',
+        entityType: deletion.table,
+        entityId: null,
+        payload: {
+          retentionDays: deletion.days,
+          count: ids.length,
+          ids,
+          archive: archived ? { file: archived.file, sha256: archived.sha256 } : null
+        }
+      });
+    }
 
-  results.verificationsDeleted = verificationsResult.rowCount || 0;
+    return { ...summarize(expired), archive: archived };
+  });
 
   logger.info(
     {
       event: 'retention_enforced',
-      verificationDays: normalizedVerificationDays,
-      overrideDays: normalizedOverrideDays,
-      completionDays: normalizedCompletionDays,
+      ...windows,
       ...results
     },
     'Retention policy enforced'
@@ -769,14 +1521,295 @@ async function enforceRetention({
   return results;
 }
 
-async function removeBannedCustomer(id) {
+const LEGAL_HOLD_SCOPES = ['sale', 'document', 'outlet'];
+
+function mapLegalHold(row) {
+  return {
+    id: row.id,
+    scope: row.scope,
+    value: row.value,
+    reason: row.reason,
+    placedBy: row.placed_by,
+    createdAt: row.created_at,
+    releasedAt: row.released_at,
+    releasedBy: row.released_by,
+    releaseNote: row.release_note
+  };
+}
+
+// Document holds match verifications.document_number case- and whitespace-insensitively.
+function normalizeLegalHoldValue(scope, value) {
+  const normalized = String(value ?? '').trim();
+  return scope === 'document' ? normalized.toUpperCase() : normalized;
+}
+
+async function listLegalHolds({ includeReleased = false } = {}) {
+  await ensureComplianceSchema();
+
+  const { rows } = await query(
+    `
+      SELECT *
+      FROM retention_legal_holds
+      WHERE ($1::boolean OR released_at IS NULL)
+      ORDER BY created_at DESC
+    `,
+    [Boolean(includeReleased)]
+  );
+  return rows.map(mapLegalHold);
+}
+
+/**
+ * Keep every verification, override and completion for a sale, a customer document or an outlet out of retention
+ * until the hold is released. Placing and releasing holds is recorded in the audit ledger.
+ *
+ * @throws {Error} INVALID_SCOPE / VALUE_REQUIRED / REASON_REQUIRED / HOLD_EXISTS (an active hold already covers it)
+ */
+async function placeLegalHold({ scope, value, reason, placedBy }) {
+  if (!LEGAL_HOLD_SCOPES.includes(scope)) {
+    throw new Error('INVALID_SCOPE');
+  }
+  const normalizedValue = normalizeLegalHoldValue(scope, value);
+  if (!normalizedValue) {
+    throw new Error('VALUE_REQUIRED');
+  }
+  const normalizedReason = sanitizeNote(reason);
+  if (!normalizedReason) {
+    throw new Error('REASON_REQUIRED');
+  }
+
+  await ensureComplianceSchema();
+
+  try {
+    const hold = await auditLedger.withLedgerTransaction(async (client, record) => {
+      const { rows } = await client.query(
+        `
+          INSERT INTO retention_legal_holds (scope, value, value_bidx, reason, placed_by)
+          VALUES ($1, $2, $3, $4, $5)
+          RETURNING *
+        `,
+        [
+          scope,
+          normalizedValue,
+          scope === 'document' ? piiCrypto.documentIndex(normalizedValue) : null,
+          normalizedReason,
+          placedBy || null
+        ]
+      );
+      record({
+        eventType: 'legal_hold_placed',
+        entityType: 'legal_hold',
+        entityId: rows[0].id,
+        payload: { scope, placedBy: placedBy || null, rowHash: auditLedger.hashRecord(rows[0]) }
+      });
+      return rows[0];
+    });
+
+    logger.logSecurity('legal_hold_placed', { holdId: hold.id, scope, placedBy: placedBy || null });
+    return mapLegalHold(hold);
+  } catch (error) {
+    if (error.code === '23505') {
+      throw new Error('HOLD_EXISTS');
+    }
+    throw error;
+  }
+}
+
+/**
+ * @returns {Promise<object|null>} the released hold, or null if there is no active hold with that id
+ */
+async function releaseLegalHold(id, { releasedBy, note } = {}) {
   await ensureComplianceSchema();
 
-  const { rowCount } = await query(`DELETE FROM banned_customers WHERE id = $1`, [id]);
-  if (rowCount) {
-    logger.info({ event: 'banned_customer_removed', id }, 'Banned customer removed');
+  const hold = await auditLedger.withLedgerTransaction(async (client, record) => {
+    const { rows } = await client.query(
+      `
+        UPDATE retention_legal_holds
+        SET released_at = NOW(), released_by = $2, release_note = $3
+        WHERE id = $1 AND released_at IS NULL
+        RETURNING *
+      `,
+      [id, releasedBy || null, sanitizeNote(note)]
+    );
+    if (!rows.length) return null;
+    record({
+      eventType: 'legal_hold_released',
+      entityType: 'legal_hold',
+      entityId: rows[0].id,
+      payload: { scope: rows[0].scope, releasedBy: releasedBy || null, rowHash: auditLedger.hashRecord(rows[0]) }
+    });
+    return rows[0];
+  });
+
+  if (hold) {
+    logger.logSecurity('legal_hold_released', { holdId: hold.id, scope: hold.scope, releasedBy: releasedBy || null });
+  }
+  return hold ? mapLegalHold(hold) : null;
+}
+
+/**
+ * Lift a ban: it stops being enforced but stays on record, with a 'lifted' revision and audit ledger entry.
+ *
+ * @returns {Promise<object|null>} the lifted ban, or null if there is no unlifted ban with that id
+ */
+async function liftBannedCustomer(id, { liftedBy, reason } = {}) {
+  await ensureComplianceSchema();
+
+  const row = await auditLedger.withLedgerTransaction(async (client, record) => {
+    const { rows } = await client.query(
+      `
+        UPDATE banned_customers
+        SET lifted_at = NOW(), lifted_by = $2, lift_reason = $3, updated_at = NOW()
+        WHERE id = $1 AND lifted_at IS NULL
+        RETURNING *
+      `,
+      [id, liftedBy || null, sanitizeNote(reason)]
+    );
+    if (!rows.length) return null;
+    await recordBanRevision(client, record, rows[0], { action: 'lifted', changedBy: liftedBy, note: reason });
+    return rows[0];
+  });
+
+  if (row) {
+    logger.logSecurity('banned_customer_lifted', { bannedId: row.id, liftedBy: liftedBy || null });
+  }
+  return row ? mapBannedCustomer(piiCrypto.revealRow('banned_customers', row)) : null;
+}
+
+async function getVerification(verificationId) {
+  const { rows } = await query('SELECT * FROM verifications WHERE verification_id = $1', [verificationId]);
+  return rows[0] ? piiCrypto.revealRow('verifications', rows[0]) : null;
+}
+
+// Document numbers written by flows that had no real document to scan.
+const isPlaceholderDocumentNumber = (value) => !value || value === 'no-scan' || String(value).startsWith('RAW-');
+
+/**
+ * Ban the customer of an existing scan without retyping it: the ban copies the verification's document, name and
+ * DOB (or bans by name + DOB when the scan had no document number), records the manager and reason in its revision,
+ * and flags every scan of the same document in the last `lookbackDays` days (and the source scan) with the ban.
+ * When the document is already banned (and the ban has not expired), that ban and its terms are kept as they are and
+ * only the scans are flagged.
+ *
+ * @param {string} verificationId verifications.verification_id
+ * @param {{ managerId: string, reason: string, terms?: object, lookbackDays?: number }} options terms as for
+ *   addBannedCustomer (startsAt, endsAt, scope, outletIds, reasonCategory)
+ * @returns {Promise<{ ban: object, inserted: boolean, existing: boolean, flaggedVerificationIds: string[] }|null>}
+ *   null when there is no such verification; existing is set when an earlier ban was kept unchanged
+ * @throws {Error} MANAGER_REQUIRED / VERIFICATION_HAS_NO_IDENTITY / BAN_LIFTED / see normalizeBanTerms
+ */
+async function banFromVerification(verificationId, { managerId, reason, terms: requestedTerms = {}, lookbackDays = 30 } = {}) {
+  // managers.id (see managerStore.js), as for overrides: a ban from the floor is tied to a person.
+  if (!managerId) {
+    throw new Error('MANAGER_REQUIRED');
   }
-  return rowCount > 0;
+  const terms = normalizeBanTerms(requestedTerms);
+  const days = Math.min(Math.max(parseInt(lookbackDays, 10) || 0, 0), 365);
+  const changedBy = `manager:${managerId}`;
+  await ensureComplianceSchema();
+
+  const result = await auditLedger.withLedgerTransaction(async (client, record) => {
+    const { rows } = await client.query('SELECT * FROM verifications WHERE verification_id = $1 FOR UPDATE', [verificationId]);
+    if (!rows.length) return null;
+    const verification = piiCrypto.revealRow('verifications', rows[0]);
+
+    const hasDocument = !isPlaceholderDocumentNumber(verification.document_number) && verification.document_type !== 'manual';
+    if (!hasDocument && !(verification.first_name && verification.last_name && verification.date_of_birth)) {
+      throw new Error('VERIFICATION_HAS_NO_IDENTITY');
+    }
+    const entry = {
+      documentType: hasDocument ? verification.document_type || 'drivers_license' : 'name_dob',
+      // Same placeholder shape as a name + DOB ban entered in the admin console, but stable per scan.
+      documentNumber: hasDocument ? verification.document_number : `BANNED-${verification.verification_id}`,
+      issuingCountry: hasDocument ? verification.issuing_country || null : null,
+      bannedLocationId: verification.location_id || null,
+      dateOfBirth: verification.date_of_birth || null,
+      firstName: verification.first_name || null,
+      lastName: verification.last_name || null,
+      notes: reason
+    };
+    // A ban already in force (or scheduled) for this document keeps the terms compliance gave it, and a lifted one
+    // stays lifted: from the floor a manager can only add the scans to it. An expired ban is renewed.
+    const { rows: [existing] } = await client.query(
+      `
+        SELECT * FROM banned_customers
+        WHERE document_type = $1
+          AND COALESCE(issuing_country, '') = $2
+          AND (document_number_bidx = $3 OR (document_number_bidx IS NULL AND document_number = $4))
+        ORDER BY created_at
+        LIMIT 1
+        FOR UPDATE
+      `,
+      [entry.documentType, entry.issuingCountry || '', piiCrypto.documentIndex(entry.documentNumber), entry.documentNumber]
+    );
+    if (existing && existing.lifted_at) {
+      throw new Error('BAN_LIFTED');
+    }
+
+    let ban = existing;
+    let inserted = false;
+    if (!existing || banStatus(existing) === 'expired') {
+      const saved = await upsertBannedCustomer(client, record, entry, terms, { changedBy, note: reason });
+      inserted = saved.inserted;
+      ({ rows: [ban] } = await client.query(
+        'UPDATE banned_customers SET source_verification_id = $2 WHERE id = $1 RETURNING *',
+        [saved.row.id, verification.verification_id]
+      ));
+    }
+
+    const { rows: flagged } = await client.query(
+      `
+        UPDATE verifications
+        SET banned_flag_id = $1, banned_flagged_at = NOW()
+        WHERE verification_id = $2
+          OR (
+            $3::text IS NOT NULL
+            AND created_at >= NOW() - ($4::int * INTERVAL '1 day')
+            AND document_type = $5
+            AND COALESCE(issuing_country, '') = $6
+            AND (document_number_bidx = $7 OR (document_number_bidx IS NULL AND document_number = $3))
+          )
+        RETURNING verification_id
+      `,
+      [
+        ban.id,
+        verification.verification_id,
+        hasDocument ? verification.document_number : null,
+        days,
+        verification.document_type,
+        verification.issuing_country || '',
+        hasDocument ? piiCrypto.documentIndex(verification.document_number) : null
+      ]
+    );
+    const flaggedVerificationIds = flagged.map((item) => item.verification_id);
+    record({
+      eventType: 'verifications_flagged_banned',
+      entityType: 'banned_customer',
+      entityId: ban.id,
+      payload: {
+        sourceVerificationId: verification.verification_id,
+        lookbackDays: days,
+        verificationIds: flaggedVerificationIds,
+        changedBy,
+        termsKept: ban === existing
+      }
+    });
+
+    return { ban, inserted, existing: ban === existing, flaggedVerificationIds };
+  });
+
+  if (!result) return null;
+  logger.logSecurity('banned_from_verification', {
+    bannedId: result.ban.id,
+    verificationId,
+    managerId,
+    flagged: result.flaggedVerificationIds.length
+  });
+  return {
+    ban: mapBannedCustomer(piiCrypto.revealRow('banned_customers', result.ban)),
+    inserted: result.inserted,
+    existing: result.existing,
+    flaggedVerificationIds: result.flaggedVerificationIds
+  };
 }
 
 async function countRecentOverrides({ locationId, minutes = 10 }) {
@@ -838,15 +1871,151 @@ async function initDiagnostics() {
 
 initDiagnostics();
 
+const PII_MIGRATION_TABLES = {
+  verifications: { entityKey: 'verification_id' },
+  banned_customers: { entityKey: 'id' }
+};
+
+/**
+ * One batch of the PII migration (scripts/migratePiiEncryption.js): encrypts plaintext rows, re-wraps data keys
+ * that are not under the active key, and recomputes blind indexes (needed after the blind-index key changes).
+ * Rows are walked in id order; pass the returned lastId back as afterId until done.
+ *
+ * @param {object} options
+ * @param {'verifications'|'banned_customers'} options.table
+ * @param {string|null} [options.afterId]
+ * @param {number} [options.batchSize]
+ * @param {boolean} [options.dryRun] count what would change without writing
+ */
+async function migratePiiBatch({ table, afterId = null, batchSize = 200, dryRun = false }) {
+  if (!PII_MIGRATION_TABLES[table]) {
+    throw new Error('INVALID_TABLE');
+  }
+  const keyring = piiCrypto.getKeyring();
+  if (!keyring) {
+    throw new Error('PII_KEYS_NOT_CONFIGURED');
+  }
+  const limit = Math.min(Math.max(parseInt(batchSize, 10) || 200, 1), 5000);
+  const { entityKey } = PII_MIGRATION_TABLES[table];
+  const piiColumns = piiCrypto.PII_COLUMNS[table];
+  const bidxColumns = Object.keys(piiCrypto.blindIndexColumns(table, {}));
+
+  await ensureComplianceSchema();
+
+  const migrate = async (run, record) => {
+    const { rows } = await run(
+      `
+        SELECT
+          id,
+          ${entityKey === 'id' ? '' : `${entityKey},`}
+          ${piiColumns.map((column) => (column === 'date_of_birth' ? 'date_of_birth::text AS date_of_birth' : column)).join(', ')},
+          ${[...piiCrypto.PII_STORAGE_COLUMNS, ...bidxColumns].join(', ')}
+        FROM ${table}
+        WHERE ($1::uuid IS NULL OR id > $1::uuid)
+        ORDER BY id
+        LIMIT $2
+        ${dryRun ? '' : 'FOR UPDATE'}
+      `,
+      [afterId, limit]
+    );
+
+    const changed = { encrypted: [], rewrapped: [], reindexed: [] };
+    for (const row of rows) {
+      let update = null;
+      let action = null;
+      if (!row.pii_ciphertext) {
+        if (!piiColumns.some((column) => row[column] !== null && row[column] !== undefined && row[column] !== '')) continue;
+        update = piiCrypto.protectFields(table, row);
+        action = 'encrypted';
+      } else {
+        const revealed = piiCrypto.revealRow(table, row);
+        const indexes = piiCrypto.blindIndexColumns(table, revealed);
+        if (row.pii_key_id !== keyring.activeKeyId) {
+          update = { ...piiCrypto.rewrapDek(row), ...indexes };
+          action = 'rewrapped';
+        } else if (bidxColumns.some((column) => (row[column] || null) !== indexes[column])) {
+          update = indexes;
+          action = 'reindexed';
+        }
+      }
+      if (!update) continue;
+      changed[action].push(String(row[entityKey]));
+      if (dryRun) continue;
+
+      const columns = Object.keys(update);
+      await run(
+        `UPDATE ${table} SET ${columns.map((column, index) => `${column} = $${index + 2}`).join(', ')} WHERE id = $1`,
+        [row.id, ...columns.map((column) => update[column])]
+      );
+    }
+
+    const touched = changed.encrypted.length + changed.rewrapped.length + changed.reindexed.length;
+    if (record && touched) {
+      record({
+        eventType: 'pii_reencrypted',
+        entityType: table,
+        entityId: null,
+        payload: { keyId: keyring.activeKeyId, ...changed }
+      });
+    }
+
+    return {
+      table,
+      dryRun,
+      scanned: rows.length,
+      encrypted: changed.encrypted.length,
+      rewrapped: changed.rewrapped.length,
+      reindexed: changed.reindexed.length,
+      lastId: rows.length ? rows[rows.length - 1].id : afterId,
+      done: rows.length < limit
+    };
+  };
+
+  if (dryRun) {
+    return migrate(query, null);
+  }
+  return auditLedger.withLedgerTransaction((client, record) => migrate((text, params) => client.query(text, params), record));
+}
+
+// Document holds placed before encryption was enabled (or before a blind-index key change) need value_bidx set.
+async function reindexLegalHolds({ dryRun = false } = {}) {
+  await ensureComplianceSchema();
+  const { rows } = await query(
+    `SELECT id, value, value_bidx FROM retention_legal_holds WHERE scope = 'document' AND released_at IS NULL`
+  );
+  const stale = rows
+    .map((row) => ({ id: row.id, valueBidx: piiCrypto.documentIndex(row.value), current: row.value_bidx || null }))
+    .filter((row) => row.valueBidx !== row.current);
+  if (!dryRun) {
+    for (const row of stale) {
+      await query('UPDATE retention_legal_holds SET value_bidx = $2 WHERE id = $1', [row.id, row.valueBidx]);
+    }
+  }
+  return { checked: rows.length, updated: stale.length, dryRun };
+}
+
 module.exports = {
   saveVerification,
   getLatestVerificationForSale,
   recordSaleCompletion,
+  findCompliantSaleIds,
+  checkSaleCompliance,
+  recordComplianceException,
+  listComplianceExceptions,
+  COMPLIANCE_EXCEPTION_REASONS,
   summarizeCompliance,
   findBannedCustomer,
   addBannedCustomer,
   listBannedCustomers,
-  removeBannedCustomer,
+  findBannedByKeys,
+  importBannedCustomers,
+  normalizeBanTerms,
+  listBannedRevisions,
+  liftBannedCustomer,
+  getVerification,
+  banFromVerification,
+  BAN_SCOPES,
+  BAN_REASON_CATEGORIES,
   logDiagnostic,
   initDiagnostics,
   ensureComplianceSchema,
@@ -854,4 +2023,10 @@ module.exports = {
   listOverridesForSale,
   listRecentOverrides,
   enforceRetention,
+  LEGAL_HOLD_SCOPES,
+  listLegalHolds,
+  placeLegalHold,
+  releaseLegalHold,
+  migratePiiBatch,
+  reindexLegalHolds,
 };
@@ -0,0 +1,241 @@
+"use strict";
+
+const crypto = require('crypto');
+const db = require('./db');
+const piiCrypto = require('./piiCrypto');
+
+/**
+ * Repeat-document velocity: one ID approving many separate sales in a short time, or at several outlets in a day,
+ * is the classic straw-purchase / shared-ID pattern. The analyzer groups approved verifications by document
+ * (blind index when PII is encrypted) and flags documents that reach any threshold:
+ *   VELOCITY_HOURLY_SALES_THRESHOLD   distinct sales within any 60 minutes (default 3)
+ *   VELOCITY_DAILY_SALES_THRESHOLD    distinct sales in one store-local day (default 5)
+ *   VELOCITY_DAILY_OUTLETS_THRESHOLD  distinct outlets in one store-local day (default 2)
+ *
+ * Used by GET /admin/compliance/velocity and by /verify's "seen N times today" clerk warning.
+ */
+
+const MAX_REPORT_DAYS = 31;
+const HOUR_MS = 60 * 60 * 1000;
+const APPROVED_STATUSES = ['approved', 'approved_override'];
+
+function readThreshold(name, fallback) {
+  const parsed = Number.parseInt(String(process.env[name] ?? ''), 10);
+  return Number.isFinite(parsed) && parsed >= 1 ? parsed : fallback;
+}
+
+function getVelocityThresholds() {
+  return {
+    hourlySales: readThreshold('VELOCITY_HOURLY_SALES_THRESHOLD', 3),
+    dailySales: readThreshold('VELOCITY_DAILY_SALES_THRESHOLD', 5),
+    dailyOutlets: readThreshold('VELOCITY_DAILY_OUTLETS_THRESHOLD', 2)
+  };
+}
+
+// Days are store-local calendar days; stored timestamps are UTC.
+function getVelocityTimeZone() {
+  return String(process.env.VELOCITY_TIMEZONE || '').trim() || 'America/Chicago';
+}
+
+// Scans today (including the current one) at which the clerk sees the warning; 0 turns the warning off.
+function getClerkWarningThreshold() {
+  const parsed = Number.parseInt(String(process.env.VELOCITY_CLERK_WARNING_SCANS ?? ''), 10);
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : 2;
+}
+
+function localDay(date, timeZone) {
+  return new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(date);
+}
+
+// Scans with no real document behind them (manual overrides, raw fallbacks) never count.
+const REAL_DOCUMENT_SQL = `
+  COALESCE(document_number_bidx, document_number) IS NOT NULL
+  AND (document_number IS NULL OR (document_number <> 'no-scan' AND document_number NOT LIKE 'RAW-%'))
+`;
+
+// SQL counterpart of piiCrypto.normalizeDocumentNumber, for rows stored before the blind index (plaintext number).
+const NORMALIZED_DOCUMENT_NUMBER_SQL = "upper(regexp_replace(document_number, '[[:space:]-]+', '', 'g'))";
+
+// Same document as $1/$2 with number $3 (blind index) or $4 (normalized plaintext, rows stored before PII encryption).
+const SAME_DOCUMENT_SQL = `
+  document_type = $1
+  AND COALESCE(issuing_country, '') = $2
+  AND (document_number_bidx = $3 OR (document_number_bidx IS NULL AND ${NORMALIZED_DOCUMENT_NUMBER_SQL} = $4))
+`;
+
+function documentKey(row) {
+  const number = row.document_number_bidx
+    || crypto.createHash('sha256').update(piiCrypto.normalizeDocumentNumber(row.document_number)).digest('hex');
+  return [row.document_type || '', row.issuing_country || '', number].join('|');
+}
+
+// Highest number of distinct sales whose first approval falls within one 60-minute window.
+function peakHourlySales(saleTimes) {
+  const times = [...saleTimes].sort((a, b) => a - b);
+  let peak = 0;
+  let windowStart = null;
+  for (let end = 0, start = 0; end < times.length; end += 1) {
+    while (times[end] - times[start] >= HOUR_MS) start += 1;
+    if (end - start + 1 > peak) {
+      peak = end - start + 1;
+      windowStart = times[start];
+    }
+  }
+  return { peak, windowStart: windowStart === null ? null : new Date(windowStart).toISOString() };
+}
+
+function evaluateDocument(rows, thresholds, timeZone) {
+  const firstApprovalBySale = new Map();
+  const days = new Map();
+  rows.forEach((row) => {
+    const at = new Date(row.created_at).getTime();
+    const sale = row.sale_id || row.verification_id;
+    if (!firstApprovalBySale.has(sale) || firstApprovalBySale.get(sale) > at) firstApprovalBySale.set(sale, at);
+    const day = localDay(new Date(at), timeZone);
+    if (!days.has(day)) days.set(day, { sales: new Set(), outlets: new Set() });
+    days.get(day).sales.add(sale);
+    if (row.location_id) days.get(day).outlets.add(row.location_id);
+  });
+
+  const flags = [];
+  const hourly = peakHourlySales(firstApprovalBySale.values());
+  if (hourly.peak >= thresholds.hourlySales) {
+    flags.push({ rule: 'hourly_sales', count: hourly.peak, threshold: thresholds.hourlySales, windowStart: hourly.windowStart });
+  }
+  let peakDailySales = 0;
+  let peakDailyOutlets = 0;
+  Array.from(days.entries()).sort(([a], [b]) => a.localeCompare(b)).forEach(([day, { sales, outlets }]) => {
+    peakDailySales = Math.max(peakDailySales, sales.size);
+    peakDailyOutlets = Math.max(peakDailyOutlets, outlets.size);
+    if (sales.size >= thresholds.dailySales) {
+      flags.push({ rule: 'daily_sales', day, count: sales.size, threshold: thresholds.dailySales });
+    }
+    if (outlets.size >= thresholds.dailyOutlets) {
+      flags.push({ rule: 'daily_outlets', day, count: outlets.size, threshold: thresholds.dailyOutlets, outletIds: Array.from(outlets).sort() });
+    }
+  });
+
+  return { flags, peakHourlySales: hourly.peak, peakDailySales, peakDailyOutlets, sales: firstApprovalBySale.size };
+}
+
+/**
+ * Documents that reached a velocity threshold in the last `days` days, most sales first.
+ *
+ * @param {{days?: number, outletId?: string|null, now?: Date}} [options] outletId keeps documents approved at least
+ *   once at that outlet (their counts still cover every outlet)
+ * @returns {Promise<{days: number, since: string, timeZone: string, thresholds: object, documents: object[]}>}
+ */
+async function analyzeDocumentVelocity({ days = 1, outletId = null, now = new Date() } = {}) {
+  const windowDays = Math.min(Math.max(Number.parseInt(days, 10) || 1, 1), MAX_REPORT_DAYS);
+  const thresholds = getVelocityThresholds();
+  const timeZone = getVelocityTimeZone();
+  const since = new Date(now.getTime() - windowDays * 24 * HOUR_MS);
+  const minApprovals = Math.min(thresholds.hourlySales, thresholds.dailySales, thresholds.dailyOutlets);
+
+  // Only documents with enough approvals in the window to reach some threshold come back. The partition must group
+  // like documentKey does, or "D123-456" and "D123456" could each fall short of minApprovals.
+  const { rows } = await db.query(
+    `
+      SELECT *
+      FROM (
+        SELECT
+          verification_id, sale_id, location_id, status, created_at,
+          document_type, issuing_country, document_number, document_number_bidx,
+          first_name, last_name, pii_key_id, pii_dek, pii_ciphertext,
+          COUNT(*) OVER (
+            PARTITION BY
+              document_type,
+              COALESCE(issuing_country, ''),
+              COALESCE(document_number_bidx, ${NORMALIZED_DOCUMENT_NUMBER_SQL})
+          ) AS document_approvals
+        FROM verifications
+        WHERE created_at >= $1
+          AND created_at <= $2
+          AND status = ANY($3::text[])
+          AND ${REAL_DOCUMENT_SQL}
+      ) approvals
+      WHERE document_approvals >= $4
+      ORDER BY created_at
+    `,
+    [since, now, APPROVED_STATUSES, minApprovals]
+  );
+
+  const byDocument = new Map();
+  rows.forEach((row) => {
+    const key = documentKey(row);
+    if (!byDocument.has(key)) byDocument.set(key, []);
+    byDocument.get(key).push(row);
+  });
+
+  const documents = [];
+  byDocument.forEach((documentRows) => {
+    if (outletId && !documentRows.some((row) => row.location_id === outletId)) return;
+    const result = evaluateDocument(documentRows, thresholds, timeZone);
+    if (!result.flags.length) return;
+    const latest = piiCrypto.revealRow('verifications', documentRows[documentRows.length - 1]);
+    documents.push({
+      documentType: latest.document_type,
+      issuingCountry: latest.issuing_country || null,
+      documentNumber: latest.document_number || null,
+      customerName: `${latest.first_name || ''} ${latest.last_name || ''}`.trim() || null,
+      approvals: documentRows.length,
+      sales: result.sales,
+      outletIds: Array.from(new Set(documentRows.map((row) => row.location_id).filter(Boolean))).sort(),
+      firstSeenAt: new Date(documentRows[0].created_at).toISOString(),
+      lastSeenAt: new Date(latest.created_at).toISOString(),
+      peakHourlySales: result.peakHourlySales,
+      peakDailySales: result.peakDailySales,
+      peakDailyOutlets: result.peakDailyOutlets,
+      flags: result.flags,
+      verificationIds: documentRows.map((row) => row.verification_id)
+    });
+  });
+
+  documents.sort((a, b) => b.sales - a.sales || b.lastSeenAt.localeCompare(a.lastSeenAt));
+  return { days: windowDays, since: since.toISOString(), timeZone, thresholds, documents };
+}
+
+/**
+ * How often a document has been scanned today (store-local), counting every outcome, for the clerk warning.
+ *
+ * @returns {Promise<{scansToday: number, salesToday: number, outletsToday: number, warning: string|null}|null>} null
+ *   when the scan has no real document number
+ */
+async function getDocumentActivityToday({ documentType, issuingCountry, documentNumber, now = new Date() }) {
+  const number = documentNumber ? String(documentNumber).trim() : '';
+  if (!number || number === 'no-scan' || number.startsWith('RAW-')) return null;
+
+  const timeZone = getVelocityTimeZone();
+  const { rows } = await db.query(
+    `
+      SELECT
+        COUNT(*)::int AS scans,
+        COUNT(DISTINCT COALESCE(sale_id, verification_id))::int AS sales,
+        COUNT(DISTINCT location_id)::int AS outlets
+      FROM verifications
+      WHERE ${SAME_DOCUMENT_SQL}
+        AND created_at >= (date_trunc('day', $5::timestamptz AT TIME ZONE $6) AT TIME ZONE $6)
+    `,
+    [documentType, issuingCountry || '', piiCrypto.documentIndex(number), piiCrypto.normalizeDocumentNumber(number), now, timeZone]
+  );
+
+  const { scans = 0, sales = 0, outlets = 0 } = rows[0] || {};
+  const warnAt = getClerkWarningThreshold();
+  const warn = warnAt > 0 && scans >= warnAt;
+  return {
+    scansToday: scans,
+    salesToday: sales,
+    outletsToday: outlets,
+    warning: warn
+      ? `This ID has been seen ${scans} times today${outlets > 1 ? ` at ${outlets} outlets` : ''}.`
+      : null
+  };
+}
+
+module.exports = {
+  MAX_REPORT_DAYS,
+  getVelocityThresholds,
+  peakHourlySales,
+  analyzeDocumentVelocity,
+  getDocumentActivityToday
+};
@@ -0,0 +1,87 @@
+"use strict";
+
+// Document expiry enforcement shared by every verify entry point.
+//
+// DOCUMENT_EXPIRY_POLICY:
+//   reject (default) - an expired document declines the scan with reason EXPIRED_DOCUMENT
+//   warn             - the scan is approved; the response carries an expiry warning
+//   grace            - like warn for DOCUMENT_EXPIRY_GRACE_DAYS days after expiry, reject afterwards
+// A document is valid through its expiry date, evaluated in the store's timezone (DOCUMENT_EXPIRY_TIMEZONE).
+
+const EXPIRED_DOCUMENT_REASON = 'EXPIRED_DOCUMENT';
+const POLICIES = ['reject', 'warn', 'grace'];
+const millisecondsPerDay = 24 * 60 * 60 * 1000;
+
+function getExpiryPolicy() {
+  const mode = String(process.env.DOCUMENT_EXPIRY_POLICY || '').trim().toLowerCase();
+  const graceDays = Number.parseInt(process.env.DOCUMENT_EXPIRY_GRACE_DAYS || '0', 10);
+  const timeZone = String(process.env.DOCUMENT_EXPIRY_TIMEZONE || '').trim() || 'America/Chicago';
+  return {
+    mode: POLICIES.includes(mode) ? mode : 'reject',
+    graceDays: Number.isFinite(graceDays) && graceDays > 0 ? graceDays : 0,
+    timeZone
+  };
+}
+
+function toIsoDay(value) {
+  if (!value) return null;
+  if (value instanceof Date) {
+    return Number.isNaN(value.getTime()) ? null : value.toISOString().slice(0, 10);
+  }
+  const match = String(value).trim().match(/^(\d{4})-(\d{2})-(\d{2})/);
+  return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+}
+
+function localIsoDay(now, timeZone) {
+  try {
+    // en-CA formats as YYYY-MM-DD.
+    return new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(now);
+  } catch {
+    return now.toISOString().slice(0, 10);
+  }
+}
+
+/**
+ * Evaluate a document expiry date against the configured policy.
+ * Returns { status, documentExpiry, daysExpired, blocks, reason, warning, policy } where status is one of
+ * 'valid', 'expired', 'grace' or 'unknown' (no readable expiry date; never blocks).
+ */
+function evaluateDocumentExpiry(documentExpiry, { now = new Date(), policy = getExpiryPolicy() } = {}) {
+  const expiryDay = toIsoDay(documentExpiry);
+  const base = {
+    documentExpiry: expiryDay,
+    daysExpired: 0,
+    blocks: false,
+    reason: null,
+    warning: null,
+    policy: policy.mode
+  };
+
+  if (!expiryDay) {
+    return { ...base, status: 'unknown' };
+  }
+
+  const today = localIsoDay(now, policy.timeZone);
+  if (expiryDay >= today) {
+    return { ...base, status: 'valid' };
+  }
+
+  const daysExpired = Math.round((Date.parse(`${today}T00:00:00Z`) - Date.parse(`${expiryDay}T00:00:00Z`)) / millisecondsPerDay);
+  const withinGrace = policy.mode === 'grace' && daysExpired <= policy.graceDays;
+  const blocks = policy.mode === 'reject' || (policy.mode === 'grace' && !withinGrace);
+
+  return {
+    ...base,
+    status: withinGrace ? 'grace' : 'expired',
+    daysExpired,
+    blocks,
+    reason: blocks ? EXPIRED_DOCUMENT_REASON : null,
+    warning: blocks ? null : `Document expired ${daysExpired} day(s) ago`
+  };
+}
+
+module.exports = {
+  EXPIRED_DOCUMENT_REASON,
+  getExpiryPolicy,
+  evaluateDocumentExpiry
+};
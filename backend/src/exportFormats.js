@@ -0,0 +1,210 @@
+"use strict";
+
+const crypto = require('crypto');
+const zlib = require('zlib');
+
+/**
+ * Dependency-free renderers for compliance exports: CSV, a plain tabular PDF and a gzipped tar bundle.
+ *
+ * Output is deterministic for the same input (no embedded "now"), so re-rendering an export yields the same hashes.
+ */
+
+function sha256Hex(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+function formatCell(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return Number.isNaN(value.getTime()) ? '' : value.toISOString();
+  return String(value);
+}
+
+// Spreadsheet apps run a cell starting with one of these as a formula; such cells get a leading ' so they open as
+// text (CSV injection). Numbers are left alone: -5 is data, not a formula.
+const FORMULA_TRIGGER = /^[=+\-@\t\r]/;
+
+function csvEscape(value) {
+  let str = formatCell(value);
+  if (typeof value !== 'number' && FORMULA_TRIGGER.test(str)) {
+    str = `'${str}`;
+  }
+  if (/[",\r\n]/.test(str)) {
+    return `"${str.replace(/"/g, '""')}"`;
+  }
+  return str;
+}
+
+/**
+ * @param {Array<{key: string, label?: string}>} columns
+ * @param {object[]} rows
+ * @returns {Buffer} UTF-8 CSV with a header row and CRLF line endings (RFC 4180); text cells that would start a
+ *   formula are prefixed with '
+ */
+function toCsv(columns, rows) {
+  const lines = [columns.map((column) => csvEscape(column.key)).join(',')];
+  rows.forEach((row) => {
+    lines.push(columns.map((column) => csvEscape(row[column.key])).join(','));
+  });
+  return Buffer.from(`${lines.join('\r\n')}\r\n`, 'utf8');
+}
+
+// --- PDF ---
+// Landscape US Letter, built-in Courier (monospace, so columns line up without font metrics).
+const PAGE_WIDTH = 792;
+const PAGE_HEIGHT = 612;
+const MARGIN = 36;
+const FONT_SIZE = 6.5;
+const LINE_HEIGHT = 8.5;
+const CHAR_WIDTH = FONT_SIZE * 0.6;
+const MAX_CHARS = Math.floor((PAGE_WIDTH - MARGIN * 2) / CHAR_WIDTH);
+const HEADER_LINES = 5;
+const FOOTER_LINES = 2;
+const ROWS_PER_PAGE = Math.floor((PAGE_HEIGHT - MARGIN * 2) / LINE_HEIGHT) - HEADER_LINES - FOOTER_LINES;
+
+function pdfText(value) {
+  // Courier in the standard encoding only covers printable ASCII.
+  return formatCell(value)
+    .replace(/[\r\n\t]+/g, ' ')
+    .replace(/[^\x20-\x7e]/g, '?')
+    .replace(/[\\()]/g, (ch) => `\\${ch}`);
+}
+
+function fitCell(value, width) {
+  // Timestamps print as "YYYY-MM-DD HH:MM:SS" (UTC) so they fit a 19-20 character column.
+  const text = value instanceof Date && !Number.isNaN(value.getTime())
+    ? value.toISOString().slice(0, 19).replace('T', ' ')
+    : formatCell(value);
+  const str = text.replace(/[\r\n\t]+/g, ' ');
+  if (str.length <= width) return str.padEnd(width, ' ');
+  return `${str.slice(0, Math.max(0, width - 1))}~`;
+}
+
+function contentStream(lines) {
+  const ops = ['BT', `/F1 ${FONT_SIZE} Tf`, `${LINE_HEIGHT} TL`, `${MARGIN} ${PAGE_HEIGHT - MARGIN} Td`];
+  lines.forEach((line) => {
+    ops.push(`(${pdfText(line.slice(0, MAX_CHARS))}) '`);
+  });
+  ops.push('ET');
+  return Buffer.from(ops.join('\n'), 'latin1');
+}
+
+/**
+ * Render rows as a paginated fixed-width table.
+ *
+ * @param {object} options
+ * @param {string} options.title
+ * @param {string[]} [options.subtitle] extra header lines (range, outlet, generated at)
+ * @param {Array<{key: string, label: string, width: number, value?: Function}>} options.columns
+ * @param {object[]} options.rows
+ * @param {string} [options.footnote] printed on every page, e.g. where the untruncated values are
+ * @returns {Buffer}
+ */
+function renderTablePdf({ title, subtitle = [], columns, rows, footnote = null }) {
+  const headerRow = columns.map((column) => fitCell(column.label, column.width)).join(' ');
+  const rule = '-'.repeat(Math.min(headerRow.length, MAX_CHARS));
+  const bodyLines = rows.map((row) =>
+    columns.map((column) => fitCell(column.value ? column.value(row) : row[column.key], column.width)).join(' ')
+  );
+  if (!bodyLines.length) bodyLines.push('No records in this range.');
+
+  const pageCount = Math.max(1, Math.ceil(bodyLines.length / ROWS_PER_PAGE));
+  const pages = [];
+  for (let index = 0; index < pageCount; index += 1) {
+    const header = [title, ...subtitle].slice(0, HEADER_LINES - 2);
+    while (header.length < HEADER_LINES - 2) header.push('');
+    const lines = [...header, headerRow, rule, ...bodyLines.slice(index * ROWS_PER_PAGE, (index + 1) * ROWS_PER_PAGE)];
+    lines.push('');
+    lines.push(`Page ${index + 1} of ${pageCount} - records: ${rows.length}${footnote ? ` - ${footnote}` : ''}`);
+    pages.push(contentStream(lines));
+  }
+
+  // Objects: 1 catalog, 2 page tree, 3 font, 4 info, then a (page, content) pair per page.
+  const objects = [];
+  const pageIds = pages.map((_, index) => 5 + index * 2);
+  objects[1] = Buffer.from('<< /Type /Catalog /Pages 2 0 R >>', 'latin1');
+  objects[2] = Buffer.from(`<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`, 'latin1');
+  objects[3] = Buffer.from('<< /Type /Font /Subtype /Type1 /BaseFont /Courier >>', 'latin1');
+  objects[4] = Buffer.from(`<< /Title (${pdfText(title)}) /Producer (id-scanner inspection export) >>`, 'latin1');
+  pages.forEach((stream, index) => {
+    const pageId = pageIds[index];
+    objects[pageId] = Buffer.from(
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+        `/Resources << /Font << /F1 3 0 R >> >> /Contents ${pageId + 1} 0 R >>`,
+      'latin1'
+    );
+    objects[pageId + 1] = Buffer.concat([
+      Buffer.from(`<< /Length ${stream.length} >>\nstream\n`, 'latin1'),
+      stream,
+      Buffer.from('\nendstream', 'latin1')
+    ]);
+  });
+
+  const chunks = [Buffer.from('%PDF-1.4\n', 'latin1')];
+  const offsets = [];
+  let length = chunks[0].length;
+  for (let id = 1; id < objects.length; id += 1) {
+    offsets[id] = length;
+    const chunk = Buffer.concat([Buffer.from(`${id} 0 obj\n`, 'latin1'), objects[id], Buffer.from('\nendobj\n', 'latin1')]);
+    chunks.push(chunk);
+    length += chunk.length;
+  }
+
+  const xref = [`xref\n0 ${objects.length}\n`, '0000000000 65535 f \n'];
+  for (let id = 1; id < objects.length; id += 1) {
+    xref.push(`${String(offsets[id]).padStart(10, '0')} 00000 n \n`);
+  }
+  xref.push(`trailer\n<< /Size ${objects.length} /Root 1 0 R /Info 4 0 R >>\nstartxref\n${length}\n%%EOF\n`);
+  chunks.push(Buffer.from(xref.join(''), 'latin1'));
+  return Buffer.concat(chunks);
+}
+
+// --- tar.gz ---
+function tarHeader(name, size, mtime) {
+  const header = Buffer.alloc(512, 0);
+  const write = (value, offset, fieldLength) => header.write(value, offset, fieldLength, 'utf8');
+  const octal = (value, fieldLength) => `${value.toString(8).padStart(fieldLength - 1, '0')}\0`;
+
+  write(name, 0, 100);
+  write(octal(0o644, 8), 100, 8);
+  write(octal(0, 8), 108, 8);
+  write(octal(0, 8), 116, 8);
+  write(octal(size, 12), 124, 12);
+  write(octal(mtime, 12), 136, 12);
+  write('        ', 148, 8);
+  write('0', 156, 1);
+  write('ustar\0', 257, 6);
+  write('00', 263, 2);
+
+  let checksum = 0;
+  for (let index = 0; index < 512; index += 1) checksum += header[index];
+  write(`${checksum.toString(8).padStart(6, '0')}\0 `, 148, 8);
+  return header;
+}
+
+/**
+ * @param {Array<{name: string, content: Buffer}>} files paths inside the archive (max 100 bytes each)
+ * @param {object} [options]
+ * @param {Date} [options.mtime] recorded on every entry; pass the export time to keep the archive reproducible
+ * @returns {Buffer} gzip-compressed POSIX tar
+ */
+function createTarGz(files, { mtime = new Date(0) } = {}) {
+  const seconds = Math.floor(mtime.getTime() / 1000);
+  const blocks = [];
+  files.forEach(({ name, content }) => {
+    if (Buffer.byteLength(name) > 100) {
+      throw new Error(`Archive entry name too long: ${name}`);
+    }
+    blocks.push(tarHeader(name, content.length, seconds), content);
+    const padding = (512 - (content.length % 512)) % 512;
+    if (padding) blocks.push(Buffer.alloc(padding, 0));
+  });
+  blocks.push(Buffer.alloc(1024, 0));
+  return zlib.gzipSync(Buffer.concat(blocks));
+}
+
+module.exports = {
+  sha256Hex,
+  toCsv,
+  renderTablePdf,
+  createTarGz
+};
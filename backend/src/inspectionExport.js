@@ -0,0 +1,259 @@
+"use strict";
+
+const db = require('./db');
+const logger = require('./logger');
+const config = require('./config');
+const piiCrypto = require('./piiCrypto');
+const { sha256Hex, toCsv, renderTablePdf, createTarGz } = require('./exportFormats');
+
+/**
+ * TABC inspection export: verifications (from the compliance_report view), manager overrides and sale completions
+ * for one outlet and date range, rendered as CSV + PDF, with a manifest (row counts, SHA-256 of every file) and a
+ * sha256sum-compatible SHA256SUMS file so an inspector can check nothing was altered after export.
+ *
+ * Used by GET /admin/compliance/inspection-export and scripts/exportInspection.js.
+ */
+
+const MAX_RANGE_DAYS = 366;
+const ISO_DAY = /^\d{4}-\d{2}-\d{2}$/;
+
+// Dates in the range are store-local calendar days; stored timestamps are UTC.
+function getExportTimeZone() {
+  return String(process.env.INSPECTION_EXPORT_TIMEZONE || '').trim() || 'America/Chicago';
+}
+
+function parseIsoDay(value) {
+  const str = String(value || '').trim();
+  if (!ISO_DAY.test(str)) return null;
+  const date = new Date(`${str}T00:00:00Z`);
+  return Number.isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== str ? null : date;
+}
+
+/**
+ * @returns {{start: string, end: string, outletId: string, days: number}}
+ * @throws {Error} INVALID_RANGE / RANGE_TOO_LARGE / OUTLET_REQUIRED
+ */
+function normalizeExportRequest({ start, end, outletId }) {
+  const startDate = parseIsoDay(start);
+  const endDate = parseIsoDay(end);
+  if (!startDate || !endDate || endDate < startDate) {
+    throw new Error('INVALID_RANGE');
+  }
+  const days = Math.round((endDate - startDate) / (24 * 60 * 60 * 1000)) + 1;
+  if (days > MAX_RANGE_DAYS) {
+    throw new Error('RANGE_TOO_LARGE');
+  }
+  const outlet = String(outletId || '').trim();
+  if (!outlet) {
+    throw new Error('OUTLET_REQUIRED');
+  }
+  return { start: startDate.toISOString().slice(0, 10), end: endDate.toISOString().slice(0, 10), outletId: outlet, days };
+}
+
+function outletLabel(outletId) {
+  const descriptor = config.lightspeed?.outletsById?.[outletId] || config.lightspeed?.outlets?.[String(outletId).toLowerCase()];
+  return descriptor?.label || null;
+}
+
+const fullName = (row) => [row.first_name, row.middle_name, row.last_name].filter(Boolean).join(' ');
+
+// CSV carries every column; the PDF is the printable subset (widths in characters, truncated cells end in "~").
+const DATASETS = [
+  {
+    name: 'verifications',
+    title: 'ID verifications',
+    encryptedPii: true,
+    sql: `
+      SELECT
+        r.verification_id, r.sale_id, r.clerk_id, r.first_name, r.middle_name, r.last_name, r.age,
+        r.verification_status, r.rejection_reason, r.document_type, r.document_number, r.issuing_country,
+        r.document_expiry::text AS document_expiry, r.nationality, r.sex, r.source,
+        r.ip_address::text AS ip_address, r.user_agent, r.location_id, r.verified_at,
+        r.payment_type, r.sale_amount, r.completed_at, r.sale_status,
+        r.pii_key_id, r.pii_dek, r.pii_ciphertext
+      FROM compliance_report r
+      WHERE r.location_id = $1
+        AND (r.verified_at AT TIME ZONE 'UTC' AT TIME ZONE $4)::date BETWEEN $2::date AND $3::date
+      ORDER BY r.verified_at ASC, r.verification_id ASC
+    `,
+    columns: [
+      'verification_id', 'sale_id', 'clerk_id', 'first_name', 'middle_name', 'last_name', 'age',
+      'verification_status', 'rejection_reason', 'document_type', 'document_number', 'issuing_country',
+      'document_expiry', 'nationality', 'sex', 'source', 'ip_address', 'user_agent', 'location_id', 'verified_at',
+      'payment_type', 'sale_amount', 'completed_at', 'sale_status'
+    ],
+    pdfColumns: [
+      { key: 'verified_at', label: 'Verified at (UTC)', width: 20 },
+      { key: 'sale_id', label: 'Sale', width: 14 },
+      { key: 'verification_id', label: 'Verification', width: 14 },
+      { key: 'clerk_id', label: 'Clerk', width: 10 },
+      { key: 'name', label: 'Customer', width: 22, value: fullName },
+      { key: 'age', label: 'Age', width: 3 },
+      { key: 'verification_status', label: 'Status', width: 17 },
+      { key: 'rejection_reason', label: 'Reason', width: 18 },
+      { key: 'document_type', label: 'Doc type', width: 10 },
+      { key: 'document_number', label: 'Doc number', width: 12 },
+      { key: 'issuing_country', label: 'Issuer', width: 6 },
+      { key: 'document_expiry', label: 'Expires', width: 10 },
+      { key: 'sale_status', label: 'Sale', width: 9 }
+    ]
+  },
+  {
+    name: 'overrides',
+    title: 'Manager overrides',
+    encryptedPii: true,
+    sql: `
+      SELECT
+        o.id AS override_id, o.verification_id, o.sale_id, o.manager_id, m.name AS manager_name, o.note,
+        v.clerk_id, v.location_id, v.status AS verification_status, v.reason AS rejection_reason,
+        v.document_type, v.document_number, o.created_at,
+        v.pii_key_id, v.pii_dek, v.pii_ciphertext
+      FROM verification_overrides o
+      JOIN verifications v ON v.verification_id = o.verification_id
+      LEFT JOIN managers m ON m.id = o.manager_id
+      WHERE v.location_id = $1
+        AND (o.created_at AT TIME ZONE 'UTC' AT TIME ZONE $4)::date BETWEEN $2::date AND $3::date
+      ORDER BY o.created_at ASC, o.id ASC
+    `,
+    columns: [
+      'override_id', 'verification_id', 'sale_id', 'manager_id', 'manager_name', 'note', 'clerk_id', 'location_id',
+      'verification_status', 'rejection_reason', 'document_type', 'document_number', 'created_at'
+    ],
+    pdfColumns: [
+      { key: 'created_at', label: 'Overridden at (UTC)', width: 20 },
+      { key: 'sale_id', label: 'Sale', width: 14 },
+      { key: 'verification_id', label: 'Verification', width: 14 },
+      { key: 'manager_name', label: 'Manager', width: 20, value: (row) => row.manager_name || row.manager_id },
+      { key: 'clerk_id', label: 'Clerk', width: 10 },
+      { key: 'rejection_reason', label: 'Original reason', width: 22 },
+      { key: 'document_number', label: 'Doc number', width: 12 },
+      { key: 'note', label: 'Note', width: 50 }
+    ]
+  },
+  {
+    name: 'completions',
+    title: 'Completed sales',
+    sql: `
+      SELECT
+        sc.sale_id, sc.verification_id, sc.payment_type, sc.amount, sc.completed_at,
+        v.clerk_id, v.location_id, v.status AS verification_status, v.age, v.created_at AS verified_at
+      FROM sales_completions sc
+      JOIN verifications v ON v.verification_id = sc.verification_id
+      WHERE v.location_id = $1
+        AND (sc.completed_at AT TIME ZONE 'UTC' AT TIME ZONE $4)::date BETWEEN $2::date AND $3::date
+      ORDER BY sc.completed_at ASC, sc.sale_id ASC
+    `,
+    columns: [
+      'sale_id', 'verification_id', 'payment_type', 'amount', 'completed_at', 'clerk_id', 'location_id',
+      'verification_status', 'age', 'verified_at'
+    ],
+    pdfColumns: [
+      { key: 'completed_at', label: 'Completed at (UTC)', width: 20 },
+      { key: 'sale_id', label: 'Sale', width: 20 },
+      { key: 'verification_id', label: 'Verification', width: 20 },
+      { key: 'payment_type', label: 'Payment', width: 8 },
+      { key: 'amount', label: 'Amount', width: 10 },
+      { key: 'clerk_id', label: 'Clerk', width: 12 },
+      { key: 'verification_status', label: 'ID status', width: 17 },
+      { key: 'age', label: 'Age', width: 3 },
+      { key: 'verified_at', label: 'Verified at (UTC)', width: 20 }
+    ]
+  }
+];
+
+/**
+ * Build the inspection bundle in memory.
+ *
+ * @param {object} options
+ * @param {string} options.start YYYY-MM-DD, store-local, inclusive
+ * @param {string} options.end YYYY-MM-DD, store-local, inclusive
+ * @param {string} options.outletId
+ * @param {object} [options.generatedBy] who asked for it ({ id, email, role } or { cli: true })
+ * @param {Date} [options.now]
+ * @returns {Promise<{bundleName: string, manifest: object, files: Array<{name: string, content: Buffer}>, archive: Buffer, archiveSha256: string}>}
+ */
+async function buildInspectionExport({ start, end, outletId, generatedBy = null, now = new Date() }) {
+  if (!db.pool) {
+    throw new Error('DATABASE_NOT_CONFIGURED');
+  }
+  const range = normalizeExportRequest({ start, end, outletId });
+  const timeZone = getExportTimeZone();
+  const generatedAt = now.toISOString();
+  const label = outletLabel(range.outletId);
+
+  const files = [];
+  const datasets = {};
+  for (const dataset of DATASETS) {
+    const result = await db.query(dataset.sql, [range.outletId, range.start, range.end, timeZone]);
+    // Decrypted here so the inspector gets the actual names and document numbers.
+    const rows = dataset.encryptedPii
+      ? result.rows.map((row) => piiCrypto.revealRow('verifications', row))
+      : result.rows;
+    const csvName = `${dataset.name}.csv`;
+    const pdfName = `${dataset.name}.pdf`;
+
+    files.push({ name: csvName, content: toCsv(dataset.columns.map((key) => ({ key })), rows), rows: rows.length });
+    files.push({
+      name: pdfName,
+      content: renderTablePdf({
+        title: `TABC inspection export - ${dataset.title}`,
+        subtitle: [
+          `Outlet: ${label ? `${label} (${range.outletId})` : range.outletId}   Range: ${range.start} to ${range.end} (${timeZone})`,
+          `Generated: ${generatedAt}`
+        ],
+        columns: dataset.pdfColumns,
+        rows,
+        footnote: `cells ending in ~ are truncated; full values in ${csvName}`
+      }),
+      rows: rows.length
+    });
+    datasets[dataset.name] = { rows: rows.length, files: [csvName, pdfName] };
+  }
+
+  const manifest = {
+    type: 'tabc_inspection_export',
+    version: 1,
+    generatedAt,
+    generatedBy,
+    outlet: { id: range.outletId, label },
+    range: { start: range.start, end: range.end, days: range.days, timeZone },
+    datasets,
+    files: files.map((file) => ({
+      name: file.name,
+      rows: file.rows,
+      bytes: file.content.length,
+      sha256: sha256Hex(file.content)
+    }))
+  };
+
+  const manifestContent = Buffer.from(`${JSON.stringify(manifest, null, 2)}\n`, 'utf8');
+  const bundleFiles = [...files.map(({ name, content }) => ({ name, content })), { name: 'manifest.json', content: manifestContent }];
+  const sums = bundleFiles.map((file) => `${sha256Hex(file.content)}  ${file.name}`).join('\n');
+  bundleFiles.push({ name: 'SHA256SUMS', content: Buffer.from(`${sums}\n`, 'utf8') });
+
+  const safeOutlet = range.outletId.replace(/[^A-Za-z0-9_-]+/g, '-').slice(0, 40);
+  const bundleName = `tabc-inspection-${safeOutlet}-${range.start}_${range.end}`;
+  const archive = createTarGz(
+    bundleFiles.map((file) => ({ name: `${bundleName}/${file.name}`, content: file.content })),
+    { mtime: now }
+  );
+  const archiveSha256 = sha256Hex(archive);
+
+  logger.info({
+    event: 'inspection_export_built',
+    outletId: range.outletId,
+    start: range.start,
+    end: range.end,
+    rows: Object.fromEntries(Object.entries(datasets).map(([name, info]) => [name, info.rows])),
+    archiveSha256,
+    generatedBy: generatedBy?.id || (generatedBy?.cli ? 'cli' : null)
+  }, 'Inspection export built');
+
+  return { bundleName, manifest, files: bundleFiles, archive, archiveSha256 };
+}
+
+module.exports = {
+  MAX_RANGE_DAYS,
+  normalizeExportRequest,
+  buildInspectionExport
+};
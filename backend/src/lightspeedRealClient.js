@@ -2,6 +2,7 @@ const axios = require('axios');
 const config = require('./config');
 const logger = require('./logger');
 const oauth = require('./lightspeedOAuth');
+const lightspeedScheduler = require('./lightspeedScheduler');
 
 const PERSONAL_TOKEN = (process.env.LIGHTSPEED_API_KEY || '').trim();
 const DOMAIN_PREFIX = (process.env.LIGHTSPEED_DOMAIN_PREFIX || process.env.LIGHTSPEED_ACCOUNT_ID || '').trim();
@@ -25,6 +26,11 @@ api.interceptors.request.use(async (requestConfig) => {
   return requestConfig;
 });
 
+// Every request waits its turn in the shared rate-limit scheduler (token bucket, Retry-After, priority lanes).
+// The OAuth interceptor above has already run; a 429 retry re-sends the same request config.
+const sendRequest = axios.getAdapter(api.defaults.adapter);
+api.defaults.adapter = (requestConfig) => lightspeedScheduler.schedule(() => sendRequest(requestConfig), { lane: requestConfig.lane });
+
 const PRODUCT_CACHE_TTL_MS = Math.max(
   10_000,
   Math.min(24 * 60 * 60 * 1000, Number.parseInt(process.env.PRODUCT_CACHE_TTL_MS || '3600000', 10) || 3600000)
@@ -46,6 +52,18 @@ function cacheSet(map, key, value, ttlMs) {
   map.set(key, { value, expiresAt: Date.now() + ttlMs });
 }
 
+// Drops cached products so the next lookup refetches (product.update / inventory.update webhooks).
+// With no id the whole cache is cleared. Returns the number of entries removed.
+function invalidateProductCache(productId) {
+  if (productId === undefined || productId === null) {
+    const size = productByIdCache.size;
+    productByIdCache.clear();
+    return size;
+  }
+  const normalizedId = String(productId).trim();
+  return normalizedId && productByIdCache.delete(normalizedId) ? 1 : 0;
+}
+
 async function fetchCollectionAllPages(path, params = {}, { pageSize = 200, maxPages = 50 } = {}) {
   const results = [];
   const normalizedPageSize = Math.max(1, Math.min(Number.parseInt(pageSize, 10) || 200, 200));
@@ -225,7 +243,10 @@ async function updateCustomerById(customerId, updates = {}, { fillBlanksOnly = t
   }
 }
 
-async function completeSale({ saleId, verificationId, paymentType, sale: saleContext }) {
+// skipPayment: the payment was already posted by an earlier attempt (write outbox retry). A failure after the payment
+// went through is thrown with `paymentRecorded = true` so the retry does not post it again.
+async function completeSale({ saleId, verificationId, paymentType, sale: saleContext, skipPayment = false }) {
+  let paymentRecorded = false;
   try {
     const writesEnabled = Boolean(config.lightspeed?.enableWrites);
     const paymentTypeId = config.lightspeed?.paymentTypes?.[paymentType] || null;
@@ -234,12 +255,13 @@ async function completeSale({ saleId, verificationId, paymentType, sale: saleCon
     const saleTotal = Number.isFinite(sale?.total) ? sale.total : 0;
     const normalizedTotal = Math.round(saleTotal * 100) / 100;
 
-    if (writesEnabled && paymentTypeId) {
+    if (writesEnabled && paymentTypeId && !skipPayment) {
       await api.post(`/sales/${saleId}/payments`, {
         payment_type_id: paymentTypeId,
         amount: normalizedTotal,
         reference: verificationId
       });
+      paymentRecorded = true;
       logger.info({ event: 'sale_payment_recorded', saleId, paymentType }, 'Recorded Lightspeed payment before closing sale');
     } else if (writesEnabled && !paymentTypeId) {
       logger.warn(
@@ -260,7 +282,8 @@ async function completeSale({ saleId, verificationId, paymentType, sale: saleCon
       verificationId
     };
   } catch (error) {
-    logger.error({ event: 'complete_sale_failed', saleId, error: error.message });
+    logger.error({ event: 'complete_sale_failed', saleId, paymentRecorded, error: error.message });
+    error.paymentRecorded = paymentRecorded || skipPayment;
     throw error;
   }
 }
@@ -669,6 +692,7 @@ module.exports = {
   listOutlets,
   listProducts,
   getProductById,
+  invalidateProductCache,
   listInventory,
   listCustomers,
   listCustomersRaw,
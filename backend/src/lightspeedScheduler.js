@@ -0,0 +1,336 @@
+"use strict";
+
+const { AsyncLocalStorage } = require('async_hooks');
+const logger = require('./logger');
+
+/**
+ * Shared scheduler for Lightspeed API requests. Every call from lightspeedRealClient.js goes through one token bucket
+ * so dashboards and crons cannot burn the account's rate limit out from under the registers:
+ *   - the bucket is sized from X-RateLimit-Limit / X-RateLimit-Remaining / X-RateLimit-Reset on each response
+ *     (LIGHTSPEED_RATE_LIMIT per LIGHTSPEED_RATE_LIMIT_WINDOW_SECONDS until the first response arrives);
+ *   - a 429 pauses every lane until its Retry-After, then the request is retried (LIGHTSPEED_RATE_LIMIT_RETRIES);
+ *   - queued requests leave in lane order: register (verify/complete at the till), admin (dashboards, BI),
+ *     background (crons, queues). A request that cannot start within its lane's wait budget fails with RATE_LIMITED
+ *     instead of holding the register past the serverless time limit.
+ * The lane comes from the request context (laneMiddleware / runInLane); anything unmarked runs as `register`.
+ * State is per process: each serverless instance keeps its own bucket and resyncs from Lightspeed's headers.
+ */
+
+const LANES = ['register', 'admin', 'background'];
+const DEFAULT_LANE = 'register';
+
+// How long a request may wait for a token (or a Retry-After pause) before it fails with RATE_LIMITED.
+const LANE_MAX_WAIT_MS = {
+  register: 5000,
+  admin: 30_000,
+  background: 120_000
+};
+
+// Pause after a 429 that carried no usable Retry-After.
+const DEFAULT_RETRY_AFTER_MS = 5000;
+
+const laneStorage = new AsyncLocalStorage();
+
+function parseIntInRange(value, fallback, min, max) {
+  const parsed = Number.parseInt(String(value ?? ''), 10);
+  if (!Number.isFinite(parsed)) return fallback;
+  return Math.max(min, Math.min(max, parsed));
+}
+
+function getSchedulerSettings() {
+  return {
+    maxConcurrent: parseIntInRange(process.env.LIGHTSPEED_MAX_CONCURRENT_REQUESTS, 4, 1, 50),
+    rateLimit: parseIntInRange(process.env.LIGHTSPEED_RATE_LIMIT, 300, 1, 100_000),
+    windowMs: parseIntInRange(process.env.LIGHTSPEED_RATE_LIMIT_WINDOW_SECONDS, 300, 1, 3600) * 1000,
+    maxRetries: parseIntInRange(process.env.LIGHTSPEED_RATE_LIMIT_RETRIES, 2, 0, 10)
+  };
+}
+
+function normalizeLane(lane) {
+  const value = String(lane || '').trim().toLowerCase();
+  return LANES.includes(value) ? value : null;
+}
+
+function currentLane() {
+  return normalizeLane(laneStorage.getStore()) || DEFAULT_LANE;
+}
+
+// Run `fn` with every Lightspeed request it makes (including from timers and promises it starts) in `lane`.
+function runInLane(lane, fn) {
+  return laneStorage.run(normalizeLane(lane) || DEFAULT_LANE, fn);
+}
+
+// Express middleware; mount after body parsing so the lane survives into the route handlers.
+function laneMiddleware(lane) {
+  return (req, res, next) => runInLane(lane, next);
+}
+
+function readHeader(headers, name) {
+  if (!headers) return null;
+  const value = typeof headers.get === 'function' ? headers.get(name) : headers[name] ?? headers[name.toLowerCase()];
+  if (value === undefined || value === null || value === '') return null;
+  return Array.isArray(value) ? value[0] : value;
+}
+
+// Retry-After / X-RateLimit-Reset come as delta seconds, an HTTP date or (from Lightspeed) an ISO timestamp.
+function parseResetTime(value, now) {
+  if (value === null || value === undefined) return null;
+  const text = String(value).trim();
+  if (/^\d+(\.\d+)?$/.test(text)) {
+    const seconds = Number(text);
+    // Epoch seconds rather than a delta.
+    if (seconds > 1e9) return seconds * 1000;
+    return now + seconds * 1000;
+  }
+  const at = Date.parse(text);
+  return Number.isFinite(at) ? at : null;
+}
+
+function parseRetryAfter(headers, now = Date.now()) {
+  return parseResetTime(readHeader(headers, 'retry-after'), now);
+}
+
+function rateLimitedError(lane, waitedMs) {
+  const err = new Error(`Lightspeed rate limit: ${lane} request could not start within ${waitedMs} ms`);
+  err.code = 'RATE_LIMITED';
+  err.lane = lane;
+  return err;
+}
+
+function emptyLaneMetrics() {
+  return { queued: 0, inFlight: 0, started: 0, completed: 0, failed: 0, rateLimited: 0, retried: 0, expired: 0, totalWaitMs: 0, maxWaitMs: 0 };
+}
+
+/**
+ * @param {{now?: () => number, settings?: object}} [options] settings override getSchedulerSettings() (tests)
+ */
+function createRequestScheduler({ now = Date.now, settings: overrides = {} } = {}) {
+  const settings = () => ({ ...getSchedulerSettings(), ...overrides });
+  const queues = Object.fromEntries(LANES.map((lane) => [lane, []]));
+  const lanes = Object.fromEntries(LANES.map((lane) => [lane, emptyLaneMetrics()]));
+  const startedAt = now();
+  const bucket = {
+    capacity: null,
+    tokens: null,
+    updatedAt: startedAt,
+    resetAt: null,
+    pausedUntil: 0,
+    source: 'default',
+    syncedAt: null
+  };
+  let inFlight = 0;
+  let timer = null;
+
+  function ensureBucket(current) {
+    if (bucket.capacity === null) {
+      bucket.capacity = current.rateLimit;
+      bucket.tokens = current.rateLimit;
+    }
+  }
+
+  function refill(at, current) {
+    ensureBucket(current);
+    if (bucket.resetAt !== null && at >= bucket.resetAt) {
+      bucket.tokens = bucket.capacity;
+      bucket.resetAt = null;
+    }
+    const elapsed = Math.max(0, at - bucket.updatedAt);
+    bucket.tokens = Math.min(bucket.capacity, bucket.tokens + (elapsed * bucket.capacity) / current.windowMs);
+    bucket.updatedAt = at;
+  }
+
+  function msUntilToken(at, current) {
+    const byRefill = Math.ceil(((1 - bucket.tokens) * current.windowMs) / bucket.capacity);
+    return bucket.resetAt !== null ? Math.min(byRefill, Math.max(0, bucket.resetAt - at)) : byRefill;
+  }
+
+  // Lightspeed's counters are the truth; requests still in flight will be counted against them shortly.
+  function syncFromHeaders(headers, at) {
+    const current = settings();
+    refill(at, current);
+    const limit = Number.parseInt(readHeader(headers, 'x-ratelimit-limit'), 10);
+    const remaining = Number.parseInt(readHeader(headers, 'x-ratelimit-remaining'), 10);
+    if (Number.isFinite(limit) && limit > 0) bucket.capacity = limit;
+    if (Number.isFinite(remaining) && remaining >= 0) {
+      bucket.tokens = Math.min(bucket.capacity, Math.max(0, remaining - (inFlight - 1)));
+    }
+    const resetAt = parseResetTime(readHeader(headers, 'x-ratelimit-reset'), at);
+    if (resetAt !== null && resetAt > at) bucket.resetAt = resetAt;
+    if (Number.isFinite(limit) || Number.isFinite(remaining)) {
+      bucket.source = 'headers';
+      bucket.syncedAt = at;
+    }
+  }
+
+  function arm(delayMs) {
+    timer = setTimeout(() => {
+      timer = null;
+      pump();
+    }, Math.max(1, delayMs));
+  }
+
+  function expireWaiting(at) {
+    let nextDeadline = Infinity;
+    LANES.forEach((lane) => {
+      queues[lane] = queues[lane].filter((job) => {
+        if (job.deadline > at) {
+          nextDeadline = Math.min(nextDeadline, job.deadline);
+          return true;
+        }
+        lanes[lane].queued -= 1;
+        lanes[lane].expired += 1;
+        lanes[lane].failed += 1;
+        logger.warn({ event: 'lightspeed_request_expired', lane, waitedMs: at - job.enqueuedAt });
+        job.reject(rateLimitedError(lane, at - job.enqueuedAt));
+        return false;
+      });
+    });
+    return nextDeadline;
+  }
+
+  function nextJob() {
+    const lane = LANES.find((name) => queues[name].length);
+    return lane ? queues[lane].shift() : null;
+  }
+
+  function pump() {
+    const current = settings();
+    const at = now();
+    refill(at, current);
+    const nextDeadline = expireWaiting(at);
+    if (timer) {
+      clearTimeout(timer);
+      timer = null;
+    }
+
+    while (inFlight < current.maxConcurrent && LANES.some((lane) => queues[lane].length)) {
+      if (at < bucket.pausedUntil) {
+        arm(Math.min(bucket.pausedUntil, nextDeadline) - at);
+        return;
+      }
+      if (bucket.tokens < 1) {
+        arm(Math.min(msUntilToken(at, current), nextDeadline - at));
+        return;
+      }
+      bucket.tokens -= 1;
+      const job = nextJob();
+      lanes[job.lane].queued -= 1;
+      run(job, at);
+    }
+  }
+
+  async function run(job, at) {
+    const metrics = lanes[job.lane];
+    const waited = at - job.enqueuedAt;
+    metrics.totalWaitMs += waited;
+    metrics.maxWaitMs = Math.max(metrics.maxWaitMs, waited);
+    metrics.started += 1;
+    metrics.inFlight += 1;
+    inFlight += 1;
+    job.attempts += 1;
+
+    try {
+      const response = await job.task();
+      syncFromHeaders(response?.headers, now());
+      metrics.completed += 1;
+      job.resolve(response);
+    } catch (error) {
+      const finishedAt = now();
+      const response = error?.response;
+      if (response) syncFromHeaders(response.headers, finishedAt);
+
+      if (response?.status === 429) {
+        metrics.rateLimited += 1;
+        const retryAt = parseRetryAfter(response.headers, finishedAt) ?? finishedAt + DEFAULT_RETRY_AFTER_MS;
+        // Lightspeed's Retry-After is when its window resets: nothing until then, a full bucket after.
+        bucket.pausedUntil = Math.max(bucket.pausedUntil, retryAt);
+        bucket.resetAt = bucket.pausedUntil;
+        bucket.tokens = 0;
+        logger.warn({
+          event: 'lightspeed_rate_limited',
+          lane: job.lane,
+          attempts: job.attempts,
+          retryAt: new Date(retryAt).toISOString()
+        });
+        if (job.attempts <= settings().maxRetries && retryAt <= job.deadline) {
+          metrics.retried += 1;
+          metrics.queued += 1;
+          queues[job.lane].unshift(job);
+          return;
+        }
+      }
+      metrics.failed += 1;
+      job.reject(error);
+    } finally {
+      metrics.inFlight -= 1;
+      inFlight -= 1;
+      pump();
+    }
+  }
+
+  /**
+   * Queue one Lightspeed request.
+   *
+   * @param {() => Promise<object>} task sends the request; resolves with the response (headers read for the bucket)
+   *   or rejects with an error carrying `response` (axios style)
+   * @param {{lane?: string}} [options] defaults to the lane of the current request context
+   * @returns {Promise<object>} the task's response; rejects with the task's error or RATE_LIMITED
+   */
+  function schedule(task, { lane } = {}) {
+    const resolvedLane = normalizeLane(lane) || currentLane();
+    return new Promise((resolve, reject) => {
+      const enqueuedAt = now();
+      queues[resolvedLane].push({
+        task,
+        lane: resolvedLane,
+        enqueuedAt,
+        deadline: enqueuedAt + LANE_MAX_WAIT_MS[resolvedLane],
+        attempts: 0,
+        resolve,
+        reject
+      });
+      lanes[resolvedLane].queued += 1;
+      pump();
+    });
+  }
+
+  function getMetrics() {
+    const current = settings();
+    const at = now();
+    refill(at, current);
+    return {
+      since: new Date(startedAt).toISOString(),
+      maxConcurrent: current.maxConcurrent,
+      inFlight,
+      queued: LANES.reduce((sum, lane) => sum + queues[lane].length, 0),
+      bucket: {
+        source: bucket.source,
+        capacity: bucket.capacity,
+        tokens: Math.floor(bucket.tokens),
+        resetAt: bucket.resetAt ? new Date(bucket.resetAt).toISOString() : null,
+        pausedUntil: bucket.pausedUntil > at ? new Date(bucket.pausedUntil).toISOString() : null,
+        syncedAt: bucket.syncedAt ? new Date(bucket.syncedAt).toISOString() : null
+      },
+      lanes: Object.fromEntries(LANES.map((lane) => {
+        const { totalWaitMs, ...counts } = lanes[lane];
+        return [lane, { ...counts, avgWaitMs: counts.started > 0 ? Math.round(totalWaitMs / counts.started) : 0 }];
+      }))
+    };
+  }
+
+  return { schedule, getMetrics };
+}
+
+const sharedScheduler = createRequestScheduler();
+
+module.exports = {
+  LANES,
+  DEFAULT_LANE,
+  createRequestScheduler,
+  parseRetryAfter,
+  currentLane,
+  runInLane,
+  laneMiddleware,
+  schedule: sharedScheduler.schedule,
+  getMetrics: sharedScheduler.getMetrics
+};
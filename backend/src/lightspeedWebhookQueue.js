@@ -1,9 +1,19 @@
 const crypto = require('crypto');
+const config = require('./config');
 const db = require('./db');
 const logger = require('./logger');
 const marketingService = require('./marketingService');
+const lightspeed = require('./lightspeedClient');
+const complianceStore = require('./complianceStore');
+const alerting = require('./alerting');
 
 const DEFAULT_MAX_BODY_BYTES = 1024 * 1024;
+const EVENT_STATUSES = ['pending', 'processing', 'processed', 'unhandled', 'dead_letter', 'failed'];
+const MAX_REPLAY_BATCH = 200;
+// Sale events are checked while Lightspeed waits for the ACK, for at most this long; the cron finishes the rest.
+const INLINE_DISPATCH_MS = 3000;
+// An event left in processing this long was claimed by a run that died (or was frozen); it is claimed again.
+const STALE_PROCESSING_MINUTES = 10;
 
 function safeJsonParse(text) {
   try {
@@ -18,6 +28,19 @@ function normalizeTopic(topic) {
   return raw ? raw.toLowerCase() : 'unknown';
 }
 
+// Lightspeed posts webhooks as application/x-www-form-urlencoded (`type=<topic>&payload=<json>`); JSON bodies are
+// accepted too. Returns the parsed payload (null when unreadable) and the topic named in the body, if any.
+function parseWebhookBody(rawBody) {
+  const text = Buffer.isBuffer(rawBody) ? rawBody.toString('utf8') : String(rawBody || '');
+  const json = safeJsonParse(text);
+  if (json.ok) return { payload: json.value, topic: null };
+
+  const form = new URLSearchParams(text);
+  if (!form.has('payload')) return { payload: null, topic: null };
+  const inner = safeJsonParse(form.get('payload'));
+  return { payload: inner.ok ? inner.value : null, topic: form.get('type') || null };
+}
+
 function computeEventKey({ topic, rawBody }) {
   const hasher = crypto.createHash('sha256');
   hasher.update(String(topic || 'unknown'));
@@ -105,14 +128,42 @@ async function ensureWebhookTables() {
         processed_at TIMESTAMP,
         attempts INTEGER NOT NULL DEFAULT 0,
         last_error TEXT,
-        duplicate_count INTEGER NOT NULL DEFAULT 0
+        duplicate_count INTEGER NOT NULL DEFAULT 0,
+        next_attempt_at TIMESTAMP NOT NULL DEFAULT NOW(),
+        dead_lettered_at TIMESTAMP,
+        replay_count INTEGER NOT NULL DEFAULT 0,
+        last_replayed_at TIMESTAMP,
+        last_replayed_by TEXT,
+        claimed_at TIMESTAMP
       )
     `
   );
+  // Backward-compatible: add retry/replay columns if the table already existed.
+  await db.query('ALTER TABLE lightspeed_webhook_events ADD COLUMN IF NOT EXISTS next_attempt_at TIMESTAMP NOT NULL DEFAULT NOW()');
+  await db.query('ALTER TABLE lightspeed_webhook_events ADD COLUMN IF NOT EXISTS dead_lettered_at TIMESTAMP');
+  await db.query('ALTER TABLE lightspeed_webhook_events ADD COLUMN IF NOT EXISTS replay_count INTEGER NOT NULL DEFAULT 0');
+  await db.query('ALTER TABLE lightspeed_webhook_events ADD COLUMN IF NOT EXISTS last_replayed_at TIMESTAMP');
+  await db.query('ALTER TABLE lightspeed_webhook_events ADD COLUMN IF NOT EXISTS last_replayed_by TEXT');
+  await db.query('ALTER TABLE lightspeed_webhook_events ADD COLUMN IF NOT EXISTS claimed_at TIMESTAMP');
   await db.query('CREATE INDEX IF NOT EXISTS idx_ls_webhooks_pending ON lightspeed_webhook_events (status, received_at)');
+  await db.query('CREATE INDEX IF NOT EXISTS idx_ls_webhooks_due ON lightspeed_webhook_events (status, next_attempt_at)');
   return true;
 }
 
+// Same shape as customerReconcileQueue.computeBackoffMs, stretched out: Lightspeed outages last minutes, not seconds.
+function computeBackoffMs(attempts) {
+  const n = Math.max(1, Number.parseInt(attempts, 10) || 1);
+  const scheduleSec = [30, 60, 120, 300, 900, 1800, 3600, 7200];
+  const idx = Math.min(scheduleSec.length - 1, n - 1);
+  return scheduleSec[idx] * 1000;
+}
+
+// Attempts (including the first) before a failing event is moved to the dead-letter status.
+function getMaxAttempts() {
+  const parsed = Number.parseInt(String(process.env.LIGHTSPEED_WEBHOOK_MAX_ATTEMPTS || ''), 10);
+  return Number.isFinite(parsed) && parsed >= 1 ? Math.min(parsed, 50) : 6;
+}
+
 function sanitizeHeaders(headers) {
   const out = {};
   for (const [key, value] of Object.entries(headers || {})) {
@@ -146,13 +197,14 @@ async function enqueueWebhookEvent({
 
   const sanitized = sanitizeHeaders(headers);
 
-  await db.query(
+  const { rows } = await db.query(
     `
       INSERT INTO lightspeed_webhook_events (
         event_key, topic, signature_verified, signature_reason, payload, headers, raw_body, body_bytes
       ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
       ON CONFLICT (event_key)
       DO UPDATE SET duplicate_count = lightspeed_webhook_events.duplicate_count + 1
+      RETURNING id, status
     `,
     [
       eventKey,
@@ -166,7 +218,7 @@ async function enqueueWebhookEvent({
     ]
   );
 
-  return { stored: true, eventKey };
+  return { stored: true, eventKey, id: rows?.[0]?.id ?? null, status: rows?.[0]?.status || null };
 }
 
 async function getWebhookQueueHealth() {
@@ -180,6 +232,9 @@ async function getWebhookQueueHealth() {
         COUNT(*) FILTER (WHERE status = 'processing')::int as processing,
         COUNT(*) FILTER (WHERE status = 'processed')::int as processed,
         COUNT(*) FILTER (WHERE status = 'failed')::int as failed,
+        COUNT(*) FILTER (WHERE status = 'unhandled')::int as unhandled,
+        COUNT(*) FILTER (WHERE status = 'dead_letter')::int as dead_letter,
+        MIN(next_attempt_at) FILTER (WHERE status = 'pending' AND attempts > 0) as next_retry_at,
         MAX(received_at) as last_received_at,
         MAX(processed_at) as last_processed_at
       FROM lightspeed_webhook_events
@@ -198,21 +253,22 @@ async function claimPendingEvents(limit = 100) {
     await client.query('BEGIN');
     const { rows } = await client.query(
       `
-        SELECT id, topic, payload
+        SELECT id, topic, payload, attempts, signature_verified
         FROM lightspeed_webhook_events
-        WHERE status = 'pending'
+        WHERE (status = 'pending' AND next_attempt_at <= NOW())
+          OR (status = 'processing' AND claimed_at < NOW() - make_interval(mins => $2))
         ORDER BY received_at ASC
         LIMIT $1
         FOR UPDATE SKIP LOCKED
       `,
-      [normalizedLimit]
+      [normalizedLimit, STALE_PROCESSING_MINUTES]
     );
     const ids = rows.map((r) => r.id);
     if (ids.length) {
       await client.query(
         `
           UPDATE lightspeed_webhook_events
-          SET status = 'processing', attempts = attempts + 1
+          SET status = 'processing', attempts = attempts + 1, claimed_at = NOW()
           WHERE id = ANY($1::bigint[])
         `,
         [ids]
@@ -222,7 +278,9 @@ async function claimPendingEvents(limit = 100) {
     return rows.map((r) => ({
       id: r.id,
       topic: r.topic,
-      payload: r.payload || null
+      payload: r.payload || null,
+      attempts: Number(r.attempts || 0) + 1,
+      signatureVerified: Boolean(r.signature_verified)
     }));
   } catch (error) {
     await client.query('ROLLBACK');
@@ -244,71 +302,486 @@ async function markEventProcessed(id) {
   );
 }
 
-async function markEventFailed(id, errorMessage) {
+async function rescheduleEvent(id, attempts, errorMessage) {
+  if (!db.pool) return;
+  const nextAttemptAt = new Date(Date.now() + computeBackoffMs(attempts));
+  await db.query(
+    `
+      UPDATE lightspeed_webhook_events
+      SET status = 'pending', next_attempt_at = $2, last_error = $3
+      WHERE id = $1
+    `,
+    [id, nextAttemptAt, String(errorMessage || 'unknown')]
+  );
+}
+
+// Dead-lettered events are never retried automatically; they wait for inspection and a replay.
+async function markEventDeadLettered(id, errorMessage) {
   if (!db.pool) return;
   await db.query(
     `
       UPDATE lightspeed_webhook_events
-      SET status = 'failed', last_error = $2
+      SET status = 'dead_letter', dead_lettered_at = NOW(), last_error = $2
       WHERE id = $1
     `,
     [id, String(errorMessage || 'unknown')]
   );
 }
 
+// Retries with backoff until the attempt cap; payloads a handler rejects as invalid go straight to dead letter.
+async function recordEventFailure(evt, error) {
+  logger.warn(
+    { event: 'webhook_event_failed', id: evt.id, topic: evt.topic, attempts: evt.attempts, error: error.message },
+    'Lightspeed webhook event handler failed'
+  );
+  if (error.code === 'INVALID_PAYLOAD' || evt.attempts >= getMaxAttempts()) {
+    await markEventDeadLettered(evt.id, error.message);
+    return 'dead_letter';
+  }
+  await rescheduleEvent(evt.id, evt.attempts, error.message);
+  return 'retry';
+}
+
+// Topics nobody handles, and unsigned events, are kept (payload intact) for inspection instead of being processed.
+async function markEventUnhandled(id, reason = 'NO_HANDLER') {
+  if (!db.pool) return;
+  await db.query(
+    `
+      UPDATE lightspeed_webhook_events
+      SET status = 'unhandled', last_error = $2
+      WHERE id = $1
+    `,
+    [id, reason]
+  );
+}
+
+// Claimed events the run had no time for go back to pending without counting as an attempt.
+async function releaseClaimedEvents(ids) {
+  if (!db.pool || !ids.length) return;
+  await db.query(
+    `
+      UPDATE lightspeed_webhook_events
+      SET status = 'pending', attempts = GREATEST(attempts - 1, 0)
+      WHERE id = ANY($1::bigint[]) AND status = 'processing'
+    `,
+    [ids]
+  );
+}
+
+function invalidPayload(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_PAYLOAD';
+  return error;
+}
+
+function toId(value) {
+  const id = value === undefined || value === null ? '' : String(value).trim();
+  return id || null;
+}
+
+// The entity a webhook describes: form posts nest it as a JSON string under `payload`, API-style bodies under `data`.
+function webhookEntity(payload) {
+  if (!payload || typeof payload !== 'object') return null;
+  if (typeof payload.payload === 'string') {
+    const inner = safeJsonParse(payload.payload);
+    return inner.ok && inner.value && typeof inner.value === 'object' ? inner.value : null;
+  }
+  if (payload.payload && typeof payload.payload === 'object') return payload.payload;
+  if (payload.data && typeof payload.data === 'object' && !Array.isArray(payload.data)) return payload.data;
+  return payload;
+}
+
+function toTimestamp(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+// sale.update / register_sale.*: the real-time compliance gate. A sale that arrives CLOSED without an approved,
+// unexpired verification is recorded in compliance_exceptions (once per sale) and raises the sold_without_scan alert.
+async function handleSaleUpdate(sale, evt = {}) {
+  const saleId = toId(sale?.id || sale?.sale_id || sale?.register_sale_id);
+  if (!saleId) throw invalidPayload('Sale payload has no id');
+
+  const status = String(sale.status || sale.state || '').trim().toUpperCase();
+  if (status !== 'CLOSED') return { saleId, status, checked: false };
+
+  const closedAt = toTimestamp(sale.sale_date) || toTimestamp(sale.updated_at) || new Date();
+  const check = await complianceStore.checkSaleCompliance(saleId, { closedAt });
+  if (check.compliant) return { saleId, status, checked: true, compliant: true };
+
+  const details = {
+    saleId,
+    outletId: toId(sale.outlet_id),
+    registerId: toId(sale.register_id),
+    userId: toId(sale.user_id),
+    reason: check.reason,
+    verificationId: check.verificationId
+  };
+  logger.logSecurity('closed_sale_without_verification', { ...details, source: 'webhook' });
+  const exception = await complianceStore.recordComplianceException({
+    ...details,
+    closedAt,
+    webhookEventId: evt.id || null
+  });
+  if (exception) await alerting.processEvent({ kind: 'sale', exception });
+  return { saleId, status, checked: true, compliant: false, reason: check.reason, recorded: Boolean(exception) };
+}
+
+function invalidateProduct(productId) {
+  if (typeof lightspeed.invalidateProductCache !== 'function') return 0;
+  return lightspeed.invalidateProductCache(productId);
+}
+
+async function handleProductUpdate(product) {
+  const productId = toId(product?.id || product?.product_id);
+  if (!productId) throw invalidPayload('Product payload has no id');
+  return { productId, invalidated: invalidateProduct(productId) };
+}
+
+// Drops the product the stock level belongs to; a payload without a product id clears the whole cache.
+async function handleInventoryUpdate(inventory) {
+  const productId = toId(inventory?.product_id || inventory?.product?.id);
+  return { productId, invalidated: invalidateProduct(productId || undefined) };
+}
+
+async function handleCustomerUpdate(customer) {
+  return marketingService.upsertCustomerFromWebhook(db.pool, customer);
+}
+
+const topicHandlers = new Map();
+
+/**
+ * Registers the handler for a topic. `prefix.*` matches every topic under the prefix; exact topics win.
+ * Handlers receive the webhook's entity (see webhookEntity) and the stored event, and throw to mark it failed.
+ */
+function registerTopicHandler(topic, handler) {
+  if (typeof handler !== 'function') throw new TypeError('handler must be a function');
+  topicHandlers.set(normalizeTopic(topic), handler);
+}
+
+function resolveTopicHandler(topic) {
+  const normalized = normalizeTopic(topic);
+  if (topicHandlers.has(normalized)) return topicHandlers.get(normalized);
+  const dot = normalized.indexOf('.');
+  return dot > 0 ? topicHandlers.get(`${normalized.slice(0, dot)}.*`) || null : null;
+}
+
+registerTopicHandler('sale.update', handleSaleUpdate);
+registerTopicHandler('register_sale.*', handleSaleUpdate);
+registerTopicHandler('product.update', handleProductUpdate);
+registerTopicHandler('inventory.update', handleInventoryUpdate);
+registerTopicHandler('customer.update', handleCustomerUpdate);
+registerTopicHandler('customer.create', handleCustomerUpdate);
+
+function hasClientSecret() {
+  return Boolean(String(config?.lightspeed?.clientSecret || process.env.LIGHTSPEED_CLIENT_SECRET || '').trim());
+}
+
+// Runs the topic handler and records the outcome; handler errors are rethrown for the caller to record.
+// Handlers act on the payload itself, so once a client secret is configured an event whose signature did not
+// verify is never dispatched (the webhook route still stores it so it can be inspected).
+async function dispatchEvent(evt) {
+  if (!evt.signatureVerified && hasClientSecret()) {
+    logger.logSecurity('webhook_event_unverified_skipped', { id: evt.id, topic: evt.topic });
+    await markEventUnhandled(evt.id, 'UNVERIFIED_SIGNATURE');
+    return 'unhandled';
+  }
+  const handler = resolveTopicHandler(evt.topic);
+  if (!handler) {
+    await markEventUnhandled(evt.id);
+    return 'unhandled';
+  }
+  await handler(webhookEntity(evt.payload), evt);
+  await markEventProcessed(evt.id);
+  return 'processed';
+}
+
 async function processPendingWebhookEvents({ limit = 100, maxDurationMs = 8000 } = {}) {
   if (!db.pool) {
-    return { ok: false, reason: 'db_disabled', processed: 0, failed: 0 };
+    return { ok: false, reason: 'db_disabled', processed: 0, failed: 0, unhandled: 0 };
   }
 
   const start = Date.now();
   const claimed = await claimPendingEvents(limit);
-  if (!claimed.length) {
-    return { ok: true, processed: 0, failed: 0, didCustomerSync: false };
-  }
-
   let processed = 0;
-  let failed = 0;
-  let customerUpdateCount = 0;
+  let retried = 0;
+  let deadLettered = 0;
+  let unhandled = 0;
+  let released = 0;
+
+  for (let index = 0; index < claimed.length; index += 1) {
+    const evt = claimed[index];
+    if (Date.now() - start > maxDurationMs - 750) {
+      const remaining = claimed.slice(index).map((item) => item.id);
+      await releaseClaimedEvents(remaining);
+      released = remaining.length;
+      break;
+    }
 
-  for (const evt of claimed) {
-    if (Date.now() - start > maxDurationMs - 750) break;
     try {
-      const topic = normalizeTopic(evt.topic);
-      if (topic === 'customer.update' || topic === 'customer.create') {
-        customerUpdateCount += 1;
-      }
-
-      await markEventProcessed(evt.id);
-      processed += 1;
+      if ((await dispatchEvent(evt)) === 'unhandled') unhandled += 1;
+      else processed += 1;
     } catch (error) {
-      failed += 1;
-      await markEventFailed(evt.id, error.message);
+      if ((await recordEventFailure(evt, error)) === 'dead_letter') deadLettered += 1;
+      else retried += 1;
     }
   }
 
-  let didCustomerSync = false;
-  if (customerUpdateCount > 0) {
+  return { ok: true, processed, failed: retried + deadLettered, retried, deadLettered, unhandled, released };
+}
+
+// Topics whose handler should run as the webhook arrives rather than on the next cron run.
+function isInlineTopic(topic) {
+  const handler = resolveTopicHandler(topic);
+  return Boolean(handler) && handler === handleSaleUpdate;
+}
+
+/**
+ * Runs one stored event now (the webhook route calls this for sale events so "sold without scan" is caught at
+ * once). Only a pending event is claimed, so a duplicate delivery is not checked twice. The handler gets at most
+ * maxDurationMs; past that this resolves `timeout` and the handler carries on; if the run dies first, the cron
+ * claims the event again once it has been processing for STALE_PROCESSING_MINUTES.
+ *
+ * @returns {Promise<'processed'|'unhandled'|'retry'|'dead_letter'|'timeout'|'skipped'>}
+ */
+async function processWebhookEventNow(id, { maxDurationMs = INLINE_DISPATCH_MS } = {}) {
+  if (!db.pool || id === null || id === undefined) return 'skipped';
+  const { rows } = await db.query(
+    `
+      UPDATE lightspeed_webhook_events
+      SET status = 'processing', attempts = attempts + 1, claimed_at = NOW()
+      WHERE id = $1 AND status = 'pending'
+      RETURNING id, topic, payload, attempts, signature_verified
+    `,
+    [id]
+  );
+  const row = rows?.[0];
+  if (!row) return 'skipped';
+
+  const evt = {
+    id: row.id,
+    topic: row.topic,
+    payload: row.payload || null,
+    attempts: Number(row.attempts || 0),
+    signatureVerified: Boolean(row.signature_verified)
+  };
+  const run = dispatchEvent(evt).catch((error) => recordEventFailure(evt, error));
+  let timer = null;
+  const timeout = new Promise((resolve) => {
+    timer = setTimeout(() => resolve('timeout'), maxDurationMs);
+  });
+  try {
+    return await Promise.race([run, timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// `prefix.*` filters a topic family, anything else is an exact topic.
+function appendEventFilters(conditions, params, { status = null, topic = null, since = null, until = null } = {}) {
+  if (status) {
+    params.push(status);
+    conditions.push(`status = $${params.length}`);
+  }
+  if (topic) {
+    const normalized = normalizeTopic(topic);
+    if (normalized.endsWith('.*')) {
+      params.push(`${normalized.slice(0, -1)}%`);
+      conditions.push(`topic LIKE $${params.length}`);
+    } else {
+      params.push(normalized);
+      conditions.push(`topic = $${params.length}`);
+    }
+  }
+  if (toTimestamp(since)) {
+    params.push(toTimestamp(since));
+    conditions.push(`received_at >= $${params.length}`);
+  }
+  if (toTimestamp(until)) {
+    params.push(toTimestamp(until));
+    conditions.push(`received_at <= $${params.length}`);
+  }
+}
+
+function mapEventRow(row, { full = false } = {}) {
+  const event = {
+    id: String(row.id),
+    topic: row.topic,
+    status: row.status,
+    attempts: Number(row.attempts || 0),
+    lastError: row.last_error || null,
+    signatureVerified: Boolean(row.signature_verified),
+    signatureReason: row.signature_reason || null,
+    receivedAt: row.received_at,
+    processedAt: row.processed_at || null,
+    nextAttemptAt: row.status === 'pending' ? row.next_attempt_at || null : null,
+    deadLetteredAt: row.dead_lettered_at || null,
+    duplicateCount: Number(row.duplicate_count || 0),
+    replayCount: Number(row.replay_count || 0),
+    lastReplayedAt: row.last_replayed_at || null,
+    lastReplayedBy: row.last_replayed_by || null,
+    bodyBytes: row.body_bytes ?? null
+  };
+  if (full) {
+    event.payload = row.payload || null;
+    event.headers = row.headers || null;
+    event.rawBody = row.raw_body || null;
+  }
+  return event;
+}
+
+/**
+ * Stored webhook events, newest first, without bodies (see getWebhookEvent).
+ *
+ * @param {{status?: string, topic?: string, since?: string|Date, until?: string|Date, limit?: number, offset?: number}} [filters]
+ */
+async function listWebhookEvents({ status = null, topic = null, since = null, until = null, limit = 50, offset = 0 } = {}) {
+  if (!db.pool) return [];
+  await ensureWebhookTables();
+
+  const conditions = [];
+  const params = [];
+  appendEventFilters(conditions, params, { status, topic, since, until });
+  params.push(Math.max(1, Math.min(Number.parseInt(limit, 10) || 50, 500)));
+  params.push(Math.max(0, Number.parseInt(offset, 10) || 0));
+
+  const { rows } = await db.query(
+    `
+      SELECT
+        id, topic, status, attempts, last_error, signature_verified, signature_reason, received_at, processed_at,
+        next_attempt_at, dead_lettered_at, duplicate_count, replay_count, last_replayed_at, last_replayed_by, body_bytes
+      FROM lightspeed_webhook_events
+      ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY received_at DESC, id DESC
+      LIMIT $${params.length - 1} OFFSET $${params.length}
+    `,
+    params
+  );
+  return rows.map((row) => mapEventRow(row));
+}
+
+// One event with its payload, stored headers and raw body (raw body only with LIGHTSPEED_WEBHOOK_STORE_RAW_BODY).
+async function getWebhookEvent(id) {
+  if (!db.pool) return null;
+  await ensureWebhookTables();
+  const { rows } = await db.query('SELECT * FROM lightspeed_webhook_events WHERE id = $1', [id]);
+  return rows[0] ? mapEventRow(rows[0], { full: true }) : null;
+}
+
+/**
+ * Re-runs the topic handler for chosen events right away, whatever their status (events another run is
+ * processing are skipped). The signature is not checked again: events are replayed as stored, and an event stored
+ * with an unverified signature stays `unhandled` while a client secret is configured.
+ * Select by `ids`, an id range (`fromId`/`toId`) or a received-at range (`since`/`until`), optionally narrowed
+ * by `status` and `topic`. A replay that fails goes to dead letter with the new error; it is not retried.
+ *
+ * @returns {Promise<{replayed: number, processed: number, unhandled: number, deadLettered: number, events: object[]}>}
+ */
+async function replayWebhookEvents({
+  ids = null,
+  fromId = null,
+  toId = null,
+  since = null,
+  until = null,
+  status = null,
+  topic = null,
+  limit = MAX_REPLAY_BATCH,
+  replayedBy = null
+} = {}) {
+  const summary = { replayed: 0, processed: 0, unhandled: 0, deadLettered: 0, events: [] };
+  if (!db.pool) return summary;
+  await ensureWebhookTables();
+
+  const conditions = ["status <> 'processing'"];
+  const params = [];
+  const idList = Array.isArray(ids) ? ids.map((id) => String(id).trim()).filter((id) => /^\d+$/.test(id)) : [];
+  if (idList.length) {
+    params.push(idList);
+    conditions.push(`id = ANY($${params.length}::bigint[])`);
+  }
+  if (/^\d+$/.test(String(fromId ?? ''))) {
+    params.push(String(fromId));
+    conditions.push(`id >= $${params.length}`);
+  }
+  if (/^\d+$/.test(String(toId ?? ''))) {
+    params.push(String(toId));
+    conditions.push(`id <= $${params.length}`);
+  }
+  appendEventFilters(conditions, params, { status, topic, since, until });
+  const hasSelection = idList.length || conditions.some((condition) => /^(id [<>]=|received_at)/.test(condition));
+  if (!hasSelection) {
+    const error = new Error('Choose events to replay by id, id range or time range');
+    error.code = 'INVALID_RANGE';
+    throw error;
+  }
+  params.push(Math.max(1, Math.min(Number.parseInt(limit, 10) || MAX_REPLAY_BATCH, MAX_REPLAY_BATCH)));
+  params.push(replayedBy ? String(replayedBy) : null);
+
+  const { rows } = await db.query(
+    `
+      UPDATE lightspeed_webhook_events
+      SET status = 'processing', claimed_at = NOW(), replay_count = replay_count + 1, last_replayed_at = NOW(),
+          last_replayed_by = $${params.length}
+      WHERE id IN (
+        SELECT id
+        FROM lightspeed_webhook_events
+        WHERE ${conditions.join(' AND ')}
+        ORDER BY received_at ASC, id ASC
+        LIMIT $${params.length - 1}
+        FOR UPDATE SKIP LOCKED
+      )
+      RETURNING id, topic, payload, attempts, signature_verified
+    `,
+    params
+  );
+
+  const events = rows.sort((a, b) => Number(a.id) - Number(b.id));
+  for (const row of events) {
+    const evt = {
+      id: row.id,
+      topic: row.topic,
+      payload: row.payload || null,
+      attempts: Number(row.attempts || 0),
+      signatureVerified: Boolean(row.signature_verified),
+      replay: true
+    };
     try {
-      // Best-effort: keep the marketing table close to real-time without blocking webhook delivery.
-      // This uses cursor-based polling under the hood and is safe to run repeatedly.
-      await marketingService.syncCustomerProfiles(db.pool, { maxDurationMs: Math.max(2000, maxDurationMs - (Date.now() - start)) });
-      didCustomerSync = true;
+      const outcome = await dispatchEvent(evt);
+      summary[outcome] += 1;
+      summary.events.push({ id: String(evt.id), topic: evt.topic, status: outcome });
     } catch (error) {
-      logger.warn({ event: 'webhook_customer_sync_failed', error: error.message }, 'Customer sync after webhook failed');
+      logger.warn(
+        { event: 'webhook_event_replay_failed', id: evt.id, topic: evt.topic, error: error.message },
+        'Lightspeed webhook replay failed'
+      );
+      await markEventDeadLettered(evt.id, error.message);
+      summary.deadLettered += 1;
+      summary.events.push({ id: String(evt.id), topic: evt.topic, status: 'dead_letter', error: error.message });
     }
   }
-
-  return { ok: true, processed, failed, didCustomerSync };
+  summary.replayed = events.length;
+  return summary;
 }
 
 module.exports = {
   safeJsonParse,
+  parseWebhookBody,
   normalizeTopic,
   verifyLightspeedSignature,
   enqueueWebhookEvent,
   ensureWebhookTables,
   getWebhookQueueHealth,
+  listWebhookEvents,
+  getWebhookEvent,
+  replayWebhookEvents,
+  computeBackoffMs,
+  EVENT_STATUSES,
+  MAX_REPLAY_BATCH,
+  registerTopicHandler,
+  resolveTopicHandler,
+  isInlineTopic,
+  processWebhookEventNow,
   processPendingWebhookEvents
 };
 
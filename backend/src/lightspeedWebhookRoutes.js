@@ -3,6 +3,7 @@ const rateLimit = require('express-rate-limit');
 const config = require('./config');
 const logger = require('./logger');
 const queue = require('./lightspeedWebhookQueue');
+const lightspeedWriteOutbox = require('./lightspeedWriteOutbox');
 
 const router = express.Router();
 
@@ -26,8 +27,9 @@ const webhookLimiter = rateLimit({
 
 // Lightspeed webhooks require raw body for signature verification (HMAC-SHA256 over request body).
 router.post('/:topic?', webhookLimiter, express.raw({ type: '*/*', limit: '1mb' }), async (req, res) => {
-  const topic = queue.normalizeTopic(req.params.topic || req.query.type || req.query.topic || 'unknown');
   const rawBody = Buffer.isBuffer(req.body) ? req.body : Buffer.from(String(req.body || ''), 'utf8');
+  const body = queue.parseWebhookBody(rawBody);
+  const topic = queue.normalizeTopic(req.params.topic || req.query.type || req.query.topic || body.topic || 'unknown');
 
   // Verify signature if present + client_secret configured.
   const xSigHeader = req.get('X-Signature') || req.get('x-signature') || '';
@@ -46,28 +48,39 @@ router.post('/:topic?', webhookLimiter, express.raw({ type: '*/*', limit: '1mb'
     );
   }
 
-  let payload = null;
-  const textBody = rawBody.toString('utf8');
-  const parse = queue.safeJsonParse(textBody);
-  if (parse.ok) payload = parse.value;
-
   try {
     const stored = await queue.enqueueWebhookEvent({
       topic,
       rawBody,
-      payload,
+      payload: body.payload,
       signatureVerified: signature.verified,
       signatureReason: signature.reason,
       headers: req.headers
     });
 
+    // Sale events feed the real-time compliance gate: run them now, within a bounded time, instead of waiting for
+    // the next /api/cron/webhooks run. Whatever happens here, the delivery is stored and still acknowledged.
+    let dispatched = null;
+    if (stored.stored && queue.isInlineTopic(topic)) {
+      try {
+        dispatched = await queue.processWebhookEventNow(stored.id);
+      } catch (error) {
+        dispatched = 'error';
+        logger.warn({ event: 'lightspeed_webhook_inline_failed', topic, id: stored.id, error: error.message });
+      }
+    }
+
+    // Webhook deliveries keep coming while stores trade, so they also send Lightspeed writes whose retry is due.
+    await lightspeedWriteOutbox.drainDueWrites();
+
     logger.info(
       {
         event: 'lightspeed_webhook_received',
         topic,
         stored: stored.stored,
         eventKey: stored.eventKey || null,
-        signatureVerified: signature.verified
+        signatureVerified: signature.verified,
+        dispatched
       },
       'Lightspeed webhook received'
     );
@@ -77,7 +90,8 @@ router.post('/:topic?', webhookLimiter, express.raw({ type: '*/*', limit: '1mb'
       ok: true,
       topic,
       signatureVerified: signature.verified,
-      stored: stored.stored
+      stored: stored.stored,
+      ...(dispatched ? { dispatched } : {})
     });
   } catch (error) {
     logger.error(
@@ -0,0 +1,559 @@
+"use strict";
+
+const crypto = require('crypto');
+const db = require('./db');
+const logger = require('./logger');
+const lightspeed = require('./lightspeedClient');
+
+/**
+ * Durable outbox for writes to Lightspeed (sale notes, sale completion, customer profile updates). The register flow
+ * stores the write here and either sends it in the background (kickWrites) or, for sale completion, waits a few
+ * seconds for the send (submitWrite's waitMs) and reports where it stands. Due retries are sent by drainDueWrites()
+ * as register and webhook traffic comes in, and by /api/cron/webhooks and /api/cron/lightspeed-writes, until it lands:
+ *   - each write has an idempotency key, so a repeated request stores (and sends) it once;
+ *   - writes for one sale go out in the order they were queued: a later write waits while an earlier one is pending;
+ *   - failures retry with backoff; a rejected request (4xx other than 408/409/425/429) or
+ *     LIGHTSPEED_WRITE_MAX_ATTEMPTS failures leave the write `failed` for an owner to retry from /admin/writes.html.
+ * Without a database there is nowhere durable to keep the write, so submitWrite() sends it inline as before.
+ */
+
+const WRITE_KINDS = ['sale_note', 'complete_sale', 'customer_update'];
+const WRITE_STATUSES = ['pending', 'processing', 'done', 'failed'];
+const RETRYABLE_STATUSES = [408, 409, 425, 429];
+// A write left in processing this long was claimed by an invocation that died; it is claimed again so the sale is not stuck.
+const STALE_PROCESSING_MINUTES = 10;
+
+async function ensureOutboxTables() {
+  if (!db.pool) return false;
+  await db.query(
+    `
+      CREATE TABLE IF NOT EXISTS lightspeed_write_outbox (
+        id BIGSERIAL PRIMARY KEY,
+        idempotency_key TEXT UNIQUE NOT NULL,
+        kind TEXT NOT NULL,
+        ordering_key TEXT NOT NULL,
+        sale_id TEXT,
+        customer_id TEXT,
+        payload JSONB NOT NULL,
+        progress JSONB,
+        status TEXT NOT NULL DEFAULT 'pending',
+        attempts INTEGER NOT NULL DEFAULT 0,
+        next_attempt_at TIMESTAMP NOT NULL DEFAULT NOW(),
+        last_error TEXT,
+        last_status INTEGER,
+        result JSONB,
+        retried_by TEXT,
+        created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+        updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+        completed_at TIMESTAMP
+      )
+    `
+  );
+  await db.query('CREATE INDEX IF NOT EXISTS idx_ls_write_outbox_due ON lightspeed_write_outbox (status, next_attempt_at)');
+  await db.query('CREATE INDEX IF NOT EXISTS idx_ls_write_outbox_ordering ON lightspeed_write_outbox (ordering_key, id)');
+  return true;
+}
+
+// Same schedule as lightspeedWebhookQueue.computeBackoffMs, starting sooner: most write failures are a brief blip.
+function computeBackoffMs(attempts) {
+  const n = Math.max(1, Number.parseInt(attempts, 10) || 1);
+  const scheduleSec = [10, 30, 60, 120, 300, 900, 1800, 3600, 7200];
+  const idx = Math.min(scheduleSec.length - 1, n - 1);
+  return scheduleSec[idx] * 1000;
+}
+
+// Attempts (including the first) before a failing write is left `failed`.
+function getMaxAttempts() {
+  const parsed = Number.parseInt(String(process.env.LIGHTSPEED_WRITE_MAX_ATTEMPTS || ''), 10);
+  return Number.isFinite(parsed) && parsed >= 1 ? Math.min(parsed, 50) : 8;
+}
+
+function invalidWrite(message) {
+  const err = new Error(message);
+  err.code = 'INVALID_PAYLOAD';
+  return err;
+}
+
+function errorStatus(error) {
+  const status = Number(error?.response?.status || error?.status || 0);
+  return status > 0 ? status : null;
+}
+
+function isPermanentFailure(error) {
+  if (error?.code === 'INVALID_PAYLOAD') return true;
+  const status = errorStatus(error);
+  return status !== null && status >= 400 && status < 500 && !RETRYABLE_STATUSES.includes(status);
+}
+
+// Each handler sends one write and resolves with what to keep as its result; it throws to retry (or fail, see
+// isPermanentFailure). `write.progress` carries steps already done by an earlier attempt.
+const WRITE_HANDLERS = {
+  async sale_note(write) {
+    const { saleId, clerkId, verificationData } = write.payload;
+    if (!saleId || !verificationData) throw invalidWrite('sale_note needs saleId and verificationData');
+    const result = await lightspeed.recordVerification({ saleId, clerkId, verificationData });
+    return { noteUpdated: Boolean(result?.noteUpdated) };
+  },
+
+  async complete_sale(write) {
+    const { saleId, verificationId, paymentType, locationId, saleTotal } = write.payload;
+    if (!saleId || !verificationId) throw invalidWrite('complete_sale needs saleId and verificationId');
+    try {
+      const completion = await lightspeed.completeSale({
+        saleId,
+        verificationId,
+        paymentType,
+        locationId,
+        sale: Number.isFinite(saleTotal) ? { total: saleTotal } : undefined,
+        // A payment posted by an earlier attempt must not be posted twice.
+        skipPayment: Boolean(write.progress?.paymentRecorded)
+      });
+      return { completedAt: completion?.completedAt || null, amount: completion?.amount ?? null };
+    } catch (error) {
+      if (error.paymentRecorded) error.progress = { paymentRecorded: true };
+      throw error;
+    }
+  },
+
+  async customer_update(write) {
+    const { customerId, fields, fillBlanksOnly = true } = write.payload;
+    if (!customerId || !fields) throw invalidWrite('customer_update needs customerId and fields');
+    const result = await lightspeed.updateCustomerById(customerId, fields, { fillBlanksOnly });
+    if (result?.updated || result?.skipped) {
+      return { updated: Boolean(result.updated), fields: result.fields || [], skipped: result.skipped || null };
+    }
+    // updateCustomerById reports failures instead of throwing.
+    const err = new Error(result?.error || 'customer_update_failed');
+    err.status = result?.status || null;
+    throw err;
+  }
+};
+
+function orderingKeyFor({ saleId, customerId }) {
+  if (saleId) return `sale:${saleId}`;
+  if (customerId) return `customer:${customerId}`;
+  return null;
+}
+
+function mapWriteRow(row) {
+  if (!row) return null;
+  return {
+    id: String(row.id),
+    idempotencyKey: row.idempotency_key,
+    kind: row.kind,
+    saleId: row.sale_id || null,
+    customerId: row.customer_id || null,
+    status: row.status,
+    attempts: Number(row.attempts || 0),
+    nextAttemptAt: row.next_attempt_at || null,
+    lastError: row.last_error || null,
+    lastStatus: row.last_status ?? null,
+    payload: row.payload || null,
+    progress: row.progress || null,
+    result: row.result || null,
+    retriedBy: row.retried_by || null,
+    createdAt: row.created_at || null,
+    updatedAt: row.updated_at || null,
+    completedAt: row.completed_at || null
+  };
+}
+
+/**
+ * Store a write in the outbox. A write whose idempotency key is already stored is not added again; if that write
+ * had ended `failed`, resubmitting it puts it back in the queue with fresh attempts (the cashier pressing Complete
+ * again is a retry).
+ *
+ * @param {{kind: string, saleId?: string, customerId?: string, payload: object, idempotencyKey?: string}} write
+ *   idempotencyKey defaults to kind + sale/customer + a hash of the payload, so identical requests collapse into one
+ * @returns {Promise<{queued: boolean, reason?: string, duplicate?: boolean, requeued?: boolean, write?: object}>}
+ */
+async function enqueueWrite({ kind, saleId = null, customerId = null, payload, idempotencyKey = null }) {
+  if (!db.pool) return { queued: false, reason: 'db_disabled' };
+  if (!WRITE_KINDS.includes(kind)) throw invalidWrite(`Unknown write kind: ${kind}`);
+
+  const sid = String(saleId || '').trim() || null;
+  const cid = String(customerId || '').trim() || null;
+  const orderingKey = orderingKeyFor({ saleId: sid, customerId: cid });
+  if (!orderingKey) throw invalidWrite('A write needs a saleId or customerId');
+
+  const body = JSON.stringify(payload || {});
+  const key = String(idempotencyKey || '').trim()
+    || `${kind}:${orderingKey}:${crypto.createHash('sha256').update(body).digest('hex')}`;
+
+  await ensureOutboxTables();
+  const inserted = await db.query(
+    `
+      INSERT INTO lightspeed_write_outbox (idempotency_key, kind, ordering_key, sale_id, customer_id, payload)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      ON CONFLICT (idempotency_key) DO NOTHING
+      RETURNING *
+    `,
+    [key, kind, orderingKey, sid, cid, body]
+  );
+  if (inserted.rows.length) {
+    return { queued: true, duplicate: false, write: mapWriteRow(inserted.rows[0]) };
+  }
+
+  const requeued = await db.query(
+    `
+      UPDATE lightspeed_write_outbox
+      SET status = 'pending', attempts = 0, next_attempt_at = NOW(), payload = $2, updated_at = NOW()
+      WHERE idempotency_key = $1 AND status = 'failed'
+      RETURNING *
+    `,
+    [key, body]
+  );
+  if (requeued.rows.length) {
+    return { queued: true, duplicate: true, requeued: true, write: mapWriteRow(requeued.rows[0]) };
+  }
+
+  const { rows } = await db.query('SELECT * FROM lightspeed_write_outbox WHERE idempotency_key = $1', [key]);
+  return { queued: true, duplicate: true, write: mapWriteRow(rows[0]) };
+}
+
+async function getWrite(id) {
+  if (!db.pool) return null;
+  const { rows } = await db.query('SELECT * FROM lightspeed_write_outbox WHERE id = $1', [id]);
+  return mapWriteRow(rows[0]);
+}
+
+// Claims due writes that are first in line for their sale (no earlier write for it still pending or in flight).
+async function claimDueWrites({ limit = 50, orderingKey = null } = {}) {
+  const normalizedLimit = Math.max(1, Math.min(Number.parseInt(limit, 10) || 50, 500));
+  const client = await db.pool.connect();
+  try {
+    await client.query('BEGIN');
+    const { rows } = await client.query(
+      `
+        SELECT *
+        FROM lightspeed_write_outbox w
+        WHERE (
+            (w.status = 'pending' AND w.next_attempt_at <= NOW())
+            OR (w.status = 'processing' AND w.updated_at < NOW() - make_interval(mins => $3))
+          )
+          AND ($2::text IS NULL OR w.ordering_key = $2)
+          AND NOT EXISTS (
+            SELECT 1 FROM lightspeed_write_outbox earlier
+            WHERE earlier.ordering_key = w.ordering_key
+              AND earlier.id < w.id
+              AND earlier.status IN ('pending', 'processing')
+          )
+        ORDER BY w.id ASC
+        LIMIT $1
+        FOR UPDATE SKIP LOCKED
+      `,
+      [normalizedLimit, orderingKey, STALE_PROCESSING_MINUTES]
+    );
+    const ids = rows.map((row) => row.id);
+    if (ids.length) {
+      await client.query(
+        `
+          UPDATE lightspeed_write_outbox
+          SET status = 'processing', attempts = attempts + 1, updated_at = NOW()
+          WHERE id = ANY($1::bigint[])
+        `,
+        [ids]
+      );
+    }
+    await client.query('COMMIT');
+    return rows.map((row) => mapWriteRow({ ...row, attempts: Number(row.attempts || 0) + 1 }));
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+async function markWriteDone(id, result) {
+  await db.query(
+    `
+      UPDATE lightspeed_write_outbox
+      SET status = 'done', result = $2, payload = '{}'::jsonb, last_error = NULL, last_status = NULL,
+          completed_at = NOW(), updated_at = NOW()
+      WHERE id = $1
+    `,
+    [id, JSON.stringify(result || {})]
+  );
+}
+
+// Failed writes are retried with backoff until they run out of attempts or Lightspeed rejects the request outright.
+async function recordWriteFailure(write, error) {
+  const permanent = isPermanentFailure(error) || write.attempts >= getMaxAttempts();
+  const progress = error.progress ? JSON.stringify({ ...(write.progress || {}), ...error.progress }) : null;
+  await db.query(
+    `
+      UPDATE lightspeed_write_outbox
+      SET status = $2,
+          next_attempt_at = $3,
+          last_error = $4,
+          last_status = $5,
+          progress = COALESCE($6::jsonb, progress),
+          updated_at = NOW()
+      WHERE id = $1
+    `,
+    [
+      write.id,
+      permanent ? 'failed' : 'pending',
+      new Date(Date.now() + (permanent ? 0 : computeBackoffMs(write.attempts))),
+      String(error.message || 'write_failed').slice(0, 1000),
+      errorStatus(error),
+      progress
+    ]
+  );
+  return permanent ? 'failed' : 'retried';
+}
+
+/**
+ * Send due writes, oldest first and in order per sale.
+ *
+ * @param {{limit?: number, maxDurationMs?: number, saleId?: string, customerId?: string}} [options] saleId (or, for
+ *   customer-only writes, customerId) sends only that sale's (customer's) writes
+ * @returns {Promise<{ok: boolean, reason?: string, processed: number, retried: number, failed: number}>}
+ */
+async function processDueWrites({ limit = 50, maxDurationMs = 8000, saleId = null, customerId = null } = {}) {
+  if (!db.pool) return { ok: false, reason: 'db_disabled', processed: 0, retried: 0, failed: 0 };
+  await ensureOutboxTables();
+
+  const start = Date.now();
+  const counts = { processed: 0, retried: 0, failed: 0 };
+  const orderingKey = orderingKeyFor({ saleId, customerId });
+
+  // A sale's next write only becomes claimable once the one before it is done, so keep claiming until idle.
+  while (Date.now() - start < maxDurationMs - 750) {
+    const claimed = await claimDueWrites({ limit, orderingKey });
+    if (!claimed.length) break;
+
+    for (const [index, write] of claimed.entries()) {
+      if (Date.now() - start > maxDurationMs - 750) {
+        await releaseClaimedWrites(claimed.slice(index));
+        return { ok: true, ...counts };
+      }
+      try {
+        const result = await WRITE_HANDLERS[write.kind](write);
+        await markWriteDone(write.id, result);
+        counts.processed += 1;
+      } catch (error) {
+        const outcome = await recordWriteFailure(write, error);
+        counts[outcome] += 1;
+        logger.warn({
+          event: 'lightspeed_write_failed',
+          writeId: write.id,
+          kind: write.kind,
+          saleId: write.saleId,
+          attempts: write.attempts,
+          status: errorStatus(error),
+          outcome,
+          error: error.message
+        });
+      }
+    }
+  }
+
+  return { ok: true, ...counts };
+}
+
+// Claimed writes the time budget did not reach go back to pending without using up an attempt.
+async function releaseClaimedWrites(writes) {
+  if (!writes.length) return;
+  await db.query(
+    `
+      UPDATE lightspeed_write_outbox
+      SET status = 'pending', attempts = GREATEST(attempts - 1, 0), updated_at = NOW()
+      WHERE id = ANY($1::bigint[]) AND status = 'processing'
+    `,
+    [writes.map((write) => write.id)]
+  );
+}
+
+// Try a write's sale (or customer) queue now, then any other write whose retry is due, without holding up the
+// caller; the crons pick up whatever this misses.
+function kickWrites(write) {
+  const saleId = write.saleId || null;
+  const customerId = saleId ? null : write.customerId || null;
+  setImmediate(() => {
+    processDueWrites({ saleId, customerId, limit: 10, maxDurationMs: 8000 })
+      .catch((error) => {
+        logger.warn({ event: 'lightspeed_write_kick_failed', saleId, customerId, error: error.message });
+      })
+      .then(() => drainDueWrites());
+  });
+}
+
+// The scheduled cron only runs once a day, so retries (computeBackoffMs) are driven by traffic instead: each register
+// write and each Lightspeed webhook delivery sends a few due writes, at most once per DRAIN_INTERVAL_MS per instance.
+const DRAIN_INTERVAL_MS = 10 * 1000;
+const DRAIN_LIMIT = 5;
+const DRAIN_WAIT_MS = 1500;
+let lastDrainAt = 0;
+
+/**
+ * Send a few due writes from any sale, waiting at most DRAIN_WAIT_MS (the send carries on after that). Does nothing
+ * without a database or when another drain ran in the last DRAIN_INTERVAL_MS. Never throws.
+ *
+ * @returns {Promise<{ok: boolean, reason?: string, processed?: number, retried?: number, failed?: number}>}
+ */
+async function drainDueWrites() {
+  if (!db.pool) return { ok: false, reason: 'db_disabled' };
+  const now = Date.now();
+  if (now - lastDrainAt < DRAIN_INTERVAL_MS) return { ok: false, reason: 'throttled' };
+  lastDrainAt = now;
+
+  let timer = null;
+  const send = processDueWrites({ limit: DRAIN_LIMIT, maxDurationMs: DRAIN_WAIT_MS + 750 }).catch((error) => {
+    logger.warn({ event: 'lightspeed_write_drain_failed', error: error.message });
+    return { ok: false, reason: 'error' };
+  });
+  const timeout = new Promise((resolve) => {
+    timer = setTimeout(() => resolve({ ok: true, reason: 'still_sending' }), DRAIN_WAIT_MS);
+  });
+  try {
+    return await Promise.race([send, timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Sends the write's sale (or customer) queue now, giving up waiting after waitMs; the send itself carries on and the
+// crons reclaim it if this invocation dies first. Resolves the write as it stands afterwards.
+async function sendWriteNow(write, waitMs) {
+  let timer = null;
+  const send = processDueWrites({
+    saleId: write.saleId || null,
+    customerId: write.saleId ? null : write.customerId || null,
+    limit: 10,
+    // processDueWrites keeps 750 ms of its budget in reserve; give it at least one claim.
+    maxDurationMs: waitMs + 750
+  }).catch((error) => {
+    logger.warn({ event: 'lightspeed_write_send_failed', writeId: write.id, error: error.message });
+  });
+  const timeout = new Promise((resolve) => {
+    timer = setTimeout(resolve, waitMs);
+  });
+  try {
+    await Promise.race([send, timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+  return (await getWrite(write.id)) || write;
+}
+
+/**
+ * Queue a write and send it. By default the send happens in the background; with `waitMs` the caller waits up to
+ * that long and gets the write's status after the attempt (`done`, `failed`, or still `pending`/`processing`).
+ * Without a database (or if storing it fails) the write is sent inline instead, as before the outbox existed.
+ *
+ * @param {object} request - as for enqueueWrite
+ * @param {{waitMs?: number}} [options]
+ * @returns {Promise<{queued: boolean, write?: object, result?: object, reason?: string}>} result is the handler's
+ *   result for an inline write
+ */
+async function submitWrite(request, { waitMs = 0 } = {}) {
+  if (!WRITE_KINDS.includes(request.kind)) throw invalidWrite(`Unknown write kind: ${request.kind}`);
+  try {
+    const queued = await enqueueWrite(request);
+    if (queued.queued) {
+      if (queued.write?.status !== 'pending') return queued;
+      if (waitMs > 0) return { ...queued, write: await sendWriteNow(queued.write, waitMs) };
+      kickWrites(queued.write);
+      return queued;
+    }
+  } catch (error) {
+    if (error.code === 'INVALID_PAYLOAD') throw error;
+    logger.warn({ event: 'lightspeed_write_enqueue_failed', kind: request.kind, saleId: request.saleId, error: error.message });
+  }
+
+  const result = await WRITE_HANDLERS[request.kind]({ ...request, payload: request.payload || {}, progress: null });
+  return { queued: false, reason: db.pool ? 'enqueue_failed' : 'db_disabled', result };
+}
+
+function appendWriteFilters(conditions, params, { status, kind, saleId }) {
+  if (status) {
+    params.push(status);
+    conditions.push(`status = $${params.length}`);
+  }
+  if (kind) {
+    params.push(kind);
+    conditions.push(`kind = $${params.length}`);
+  }
+  if (saleId) {
+    params.push(String(saleId).trim());
+    conditions.push(`sale_id = $${params.length}`);
+  }
+}
+
+async function listWrites({ status = null, kind = null, saleId = null, limit = 100, offset = 0 } = {}) {
+  if (!db.pool) return [];
+  await ensureOutboxTables();
+
+  const conditions = [];
+  const params = [];
+  appendWriteFilters(conditions, params, { status, kind, saleId });
+  params.push(Math.max(1, Math.min(Number.parseInt(limit, 10) || 100, 500)));
+  params.push(Math.max(0, Number.parseInt(offset, 10) || 0));
+
+  const { rows } = await db.query(
+    `
+      SELECT *
+      FROM lightspeed_write_outbox
+      ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY id DESC
+      LIMIT $${params.length - 1} OFFSET $${params.length}
+    `,
+    params
+  );
+  return rows.map(mapWriteRow);
+}
+
+async function getOutboxHealth() {
+  if (!db.pool) return null;
+  await ensureOutboxTables();
+  const { rows } = await db.query(
+    `
+      SELECT
+        COUNT(*) FILTER (WHERE status = 'pending')::int AS pending,
+        COUNT(*) FILTER (WHERE status = 'processing')::int AS processing,
+        COUNT(*) FILTER (WHERE status = 'done')::int AS done,
+        COUNT(*) FILTER (WHERE status = 'failed')::int AS failed,
+        MIN(created_at) FILTER (WHERE status IN ('pending', 'processing')) AS oldest_pending_at,
+        MIN(next_attempt_at) FILTER (WHERE status = 'pending') AS next_attempt_at
+      FROM lightspeed_write_outbox
+    `
+  );
+  return rows?.[0] || null;
+}
+
+/**
+ * Put a failed (or waiting) write back at the front of the line with a fresh set of attempts.
+ *
+ * @returns {Promise<object|null>} the write, or null when there is no retryable write with that id
+ */
+async function retryWrite(id, { retriedBy = null } = {}) {
+  if (!db.pool) return null;
+  await ensureOutboxTables();
+  const { rows } = await db.query(
+    `
+      UPDATE lightspeed_write_outbox
+      SET status = 'pending', attempts = 0, next_attempt_at = NOW(), retried_by = $2, updated_at = NOW()
+      WHERE id = $1 AND status IN ('failed', 'pending')
+      RETURNING *
+    `,
+    [id, retriedBy]
+  );
+  const write = mapWriteRow(rows[0]);
+  if (write) kickWrites(write);
+  return write;
+}
+
+module.exports = {
+  WRITE_KINDS,
+  WRITE_STATUSES,
+  computeBackoffMs,
+  enqueueWrite,
+  submitWrite,
+  processDueWrites,
+  drainDueWrites,
+  listWrites,
+  getOutboxHealth,
+  retryWrite
+};
@@ -0,0 +1,427 @@
+"use strict";
+
+const crypto = require('crypto');
+const db = require('./db');
+const logger = require('./logger');
+const { hashSecret, verifySecret } = require('./secretHash');
+
+/**
+ * Manager accounts for sale overrides (POST /api/sales/:saleId/override).
+ *
+ * PINs are stored twice, never in clear:
+ *   pin_hash   - salted scrypt hash, the actual credential check
+ *   pin_lookup - HMAC-SHA256(MANAGER_PIN_PEPPER, pin), unique among active managers, so a register can send a bare
+ *                PIN (the numpad flow) and still resolve to exactly one person
+ *
+ * Failed attempts are counted in manager_pin_lockouts under scopes the server derives, never ones the register sends:
+ *   ip:<address>  - every attempt from that client address; MANAGER_PIN_MAX_ATTEMPTS failures lock it
+ *   manager:<id>  - attempts naming a manager; MANAGER_PIN_MAX_ATTEMPTS failures lock that manager
+ *   pin:global    - PIN-only attempts chain-wide; MANAGER_PIN_GLOBAL_MAX_ATTEMPTS failures lock bare-PIN lookups
+ * A lock lasts MANAGER_PIN_LOCKOUT_MINUTES. pin:global is not cleared by a correct PIN, so knowing one PIN does not
+ * buy more guesses at the others.
+ */
+
+const PIN_PATTERN = /^\d{4,8}$/;
+
+function parsePositiveInt(value, fallback) {
+  const parsed = Number.parseInt(String(value ?? ''), 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+function getLockoutPolicy() {
+  return {
+    maxAttempts: parsePositiveInt(process.env.MANAGER_PIN_MAX_ATTEMPTS, 5),
+    globalMaxAttempts: parsePositiveInt(process.env.MANAGER_PIN_GLOBAL_MAX_ATTEMPTS, 30),
+    lockoutMinutes: parsePositiveInt(process.env.MANAGER_PIN_LOCKOUT_MINUTES, 15)
+  };
+}
+
+// Without a pepper the PIN lookup would be a plain HMAC over 4-8 digits, so PINs are neither set nor checked.
+function getPepper() {
+  const pepper = String(process.env.MANAGER_PIN_PEPPER || process.env.API_SECRET_KEY || '').trim();
+  if (!pepper) {
+    throw new Error('PIN_PEPPER_NOT_CONFIGURED');
+  }
+  return pepper;
+}
+
+function isValidPin(pin) {
+  return PIN_PATTERN.test(String(pin ?? ''));
+}
+
+function computePinLookup(pin) {
+  return crypto.createHmac('sha256', getPepper()).update(String(pin)).digest('hex');
+}
+
+const hashPin = hashSecret;
+const verifyPin = verifySecret;
+
+function normalizeOutletIds(outletIds) {
+  const list = Array.isArray(outletIds) ? outletIds : [];
+  return Array.from(new Set(list.map((id) => String(id || '').trim()).filter(Boolean)));
+}
+
+function toManager(row) {
+  if (!row) return null;
+  const lockedUntil = row.locked_until && new Date(row.locked_until) > new Date() ? row.locked_until : null;
+  return {
+    id: row.id,
+    name: row.name,
+    employeeCode: row.employee_code || null,
+    email: row.email || null,
+    outletIds: row.outlet_ids || [],
+    allOutlets: Boolean(row.all_outlets),
+    active: Boolean(row.active),
+    lockedUntil,
+    lastUsedAt: row.last_used_at || null,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+function managerScope(managerId) {
+  return `manager:${managerId}`;
+}
+
+async function ensureTables() {
+  if (!db.pool) return false;
+
+  await db.query(
+    `
+      CREATE TABLE IF NOT EXISTS managers (
+        id VARCHAR(100) PRIMARY KEY,
+        name VARCHAR(150) NOT NULL,
+        employee_code VARCHAR(100),
+        email VARCHAR(200),
+        pin_hash TEXT NOT NULL,
+        pin_lookup VARCHAR(64) NOT NULL,
+        outlet_ids TEXT[] NOT NULL DEFAULT '{}',
+        all_outlets BOOLEAN NOT NULL DEFAULT FALSE,
+        active BOOLEAN NOT NULL DEFAULT TRUE,
+        last_used_at TIMESTAMPTZ,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      )
+    `
+  );
+  await db.query(
+    'CREATE UNIQUE INDEX IF NOT EXISTS idx_managers_pin_lookup_active ON managers (pin_lookup) WHERE active'
+  );
+  await db.query(
+    `
+      CREATE TABLE IF NOT EXISTS manager_pin_lockouts (
+        scope_key VARCHAR(200) PRIMARY KEY,
+        failed_attempts INTEGER NOT NULL DEFAULT 0,
+        last_failed_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        locked_until TIMESTAMPTZ
+      )
+    `
+  );
+  return true;
+}
+
+async function requireTables() {
+  if (!(await ensureTables())) {
+    throw new Error('DATABASE_NOT_CONFIGURED');
+  }
+}
+
+async function assertPinAvailable(pinLookup, exceptId = null) {
+  const { rows } = await db.query(
+    'SELECT id FROM managers WHERE pin_lookup = $1 AND active AND ($2::text IS NULL OR id <> $2)',
+    [pinLookup, exceptId]
+  );
+  if (rows.length) {
+    throw new Error('PIN_IN_USE');
+  }
+}
+
+const MANAGER_COLUMNS = `
+  m.id, m.name, m.employee_code, m.email, m.outlet_ids, m.all_outlets, m.active,
+  m.last_used_at, m.created_at, m.updated_at, l.locked_until
+`;
+
+async function getManager(id) {
+  await requireTables();
+  const { rows } = await db.query(
+    `
+      SELECT ${MANAGER_COLUMNS}
+      FROM managers m
+      LEFT JOIN manager_pin_lockouts l ON l.scope_key = 'manager:' || m.id
+      WHERE m.id = $1
+    `,
+    [id]
+  );
+  return toManager(rows[0]);
+}
+
+async function listManagers({ outletId = null, includeInactive = false } = {}) {
+  await requireTables();
+  const { rows } = await db.query(
+    `
+      SELECT ${MANAGER_COLUMNS}
+      FROM managers m
+      LEFT JOIN manager_pin_lockouts l ON l.scope_key = 'manager:' || m.id
+      WHERE ($1::boolean OR m.active)
+        AND ($2::text IS NULL OR m.all_outlets OR $2 = ANY(m.outlet_ids))
+      ORDER BY m.active DESC, m.name ASC
+    `,
+    [Boolean(includeInactive), outletId || null]
+  );
+  return rows.map(toManager);
+}
+
+async function createManager({ name, pin, employeeCode = null, email = null, outletIds = [], allOutlets = false }) {
+  await requireTables();
+  if (!isValidPin(pin)) {
+    throw new Error('INVALID_PIN_FORMAT');
+  }
+
+  const pinLookup = computePinLookup(pin);
+  await assertPinAvailable(pinLookup);
+
+  const id = `mgr_${crypto.randomUUID()}`;
+  await db.query(
+    `
+      INSERT INTO managers (id, name, employee_code, email, pin_hash, pin_lookup, outlet_ids, all_outlets)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+    `,
+    [id, name, employeeCode, email, await hashPin(pin), pinLookup, normalizeOutletIds(outletIds), Boolean(allOutlets)]
+  );
+
+  logger.info({ event: 'manager_created', managerId: id, outletIds: normalizeOutletIds(outletIds), allOutlets: Boolean(allOutlets) }, 'Manager account created');
+  return getManager(id);
+}
+
+async function updateManager(id, changes = {}) {
+  await requireTables();
+
+  const existing = await getManager(id);
+  if (!existing) return null;
+
+  const { rows } = await db.query(
+    `
+      UPDATE managers
+      SET name = COALESCE($2, name),
+          employee_code = CASE WHEN $3::boolean THEN $4 ELSE employee_code END,
+          email = CASE WHEN $5::boolean THEN $6 ELSE email END,
+          outlet_ids = COALESCE($7, outlet_ids),
+          all_outlets = COALESCE($8, all_outlets),
+          updated_at = NOW()
+      WHERE id = $1
+      RETURNING id
+    `,
+    [
+      id,
+      changes.name ?? null,
+      changes.employeeCode !== undefined,
+      changes.employeeCode ?? null,
+      changes.email !== undefined,
+      changes.email ?? null,
+      changes.outletIds !== undefined ? normalizeOutletIds(changes.outletIds) : null,
+      changes.allOutlets !== undefined ? Boolean(changes.allOutlets) : null
+    ]
+  );
+  if (!rows.length) return null;
+
+  logger.info({ event: 'manager_updated', managerId: id, fields: Object.keys(changes) }, 'Manager account updated');
+  return getManager(id);
+}
+
+async function setManagerPin(id, pin) {
+  await requireTables();
+  if (!isValidPin(pin)) {
+    throw new Error('INVALID_PIN_FORMAT');
+  }
+
+  const pinLookup = computePinLookup(pin);
+  await assertPinAvailable(pinLookup, id);
+
+  const { rowCount } = await db.query(
+    'UPDATE managers SET pin_hash = $2, pin_lookup = $3, updated_at = NOW() WHERE id = $1',
+    [id, await hashPin(pin), pinLookup]
+  );
+  if (!rowCount) return null;
+
+  await db.query('DELETE FROM manager_pin_lockouts WHERE scope_key = $1', [managerScope(id)]);
+  logger.info({ event: 'manager_pin_reset', managerId: id }, 'Manager PIN reset');
+  return getManager(id);
+}
+
+/**
+ * Soft-delete: the row stays so verification_overrides.manager_id keeps pointing at a real person.
+ */
+async function deactivateManager(id) {
+  await requireTables();
+  const { rowCount } = await db.query(
+    'UPDATE managers SET active = FALSE, updated_at = NOW() WHERE id = $1 AND active',
+    [id]
+  );
+  if (rowCount) {
+    logger.info({ event: 'manager_deactivated', managerId: id }, 'Manager account deactivated');
+  }
+  return rowCount > 0;
+}
+
+async function clearLockout(scopeKey) {
+  await requireTables();
+  const { rowCount } = await db.query('DELETE FROM manager_pin_lockouts WHERE scope_key = $1', [scopeKey]);
+  return rowCount > 0;
+}
+
+async function unlockManager(id) {
+  const cleared = await clearLockout(managerScope(id));
+  if (cleared) {
+    logger.info({ event: 'manager_unlocked', managerId: id }, 'Manager PIN lockout cleared');
+  }
+  return cleared;
+}
+
+async function getActiveLockout(scopeKey) {
+  const { rows } = await db.query(
+    'SELECT locked_until FROM manager_pin_lockouts WHERE scope_key = $1 AND locked_until > NOW()',
+    [scopeKey]
+  );
+  return rows[0]?.locked_until || null;
+}
+
+async function recordFailure(scopeKey, maxAttempts) {
+  const { lockoutMinutes } = getLockoutPolicy();
+
+  // A streak older than the lockout window, or one that already served its lockout, starts over.
+  const { rows } = await db.query(
+    `
+      INSERT INTO manager_pin_lockouts (scope_key, failed_attempts, last_failed_at)
+      VALUES ($1, 1, NOW())
+      ON CONFLICT (scope_key) DO UPDATE SET
+        failed_attempts = CASE
+          WHEN manager_pin_lockouts.last_failed_at < NOW() - ($2::int * INTERVAL '1 minute')
+            OR manager_pin_lockouts.locked_until <= NOW()
+          THEN 1
+          ELSE manager_pin_lockouts.failed_attempts + 1
+        END,
+        locked_until = CASE
+          WHEN manager_pin_lockouts.locked_until <= NOW() THEN NULL
+          ELSE manager_pin_lockouts.locked_until
+        END,
+        last_failed_at = NOW()
+      RETURNING failed_attempts
+    `,
+    [scopeKey, lockoutMinutes]
+  );
+
+  const failedAttempts = rows[0]?.failed_attempts || 1;
+  if (failedAttempts < maxAttempts) {
+    return { failedAttempts, lockedUntil: null, attemptsRemaining: maxAttempts - failedAttempts };
+  }
+
+  const locked = await db.query(
+    `
+      UPDATE manager_pin_lockouts
+      SET locked_until = NOW() + ($2::int * INTERVAL '1 minute')
+      WHERE scope_key = $1
+      RETURNING locked_until
+    `,
+    [scopeKey, lockoutMinutes]
+  );
+  return { failedAttempts, lockedUntil: locked.rows[0]?.locked_until || null, attemptsRemaining: 0 };
+}
+
+function isAuthorizedForOutlet(manager, outletId) {
+  if (manager.allOutlets) return true;
+  if (!outletId) return false;
+  return manager.outletIds.includes(String(outletId));
+}
+
+/**
+ * Check a manager PIN for an override.
+ *
+ * @param {object} params
+ * @param {string} params.pin
+ * @param {string} [params.managerId] - when the register identifies the manager; otherwise the PIN alone is looked up
+ * @param {string} [params.outletId] - outlet the sale belongs to
+ * @param {string} [params.clientIp] - address the attempt came from (req.ip), counted towards its own lockout
+ * @returns {Promise<{ok: true, manager: object} | {ok: false, reason: string, lockedUntil?: Date, attemptsRemaining?: number, manager?: object}>}
+ *   reason is one of INVALID_PIN, PIN_LOCKED, MANAGER_NOT_AUTHORIZED_FOR_OUTLET
+ */
+async function authenticateManagerPin({ pin, managerId = null, outletId = null, clientIp = null }) {
+  await requireTables();
+  getPepper();
+
+  const { maxAttempts, globalMaxAttempts } = getLockoutPolicy();
+  const ipScope = `ip:${clientIp || 'unknown'}`;
+  const subjectScope = managerId ? managerScope(managerId) : 'pin:global';
+  const scopes = [
+    { key: ipScope, maxAttempts },
+    { key: subjectScope, maxAttempts: managerId ? maxAttempts : globalMaxAttempts }
+  ];
+
+  for (const scope of scopes) {
+    const lockedUntil = await getActiveLockout(scope.key);
+    if (lockedUntil) {
+      return { ok: false, reason: 'PIN_LOCKED', lockedUntil };
+    }
+  }
+
+  const { rows } = await db.query(
+    managerId
+      ? 'SELECT * FROM managers WHERE id = $1 AND active'
+      : 'SELECT * FROM managers WHERE pin_lookup = $1 AND active',
+    [managerId || computePinLookup(pin)]
+  );
+  const row = rows[0];
+
+  const matched = row && isValidPin(pin) ? await verifyPin(pin, row.pin_hash) : false;
+  if (!matched) {
+    let attemptsRemaining = Infinity;
+    let lockedUntil = null;
+    for (const scope of scopes) {
+      const failure = await recordFailure(scope.key, scope.maxAttempts);
+      if (failure.lockedUntil) {
+        logger.logSecurity('manager_pin_locked', { scope: scope.key, failedAttempts: failure.failedAttempts });
+        lockedUntil = lockedUntil || failure.lockedUntil;
+      }
+      attemptsRemaining = Math.min(attemptsRemaining, failure.attemptsRemaining);
+    }
+    return lockedUntil
+      ? { ok: false, reason: 'PIN_LOCKED', lockedUntil }
+      : { ok: false, reason: 'INVALID_PIN', attemptsRemaining };
+  }
+
+  // A PIN-only hit for a locked manager is still refused; the lock belongs to the person, not the register.
+  if (!managerId) {
+    const managerLock = await getActiveLockout(managerScope(row.id));
+    if (managerLock) {
+      return { ok: false, reason: 'PIN_LOCKED', lockedUntil: managerLock };
+    }
+  }
+
+  await db.query('DELETE FROM manager_pin_lockouts WHERE scope_key = $1', [ipScope]);
+  if (managerId) await db.query('DELETE FROM manager_pin_lockouts WHERE scope_key = $1', [subjectScope]);
+
+  const manager = toManager(row);
+  if (!isAuthorizedForOutlet(manager, outletId)) {
+    return { ok: false, reason: 'MANAGER_NOT_AUTHORIZED_FOR_OUTLET', manager };
+  }
+
+  await db.query('UPDATE managers SET last_used_at = NOW() WHERE id = $1', [row.id]);
+  return { ok: true, manager };
+}
+
+module.exports = {
+  ensureTables,
+  isValidPin,
+  hashPin,
+  verifyPin,
+  computePinLookup,
+  getLockoutPolicy,
+  isAuthorizedForOutlet,
+  getManager,
+  listManagers,
+  createManager,
+  updateManager,
+  setManagerPin,
+  deactivateManager,
+  unlockManager,
+  authenticateManagerPin
+};
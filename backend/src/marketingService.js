@@ -338,10 +338,13 @@ async function upsertCustomerProfiles(pool, profiles) {
       lightspeed_created_at = EXCLUDED.lightspeed_created_at,
       lightspeed_updated_at = EXCLUDED.lightspeed_updated_at,
       synced_at = NOW()
+    -- Webhooks can arrive out of order; never let an older (or unversioned) payload overwrite a versioned row.
+    WHERE customer_profiles.version IS NULL
+      OR EXCLUDED.version >= customer_profiles.version
   `;
 
-  await pool.query(query, values);
-  return profiles.length;
+  const result = await pool.query(query, values);
+  return Number.isInteger(result?.rowCount) ? result.rowCount : profiles.length;
 }
 
 async function syncCustomerProfiles(pool, { maxDurationMs = 8000, pageSize = 200, maxPages = 50, resetCursor = false } = {}) {
@@ -407,6 +410,19 @@ async function syncCustomerProfiles(pool, { maxDurationMs = 8000, pageSize = 200
   return { fetched, upserted, pages, cursor, done, durationMs };
 }
 
+// Applies one customer object from a customer.* webhook payload; returns false when a newer version is already stored.
+async function upsertCustomerFromWebhook(pool, customer) {
+  const profile = mapCustomerProfile(customer);
+  if (!profile) {
+    const error = new Error('Customer payload has no id');
+    error.code = 'INVALID_PAYLOAD';
+    throw error;
+  }
+  await ensureMarketingTables(pool);
+  const upserted = await upsertCustomerProfiles(pool, [profile]);
+  return { customerId: profile.customer_id, applied: upserted > 0 };
+}
+
 async function getMarketingHealth(pool) {
   await ensureMarketingTables(pool);
   const [{ rows: presentRows }, { rows: countRows }, cursor] = await Promise.all([
@@ -1050,6 +1066,7 @@ async function listSegmentCustomers(pool, segmentId, { days = 90, limit = 100, o
 module.exports = {
   ensureMarketingTables,
   syncCustomerProfiles,
+  upsertCustomerFromWebhook,
   getMarketingHealth,
   getMarketingSummary,
   listSegments,
@@ -0,0 +1,306 @@
+"use strict";
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { soundex } = require('./bannedMatcher');
+
+/**
+ * Application-level envelope encryption for the PII columns of verifications and banned_customers.
+ *
+ * Each row gets its own random data key (DEK). The row's PII fields are encrypted together with the DEK
+ * (AES-256-GCM) into pii_ciphertext; the DEK is wrapped with the active key-encryption key (KEK) into pii_dek, and
+ * that KEK's id goes in pii_key_id. The plaintext columns are left NULL. Rotating the KEK only re-wraps DEKs
+ * (scripts/migratePiiEncryption.js).
+ *
+ * Exact-match lookups (banned list, seen-before, legal holds) use blind indexes: HMAC-SHA256 of the normalized value
+ * under a separate key, stored in *_bidx columns.
+ *
+ * Keys (read at call time): PII_KEYS_FILE, a JSON file { "activeKeyId", "keys": { id: base64 }, "blindIndexKey" },
+ * or PII_ENCRYPTION_KEYS ("id:base64,id:base64"), PII_ACTIVE_KEY_ID (defaults to the last listed) and
+ * PII_BLIND_INDEX_KEY. All keys are 32 random bytes, base64. Without keys rows are stored in plaintext as before.
+ */
+
+const FORMAT_VERSION = 'v1';
+
+const PII_COLUMNS = {
+  verifications: ['first_name', 'middle_name', 'last_name', 'date_of_birth', 'document_number'],
+  banned_customers: ['first_name', 'last_name', 'date_of_birth', 'document_number', 'phone', 'email', 'address', 'postal_code']
+};
+
+const PII_STORAGE_COLUMNS = ['pii_key_id', 'pii_dek', 'pii_ciphertext'];
+
+function normalizeDocumentNumber(value) {
+  return String(value ?? '').toUpperCase().replace(/[\s-]+/g, '');
+}
+
+function normalizeName(value) {
+  return String(value ?? '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+function normalizePhone(value) {
+  return String(value ?? '').replace(/\D+/g, '');
+}
+
+function normalizeEmail(value) {
+  return String(value ?? '').trim().toLowerCase();
+}
+
+// Dates are kept as YYYY-MM-DD. Date objects are read in UTC, matching how the lookups have always formatted them.
+function formatDate(value) {
+  if (value === null || value === undefined || value === '') return null;
+  if (value instanceof Date) {
+    return Number.isNaN(value.getTime()) ? null : value.toISOString().slice(0, 10);
+  }
+  const str = String(value).trim();
+  if (/^\d{4}-\d{2}-\d{2}/.test(str)) return str.slice(0, 10);
+  const parsed = new Date(str);
+  return Number.isNaN(parsed.getTime()) ? null : parsed.toISOString().slice(0, 10);
+}
+
+function decodeKey(id, base64) {
+  const key = Buffer.from(String(base64 || ''), 'base64');
+  if (key.length !== 32) {
+    throw new Error(`PII key "${id}" must be 32 bytes (base64)`);
+  }
+  return key;
+}
+
+let cached = { signature: null, keyring: null };
+
+function readKeyConfig() {
+  const file = String(process.env.PII_KEYS_FILE || '').trim();
+  if (file) {
+    const resolved = path.resolve(file);
+    const stat = fs.statSync(resolved);
+    return {
+      signature: `file:${resolved}:${stat.mtimeMs}`,
+      load: () => {
+        const json = JSON.parse(fs.readFileSync(resolved, 'utf8'));
+        return { keys: json.keys || {}, activeKeyId: json.activeKeyId, blindIndexKey: json.blindIndexKey };
+      }
+    };
+  }
+
+  const rawKeys = String(process.env.PII_ENCRYPTION_KEYS || '').trim();
+  const activeKeyId = String(process.env.PII_ACTIVE_KEY_ID || '').trim();
+  const blindIndexKey = String(process.env.PII_BLIND_INDEX_KEY || '').trim();
+  return {
+    signature: `env:${rawKeys}:${activeKeyId}:${blindIndexKey}`,
+    load: () => {
+      const keys = {};
+      rawKeys.split(',').map((entry) => entry.trim()).filter(Boolean).forEach((entry) => {
+        const separator = entry.indexOf(':');
+        if (separator <= 0) {
+          throw new Error('PII_ENCRYPTION_KEYS entries must look like keyId:base64');
+        }
+        keys[entry.slice(0, separator).trim()] = entry.slice(separator + 1).trim();
+      });
+      const ids = Object.keys(keys);
+      return { keys, activeKeyId: activeKeyId || ids[ids.length - 1], blindIndexKey };
+    }
+  };
+}
+
+/**
+ * @returns {{activeKeyId: string, keys: Map<string, Buffer>, blindIndexKey: Buffer}|null} null when no keys are set
+ */
+function getKeyring() {
+  const config = readKeyConfig();
+  if (cached.signature === config.signature) return cached.keyring;
+
+  const { keys, activeKeyId, blindIndexKey } = config.load();
+  let keyring = null;
+  if (Object.keys(keys).length) {
+    if (!activeKeyId || !keys[activeKeyId]) {
+      throw new Error(`Active PII key "${activeKeyId || ''}" is not in the keyring`);
+    }
+    if (!blindIndexKey) {
+      throw new Error('PII_BLIND_INDEX_KEY (or blindIndexKey in PII_KEYS_FILE) is required with encryption keys');
+    }
+    keyring = {
+      activeKeyId,
+      keys: new Map(Object.entries(keys).map(([id, value]) => [id, decodeKey(id, value)])),
+      blindIndexKey: decodeKey('blindIndexKey', blindIndexKey)
+    };
+  }
+  cached = { signature: config.signature, keyring };
+  return keyring;
+}
+
+function isEnabled() {
+  return Boolean(getKeyring());
+}
+
+function generateKey() {
+  return crypto.randomBytes(32).toString('base64');
+}
+
+function seal(key, plaintext, aad) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  cipher.setAAD(Buffer.from(aad, 'utf8'));
+  const body = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return `${FORMAT_VERSION}.${Buffer.concat([iv, cipher.getAuthTag(), body]).toString('base64')}`;
+}
+
+function open(key, sealed, aad) {
+  const [version, payload] = String(sealed).split('.');
+  if (version !== FORMAT_VERSION || !payload) {
+    throw new Error('PII_CIPHERTEXT_UNSUPPORTED');
+  }
+  const buffer = Buffer.from(payload, 'base64');
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, buffer.subarray(0, 12));
+  decipher.setAAD(Buffer.from(aad, 'utf8'));
+  decipher.setAuthTag(buffer.subarray(12, 28));
+  return Buffer.concat([decipher.update(buffer.subarray(28)), decipher.final()]);
+}
+
+function getKek(keyring, keyId) {
+  const kek = keyring?.keys.get(keyId);
+  if (!kek) {
+    throw new Error(`PII_KEY_UNAVAILABLE: ${keyId}`);
+  }
+  return kek;
+}
+
+/**
+ * HMAC of a normalized value; null when blind indexing is off or the value is empty.
+ * @param {'document'|'name'|'phone'|'email'|'name_dob'} kind
+ */
+function blindIndex(kind, normalizedValue) {
+  const keyring = getKeyring();
+  if (!keyring || !normalizedValue) return null;
+  return crypto.createHmac('sha256', keyring.blindIndexKey).update(`${kind}\0${normalizedValue}`, 'utf8').digest('hex');
+}
+
+const documentIndex = (value) => blindIndex('document', normalizeDocumentNumber(value));
+
+function nameDobIndex(firstName, lastName, dateOfBirth) {
+  const first = normalizeName(firstName);
+  const last = normalizeName(lastName);
+  const dob = formatDate(dateOfBirth);
+  return first && last && dob ? blindIndex('name_dob', `${first}|${last}|${dob}`) : null;
+}
+
+const dobIndex = (dateOfBirth) => blindIndex('dob', formatDate(dateOfBirth));
+
+// Soundex of the last name, so fuzzy banned matching can pull sound-alike candidates without decrypting every row.
+const lastNamePhoneticIndex = (lastName) => blindIndex('last_name_phonetic', soundex(lastName));
+
+const BLIND_INDEXES = {
+  verifications: {
+    document_number_bidx: (fields) => documentIndex(fields.document_number)
+  },
+  banned_customers: {
+    document_number_bidx: (fields) => documentIndex(fields.document_number),
+    name_dob_bidx: (fields) => nameDobIndex(fields.first_name, fields.last_name, fields.date_of_birth),
+    last_name_bidx: (fields) => blindIndex('name', normalizeName(fields.last_name)),
+    phone_bidx: (fields) => blindIndex('phone', normalizePhone(fields.phone)),
+    email_bidx: (fields) => blindIndex('email', normalizeEmail(fields.email)),
+    dob_bidx: (fields) => dobIndex(fields.date_of_birth),
+    last_name_phonetic_bidx: (fields) => lastNamePhoneticIndex(fields.last_name)
+  }
+};
+
+function blindIndexColumns(table, fields) {
+  return Object.fromEntries(
+    Object.entries(BLIND_INDEXES[table]).map(([column, compute]) => [column, compute(fields)])
+  );
+}
+
+/**
+ * Column values to store for a row's PII fields: with keys configured the PII columns come back NULL and the values
+ * travel in pii_ciphertext; without keys they pass through unchanged.
+ *
+ * @param {'verifications'|'banned_customers'} table
+ * @param {object} fields snake_case PII column values
+ * @returns {object} the PII columns, pii_key_id / pii_dek / pii_ciphertext and the table's *_bidx columns
+ */
+function protectFields(table, fields) {
+  const columns = PII_COLUMNS[table];
+  const keyring = getKeyring();
+  if (!keyring) {
+    return {
+      ...Object.fromEntries(columns.map((column) => [column, fields[column] ?? null])),
+      pii_key_id: null,
+      pii_dek: null,
+      pii_ciphertext: null,
+      ...blindIndexColumns(table, fields)
+    };
+  }
+
+  const values = {};
+  columns.forEach((column) => {
+    const value = column === 'date_of_birth' ? formatDate(fields[column]) : fields[column];
+    if (value !== null && value !== undefined && value !== '') values[column] = String(value);
+  });
+
+  const dek = crypto.randomBytes(32);
+  return {
+    ...Object.fromEntries(columns.map((column) => [column, null])),
+    pii_key_id: keyring.activeKeyId,
+    pii_dek: seal(getKek(keyring, keyring.activeKeyId), dek, `dek:${keyring.activeKeyId}`),
+    pii_ciphertext: seal(dek, Buffer.from(JSON.stringify(values), 'utf8'), table),
+    ...blindIndexColumns(table, fields)
+  };
+}
+
+/**
+ * Row as callers expect it: encrypted PII decrypted back into its columns (date_of_birth as a Date at UTC midnight,
+ * as pg returns DATE on the servers), storage and blind-index columns removed. Plaintext rows pass through.
+ *
+ * @param {'verifications'|'banned_customers'} table
+ * @param {object|null} row
+ */
+function revealRow(table, row) {
+  if (!row) return row;
+  const { pii_key_id: keyId, pii_dek: wrappedDek, pii_ciphertext: ciphertext, ...rest } = row;
+  Object.keys(rest).forEach((column) => {
+    if (column.endsWith('_bidx')) delete rest[column];
+  });
+  if (!ciphertext) return rest;
+
+  const keyring = getKeyring();
+  const dek = open(getKek(keyring, keyId), wrappedDek, `dek:${keyId}`);
+  const values = JSON.parse(open(dek, ciphertext, table).toString('utf8'));
+  PII_COLUMNS[table].forEach((column) => {
+    if (!(column in values)) return;
+    rest[column] = column === 'date_of_birth' ? new Date(`${values[column]}T00:00:00.000Z`) : values[column];
+  });
+  return rest;
+}
+
+/**
+ * Re-wrap an encrypted row's DEK under the active key (key rotation without touching pii_ciphertext).
+ * @returns {{pii_key_id: string, pii_dek: string}}
+ */
+function rewrapDek(row) {
+  const keyring = getKeyring();
+  const dek = open(getKek(keyring, row.pii_key_id), row.pii_dek, `dek:${row.pii_key_id}`);
+  return {
+    pii_key_id: keyring.activeKeyId,
+    pii_dek: seal(getKek(keyring, keyring.activeKeyId), dek, `dek:${keyring.activeKeyId}`)
+  };
+}
+
+module.exports = {
+  PII_COLUMNS,
+  PII_STORAGE_COLUMNS,
+  getKeyring,
+  isEnabled,
+  generateKey,
+  blindIndex,
+  documentIndex,
+  nameDobIndex,
+  dobIndex,
+  lastNamePhoneticIndex,
+  normalizeDocumentNumber,
+  normalizeName,
+  normalizePhone,
+  normalizeEmail,
+  blindIndexColumns,
+  protectFields,
+  revealRow,
+  rewrapDek
+};
@@ -0,0 +1,81 @@
+"use strict";
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { Readable, Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+
+/**
+ * Archive of rows removed by retention enforcement: one gzipped NDJSON file per run, written before the DELETE
+ * commits, with a sha256sum-compatible sidecar (`<file>.sha256`). The hash also goes into the audit ledger entry
+ * for the deletion, so a later copy of the archive can be matched to the run that produced it.
+ *
+ * Line 1 is a header ({ type: 'retention_archive', ... }); every other line is { table, row }.
+ */
+
+// Env is read per run so the cron and CLI pick up changes without a restart. There is no default directory: the
+// working directory is read-only on serverless hosts, and an archive there would not outlive the instance anyway.
+function getArchiveDir() {
+  const configured = String(process.env.RETENTION_ARCHIVE_DIR || '').trim();
+  return configured ? path.resolve(configured) : null;
+}
+
+function isArchiveEnabled() {
+  return String(process.env.RETENTION_ARCHIVE || '').trim().toLowerCase() !== 'false';
+}
+
+/**
+ * @param {object} options
+ * @param {Array<{table: string, rows: object[]}>} options.datasets
+ * @param {object} [options.meta] extra header fields (retention windows)
+ * @param {string} [options.dir] defaults to RETENTION_ARCHIVE_DIR
+ * @param {Date} [options.now]
+ * @returns {Promise<{file: string, path: string, sha256: string, bytes: number, rows: number}>}
+ */
+async function writeRetentionArchive({ datasets, meta = {}, dir = getArchiveDir(), now = new Date() }) {
+  await fs.promises.mkdir(dir, { recursive: true });
+
+  const stamp = now.toISOString().replace(/[:.]/g, '-');
+  const file = `retention-${stamp}.ndjson.gz`;
+  const target = path.join(dir, file);
+  const partial = `${target}.partial`;
+  const rows = datasets.reduce((sum, dataset) => sum + dataset.rows.length, 0);
+
+  function* lines() {
+    yield `${JSON.stringify({ type: 'retention_archive', version: 1, createdAt: now.toISOString(), rows, ...meta })}\n`;
+    for (const dataset of datasets) {
+      for (const row of dataset.rows) {
+        yield `${JSON.stringify({ table: dataset.table, row })}\n`;
+      }
+    }
+  }
+
+  const hash = crypto.createHash('sha256');
+  let bytes = 0;
+  const digest = new Transform({
+    transform(chunk, _encoding, callback) {
+      hash.update(chunk);
+      bytes += chunk.length;
+      callback(null, chunk);
+    }
+  });
+
+  try {
+    await pipeline(Readable.from(lines()), zlib.createGzip(), digest, fs.createWriteStream(partial, { flags: 'wx' }));
+    const sha256 = hash.digest('hex');
+    await fs.promises.rename(partial, target);
+    await fs.promises.writeFile(`${target}.sha256`, `${sha256}  ${file}\n`, 'utf8');
+    return { file, path: target, sha256, bytes, rows };
+  } catch (error) {
+    await fs.promises.rm(partial, { force: true }).catch(() => {});
+    throw error;
+  }
+}
+
+module.exports = {
+  getArchiveDir,
+  isArchiveEnabled,
+  writeRetentionArchive
+};
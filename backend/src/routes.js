@@ -4,11 +4,24 @@ const lightspeed = require('./lightspeedClient');
 const logger = require('./logger');
 const db = require('./db');
 const complianceStore = require('./complianceStore');
+const piiCrypto = require('./piiCrypto');
+const { bannedMatchOutcome } = require('./bannedMatcher');
+const bannedImport = require('./bannedImport');
+const { toCsv } = require('./exportFormats');
 const saleVerificationStore = require('./saleVerificationStore');
-const { validateVerification, validateCompletion, validateBannedCreate, validateBannedId, validateOverride, validateSaleId, sanitizeString } = require('./validation');
+const saleEvents = require('./saleEvents');
+const managerStore = require('./managerStore');
+const alerting = require('./alerting');
+const documentVelocity = require('./documentVelocity');
+const { adminAuth, requireRole } = require('./auth');
+const { validateVerification, validateCompletion, validateVerificationCompletion, validateBannedCreate, validateBannedId, validateBannedLift, validateBannedImport, validateBanFromVerification, validateOverride, validateSaleId, sanitizeString } = require('./validation');
 const lightspeedWebhookQueue = require('./lightspeedWebhookQueue');
 const customerReconcileQueue = require('./customerReconcileQueue');
 const customerFillQueue = require('./customerFillQueue');
+const lightspeedWriteOutbox = require('./lightspeedWriteOutbox');
+const { decodeAAMVA, parseMrz, calculateAge } = require('../../shared/idParsing');
+const { evaluateDocumentExpiry } = require('./expiryPolicy');
+const { resolveAgeRequirement, requiresSaleLookup } = require('./agePolicy');
 
 const { buildCustomerUpdatePayload } = require('./lightspeedCustomerFields');
 
@@ -147,7 +160,7 @@ function normalizeSource(value) {
 function normalizeDocumentType(value) {
   const sanitized = sanitizeString(value || '');
   const lower = sanitized.toLowerCase();
-  const allowed = ['drivers_license', 'passport', 'mrz_id', 'id_card', 'routed_id', 'name_dob'];
+  const allowed = ['drivers_license', 'passport', 'visa', 'mrz_id', 'id_card', 'routed_id', 'name_dob'];
   if (allowed.includes(lower)) {
     return lower;
   }
@@ -249,6 +262,155 @@ function normalizeScanInput(rawScan = {}) {
   return normalized;
 }
 
+// MRZ_CHECK_DIGIT_POLICY: "reject" (default) declines scans whose ICAO check digits fail, "flag" approves them
+// but marks the response and security log for manager review.
+function getMrzCheckDigitPolicy() {
+  const value = String(process.env.MRZ_CHECK_DIGIT_POLICY || '').trim().toLowerCase();
+  return value === 'flag' ? 'flag' : 'reject';
+}
+
+// Fields an age check or ban lookup hinges on: a client value that disagrees with the MRZ declines the scan.
+const MRZ_MATCHED_FIELDS = ['documentNumber', 'dob', 'documentExpiry'];
+
+// Re-parse the raw MRZ server-side so check digits are never taken on the client's word. The MRZ values replace
+// whatever the client sent, except names (the MRZ truncates and transliterates them), which only fill gaps, and the
+// age is recomputed from the MRZ DOB (a client age that disagrees counts as a mismatch).
+function applyMrzChecks(normalizedScan, rawMrz, { documentTypeFromMrz = false } = {}) {
+  if (!rawMrz) return null;
+
+  const parsed = parseMrz(rawMrz);
+  if (!parsed) {
+    return { format: null, checkDigitsValid: false, failedChecks: ['format'], mismatchedFields: [] };
+  }
+
+  if (documentTypeFromMrz) {
+    normalizedScan.documentType = normalizeDocumentType(parsed.documentType);
+  }
+
+  const fill = {
+    documentNumber: normalizeDocumentNumber(parsed.documentNumber),
+    firstName: toNullableString(parsed.firstName, 100),
+    lastName: toNullableString(parsed.lastName, 100),
+    middleName: toNullableString(parsed.middleName, 100),
+    dob: normalizeDateInput(parsed.dob),
+    documentExpiry: normalizeDateInput(parsed.documentExpiry),
+    issuingCountry: normalizeCountry(parsed.issuingCountry),
+    nationality: normalizeCountry(parsed.nationality),
+    sex: normalizeSex(parsed.sex)
+  };
+  const mismatchedFields = MRZ_MATCHED_FIELDS.filter(
+    (key) => fill[key] && normalizedScan[key] && normalizedScan[key] !== fill[key]
+  );
+  for (const [key, value] of Object.entries(fill)) {
+    if (!value) continue;
+    const nameField = key === 'firstName' || key === 'lastName' || key === 'middleName';
+    if (!nameField || !normalizedScan[key]) normalizedScan[key] = value;
+  }
+  const mrzAge = fill.dob ? calculateAge(fill.dob)?.age ?? null : null;
+  if (mrzAge !== null) {
+    if (normalizedScan.age !== null && normalizedScan.age !== mrzAge) mismatchedFields.push('age');
+    normalizedScan.age = mrzAge;
+  }
+  normalizedScan.source = 'mrz';
+
+  return {
+    format: parsed.mrzFormat,
+    checkDigitsValid: parsed.checkDigitsValid,
+    failedChecks: parsed.failedChecks,
+    mismatchedFields
+  };
+}
+
+// Evaluates the document expiry policy and logs expired documents; callers decline the scan when `blocks` is set.
+function checkDocumentExpiry(documentExpiry, context = {}) {
+  const expiry = evaluateDocumentExpiry(documentExpiry);
+  if (expiry.status === 'expired' || expiry.status === 'grace') {
+    logger.logSecurity('expired_document', {
+      ...context,
+      documentExpiry: expiry.documentExpiry,
+      daysExpired: expiry.daysExpired,
+      policy: expiry.policy,
+      blocked: expiry.blocks
+    });
+  }
+  return expiry;
+}
+
+// What the alert rules (alerting.js) need to know about a scan beyond its saved row: the banned-list hit, if any,
+// and fake-ID suspicions (failed MRZ check digits, a hit on a ban recorded for a fake ID).
+function alertSignalsFor(bannedRecord, suspicions = []) {
+  const outcome = bannedMatchOutcome(bannedRecord);
+  const fakeIdBan = Boolean(outcome?.block && bannedRecord.reason_category === 'fake_id');
+  return {
+    bannedId: outcome ? bannedRecord.id : null,
+    bannedMatch: outcome ? (outcome.block ? 'block' : 'review') : null,
+    bannedConfidence: outcome ? outcome.match.confidence : null,
+    suspicions: fakeIdBan ? [...suspicions, 'banned_for_fake_id'] : suspicions
+  };
+}
+
+// Rejects with `code` if `promise` has not settled within `ms`.
+async function withTimeout(promise, ms, code) {
+  let timer = null;
+  try {
+    return await Promise.race([
+      promise,
+      new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(code)), Math.max(0, ms));
+      })
+    ]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Minimum age for this sale under the outlet/category age policy. The fast path has no sale yet, so it passes
+// `saleId` and the sale is fetched only when category rules exist. The sale and product lookups share one
+// `timeoutMs` budget so a slow Lightspeed never stalls a scan; an unfetchable sale or product falls back to the
+// strictest configured age.
+async function resolveSaleAgeRequirement({ sale = null, saleId = null, outletId = null, timeoutMs = 2500 } = {}) {
+  const deadline = Date.now() + timeoutMs;
+  let effectiveSale = sale;
+  let saleUnavailable = false;
+  if (!effectiveSale && requiresSaleLookup()) {
+    if (saleId) {
+      try {
+        effectiveSale = await withTimeout(lightspeed.getSaleById(saleId), timeoutMs, 'SALE_LOOKUP_TIMEOUT');
+      } catch (error) {
+        logger.warn({ event: 'age_policy_sale_lookup_failed', saleId, error: error.message }, 'Sale lookup failed for age policy');
+      }
+    }
+    // No sale (lookup failed, timed out or found nothing) means no cart to check: apply the strictest age.
+    saleUnavailable = !effectiveSale;
+  }
+
+  return resolveAgeRequirement({
+    sale: effectiveSale,
+    outletId: effectiveSale?.outletId || outletId || null,
+    getProductById: (productId) =>
+      withTimeout(lightspeed.getProductById(productId), deadline - Date.now(), 'PRODUCT_LOOKUP_TIMEOUT'),
+    saleUnavailable
+  });
+}
+
+// Tightens a client approval to the sale's minimum age. The age comes from the client or, failing that, its DOB; a
+// scan with neither cannot be approved.
+function applyAgeRequirement(normalizedScan, ageRequirement) {
+  normalizedScan.minimumAge = ageRequirement.minimumAge;
+  normalizedScan.ageRule = ageRequirement.ruleId;
+  if (normalizedScan.age === null && normalizedScan.dob) {
+    normalizedScan.age = calculateAge(normalizedScan.dob)?.age ?? null;
+  }
+  if (!normalizedScan.approved) return;
+  if (normalizedScan.age === null) {
+    normalizedScan.approved = false;
+    normalizedScan.reason = 'AGE_UNKNOWN';
+  } else if (normalizedScan.age < ageRequirement.minimumAge) {
+    normalizedScan.approved = false;
+    normalizedScan.reason = `Underage (${normalizedScan.age})`;
+  }
+}
+
 async function resolveLatestVerification(saleId, existingVerification) {
   if (existingVerification) {
     return existingVerification;
@@ -308,7 +470,7 @@ router.get('/debug/config', async (req, res) => {
     environment: {
       NODE_ENV: process.env.NODE_ENV || 'not set',
       DATABASE_URL: dbUrl ? `configured (${dbUrl.substring(0, 20)}...)` : 'NOT CONFIGURED',
-      OVERRIDE_PIN: process.env.OVERRIDE_PIN ? 'configured' : 'using default 1417'
+      MANAGER_PIN_PEPPER: process.env.MANAGER_PIN_PEPPER ? 'configured' : 'using API_SECRET_KEY'
     },
     database: {
       poolExists: Boolean(db.pool),
@@ -338,9 +500,15 @@ router.post('/logs', (req, res) => {
 });
 
 // Sale-specific "Friendship" heartbeat (from handheld scanner)
-router.post('/sales/:saleId/heartbeat', (req, res) => {
+router.post('/sales/:saleId/heartbeat', async (req, res) => {
   const { saleId } = req.params;
-  const verification = saleVerificationStore.updateHeartbeat(saleId);
+  let verification = null;
+  try {
+    verification = await saleVerificationStore.updateHeartbeat(saleId);
+  } catch (error) {
+    logger.logAPIError('sale_heartbeat', error, { saleId });
+    return res.status(503).json({ success: false, error: 'SESSION_STORE_UNAVAILABLE' });
+  }
 
   if (!verification) {
     return res.status(404).json({ success: false, error: 'SALE_NOT_FOUND' });
@@ -350,13 +518,13 @@ router.post('/sales/:saleId/heartbeat', (req, res) => {
 });
 
 // Sale-specific "Friendship" logs (for dev troubleshooting trace)
-router.post('/sales/:saleId/logs', (req, res) => {
+router.post('/sales/:saleId/logs', async (req, res) => {
   const { saleId } = req.params;
   const { message, type } = req.body || {};
 
   if (!message) return res.status(400).json({ error: 'Message required' });
 
-  saleVerificationStore.addSessionLog(saleId, message, type || 'info');
+  await saleVerificationStore.addSessionLog(saleId, message, type || 'info');
   res.json({ success: true });
 });
 
@@ -395,135 +563,6 @@ router.get('/sales/:saleId', async (req, res, next) => {
 });
 
 
-// Helper to parse AAMVA (Driver's License) Barcodes
-function parseAAMVA(data) {
-  if (!data || typeof data !== 'string') return null;
-
-  // Normalize common barcode control characters so parsing works across scanners.
-  // Many PDF417/AAMVA payloads use FS/GS/RS/US separators instead of CR/LF.
-  const normalizedData = data
-    .replace(/\r\n/g, '\n')
-    .replace(/[\r\n]/g, '\n')
-    .replace(/[\x1c-\x1f]/g, '\n')
-    .replace(/[\x00-\x08\x0b\x0c\x0e-\x1b]/g, '');
-
-  // Basic AAMVA parsing logic
-  // Looks for subfile designators like "DAA", "DBB", etc.
-
-  const extract = (key) => {
-    // Regex to find the key followed by data, ending at a terminator or new field
-    // AAMVA fields are often separated by LF (0x0A) or CR (0x0D)
-    const regex = new RegExp(`${key}([^\\n\\r]+)`, 'i');
-    const match = normalizedData.match(regex);
-    return match ? match[1].trim() : null;
-  };
-
-  const firstName = extract('DAC') || extract('DCT'); // DCT is sometimes used
-  const lastName = extract('DCS') || extract('DCP'); // DCP is sometimes used
-  const fullName = extract('DAA'); // Full name sometimes in one field
-
-  let finalFirstName = firstName;
-  let finalLastName = lastName;
-
-  if (!finalFirstName && !finalLastName && fullName) {
-    const parts = fullName.split(',');
-    if (parts.length > 0) finalLastName = parts[0].trim();
-    if (parts.length > 1) finalFirstName = parts[1].trim();
-  }
-
-  const dobRaw = extract('DBB');
-  // DOB fallback: some scanners remove separators, causing extract() to capture extra fields.
-  // Try to find a DBB date anywhere in the payload.
-  const dobFallback = (() => {
-    if (dobRaw) return dobRaw;
-    const candidates = [
-      /DBB\s*([0-9]{4}-[0-9]{2}-[0-9]{2})/i,
-      /DBB\s*([0-9]{2}\/[0-9]{2}\/[0-9]{4})/i,
-      /DBB\s*([0-9]{8})/i,
-      /DBB[^0-9]*([0-9]{8})/i
-    ];
-    for (const re of candidates) {
-      const m = normalizedData.match(re);
-      if (m && m[1]) return m[1].trim();
-    }
-    return null;
-  })();
-  const docNumber = extract('DAQ');
-  const expiryRaw = extract('DBA');
-  const sex = extract('DBC');
-  const country = extract('DCG') || 'USA';
-  const postalCode = extract('DAK');
-  const address1 = extract('DAG');
-  const address2 = extract('DAH');
-  const city = extract('DAI');
-  const state = extract('DAJ');
-  const suburb = extract('DAI'); // Lightspeed has a suburb field; for US IDs this maps closest to city.
-
-  // Parse DOB (YYYYMMDD or MMDDYYYY)
-  let dob = null;
-  let age = null;
-  if (dobFallback) {
-    const digits = (dobFallback.match(/\d/g) || []).join('');
-    // Prefer 8 digit format if present.
-    const raw8 = digits.length >= 8 ? digits.substring(0, 8) : null;
-    if (raw8 && raw8.match(/^\d{8}$/)) {
-      // YYYYMMDD if it starts with a plausible year, otherwise MMDDYYYY if the last 4 is a plausible year.
-      const startsWithYear = raw8.startsWith('19') || raw8.startsWith('20');
-      const endsWithYear = raw8.substring(4, 8).startsWith('19') || raw8.substring(4, 8).startsWith('20');
-      if (startsWithYear) {
-        const y = parseInt(raw8.substring(0, 4), 10);
-        const m = parseInt(raw8.substring(4, 6), 10) - 1;
-        const d = parseInt(raw8.substring(6, 8), 10);
-        dob = new Date(y, m, d);
-      } else if (endsWithYear) {
-        const m = parseInt(raw8.substring(0, 2), 10) - 1;
-        const d = parseInt(raw8.substring(2, 4), 10);
-        const y = parseInt(raw8.substring(4, 8), 10);
-        dob = new Date(y, m, d);
-      }
-    }
-
-    // YYYY-MM-DD
-    if (!dob || isNaN(dob.getTime())) {
-      const m = dobFallback.match(/^(\d{4})-(\d{2})-(\d{2})$/);
-      if (m) dob = new Date(parseInt(m[1], 10), parseInt(m[2], 10) - 1, parseInt(m[3], 10));
-    }
-
-    // MM/DD/YYYY
-    if (!dob || isNaN(dob.getTime())) {
-      const m = dobFallback.match(/^(\d{2})\/(\d{2})\/(\d{4})$/);
-      if (m) dob = new Date(parseInt(m[3], 10), parseInt(m[1], 10) - 1, parseInt(m[2], 10));
-    }
-  }
-
-  if (dob && !isNaN(dob.getTime())) {
-    try {
-      const diff = Date.now() - dob.getTime();
-      const ageDate = new Date(diff);
-      age = Math.abs(ageDate.getUTCFullYear() - 1970);
-    } catch (e) {
-      age = null;
-    }
-  }
-
-  return {
-    firstName: finalFirstName,
-    lastName: finalLastName,
-    dob,
-    age,
-    documentNumber: docNumber,
-    documentExpiry: expiryRaw, // Keep raw for now, normalization happens later
-    sex: sex === '1' ? 'M' : (sex === '2' ? 'F' : sex),
-    issuingCountry: country,
-    postalCode,
-    address1,
-    address2,
-    suburb,
-    city,
-    state
-  };
-}
-
 // ========== TEST ENDPOINT FOR SCANNER DEBUGGING ==========
 router.post('/test-scan', (req, res) => {
   console.log('======================================');
@@ -555,9 +594,11 @@ router.post('/sales/:saleId/verify-bluetooth', async (req, res) => {
   const registerId = (req.body.registerId || '').trim();
   const clerkId = (req.body.clerkId || '').trim();
 
-  if (requestedSaleId && !saleVerificationStore.getVerification(requestedSaleId)) {
+  if (requestedSaleId) {
     try {
-      saleVerificationStore.createVerification(requestedSaleId, { registerId: registerId || null });
+      if (!(await saleVerificationStore.getVerification(requestedSaleId))) {
+        await saleVerificationStore.createVerification(requestedSaleId, { registerId: registerId || null });
+      }
     } catch { }
   }
 
@@ -597,8 +638,12 @@ router.post('/sales/:saleId/verify-bluetooth', async (req, res) => {
 
     saleVerificationStore.addSessionLog(requestedSaleId, `FAST_VERIFY: starting (register: ${registerId || 'MISSING'})`, 'info');
 
-    let parsedFast = parseAAMVA(barcodeData);
+    let parsedFast = decodeAAMVA(barcodeData);
     console.log('📊 PARSE RESULT (FAST):', JSON.stringify(parsedFast, null, 2));
+    const parseWarningsFast = parsedFast?.warnings || [];
+    if (parseWarningsFast.length) {
+      saleVerificationStore.addSessionLog(requestedSaleId, `PARSE_WARNINGS: ${parseWarningsFast.join(', ')}`, 'warn');
+    }
 
     if (!parsedFast || !parsedFast.age) {
       parsedFast = {
@@ -612,9 +657,10 @@ router.post('/sales/:saleId/verify-bluetooth', async (req, res) => {
 
     let approvedFast = false;
     let reasonFast = null;
+    const ageRequirementFast = await resolveSaleAgeRequirement({ saleId: requestedSaleId, outletId: locationIdFast });
 
     if (parsedFast.age !== null) {
-      if (parsedFast.age >= 21) {
+      if (parsedFast.age >= ageRequirementFast.minimumAge) {
         approvedFast = true;
       } else {
         approvedFast = false;
@@ -625,23 +671,45 @@ router.post('/sales/:saleId/verify-bluetooth', async (req, res) => {
       reasonFast = 'Could not read DOB';
     }
 
+    const expiryFast = checkDocumentExpiry(parsedFast.documentExpiry, { saleId: requestedSaleId, source: 'bluetooth_gun' });
+    if (approvedFast && expiryFast.blocks) {
+      approvedFast = false;
+      reasonFast = expiryFast.reason;
+    }
+
+    let bannedMatchFast = null;
+    let bannedRecordFast = null;
     if (approvedFast && db.pool && (parsedFast.documentNumber || (parsedFast.firstName && parsedFast.lastName && parsedFast.dob))) {
       try {
-        const bannedRecord = await complianceStore.findBannedCustomer({
+        bannedRecordFast = await complianceStore.findBannedCustomer({
           documentType: 'drivers_license',
           documentNumber: parsedFast.documentNumber,
           issuingCountry: parsedFast.issuingCountry,
           firstName: parsedFast.firstName,
           lastName: parsedFast.lastName,
-          dateOfBirth: parsedFast.dob ? parsedFast.dob : null
+          dateOfBirth: parsedFast.dob ? parsedFast.dob : null,
+          address: parsedFast.address1 || null,
+          postalCode: parsedFast.postalCode || null,
+          outletId: locationIdFast
         });
-        if (bannedRecord) {
+        bannedMatchFast = bannedMatchOutcome(bannedRecordFast);
+        if (bannedMatchFast) {
           approvedFast = false;
-          reasonFast = bannedRecord.notes || 'BANNED_CUSTOMER';
-          logger.logSecurity('banned_customer_attempt_bluetooth', {
+          reasonFast = bannedMatchFast.reason;
+          saleVerificationStore.addSessionLog(
+            requestedSaleId,
+            bannedMatchFast.block
+              ? `Banned customer match (confidence ${bannedMatchFast.match.confidence})`
+              : `Possible banned customer match (confidence ${bannedMatchFast.match.confidence}) - manager review required`,
+            'warn'
+          );
+          logger.logSecurity(bannedMatchFast.block ? 'banned_customer_attempt_bluetooth' : 'banned_customer_possible_match', {
             saleId: requestedSaleId,
+            source: 'bluetooth_gun',
             documentNumber: parsedFast.documentNumber,
-            bannedId: bannedRecord.id
+            bannedId: bannedRecordFast.id,
+            confidence: bannedMatchFast.match.confidence,
+            matchedFields: bannedMatchFast.match.matchedFields
           });
         }
       } catch (e) {
@@ -669,14 +737,18 @@ router.post('/sales/:saleId/verify-bluetooth', async (req, res) => {
             documentType: 'drivers_license',
             documentNumber: parsedFast.documentNumber,
             issuingCountry: parsedFast.issuingCountry,
+            documentExpiry: parsedFast.documentExpiry || null,
             nationality: parsedFast.issuingCountry,
             sex: parsedFast.sex,
-            source: 'bluetooth_gun'
+            source: 'bluetooth_gun',
+            minimumAge: ageRequirementFast.minimumAge,
+            ageRule: ageRequirementFast.ruleId
           },
           {
             ipAddress: req.ip,
             userAgent: req.get('user-agent'),
-            locationId: locationIdFast
+            locationId: locationIdFast,
+            alertSignals: alertSignalsFor(bannedRecordFast)
           }
         );
         dbSavedFast = true;
@@ -729,8 +801,9 @@ router.post('/sales/:saleId/verify-bluetooth', async (req, res) => {
     }
 
     try {
-      saleVerificationStore.updateVerification(requestedSaleId, {
+      await saleVerificationStore.updateVerification(requestedSaleId, {
         approved: approvedFast,
+        verificationId: verificationIdFast,
         customerId: parsedFast.documentNumber,
         customerName: `${parsedFast.firstName || ''} ${parsedFast.lastName || ''}`.trim() || 'Customer',
         age: parsedFast.age,
@@ -753,388 +826,16 @@ router.post('/sales/:saleId/verify-bluetooth', async (req, res) => {
       age: parsedFast.age,
       dob: parsedFast.dob && !isNaN(parsedFast.dob.getTime()) ? parsedFast.dob.toISOString().slice(0, 10) : null,
       reason: reasonFast,
+      managerReviewRequired: Boolean(bannedMatchFast?.review),
+      bannedMatch: bannedMatchFast ? bannedMatchFast.match : null,
+      ageRequirement: ageRequirementFast,
+      expiry: expiryFast,
+      parseWarnings: parseWarningsFast,
       dbSaved: dbSavedFast,
       customerReconcileQueued: customerReconcileQueuedFast,
       customerReconcileReason: customerReconcileReasonFast,
       processingMs: Date.now() - fastVerifyStartedAt
     });
-
-    // 1. Get Sale Context
-    saleVerificationStore.addSessionLog(requestedSaleId, `Starting Bluetooth scan (register: ${registerId})`, 'info');
-
-    let sale = null;
-    let locationId = determineLocationId(req, null);
-    let saleFetchAttempts = 0;
-    let saleFetchError = null;
-    let resolvedSaleId = null;
-
-    async function resolveSaleViaRegisterId() {
-      const rid = String(registerId || '').trim();
-      if (!rid || typeof lightspeed.listSales !== 'function') return null;
-      try {
-        const candidates = await lightspeed.listSales({ status: 'OPEN', limit: 25, registerId: rid });
-        const list = Array.isArray(candidates) ? candidates : [];
-        if (!list.length) return null;
-        list.sort((a, b) => {
-          const ta = new Date(a.updatedAt || a.createdAt || 0).getTime();
-          const tb = new Date(b.updatedAt || b.createdAt || 0).getTime();
-          return (Number.isFinite(tb) ? tb : 0) - (Number.isFinite(ta) ? ta : 0);
-        });
-        return list[0] || null;
-      } catch (e) {
-        saleFetchError = saleFetchError || e?.message || 'resolve_failed';
-        return null;
-      }
-    }
-    try {
-      saleVerificationStore.addSessionLog(requestedSaleId, 'Checking Lightspeed sale context...', 'info');
-      saleFetchAttempts += 1;
-      sale = await lightspeed.getSaleById(effectiveSaleId);
-      locationId = determineLocationId(req, sale);
-      saleVerificationStore.addSessionLog(requestedSaleId, `Sale context OK (${sale.items.length} items)`, 'info');
-    } catch (e) {
-      saleFetchError = e.message;
-      saleVerificationStore.addSessionLog(requestedSaleId, `Sale context failed: ${e.message}`, 'warn');
-
-      if (String(e.message || '').toUpperCase() === 'SALE_NOT_FOUND') {
-        const resolved = await resolveSaleViaRegisterId();
-        if (resolved?.saleId) {
-          resolvedSaleId = String(resolved.saleId).trim();
-          effectiveSaleId = resolvedSaleId;
-          sale = resolved;
-          locationId = determineLocationId(req, sale);
-          saleVerificationStore.addSessionLog(requestedSaleId, `Resolved Retail sale id: ${resolvedSaleId}`, 'info');
-        } else {
-          console.warn('Sale lookup failed during bluetooth scan (unresolved), proceeding with defaults');
-        }
-      } else {
-        console.warn('Sale lookup failed during bluetooth scan, proceeding with defaults');
-      }
-    }
-
-    // 2. Parse the Barcode
-    saleVerificationStore.addSessionLog(requestedSaleId, `Parsing barcode (${barcodeData.length} chars)...`, 'info');
-    let parsed = parseAAMVA(barcodeData);
-
-    if (parsed) {
-      saleVerificationStore.addSessionLog(requestedSaleId, `Parsed ID: ${parsed.firstName} ${parsed.lastName}`, 'info');
-    }
-
-    // Log parse result
-    console.log('📊 PARSE RESULT:', JSON.stringify(parsed, null, 2));
-
-    // Fallback if parsing failed (or not AAMVA)
-    if (!parsed || !parsed.age) {
-      // If it's just a raw string and not AAMVA, we might fail or treat as manual entry
-      // For this specific "Gun" implementation, we really expect AAMVA.
-      // But let's be graceful.
-      parsed = {
-        firstName: 'Unknown',
-        lastName: 'Customer',
-        age: null, // Will trigger manual check if null
-        documentNumber: 'RAW-' + barcodeData.substring(0, 10),
-        issuingCountry: 'Unknown'
-      };
-    }
-
-    // 2. Determine Approval
-    let approved = false;
-    let reason = null;
-
-    if (parsed.age !== null) {
-      if (parsed.age >= 21) {
-        approved = true;
-      } else {
-        approved = false;
-        reason = `Underage (${parsed.age})`;
-      }
-    } else {
-      approved = false;
-      reason = 'Could not read DOB';
-    }
-
-    // If the clerk attached a loyalty customer right before scanning, the sale->customer link can lag briefly.
-    // Re-fetch the sale a few times (fast) so customer profile sync is reliable.
-    if (approved && (!sale || !sale.customerId) && typeof lightspeed.getSaleById === 'function') {
-      const delays = [250, 500, 750, 1000];
-      for (const delayMs of delays) {
-        if (sale?.customerId) break;
-        try {
-          await new Promise((r) => setTimeout(r, delayMs));
-          saleFetchAttempts += 1;
-          const refreshed = await lightspeed.getSaleById(effectiveSaleId);
-          if (refreshed) {
-            sale = refreshed;
-            locationId = determineLocationId(req, sale);
-          }
-          if (sale?.customerId) {
-            saleVerificationStore.addSessionLog(requestedSaleId, `Customer attached detected after ${saleFetchAttempts} sale fetch(es)`, 'info');
-            break;
-          }
-        } catch (e) {
-          saleFetchError = e?.message || saleFetchError;
-        }
-      }
-    }
-
-    // 3. Check Banned List (Database)
-    let bannedRecord = null;
-    if (db.pool && (parsed.documentNumber || (parsed.firstName && parsed.lastName && parsed.dob))) {
-      try {
-        saleVerificationStore.addSessionLog(requestedSaleId, 'Checking banned customers...', 'info');
-        bannedRecord = await complianceStore.findBannedCustomer({
-          documentType: 'drivers_license',
-          documentNumber: parsed.documentNumber,
-          issuingCountry: parsed.issuingCountry,
-          firstName: parsed.firstName,
-          lastName: parsed.lastName,
-          dateOfBirth: parsed.dob ? parsed.dob : null
-        });
-        saleVerificationStore.addSessionLog(requestedSaleId, `Banned list check finished (banned: ${!!bannedRecord})`, 'info');
-
-        if (bannedRecord) {
-          approved = false;
-          reason = bannedRecord.notes || 'BANNED_CUSTOMER';
-          logger.logSecurity('banned_customer_attempt_bluetooth', {
-            saleId: effectiveSaleId,
-            documentNumber: parsed.documentNumber,
-            bannedId: bannedRecord.id
-          });
-        }
-      } catch (e) {
-        logger.error('Banned check failed', e);
-      }
-    }
-
-    // 4. Prepare verification result
-    const verificationResult = {
-      approved,
-      customerId: parsed.documentNumber,
-      customerName: `${parsed.firstName || ''} ${parsed.lastName || ''}`.trim() || 'Customer',
-      age: parsed.age,
-      reason,
-      registerId: registerId || 'BLUETOOTH-SCANNER',
-      saleId: effectiveSaleId
-    };
-
-    // 4.25 "Seen before" signal (helps when customer isn't in rewards).
-    let seenBefore = false;
-    let priorVerificationCount = null;
-    let lastSeenAt = null;
-    if (db.pool && parsed.documentNumber && !String(parsed.documentNumber).startsWith('RAW-')) {
-      try {
-        const docType = 'drivers_license';
-        const issuing = parsed.issuingCountry || 'USA';
-        const { rows } = await db.pool.query(
-          `
-            SELECT
-              COUNT(*)::int as count,
-              MAX(created_at) as last_seen_at
-            FROM verifications
-            WHERE document_type = $1
-              AND document_number = $2
-              AND issuing_country = $3
-          `,
-          [docType, String(parsed.documentNumber), String(issuing)]
-        );
-        priorVerificationCount = rows?.[0]?.count ?? null;
-        lastSeenAt = rows?.[0]?.last_seen_at ?? null;
-        seenBefore = Number(priorVerificationCount || 0) > 0;
-        saleVerificationStore.addSessionLog(
-          requestedSaleId,
-          seenBefore ? `Seen before (${priorVerificationCount})` : 'First-time ID (no prior verifications)',
-          'info'
-        );
-      } catch (e) {
-        logger.warn({ event: 'seen_before_query_failed', saleId: effectiveSaleId }, 'Seen-before lookup failed');
-      }
-    }
-
-    // Sale notes are intentionally disabled (compliance is tracked via DB + manager audit endpoints instead).
-    const noteUpdated = false;
-
-    // 4.6 Optionally update the Lightspeed customer profile (when a customer was selected via phone/loyalty)
-    let customerUpdated = false;
-    let customerUpdatedFields = [];
-    let customerUpdateSkipped = null;
-    let customerUpdateStatus = null;
-    let customerUpdatesPayload = null;
-    let customerFillQueued = false;
-    if (approved && sale?.customerId && typeof lightspeed.updateCustomerById === 'function') {
-      try {
-        saleVerificationStore.addSessionLog(requestedSaleId, `Updating customer profile (${sale.customerId})...`, 'info');
-
-        const updates = buildCustomerUpdatePayload(parsed);
-        customerUpdatesPayload = updates;
-
-        try {
-          const queued = customerFillQueue.enqueueCustomerFill({ saleId: effectiveSaleId, fields: updates });
-          customerFillQueued = Boolean(queued?.queued);
-          saleVerificationStore.addSessionLog(
-            requestedSaleId,
-            customerFillQueued ? 'LOADER: Started customer profile fill (in-memory)' : `LOADER: Not queued (${queued?.reason || 'unknown'})`,
-            customerFillQueued ? 'info' : 'warn'
-          );
-        } catch { }
-
-        const result = await lightspeed.updateCustomerById(sale.customerId, updates, { fillBlanksOnly: true });
-        customerUpdated = Boolean(result?.updated);
-        customerUpdatedFields = Array.isArray(result?.fields) ? result.fields : [];
-        customerUpdateSkipped = result?.skipped || null;
-        customerUpdateStatus = result?.status || null;
-        saleVerificationStore.addSessionLog(
-          requestedSaleId,
-          customerUpdated ? `Customer updated (${customerUpdatedFields.length} fields)` : `Customer update skipped (${customerUpdateSkipped || 'no_changes'})`,
-          customerUpdated ? 'info' : 'warn'
-        );
-      } catch (e) {
-        customerUpdateSkipped = e?.message || 'update_failed';
-        saleVerificationStore.addSessionLog(requestedSaleId, `Customer update failed: ${customerUpdateSkipped}`, 'warn');
-        logger.warn({ event: 'customer_update_failed_from_scan', saleId: effectiveSaleId, customerId: sale.customerId }, 'Failed to update customer from scan');
-      }
-    } else if (approved && !sale?.customerId) {
-      customerUpdateSkipped = 'no_customer_on_sale';
-      try {
-        customerUpdatesPayload = buildCustomerUpdatePayload(parsed);
-      } catch (e) {
-        customerUpdatesPayload = null;
-      }
-
-      if (customerUpdatesPayload) {
-        try {
-          const queued = customerFillQueue.enqueueCustomerFill({ saleId: effectiveSaleId, fields: customerUpdatesPayload });
-          customerFillQueued = Boolean(queued?.queued);
-          saleVerificationStore.addSessionLog(
-            requestedSaleId,
-            customerFillQueued ? 'LOADER: Waiting for loyalty customer attach (in-memory)' : `LOADER: Not queued (${queued?.reason || 'unknown'})`,
-            customerFillQueued ? 'info' : 'warn'
-          );
-        } catch { }
-      }
-    }
-
-    // 5. Persist to Database FIRST (Dashboard Integration - CRITICAL)
-    // Database save must succeed before in-memory update to ensure data integrity
-    const verificationId = `V-${effectiveSaleId || 'SCAN'}-${Date.now()}-${Math.floor(Math.random() * 1000)}`;
-    let dbSaved = false;
-    if (db.pool) {
-      try {
-        saleVerificationStore.addSessionLog(requestedSaleId, 'Saving to compliance database...', 'info');
-        // Construct verification object for DB
-        const safeIso = (d) => (d instanceof Date && !isNaN(d.getTime())) ? d.toISOString() : null;
-
-        const dbVerification = {
-          verificationId,
-          saleId: effectiveSaleId,
-          clerkId: clerkId || 'BLUETOOTH_DEVICE',
-          status: approved ? 'approved' : 'rejected',
-          reason,
-          firstName: parsed.firstName,
-          lastName: parsed.lastName,
-          dob: safeIso(parsed.dob),
-          age: parsed.age,
-          documentType: 'drivers_license',
-          documentNumber: parsed.documentNumber,
-          issuingCountry: parsed.issuingCountry,
-          nationality: parsed.issuingCountry,
-          sex: parsed.sex,
-          source: 'bluetooth_gun'
-        };
-
-        await complianceStore.saveVerification(dbVerification, {
-          ipAddress: req.ip,
-          userAgent: req.get('user-agent'),
-          locationId
-        });
-        dbSaved = true;
-        saleVerificationStore.addSessionLog(requestedSaleId, 'Compliance database OK', 'info');
-      } catch (dbError) {
-        saleVerificationStore.addSessionLog(requestedSaleId, `DB save failed: ${dbError.message}`, 'warn');
-        logger.error({ event: 'bluetooth_db_save_failed', saleId: effectiveSaleId }, 'Failed to save bluetooth verification to DB');
-      }
-    }
-
-    // 6. Update In-Memory Store (for Polling) - ONLY after DB save succeeds
-    saleVerificationStore.updateVerification(requestedSaleId, verificationResult);
-    if (effectiveSaleId && effectiveSaleId !== requestedSaleId) {
-      try {
-        saleVerificationStore.updateVerification(effectiveSaleId, { ...verificationResult, saleId: effectiveSaleId });
-        saleVerificationStore.addSessionLog(requestedSaleId, `Mirrored verification under Retail sale id: ${effectiveSaleId}`, 'info');
-      } catch (e) {
-        // Best-effort only; never block checkout
-      }
-    }
-
-    // 6.5 Queue a customer reconcile job so fields get filled even if loyalty customer attaches a few seconds later.
-    let customerReconcileQueued = false;
-    let customerReconcileReason = null;
-    try {
-      const canReconcile = approved && Boolean(db.pool) && typeof lightspeed.updateCustomerById === 'function' && customerUpdatesPayload;
-      const missingCustomer = canReconcile && (!sale || !sale.customerId);
-      const transientUpdateFailure =
-        canReconcile &&
-        Boolean(sale?.customerId) &&
-        !customerUpdated &&
-        !customerUpdateSkipped &&
-        [429, 500, 502, 503, 504].includes(Number(customerUpdateStatus || 0));
-
-      if (missingCustomer || transientUpdateFailure) {
-        const queued = await customerReconcileQueue.enqueueJob({
-          saleId: effectiveSaleId,
-          verificationId,
-          fields: customerUpdatesPayload,
-          delayMs: 5000
-        });
-        customerReconcileQueued = Boolean(queued?.queued);
-        customerReconcileReason = missingCustomer ? 'no_customer_on_sale' : 'transient_customer_update_failure';
-        saleVerificationStore.addSessionLog(
-          requestedSaleId,
-          customerReconcileQueued ? 'Queued customer reconcile job' : `Customer reconcile not queued (${queued?.reason || 'unknown'})`,
-          customerReconcileQueued ? 'info' : 'warn'
-        );
-      }
-    } catch (e) {
-      logger.warn({ event: 'customer_reconcile_enqueue_failed', saleId: effectiveSaleId, error: e.message }, 'Failed to enqueue customer reconcile job');
-    }
-
-    // Final success logging
-    console.log('===========================================');
-    console.log('✅ SCAN PROCESSED SUCCESSFULLY');
-    console.log('Approved:', approved);
-    console.log('Customer:', verificationResult.customerName);
-    console.log('Age:', parsed.age);
-    console.log('Reason:', reason || 'N/A');
-    console.log('===========================================\n');
-
-    res.json({
-      success: true,
-      approved,
-      verificationId,
-      requestedSaleId,
-      saleId: effectiveSaleId,
-      resolvedSaleId: resolvedSaleId && resolvedSaleId !== requestedSaleId ? resolvedSaleId : null,
-      customerName: verificationResult.customerName,
-      age: parsed.age,
-      dob: parsed.dob && !isNaN(parsed.dob.getTime()) ? parsed.dob.toISOString().slice(0, 10) : null,
-      reason,
-      dbSaved,
-      noteUpdated,
-      saleFetchOk: Boolean(sale && sale.saleId),
-      saleFetchAttempts,
-      saleFetchError,
-      saleCustomerId: sale?.customerId || null,
-      seenBefore,
-      priorVerificationCount,
-      lastSeenAt,
-      customerUpdated,
-      customerUpdatedFields,
-      customerUpdateSkipped,
-      customerUpdateStatus,
-      customerFillQueued,
-      customerReconcileQueued,
-      customerReconcileReason
-    });
-
   } catch (error) {
     saleVerificationStore.addSessionLog(requestedSaleId, `FATAL BACKEND ERROR: ${error.message}`, 'error');
     console.error('===========================================');
@@ -1152,13 +853,46 @@ router.post('/sales/:saleId/verify-bluetooth', async (req, res) => {
   }
 });
 
-router.post('/sales/:saleId/verify', validateVerification, async (req, res) => {
-  const { clerkId, scan } = req.body || {};
-  const { saleId } = req.params;
+// --- Sale verification & completion ---
+//
+// One handler per action, shared by the versioned API and the legacy adapters below. Both write Postgres (when
+// configured) and the live saleVerificationStore session the payment-gateway pages poll.
+//
+//   POST /api/v2/sales/:saleId/verifications                          { clerkId, scan }
+//   POST /api/v2/sales/:saleId/verifications/:verificationId/complete { paymentType, amount }
+
+function httpResult(status, body) {
+  return { status, body };
+}
+
+function sendResult(res, result) {
+  return res.status(result.status).json(result.body);
+}
+
+async function syncVerificationSession(saleId, verification, registerId) {
+  try {
+    if (!(await saleVerificationStore.getVerification(saleId))) {
+      await saleVerificationStore.createVerification(saleId, { registerId });
+    }
+    await saleVerificationStore.updateVerification(saleId, {
+      approved: verification.status === 'approved' || verification.status === 'approved_override',
+      status: verification.status,
+      verificationId: verification.verificationId,
+      customerId: verification.documentNumber || null,
+      customerName: `${verification.firstName || ''} ${verification.lastName || ''}`.trim() || null,
+      age: verification.age ?? null,
+      reason: verification.reason || null,
+      registerId
+    });
+  } catch (error) {
+    logger.warn({ event: 'verification_session_sync_failed', saleId, error: error.message }, 'Failed to update live verification session');
+  }
+}
 
+async function recordSaleVerification(req, { saleId, clerkId, scan }) {
   if (!clerkId) {
     logger.logSecurity('missing_clerk_id', { saleId });
-    return res.status(400).json({
+    return httpResult(400, {
       error: 'INVALID_REQUEST',
       message: 'clerkId is required.'
     });
@@ -1166,7 +900,7 @@ router.post('/sales/:saleId/verify', validateVerification, async (req, res) => {
 
   if (!scan || typeof scan.approved !== 'boolean') {
     logger.logSecurity('invalid_scan_data', { saleId, clerkId });
-    return res.status(400).json({
+    return httpResult(400, {
       error: 'INVALID_REQUEST',
       message: 'scan.approved boolean flag is required.'
     });
@@ -1183,12 +917,45 @@ router.post('/sales/:saleId/verify', validateVerification, async (req, res) => {
     ...scan,
     documentType: scan?.documentType || 'drivers_license'
   });
+
+  const mrzResult = applyMrzChecks(normalizedScan, scan.mrz, { documentTypeFromMrz: !scan.documentType });
+  if (mrzResult) {
+    mrzResult.policy = getMrzCheckDigitPolicy();
+    mrzResult.flagged = !mrzResult.checkDigitsValid && mrzResult.policy === 'flag';
+    if (!mrzResult.checkDigitsValid) {
+      logger.logSecurity('mrz_check_failed', {
+        saleId,
+        clerkId,
+        format: mrzResult.format,
+        failedChecks: mrzResult.failedChecks,
+        policy: mrzResult.policy
+      });
+      if (mrzResult.policy === 'reject') {
+        normalizedScan.approved = false;
+        normalizedScan.reason = 'MRZ_CHECK_FAILED';
+      }
+    }
+    if (mrzResult.mismatchedFields.length) {
+      logger.logSecurity('mrz_field_mismatch', { saleId, clerkId, fields: mrzResult.mismatchedFields });
+      if (normalizedScan.approved) {
+        normalizedScan.approved = false;
+        normalizedScan.reason = 'MRZ_MISMATCH';
+      }
+    }
+  }
+
+  const expiryResult = checkDocumentExpiry(normalizedScan.documentExpiry, { saleId, clerkId, source: normalizedScan.source });
+  if (normalizedScan.approved && expiryResult.blocks) {
+    normalizedScan.approved = false;
+    normalizedScan.reason = expiryResult.reason;
+  }
+
   let sale = null;
   try {
     sale = await lightspeed.getSaleById(saleId);
     if (!sale) {
       logger.warn({ event: 'sale_not_found', saleId }, `Sale ${saleId} not found`);
-      return res.status(404).json({
+      return httpResult(404, {
         error: 'SALE_NOT_FOUND',
         message: 'Sale not found.'
       });
@@ -1196,7 +963,7 @@ router.post('/sales/:saleId/verify', validateVerification, async (req, res) => {
   } catch (saleError) {
     logger.logAPIError('get_sale_for_verification', saleError, { saleId, clerkId });
     const status = saleError.status === 404 ? 404 : 502;
-    return res.status(status).json({
+    return httpResult(status, {
       error: status === 404 ? 'SALE_NOT_FOUND' : 'SALE_LOOKUP_FAILED',
       message: status === 404 ? 'Sale not found.' : 'Unable to retrieve sale from Lightspeed.'
     });
@@ -1205,7 +972,12 @@ router.post('/sales/:saleId/verify', validateVerification, async (req, res) => {
   const locationId = determineLocationId(req, sale);
   const outletDescriptor = getOutletDescriptor(locationId, sale?.outlet);
 
+  // The client decides approval against its own threshold; the server only ever tightens it to the sale's policy.
+  const ageRequirement = await resolveSaleAgeRequirement({ sale, outletId: locationId });
+  applyAgeRequirement(normalizedScan, ageRequirement);
+
   let bannedRecord = null;
+  let bannedMatch = null;
 
   if (db.pool && (normalizedScan.documentNumber || (normalizedScan.firstName && normalizedScan.lastName && normalizedScan.dob))) {
     try {
@@ -1215,13 +987,20 @@ router.post('/sales/:saleId/verify', validateVerification, async (req, res) => {
         issuingCountry: normalizedScan.issuingCountry || null,
         firstName: normalizedScan.firstName || null,
         lastName: normalizedScan.lastName || null,
-        dateOfBirth: normalizedScan.dob || null
+        dateOfBirth: normalizedScan.dob || null,
+        // Address only feeds the match score; it is not stored with the verification.
+        ...(scan.address1 ? { address: toNullableString(scan.address1, 200) } : {}),
+        ...(scan.postalCode ? { postalCode: toNullableString(scan.postalCode, 20) } : {}),
+        outletId: locationId
       });
+      bannedMatch = bannedMatchOutcome(bannedRecord);
 
-      if (bannedRecord) {
+      if (bannedMatch) {
         normalizedScan.approved = false;
-        normalizedScan.reason = sanitizeString(bannedRecord.notes) || 'BANNED_CUSTOMER';
-        logger.logSecurity('banned_customer_attempt', {
+        normalizedScan.reason = bannedMatch.block
+          ? sanitizeString(bannedRecord.notes) || 'BANNED_CUSTOMER'
+          : bannedMatch.reason;
+        logger.logSecurity(bannedMatch.block ? 'banned_customer_attempt' : 'banned_customer_possible_match', {
           saleId,
           clerkId,
           documentType: normalizedScan.documentType,
@@ -1229,7 +1008,9 @@ router.post('/sales/:saleId/verify', validateVerification, async (req, res) => {
           issuingCountry: normalizedScan.issuingCountry || null,
           locationId,
           outletCode: outletDescriptor?.code || null,
-          bannedId: bannedRecord.id
+          bannedId: bannedRecord.id,
+          confidence: bannedMatch.match.confidence,
+          matchedFields: bannedMatch.match.matchedFields
         });
       }
     } catch (banError) {
@@ -1273,43 +1054,77 @@ router.post('/sales/:saleId/verify', validateVerification, async (req, res) => {
         persisted = await complianceStore.saveVerification(verification, {
           ipAddress,
           userAgent,
-          locationId
+          locationId,
+          alertSignals: alertSignalsFor(bannedRecord, mrzResult && !mrzResult.checkDigitsValid ? ['mrz_check_failed'] : [])
         });
       } catch (dbError) {
         logger.logAPIError('persist_verification', dbError, { saleId, clerkId });
       }
     }
 
+    // "Seen N times today" for the clerk; read after the save so the count includes this scan.
+    let velocity = null;
+    if (persisted) {
+      try {
+        velocity = await documentVelocity.getDocumentActivityToday({
+          documentType: verification.documentType,
+          issuingCountry: verification.issuingCountry,
+          documentNumber: verification.documentNumber
+        });
+        if (velocity?.warning) {
+          logger.logSecurity('document_velocity_warning', {
+            saleId,
+            clerkId,
+            locationId,
+            scansToday: velocity.scansToday,
+            salesToday: velocity.salesToday,
+            outletsToday: velocity.outletsToday
+          });
+        }
+      } catch (velocityError) {
+        logger.logAPIError('document_velocity_today', velocityError, { saleId });
+      }
+    }
+
+    await syncVerificationSession(saleId, verification, sale?.registerId || null);
+
     const responsePayload = {
       ...verification,
       complianceRecordId: persisted?.id || null,
-      banned: Boolean(bannedRecord),
-      bannedReason: bannedRecord?.notes ? sanitizeString(bannedRecord.notes) : null,
+      banned: Boolean(bannedMatch?.block),
+      bannedReason: bannedMatch?.block && bannedRecord.notes ? sanitizeString(bannedRecord.notes) : null,
+      // Medium-confidence banned-list hit: declined until a manager reviews it (PIN override).
+      managerReviewRequired: Boolean(bannedMatch?.review),
+      bannedMatch: bannedMatch ? bannedMatch.match : null,
       locationId: locationId || null,
       outlet: outletDescriptor,
-      registerId: sale?.registerId || null
+      registerId: sale?.registerId || null,
+      mrz: mrzResult,
+      expiry: expiryResult,
+      ageRequirement,
+      documentVelocity: velocity
     };
 
-    res.status(201).json({
+    return httpResult(201, {
       data: responsePayload
     });
   } catch (error) {
     logger.logAPIError('recordVerification', error, { saleId, clerkId });
     const status = error.message === 'SALE_NOT_FOUND' ? 404 : 500;
-    res.status(status).json({
+    return httpResult(status, {
       error: error.message,
       message: status === 404 ? 'Sale not found.' : 'Unable to record verification.'
     });
   }
-});
+}
 
-router.post('/sales/:saleId/complete', validateCompletion, async (req, res) => {
-  const { verificationId, paymentType } = req.body || {};
-  const { saleId } = req.params;
+// How long /complete waits for Lightspeed to take the payment and close the sale before answering `pending`.
+const COMPLETE_SALE_WRITE_WAIT_MS = 4000;
 
+async function completeSaleVerification(req, { saleId, verificationId, paymentType, amount }) {
   if (!verificationId) {
     logger.logSecurity('missing_verification_id', { saleId });
-    return res.status(400).json({
+    return httpResult(400, {
       error: 'INVALID_REQUEST',
       message: 'verificationId is required.'
     });
@@ -1317,7 +1132,7 @@ router.post('/sales/:saleId/complete', validateCompletion, async (req, res) => {
 
   if (!paymentType || !['cash', 'card'].includes(paymentType)) {
     logger.logSecurity('invalid_payment_type', { saleId, paymentType });
-    return res.status(400).json({
+    return httpResult(400, {
       error: 'INVALID_REQUEST',
       message: 'paymentType is required and must be either "cash" or "card".'
     });
@@ -1327,7 +1142,7 @@ router.post('/sales/:saleId/complete', validateCompletion, async (req, res) => {
     const startTime = Date.now();
 
     const shouldWriteLightspeed = Boolean(config.lightspeed?.enableWrites);
-    const requestAmount = Number.parseFloat(req.body?.saleTotal ?? req.body?.amount ?? req.body?.paymentAmount);
+    const requestAmount = Number.parseFloat(amount);
 
     let sale = null;
     try {
@@ -1338,7 +1153,7 @@ router.post('/sales/:saleId/complete', validateCompletion, async (req, res) => {
     } catch (saleLookupError) {
       logger.logAPIError('getSaleForCompletion', saleLookupError, { saleId, paymentType, shouldWriteLightspeed });
       if (shouldWriteLightspeed) {
-        return res.status(502).json({
+        return httpResult(502, {
           error: 'SALE_LOOKUP_FAILED',
           message: 'Unable to retrieve sale from Lightspeed.'
         });
@@ -1356,7 +1171,7 @@ router.post('/sales/:saleId/complete', validateCompletion, async (req, res) => {
         verificationId,
         actualId: latestVerification?.verificationId
       });
-      return res.status(409).json({
+      return httpResult(409, {
         error: 'VERIFICATION_MISMATCH',
         message: 'Verification ID does not match the latest verification for this sale.'
       });
@@ -1364,7 +1179,7 @@ router.post('/sales/:saleId/complete', validateCompletion, async (req, res) => {
 
     if (isVerificationExpired(latestVerification)) {
       logger.warn({ event: 'verification_expired', saleId, verificationId }, `Verification expired for sale ${saleId}`);
-      return res.status(409).json({
+      return httpResult(409, {
         error: 'VERIFICATION_EXPIRED',
         message: 'Verification expired. Please rescan the ID.'
       });
@@ -1376,7 +1191,7 @@ router.post('/sales/:saleId/complete', validateCompletion, async (req, res) => {
         verificationId,
         status: latestVerification.status
       });
-      return res.status(409).json({
+      return httpResult(409, {
         error: 'VERIFICATION_NOT_APPROVED',
         message: 'Latest verification is not approved.'
       });
@@ -1388,6 +1203,7 @@ router.post('/sales/:saleId/complete', validateCompletion, async (req, res) => {
         : (Number.isFinite(sale?.total) ? sale.total : 0);
 
     let completion = null;
+    let pendingWrite = false;
     if (!shouldWriteLightspeed) {
       completion = {
         saleId,
@@ -1398,6 +1214,43 @@ router.post('/sales/:saleId/complete', validateCompletion, async (req, res) => {
         skippedLightspeed: true
       };
       logger.info({ event: 'sale_complete_skipped_lightspeed', saleId, paymentType }, 'Skipping Lightspeed completion (writes disabled)');
+    } else if (db.pool) {
+      // Payment + close go through the write outbox: the register waits a few seconds for Lightspeed, and a write
+      // that has not landed by then stays queued (202) instead of being reported as done.
+      const submitted = await lightspeedWriteOutbox.submitWrite({
+        kind: 'complete_sale',
+        saleId,
+        idempotencyKey: `complete_sale:${saleId}:${verificationId}`,
+        payload: {
+          saleId,
+          verificationId,
+          paymentType,
+          locationId: locationId || null,
+          saleTotal: Number.isFinite(sale?.total) ? sale.total : null
+        }
+      }, { waitMs: COMPLETE_SALE_WRITE_WAIT_MS });
+      const write = submitted.queued ? submitted.write : null;
+      const writeResult = write ? write.result : submitted.result;
+
+      if (write?.status === 'failed') {
+        logger.warn({ event: 'sale_complete_write_failed', saleId, verificationId, writeId: write.id, error: write.lastError });
+        return httpResult(502, {
+          error: 'LIGHTSPEED_WRITE_FAILED',
+          message: 'Lightspeed did not accept the sale completion. Try again, or check /admin/writes.html.',
+          lightspeedWrite: { id: write.id, status: write.status, lastError: write.lastError }
+        });
+      }
+
+      pendingWrite = Boolean(write) && write.status !== 'done';
+      completion = {
+        saleId,
+        completedAt: pendingWrite ? null : writeResult?.completedAt || new Date().toISOString(),
+        paymentType,
+        amount: writeResult?.amount ?? (Number.isFinite(amountToRecord) ? Math.round(amountToRecord * 100) / 100 : 0),
+        verificationId,
+        lightspeedWrite: write ? { id: write.id, status: write.status } : null,
+        ...(pendingWrite ? { pending: true } : {})
+      };
     } else {
       completion = await lightspeed.completeSale({
         saleId,
@@ -1421,10 +1274,17 @@ router.post('/sales/:saleId/complete', validateCompletion, async (req, res) => {
       }
     }
 
+    try {
+      await saleVerificationStore.completeVerification(saleId);
+    } catch (sessionError) {
+      logger.warn({ event: 'verification_session_complete_failed', saleId, error: sessionError.message }, 'Failed to close live verification session');
+    }
+
     logger.logSaleComplete(saleId, paymentType, completion?.amount ?? sale?.total ?? amountToRecord ?? 0);
     logger.logPerformance('completeSale', Date.now() - startTime, true);
 
-    res.status(200).json({
+    // 202: the completion is stored and will be retried, but Lightspeed has not confirmed it yet.
+    return httpResult(pendingWrite ? 202 : 200, {
       data: {
         ...(completion || {}),
         locationId: locationId || null,
@@ -1445,11 +1305,110 @@ router.post('/sales/:saleId/complete', validateCompletion, async (req, res) => {
       status = 409;
     }
 
-    res.status(status).json({
+    return httpResult(status, {
       error: error.message,
       message: 'Unable to complete sale.'
     });
   }
+}
+
+router.post('/v2/sales/:saleId/verifications', validateVerification, async (req, res) => {
+  const { clerkId, scan } = req.body || {};
+  sendResult(res, await recordSaleVerification(req, { saleId: req.params.saleId, clerkId, scan }));
+});
+
+router.post('/v2/sales/:saleId/verifications/:verificationId/complete', validateVerificationCompletion, async (req, res) => {
+  const { paymentType, amount } = req.body || {};
+  sendResult(res, await completeSaleVerification(req, {
+    saleId: req.params.saleId,
+    verificationId: req.params.verificationId,
+    paymentType,
+    amount
+  }));
+});
+
+// Legacy adapters (kept for deployed kiosk pages; new callers should use /api/v2).
+//
+// POST /api/sales/:saleId/verify accepts two body shapes:
+//   { clerkId, scan: {...} }                                       -> same as the v2 verification (201 { data })
+//   { approved, customerId?, customerName?, age?, reason?, registerId? }
+//     scanner PWA status push -> translated to a scan and recorded the same way; responds 200
+//     { success, saleId, status, verificationId }
+function isScannerStatusPayload(body) {
+  return Boolean(body) && typeof body.approved === 'boolean' && body.scan === undefined;
+}
+
+router.post('/sales/:saleId/verify', async (req, res, next) => {
+  if (!isScannerStatusPayload(req.body)) return next();
+
+  const { saleId } = req.params;
+  const { approved, customerName, age, reason, registerId } = req.body;
+  const [firstName, ...rest] = String(customerName || '').trim().split(/\s+/).filter(Boolean);
+  const result = await recordSaleVerification(req, {
+    saleId,
+    clerkId: sanitizeString(registerId || '') || 'scanner-app',
+    scan: {
+      approved,
+      firstName: firstName || undefined,
+      lastName: rest.length ? rest.join(' ') : undefined,
+      age: Number.isFinite(Number(age)) ? Number(age) : undefined,
+      reason: reason || undefined
+    }
+  });
+
+  if (result.status >= 400) return sendResult(res, result);
+  return res.json({
+    success: true,
+    saleId,
+    status: result.body.data.status,
+    verificationId: result.body.data.verificationId
+  });
+}, validateVerification, async (req, res) => {
+  const { clerkId, scan } = req.body || {};
+  sendResult(res, await recordSaleVerification(req, { saleId: req.params.saleId, clerkId, scan }));
+});
+
+// POST /api/sales/:saleId/complete accepts two body shapes:
+//   { verificationId, paymentType, saleTotal|amount|paymentAmount } -> same as the v2 completion (200 { data })
+//   { approved, paymentType, paymentAmount? } without verificationId (older gateway pages) -> completes the sale's
+//     latest verification; responds 200 { success, lightspeedResponse, data } or 404 VERIFICATION_NOT_FOUND
+router.post('/sales/:saleId/complete', async (req, res, next) => {
+  if (req.body?.verificationId || typeof req.body?.approved !== 'boolean') return next();
+
+  const { saleId } = req.params;
+  const session = await saleVerificationStore.getVerification(saleId).catch(() => null);
+  let verificationId = session?.verificationId || null;
+  if (!verificationId) {
+    try {
+      verificationId = (await resolveLatestVerification(saleId, null))?.verificationId || null;
+    } catch (error) {
+      logger.logAPIError('resolve_latest_verification', error, { saleId });
+    }
+  }
+
+  if (!verificationId) {
+    return res.status(404).json({
+      error: 'VERIFICATION_NOT_FOUND',
+      message: 'Sale verification not found'
+    });
+  }
+
+  req.body = { ...req.body, verificationId };
+  return next();
+}, validateCompletion, async (req, res) => {
+  const { verificationId, paymentType, saleTotal, amount, paymentAmount } = req.body || {};
+  const legacyShape = typeof req.body?.approved === 'boolean';
+  const result = await completeSaleVerification(req, {
+    saleId: req.params.saleId,
+    verificationId,
+    paymentType,
+    amount: saleTotal ?? amount ?? paymentAmount
+  });
+
+  if (legacyShape && result.status < 400) {
+    return res.status(result.status).json({ success: true, lightspeedResponse: null, data: result.body.data });
+  }
+  return sendResult(res, result);
 });
 
 router.get('/reports/compliance', async (req, res, next) => {
@@ -1498,101 +1457,118 @@ router.get('/reports/overrides', async (req, res) => {
   }
 });
 
-const emailService = require('./emailService');
+// managerStore refuses to check PINs until MANAGER_PIN_PEPPER (or API_SECRET_KEY) is set.
+const PIN_PEPPER_MISSING_RESPONSE = {
+  success: false,
+  error: 'PIN_PEPPER_NOT_CONFIGURED',
+  message: 'Manager PINs are not configured on this server. Contact administrator.'
+};
 
 router.post('/sales/:saleId/override', validateOverride, async (req, res) => {
   const { saleId } = req.params;
-  const { verificationId, managerPin, note, clerkId, registerId } = req.body;
+  const { verificationId, managerPin, managerId, note, clerkId, registerId } = req.body;
 
-  // 1. Validate PIN (Simple check for now, can be DB backed later)
-  // Hardcoded for demo/pilot. In production, check against a manager table.
-  const VALID_PINS = [process.env.OVERRIDE_PIN || '1417', '9999'];
-
-  if (!VALID_PINS.includes(managerPin)) {
-    logger.logSecurity('invalid_override_pin', { saleId, verificationId });
-    return res.status(401).json({
+  // Manager accounts live in Postgres; without it nobody can be authenticated.
+  if (!db.pool) {
+    return res.status(503).json({
       success: false,
-      error: 'INVALID_PIN',
-      message: 'Invalid Manager PIN.'
+      error: 'DATABASE_NOT_CONFIGURED',
+      message: 'Database not configured. Contact administrator.'
     });
   }
 
   try {
-    // 2. Record Override (only if database is available)
-    let result = null;
-    if (db.pool) {
-      result = await complianceStore.markVerificationOverride({
-        verificationId,
-        saleId,
-        managerId: 'Manager-' + managerPin.slice(-2),
-        note,
-        clerkId,
-        registerId
+    // 1. Authenticate the manager PIN and check they may approve sales at this outlet
+    const latestVerification = await complianceStore.getLatestVerificationForSale(saleId);
+    // The outlet the scan was recorded at decides; the register's own claim only counts when the server has none.
+    const outletId = latestVerification?.location_id || toNullableString(req.body.outletId, 100) || determineLocationId(req, null) || null;
+
+    // Lockouts are keyed on the caller's address and the manager/PIN, never on ids the register sends.
+    const auth = await managerStore.authenticateManagerPin({
+      pin: managerPin,
+      managerId: managerId || null,
+      outletId,
+      clientIp: req.ip
+    });
+
+    if (!auth.ok) {
+      if (auth.reason === 'PIN_LOCKED') {
+        logger.logSecurity('override_pin_locked', { saleId, verificationId, managerId: managerId || null, registerId, ip: req.ip });
+        return res.status(423).json({
+          success: false,
+          error: 'PIN_LOCKED',
+          message: 'Too many failed PIN attempts. Try again later or ask an administrator to unlock.',
+          lockedUntil: auth.lockedUntil
+        });
+      }
+      if (auth.reason === 'MANAGER_NOT_AUTHORIZED_FOR_OUTLET') {
+        logger.logSecurity('override_outlet_not_authorized', { saleId, verificationId, managerId: auth.manager.id, outletId });
+        return res.status(403).json({
+          success: false,
+          error: 'MANAGER_NOT_AUTHORIZED_FOR_OUTLET',
+          message: 'This manager is not authorized to approve overrides at this location.'
+        });
+      }
+      logger.logSecurity('invalid_override_pin', { saleId, verificationId, managerId: managerId || null, registerId, ip: req.ip });
+      return res.status(403).json({
+        success: false,
+        error: 'INVALID_PIN',
+        message: 'Invalid Manager PIN.',
+        attemptsRemaining: auth.attemptsRemaining
       });
-    } else {
-      logger.info({ event: 'override_no_db', saleId }, 'Override processed without database');
-      result = { verification: null, override: { saleId, note: 'No database mode' } };
     }
 
-    // 3. Update In-Memory Store (so polling picks it up) - ALWAYS do this
-    saleVerificationStore.updateVerification(saleId, {
-      approved: true,
-      reason: 'Manual ID Override: ' + (note || 'No reason provided'),
-      status: 'approved_override'
-    });
+    const manager = auth.manager;
 
-    // 4. Abuse Detection (only if database is available)
-    if (db.pool) {
-      const verification = await complianceStore.getLatestVerificationForSale(saleId);
-      const locationId = verification?.location_id;
+    // 2. Record Override
+    const result = await complianceStore.markVerificationOverride({
+      verificationId,
+      saleId,
+      managerId: manager.id,
+      note,
+      clerkId,
+      registerId
+    });
 
-      const recentCount = await complianceStore.countRecentOverrides({
-        locationId,
-        minutes: 10
+    // 3. Update the live session (so polling picks it up) - ALWAYS do this
+    try {
+      await saleVerificationStore.updateVerification(saleId, {
+        approved: true,
+        reason: 'Manual ID Override: ' + (note || 'No reason provided'),
+        status: 'approved_override'
       });
-
-      const ABUSE_THRESHOLD = 3;
-
-      if (recentCount >= ABUSE_THRESHOLD) {
-        logger.warn({ event: 'override_abuse_detected', count: recentCount, locationId }, 'Override abuse threshold exceeded');
-
-        const alertHtml = `
-          <h2>⚠️ High Override Volume Detected</h2>
-          <p><strong>Location:</strong> ${locationId || 'Unknown'}</p>
-          <p><strong>Count:</strong> ${recentCount} overrides in the last 10 minutes.</p>
-          <p><strong>Latest Override:</strong></p>
-          <ul>
-            <li><strong>Sale ID:</strong> ${saleId}</li>
-            <li><strong>Manager PIN Used:</strong> ****${managerPin.slice(-2)}</li>
-            <li><strong>Note:</strong> ${note || 'None'}</li>
-            <li><strong>Time:</strong> ${new Date().toLocaleString()}</li>
-          </ul>
-          <p>Please investigate immediately.</p>
-        `;
-
-        emailService.sendAlertEmail('High Override Volume Detected', alertHtml);
-      }
+    } catch (sessionError) {
+      logger.warn({ event: 'verification_session_update_failed', saleId, error: sessionError.message }, 'Failed to update live verification session');
     }
 
-    // 5. Write an audit note back to Lightspeed (best-effort)
+    // 4. Abuse detection: the override_burst alert rule counts recent overrides at this outlet (see alerting.js).
+    const locationId = result.verification?.location_id || latestVerification?.location_id;
+    void alerting.processEvent({ kind: 'override', outletId: locationId, saleId, verificationId, manager, note });
+
+    // 5. Write an audit note back to Lightspeed (through the write outbox; best-effort)
     try {
-      await lightspeed.recordVerification({
+      await lightspeedWriteOutbox.submitWrite({
+        kind: 'sale_note',
         saleId,
-        clerkId: clerkId || 'MANAGER_OVERRIDE',
-        verificationData: {
-          approved: true,
-          reason: note ? `MANUAL_OVERRIDE: ${note}` : 'MANUAL_OVERRIDE',
-          firstName: null,
-          lastName: null,
-          dob: null,
-          age: null,
-          documentType: 'manual',
-          documentNumber: 'no-scan',
-          issuingCountry: null,
-          nationality: null,
-          sex: null,
-          source: 'manual_override',
-          documentExpiry: null
+        idempotencyKey: `sale_note:override:${verificationId}`,
+        payload: {
+          saleId,
+          clerkId: clerkId || 'MANAGER_OVERRIDE',
+          verificationData: {
+            approved: true,
+            reason: note ? `MANUAL_OVERRIDE: ${note}` : 'MANUAL_OVERRIDE',
+            firstName: null,
+            lastName: null,
+            dob: null,
+            age: null,
+            documentType: 'manual',
+            documentNumber: 'no-scan',
+            issuingCountry: null,
+            nationality: null,
+            sex: null,
+            source: 'manual_override',
+            documentExpiry: null
+          }
         }
       });
     } catch (noteError) {
@@ -1602,26 +1578,205 @@ router.post('/sales/:saleId/override', validateOverride, async (req, res) => {
     res.json({
       success: true,
       message: 'Override successful',
-      data: result
+      data: result,
+      manager: { id: manager.id, name: manager.name }
+    });
+
+  } catch (error) {
+    if (error.message === 'PIN_PEPPER_NOT_CONFIGURED') {
+      logger.logAPIError('override_pin_pepper_missing', error, { saleId: req.params.saleId });
+      return res.status(503).json(PIN_PEPPER_MISSING_RESPONSE);
+    }
+    logger.error('Override failed', { error: error.message, stack: error.stack });
+
+    const isDbError = error.message && (error.message.includes('DATABASE') || error.message.includes('pool'));
+
+    res.status(500).json({
+      success: false,
+      error: isDbError ? 'DATABASE_NOT_CONFIGURED' : 'OVERRIDE_FAILED',
+      message: isDbError
+        ? 'Database not configured. Contact administrator.'
+        : `Override failed: ${error.message}`,
+      debug: process.env.NODE_ENV !== 'production' ? error.stack : undefined
+    });
+  }
+});
+
+const BAN_TERMS_ERRORS = {
+  INVALID_SCOPE: 'scope must be chain, outlet or outlets.',
+  OUTLETS_REQUIRED: 'An outlet ban needs exactly one outlet; a multi-outlet ban needs at least one.',
+  INVALID_REASON_CATEGORY: 'reasonCategory is not a known category.',
+  INVALID_BAN_DATES: 'endsAt must be a valid date after startsAt.'
+};
+
+const BAN_FROM_VERIFICATION_ERRORS = {
+  ...BAN_TERMS_ERRORS,
+  VERIFICATION_HAS_NO_IDENTITY: 'This scan has no document number, and no name and date of birth to ban by.'
+};
+
+function banLookbackDays(value) {
+  const fallback = Number.parseInt(process.env.BAN_FROM_SCAN_LOOKBACK_DAYS || '', 10);
+  const days = value !== undefined && value !== null && value !== '' ? Number.parseInt(value, 10) : fallback;
+  return Number.isFinite(days) && days >= 0 ? Math.min(days, 365) : 30;
+}
+
+// Ban the customer of a scan (approved or rejected) from the floor: the manager's PIN stands in for an admin session,
+// the ban copies the scan's document details, and earlier scans of that document are flagged.
+router.post('/verifications/:verificationId/ban', validateBanFromVerification, async (req, res) => {
+  const { verificationId } = req.params;
+  const { managerPin, managerId, registerId, reason } = req.body;
+
+  if (!db.pool) {
+    return res.status(503).json({
+      success: false,
+      error: 'DATABASE_NOT_CONFIGURED',
+      message: 'Database not configured. Contact administrator.'
+    });
+  }
+
+  try {
+    const verification = await complianceStore.getVerification(verificationId);
+    if (!verification) {
+      return res.status(404).json({ success: false, error: 'VERIFICATION_NOT_FOUND', message: 'No verification with that id.' });
+    }
+
+    const outletId = verification.location_id || toNullableString(req.body.outletId, 100) || determineLocationId(req, null) || null;
+    // Same server-derived lockout scopes as the sale override (client address, manager/PIN).
+    const auth = await managerStore.authenticateManagerPin({
+      pin: managerPin,
+      managerId: managerId || null,
+      outletId,
+      clientIp: req.ip
+    });
+
+    if (!auth.ok) {
+      if (auth.reason === 'PIN_LOCKED') {
+        logger.logSecurity('ban_from_verification_pin_locked', { verificationId, managerId: managerId || null, registerId, ip: req.ip });
+        return res.status(423).json({
+          success: false,
+          error: 'PIN_LOCKED',
+          message: 'Too many failed PIN attempts. Try again later or ask an administrator to unlock.',
+          lockedUntil: auth.lockedUntil
+        });
+      }
+      if (auth.reason === 'MANAGER_NOT_AUTHORIZED_FOR_OUTLET') {
+        logger.logSecurity('ban_from_verification_outlet_not_authorized', { verificationId, managerId: auth.manager.id, outletId });
+        return res.status(403).json({
+          success: false,
+          error: 'MANAGER_NOT_AUTHORIZED_FOR_OUTLET',
+          message: 'This manager is not authorized at the location of this scan.'
+        });
+      }
+      logger.logSecurity('ban_from_verification_invalid_pin', { verificationId, managerId: managerId || null, registerId, ip: req.ip });
+      return res.status(403).json({
+        success: false,
+        error: 'INVALID_PIN',
+        message: 'Invalid Manager PIN.',
+        attemptsRemaining: auth.attemptsRemaining
+      });
+    }
+
+    const manager = auth.manager;
+    const scope = req.body.scope || 'chain';
+    const outletIds = Array.isArray(req.body.outletIds) ? req.body.outletIds.map((id) => sanitizeString(id)) : [];
+    // An outlet-scoped ban from the floor may only name outlets this manager is assigned to.
+    const foreignOutlets = scope === 'chain' ? [] : outletIds.filter((id) => !managerStore.isAuthorizedForOutlet(manager, id));
+    if (foreignOutlets.length) {
+      logger.logSecurity('ban_from_verification_outlet_not_authorized', { verificationId, managerId: manager.id, outletIds: foreignOutlets });
+      return res.status(403).json({
+        success: false,
+        error: 'MANAGER_NOT_AUTHORIZED_FOR_OUTLET',
+        message: 'This manager can only ban at outlets they are assigned to.'
+      });
+    }
+
+    const result = await complianceStore.banFromVerification(verificationId, {
+      managerId: manager.id,
+      reason: sanitizeString(reason),
+      lookbackDays: banLookbackDays(req.body.lookbackDays),
+      terms: {
+        startsAt: req.body.startsAt || null,
+        endsAt: req.body.endsAt || null,
+        scope,
+        outletIds,
+        reasonCategory: req.body.reasonCategory || 'other'
+      }
+    });
+    if (!result) {
+      return res.status(404).json({ success: false, error: 'VERIFICATION_NOT_FOUND', message: 'No verification with that id.' });
+    }
+
+    logger.info(
+      { event: 'banned_customer_edit', action: 'ban_from_verification', bannedId: result.ban.id, verificationId, managerId: manager.id },
+      'Banned list edited'
+    );
+    return res.status(result.inserted ? 201 : 200).json({
+      success: true,
+      data: result.ban,
+      // The customer was already banned: that ban's terms were kept and only the scans were flagged.
+      existingBan: Boolean(result.existing),
+      flaggedVerificationIds: result.flaggedVerificationIds,
+      manager: { id: manager.id, name: manager.name }
+    });
+  } catch (error) {
+    if (BAN_FROM_VERIFICATION_ERRORS[error.message]) {
+      return res.status(400).json({ success: false, error: 'VALIDATION_ERROR', message: BAN_FROM_VERIFICATION_ERRORS[error.message] });
+    }
+    if (error.message === 'BAN_LIFTED') {
+      return res.status(409).json({
+        success: false,
+        error: 'BAN_LIFTED',
+        message: "Compliance lifted this customer's ban. Ask a compliance officer to reinstate it."
+      });
+    }
+    logger.logAPIError('ban_from_verification', error, { verificationId });
+    if (error.message === 'PIN_PEPPER_NOT_CONFIGURED') {
+      return res.status(503).json(PIN_PEPPER_MISSING_RESPONSE);
+    }
+    return res.status(500).json({
+      success: false,
+      error: 'INTERNAL_ERROR',
+      message: 'Unable to ban from this verification.'
     });
+  }
+});
 
-  } catch (error) {
-    logger.error('Override failed', { error: error.message, stack: error.stack });
+const makePlaceholderBannedDocNumber = () =>
+  `BANNED-${Date.now()}-${Math.random().toString(36).slice(2, 10).toUpperCase()}`;
 
-    const isDbError = error.message && (error.message.includes('DATABASE_URL') || error.message.includes('pool'));
+// Shared by POST /banned and the bulk import, after validateBannedCreate has run on `input`.
+function buildBannedPayload(input) {
+  const payload = {
+    documentType: normalizeDocumentType(input.documentType),
+    documentNumber: normalizeDocumentNumber(input.documentNumber),
+    issuingCountry: normalizeCountry(input.issuingCountry),
+    bannedLocationId: input.bannedLocationId ? sanitizeString(input.bannedLocationId) : null,
+    dateOfBirth: normalizeDateInput(input.dateOfBirth) || null,
+    firstName: input.firstName ? sanitizeString(input.firstName).trim() : null,
+    lastName: input.lastName ? sanitizeString(input.lastName).trim() : null,
+    phone: normalizePhone(input.phone),
+    email: normalizeEmail(input.email),
+    address: input.address ? sanitizeString(input.address).trim() : null,
+    postalCode: input.postalCode ? sanitizeString(input.postalCode).trim() : null,
+    notes: input.notes ? sanitizeString(input.notes) : null,
+    startsAt: input.startsAt || null,
+    endsAt: input.endsAt || null,
+    scope: input.scope || 'chain',
+    outletIds: Array.isArray(input.outletIds) ? input.outletIds.map((id) => sanitizeString(id)) : [],
+    reasonCategory: input.reasonCategory || 'other'
+  };
 
-    res.status(500).json({
-      success: false,
-      error: isDbError ? 'DATABASE_NOT_CONFIGURED' : 'OVERRIDE_FAILED',
-      message: isDbError
-        ? 'Database not configured. Contact administrator.'
-        : `Override failed: ${error.message}`,
-      debug: process.env.NODE_ENV !== 'production' ? error.stack : undefined
-    });
+  // If the UI bans by name+DOB (no DL#), store a placeholder docNumber so the DB constraint is satisfied.
+  if (!payload.documentNumber) {
+    payload.documentType = 'name_dob';
+    payload.documentNumber = makePlaceholderBannedDocNumber();
+    payload.issuingCountry = null;
   }
-});
+  return payload;
+}
 
-router.post('/banned', validateBannedCreate, async (req, res) => {
+// Banned-list edits come from the admin console and need a compliance (or owner) session.
+router.post('/banned', adminAuth, requireRole('compliance'), validateBannedCreate, async (req, res) => {
   if (!db.pool) {
     return res.status(503).json({
       success: false,
@@ -1632,33 +1787,16 @@ router.post('/banned', validateBannedCreate, async (req, res) => {
     });
   }
 
-  const makePlaceholderBannedDocNumber = () =>
-    `BANNED-${Date.now()}-${Math.random().toString(36).slice(2, 10).toUpperCase()}`;
-
-  const payload = {
-    documentType: normalizeDocumentType(req.body.documentType),
-    documentNumber: normalizeDocumentNumber(req.body.documentNumber),
-    issuingCountry: normalizeCountry(req.body.issuingCountry),
-    bannedLocationId: req.body.bannedLocationId ? sanitizeString(req.body.bannedLocationId) : null,
-    dateOfBirth: normalizeDateInput(req.body.dateOfBirth) || null,
-    firstName: req.body.firstName ? sanitizeString(req.body.firstName).trim() : null,
-    lastName: req.body.lastName ? sanitizeString(req.body.lastName).trim() : null,
-    phone: normalizePhone(req.body.phone),
-    email: normalizeEmail(req.body.email),
-    notes: req.body.notes ? sanitizeString(req.body.notes) : null
-  };
-
-  // If the UI bans by name+DOB (no DL#), store a placeholder docNumber so the DB constraint is satisfied.
-  if (!payload.documentNumber) {
-    payload.documentType = 'name_dob';
-    payload.documentNumber = makePlaceholderBannedDocNumber();
-    payload.issuingCountry = null;
-  }
+  const payload = buildBannedPayload(req.body);
 
   try {
-    const record = await complianceStore.addBannedCustomer(payload);
+    const record = await complianceStore.addBannedCustomer(payload, { changedBy: req.admin.email || req.admin.id });
+    logger.info({ event: 'banned_customer_edit', action: 'add', bannedId: record?.id || null, adminUserId: req.admin.id }, 'Banned list edited');
     res.status(201).json({ data: record });
   } catch (error) {
+    if (BAN_TERMS_ERRORS[error.message]) {
+      return res.status(400).json({ error: 'VALIDATION_ERROR', message: BAN_TERMS_ERRORS[error.message] });
+    }
     logger.logAPIError('add_banned_customer', error, { payload });
     res.status(500).json({
       error: 'INTERNAL_ERROR',
@@ -1667,7 +1805,8 @@ router.post('/banned', validateBannedCreate, async (req, res) => {
   }
 });
 
-router.get('/banned', async (req, res) => {
+// Rows come back decrypted (names, DOB, document numbers), so reading the list needs the same role as editing it.
+router.get('/banned', adminAuth, requireRole('compliance'), async (req, res) => {
   if (!db.pool) {
     return res.status(503).json({
       success: false,
@@ -1685,6 +1824,8 @@ router.get('/banned', async (req, res) => {
 
     const banned = await complianceStore.listBannedCustomers({
       query: q,
+      status: req.query?.status ? String(req.query.status) : undefined,
+      outletId: req.query?.outletId ? sanitizeString(req.query.outletId) : undefined,
       limit,
       offset
     });
@@ -1706,6 +1847,202 @@ router.get('/banned', async (req, res) => {
   }
 });
 
+const BANNED_IMPORT_ERRORS = {
+  INVALID_IMPORT: 'data must be CSV text with a header row, or a JSON array of entries.',
+  TOO_MANY_ROWS: `An import can hold at most ${bannedImport.MAX_IMPORT_ROWS} rows.`,
+  CSV_UNTERMINATED_QUOTE: 'The CSV has a quoted field that is never closed.',
+  UNKNOWN_MAPPING_FIELD: 'mapping names a field that cannot be imported.',
+  MAPPED_COLUMN_MISSING: 'mapping names a column that is not in the data.'
+};
+
+const bannedKey = (payload) => [payload.documentType, payload.documentNumber, payload.issuingCountry || ''].join('|');
+
+const sameText = (a, b) => String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+
+// Sharing a ban with another person's identity, or silently reinstating a lifted ban, needs onConflict=overwrite.
+function describeBannedConflict(existing, payload) {
+  if (existing.status === 'lifted') return 'lifted';
+  const existingDob = existing.dateOfBirth ? new Date(existing.dateOfBirth).toISOString().slice(0, 10) : null;
+  if (
+    (payload.firstName && existing.firstName && !sameText(payload.firstName, existing.firstName))
+    || (payload.lastName && existing.lastName && !sameText(payload.lastName, existing.lastName))
+    || (payload.dateOfBirth && existingDob && payload.dateOfBirth !== existingDob)
+  ) {
+    return 'identity_mismatch';
+  }
+  return null;
+}
+
+/**
+ * Bulk import: CSV or JSON, columns mapped to POST /banned fields, every row validated with validateBannedCreate and
+ * deduplicated on (documentType, documentNumber, issuingCountry) against the file and the database. Each row is
+ * classified insert / update / conflict / invalid; conflicts are skipped unless onConflict=overwrite. dryRun only
+ * returns that preview. Valid rows are written in one transaction.
+ */
+router.post(
+  '/banned/import',
+  adminAuth,
+  requireRole('compliance'),
+  express.text({ type: ['text/csv', 'text/plain'], limit: '2mb' }),
+  validateBannedImport,
+  async (req, res) => {
+    if (!db.pool) {
+      return res.status(503).json({
+        success: false,
+        dbAvailable: false,
+        error: 'DATABASE_NOT_CONFIGURED',
+        message: 'Database not configured. Unable to import banned customers.'
+      });
+    }
+
+    const rawCsv = typeof req.body === 'string';
+    const options = rawCsv ? req.query : req.body;
+    const dryRun = String(options.dryRun ?? '') === 'true';
+    const overwrite = options.onConflict === 'overwrite';
+
+    let parsed;
+    try {
+      parsed = bannedImport.readImportRows(
+        rawCsv ? { format: 'csv', data: req.body } : { format: req.body.format || 'json', data: req.body.data, mapping: req.body.mapping }
+      );
+    } catch (error) {
+      if (BANNED_IMPORT_ERRORS[error.message]) {
+        return res.status(400).json({
+          error: error.message,
+          message: BANNED_IMPORT_ERRORS[error.message],
+          ...(error.field ? { field: error.field } : {}),
+          ...(error.column ? { column: error.column } : {})
+        });
+      }
+      throw error;
+    }
+
+    try {
+      const rows = [];
+      const seenKeys = new Set();
+      for (const { line, values } of parsed.rows) {
+        const { body: validated, errors } = await bannedImport.validateImportRow(values);
+        const row = { line, action: 'invalid', errors };
+        rows.push(row);
+        if (errors.length) continue;
+
+        row.payload = buildBannedPayload(validated);
+        try {
+          complianceStore.normalizeBanTerms(row.payload);
+        } catch (termsError) {
+          row.errors = [{ field: null, message: BAN_TERMS_ERRORS[termsError.message] || termsError.message }];
+          continue;
+        }
+        row.key = bannedKey(row.payload);
+        if (seenKeys.has(row.key)) {
+          row.action = 'conflict';
+          row.conflict = 'duplicate_in_file';
+          continue;
+        }
+        seenKeys.add(row.key);
+        row.action = 'insert';
+      }
+
+      const candidates = rows.filter((row) => row.action === 'insert');
+      const existing = await complianceStore.findBannedByKeys(candidates.map((row) => row.payload));
+      const existingByKey = new Map(existing.map((ban) => [bannedKey(ban), ban]));
+      candidates.forEach((row) => {
+        const match = existingByKey.get(row.key);
+        if (!match) return;
+        row.existingId = match.id;
+        const conflict = describeBannedConflict(match, row.payload);
+        row.action = conflict && !overwrite ? 'conflict' : 'update';
+        if (conflict) row.conflict = conflict;
+      });
+
+      const toApply = rows.filter((row) => row.action === 'insert' || row.action === 'update');
+      const summary = ['insert', 'update', 'conflict', 'invalid'].reduce(
+        (acc, action) => ({ ...acc, [action]: rows.filter((row) => row.action === action).length }),
+        { total: rows.length }
+      );
+
+      let applied = null;
+      if (!dryRun && toApply.length) {
+        applied = await complianceStore.importBannedCustomers(toApply.map((row) => row.payload), {
+          changedBy: req.admin.email || req.admin.id
+        });
+        logger.info(
+          { event: 'banned_customer_edit', action: 'import', inserted: applied.inserted, updated: applied.updated, adminUserId: req.admin.id },
+          'Banned list edited'
+        );
+      }
+
+      return res.status(dryRun ? 200 : 201).json({
+        success: true,
+        dryRun,
+        columns: parsed.columnsByField,
+        summary,
+        applied: applied ? { inserted: applied.inserted, updated: applied.updated } : null,
+        rows: rows.map((row) => ({
+          line: row.line,
+          action: row.action,
+          documentType: row.payload?.documentType || null,
+          documentNumber: row.payload?.documentNumber || null,
+          issuingCountry: row.payload?.issuingCountry || null,
+          name: row.payload ? [row.payload.firstName, row.payload.lastName].filter(Boolean).join(' ') || null : null,
+          ...(row.existingId ? { existingId: row.existingId } : {}),
+          ...(row.conflict ? { conflict: row.conflict } : {}),
+          ...(row.errors.length ? { errors: row.errors } : {})
+        }))
+      });
+    } catch (error) {
+      logger.logAPIError('import_banned_customers', error, { rows: parsed.rows.length, dryRun });
+      return res.status(500).json({
+        error: 'INTERNAL_ERROR',
+        message: 'Unable to import banned customers.'
+      });
+    }
+  }
+);
+
+const BANNED_EXPORT_PAGE = 2000;
+
+// Export in the import format, so the list can be moved to another environment or shared with a sister store.
+router.get('/banned/export', adminAuth, requireRole('compliance'), async (req, res) => {
+  if (!db.pool) {
+    return res.status(503).json({
+      success: false,
+      dbAvailable: false,
+      error: 'DATABASE_NOT_CONFIGURED',
+      message: 'Database not configured. Unable to export banned customers.'
+    });
+  }
+
+  const format = req.query?.format === 'json' ? 'json' : 'csv';
+  const status = req.query?.status ? String(req.query.status) : 'active';
+
+  try {
+    const bans = [];
+    for (let offset = 0; ; offset += BANNED_EXPORT_PAGE) {
+      const page = await complianceStore.listBannedCustomers({ status, limit: BANNED_EXPORT_PAGE, offset });
+      bans.push(...page);
+      if (page.length < BANNED_EXPORT_PAGE) break;
+    }
+    const entries = bans.map(bannedImport.toExportRecord);
+    const exportedAt = new Date().toISOString();
+    const filename = `banned-customers-${exportedAt.slice(0, 10)}.${format}`;
+
+    logger.logSecurity('banned_list_exported', { format, status, count: entries.length, adminUserId: req.admin.id });
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    if (format === 'json') {
+      return res.status(200).json({ exportedAt, status, count: entries.length, entries });
+    }
+    const columns = bannedImport.BANNED_IMPORT_FIELDS.map((key) => ({ key }));
+    return res.type('text/csv').status(200).send(toCsv(columns, entries.map(bannedImport.toExportCsvRow)));
+  } catch (error) {
+    logger.logAPIError('export_banned_customers', error, { format, status });
+    return res.status(500).json({
+      error: 'INTERNAL_ERROR',
+      message: 'Unable to export banned customers.'
+    });
+  }
+});
+
 router.get('/locations', async (req, res) => {
   const outlets = Object.values(config?.lightspeed?.outlets || {});
   const data = outlets
@@ -1721,34 +2058,62 @@ router.get('/locations', async (req, res) => {
   res.status(200).json({ success: true, count: data.length, data });
 });
 
-router.delete('/banned/:id', validateBannedId, async (req, res) => {
+// Lifting a ban keeps the record and its history; the ban just stops being enforced.
+router.delete('/banned/:id', adminAuth, requireRole('compliance'), validateBannedLift, async (req, res) => {
   if (!db.pool) {
     return res.status(503).json({
       success: false,
       dbAvailable: false,
       error: 'DATABASE_NOT_CONFIGURED',
-      message: 'Database not configured. Unable to remove banned customers.'
+      message: 'Database not configured. Unable to lift bans.'
     });
   }
 
   try {
-    const removed = await complianceStore.removeBannedCustomer(req.params.id);
-    if (!removed) {
+    const lifted = await complianceStore.liftBannedCustomer(req.params.id, {
+      liftedBy: req.admin.email || req.admin.id,
+      reason: sanitizeString(req.body.reason)
+    });
+    if (!lifted) {
       return res.status(404).json({
         error: 'NOT_FOUND',
-        message: 'Banned customer not found.'
+        message: 'No active ban with that id.'
       });
     }
 
-    res.status(204).send();
+    logger.info({ event: 'banned_customer_edit', action: 'lift', bannedId: req.params.id, adminUserId: req.admin.id }, 'Banned list edited');
+    res.status(200).json({ data: lifted });
+  } catch (error) {
+    logger.logAPIError('lift_banned_customer', error, { id: req.params.id });
+    res.status(500).json({
+      error: 'INTERNAL_ERROR',
+      message: 'Unable to lift ban.'
+    });
+  }
+});
+
+router.get('/banned/:id/history', adminAuth, requireRole('compliance'), validateBannedId, async (req, res) => {
+  if (!db.pool) {
+    return res.status(503).json({
+      success: false,
+      dbAvailable: false,
+      error: 'DATABASE_NOT_CONFIGURED',
+      data: []
+    });
+  }
+
+  try {
+    const revisions = await complianceStore.listBannedRevisions(req.params.id);
+    res.status(200).json({ success: true, count: revisions.length, data: revisions });
   } catch (error) {
-    logger.logAPIError('remove_banned_customer', error, { id: req.params.id });
+    logger.logAPIError('list_banned_revisions', error, { id: req.params.id });
     res.status(500).json({
       error: 'INTERNAL_ERROR',
-      message: 'Unable to remove banned customer.'
+      message: 'Unable to load ban history.'
     });
   }
 });
+
 router.get('/sales/:saleId/overrides', validateSaleId, async (req, res) => {
   if (!db.pool) {
     return res.status(200).json({
@@ -1845,12 +2210,20 @@ router.post('/dynamix/webhook', async (req, res) => {
   try {
     // Auto-verify using the scan data
     const normalizedScan = normalizeScanInput(scan);
+    const sale = await lightspeed.getSaleById(saleId);
+    const ageRequirement = await resolveSaleAgeRequirement({ sale, outletId: req.body.outletId || null });
+    applyAgeRequirement(normalizedScan, ageRequirement);
+    const expiry = checkDocumentExpiry(normalizedScan.documentExpiry, { saleId, clerkId: clerkId || 'dynamix-auto', source: 'dynamix' });
+    if (normalizedScan.approved && expiry.blocks) {
+      normalizedScan.approved = false;
+      normalizedScan.reason = expiry.reason;
+    }
 
     const verification = await lightspeed.recordVerification({
       saleId,
       clerkId: clerkId || 'dynamix-auto',
       verificationData: normalizedScan,
-      sale: await lightspeed.getSaleById(saleId),
+      sale,
       locationId: req.body.outletId || null
     });
 
@@ -1870,7 +2243,9 @@ router.post('/dynamix/webhook', async (req, res) => {
 
     res.status(200).json({
       success: true,
-      verification
+      verification,
+      ageRequirement,
+      expiry
     });
   } catch (error) {
     logger.logAPIError('dynamix_webhook', error, { saleId });
@@ -1928,7 +2303,7 @@ router.post('/sales/:saleId/verify-from-note', validateSaleId, async (req, res)
   const payload = note.substring(markerIndex);
 
   try {
-    const parsed = parseAAMVA(payload);
+    const parsed = decodeAAMVA(payload);
 
     if (!parsed) {
       return res.status(409).json({
@@ -1939,9 +2314,11 @@ router.post('/sales/:saleId/verify-from-note', validateSaleId, async (req, res)
 
     let approved = false;
     let reason = null;
+    const locationId = determineLocationId(req, sale);
+    const ageRequirement = await resolveSaleAgeRequirement({ sale, outletId: locationId });
 
     if (parsed.age !== null && parsed.age !== undefined) {
-      if (parsed.age >= 21) {
+      if (parsed.age >= ageRequirement.minimumAge) {
         approved = true;
       } else {
         approved = false;
@@ -1952,25 +2329,39 @@ router.post('/sales/:saleId/verify-from-note', validateSaleId, async (req, res)
       reason = 'Could not read DOB';
     }
 
+    const expiry = checkDocumentExpiry(parsed.documentExpiry, { saleId, source: 'pos_note' });
+    if (approved && expiry.blocks) {
+      approved = false;
+      reason = expiry.reason;
+    }
+
     // Check banned list if configured.
+    let bannedRecord = null;
     if (db.pool && (parsed.documentNumber || (parsed.firstName && parsed.lastName && parsed.dob))) {
       try {
-        const bannedRecord = await complianceStore.findBannedCustomer({
+        bannedRecord = await complianceStore.findBannedCustomer({
           documentType: 'drivers_license',
           documentNumber: parsed.documentNumber,
           issuingCountry: parsed.issuingCountry,
           firstName: parsed.firstName,
           lastName: parsed.lastName,
-          dateOfBirth: parsed.dob ? parsed.dob : null
+          dateOfBirth: parsed.dob ? parsed.dob : null,
+          address: parsed.address1 || null,
+          postalCode: parsed.postalCode || null,
+          outletId: locationId
         });
+        const bannedMatch = bannedMatchOutcome(bannedRecord);
 
-        if (bannedRecord) {
+        if (bannedMatch) {
           approved = false;
-          reason = bannedRecord.notes || 'BANNED_CUSTOMER';
-          logger.logSecurity('banned_customer_attempt_note', {
+          reason = bannedMatch.reason;
+          logger.logSecurity(bannedMatch.block ? 'banned_customer_attempt_note' : 'banned_customer_possible_match', {
             saleId,
+            source: 'pos_note',
             documentNumber: parsed.documentNumber,
-            bannedId: bannedRecord.id
+            bannedId: bannedRecord.id,
+            confidence: bannedMatch.match.confidence,
+            matchedFields: bannedMatch.match.matchedFields
           });
         }
       } catch (banError) {
@@ -1978,9 +2369,13 @@ router.post('/sales/:saleId/verify-from-note', validateSaleId, async (req, res)
       }
     }
 
-    // Ensure a pending in-memory verification exists so polling UIs can update.
-    if (!saleVerificationStore.getVerification(saleId)) {
-      saleVerificationStore.createVerification(saleId, { registerId: registerId || null });
+    // Ensure a pending live verification exists so polling UIs can update.
+    try {
+      if (!(await saleVerificationStore.getVerification(saleId))) {
+        await saleVerificationStore.createVerification(saleId, { registerId: registerId || null });
+      }
+    } catch (sessionError) {
+      logger.warn({ event: 'verification_session_create_failed', saleId, error: sessionError.message }, 'Failed to create live verification session');
     }
 
     const customerName =
@@ -1996,7 +2391,6 @@ router.post('/sales/:saleId/verify-from-note', validateSaleId, async (req, res)
     };
 
     if (db.pool) {
-      const locationId = determineLocationId(req, sale);
       const dbVerification = {
         verificationId: require('crypto').randomUUID(),
         saleId,
@@ -2010,41 +2404,53 @@ router.post('/sales/:saleId/verify-from-note', validateSaleId, async (req, res)
         documentType: 'drivers_license',
         documentNumber: parsed.documentNumber,
         issuingCountry: parsed.issuingCountry,
+        documentExpiry: parsed.documentExpiry || null,
         nationality: parsed.issuingCountry,
         sex: parsed.sex,
-        source: 'pos_note'
+        source: 'pos_note',
+        minimumAge: ageRequirement.minimumAge,
+        ageRule: ageRequirement.ruleId
       };
 
       await complianceStore.saveVerification(dbVerification, {
         ipAddress: req.ip,
         userAgent: req.get('user-agent'),
-        locationId
+        locationId,
+        alertSignals: alertSignalsFor(bannedRecord)
       });
     }
 
-    // Overwrite the sale note with a clean audit message (removes the raw AAMVA blob).
+    // Overwrite the sale note with a clean audit message (removes the raw AAMVA blob), through the write outbox.
     try {
-      await lightspeed.recordVerification({
+      await lightspeedWriteOutbox.submitWrite({
+        kind: 'sale_note',
         saleId,
-        clerkId: clerkId || 'POS_NOTE',
-        verificationData: {
-          approved,
-          firstName: parsed.firstName || null,
-          lastName: parsed.lastName || null,
-          age: parsed.age || null,
-          dob: parsed.dob ? parsed.dob.toISOString().split('T')[0] : null,
-          documentNumber: parsed.documentNumber || null,
-          documentType: 'drivers_license',
-          issuingCountry: parsed.issuingCountry || null,
-          source: 'pos_note',
-          reason
+        payload: {
+          saleId,
+          clerkId: clerkId || 'POS_NOTE',
+          verificationData: {
+            approved,
+            firstName: parsed.firstName || null,
+            lastName: parsed.lastName || null,
+            age: parsed.age || null,
+            dob: parsed.dob ? parsed.dob.toISOString().split('T')[0] : null,
+            documentNumber: parsed.documentNumber || null,
+            documentType: 'drivers_license',
+            issuingCountry: parsed.issuingCountry || null,
+            source: 'pos_note',
+            reason
+          }
         }
       });
     } catch (noteError) {
       logger.warn({ event: 'lightspeed_note_update_failed', saleId, error: noteError.message });
     }
 
-    saleVerificationStore.updateVerification(saleId, verificationResult);
+    try {
+      await saleVerificationStore.updateVerification(saleId, verificationResult);
+    } catch (sessionError) {
+      logger.warn({ event: 'verification_session_update_failed', saleId, error: sessionError.message }, 'Failed to update live verification session');
+    }
 
     return res.status(200).json({
       success: true,
@@ -2052,7 +2458,10 @@ router.post('/sales/:saleId/verify-from-note', validateSaleId, async (req, res)
       customerName,
       age: parsed.age,
       dob: parsed.dob ? parsed.dob.toISOString().slice(0, 10) : null,
-      reason
+      reason,
+      ageRequirement,
+      expiry,
+      parseWarnings: parsed.warnings || []
     });
   } catch (error) {
     logger.logAPIError('verify_from_note', error, { saleId });
@@ -2093,7 +2502,24 @@ async function runRetentionCron(req, res) {
     });
   }
 
+  // ?dryRun=true reports what retention would remove (ignores the once-a-day gate, deletes nothing);
+  // ?archive=false skips writing the retention archive for this run.
+  const readFlag = (name) => {
+    const value = req.query?.[name] ?? req.body?.[name];
+    return value === undefined ? undefined : ['true', '1', 'yes'].includes(String(value).trim().toLowerCase());
+  };
+  const dryRun = readFlag('dryRun') === true;
+  const archive = readFlag('archive');
+
   try {
+    if (dryRun) {
+      const retention = await complianceStore.enforceRetention({
+        verificationDays: 730, // TABC 2-year requirement
+        dryRun: true
+      });
+      return res.status(200).json({ success: true, dryRun: true, retention });
+    }
+
     const timeZone = (process.env.CRON_DAILY_TIMEZONE || 'America/Chicago').trim() || 'America/Chicago';
     const dailyHour = Math.max(0, Math.min(23, Number.parseInt(process.env.CRON_DAILY_HOUR || '23', 10) || 23));
     const dailyMinute = Math.max(0, Math.min(59, Number.parseInt(process.env.CRON_DAILY_MINUTE || '30', 10) || 30));
@@ -2106,13 +2532,22 @@ async function runRetentionCron(req, res) {
 
     let retentionResult = null;
     let retentionSkipped = null;
+    let retentionError = null;
     let snapshotResult = null;
 
     if (daily.shouldRun) {
       logger.info({ event: 'retention_started', ymd: daily.ymd, timeZone }, 'Starting daily retention enforcement');
-      retentionResult = await complianceStore.enforceRetention({
-        verificationDays: 730 // TABC 2-year requirement
-      });
+      // A failed retention run (say, an unwritable archive directory) deletes nothing; the rest of the maintenance
+      // below still runs.
+      try {
+        retentionResult = await complianceStore.enforceRetention({
+          verificationDays: 730, // TABC 2-year requirement
+          ...(archive === undefined ? {} : { archive })
+        });
+      } catch (retentionFailure) {
+        logger.logAPIError('retention_enforcement', retentionFailure);
+        retentionError = { error: 'RETENTION_FAILED', message: 'Failed to enforce data retention' };
+      }
 
       if (String(process.env.CRON_RUN_SNAPSHOTS || '').trim().toLowerCase() === 'true') {
         try {
@@ -2148,8 +2583,16 @@ async function runRetentionCron(req, res) {
       logger.logAPIError('customer_reconcile_cleanup', cleanupError);
     }
 
+    // Expired scan sessions (the session store also purges on an interval; this covers idle serverless instances).
+    let saleSessionCleanup = null;
+    try {
+      saleSessionCleanup = { expired: await saleVerificationStore.purgeExpired() };
+    } catch (cleanupError) {
+      logger.logAPIError('sale_session_cleanup', cleanupError);
+    }
+
     res.status(200).json({
-      success: true,
+      success: !retentionError,
       daily: {
         shouldRun: daily.shouldRun,
         ymd: daily.ymd,
@@ -2160,9 +2603,11 @@ async function runRetentionCron(req, res) {
       },
       retention: retentionResult,
       retentionSkipped,
+      retentionError,
       customerSync: customerSyncResult,
       snapshots: snapshotResult,
-      customerReconcileCleanup
+      customerReconcileCleanup,
+      saleSessionCleanup
     });
   } catch (error) {
     logger.logAPIError('retention_enforcement', error);
@@ -2382,7 +2827,18 @@ async function runWebhooksCron(req, res) {
       logger.warn({ event: 'cron_customer_reconcile_failed', error: e.message }, 'Customer reconcile run failed');
     }
 
-    return res.status(200).json({ success: true, ...result, health, customerReconcile });
+    // Same for Lightspeed writes still waiting in the outbox (see lightspeedWriteOutbox.js).
+    let lightspeedWrites = null;
+    try {
+      lightspeedWrites = await lightspeedWriteOutbox.processDueWrites({
+        limit: Math.max(1, Math.min(limit, 200)),
+        maxDurationMs: Math.max(1000, Math.min(maxDurationMs, 8000))
+      });
+    } catch (e) {
+      logger.warn({ event: 'cron_lightspeed_writes_failed', error: e.message }, 'Lightspeed write outbox run failed');
+    }
+
+    return res.status(200).json({ success: true, ...result, health, customerReconcile, lightspeedWrites });
   } catch (error) {
     logger.logAPIError('cron_webhooks', error);
     return res.status(500).json({
@@ -2425,90 +2881,80 @@ async function runCustomerReconcileCron(req, res) {
 router.get('/cron/customer-reconcile', runCustomerReconcileCron);
 router.post('/cron/customer-reconcile', runCustomerReconcileCron);
 
-/**
- * POST /api/sales/:saleId/verify
- *
- * Submit ID verification result from scanner.html
- * Called by scanner PWA app after successful ID scan
- *
- * Request body:
- * {
- *   approved: boolean,
- *   customerId: string (optional),
- *   customerName: string (optional),
- *   age: number (optional),
- *   reason: string (optional - rejection reason),
- *   registerId: string (optional)
- * }
- */
-router.post('/sales/:saleId/verify', async (req, res) => {
-  const { saleId } = req.params;
-  const { approved, customerId, customerName, age, reason, registerId } = req.body;
-
-  // Validate required fields
-  if (typeof approved !== 'boolean') {
-    logger.warn({
-      event: 'sale_verify_invalid',
-      saleId,
-      error: 'approved field required'
-    }, 'Sale verification missing approved field');
-
-    return res.status(400).json({
-      error: 'INVALID_REQUEST',
-      message: 'approved field is required and must be a boolean'
+async function runLightspeedWritesCron(req, res) {
+  if (!verifyCronRequest(req)) {
+    return res.status(401).json({
+      error: 'UNAUTHORIZED',
+      message: 'Invalid cron secret'
     });
   }
 
   try {
-    // Update verification in store
-    const verification = saleVerificationStore.updateVerification(saleId, {
-      approved,
-      customerId,
-      customerName,
-      age,
-      reason,
-      registerId
+    const limit = Math.max(1, Math.min(Number.parseInt(req.query?.limit || req.body?.limit || '100', 10) || 100, 500));
+    const maxDurationMs = Math.max(
+      1000,
+      Math.min(Number.parseInt(req.query?.maxDurationMs || req.body?.maxDurationMs || '8000', 10) || 8000, 60000)
+    );
+
+    const result = await lightspeedWriteOutbox.processDueWrites({ limit, maxDurationMs });
+    const health = await lightspeedWriteOutbox.getOutboxHealth();
+    return res.status(200).json({ success: true, ...result, health });
+  } catch (error) {
+    logger.logAPIError('cron_lightspeed_writes', error);
+    return res.status(500).json({
+      error: 'LIGHTSPEED_WRITES_FAILED',
+      message: error.message
     });
+  }
+}
 
-    if (!verification) {
-      logger.warn({
-        event: 'sale_verify_not_found',
-        saleId
-      }, `Sale verification not found or expired: ${saleId}`);
+router.get('/cron/lightspeed-writes', runLightspeedWritesCron);
+router.post('/cron/lightspeed-writes', runLightspeedWritesCron);
 
-      return res.status(404).json({
-        error: 'VERIFICATION_NOT_FOUND',
-        message: 'Sale verification not found or has expired'
-      });
-    }
+// Live session for a sale, rebuilt from the latest stored verification when the session is gone (new instance,
+// expired) so logs keep working, or created as pending when the sale has no verification yet.
+async function loadSaleStatusSession(saleId) {
+  let verification = await saleVerificationStore.getVerification(saleId);
 
-    logger.info({
-      event: 'sale_verified',
-      saleId,
-      approved,
-      age,
-      registerId
-    }, `Sale ${saleId} verified: ${approved ? 'approved' : 'rejected'}`);
+  // If there is no live session, check database as fallback (single row only) and then create a live session so logs work.
+  if (!verification && db.pool) {
+    try {
+      const result = await db.pool.query(
+        'SELECT * FROM verifications WHERE sale_id = $1 ORDER BY created_at DESC LIMIT 1',
+        [saleId]
+      );
+
+      if (result.rows.length > 0) {
+        const row = piiCrypto.revealRow('verifications', result.rows[0]);
+        await saleVerificationStore.createVerification(saleId);
+        await saleVerificationStore.updateVerification(saleId, {
+          approved: String(row.status || '').startsWith('approved'),
+          status: row.status,
+          age: row.age,
+          reason: row.reason,
+          customerName: `${row.first_name || ''} ${row.last_name || ''}`.trim() || null,
+          updatedAt: row.created_at || null
+        });
+        await saleVerificationStore.addSessionLog(saleId, 'Loaded latest verification from DB fallback', 'info');
+        verification = await saleVerificationStore.getVerification(saleId);
+      }
+    } catch (dbError) {
+      logger.error('Failed to query database for verification', dbError);
+    }
+  }
 
-    res.json({
-      success: true,
-      saleId,
-      status: verification.status
-    });
-  } catch (error) {
-    logger.logAPIError('sale_verify', error, { saleId });
-    res.status(500).json({
-      error: 'INTERNAL_ERROR',
-      message: 'Failed to process verification'
-    });
+  if (!verification) {
+    verification = await saleVerificationStore.createVerification(saleId);
   }
-});
+
+  return verification;
+}
 
 /**
  * GET /api/sales/:saleId/status
  *
  * Get current verification status for a sale
- * Called by payment-gateway.html (polling every 2 seconds)
+ * Polling fallback for the payment-gateway pages when GET /api/sales/:saleId/events is unavailable
  *
  * Response:
  * {
@@ -2523,53 +2969,8 @@ router.get('/sales/:saleId/status', async (req, res) => {
   const { saleId } = req.params;
 
   try {
-    let verification = saleVerificationStore.getVerification(saleId);
-
-    // If not in memory, check database as fallback (single row only) and then create a live session so logs work.
-    if (!verification && db.pool) {
-      try {
-        const result = await db.pool.query(
-          'SELECT * FROM verifications WHERE sale_id = $1 ORDER BY created_at DESC LIMIT 1',
-          [saleId]
-        );
-
-        if (result.rows.length > 0) {
-          const row = result.rows[0];
-          verification = saleVerificationStore.createVerification(saleId);
-          saleVerificationStore.updateVerification(saleId, {
-            approved: String(row.status || '').startsWith('approved'),
-            status: row.status,
-            age: row.age,
-            reason: row.reason,
-            customerName: `${row.first_name || ''} ${row.last_name || ''}`.trim() || null,
-            updatedAt: row.created_at || null
-          });
-          saleVerificationStore.addSessionLog(saleId, 'Loaded latest verification from DB fallback', 'info');
-          verification = saleVerificationStore.getVerification(saleId);
-        }
-      } catch (dbError) {
-        logger.error('Failed to query database for verification', dbError);
-      }
-    }
-
-    if (!verification) {
-      verification = saleVerificationStore.createVerification(saleId);
-    }
-
-    res.json({
-      saleId: verification.saleId,
-      verificationId: verification.verificationId || null,
-      status: verification.status,
-      age: verification.age ?? null,
-      reason: verification.reason ?? null,
-      customerName: verification.customerName ?? null,
-      updatedAt: verification.updatedAt ? new Date(verification.updatedAt).toISOString() : null,
-      updatedAtMs: verification.updatedAt ? new Date(verification.updatedAt).getTime() : null,
-      remoteScannerActive: verification.remoteScannerActive,
-      lastHeartbeat: verification.lastHeartbeat,
-      logs: verification.logs || [],
-      expiresAt: verification.expiresAt
-    });
+    const verification = await loadSaleStatusSession(saleId);
+    res.json(saleEvents.serializeSaleStatus(verification));
   } catch (error) {
     logger.logAPIError('sale_status', error, { saleId });
     res.status(500).json({
@@ -2580,101 +2981,32 @@ router.get('/sales/:saleId/status', async (req, res) => {
 });
 
 /**
- * POST /api/sales/:saleId/complete
- *
- * Complete the verification flow and send unlock to Lightspeed
- * Called by payment-gateway.html after displaying result
- *
- * Request body:
- * {
- *   approved: boolean,
- *   paymentAmount: number (optional)
- * }
+ * GET /api/sales/:saleId/events
  *
- * Response:
- * {
- *   success: boolean,
- *   lightspeedResponse: object (optional)
- * }
+ * Server-Sent Events stream of the same session GET /api/sales/:saleId/status returns: a `snapshot` event on
+ * connect, then `status`, `heartbeat` and `log` events as they change (see saleEvents.js).
+ * Used by the payment-gateway pages through frontend/js/saleStatusStream.js, which falls back to polling /status.
  */
-router.post('/sales/:saleId/complete', async (req, res) => {
+router.get('/sales/:saleId/events', async (req, res) => {
   const { saleId } = req.params;
-  const { approved, paymentAmount } = req.body;
 
+  let verification;
   try {
-    const verification = saleVerificationStore.getVerification(saleId);
-
-    if (!verification) {
-      logger.warn({
-        event: 'sale_complete_not_found',
-        saleId
-      }, `Attempted to complete non-existent verification: ${saleId}`);
-
-      return res.status(404).json({
-        error: 'VERIFICATION_NOT_FOUND',
-        message: 'Sale verification not found'
-      });
-    }
-
-    // Send unlock/complete to Lightspeed Payments API
-    let lightspeedResponse = null;
-
-    if (lightspeedMode === 'live' && process.env.LIGHTSPEED_API_KEY) {
-      try {
-        // TODO: Implement actual Lightspeed Payments API call
-        // This will depend on Lightspeed's custom payment integration documentation
-        //
-        // Example structure:
-        // lightspeedResponse = await lightspeed.completePayment({
-        //   saleId,
-        //   approved,
-        //   amount: paymentAmount,
-        //   paymentMethod: 'ID_VERIFICATION'
-        // });
-
-        logger.info({
-          event: 'lightspeed_complete',
-          saleId,
-          approved
-        }, `Lightspeed payment completion called for sale ${saleId}`);
-      } catch (lightspeedError) {
-        logger.error({
-          event: 'lightspeed_complete_error',
-          saleId,
-          error: lightspeedError.message
-        }, `Failed to complete Lightspeed payment: ${lightspeedError.message}`);
-
-        // Continue anyway - don't block on Lightspeed API failure
-      }
-    } else {
-      logger.info({
-        event: 'lightspeed_complete_mock',
-        saleId,
-        approved
-      }, `Mock: Would complete Lightspeed payment for sale ${saleId}`);
-    }
-
-    // Mark verification as complete and remove from store
-    saleVerificationStore.completeVerification(saleId);
-
-    logger.info({
-      event: 'sale_complete',
-      saleId,
-      approved,
-      hasLightspeedResponse: !!lightspeedResponse
-    }, `Sale ${saleId} completed successfully`);
-
-    res.json({
-      success: true,
-      lightspeedResponse
-    });
+    verification = await loadSaleStatusSession(saleId);
   } catch (error) {
-    logger.logAPIError('sale_complete', error, { saleId });
-    res.status(500).json({
+    logger.logAPIError('sale_events', error, { saleId });
+    return res.status(500).json({
       error: 'INTERNAL_ERROR',
-      message: 'Failed to complete verification'
+      message: 'Failed to open verification event stream'
     });
   }
+
+  saleEvents.streamSaleEvents(req, res, {
+    saleId,
+    initial: verification,
+    getSession: () => saleVerificationStore.getVerification(saleId),
+    subscribe: (listener) => saleVerificationStore.subscribe(saleId, listener)
+  });
 });
 
 module.exports = router;
@@ -0,0 +1,182 @@
+"use strict";
+
+const logger = require('./logger');
+
+// Server-Sent Events for a live sale verification session (GET /api/sales/:saleId/events).
+//
+// Stream:
+//   snapshot  - full status body (same JSON as GET /api/sales/:saleId/status), sent once on connect
+//   status    - verification fields changed (status, verificationId, age, reason, customerName, updatedAt...)
+//   heartbeat - handheld scanner state changed (remoteScannerActive, lastHeartbeat)
+//   log       - one new session log entry
+//   ping      - keepalive
+//   closed    - the session was completed or expired; the client should stop listening
+//   reconnect - the server is ending the stream (serverless duration cap); EventSource reconnects by itself
+//
+// Changes made on this instance are pushed immediately (saleVerificationStore.subscribe); changes made on other
+// instances (SALE_VERIFICATION_STORE=postgres) and heartbeat timeouts are picked up by a periodic re-read.
+
+const STATUS_FIELDS = ['saleId', 'verificationId', 'status', 'age', 'reason', 'customerName', 'updatedAt', 'updatedAtMs', 'expiresAt'];
+const HEARTBEAT_FIELDS = ['remoteScannerActive', 'lastHeartbeat'];
+
+function parseIntInRange(value, fallback, min, max) {
+  const parsed = Number.parseInt(String(value ?? ''), 10);
+  if (!Number.isFinite(parsed)) return fallback;
+  return Math.max(min, Math.min(max, parsed));
+}
+
+function getStreamSettings() {
+  return {
+    refreshMs: parseIntInRange(process.env.SALE_EVENTS_REFRESH_MS, 1500, 250, 30000),
+    keepAliveMs: parseIntInRange(process.env.SALE_EVENTS_KEEPALIVE_MS, 15000, 1000, 60000),
+    maxDurationMs: parseIntInRange(process.env.SALE_EVENTS_MAX_DURATION_MS, 25000, 1000, 15 * 60 * 1000),
+    retryMs: 2000
+  };
+}
+
+/**
+ * Public status body for a session (GET /api/sales/:saleId/status and the SSE snapshot).
+ */
+function serializeSaleStatus(verification) {
+  return {
+    saleId: verification.saleId,
+    verificationId: verification.verificationId || null,
+    status: verification.status,
+    age: verification.age ?? null,
+    reason: verification.reason ?? null,
+    customerName: verification.customerName ?? null,
+    updatedAt: verification.updatedAt ? new Date(verification.updatedAt).toISOString() : null,
+    updatedAtMs: verification.updatedAt ? new Date(verification.updatedAt).getTime() : null,
+    remoteScannerActive: verification.remoteScannerActive,
+    lastHeartbeat: verification.lastHeartbeat,
+    logs: verification.logs || [],
+    expiresAt: verification.expiresAt
+  };
+}
+
+function pick(source, fields) {
+  return fields.reduce((acc, field) => {
+    acc[field] = source[field] ?? null;
+    return acc;
+  }, {});
+}
+
+function logKey(entry) {
+  return `${entry?.t || ''}|${entry?.type || ''}|${entry?.m || entry?.message || ''}`;
+}
+
+/**
+ * Events that turn `previous` into `next` (both JSON-normalized serializeSaleStatus bodies).
+ * @returns {Array<[string, object]>}
+ */
+function diffSaleStatus(previous, next) {
+  const events = [];
+
+  const status = pick(next, STATUS_FIELDS);
+  if (JSON.stringify(pick(previous, STATUS_FIELDS)) !== JSON.stringify(status)) {
+    events.push(['status', status]);
+  }
+
+  const heartbeat = pick(next, HEARTBEAT_FIELDS);
+  if (JSON.stringify(pick(previous, HEARTBEAT_FIELDS)) !== JSON.stringify(heartbeat)) {
+    events.push(['heartbeat', heartbeat]);
+  }
+
+  const seen = new Set((previous.logs || []).map(logKey));
+  for (const entry of next.logs || []) {
+    if (!seen.has(logKey(entry))) events.push(['log', entry]);
+  }
+
+  return events;
+}
+
+function normalize(verification) {
+  return JSON.parse(JSON.stringify(serializeSaleStatus(verification)));
+}
+
+/**
+ * Stream a session's changes to `res` until the client disconnects, the session ends or the duration cap hits.
+ *
+ * @param {object} req
+ * @param {object} res
+ * @param {object} params
+ * @param {string} params.saleId
+ * @param {object} params.initial - the live session to snapshot
+ * @param {Function} params.getSession - async () => current session or null
+ * @param {Function} params.subscribe - (listener) => unsubscribe; listener(session|null) on local changes
+ */
+function streamSaleEvents(req, res, { saleId, initial, getSession, subscribe, settings = getStreamSettings() }) {
+  let closed = false;
+  let refreshing = false;
+  let last = normalize(initial);
+  const timers = [];
+  let unsubscribe = null;
+
+  res.status(200);
+  res.set({
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-store, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders?.();
+
+  function send(event, data) {
+    if (closed) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  function finish() {
+    if (closed) return;
+    closed = true;
+    timers.forEach((timer) => clearInterval(timer));
+    unsubscribe?.();
+    if (!res.writableEnded) res.end();
+  }
+
+  function apply(next) {
+    if (closed) return;
+    if (!next) {
+      send('closed', { saleId, reason: 'session_ended' });
+      finish();
+      return;
+    }
+    const normalized = normalize(next);
+    for (const [event, data] of diffSaleStatus(last, normalized)) send(event, data);
+    last = normalized;
+  }
+
+  res.write(`retry: ${settings.retryMs}\n\n`);
+  send('snapshot', last);
+
+  unsubscribe = subscribe(apply);
+
+  timers.push(setInterval(async () => {
+    if (refreshing || closed) return;
+    refreshing = true;
+    try {
+      apply(await getSession());
+    } catch (error) {
+      logger.warn({ event: 'sale_events_refresh_failed', saleId, error: error.message }, 'Failed to refresh sale event stream');
+    } finally {
+      refreshing = false;
+    }
+  }, settings.refreshMs));
+
+  timers.push(setInterval(() => send('ping', { t: Date.now() }), settings.keepAliveMs));
+
+  timers.push(setTimeout(() => {
+    send('reconnect', { saleId });
+    finish();
+  }, settings.maxDurationMs));
+
+  req.on('close', finish);
+  return { close: finish };
+}
+
+module.exports = {
+  getStreamSettings,
+  serializeSaleStatus,
+  diffSaleStatus,
+  streamSaleEvents
+};
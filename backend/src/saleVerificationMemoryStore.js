@@ -0,0 +1,119 @@
+"use strict";
+
+const logger = require('./logger');
+const session = require('./saleVerificationSession');
+
+/**
+ * Process-local saleVerificationStore backend.
+ * Key: saleId (from Lightspeed), value: a session (see saleVerificationSession.js).
+ * Only safe when every request for a sale reaches the same instance (local dev, single server).
+ */
+function createMemorySaleVerificationStore({ cleanupIntervalMs = 5 * 60 * 1000 } = {}) {
+  const verifications = new Map();
+
+  function purgeExpired() {
+    const now = new Date();
+    let expiredCount = 0;
+
+    for (const [saleId, verification] of verifications.entries()) {
+      if (session.isExpired(verification, now)) {
+        verifications.delete(saleId);
+        expiredCount++;
+
+        logger.info({
+          event: 'verification_expired',
+          saleId,
+          status: verification.status,
+          age: Math.round((now - verification.createdAt) / 1000)
+        }, `Sale verification expired: ${saleId}`);
+      }
+    }
+
+    if (expiredCount > 0) {
+      logger.info({
+        event: 'verification_cleanup',
+        expired: expiredCount,
+        remaining: verifications.size
+      }, `Cleaned up ${expiredCount} expired verifications`);
+    }
+    return expiredCount;
+  }
+
+  // Auto-cleanup expired verifications every 5 minutes
+  const cleanupInterval = setInterval(purgeExpired, cleanupIntervalMs);
+  // Do not keep Node.js alive solely for this maintenance timer (helps tests exit cleanly).
+  cleanupInterval.unref?.();
+
+  function getLive(saleId) {
+    const verification = verifications.get(saleId);
+    if (!verification) return null;
+    if (session.isExpired(verification)) {
+      verifications.delete(saleId);
+      return null;
+    }
+    return verification;
+  }
+
+  return {
+    name: 'memory',
+
+    async createVerification(saleId, options = {}) {
+      const verification = session.newSession(saleId, options);
+      verifications.set(saleId, verification);
+      return verification;
+    },
+
+    async updateHeartbeat(saleId) {
+      const verification = verifications.get(saleId);
+      if (!verification) return null;
+      return session.applyHeartbeat(verification);
+    },
+
+    async addSessionLog(saleId, message, type) {
+      const verification = verifications.get(saleId);
+      if (!verification) return null;
+      return session.appendLog(verification, message, type);
+    },
+
+    async updateVerification(saleId, result) {
+      const verification = getLive(saleId);
+      if (!verification) return null;
+      return session.applyResult(verification, result);
+    },
+
+    async getVerification(saleId) {
+      const verification = getLive(saleId);
+      if (!verification) return null;
+      session.applyHeartbeatTimeout(verification);
+      return verification;
+    },
+
+    async completeVerification(saleId) {
+      const verification = verifications.get(saleId);
+      if (!verification) return null;
+      verifications.delete(saleId);
+      return verification;
+    },
+
+    async purgeExpired() {
+      return purgeExpired();
+    },
+
+    async getStats() {
+      const now = new Date();
+      const stats = session.emptyStats();
+      for (const verification of verifications.values()) {
+        session.tallySession(stats, verification, now);
+      }
+      return stats;
+    },
+
+    close() {
+      clearInterval(cleanupInterval);
+    }
+  };
+}
+
+module.exports = {
+  createMemorySaleVerificationStore
+};
@@ -0,0 +1,174 @@
+"use strict";
+
+const logger = require('./logger');
+const session = require('./saleVerificationSession');
+
+// Postgres-backed saleVerificationStore backend so the scan (handheld) and the poll (payment gateway) can land on
+// different serverless instances. One row per sale holds the whole session as JSONB; every mutation is a
+// read-modify-write guarded by a version column, retried on conflict, so concurrent heartbeats and log lines from
+// different instances never overwrite each other. Rows past expires_at are invisible to reads and deleted by
+// purgeExpired() (interval + /cron/retention).
+
+const TABLE = 'sale_verification_sessions';
+const MAX_WRITE_ATTEMPTS = 5;
+
+function reviveDate(value) {
+  if (!value) return null;
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+function reviveSession(raw) {
+  const value = typeof raw === 'string' ? JSON.parse(raw) : raw;
+  if (!value || typeof value !== 'object') return null;
+  return {
+    ...value,
+    lastHeartbeat: reviveDate(value.lastHeartbeat),
+    createdAt: reviveDate(value.createdAt),
+    updatedAt: reviveDate(value.updatedAt),
+    expiresAt: reviveDate(value.expiresAt),
+    logs: Array.isArray(value.logs) ? value.logs.map((entry) => ({ ...entry, t: reviveDate(entry.t) })) : []
+  };
+}
+
+function createPostgresSaleVerificationStore({ query, cleanupIntervalMs = 5 * 60 * 1000 } = {}) {
+  if (typeof query !== 'function') {
+    throw new Error('Postgres sale verification store requires a query function');
+  }
+
+  let tableReady = null;
+
+  function ensureTable() {
+    if (!tableReady) {
+      tableReady = (async () => {
+        await query(`
+          CREATE TABLE IF NOT EXISTS ${TABLE} (
+            sale_id VARCHAR(100) PRIMARY KEY,
+            session JSONB NOT NULL,
+            version INTEGER NOT NULL DEFAULT 0,
+            expires_at TIMESTAMPTZ NOT NULL,
+            created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+            updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+          )
+        `);
+        await query(`CREATE INDEX IF NOT EXISTS idx_${TABLE}_expires_at ON ${TABLE} (expires_at)`);
+      })().catch((error) => {
+        tableReady = null;
+        throw error;
+      });
+    }
+    return tableReady;
+  }
+
+  async function readLive(saleId) {
+    await ensureTable();
+    const { rows } = await query(
+      `SELECT session, version FROM ${TABLE} WHERE sale_id = $1 AND expires_at > $2`,
+      [saleId, new Date()]
+    );
+    if (!rows.length) return null;
+    return { verification: reviveSession(rows[0].session), version: Number(rows[0].version) };
+  }
+
+  // Apply `mutate` to the live session and persist it. `mutate` returns false to skip the write.
+  async function mutateLive(saleId, mutate) {
+    for (let attempt = 1; attempt <= MAX_WRITE_ATTEMPTS; attempt++) {
+      const current = await readLive(saleId);
+      if (!current) return null;
+
+      if (mutate(current.verification) === false) return current.verification;
+
+      const { rowCount } = await query(
+        `UPDATE ${TABLE} SET session = $3, version = version + 1, updated_at = NOW() WHERE sale_id = $1 AND version = $2`,
+        [saleId, current.version, JSON.stringify(current.verification)]
+      );
+      if (rowCount > 0) return current.verification;
+    }
+
+    logger.warn({ event: 'verification_write_conflict', saleId, attempts: MAX_WRITE_ATTEMPTS }, `Sale verification write kept conflicting: ${saleId}`);
+    return null;
+  }
+
+  async function purgeExpired() {
+    await ensureTable();
+    const { rows } = await query(`DELETE FROM ${TABLE} WHERE expires_at <= $1 RETURNING sale_id`, [new Date()]);
+    if (rows.length > 0) {
+      logger.info({
+        event: 'verification_cleanup',
+        expired: rows.length,
+        backend: 'postgres'
+      }, `Cleaned up ${rows.length} expired verifications`);
+    }
+    return rows.length;
+  }
+
+  const cleanupInterval = setInterval(() => {
+    purgeExpired().catch((error) => {
+      logger.warn({ event: 'verification_cleanup_failed', error: error.message }, 'Sale verification cleanup failed');
+    });
+  }, cleanupIntervalMs);
+  cleanupInterval.unref?.();
+
+  return {
+    name: 'postgres',
+
+    async createVerification(saleId, options = {}) {
+      await ensureTable();
+      const verification = session.newSession(saleId, options);
+      await query(
+        `
+          INSERT INTO ${TABLE} (sale_id, session, version, expires_at)
+          VALUES ($1, $2, 0, $3)
+          ON CONFLICT (sale_id)
+          DO UPDATE SET session = EXCLUDED.session, version = ${TABLE}.version + 1, expires_at = EXCLUDED.expires_at, updated_at = NOW()
+        `,
+        [saleId, JSON.stringify(verification), verification.expiresAt]
+      );
+      return verification;
+    },
+
+    async updateHeartbeat(saleId) {
+      return mutateLive(saleId, (verification) => session.applyHeartbeat(verification));
+    },
+
+    async addSessionLog(saleId, message, type) {
+      return mutateLive(saleId, (verification) => session.appendLog(verification, message, type));
+    },
+
+    async updateVerification(saleId, result) {
+      return mutateLive(saleId, (verification) => session.applyResult(verification, result));
+    },
+
+    async getVerification(saleId) {
+      return mutateLive(saleId, (verification) => session.applyHeartbeatTimeout(verification));
+    },
+
+    async completeVerification(saleId) {
+      await ensureTable();
+      const { rows } = await query(`DELETE FROM ${TABLE} WHERE sale_id = $1 RETURNING session`, [saleId]);
+      return rows.length ? reviveSession(rows[0].session) : null;
+    },
+
+    purgeExpired,
+
+    async getStats() {
+      await ensureTable();
+      const now = new Date();
+      const { rows } = await query(`SELECT session FROM ${TABLE}`);
+      const stats = session.emptyStats();
+      for (const row of rows) {
+        const verification = reviveSession(row.session);
+        if (verification) session.tallySession(stats, verification, now);
+      }
+      return stats;
+    },
+
+    close() {
+      clearInterval(cleanupInterval);
+    }
+  };
+}
+
+module.exports = {
+  createPostgresSaleVerificationStore
+};
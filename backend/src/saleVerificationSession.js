@@ -0,0 +1,149 @@
+"use strict";
+
+// State transitions for a sale verification session, shared by every saleVerificationStore backend.
+// Each function mutates the session object it is given; backends decide how that object is persisted.
+
+const SESSION_TTL_MS = 15 * 60 * 1000;
+const HEARTBEAT_TIMEOUT_MS = 10 * 1000;
+const MAX_SESSION_LOGS = 50;
+
+/**
+ * Session shape:
+ * {
+ *   saleId: string,
+ *   status: 'pending' | 'approved' | 'rejected',
+ *   verificationId: string | null, // Postgres verification_id once recorded
+ *   customerId: string | null,
+ *   customerName: string | null,
+ *   age: number | null,
+ *   reason: string | null,
+ *   registerId: string | null,
+ *   remoteScannerActive: boolean, // Friendship: Is the handheld scanner page open?
+ *   lastHeartbeat: Date | null,   // Friendship: When did the handheld last check in?
+ *   logs: Array,                 // Friendship Trace: Activity log for dev troubleshooting
+ *   createdAt: Date,
+ *   updatedAt: Date,
+ *   expiresAt: Date (15 minutes from creation)
+ * }
+ */
+function newSession(saleId, { registerId = null } = {}) {
+  const now = new Date();
+  return {
+    saleId,
+    status: 'pending',
+    verificationId: null,
+    customerId: null,
+    customerName: null,
+    age: null,
+    reason: null,
+    registerId,
+    remoteScannerActive: false,
+    lastHeartbeat: null,
+    logs: [{ t: now, m: 'IDLE: Waiting for handheld connection...', type: 'info' }],
+    createdAt: now,
+    updatedAt: now,
+    expiresAt: new Date(now.getTime() + SESSION_TTL_MS)
+  };
+}
+
+function isExpired(session, now = new Date()) {
+  return session.expiresAt < now;
+}
+
+function appendLog(session, message, type = 'info') {
+  session.logs.push({ t: new Date(), m: message, type });
+
+  // Keep logs manageable
+  while (session.logs.length > MAX_SESSION_LOGS) {
+    session.logs.shift();
+  }
+  return session;
+}
+
+function applyHeartbeat(session) {
+  const now = new Date();
+  if (!session.remoteScannerActive) {
+    appendLog(session, 'HANDSHAKE: Handheld scanner connected', 'success');
+  }
+
+  session.remoteScannerActive = true;
+  session.lastHeartbeat = now;
+  session.updatedAt = now;
+  return session;
+}
+
+function applyResult(session, {
+  approved,
+  customerId = null,
+  customerName = null,
+  age = null,
+  reason = null,
+  registerId = null,
+  status = null,
+  verificationId = null,
+  updatedAt = null
+}) {
+  // Use explicit status if provided, otherwise derive from 'approved' boolean
+  session.status = status || (approved ? 'approved' : 'rejected');
+  session.verificationId = verificationId || null;
+  session.customerId = customerId;
+  session.customerName = customerName;
+  session.age = age;
+  session.reason = reason;
+  session.registerId = registerId || session.registerId;
+
+  let nextUpdatedAt = updatedAt ? new Date(updatedAt) : new Date();
+  if (Number.isNaN(nextUpdatedAt.getTime())) {
+    nextUpdatedAt = new Date();
+  }
+  session.updatedAt = nextUpdatedAt;
+
+  appendLog(session, `RESULT: Scan ${approved ? 'Approved' : 'Rejected'} (${reason || 'OK'})`, approved ? 'success' : 'error');
+  return session;
+}
+
+// Auto-detect if handheld dropped offline (no heartbeat for 10s). Returns true when the session changed.
+function applyHeartbeatTimeout(session) {
+  if (!session.remoteScannerActive || !session.lastHeartbeat) return false;
+  if (new Date() - session.lastHeartbeat <= HEARTBEAT_TIMEOUT_MS) return false;
+
+  session.remoteScannerActive = false;
+  appendLog(session, 'DISCONNECT: Handheld scanner timed out', 'error');
+  return true;
+}
+
+function emptyStats() {
+  return {
+    total: 0,
+    pending: 0,
+    approved: 0,
+    rejected: 0,
+    expired: 0,
+    activeRemoteScanners: 0
+  };
+}
+
+function tallySession(stats, session, now = new Date()) {
+  stats.total++;
+  if (isExpired(session, now)) {
+    stats.expired++;
+  } else {
+    stats[session.status] = (stats[session.status] || 0) + 1;
+    if (session.remoteScannerActive) stats.activeRemoteScanners++;
+  }
+  return stats;
+}
+
+module.exports = {
+  SESSION_TTL_MS,
+  HEARTBEAT_TIMEOUT_MS,
+  MAX_SESSION_LOGS,
+  newSession,
+  isExpired,
+  appendLog,
+  applyHeartbeat,
+  applyResult,
+  applyHeartbeatTimeout,
+  emptyStats,
+  tallySession
+};
@@ -1,247 +1,172 @@
+"use strict";
+
+const { EventEmitter } = require('events');
+const db = require('./db');
 const logger = require('./logger');
+const { createMemorySaleVerificationStore } = require('./saleVerificationMemoryStore');
+const { createPostgresSaleVerificationStore } = require('./saleVerificationPostgresStore');
 
 /**
- * In-memory store for sale verifications
- * Key: saleId (from Lightspeed)
- * Value: {
- *   saleId: string,
- *   status: 'pending' | 'approved' | 'rejected',
- *   customerId: string | null,
- *   customerName: string | null,
- *   age: number | null,
- *   reason: string | null,
- *   registerId: string | null,
- *   remoteScannerActive: boolean, // Friendship: Is the handheld scanner page open?
- *   lastHeartbeat: Date | null,   // Friendship: When did the handheld last check in?
- *   logs: Array,                 // Friendship Trace: Activity log for dev troubleshooting
- *   createdAt: Date,
- *   updatedAt: Date,
- *   expiresAt: Date (15 minutes from creation)
- * }
+ * Live sale verification sessions (pending scan, handheld heartbeat, trace logs), keyed by Lightspeed saleId.
+ * Session shape: see saleVerificationSession.js. Every function is async.
+ *
+ * SALE_VERIFICATION_STORE selects the backend:
+ *   memory (default) - process-local Map; fine for a single server and local dev
+ *   postgres         - shared table with TTL cleanup; required when scan and poll can hit different instances (Vercel)
+ * Selecting postgres without DATABASE_URL falls back to memory with a warning.
  */
-const verifications = new Map();
-
-// Auto-cleanup expired verifications every 5 minutes
-const cleanupInterval = setInterval(() => {
-  const now = new Date();
-  let expiredCount = 0;
-
-  for (const [saleId, verification] of verifications.entries()) {
-    if (verification.expiresAt < now) {
-      verifications.delete(saleId);
-      expiredCount++;
-
-      logger.info({
-        event: 'verification_expired',
-        saleId,
-        status: verification.status,
-        age: Math.round((now - verification.createdAt) / 1000)
-      }, `Sale verification expired: ${saleId}`);
+
+const BACKENDS = ['memory', 'postgres'];
+const backends = new Map();
+let warnedFallback = false;
+
+// Local change feed for live consumers (SSE). Only sees writes made by this process.
+const changes = new EventEmitter();
+changes.setMaxListeners(0);
+
+function notify(saleId, verification) {
+  changes.emit(`sale:${saleId}`, verification);
+}
+
+function resolveBackendName() {
+  const requested = String(process.env.SALE_VERIFICATION_STORE || '').trim().toLowerCase();
+  const name = BACKENDS.includes(requested) ? requested : 'memory';
+  if (name === 'postgres' && !db.pool) {
+    if (!warnedFallback) {
+      warnedFallback = true;
+      logger.warn(
+        { event: 'sale_verification_store_fallback', requested: name },
+        'SALE_VERIFICATION_STORE=postgres but DATABASE_URL is not configured; using in-memory sessions'
+      );
     }
+    return 'memory';
   }
+  return name;
+}
+
+function createBackend(name) {
+  return name === 'postgres'
+    ? createPostgresSaleVerificationStore({ query: db.query })
+    : createMemorySaleVerificationStore();
+}
 
-  if (expiredCount > 0) {
-    logger.info({
-      event: 'verification_cleanup',
-      expired: expiredCount,
-      remaining: verifications.size
-    }, `Cleaned up ${expiredCount} expired verifications`);
+function getBackend() {
+  const name = resolveBackendName();
+  if (!backends.has(name)) {
+    backends.set(name, createBackend(name));
   }
-}, 5 * 60 * 1000);
-// Do not keep Node.js alive solely for this maintenance timer (helps tests exit cleanly).
-cleanupInterval.unref?.();
+  return backends.get(name);
+}
 
 /**
  * Create a new pending verification
  */
-function createVerification(saleId, { registerId = null } = {}) {
-  const now = new Date();
-  const expiresAt = new Date(now.getTime() + 15 * 60 * 1000);
-
-  const verification = {
-    saleId,
-    status: 'pending',
-    customerId: null,
-    customerName: null,
-    age: null,
-    reason: null,
-    registerId,
-    remoteScannerActive: false,
-    lastHeartbeat: null,
-    logs: [{ t: now, m: 'IDLE: Waiting for handheld connection...', type: 'info' }],
-    createdAt: now,
-    updatedAt: now,
-    expiresAt
-  };
-
-  verifications.set(saleId, verification);
+async function createVerification(saleId, { registerId = null } = {}) {
+  const verification = await getBackend().createVerification(saleId, { registerId });
 
   logger.info({
     event: 'verification_created',
     saleId,
     registerId,
-    expiresAt
+    expiresAt: verification.expiresAt
   }, `Sale verification created: ${saleId}`);
 
+  notify(saleId, verification);
   return verification;
 }
 
 /**
  * Update the handheld heartbeat / active state
  */
-function updateHeartbeat(saleId) {
-  const verification = verifications.get(saleId);
-  if (!verification) return null;
-
-  const now = new Date();
-  if (!verification.remoteScannerActive) {
-    verification.logs.push({ t: now, m: 'HANDSHAKE: Handheld scanner connected', type: 'success' });
-  }
-
-  verification.remoteScannerActive = true;
-  verification.lastHeartbeat = now;
-  verification.updatedAt = now;
+async function updateHeartbeat(saleId) {
+  const verification = await getBackend().updateHeartbeat(saleId);
+  if (verification) notify(saleId, verification);
   return verification;
 }
 
 /**
- * Add a log entry for dev troubleshooting
+ * Add a log entry for dev troubleshooting.
+ * Never rejects: callers fire-and-forget trace lines from hot paths.
  */
-function addSessionLog(saleId, message, type = 'info') {
-  const verification = verifications.get(saleId);
-  if (!verification) return;
-
-  verification.logs.push({
-    t: new Date(),
-    m: message,
-    type
-  });
-
-  // Keep logs manageable
-  if (verification.logs.length > 50) {
-    verification.logs.shift();
+async function addSessionLog(saleId, message, type = 'info') {
+  try {
+    const verification = await getBackend().addSessionLog(saleId, message, type);
+    if (verification) notify(saleId, verification);
+  } catch (error) {
+    logger.warn({ event: 'verification_log_failed', saleId, error: error.message }, `Failed to append session log: ${saleId}`);
   }
 }
 
 /**
  * Update verification with scan result
  */
-function updateVerification(saleId, {
-  approved,
-  customerId = null,
-  customerName = null,
-  age = null,
-  reason = null,
-  registerId = null,
-  status = null,
-  updatedAt = null
-}) {
-
-  const verification = verifications.get(saleId);
+async function updateVerification(saleId, result) {
+  const verification = await getBackend().updateVerification(saleId, result);
 
   if (!verification) {
     logger.warn({ event: 'verification_not_found', saleId }, `Attempted update non-existent: ${saleId}`);
     return null;
   }
 
-  if (verification.expiresAt < new Date()) {
-    verifications.delete(saleId);
-    return null;
-  }
-
-  // Use explicit status if provided, otherwise derive from 'approved' boolean
-  verification.status = status || (approved ? 'approved' : 'rejected');
-  verification.customerId = customerId;
-  verification.customerName = customerName;
-  verification.age = age;
-  verification.reason = reason;
-  verification.registerId = registerId || verification.registerId;
-
-  let nextUpdatedAt = updatedAt ? new Date(updatedAt) : new Date();
-  if (Number.isNaN(nextUpdatedAt.getTime())) {
-    nextUpdatedAt = new Date();
-  }
-  verification.updatedAt = nextUpdatedAt;
-
-  addSessionLog(saleId, `RESULT: Scan ${approved ? 'Approved' : 'Rejected'} (${reason || 'OK'})`, approved ? 'success' : 'error');
-
   logger.info({
     event: 'verification_updated',
     saleId,
     status: verification.status,
-    customerId,
-    age
+    customerId: result.customerId ?? null,
+    age: result.age ?? null
   }, `Sale verification updated: ${saleId} - ${verification.status}`);
 
+  notify(saleId, verification);
   return verification;
 }
 
 /**
  * Get verification status (includes friendship metadata)
  */
-function getVerification(saleId) {
-  const verification = verifications.get(saleId);
-  if (!verification) return null;
-
-  if (verification.expiresAt < new Date()) {
-    verifications.delete(saleId);
-    return null;
-  }
-
-  // Auto-detect if handheld dropped offline (no heartbeat for 10s)
-  if (verification.remoteScannerActive && verification.lastHeartbeat) {
-    const elapsed = new Date() - verification.lastHeartbeat;
-    if (elapsed > 10000) {
-      verification.remoteScannerActive = false;
-      addSessionLog(saleId, 'DISCONNECT: Handheld scanner timed out', 'error');
-    }
-  }
-
-  return verification;
+async function getVerification(saleId) {
+  return getBackend().getVerification(saleId);
 }
 
 /**
  * Mark verification as completed
  */
-function completeVerification(saleId) {
-  const verification = verifications.get(saleId);
+async function completeVerification(saleId) {
+  const verification = await getBackend().completeVerification(saleId);
   if (!verification) return false;
 
-  verifications.delete(saleId);
-
   logger.info({
     event: 'verification_completed',
     saleId,
     status: verification.status
   }, `Sale verification completed/removed: ${saleId}`);
 
+  notify(saleId, null);
   return true;
 }
 
 /**
- * Get statistics for monitoring
+ * Listen for changes this process makes to a sale's session. The listener receives the session, or null once it
+ * is completed. Returns an unsubscribe function.
  */
-function getStats() {
-  const now = new Date();
-  const stats = {
-    total: verifications.size,
-    pending: 0,
-    approved: 0,
-    rejected: 0,
-    expired: 0,
-    activeRemoteScanners: 0
-  };
-
-  for (const verification of verifications.values()) {
-    if (verification.expiresAt < now) {
-      stats.expired++;
-    } else {
-      stats[verification.status]++;
-      if (verification.remoteScannerActive) stats.activeRemoteScanners++;
-    }
-  }
+function subscribe(saleId, listener) {
+  const eventName = `sale:${saleId}`;
+  changes.on(eventName, listener);
+  return () => changes.off(eventName, listener);
+}
+
+/**
+ * Delete expired sessions now (the backends also do this on an interval)
+ */
+async function purgeExpired() {
+  return getBackend().purgeExpired();
+}
 
-  return stats;
+/**
+ * Get statistics for monitoring
+ */
+async function getStats() {
+  const backend = getBackend();
+  return { backend: backend.name, ...(await backend.getStats()) };
 }
 
 module.exports = {
@@ -251,5 +176,7 @@ module.exports = {
   completeVerification,
   updateHeartbeat,
   addSessionLog,
-  getStats
+  purgeExpired,
+  getStats,
+  subscribe
 };
@@ -2,6 +2,7 @@ const express = require('express');
 const db = require('./db');
 const logger = require('./logger');
 const complianceStore = require('./complianceStore');
+const { bannedMatchOutcome } = require('./bannedMatcher');
 
 const router = express.Router();
 
@@ -75,21 +76,25 @@ router.post('/', async (req, res) => {
           issuingCountry: nationality || null,
           firstName: firstName || null,
           lastName: lastName || null,
-          dateOfBirth: dob || null
+          dateOfBirth: dob || null,
+          outletId: outletId || null
         });
 
-        if (bannedRecord) {
-          isBanned = true;
+        const bannedMatch = bannedMatchOutcome(bannedRecord);
+        if (bannedMatch) {
+          isBanned = bannedMatch.block;
           finalApproved = false;
-          rejectionReason = bannedRecord.notes || 'BANNED_CUSTOMER';
+          rejectionReason = bannedMatch.reason;
 
-          logger.logSecurity('banned_customer_attempt', {
+          logger.logSecurity(bannedMatch.block ? 'banned_customer_attempt' : 'banned_customer_possible_match', {
             sessionId,
             documentType,
             documentNumber,
             issuingCountry: nationality,
             outletId,
-            bannedId: bannedRecord.id
+            bannedId: bannedRecord.id,
+            confidence: bannedMatch.match.confidence,
+            matchedFields: bannedMatch.match.matchedFields
           });
         }
       } catch (banError) {
@@ -33,16 +33,32 @@ CREATE TABLE IF NOT EXISTS verifications (
   user_agent TEXT,
   location_id VARCHAR(100), -- Which of your 13 locations
 
+  -- Age policy applied to this scan (see backend/src/agePolicy.js)
+  minimum_age INTEGER,
+  age_rule VARCHAR(200),
+
   -- Timestamps
   created_at TIMESTAMP NOT NULL DEFAULT NOW(),
   updated_at TIMESTAMP NOT NULL DEFAULT NOW()
 );
 
+ALTER TABLE IF EXISTS verifications ADD COLUMN IF NOT EXISTS minimum_age INTEGER;
+ALTER TABLE IF EXISTS verifications ADD COLUMN IF NOT EXISTS age_rule VARCHAR(200);
+
+-- Field-level encryption (backend/src/piiCrypto.js): with PII keys configured the name, DOB and document number
+-- columns stay NULL and the values live in pii_ciphertext under a per-row data key wrapped by key pii_key_id.
+ALTER TABLE IF EXISTS verifications ADD COLUMN IF NOT EXISTS pii_key_id VARCHAR(64);
+ALTER TABLE IF EXISTS verifications ADD COLUMN IF NOT EXISTS pii_dek TEXT;
+ALTER TABLE IF EXISTS verifications ADD COLUMN IF NOT EXISTS pii_ciphertext TEXT;
+ALTER TABLE IF EXISTS verifications ADD COLUMN IF NOT EXISTS document_number_bidx CHAR(64);
+
 -- Indexes for fast lookups during inspections
 CREATE INDEX IF NOT EXISTS idx_verifications_sale_id ON verifications(sale_id);
 CREATE INDEX IF NOT EXISTS idx_verifications_created_at ON verifications(created_at DESC);
 CREATE INDEX IF NOT EXISTS idx_verifications_location ON verifications(location_id);
 CREATE INDEX IF NOT EXISTS idx_verifications_status ON verifications(status);
+CREATE INDEX IF NOT EXISTS idx_verifications_document_bidx ON verifications(document_number_bidx);
+CREATE INDEX IF NOT EXISTS idx_verifications_pii_key ON verifications(pii_key_id);
 CREATE INDEX IF NOT EXISTS idx_verifications_clerk ON verifications(clerk_id);
 
 -- Sales Completions Table (Links verifications to completed sales)
@@ -82,6 +98,103 @@ CREATE INDEX IF NOT EXISTS idx_verification_overrides_sale ON verification_overr
 CREATE INDEX IF NOT EXISTS idx_verification_overrides_verification ON verification_overrides(verification_id);
 CREATE INDEX IF NOT EXISTS idx_verification_overrides_created_at ON verification_overrides(created_at DESC);
 
+-- Manager Accounts (override PINs; scrypt hash + peppered HMAC lookup, never the PIN itself)
+CREATE TABLE IF NOT EXISTS managers (
+  id VARCHAR(100) PRIMARY KEY,
+  name VARCHAR(150) NOT NULL,
+  employee_code VARCHAR(100),
+  email VARCHAR(200),
+  pin_hash TEXT NOT NULL,
+  pin_lookup VARCHAR(64) NOT NULL,
+  outlet_ids TEXT[] NOT NULL DEFAULT '{}',
+  all_outlets BOOLEAN NOT NULL DEFAULT FALSE,
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  last_used_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_managers_pin_lookup_active ON managers (pin_lookup) WHERE active;
+
+CREATE TABLE IF NOT EXISTS manager_pin_lockouts (
+  scope_key VARCHAR(200) PRIMARY KEY,
+  failed_attempts INTEGER NOT NULL DEFAULT 0,
+  last_failed_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  locked_until TIMESTAMPTZ
+);
+
+-- NOT VALID: legacy overrides recorded "Manager-<last two PIN digits>" and stay as they are.
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'verification_overrides_manager_id_fkey') THEN
+    ALTER TABLE verification_overrides
+      ADD CONSTRAINT verification_overrides_manager_id_fkey
+      FOREIGN KEY (manager_id) REFERENCES managers(id) NOT VALID;
+  END IF;
+END;
+$$;
+
+-- Legal holds: rows for a held sale, customer document or outlet are skipped by retention enforcement until released.
+CREATE TABLE IF NOT EXISTS retention_legal_holds (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  scope VARCHAR(20) NOT NULL CHECK (scope IN ('sale', 'document', 'outlet')),
+  value VARCHAR(150) NOT NULL,
+  reason TEXT NOT NULL,
+  placed_by VARCHAR(254),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  released_at TIMESTAMPTZ,
+  released_by VARCHAR(254),
+  release_note TEXT
+);
+
+-- Blind index of a document hold's value, so it also covers verifications whose document number is encrypted.
+ALTER TABLE IF EXISTS retention_legal_holds ADD COLUMN IF NOT EXISTS value_bidx CHAR(64);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_retention_legal_holds_active
+  ON retention_legal_holds (scope, value)
+  WHERE released_at IS NULL;
+
+-- Append-only, hash-chained ledger of every write to verifications, verification_overrides and sales_completions
+-- (see auditLedger.js). Entries hold ids and row hashes, not PII.
+CREATE TABLE IF NOT EXISTS compliance_audit_ledger (
+  seq BIGINT PRIMARY KEY,
+  event_type VARCHAR(50) NOT NULL,
+  entity_type VARCHAR(50) NOT NULL,
+  entity_id VARCHAR(150),
+  payload JSONB NOT NULL DEFAULT '{}'::jsonb,
+  recorded_at TIMESTAMPTZ NOT NULL,
+  prev_hash CHAR(64) NOT NULL,
+  entry_hash CHAR(64) NOT NULL UNIQUE
+);
+
+CREATE INDEX IF NOT EXISTS idx_compliance_audit_ledger_entity ON compliance_audit_ledger (entity_type, entity_id);
+
+-- Admin Console Users (role-based access; see backend/src/auth.js requireRole)
+CREATE TABLE IF NOT EXISTS admin_users (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  email VARCHAR(254) NOT NULL UNIQUE,
+  name VARCHAR(150),
+  role VARCHAR(30) NOT NULL CHECK (role IN ('owner', 'compliance', 'store_manager', 'analyst')),
+  outlet_ids TEXT[] NOT NULL DEFAULT '{}',
+  password_hash TEXT NOT NULL,
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  last_login_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS admin_sessions (
+  token_hash VARCHAR(64) PRIMARY KEY,
+  user_id UUID NOT NULL REFERENCES admin_users(id) ON DELETE CASCADE,
+  expires_at TIMESTAMPTZ NOT NULL,
+  ip_address INET,
+  user_agent TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_admin_sessions_user ON admin_sessions (user_id);
+CREATE INDEX IF NOT EXISTS idx_admin_sessions_expires_at ON admin_sessions (expires_at);
+
 -- Banned Customers Table (prevent service for flagged IDs)
 CREATE TABLE IF NOT EXISTS banned_customers (
   id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
@@ -105,12 +218,122 @@ ALTER TABLE IF EXISTS banned_customers ADD COLUMN IF NOT EXISTS banned_location_
 ALTER TABLE IF EXISTS banned_customers ADD COLUMN IF NOT EXISTS phone VARCHAR(30);
 ALTER TABLE IF EXISTS banned_customers ADD COLUMN IF NOT EXISTS email VARCHAR(254);
 
+-- Field-level encryption: document_number is NULL on encrypted rows, which are unique on the blind index instead.
+ALTER TABLE IF EXISTS banned_customers ALTER COLUMN document_number DROP NOT NULL;
+ALTER TABLE IF EXISTS banned_customers ADD COLUMN IF NOT EXISTS pii_key_id VARCHAR(64);
+ALTER TABLE IF EXISTS banned_customers ADD COLUMN IF NOT EXISTS pii_dek TEXT;
+ALTER TABLE IF EXISTS banned_customers ADD COLUMN IF NOT EXISTS pii_ciphertext TEXT;
+ALTER TABLE IF EXISTS banned_customers ADD COLUMN IF NOT EXISTS document_number_bidx CHAR(64);
+ALTER TABLE IF EXISTS banned_customers ADD COLUMN IF NOT EXISTS name_dob_bidx CHAR(64);
+ALTER TABLE IF EXISTS banned_customers ADD COLUMN IF NOT EXISTS last_name_bidx CHAR(64);
+ALTER TABLE IF EXISTS banned_customers ADD COLUMN IF NOT EXISTS phone_bidx CHAR(64);
+ALTER TABLE IF EXISTS banned_customers ADD COLUMN IF NOT EXISTS email_bidx CHAR(64);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_banned_customers_doc_bidx
+  ON banned_customers(document_type, document_number_bidx, issuing_country)
+  WHERE document_number_bidx IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_banned_customers_name_dob_bidx ON banned_customers(name_dob_bidx);
+CREATE INDEX IF NOT EXISTS idx_banned_customers_last_name_bidx ON banned_customers(last_name_bidx);
+CREATE INDEX IF NOT EXISTS idx_banned_customers_phone_bidx ON banned_customers(phone_bidx);
+CREATE INDEX IF NOT EXISTS idx_banned_customers_email_bidx ON banned_customers(email_bidx);
+
+-- Fuzzy banned matching (backend/src/bannedMatcher.js): address scores a match; dob_bidx and
+-- last_name_phonetic_bidx (Soundex) find candidates among encrypted rows.
+ALTER TABLE IF EXISTS banned_customers ADD COLUMN IF NOT EXISTS address VARCHAR(200);
+ALTER TABLE IF EXISTS banned_customers ADD COLUMN IF NOT EXISTS postal_code VARCHAR(20);
+ALTER TABLE IF EXISTS banned_customers ADD COLUMN IF NOT EXISTS dob_bidx CHAR(64);
+ALTER TABLE IF EXISTS banned_customers ADD COLUMN IF NOT EXISTS last_name_phonetic_bidx CHAR(64);
+CREATE INDEX IF NOT EXISTS idx_banned_customers_dob_bidx ON banned_customers(dob_bidx);
+CREATE INDEX IF NOT EXISTS idx_banned_customers_last_name_phonetic_bidx ON banned_customers(last_name_phonetic_bidx);
+CREATE INDEX IF NOT EXISTS idx_banned_customers_dob ON banned_customers(date_of_birth);
 CREATE INDEX IF NOT EXISTS idx_banned_customers_doc ON banned_customers(document_number);
 CREATE INDEX IF NOT EXISTS idx_banned_customers_type ON banned_customers(document_type);
 CREATE INDEX IF NOT EXISTS idx_banned_customers_country ON banned_customers(issuing_country);
 CREATE INDEX IF NOT EXISTS idx_banned_customers_banned_location ON banned_customers(banned_location_id);
 CREATE INDEX IF NOT EXISTS idx_banned_customers_name_dob ON banned_customers(lower(first_name), lower(last_name), date_of_birth);
 
+-- Ban terms: a ban applies from starts_at until ends_at (NULL = indefinite) at the outlets in its scope, until it
+-- is lifted. Lifting sets lifted_at instead of deleting the row. banned_location_id stays the outlet that issued it.
+ALTER TABLE IF EXISTS banned_customers ADD COLUMN IF NOT EXISTS starts_at TIMESTAMPTZ;
+UPDATE banned_customers SET starts_at = created_at WHERE starts_at IS NULL;
+ALTER TABLE IF EXISTS banned_customers ALTER COLUMN starts_at SET DEFAULT NOW();
+ALTER TABLE IF EXISTS banned_customers ALTER COLUMN starts_at SET NOT NULL;
+ALTER TABLE IF EXISTS banned_customers ADD COLUMN IF NOT EXISTS ends_at TIMESTAMPTZ;
+ALTER TABLE IF EXISTS banned_customers ADD COLUMN IF NOT EXISTS scope VARCHAR(20) NOT NULL DEFAULT 'chain'
+  CHECK (scope IN ('chain', 'outlet', 'outlets'));
+ALTER TABLE IF EXISTS banned_customers ADD COLUMN IF NOT EXISTS outlet_ids TEXT[] NOT NULL DEFAULT '{}';
+ALTER TABLE IF EXISTS banned_customers ADD COLUMN IF NOT EXISTS reason_category VARCHAR(40) NOT NULL DEFAULT 'other';
+ALTER TABLE IF EXISTS banned_customers ADD COLUMN IF NOT EXISTS lifted_at TIMESTAMPTZ;
+ALTER TABLE IF EXISTS banned_customers ADD COLUMN IF NOT EXISTS lifted_by VARCHAR(254);
+ALTER TABLE IF EXISTS banned_customers ADD COLUMN IF NOT EXISTS lift_reason TEXT;
+CREATE INDEX IF NOT EXISTS idx_banned_customers_outlet_ids ON banned_customers USING GIN (outlet_ids);
+
+-- Every change to a ban's terms (created, updated, lifted), newest last. terms holds no PII.
+CREATE TABLE IF NOT EXISTS banned_customer_revisions (
+  id BIGSERIAL PRIMARY KEY,
+  banned_id UUID NOT NULL REFERENCES banned_customers(id),
+  action VARCHAR(20) NOT NULL CHECK (action IN ('created', 'updated', 'lifted')),
+  changed_by VARCHAR(254),
+  note TEXT,
+  terms JSONB NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_banned_customer_revisions_banned ON banned_customer_revisions (banned_id, created_at);
+
+-- Bans captured from a scan (POST /api/verifications/:verificationId/ban) keep the scan they came from; earlier scans
+-- of the same document are flagged with the ban that now covers them.
+ALTER TABLE IF EXISTS banned_customers ADD COLUMN IF NOT EXISTS source_verification_id VARCHAR(100);
+ALTER TABLE IF EXISTS verifications ADD COLUMN IF NOT EXISTS banned_flag_id UUID REFERENCES banned_customers(id) ON DELETE SET NULL;
+ALTER TABLE IF EXISTS verifications ADD COLUMN IF NOT EXISTS banned_flagged_at TIMESTAMPTZ;
+CREATE INDEX IF NOT EXISTS idx_verifications_banned_flag ON verifications(banned_flag_id) WHERE banned_flag_id IS NOT NULL;
+
+-- Alerts raised by the compliance alert rules (see alerting.js), with the outcome per channel. Holds ids, never PII.
+CREATE TABLE IF NOT EXISTS alert_history (
+  id BIGSERIAL PRIMARY KEY,
+  rule_id VARCHAR(100) NOT NULL,
+  rule_type VARCHAR(50) NOT NULL,
+  severity VARCHAR(20) NOT NULL,
+  dedupe_key VARCHAR(200) NOT NULL,
+  outlet_id VARCHAR(100),
+  verification_id VARCHAR(100),
+  summary TEXT NOT NULL,
+  details JSONB NOT NULL DEFAULT '{}'::jsonb,
+  deliveries JSONB NOT NULL DEFAULT '{}'::jsonb,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_alert_history_rule_dedupe ON alert_history (rule_id, dedupe_key, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_alert_history_created_at ON alert_history (created_at DESC);
+
+-- Sales Lightspeed reported CLOSED (sale.update webhook) without an approved, unexpired verification. One row per sale.
+CREATE TABLE IF NOT EXISTS compliance_exceptions (
+  id BIGSERIAL PRIMARY KEY,
+  sale_id VARCHAR(100) NOT NULL UNIQUE,
+  outlet_id VARCHAR(100),
+  register_id VARCHAR(100),
+  user_id VARCHAR(100),
+  reason VARCHAR(50) NOT NULL,
+  verification_id VARCHAR(100),
+  sale_closed_at TIMESTAMPTZ,
+  webhook_event_id BIGINT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_compliance_exceptions_created_at ON compliance_exceptions (created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_compliance_exceptions_outlet ON compliance_exceptions (outlet_id, created_at DESC);
+
+-- Live scan sessions shared across instances (SALE_VERIFICATION_STORE=postgres). Short-lived: rows expire after 15 minutes.
+CREATE TABLE IF NOT EXISTS sale_verification_sessions (
+  sale_id VARCHAR(100) PRIMARY KEY,
+  session JSONB NOT NULL,
+  version INTEGER NOT NULL DEFAULT 0,
+  expires_at TIMESTAMPTZ NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_sale_verification_sessions_expires_at ON sale_verification_sessions(expires_at);
+
 -- Compliance Reports View (Easy exports for TABC inspections)
 -- This view joins verifications with sales completions for complete audit trail
 CREATE OR REPLACE VIEW compliance_report AS
@@ -142,7 +365,11 @@ SELECT
     WHEN sc.completed_at IS NOT NULL THEN 'completed'
     WHEN v.status = 'rejected' THEN 'rejected'
     ELSE 'pending'
-  END AS sale_status
+  END AS sale_status,
+  -- Encrypted PII (decrypt with piiCrypto.revealRow); the plaintext columns above are NULL for these rows.
+  v.pii_key_id,
+  v.pii_dek,
+  v.pii_ciphertext
 FROM verifications v
 LEFT JOIN sales_completions sc ON v.verification_id = sc.verification_id
 ORDER BY v.created_at DESC;
@@ -183,6 +410,23 @@ BEGIN
 END;
 $$;
 
+-- The audit ledger is append-only
+CREATE OR REPLACE FUNCTION reject_compliance_audit_ledger_change()
+RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION 'compliance_audit_ledger is append-only';
+END;
+$$ language 'plpgsql';
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_trigger WHERE tgname = 'compliance_audit_ledger_append_only') THEN
+    CREATE TRIGGER compliance_audit_ledger_append_only BEFORE UPDATE OR DELETE
+      ON compliance_audit_ledger FOR EACH ROW EXECUTE FUNCTION reject_compliance_audit_ledger_change();
+  END IF;
+END;
+$$;
+
 -- Comments for documentation
 COMMENT ON TABLE verifications IS 'TABC Compliance: All age verifications for consumable hemp products. Required by Texas law.';
 COMMENT ON TABLE sales_completions IS 'TABC Compliance: Completed sales linked to age verifications.';
@@ -191,3 +435,14 @@ COMMENT ON COLUMN verifications.ip_address IS 'Audit trail: IP address of the de
 COMMENT ON COLUMN verifications.user_agent IS 'Audit trail: Browser/device information';
 COMMENT ON COLUMN verifications.location_id IS 'Which of the 13 THC Club locations performed this verification';
 COMMENT ON TABLE banned_customers IS 'IDs that are banned from completing a sale.';
+COMMENT ON COLUMN verifications.pii_ciphertext IS 'Envelope-encrypted PII (AES-256-GCM); data key in pii_dek, wrapped by key pii_key_id. See backend/src/piiCrypto.js';
+COMMENT ON COLUMN banned_customers.pii_ciphertext IS 'Envelope-encrypted PII (AES-256-GCM); exact-match lookups use the *_bidx HMAC columns.';
+COMMENT ON COLUMN verifications.banned_flag_id IS 'Ban added after this scan for the same document; set when a manager bans from a verification.';
+COMMENT ON TABLE banned_customer_revisions IS 'History of ban terms (dates, scope, reason category) and lifts. Bans are lifted, never deleted.';
+COMMENT ON TABLE sale_verification_sessions IS 'Live scan/poll sessions for the payment gateway. Not a compliance record; expired rows are purged.';
+COMMENT ON TABLE managers IS 'TABC Compliance: people who can approve a manual ID override. Deactivated, never deleted.';
+COMMENT ON TABLE compliance_audit_ledger IS 'TABC Compliance: tamper-evident, append-only log of audit-trail writes. Check with GET /admin/compliance/verify-ledger.';
+COMMENT ON TABLE retention_legal_holds IS 'TABC Compliance: legal holds exempting a sale, document or outlet from retention deletion. Released, never deleted.';
+COMMENT ON TABLE admin_users IS 'Admin console accounts. Deactivate instead of deleting so audit logs keep resolving.';
+COMMENT ON TABLE alert_history IS 'Compliance alerts (underage bursts, banned hits, multi-outlet documents, fake-ID suspicions, override bursts, sales closed without a scan) and their deliveries.';
+COMMENT ON TABLE compliance_exceptions IS 'Closed sales without an approved, unexpired ID verification, recorded from Lightspeed sale.update webhooks.';
@@ -0,0 +1,28 @@
+"use strict";
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+// Salted scrypt hashes for short shared secrets (manager PINs, admin passwords). Stored as scrypt$<salt>$<hash>.
+
+const scrypt = promisify(crypto.scrypt);
+const SCRYPT_KEYLEN = 32;
+
+async function hashSecret(secret) {
+  const salt = crypto.randomBytes(16);
+  const derived = await scrypt(String(secret), salt, SCRYPT_KEYLEN);
+  return `scrypt$${salt.toString('base64')}$${derived.toString('base64')}`;
+}
+
+async function verifySecret(secret, stored) {
+  const [scheme, saltB64, hashB64] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !saltB64 || !hashB64) return false;
+  const expected = Buffer.from(hashB64, 'base64');
+  const derived = await scrypt(String(secret), Buffer.from(saltB64, 'base64'), expected.length);
+  return crypto.timingSafeEqual(derived, expected);
+}
+
+module.exports = {
+  hashSecret,
+  verifySecret
+};
@@ -1,4 +1,4 @@
-const { body, param, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const logger = require('./logger');
 
 /**
@@ -157,6 +157,20 @@ const validateVerification = [
     .isLength({ min: 1, max: 50 })
     .withMessage('Source must be a short identifier'),
 
+  body('scan.address1')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('scan.address1 must be under 200 characters'),
+
+  body('scan.postalCode')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 20 })
+    .withMessage('scan.postalCode must be under 20 characters'),
+
   body('scan.reason')
     .optional()
     .isString()
@@ -164,6 +178,20 @@ const validateVerification = [
     .isLength({ max: 500 })
     .withMessage('Reason must be under 500 characters'),
 
+  body('scan.mrz')
+    .optional()
+    .custom((value) => {
+      const lines = typeof value === 'string' ? value.split(/[\r\n]+/) : value;
+      if (!Array.isArray(lines) || lines.length < 1 || lines.length > 3) {
+        throw new Error('scan.mrz must be 1-3 lines');
+      }
+      if (!lines.every((line) => typeof line === 'string' && line.length <= 60)) {
+        throw new Error('scan.mrz lines must be strings under 60 characters');
+      }
+      return true;
+    })
+    .withMessage('scan.mrz must be the raw MRZ as a string or an array of up to 3 lines'),
+
   handleValidationErrors
 ];
 
@@ -193,6 +221,37 @@ const validateCompletion = [
   handleValidationErrors
 ];
 
+/**
+ * Validation rules for the v2 completion endpoint (verification ID in the path)
+ */
+const validateVerificationCompletion = [
+  param('saleId')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .matches(/^[a-zA-Z0-9\-_]+$/)
+    .withMessage('Invalid sale ID format'),
+
+  param('verificationId')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Verification ID is required'),
+
+  body('paymentType')
+    .isString()
+    .trim()
+    .isIn(['cash', 'card'])
+    .withMessage('Payment type must be either "cash" or "card"'),
+
+  body('amount')
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage('Amount must be a non-negative number'),
+
+  handleValidationErrors
+];
+
 /**
  * Validation rules for sale ID parameter
  */
@@ -207,6 +266,42 @@ const validateSaleId = [
   handleValidationErrors
 ];
 
+const BAN_REASON_CATEGORIES = ['fake_id', 'third_party_purchase', 'underage_attempt', 'theft', 'abusive_behavior', 'other'];
+
+// Ban terms, shared by every way of creating a ban.
+const banTermRules = [
+  body('startsAt')
+    .optional({ nullable: true, checkFalsy: true })
+    .isISO8601()
+    .withMessage('startsAt must be an ISO 8601 date'),
+
+  body('endsAt')
+    .optional({ nullable: true, checkFalsy: true })
+    .isISO8601()
+    .withMessage('endsAt must be an ISO 8601 date'),
+
+  body('scope')
+    .optional({ nullable: true, checkFalsy: true })
+    .isIn(['chain', 'outlet', 'outlets'])
+    .withMessage('scope must be chain, outlet or outlets'),
+
+  body('outletIds')
+    .optional({ nullable: true })
+    .isArray({ max: 50 })
+    .withMessage('outletIds must be an array of outlet IDs'),
+
+  body('outletIds.*')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Each outlet ID must be 1-100 characters'),
+
+  body('reasonCategory')
+    .optional({ nullable: true, checkFalsy: true })
+    .isIn(BAN_REASON_CATEGORIES)
+    .withMessage(`reasonCategory must be one of: ${BAN_REASON_CATEGORIES.join(', ')}`)
+];
+
 const validateBannedCreate = [
   body('documentType')
     .isString()
@@ -271,6 +366,20 @@ const validateBannedCreate = [
     .isEmail()
     .withMessage('email must be a valid email address'),
 
+  body('address')
+    .optional({ nullable: true, checkFalsy: true })
+    .isString()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('address must be under 200 characters'),
+
+  body('postalCode')
+    .optional({ nullable: true, checkFalsy: true })
+    .isString()
+    .trim()
+    .matches(/^[A-Za-z0-9 -]{3,20}$/)
+    .withMessage('postalCode must be 3-20 letters, digits, spaces or hyphens'),
+
   body('notes')
     .optional({ nullable: true, checkFalsy: true })
     .isString()
@@ -278,6 +387,8 @@ const validateBannedCreate = [
     .isLength({ max: 500 })
     .withMessage('notes must be under 500 characters'),
 
+  ...banTermRules,
+
   body().custom((value) => {
     const firstName = String(value?.firstName || '').trim();
     const lastName = String(value?.lastName || '').trim();
@@ -325,6 +436,13 @@ const validateOverride = [
     .isLength({ max: 100 })
     .withMessage('managerId must be under 100 characters'),
 
+  body('outletId')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('outletId must be under 100 characters'),
+
   body('note')
     .optional()
     .isString()
@@ -342,13 +460,303 @@ const validateBannedId = [
   handleValidationErrors
 ];
 
+const validateBannedLift = [
+  ...validateBannedId.slice(0, -1),
+  body('reason')
+    .isString()
+    .trim()
+    .isLength({ min: 3, max: 500 })
+    .withMessage('reason must be 3-500 characters'),
+  handleValidationErrors
+];
+
+// The upload itself is checked row by row in bannedImport.js; a raw text/csv body carries its options in the query.
+const validateBannedImport = [
+  body('format')
+    .optional()
+    .isIn(['csv', 'json'])
+    .withMessage('format must be csv or json'),
+  body('mapping')
+    .optional()
+    .isObject()
+    .withMessage('mapping must be an object of { field: column }'),
+  ...[body, query].flatMap((location) => [
+    location('dryRun')
+      .optional()
+      .isBoolean()
+      .withMessage('dryRun must be true or false'),
+    location('onConflict')
+      .optional()
+      .isIn(['skip', 'overwrite'])
+      .withMessage('onConflict must be skip or overwrite')
+  ]),
+  handleValidationErrors
+];
+
+const validateBanFromVerification = [
+  param('verificationId')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Invalid verification ID'),
+
+  body('managerPin')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('managerPin is required'),
+
+  body('managerId')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('managerId must be under 100 characters'),
+
+  body('outletId')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('outletId must be under 100 characters'),
+
+  body('reason')
+    .isString()
+    .trim()
+    .isLength({ min: 3, max: 500 })
+    .withMessage('reason must be 3-500 characters'),
+
+  body('lookbackDays')
+    .optional()
+    .isInt({ min: 0, max: 365 })
+    .withMessage('lookbackDays must be 0-365'),
+
+  ...banTermRules,
+
+  handleValidationErrors
+];
+
+const managerPinRule = (field) => body(field)
+  .isString()
+  .matches(/^\d{4,8}$/)
+  .withMessage(`${field} must be 4-8 digits`);
+
+const managerOutletRules = [
+  body('outletIds')
+    .optional()
+    .isArray({ max: 50 })
+    .withMessage('outletIds must be an array of outlet IDs'),
+
+  body('outletIds.*')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Each outlet ID must be 1-100 characters'),
+
+  body('allOutlets')
+    .optional()
+    .isBoolean()
+    .withMessage('allOutlets must be a boolean')
+];
+
+const managerProfileRules = (optional) => [
+  (optional ? body('name').optional() : body('name'))
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 150 })
+    .withMessage('name is required and must be under 150 characters'),
+
+  body('employeeCode')
+    .optional({ nullable: true })
+    .isString()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('employeeCode must be under 100 characters'),
+
+  body('email')
+    .optional({ nullable: true, checkFalsy: true })
+    .isEmail()
+    .withMessage('email must be a valid email address'),
+
+  ...managerOutletRules
+];
+
+const validateManagerId = [
+  param('id')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .matches(/^[a-zA-Z0-9\-_]+$/)
+    .withMessage('Invalid manager id'),
+  handleValidationErrors
+];
+
+const validateManagerCreate = [
+  ...managerProfileRules(false),
+  managerPinRule('pin'),
+  body().custom((value) => {
+    if (!value?.allOutlets && !(Array.isArray(value?.outletIds) && value.outletIds.length)) {
+      throw new Error('Provide outletIds or set allOutlets');
+    }
+    return true;
+  }),
+  handleValidationErrors
+];
+
+const validateManagerUpdate = [
+  ...validateManagerId.slice(0, -1),
+  ...managerProfileRules(true),
+  body('pin')
+    .not()
+    .exists()
+    .withMessage('Use POST /admin/managers/:id/pin to change a PIN'),
+  handleValidationErrors
+];
+
+const validateManagerPin = [
+  ...validateManagerId.slice(0, -1),
+  managerPinRule('pin'),
+  handleValidationErrors
+];
+
+const validateLegalHoldCreate = [
+  body('scope')
+    .isIn(['sale', 'document', 'outlet'])
+    .withMessage('scope must be sale, document or outlet'),
+  body('value')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 150 })
+    .withMessage('value must be 1-150 characters'),
+  body('reason')
+    .isString()
+    .trim()
+    .isLength({ min: 3, max: 500 })
+    .withMessage('reason must be 3-500 characters'),
+  handleValidationErrors
+];
+
+const validateLegalHoldRelease = [
+  param('id')
+    .isUUID()
+    .withMessage('Invalid legal hold id'),
+  body('note')
+    .optional({ nullable: true })
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('note must be at most 500 characters'),
+  handleValidationErrors
+];
+
+const ADMIN_USER_ROLES = ['owner', 'compliance', 'store_manager', 'analyst'];
+
+const adminOutletRule = body('outletIds')
+  .optional()
+  .isArray({ max: 50 })
+  .withMessage('outletIds must be an array of outlet IDs');
+
+const adminOutletItemRule = body('outletIds.*')
+  .isString()
+  .trim()
+  .isLength({ min: 1, max: 100 })
+  .withMessage('Each outlet ID must be 1-100 characters');
+
+const requireOutletsForStoreManager = body().custom((value) => {
+  if (value?.role === 'store_manager' && !(Array.isArray(value?.outletIds) && value.outletIds.length)) {
+    throw new Error('store_manager accounts need at least one outlet in outletIds');
+  }
+  return true;
+});
+
+const adminPasswordRule = body('password')
+  .isString()
+  .isLength({ min: 12, max: 200 })
+  .withMessage('password must be 12-200 characters');
+
+const validateAdminUserId = [
+  param('id')
+    .isUUID()
+    .withMessage('Invalid admin user id'),
+  handleValidationErrors
+];
+
+const validateAdminUserCreate = [
+  body('email')
+    .isEmail()
+    .withMessage('A valid email is required'),
+
+  body('name')
+    .optional({ nullable: true })
+    .isString()
+    .trim()
+    .isLength({ max: 150 })
+    .withMessage('name must be under 150 characters'),
+
+  body('role')
+    .isIn(ADMIN_USER_ROLES)
+    .withMessage(`role must be one of: ${ADMIN_USER_ROLES.join(', ')}`),
+
+  adminOutletRule,
+  adminOutletItemRule,
+  requireOutletsForStoreManager,
+  adminPasswordRule,
+  handleValidationErrors
+];
+
+const validateAdminUserUpdate = [
+  ...validateAdminUserId.slice(0, -1),
+
+  body('name')
+    .optional({ nullable: true })
+    .isString()
+    .trim()
+    .isLength({ max: 150 })
+    .withMessage('name must be under 150 characters'),
+
+  body('role')
+    .optional()
+    .isIn(ADMIN_USER_ROLES)
+    .withMessage(`role must be one of: ${ADMIN_USER_ROLES.join(', ')}`),
+
+  adminOutletRule,
+  adminOutletItemRule,
+  requireOutletsForStoreManager,
+
+  body('password')
+    .not()
+    .exists()
+    .withMessage('Use POST /admin/users/:id/password to change a password'),
+
+  handleValidationErrors
+];
+
+const validateAdminUserPassword = [
+  ...validateAdminUserId.slice(0, -1),
+  adminPasswordRule,
+  handleValidationErrors
+];
+
 module.exports = {
   handleValidationErrors,
   sanitizeString,
   validateVerification,
   validateCompletion,
+  validateVerificationCompletion,
   validateSaleId,
   validateBannedCreate,
   validateBannedId,
-  validateOverride
+  validateBannedLift,
+  validateBannedImport,
+  validateBanFromVerification,
+  validateOverride,
+  validateManagerId,
+  validateManagerCreate,
+  validateManagerUpdate,
+  validateManagerPin,
+  validateLegalHoldCreate,
+  validateLegalHoldRelease,
+  validateAdminUserId,
+  validateAdminUserCreate,
+  validateAdminUserUpdate,
+  validateAdminUserPassword
 };
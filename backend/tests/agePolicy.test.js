@@ -0,0 +1,91 @@
+"use strict";
+
+const { loadAgePolicy, resolveAgeRequirement } = require('../src/agePolicy');
+
+const PRODUCTS = {
+  'P-FLOWER': { productId: 'P-FLOWER', categoryId: 'CAT-THC', categoryName: 'Flower' },
+  'P-PAPERS': { productId: 'P-PAPERS', categoryId: 'CAT-ACC', categoryName: 'Accessories' },
+  'P-KRATOM': { productId: 'P-KRATOM', categoryId: 'CAT-KRA', categoryName: 'Kratom' }
+};
+
+const getProductById = jest.fn(async (id) => PRODUCTS[id] || null);
+
+function withRules(rules) {
+  process.env.AGE_POLICY_RULES = JSON.stringify(rules);
+  return loadAgePolicy();
+}
+
+function sale(outletId, ...productIds) {
+  return { saleId: 'SALE-1', outletId, items: productIds.map((id) => ({ product_id: id, quantity: 1 })) };
+}
+
+describe('age policy', () => {
+  const originalEnv = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+    getProductById.mockClear();
+  });
+
+  it('defaults to MINIMUM_AGE, then 21', async () => {
+    delete process.env.AGE_POLICY_RULES;
+    delete process.env.MINIMUM_AGE;
+    expect(await resolveAgeRequirement({ sale: sale('OUT-1', 'P-FLOWER'), getProductById })).toMatchObject({ minimumAge: 21, rule: 'default' });
+
+    process.env.MINIMUM_AGE = '19';
+    expect((await resolveAgeRequirement({ sale: null })).minimumAge).toBe(19);
+  });
+
+  it('uses the outlet baseline without looking up products when no category rules exist', async () => {
+    const policy = withRules({ outlets: { 'OUT-18': 18 } });
+
+    const result = await resolveAgeRequirement({ sale: sale('OUT-18', 'P-FLOWER'), getProductById, policy });
+
+    expect(result).toMatchObject({ minimumAge: 18, rule: 'outlet', ruleId: 'outlet:OUT-18' });
+    expect(getProductById).not.toHaveBeenCalled();
+  });
+
+  it('requires the highest minimum age in the cart and reports the product that set it', async () => {
+    const policy = withRules({ outlets: { 'OUT-18': 18 }, categories: { 'CAT-THC': 21, accessories: 18 } });
+
+    const result = await resolveAgeRequirement({ sale: sale('OUT-18', 'P-PAPERS', 'P-FLOWER'), getProductById, policy });
+
+    expect(result).toMatchObject({ minimumAge: 21, rule: 'category', ruleId: 'category:cat-thc', productId: 'P-FLOWER', categoryId: 'CAT-THC' });
+  });
+
+  it('lets an all-18+ cart pass at a 21+ outlet', async () => {
+    const policy = withRules({ categories: { accessories: 18 } });
+
+    const result = await resolveAgeRequirement({ sale: sale('OUT-1', 'P-PAPERS'), getProductById, policy });
+
+    expect(result).toMatchObject({ minimumAge: 18, rule: 'category' });
+  });
+
+  it('prefers outlet-specific category rules', async () => {
+    const policy = withRules({ categories: { kratom: 18 }, outletCategories: { 'OUT-DAL': { kratom: 21 } } });
+
+    expect((await resolveAgeRequirement({ sale: sale('OUT-1', 'P-KRATOM'), getProductById, policy })).minimumAge).toBe(18);
+    expect(await resolveAgeRequirement({ sale: sale('OUT-DAL', 'P-KRATOM'), getProductById, policy })).toMatchObject({
+      minimumAge: 21,
+      rule: 'outlet_category',
+      ruleId: 'outlet_category:OUT-DAL/kratom'
+    });
+  });
+
+  it('applies the strictest configured age when a product or the sale cannot be resolved', async () => {
+    const policy = withRules({ defaultMinimumAge: 18, categories: { accessories: 18, flower: 21 } });
+
+    expect(await resolveAgeRequirement({ sale: sale('OUT-1', 'P-UNKNOWN'), getProductById, policy })).toMatchObject({
+      minimumAge: 21,
+      rule: 'unresolved_product',
+      productId: 'P-UNKNOWN'
+    });
+    expect(await resolveAgeRequirement({ saleUnavailable: true, outletId: 'OUT-1', policy })).toMatchObject({ minimumAge: 21, rule: 'unresolved_product' });
+  });
+
+  it('ignores invalid JSON', () => {
+    process.env.AGE_POLICY_RULES = '{not json';
+    delete process.env.MINIMUM_AGE;
+    expect(loadAgePolicy()).toEqual({ defaultMinimumAge: 21, outlets: {}, categories: {}, outletCategories: {} });
+  });
+});
@@ -0,0 +1,227 @@
+"use strict";
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../src/db', () => ({
+  query: jest.fn(),
+  pool: {}
+}));
+
+jest.mock('../src/emailService', () => ({
+  sendAlertEmail: jest.fn()
+}));
+
+const db = require('../src/db');
+const alerting = require('../src/alerting');
+
+const verificationRow = (overrides = {}) => ({
+  verification_id: 'ver-1',
+  sale_id: 'SALE-1',
+  status: 'rejected',
+  reason: 'Underage (19)',
+  document_type: 'drivers_license',
+  document_number: 'D1234567',
+  issuing_country: 'USA',
+  location_id: 'outlet-1',
+  ...overrides
+});
+
+// Answers the alerting queries: counts/outlet groupings from `state`, alert_history inserts unless `throttled`.
+function mockDatabase(state = {}) {
+  const inserted = [];
+  db.query.mockImplementation(async (sql, params) => {
+    if (sql.includes('INSERT INTO alert_history')) {
+      if (state.throttled) return { rows: [] };
+      const row = {
+        id: String(inserted.length + 1),
+        rule_id: params[0],
+        rule_type: params[1],
+        severity: params[2],
+        dedupe_key: params[3],
+        outlet_id: params[4],
+        verification_id: params[5],
+        summary: params[6],
+        details: JSON.parse(params[7]),
+        throttle_minutes: params[8],
+        created_at: new Date('2026-02-01T12:00:00.000Z')
+      };
+      inserted.push(row);
+      return { rows: [row] };
+    }
+    if (sql.includes('GROUP BY location_id')) return { rows: state.outlets || [] };
+    if (sql.includes('FROM verification_overrides')) return { rows: [{ count: state.overrides || 0 }] };
+    if (sql.includes('FROM verifications')) return { rows: [{ count: state.underage || 0 }] };
+    return { rows: [] };
+  });
+  return inserted;
+}
+
+describe('alerting', () => {
+  const env = { ...process.env };
+  let dir;
+  let filePath;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'alerts-'));
+    filePath = path.join(dir, 'alerts.ndjson');
+    process.env.ALERT_CHANNELS = 'file';
+    process.env.ALERT_FILE_PATH = filePath;
+    delete process.env.ALERT_RULES;
+    delete process.env.ALERTS_ENABLED;
+    db.query.mockReset();
+  });
+
+  afterEach(() => {
+    process.env = { ...env };
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const fileAlerts = () => (fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8').trim().split('\n').map((line) => JSON.parse(line)) : []);
+
+  it('raises an underage burst alert once the outlet reaches the threshold and writes it to the file channel', async () => {
+    const inserted = mockDatabase({ underage: 3 });
+
+    const raised = await alerting.processEvent({ kind: 'verification', verification: verificationRow() });
+
+    expect(raised).toHaveLength(1);
+    expect(inserted[0]).toMatchObject({ rule_id: 'underage_burst', dedupe_key: 'outlet:outlet-1', outlet_id: 'outlet-1', throttle_minutes: 60 });
+    expect(raised[0].deliveries).toEqual({ file: { status: 'sent' } });
+    expect(db.query).toHaveBeenCalledWith('UPDATE alert_history SET deliveries = $2 WHERE id = $1', ['1', JSON.stringify({ file: { status: 'sent' } })]);
+    expect(fileAlerts()).toEqual([
+      expect.objectContaining({ ruleId: 'underage_burst', severity: 'warning', outletId: 'outlet-1', details: { count: 3, threshold: 3, windowMinutes: 30 } })
+    ]);
+  });
+
+  it('stays quiet below the threshold and for approved scans', async () => {
+    const inserted = mockDatabase({ underage: 2 });
+
+    await alerting.processEvent({ kind: 'verification', verification: verificationRow() });
+    await alerting.processEvent({ kind: 'verification', verification: verificationRow({ status: 'approved', reason: null }) });
+
+    expect(inserted).toHaveLength(0);
+    expect(fileAlerts()).toEqual([]);
+  });
+
+  it('does not deliver an alert suppressed by the rule throttle', async () => {
+    mockDatabase({ underage: 5, throttled: true });
+
+    const raised = await alerting.processEvent({ kind: 'verification', verification: verificationRow() });
+
+    expect(raised).toEqual([]);
+    expect(db.query).not.toHaveBeenCalledWith(expect.stringContaining('UPDATE alert_history'), expect.anything());
+    expect(fileAlerts()).toEqual([]);
+  });
+
+  it('alerts on banned hits and fake-ID suspicions without putting the document number in the alert', async () => {
+    const inserted = mockDatabase();
+
+    await alerting.processEvent({
+      kind: 'verification',
+      verification: verificationRow({ status: 'rejected', reason: 'Fake ID' }),
+      signals: { bannedId: 'ban-1', bannedMatch: 'block', bannedConfidence: 1, suspicions: ['banned_for_fake_id'] }
+    });
+
+    expect(inserted.map((row) => row.rule_id)).toEqual(['banned_hit', 'fake_id_suspicion']);
+    expect(inserted[0]).toMatchObject({ dedupe_key: 'ban:ban-1', severity: 'critical' });
+    expect(inserted[1].dedupe_key).toMatch(/^document:[0-9a-f]{64}$/);
+    expect(JSON.stringify(fileAlerts())).not.toContain('D1234567');
+  });
+
+  it('alerts when the same document was scanned at two outlets within the window', async () => {
+    const inserted = mockDatabase({
+      outlets: [
+        { location_id: 'outlet-2', scans: 1, last_seen_at: '2026-02-01T11:30:00.000Z' },
+        { location_id: 'outlet-1', scans: 1, last_seen_at: '2026-02-01T12:00:00.000Z' }
+      ]
+    });
+
+    await alerting.processEvent({ kind: 'verification', verification: verificationRow({ status: 'approved', reason: null }) });
+
+    expect(inserted).toHaveLength(1);
+    expect(inserted[0].rule_id).toBe('document_multi_outlet');
+    expect(inserted[0].summary).toBe('Same ID scanned at 2 outlets within 60 minutes (outlet-2, outlet-1)');
+  });
+
+  it('raises a critical alert for a sale the webhook gate recorded as sold without a scan', async () => {
+    const inserted = mockDatabase();
+
+    await alerting.processEvent({
+      kind: 'sale',
+      exception: { id: '7', saleId: 'SALE-9', outletId: 'outlet-1', registerId: 'reg-2', userId: 'u-3', reason: 'NO_VERIFICATION' }
+    });
+
+    expect(inserted).toHaveLength(1);
+    expect(inserted[0]).toMatchObject({
+      rule_id: 'sold_without_scan',
+      severity: 'critical',
+      dedupe_key: 'sale:SALE-9',
+      outlet_id: 'outlet-1',
+      throttle_minutes: 0,
+      summary: 'Sale SALE-9 closed without an approved ID scan (outlet outlet-1, register reg-2, user u-3)'
+    });
+    expect(inserted[0].details).toMatchObject({ saleId: 'SALE-9', reason: 'NO_VERIFICATION', exceptionId: '7' });
+  });
+
+  it('applies ALERT_RULES overrides and custom rules, and ignores invalid JSON', async () => {
+    process.env.ALERT_RULES = JSON.stringify({
+      underage_burst: { enabled: false },
+      override_burst: { threshold: 5, channels: 'webhook' },
+      strict_underage: { type: 'underage_rejections', threshold: 1, severity: 'critical' },
+      broken: { threshold: 2 }
+    });
+
+    const rules = Object.fromEntries(alerting.loadRules().map((rule) => [rule.id, rule]));
+    expect(rules.underage_burst.enabled).toBe(false);
+    expect(rules.override_burst).toMatchObject({ threshold: 5, windowMinutes: 10, channels: ['webhook'] });
+    expect(rules.strict_underage).toMatchObject({ type: 'underage_rejections', threshold: 1, severity: 'critical', channels: ['file'] });
+    expect(rules.broken).toBeUndefined();
+
+    const inserted = mockDatabase({ underage: 1 });
+    await alerting.processEvent({ kind: 'verification', verification: verificationRow() });
+    expect(inserted.map((row) => row.rule_id)).toEqual(['strict_underage']);
+
+    process.env.ALERT_RULES = '{not json';
+    expect(alerting.loadRules().map((rule) => rule.id)).toEqual(Object.keys(alerting.DEFAULT_RULES));
+  });
+
+  it('signs webhook deliveries and records failed channels without throwing', async () => {
+    process.env.ALERT_CHANNELS = 'webhook,pager';
+    process.env.ALERT_WEBHOOK_URL = 'https://hooks.example.test/alerts';
+    process.env.ALERT_WEBHOOK_SECRET = 'shh';
+    const originalFetch = global.fetch;
+    global.fetch = jest.fn().mockResolvedValue({ ok: true, status: 200 });
+    mockDatabase({ overrides: 3 });
+
+    try {
+      const raised = await alerting.processEvent({
+        kind: 'override',
+        outletId: 'outlet-1',
+        saleId: 'SALE-1',
+        verificationId: 'ver-1',
+        manager: { id: 'mgr-1', name: 'Dana' },
+        note: 'Checked passport'
+      });
+
+      expect(raised[0].deliveries).toEqual({ webhook: { status: 'sent' }, pager: { status: 'failed', error: 'UNKNOWN_CHANNEL' } });
+      const [url, request] = global.fetch.mock.calls[0];
+      expect(url).toBe('https://hooks.example.test/alerts');
+      expect(JSON.parse(request.body)).toMatchObject({ ruleId: 'override_burst', outletId: 'outlet-1' });
+      expect(request.headers['X-Alert-Signature']).toBe(
+        `sha256=${crypto.createHmac('sha256', 'shh').update(request.body).digest('hex')}`
+      );
+    } finally {
+      global.fetch = originalFetch;
+    }
+  });
+
+  it('does nothing when alerting is disabled', async () => {
+    process.env.ALERTS_ENABLED = 'false';
+    mockDatabase({ underage: 10 });
+
+    await expect(alerting.processEvent({ kind: 'verification', verification: verificationRow() })).resolves.toEqual([]);
+    expect(db.query).not.toHaveBeenCalled();
+  });
+});
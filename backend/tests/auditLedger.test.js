@@ -0,0 +1,121 @@
+"use strict";
+
+jest.mock('../src/db', () => ({
+  pool: { connect: jest.fn() },
+  query: jest.fn()
+}));
+
+const db = require('../src/db');
+const auditLedger = require('../src/auditLedger');
+
+// Minimal stand-in for the compliance_audit_ledger table, shaped like what pg returns.
+let ledger;
+let client;
+
+function installFakeLedger() {
+  ledger = [];
+  client = {
+    query: jest.fn(async (sql, params) => {
+      if (/^(BEGIN|COMMIT|ROLLBACK)$/.test(sql) || sql.includes('pg_advisory_xact_lock')) return { rows: [] };
+      if (sql.includes('ORDER BY seq DESC LIMIT 1')) {
+        return { rows: ledger.length ? [ledger[ledger.length - 1]] : [] };
+      }
+      if (sql.includes('INSERT INTO compliance_audit_ledger')) {
+        const [seq, eventType, entityType, entityId, payload, recordedAt, prevHash, entryHash] = params;
+        ledger.push({
+          seq,
+          event_type: eventType,
+          entity_type: entityType,
+          entity_id: entityId,
+          payload: JSON.parse(payload),
+          recorded_at: new Date(recordedAt),
+          prev_hash: prevHash,
+          entry_hash: entryHash
+        });
+        return { rows: [] };
+      }
+      if (sql.includes('INSERT INTO verifications')) return { rows: [{ verification_id: params[0] }] };
+      throw new Error(`Unexpected query: ${sql}`);
+    }),
+    release: jest.fn()
+  };
+  db.pool.connect.mockResolvedValue(client);
+  db.query.mockImplementation(async (sql, params) => {
+    if (sql.includes('WHERE seq >=')) {
+      return { rows: ledger.filter((row) => BigInt(row.seq) >= BigInt(params[0])).slice(0, params[1]) };
+    }
+    return { rows: [] };
+  });
+}
+
+async function appendThree() {
+  for (const id of ['ver-1', 'ver-2', 'ver-3']) {
+    await auditLedger.withLedgerTransaction(async (tx, record) => {
+      await tx.query('INSERT INTO verifications (verification_id) VALUES ($1)', [id]);
+      record({ eventType: 'verification_recorded', entityType: 'verification', entityId: id, payload: { status: 'approved', at: new Date(0) } });
+    });
+  }
+}
+
+describe('auditLedger', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    installFakeLedger();
+  });
+
+  it('chains each entry to the previous one and verifies the chain', async () => {
+    await appendThree();
+
+    expect(ledger.map((row) => row.seq)).toEqual(['1', '2', '3']);
+    expect(ledger[0].prev_hash).toBe(auditLedger.GENESIS_HASH);
+    expect(ledger[1].prev_hash).toBe(ledger[0].entry_hash);
+    expect(ledger[2].prev_hash).toBe(ledger[1].entry_hash);
+    expect(client.release).toHaveBeenCalledTimes(3);
+
+    const result = await auditLedger.verifyLedger({ batchSize: 2 });
+    expect(result).toEqual({
+      ok: true,
+      entriesChecked: 3,
+      lastSeq: '3',
+      lastHash: ledger[2].entry_hash,
+      firstBrokenLink: null
+    });
+  });
+
+  it('reports an edited entry as the first broken link', async () => {
+    await appendThree();
+    ledger[1].payload = { ...ledger[1].payload, status: 'rejected' };
+
+    const result = await auditLedger.verifyLedger();
+    expect(result.ok).toBe(false);
+    expect(result.entriesChecked).toBe(1);
+    expect(result.firstBrokenLink).toMatchObject({ seq: '2', reason: 'HASH_MISMATCH', actual: ledger[1].entry_hash });
+  });
+
+  it('reports removed and re-linked entries', async () => {
+    await appendThree();
+    const [removed] = ledger.splice(1, 1);
+
+    const gap = await auditLedger.verifyLedger();
+    expect(gap.firstBrokenLink).toMatchObject({ seq: '3', reason: 'SEQUENCE_GAP', expected: '2' });
+
+    // Renumbering to hide the gap still breaks the hash links.
+    ledger[1] = { ...ledger[1], seq: removed.seq };
+    const relinked = await auditLedger.verifyLedger();
+    expect(relinked.firstBrokenLink).toMatchObject({ seq: '2', reason: 'PREV_HASH_MISMATCH', expected: ledger[0].entry_hash });
+  });
+
+  it('appends nothing when the change itself rolls back', async () => {
+    await expect(
+      auditLedger.withLedgerTransaction(async (tx, record) => {
+        record({ eventType: 'verification_recorded', entityType: 'verification', entityId: 'ver-1' });
+        throw new Error('insert failed');
+      })
+    ).rejects.toThrow('insert failed');
+
+    expect(ledger).toHaveLength(0);
+    expect(client.query).toHaveBeenCalledWith('ROLLBACK');
+    expect(client.query).not.toHaveBeenCalledWith('COMMIT');
+    expect(client.release).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,79 @@
+"use strict";
+
+const bannedImport = require('../src/bannedImport');
+
+describe('bannedImport', () => {
+  it('parses quoted CSV fields, CRLF line endings and blank lines', () => {
+    const { header, records } = bannedImport.parseCsv('\uFEFFa,b,c\r\n"x, y","say ""hi""","two\nlines"\r\n\r\n1,,3\n');
+
+    expect(header).toEqual(['a', 'b', 'c']);
+    expect(records).toEqual([
+      { line: 2, cells: ['x, y', 'say "hi"', 'two\nlines'] },
+      { line: 5, cells: ['1', '', '3'] }
+    ]);
+    expect(() => bannedImport.parseCsv('a\n"open')).toThrow('CSV_UNTERMINATED_QUOTE');
+  });
+
+  it('matches headers by name and lets an explicit mapping override them', () => {
+    expect(bannedImport.resolveColumns(['First Name', 'last_name', 'DOB', 'Zip', 'Other'])).toEqual({
+      firstName: 'First Name',
+      lastName: 'last_name',
+      dateOfBirth: 'DOB',
+      postalCode: 'Zip'
+    });
+    expect(bannedImport.resolveColumns(['Other', 'notes'], { notes: 'Other' })).toEqual({ notes: 'Other' });
+    expect(() => bannedImport.resolveColumns(['a'], { id: 'a' })).toThrow('UNKNOWN_MAPPING_FIELD');
+    expect(() => bannedImport.resolveColumns(['a'], { notes: 'b' })).toThrow('MAPPED_COLUMN_MISSING');
+  });
+
+  it('reads CSV and JSON uploads into mapped rows', () => {
+    const csv = bannedImport.readImportRows({
+      format: 'csv',
+      data: 'documentType,documentNumber,outletIds,notes\npassport, P1 ,o-1;o-2|o-3,\n'
+    });
+    expect(csv.rows).toEqual([
+      { line: 2, values: { documentType: 'passport', documentNumber: 'P1', outletIds: ['o-1', 'o-2', 'o-3'] } }
+    ]);
+
+    // The export's formula guard comes off again; a ' the user typed stays.
+    const guarded = bannedImport.readImportRows({
+      format: 'csv',
+      data: "documentType,phone,notes,lastName\npassport,'+1 555 0100,'=cmd,'Neil\n"
+    });
+    expect(guarded.rows[0].values).toEqual({ documentType: 'passport', phone: '+1 555 0100', notes: '=cmd', lastName: "'Neil" });
+
+    const json = bannedImport.readImportRows({ format: 'json', data: { entries: [{ documentType: 'passport', outletIds: ['o-1'] }] } });
+    expect(json.rows).toEqual([{ line: 1, values: { documentType: 'passport', outletIds: ['o-1'] } }]);
+
+    expect(() => bannedImport.readImportRows({ format: 'json', data: '{bad' })).toThrow('INVALID_IMPORT');
+    expect(() => bannedImport.readImportRows({ format: 'csv', data: [] })).toThrow('INVALID_IMPORT');
+    const tooMany = Array.from({ length: bannedImport.MAX_IMPORT_ROWS + 1 }, () => ({ documentType: 'passport' }));
+    expect(() => bannedImport.readImportRows({ format: 'json', data: tooMany })).toThrow('TOO_MANY_ROWS');
+  });
+
+  it('validates a row with the POST /banned rules', async () => {
+    const ok = await bannedImport.validateImportRow({ documentType: 'passport', documentNumber: ' P1 ', scope: 'outlet', outletIds: ['o-1'] });
+    expect(ok.errors).toEqual([]);
+    expect(ok.body.documentNumber).toBe('P1');
+
+    const bad = await bannedImport.validateImportRow({ documentType: 'pass port', dateOfBirth: '01/02/1990', reasonCategory: 'rude' });
+    expect(bad.errors.map((error) => error.field)).toEqual(['documentType', 'dateOfBirth', 'reasonCategory', null]);
+    expect(bad.errors[3].message).toMatch(/firstName and lastName are required/);
+  });
+
+  it('exports the import fields only', () => {
+    const record = bannedImport.toExportRecord({
+      id: 'ban-1',
+      documentType: 'passport',
+      documentNumber: 'P1',
+      dateOfBirth: new Date('1990-01-02T00:00:00.000Z'),
+      outletIds: ['o-1', 'o-2'],
+      startsAt: '2026-01-01T00:00:00.000Z',
+      pii_ciphertext: 'secret'
+    });
+
+    expect(Object.keys(record)).toEqual(bannedImport.BANNED_IMPORT_FIELDS);
+    expect(record).toMatchObject({ dateOfBirth: '1990-01-02', startsAt: '2026-01-01T00:00:00.000Z', scope: 'chain', reasonCategory: 'other' });
+    expect(bannedImport.toExportCsvRow(record).outletIds).toBe('o-1;o-2');
+  });
+});
@@ -0,0 +1,139 @@
+"use strict";
+
+jest.mock('../src/db', () => ({
+  query: jest.fn(),
+  pool: { connect: jest.fn() }
+}));
+
+const db = require('../src/db');
+const bannedMatcher = require('../src/bannedMatcher');
+const complianceStore = require('../src/complianceStore');
+
+const banned = {
+  id: 'ban-1',
+  document_type: 'drivers_license',
+  document_number: 'D1234567',
+  issuing_country: 'USA',
+  first_name: 'John',
+  last_name: 'Smith',
+  date_of_birth: new Date('1990-01-02T00:00:00.000Z'),
+  address: '12 Main Street',
+  postal_code: '78701',
+  notes: 'Fake ID'
+};
+
+describe('bannedMatcher', () => {
+  afterEach(() => {
+    delete process.env.BANNED_MATCH_HIGH_CONFIDENCE;
+    delete process.env.BANNED_MATCH_REVIEW_CONFIDENCE;
+  });
+
+  it('computes Soundex codes', () => {
+    expect(['Robert', 'Rupert', 'Ashcraft', 'Tymczak', 'Pfister'].map(bannedMatcher.soundex)).toEqual([
+      'R163', 'R163', 'A261', 'T522', 'P236'
+    ]);
+    expect(bannedMatcher.soundex('Jon')).toBe(bannedMatcher.soundex('John'));
+  });
+
+  it('compares names by spelling, sound, nickname and compound parts', () => {
+    expect(bannedMatcher.compareNames('JOSÉ', 'jose')).toBe('exact');
+    expect(bannedMatcher.compareNames('Smyth', 'Smith')).toBe('phonetic');
+    expect(bannedMatcher.compareNames('Bill', 'William', { nicknames: true })).toBe('phonetic');
+    expect(bannedMatcher.compareNames('Bill', 'William')).toBeNull();
+    expect(bannedMatcher.compareNames('Garcia-Lopez', 'Garcia')).toBe('phonetic');
+    expect(bannedMatcher.compareNames('Jones', 'Smith')).toBeNull();
+  });
+
+  it('treats an exact document number as conclusive', () => {
+    const match = bannedMatcher.scoreBannedMatch(
+      { documentType: 'drivers_license', documentNumber: 'd123-4567', issuingCountry: 'USA', firstName: 'Other', lastName: 'Person' },
+      banned
+    );
+    expect(match).toMatchObject({ confidence: 1, level: 'high' });
+    expect(match.matchedFields).toContainEqual({ field: 'document_number', match: 'exact' });
+  });
+
+  it('keeps exact name + DOB a high-confidence match', () => {
+    expect(bannedMatcher.scoreBannedMatch({ firstName: 'john', lastName: 'SMITH', dateOfBirth: '1990-01-02' }, banned))
+      .toMatchObject({ confidence: 0.85, level: 'high' });
+  });
+
+  it('sends a renewed license with a variant spelling to manager review', () => {
+    const scan = { documentType: 'drivers_license', documentNumber: 'D7654321', firstName: 'Jon', lastName: 'Smith', dateOfBirth: '1990-01-02' };
+    expect(bannedMatcher.scoreBannedMatch(scan, banned)).toEqual({
+      confidence: 0.77,
+      level: 'medium',
+      matchedFields: [
+        { field: 'date_of_birth', match: 'exact' },
+        { field: 'last_name', match: 'exact' },
+        { field: 'first_name', match: 'phonetic' }
+      ]
+    });
+
+    // The same address tips it over into a block.
+    expect(bannedMatcher.scoreBannedMatch({ ...scan, address: '12 main st', postalCode: '78701-0001' }, banned))
+      .toMatchObject({ confidence: 0.92, level: 'high' });
+  });
+
+  it('does not match on DOB alone or on a different person', () => {
+    expect(bannedMatcher.scoreBannedMatch({ firstName: 'Mary', lastName: 'Jones', dateOfBirth: '1990-01-02' }, banned).level).toBe('low');
+    expect(bannedMatcher.findBestMatch({ firstName: 'Mary', lastName: 'Jones', dateOfBirth: '1990-01-02' }, [banned])).toBeNull();
+  });
+
+  it('reads thresholds from the environment', () => {
+    process.env.BANNED_MATCH_HIGH_CONFIDENCE = '0.75';
+    expect(bannedMatcher.scoreBannedMatch({ firstName: 'Jon', lastName: 'Smith', dateOfBirth: '1990-01-02' }, banned).level).toBe('high');
+  });
+
+  it('maps a match to block or manager review', () => {
+    expect(bannedMatcher.bannedMatchOutcome(null)).toBeNull();
+    expect(bannedMatcher.bannedMatchOutcome({ id: 'ban-1', notes: 'Fake ID' })).toMatchObject({ block: true, reason: 'Fake ID' });
+    expect(bannedMatcher.bannedMatchOutcome({ id: 'ban-1', notes: 'Fake ID', match: { confidence: 0.7, level: 'medium', matchedFields: [] } }))
+      .toEqual({
+        block: false,
+        review: true,
+        reason: bannedMatcher.POSSIBLE_MATCH_REASON,
+        match: { bannedId: 'ban-1', confidence: 0.7, level: 'medium', matchedFields: [] }
+      });
+  });
+});
+
+describe('complianceStore.findBannedCustomer', () => {
+  beforeEach(() => {
+    db.query.mockReset();
+    db.query.mockResolvedValue({ rows: [] });
+  });
+
+  const candidateCalls = () => db.query.mock.calls.filter(([sql]) => sql.includes('FROM banned_customers'));
+
+  it('scores candidates and returns the best one with its match', async () => {
+    db.query.mockImplementation(async (sql) => (
+      sql.includes('FROM banned_customers')
+        ? { rows: [{ ...banned, id: 'ban-2', first_name: 'Mary', last_name: 'Sims' }, banned] }
+        : { rows: [] }
+    ));
+
+    const result = await complianceStore.findBannedCustomer({
+      documentType: 'drivers_license',
+      documentNumber: 'D7654321',
+      issuingCountry: 'USA',
+      firstName: 'Jon',
+      lastName: 'Smith',
+      dateOfBirth: '1990-01-02'
+    });
+
+    expect(result).toMatchObject({ id: 'ban-1', notes: 'Fake ID', match: { level: 'medium', confidence: 0.77 } });
+    const [[sql, params]] = candidateCalls();
+    expect(sql).toContain('last_name_phonetic_bidx = $7');
+    expect(params.slice(0, 3)).toEqual(['drivers_license', 'D7654321', 'USA']);
+    expect(params.slice(7)).toEqual(['1990-01-02', 's', null]);
+  });
+
+  it('returns null without a usable identifier or candidate', async () => {
+    await expect(complianceStore.findBannedCustomer({ firstName: 'Jon' })).resolves.toBeNull();
+    expect(candidateCalls()).toHaveLength(0);
+
+    await expect(complianceStore.findBannedCustomer({ lastName: 'Smith', dateOfBirth: '1990-01-02' })).resolves.toBeNull();
+    expect(candidateCalls()).toHaveLength(1);
+  });
+});
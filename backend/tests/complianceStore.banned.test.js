@@ -0,0 +1,288 @@
+"use strict";
+
+jest.mock('../src/db', () => ({
+  query: jest.fn(),
+  pool: { connect: jest.fn() }
+}));
+
+const db = require('../src/db');
+const complianceStore = require('../src/complianceStore');
+
+const BAN_ID = '55555555-5555-4555-8555-555555555555';
+
+const banRow = (overrides = {}) => ({
+  id: BAN_ID,
+  document_type: 'drivers_license',
+  document_number: 'D1234567',
+  issuing_country: 'USA',
+  first_name: 'John',
+  last_name: 'Smith',
+  notes: 'Fake ID',
+  banned_location_id: 'outlet-1',
+  starts_at: new Date('2026-01-01T00:00:00.000Z'),
+  ends_at: null,
+  scope: 'chain',
+  outlet_ids: [],
+  reason_category: 'fake_id',
+  lifted_at: null,
+  lifted_by: null,
+  lift_reason: null,
+  ...overrides
+});
+
+describe('complianceStore ban terms and history', () => {
+  let client;
+
+  beforeEach(() => {
+    db.query.mockReset();
+    db.query.mockResolvedValue({ rows: [] });
+    client = { query: jest.fn().mockResolvedValue({ rows: [] }), release: jest.fn() };
+    db.pool.connect.mockReset();
+    db.pool.connect.mockResolvedValue(client);
+  });
+
+  const clientCalls = (fragment) => client.query.mock.calls.filter(([sql]) => sql.includes(fragment));
+
+  it('saves the terms and records a created revision with its ledger entry', async () => {
+    client.query.mockImplementation(async (sql) => (
+      sql.includes('INSERT INTO banned_customers')
+        ? { rows: [{ ...banRow({ scope: 'outlets', outlet_ids: ['outlet-1', 'outlet-2'] }), inserted: true }] }
+        : { rows: [] }
+    ));
+
+    const saved = await complianceStore.addBannedCustomer(
+      {
+        documentType: 'drivers_license',
+        documentNumber: 'D1234567',
+        issuingCountry: 'USA',
+        notes: 'Fake ID',
+        scope: 'outlets',
+        outletIds: ['outlet-1', ' outlet-2 ', 'outlet-1'],
+        reasonCategory: 'fake_id',
+        endsAt: '2027-01-01T00:00:00.000Z'
+      },
+      { changedBy: 'compliance@example.com' }
+    );
+
+    expect(saved).not.toHaveProperty('inserted');
+    const [[upsertSql, upsertParams]] = clientCalls('INSERT INTO banned_customers');
+    expect(upsertSql).toContain('lifted_at = NULL');
+    expect(upsertParams.slice(22)).toEqual([
+      expect.any(Date),
+      new Date('2027-01-01T00:00:00.000Z'),
+      'outlets',
+      ['outlet-1', 'outlet-2'],
+      'fake_id'
+    ]);
+
+    const [[, revisionParams]] = clientCalls('INSERT INTO banned_customer_revisions');
+    expect(revisionParams.slice(0, 3)).toEqual([BAN_ID, 'created', 'compliance@example.com']);
+    expect(JSON.parse(revisionParams[4])).toMatchObject({ scope: 'outlets', outletIds: ['outlet-1', 'outlet-2'], reasonCategory: 'fake_id' });
+    expect(revisionParams[4]).not.toContain('Smith');
+
+    const [[, ledgerParams]] = clientCalls('INSERT INTO compliance_audit_ledger');
+    expect(ledgerParams[1]).toBe('banned_customer_created');
+    expect(client.query).toHaveBeenLastCalledWith('COMMIT');
+  });
+
+  it('rejects incomplete scopes and backwards dates before writing', async () => {
+    const entry = { documentType: 'drivers_license', documentNumber: 'D1' };
+    await expect(complianceStore.addBannedCustomer({ ...entry, scope: 'outlet', outletIds: ['a', 'b'] })).rejects.toThrow('OUTLETS_REQUIRED');
+    await expect(complianceStore.addBannedCustomer({ ...entry, scope: 'outlets' })).rejects.toThrow('OUTLETS_REQUIRED');
+    await expect(complianceStore.addBannedCustomer({ ...entry, reasonCategory: 'rude' })).rejects.toThrow('INVALID_REASON_CATEGORY');
+    await expect(
+      complianceStore.addBannedCustomer({ ...entry, startsAt: '2026-03-01', endsAt: '2026-02-01' })
+    ).rejects.toThrow('INVALID_BAN_DATES');
+    expect(db.pool.connect).not.toHaveBeenCalled();
+  });
+
+  it('lifts a ban without deleting it and logs the lift', async () => {
+    client.query.mockImplementation(async (sql) => (
+      sql.includes('UPDATE banned_customers')
+        ? { rows: [banRow({ lifted_at: new Date(), lifted_by: 'owner@example.com', lift_reason: 'Appeal granted' })] }
+        : { rows: [] }
+    ));
+
+    const lifted = await complianceStore.liftBannedCustomer(BAN_ID, { liftedBy: 'owner@example.com', reason: 'Appeal granted' });
+
+    expect(lifted).toMatchObject({ id: BAN_ID, status: 'lifted', liftedBy: 'owner@example.com', liftReason: 'Appeal granted' });
+    expect(clientCalls('DELETE')).toHaveLength(0);
+    const [[, revisionParams]] = clientCalls('INSERT INTO banned_customer_revisions');
+    expect(revisionParams.slice(0, 4)).toEqual([BAN_ID, 'lifted', 'owner@example.com', 'Appeal granted']);
+    const [[, ledgerParams]] = clientCalls('INSERT INTO compliance_audit_ledger');
+    expect(ledgerParams[1]).toBe('banned_customer_lifted');
+  });
+
+  it('returns null when there is no unlifted ban to lift', async () => {
+    await expect(complianceStore.liftBannedCustomer(BAN_ID, { reason: 'Duplicate' })).resolves.toBeNull();
+    expect(clientCalls('INSERT INTO banned_customer_revisions')).toHaveLength(0);
+    expect(clientCalls('INSERT INTO compliance_audit_ledger')).toHaveLength(0);
+  });
+
+  it('only looks up bans in force at the scanning outlet', async () => {
+    await complianceStore.findBannedCustomer({ documentType: 'drivers_license', documentNumber: 'D1', outletId: 'outlet-9' });
+
+    const [[sql, params]] = db.query.mock.calls.filter(([text]) => text.includes('FROM banned_customers'));
+    expect(sql).toContain('lifted_at IS NULL');
+    expect(sql).toContain('(ends_at IS NULL OR ends_at > NOW())');
+    expect(sql).toContain("scope = 'chain' OR $10::text IS NULL OR $10 = ANY(outlet_ids)");
+    expect(params[9]).toBe('outlet-9');
+  });
+
+  it('imports many bans in one transaction with a revision each', async () => {
+    let count = 0;
+    client.query.mockImplementation(async (sql) => {
+      if (!sql.includes('INSERT INTO banned_customers')) return { rows: [] };
+      count += 1;
+      return { rows: [{ ...banRow({ id: `ban-${count}` }), inserted: count === 1 }] };
+    });
+
+    const result = await complianceStore.importBannedCustomers(
+      [
+        { documentType: 'drivers_license', documentNumber: 'D1' },
+        { documentType: 'drivers_license', documentNumber: 'D2', reasonCategory: 'theft' }
+      ],
+      { changedBy: 'compliance@example.com' }
+    );
+
+    expect(result).toEqual({ inserted: 1, updated: 1, ids: ['ban-1', 'ban-2'] });
+    expect(db.pool.connect).toHaveBeenCalledTimes(1);
+    expect(clientCalls('INSERT INTO banned_customer_revisions').map(([, params]) => params[1])).toEqual(['created', 'updated']);
+    expect(client.query).toHaveBeenLastCalledWith('COMMIT');
+
+    await expect(
+      complianceStore.importBannedCustomers([{ documentType: 'drivers_license', documentNumber: 'D3', scope: 'outlets' }])
+    ).rejects.toThrow('OUTLETS_REQUIRED');
+    expect(db.pool.connect).toHaveBeenCalledTimes(1);
+  });
+
+  it('bans from a verification and flags earlier scans of the same document', async () => {
+    client.query.mockImplementation(async (sql) => {
+      if (sql.includes('FROM verifications')) {
+        return {
+          rows: [{
+            verification_id: 'ver-1',
+            document_type: 'drivers_license',
+            document_number: 'D1234567',
+            issuing_country: 'USA',
+            first_name: 'John',
+            last_name: 'Smith',
+            date_of_birth: new Date('1990-01-02T00:00:00.000Z'),
+            location_id: 'outlet-1'
+          }]
+        };
+      }
+      if (sql.includes('INSERT INTO banned_customers')) return { rows: [{ ...banRow(), inserted: true }] };
+      if (sql.includes('SET source_verification_id')) return { rows: [banRow({ source_verification_id: 'ver-1' })] };
+      if (sql.includes('UPDATE verifications')) return { rows: [{ verification_id: 'ver-1' }, { verification_id: 'ver-0' }] };
+      return { rows: [] };
+    });
+
+    const result = await complianceStore.banFromVerification('ver-1', {
+      managerId: 'manager-1',
+      reason: 'Passed product to a minor',
+      terms: { reasonCategory: 'third_party_purchase' },
+      lookbackDays: 14
+    });
+
+    expect(result).toMatchObject({ inserted: true, flaggedVerificationIds: ['ver-1', 'ver-0'], ban: { id: BAN_ID, sourceVerificationId: 'ver-1' } });
+    const [[, upsertParams]] = clientCalls('INSERT INTO banned_customers');
+    expect(upsertParams.slice(0, 4)).toEqual(['drivers_license', 'D1234567', 'USA', 'outlet-1']);
+    expect(upsertParams[9]).toBe('Passed product to a minor');
+    expect(upsertParams[26]).toBe('third_party_purchase');
+    const [[, revisionParams]] = clientCalls('INSERT INTO banned_customer_revisions');
+    expect(revisionParams.slice(0, 4)).toEqual([BAN_ID, 'created', 'manager:manager-1', 'Passed product to a minor']);
+    const [[flagSql, flagParams]] = clientCalls('UPDATE verifications');
+    expect(flagSql).toContain("created_at >= NOW() - ($4::int * INTERVAL '1 day')");
+    expect(flagParams.slice(0, 6)).toEqual([BAN_ID, 'ver-1', 'D1234567', 14, 'drivers_license', 'USA']);
+    const ledgerEvents = clientCalls('INSERT INTO compliance_audit_ledger').map(([, params]) => params[1]);
+    expect(ledgerEvents).toEqual(['banned_customer_created', 'verifications_flagged_banned']);
+  });
+
+  it('keeps the terms of a ban already on the document and only flags the scans', async () => {
+    client.query.mockImplementation(async (sql) => {
+      if (sql.includes('FROM verifications')) {
+        return { rows: [{ verification_id: 'ver-3', document_type: 'drivers_license', document_number: 'D1234567', issuing_country: null }] };
+      }
+      if (sql.includes('SELECT * FROM banned_customers')) return { rows: [banRow({ issuing_country: '' })] };
+      if (sql.includes('UPDATE verifications')) return { rows: [{ verification_id: 'ver-3' }, { verification_id: 'ver-2' }] };
+      return { rows: [] };
+    });
+
+    const result = await complianceStore.banFromVerification('ver-3', {
+      managerId: 'manager-1',
+      reason: 'Back again',
+      terms: { scope: 'outlet', outletIds: ['outlet-1'], endsAt: new Date(Date.now() + 86_400_000) }
+    });
+
+    expect(result).toMatchObject({ inserted: false, existing: true, ban: { id: BAN_ID, scope: 'chain' }, flaggedVerificationIds: ['ver-3', 'ver-2'] });
+    expect(clientCalls('INSERT INTO banned_customers')).toHaveLength(0);
+    expect(clientCalls('INSERT INTO banned_customer_revisions')).toHaveLength(0);
+    const [[, lookupParams]] = clientCalls('SELECT * FROM banned_customers');
+    expect(lookupParams.slice(0, 2)).toEqual(['drivers_license', '']);
+    // A scan stored without a country still matches earlier scans of the same document.
+    const [[flagSql, flagParams]] = clientCalls('UPDATE verifications');
+    expect(flagSql).toContain("COALESCE(issuing_country, '') = $6");
+    expect(flagParams[5]).toBe('');
+  });
+
+  it('refuses to reinstate a lifted ban from the floor', async () => {
+    client.query.mockImplementation(async (sql) => {
+      if (sql.includes('FROM verifications')) {
+        return { rows: [{ verification_id: 'ver-4', document_type: 'drivers_license', document_number: 'D1234567', issuing_country: 'USA' }] };
+      }
+      if (sql.includes('SELECT * FROM banned_customers')) return { rows: [banRow({ lifted_at: new Date('2026-02-01T00:00:00.000Z') })] };
+      return { rows: [] };
+    });
+
+    await expect(complianceStore.banFromVerification('ver-4', { managerId: 'manager-1', reason: 'Theft' })).rejects.toThrow('BAN_LIFTED');
+    expect(clientCalls('INSERT INTO banned_customers')).toHaveLength(0);
+    expect(clientCalls('UPDATE verifications')).toHaveLength(0);
+    expect(client.query).toHaveBeenLastCalledWith('ROLLBACK');
+  });
+
+  it('bans a scan without a document by name and DOB, and refuses one with neither', async () => {
+    const verification = { verification_id: 'ver-2', document_type: 'manual', document_number: 'no-scan', issuing_country: '' };
+    client.query.mockImplementation(async (sql) => {
+      if (sql.includes('FROM verifications')) return { rows: [verification] };
+      if (sql.includes('INSERT INTO banned_customers')) return { rows: [{ ...banRow(), inserted: false }] };
+      if (sql.includes('SET source_verification_id')) return { rows: [banRow()] };
+      return { rows: [] };
+    });
+
+    await expect(complianceStore.banFromVerification('ver-2', { managerId: 'm', reason: 'Theft' })).rejects.toThrow('VERIFICATION_HAS_NO_IDENTITY');
+    expect(client.query).toHaveBeenLastCalledWith('ROLLBACK');
+
+    Object.assign(verification, { first_name: 'Ann', last_name: 'Lee', date_of_birth: '1990-01-02' });
+    await complianceStore.banFromVerification('ver-2', { managerId: 'm', reason: 'Theft' });
+    const [[, upsertParams]] = clientCalls('INSERT INTO banned_customers');
+    expect(upsertParams.slice(0, 3)).toEqual(['name_dob', 'BANNED-ver-2', '']);
+    const [[, flagParams]] = clientCalls('UPDATE verifications');
+    expect(flagParams[2]).toBeNull();
+
+    await expect(complianceStore.banFromVerification('ver-2', { reason: 'Theft' })).rejects.toThrow('MANAGER_REQUIRED');
+  });
+
+  it('reports each ban status and filters the list by it', async () => {
+    const future = new Date(Date.now() + 86_400_000);
+    const past = new Date(Date.now() - 86_400_000);
+    db.query.mockImplementation(async (sql) => (
+      sql.includes('FROM banned_customers')
+        ? {
+          rows: [
+            banRow(),
+            banRow({ id: 'b2', starts_at: future }),
+            banRow({ id: 'b3', ends_at: past }),
+            banRow({ id: 'b4', lifted_at: past })
+          ]
+        }
+        : { rows: [] }
+    ));
+
+    const list = await complianceStore.listBannedCustomers({ status: 'expired', outletId: 'outlet-1' });
+
+    expect(list.map((item) => item.status)).toEqual(['active', 'scheduled', 'expired', 'lifted']);
+    const [[, params]] = db.query.mock.calls.filter(([text]) => text.includes('FROM banned_customers'));
+    expect(params.slice(7)).toEqual(['expired', 'outlet-1']);
+  });
+});
@@ -2,17 +2,32 @@
 
 jest.mock('../src/db', () => ({
   query: jest.fn(),
-  pool: {}
+  pool: { connect: jest.fn() }
 }));
 
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
 const db = require('../src/db');
 const complianceStore = require('../src/complianceStore');
 
 describe('complianceStore retention utilities', () => {
+  let client;
+
   beforeEach(() => {
     db.query.mockReset();
+    db.query.mockResolvedValue({ rows: [] });
+    // Writes run in a transaction on a pooled client and append to the audit ledger before COMMIT.
+    client = { query: jest.fn().mockResolvedValue({ rows: [] }), release: jest.fn() };
+    db.pool.connect.mockReset();
+    db.pool.connect.mockResolvedValue(client);
   });
 
+  const deleteCalls = () => client.query.mock.calls.filter(([sql]) => /^\s*DELETE FROM/.test(sql));
+  const ledgerInserts = () => client.query.mock.calls.filter(([sql]) => sql.includes('INSERT INTO compliance_audit_ledger'));
+
   it('normalizes inputs for recent overrides listing', async () => {
     db.query.mockResolvedValue({ rows: [{ id: 'ovr-1' }] });
 
@@ -25,38 +40,199 @@ describe('complianceStore retention utilities', () => {
     expect(rows).toHaveLength(1);
   });
 
+  // Expired rows as collectExpiredRows selects them (legal_hold / still_referenced flags included).
+  function mockExpiredRows({ overrides = [], completions = [], verifications = [] } = {}) {
+    const run = jest.fn(async (sql) => {
+      if (sql.includes('AS still_referenced')) return { rows: verifications };
+      if (/FROM verification_overrides o\s/.test(sql) && sql.includes('AS legal_hold')) return { rows: overrides };
+      if (/FROM sales_completions sc\s/.test(sql) && sql.includes('AS legal_hold')) return { rows: completions };
+      return { rows: [] };
+    });
+    client.query.mockImplementation(run);
+    db.query.mockImplementation(run);
+  }
+
+  const selectCalls = (mock) => mock.mock.calls.filter(([sql]) => sql.includes('AS legal_hold'));
+
   it('enforces retention windows with capped intervals', async () => {
-    db.query
-      .mockResolvedValueOnce({ rowCount: 4 }) // overrides
-      .mockResolvedValueOnce({ rowCount: 3 }) // completions
-      .mockResolvedValueOnce({ rowCount: 2 }); // verifications
+    mockExpiredRows({
+      overrides: ['o1', 'o2', 'o3', 'o4'].map((id) => ({ id, legal_hold: false })),
+      completions: ['s1', 's2', 's3'].map((id) => ({ sale_id: id, legal_hold: false })),
+      verifications: ['v1', 'v2'].map((id) => ({ verification_id: id, legal_hold: false, still_referenced: false }))
+    });
 
     const result = await complianceStore.enforceRetention({
       verificationDays: 5000,
       overrideDays: 10,
-      completionDays: 20
-    });
-
-    expect(db.query).toHaveBeenNthCalledWith(
-      1,
-      expect.stringContaining('verification_overrides'),
-      [10]
-    );
-    expect(db.query).toHaveBeenNthCalledWith(
-      2,
-      expect.stringContaining('sales_completions'),
-      [20]
-    );
-    expect(db.query).toHaveBeenNthCalledWith(
-      3,
-      expect.stringContaining('verifications'),
-      [3650]
-    );
+      completionDays: 20,
+      archive: false
+    });
 
-    expect(result).toEqual({
+    const selects = selectCalls(client.query);
+    expect(selects).toHaveLength(3);
+    expect(selects[0]).toEqual([expect.stringContaining('verification_overrides'), [10]]);
+    expect(selects[1]).toEqual([expect.stringContaining('sales_completions'), [20]]);
+    expect(selects[2]).toEqual([expect.stringContaining('FROM verifications v'), [3650, ['s1', 's2', 's3'], ['o1', 'o2', 'o3', 'o4']]]);
+    selects.forEach(([sql]) => expect(sql).toContain('FOR UPDATE'));
+
+    const deletes = deleteCalls();
+    expect(deletes).toEqual([
+      [expect.stringContaining('DELETE FROM verification_overrides'), [['o1', 'o2', 'o3', 'o4']]],
+      [expect.stringContaining('DELETE FROM sales_completions'), [['s1', 's2', 's3']]],
+      [expect.stringContaining('DELETE FROM verifications'), [['v1', 'v2']]]
+    ]);
+
+    expect(result).toMatchObject({
+      dryRun: false,
       overridesDeleted: 4,
       completionsDeleted: 3,
-      verificationsDeleted: 2
+      verificationsDeleted: 2,
+      held: { verifications: 0, overrides: 0, completions: 0 },
+      archive: null
+    });
+
+    // One ledger entry per table, listing the deleted ids, committed with the deletes.
+    const entries = ledgerInserts().map(([, params]) => ({ eventType: params[1], entityType: params[2], payload: JSON.parse(params[4]) }));
+    expect(entries).toEqual([
+      { eventType: 'retention_deleted', entityType: 'verification_overrides', payload: { retentionDays: 10, count: 4, ids: ['o1', 'o2', 'o3', 'o4'], archive: null } },
+      { eventType: 'retention_deleted', entityType: 'sales_completions', payload: { retentionDays: 20, count: 3, ids: ['s1', 's2', 's3'], archive: null } },
+      { eventType: 'retention_deleted', entityType: 'verifications', payload: { retentionDays: 3650, count: 2, ids: ['v1', 'v2'], archive: null } }
+    ]);
+    expect(client.query).toHaveBeenLastCalledWith('COMMIT');
+  });
+
+  it('keeps rows under a legal hold or still referenced by a kept row', async () => {
+    mockExpiredRows({
+      overrides: [{ id: 'o1', legal_hold: true }],
+      completions: [{ sale_id: 's1', legal_hold: false }, { sale_id: 's2', legal_hold: true }],
+      verifications: [
+        { verification_id: 'v1', legal_hold: false, still_referenced: false },
+        { verification_id: 'v2', legal_hold: true, still_referenced: true },
+        { verification_id: 'v3', legal_hold: false, still_referenced: true }
+      ]
+    });
+
+    const result = await complianceStore.enforceRetention({ verificationDays: 730, archive: false });
+
+    expect(deleteCalls()).toEqual([
+      [expect.stringContaining('DELETE FROM sales_completions'), [['s1']]],
+      [expect.stringContaining('DELETE FROM verifications'), [['v1']]]
+    ]);
+    expect(result).toMatchObject({
+      overridesDeleted: 0,
+      completionsDeleted: 1,
+      verificationsDeleted: 1,
+      held: { overrides: 1, completions: 1, verifications: 1 },
+      verificationsStillReferenced: 1
+    });
+  });
+
+  it('archives removed rows before deleting them and ledgers the archive hash', async () => {
+    const archiveDir = fs.mkdtempSync(path.join(os.tmpdir(), 'retention-'));
+    mockExpiredRows({
+      completions: [{ sale_id: 's1', amount: '12.50', legal_hold: false }],
+      verifications: [{ verification_id: 'v1', first_name: 'Ana', legal_hold: false, still_referenced: false }]
+    });
+
+    const result = await complianceStore.enforceRetention({ verificationDays: 730, archive: true, archiveDir });
+
+    expect(result.archive).toMatchObject({ rows: 2, path: path.join(archiveDir, result.archive.file) });
+    const content = fs.readFileSync(result.archive.path);
+    expect(crypto.createHash('sha256').update(content).digest('hex')).toBe(result.archive.sha256);
+    const lines = zlib.gunzipSync(content).toString('utf8').trim().split('\n').map((line) => JSON.parse(line));
+    expect(lines[0]).toMatchObject({ type: 'retention_archive', rows: 2, retention: { verificationDays: 730 } });
+    expect(lines.slice(1)).toEqual([
+      { table: 'sales_completions', row: { sale_id: 's1', amount: '12.50' } },
+      { table: 'verifications', row: { verification_id: 'v1', first_name: 'Ana' } }
+    ]);
+
+    ledgerInserts().forEach(([, params]) => {
+      expect(JSON.parse(params[4]).archive).toEqual({ file: result.archive.file, sha256: result.archive.sha256 });
+    });
+    fs.rmSync(archiveDir, { recursive: true, force: true });
+  });
+
+  it('deletes nothing when the archive cannot be written', async () => {
+    const blocker = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'retention-')), 'not-a-dir');
+    fs.writeFileSync(blocker, '');
+    mockExpiredRows({ verifications: [{ verification_id: 'v1', legal_hold: false, still_referenced: false }] });
+
+    await expect(complianceStore.enforceRetention({ archive: true, archiveDir: blocker })).rejects.toThrow();
+
+    expect(deleteCalls()).toHaveLength(0);
+    expect(ledgerInserts()).toHaveLength(0);
+    expect(client.query).toHaveBeenCalledWith('ROLLBACK');
+  });
+
+  it('deletes nothing and reports it when archiving is on but no archive directory is set', async () => {
+    const originalDir = process.env.RETENTION_ARCHIVE_DIR;
+    delete process.env.RETENTION_ARCHIVE_DIR;
+    mockExpiredRows({ verifications: [{ verification_id: 'v1', legal_hold: false, still_referenced: false }] });
+
+    try {
+      const result = await complianceStore.enforceRetention({ archive: true });
+      expect(result).toMatchObject({ archive: 'not_configured', verificationsDeleted: 0 });
+    } finally {
+      if (originalDir !== undefined) process.env.RETENTION_ARCHIVE_DIR = originalDir;
+    }
+    expect(deleteCalls()).toHaveLength(0);
+    expect(ledgerInserts()).toHaveLength(0);
+  });
+
+  it('previews a dry run without locking, deleting or archiving', async () => {
+    mockExpiredRows({
+      overrides: [{ id: 'o1', legal_hold: false }],
+      verifications: [{ verification_id: 'v1', legal_hold: false, still_referenced: false }, { verification_id: 'v2', legal_hold: true }]
     });
+
+    const result = await complianceStore.enforceRetention({ verificationDays: 730, dryRun: true, archive: true });
+
+    expect(db.pool.connect).not.toHaveBeenCalled();
+    selectCalls(db.query).forEach(([sql]) => expect(sql).not.toContain('FOR UPDATE'));
+    expect(result).toEqual({
+      dryRun: true,
+      verificationsDeleted: 1,
+      completionsDeleted: 0,
+      overridesDeleted: 1,
+      held: { verifications: 1, completions: 0, overrides: 0 },
+      verificationsStillReferenced: 0,
+      archive: null,
+      preview: { verifications: ['v1'], completions: [], overrides: ['o1'] }
+    });
+  });
+
+  it('records overrides in the audit ledger with the status they replaced', async () => {
+    client.query.mockImplementation(async (sql) => {
+      if (sql.includes('UPDATE verifications')) {
+        return { rows: [{ verification_id: 'ver-1', sale_id: 'SALE-1', status: 'approved_override', previous_status: 'rejected' }] };
+      }
+      if (sql.includes('INSERT INTO verification_overrides')) {
+        return { rows: [{ id: 'ovr-1', verification_id: 'ver-1', sale_id: 'SALE-1', manager_id: 'mgr_1', note: null }] };
+      }
+      return { rows: [] };
+    });
+
+    const result = await complianceStore.markVerificationOverride({ verificationId: 'ver-1', saleId: 'SALE-1', managerId: 'mgr_1' });
+
+    expect(result.verification).not.toHaveProperty('previous_status');
+    const [[, params]] = ledgerInserts();
+    expect(params.slice(1, 4)).toEqual(['verification_override', 'verification', 'ver-1']);
+    expect(JSON.parse(params[4])).toMatchObject({
+      saleId: 'SALE-1',
+      managerId: 'mgr_1',
+      overrideId: 'ovr-1',
+      manual: false,
+      previousStatus: 'rejected',
+      status: 'approved_override'
+    });
+  });
+
+  it('does not write the ledger entry when the override fails', async () => {
+    // The UPDATE matches no row (client.query resolves { rows: [] } by default).
+    await expect(
+      complianceStore.markVerificationOverride({ verificationId: 'missing', saleId: 'SALE-1', managerId: 'mgr_1' })
+    ).rejects.toThrow('VERIFICATION_NOT_FOUND');
+    expect(ledgerInserts()).toHaveLength(0);
+    expect(client.query).toHaveBeenCalledWith('ROLLBACK');
   });
 });
@@ -0,0 +1,149 @@
+"use strict";
+
+jest.mock('../src/db', () => ({
+  query: jest.fn(),
+  pool: {}
+}));
+
+const db = require('../src/db');
+const documentVelocity = require('../src/documentVelocity');
+
+const NOW = new Date('2026-03-10T23:00:00.000Z');
+
+const approval = (overrides = {}) => ({
+  verification_id: `ver-${Math.random()}`,
+  sale_id: 'SALE-1',
+  location_id: 'outlet-1',
+  status: 'approved',
+  created_at: new Date('2026-03-10T18:00:00.000Z'),
+  document_type: 'drivers_license',
+  issuing_country: 'USA',
+  document_number: 'D1234567',
+  document_number_bidx: null,
+  first_name: 'John',
+  last_name: 'Smith',
+  ...overrides
+});
+
+describe('documentVelocity', () => {
+  const env = { ...process.env };
+
+  beforeEach(() => {
+    db.query.mockReset();
+    delete process.env.VELOCITY_HOURLY_SALES_THRESHOLD;
+    delete process.env.VELOCITY_DAILY_SALES_THRESHOLD;
+    delete process.env.VELOCITY_DAILY_OUTLETS_THRESHOLD;
+    delete process.env.VELOCITY_CLERK_WARNING_SCANS;
+    process.env.VELOCITY_TIMEZONE = 'America/Chicago';
+  });
+
+  afterAll(() => {
+    process.env = env;
+  });
+
+  it('measures the busiest 60-minute window of distinct sales', () => {
+    const at = (minutes) => Date.parse('2026-03-10T12:00:00.000Z') + minutes * 60 * 1000;
+    expect(documentVelocity.peakHourlySales([at(0), at(30), at(59), at(61), at(200)])).toEqual({
+      peak: 3,
+      windowStart: '2026-03-10T12:00:00.000Z'
+    });
+    expect(documentVelocity.peakHourlySales([]).peak).toBe(0);
+  });
+
+  it('flags a document approving several sales within an hour and at two outlets in a day', async () => {
+    db.query.mockResolvedValue({
+      rows: [
+        approval({ sale_id: 'SALE-1', created_at: new Date('2026-03-10T18:00:00.000Z') }),
+        approval({ sale_id: 'SALE-1', created_at: new Date('2026-03-10T18:01:00.000Z') }),
+        approval({ sale_id: 'SALE-2', created_at: new Date('2026-03-10T18:20:00.000Z') }),
+        approval({ sale_id: 'SALE-3', location_id: 'outlet-2', created_at: new Date('2026-03-10T18:45:00.000Z') }),
+        approval({ sale_id: 'SALE-9', document_number: 'Z9999999', created_at: new Date('2026-03-10T19:00:00.000Z') })
+      ]
+    });
+
+    const report = await documentVelocity.analyzeDocumentVelocity({ days: 1, now: NOW });
+
+    expect(db.query.mock.calls[0][1]).toEqual([new Date('2026-03-09T23:00:00.000Z'), NOW, ['approved', 'approved_override'], 2]);
+    expect(report.thresholds).toEqual({ hourlySales: 3, dailySales: 5, dailyOutlets: 2 });
+    expect(report.documents).toHaveLength(1);
+    expect(report.documents[0]).toMatchObject({
+      documentNumber: 'D1234567',
+      customerName: 'John Smith',
+      approvals: 4,
+      sales: 3,
+      outletIds: ['outlet-1', 'outlet-2'],
+      peakHourlySales: 3,
+      flags: [
+        { rule: 'hourly_sales', count: 3, threshold: 3, windowStart: '2026-03-10T18:00:00.000Z' },
+        { rule: 'daily_outlets', day: '2026-03-10', count: 2, threshold: 2, outletIds: ['outlet-1', 'outlet-2'] }
+      ]
+    });
+  });
+
+  it('counts a plaintext number written with and without separators as one document', async () => {
+    db.query.mockResolvedValue({
+      rows: [
+        approval({ sale_id: 'SALE-1', location_id: 'outlet-1', document_number: 'D123-456' }),
+        approval({ sale_id: 'SALE-2', location_id: 'outlet-2', document_number: 'd123456' })
+      ]
+    });
+
+    const report = await documentVelocity.analyzeDocumentVelocity({ days: 1, now: NOW });
+
+    // The SQL pre-filter counts approvals per normalized number, as the grouping below does.
+    expect(db.query.mock.calls[0][0]).toContain("COALESCE(document_number_bidx, upper(regexp_replace(document_number, '[[:space:]-]+', '', 'g')))");
+    expect(report.documents).toHaveLength(1);
+    expect(report.documents[0]).toMatchObject({ approvals: 2, sales: 2, outletIds: ['outlet-1', 'outlet-2'] });
+  });
+
+  it('counts days in the store timezone and honours threshold overrides and the outlet filter', async () => {
+    process.env.VELOCITY_HOURLY_SALES_THRESHOLD = '10';
+    process.env.VELOCITY_DAILY_SALES_THRESHOLD = '2';
+    process.env.VELOCITY_DAILY_OUTLETS_THRESHOLD = '5';
+    // 01:00 and 04:30 UTC on the 10th are both the evening of the 9th in Chicago (CDT).
+    db.query.mockResolvedValue({
+      rows: [
+        approval({ sale_id: 'SALE-1', created_at: new Date('2026-03-10T01:00:00.000Z') }),
+        approval({ sale_id: 'SALE-2', created_at: new Date('2026-03-10T04:30:00.000Z') })
+      ]
+    });
+
+    const report = await documentVelocity.analyzeDocumentVelocity({ days: 2, now: NOW });
+    expect(report.documents[0].flags).toEqual([{ rule: 'daily_sales', day: '2026-03-09', count: 2, threshold: 2 }]);
+
+    const filtered = await documentVelocity.analyzeDocumentVelocity({ days: 2, outletId: 'outlet-7', now: NOW });
+    expect(filtered.documents).toEqual([]);
+  });
+
+  it('reports how often a document was seen today and warns the clerk from the second scan', async () => {
+    db.query.mockResolvedValue({ rows: [{ scans: 3, sales: 3, outlets: 2 }] });
+
+    const activity = await documentVelocity.getDocumentActivityToday({
+      documentType: 'drivers_license',
+      issuingCountry: 'USA',
+      documentNumber: 'd123-4567',
+      now: NOW
+    });
+
+    expect(activity).toEqual({
+      scansToday: 3,
+      salesToday: 3,
+      outletsToday: 2,
+      warning: 'This ID has been seen 3 times today at 2 outlets.'
+    });
+    expect(db.query.mock.calls[0][1]).toEqual(['drivers_license', 'USA', null, 'D1234567', NOW, 'America/Chicago']);
+    expect(db.query.mock.calls[0][0]).toContain("upper(regexp_replace(document_number, '[[:space:]-]+', '', 'g')) = $4");
+  });
+
+  it('skips the clerk warning for placeholder documents, single scans or when disabled', async () => {
+    await expect(documentVelocity.getDocumentActivityToday({ documentType: 'manual', documentNumber: 'no-scan' })).resolves.toBeNull();
+    expect(db.query).not.toHaveBeenCalled();
+
+    db.query.mockResolvedValue({ rows: [{ scans: 1, sales: 1, outlets: 1 }] });
+    expect((await documentVelocity.getDocumentActivityToday({ documentType: 'passport', documentNumber: 'X1' })).warning).toBeNull();
+
+    process.env.VELOCITY_CLERK_WARNING_SCANS = '0';
+    db.query.mockResolvedValue({ rows: [{ scans: 8, sales: 8, outlets: 3 }] });
+    expect((await documentVelocity.getDocumentActivityToday({ documentType: 'passport', documentNumber: 'X1' })).warning).toBeNull();
+  });
+});
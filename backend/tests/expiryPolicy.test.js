@@ -0,0 +1,69 @@
+"use strict";
+
+const { evaluateDocumentExpiry, getExpiryPolicy } = require('../src/expiryPolicy');
+
+const NOW = new Date('2026-03-10T18:00:00Z');
+const policy = (mode, graceDays = 0) => ({ mode, graceDays, timeZone: 'America/Chicago' });
+
+describe('document expiry policy', () => {
+  const originalEnv = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+  });
+
+  it('treats a document as valid through its expiry date', () => {
+    expect(evaluateDocumentExpiry('2026-03-10', { now: NOW, policy: policy('reject') })).toMatchObject({ status: 'valid', blocks: false });
+  });
+
+  it('uses the store timezone to decide what "today" is', () => {
+    // 02:00 UTC on the 11th is still the evening of the 10th in Chicago.
+    const lateEvening = new Date('2026-03-11T02:00:00Z');
+    expect(evaluateDocumentExpiry('2026-03-10', { now: lateEvening, policy: policy('reject') }).status).toBe('valid');
+  });
+
+  it('blocks expired documents under the reject policy', () => {
+    expect(evaluateDocumentExpiry('2026-03-01', { now: NOW, policy: policy('reject') })).toMatchObject({
+      status: 'expired',
+      daysExpired: 9,
+      blocks: true,
+      reason: 'EXPIRED_DOCUMENT',
+      warning: null
+    });
+  });
+
+  it('only warns under the warn policy', () => {
+    expect(evaluateDocumentExpiry('2026-03-01', { now: NOW, policy: policy('warn') })).toMatchObject({
+      status: 'expired',
+      blocks: false,
+      reason: null,
+      warning: 'Document expired 9 day(s) ago'
+    });
+  });
+
+  it('allows a grace period before blocking', () => {
+    expect(evaluateDocumentExpiry('2026-03-01', { now: NOW, policy: policy('grace', 30) })).toMatchObject({ status: 'grace', blocks: false });
+    expect(evaluateDocumentExpiry('2026-01-01', { now: NOW, policy: policy('grace', 30) })).toMatchObject({
+      status: 'expired',
+      blocks: true,
+      reason: 'EXPIRED_DOCUMENT'
+    });
+  });
+
+  it('never blocks when the expiry date is missing or unreadable', () => {
+    expect(evaluateDocumentExpiry(null, { now: NOW, policy: policy('reject') })).toMatchObject({ status: 'unknown', blocks: false });
+    expect(evaluateDocumentExpiry('not-a-date', { now: NOW, policy: policy('reject') })).toMatchObject({ status: 'unknown', blocks: false });
+  });
+
+  it('reads the policy from the environment and defaults to reject', () => {
+    delete process.env.DOCUMENT_EXPIRY_POLICY;
+    expect(getExpiryPolicy().mode).toBe('reject');
+
+    process.env.DOCUMENT_EXPIRY_POLICY = 'GRACE';
+    process.env.DOCUMENT_EXPIRY_GRACE_DAYS = '14';
+    expect(getExpiryPolicy()).toMatchObject({ mode: 'grace', graceDays: 14 });
+
+    process.env.DOCUMENT_EXPIRY_POLICY = 'bogus';
+    expect(getExpiryPolicy().mode).toBe('reject');
+  });
+});
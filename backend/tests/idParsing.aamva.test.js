@@ -0,0 +1,129 @@
+"use strict";
+
+const { decodeAAMVA, resolveDateFormat } = require('../../shared/idParsing');
+
+const NOW = new Date(Date.UTC(2026, 0, 15));
+
+function buildPayload({ iin = '636015', version = '10', jurisdictionVersion = '00', subfiles }) {
+  const prefix = `@\n\x1e\rANSI ${iin}${version}${version === '01' ? '' : jurisdictionVersion}${String(subfiles.length).padStart(2, '0')}`;
+  const bodies = subfiles.map(({ type, elements }) => `${type}${elements.join('\n')}\r`);
+
+  let offset = prefix.length + subfiles.length * 10;
+  const designators = subfiles.map(({ type }, index) => {
+    const designator = `${type}${String(offset).padStart(4, '0')}${String(bodies[index].length).padStart(4, '0')}`;
+    offset += bodies[index].length;
+    return designator;
+  });
+
+  return prefix + designators.join('') + bodies.join('');
+}
+
+describe('AAMVA decoder', () => {
+  it('decodes a v10 US payload using the subfile directory', () => {
+    const payload = buildPayload({
+      subfiles: [
+        {
+          type: 'DL',
+          elements: ['DAQD1234567', 'DCSDOE', 'DACJOHN', 'DADQUINCY', 'DBB01151990', 'DBA01152030', 'DBC1', 'DAG123 MAIN ST', 'DAIAUSTIN', 'DAJTX', 'DAK787010000', 'DCGUSA']
+        },
+        { type: 'ZT', elements: ['ZTAVALUE'] }
+      ]
+    });
+
+    const result = decodeAAMVA(payload, { now: NOW });
+
+    expect(result.aamva).toMatchObject({ iin: '636015', version: 10, jurisdictionVersion: 0, numberOfEntries: 2, dateFormat: 'MMDDCCYY' });
+    expect(result.aamva.subfiles.map((s) => s.type)).toEqual(['DL', 'ZT']);
+    expect(result).toMatchObject({
+      firstName: 'JOHN',
+      lastName: 'DOE',
+      middleName: 'QUINCY',
+      age: 36,
+      documentNumber: 'D1234567',
+      documentExpiry: '2030-01-15',
+      sex: 'M',
+      issuingCountry: 'USA',
+      postalCode: '78701',
+      city: 'AUSTIN',
+      state: 'TX'
+    });
+    expect(result.dob.toISOString().slice(0, 10)).toBe('1990-01-15');
+    expect(result.jurisdictionElements).toEqual({ ZTA: 'VALUE' });
+    expect(result.warnings).toEqual([]);
+  });
+
+  it('uses CCYYMMDD dates for version 01 and reads the full-name element', () => {
+    const payload = buildPayload({
+      version: '01',
+      subfiles: [{ type: 'DL', elements: ['DAQ99887766', 'DAADOE,JANE,ANN', 'DBB19800704', 'DBA20280704', 'DBCF'] }]
+    });
+
+    const result = decodeAAMVA(payload, { now: NOW });
+
+    expect(result.aamva.version).toBe(1);
+    expect(result.aamva.jurisdictionVersion).toBeNull();
+    expect(result.aamva.dateFormat).toBe('CCYYMMDD');
+    expect(result).toMatchObject({ firstName: 'JANE', lastName: 'DOE', middleName: 'ANN', sex: 'F', documentExpiry: '2028-07-04' });
+    expect(result.dob.toISOString().slice(0, 10)).toBe('1980-07-04');
+    expect(result.warnings).toEqual([]);
+  });
+
+  it('uses CCYYMMDD dates for Canadian jurisdictions', () => {
+    const payload = buildPayload({
+      iin: '636012',
+      version: '08',
+      subfiles: [{ type: 'DL', elements: ['DAQON123', 'DCSTREMBLAY', 'DACMARIE', 'DBB20050203', 'DBA20300203', 'DAJON', 'DAKM5V 2T6'] }]
+    });
+
+    const result = decodeAAMVA(payload, { now: NOW });
+
+    expect(result.issuingCountry).toBe('CAN');
+    expect(result.aamva.dateFormat).toBe('CCYYMMDD');
+    expect(result.dob.toISOString().slice(0, 10)).toBe('2005-02-03');
+    expect(result.age).toBe(20);
+    expect(result.postalCode).toBe('M5V 2T6');
+  });
+
+  it('finds subfiles by type when scanners strip the control characters', () => {
+    const payload = buildPayload({
+      subfiles: [{ type: 'DL', elements: ['DAQD7654321', 'DCSSMITH', 'DACALEX', 'DBB03021999'] }]
+    }).replace(/[\x1e\r]/g, '');
+
+    const result = decodeAAMVA(payload, { now: NOW });
+
+    expect(result.warnings).toContain('subfile_offset_mismatch:DL');
+    expect(result.documentNumber).toBe('D7654321');
+    expect(result.dob.toISOString().slice(0, 10)).toBe('1999-03-02');
+  });
+
+  it('falls back to element scanning and date inference without a header', () => {
+    const result = decodeAAMVA(['DAQD1234567', 'DCSDOE', 'DACJOHN', 'DBB19800101'].join('\n'), { now: NOW });
+
+    expect(result.aamva.version).toBeNull();
+    expect(result.warnings).toEqual(expect.arrayContaining(['missing_header', 'date_format_inferred:DBB']));
+    expect(result.dob.toISOString().slice(0, 10)).toBe('1980-01-01');
+    expect(result.age).toBe(46);
+  });
+
+  it('reports unreadable dates and missing elements as warnings', () => {
+    const payload = buildPayload({ subfiles: [{ type: 'DL', elements: ['DCSDOE', 'DBB13451990'] }] });
+
+    const result = decodeAAMVA(payload, { now: NOW });
+
+    expect(result.dob).toBeNull();
+    expect(result.age).toBeNull();
+    expect(result.warnings).toEqual(expect.arrayContaining(['missing_element:DAQ', 'invalid_date:DBB']));
+  });
+
+  it('resolves the date format from version and country', () => {
+    expect(resolveDateFormat({ version: 1, country: 'USA' })).toBe('CCYYMMDD');
+    expect(resolveDateFormat({ version: 9, country: 'USA' })).toBe('MMDDCCYY');
+    expect(resolveDateFormat({ version: 9, country: 'CAN' })).toBe('CCYYMMDD');
+    expect(resolveDateFormat({ version: null, country: 'USA' })).toBeNull();
+  });
+
+  it('returns null for empty input', () => {
+    expect(decodeAAMVA('')).toBeNull();
+    expect(decodeAAMVA(null)).toBeNull();
+  });
+});
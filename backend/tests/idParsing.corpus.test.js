@@ -0,0 +1,58 @@
+"use strict";
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const sharedDir = path.resolve(__dirname, '../../shared/idParsing');
+const serverParser = require('../../shared/idParsing');
+const aamvaCorpus = require('../../shared/idParsing/fixtures/aamva.json');
+const mrzCorpus = require('../../shared/idParsing/fixtures/mrz.json');
+
+// Load the package the way id-scan.html does: a classic <script> with no CommonJS `module` in scope.
+function loadBrowserParser() {
+  const context = vm.createContext({});
+  context.self = context;
+  vm.runInContext(fs.readFileSync(path.join(sharedDir, 'index.js'), 'utf8'), context);
+  return context.IdParsing;
+}
+
+// Dates and objects from the vm realm only compare equal once serialized, which is also what goes over the wire.
+function plain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+describe('shared ID parsing corpus', () => {
+  const browserParser = loadBrowserParser();
+
+  it('exposes the same API to Node and to browser pages', () => {
+    expect(Object.keys(browserParser).sort()).toEqual(Object.keys(serverParser).sort());
+  });
+
+  describe('AAMVA', () => {
+    const now = new Date(aamvaCorpus.now);
+
+    it.each(aamvaCorpus.cases.map((c) => [c.name, c]))('%s', (_name, { payload, expected }) => {
+      const server = plain(serverParser.decodeAAMVA(payload, { now }));
+      const browser = plain(browserParser.decodeAAMVA(payload, { now }));
+
+      expect(browser).toEqual(server);
+      const { dob, warnings, ...rest } = expected;
+      expect(server).toMatchObject(rest);
+      if (dob) expect(server.dob.slice(0, 10)).toBe(dob);
+      expect(server.warnings).toEqual(warnings);
+    });
+  });
+
+  describe('MRZ', () => {
+    const now = new Date(mrzCorpus.now);
+
+    it.each(mrzCorpus.cases.map((c) => [c.name, c]))('%s', (_name, { lines, expected }) => {
+      const server = plain(serverParser.parseMrz(lines, { now }));
+      const browser = plain(browserParser.parseMrz(lines, { now }));
+
+      expect(browser).toEqual(server);
+      expect(server).toMatchObject(expected);
+    });
+  });
+});
@@ -0,0 +1,165 @@
+"use strict";
+
+jest.mock('../src/db', () => ({
+  pool: {},
+  query: jest.fn()
+}));
+
+const crypto = require('crypto');
+const zlib = require('zlib');
+const db = require('../src/db');
+const inspectionExport = require('../src/inspectionExport');
+const { toCsv } = require('../src/exportFormats');
+
+const sha256 = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+function untar(archive) {
+  const tar = zlib.gunzipSync(archive);
+  const entries = {};
+  let offset = 0;
+  while (offset + 512 <= tar.length) {
+    const header = tar.subarray(offset, offset + 512);
+    const name = header.toString('utf8', 0, 100).replace(/\0.*$/s, '');
+    if (!name) break;
+    const size = parseInt(header.toString('utf8', 124, 136).replace(/\0.*$/s, ''), 8);
+    entries[name] = tar.subarray(offset + 512, offset + 512 + size);
+    offset += 512 + Math.ceil(size / 512) * 512;
+  }
+  return entries;
+}
+
+const VERIFICATION = {
+  verification_id: 'ver-1',
+  sale_id: 'SALE-1',
+  clerk_id: 'clerk-1',
+  first_name: 'Ana',
+  middle_name: null,
+  last_name: 'O"Neil, Jr',
+  age: 34,
+  verification_status: 'approved',
+  rejection_reason: null,
+  document_type: 'drivers_license',
+  document_number: 'D1234567',
+  issuing_country: 'USA',
+  document_expiry: '2030-01-01',
+  location_id: 'outlet-1',
+  verified_at: new Date('2026-03-02T15:04:05Z'),
+  sale_status: 'completed'
+};
+
+function mockRows({ verifications = [VERIFICATION], overrides = [], completions = [] } = {}) {
+  db.query.mockImplementation(async (sql) => {
+    if (sql.includes('FROM compliance_report')) return { rows: verifications };
+    if (sql.includes('FROM verification_overrides')) return { rows: overrides };
+    if (sql.includes('FROM sales_completions')) return { rows: completions };
+    throw new Error(`Unexpected query: ${sql}`);
+  });
+}
+
+describe('inspectionExport', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    delete process.env.INSPECTION_EXPORT_TIMEZONE;
+  });
+
+  it('validates the range and outlet', () => {
+    expect(inspectionExport.normalizeExportRequest({ start: '2026-03-01', end: '2026-03-31', outletId: ' outlet-1 ' }))
+      .toEqual({ start: '2026-03-01', end: '2026-03-31', outletId: 'outlet-1', days: 31 });
+    expect(() => inspectionExport.normalizeExportRequest({ start: '2026-03-31', end: '2026-03-01', outletId: 'o' }))
+      .toThrow('INVALID_RANGE');
+    expect(() => inspectionExport.normalizeExportRequest({ start: '2026-02-30', end: '2026-03-01', outletId: 'o' }))
+      .toThrow('INVALID_RANGE');
+    expect(() => inspectionExport.normalizeExportRequest({ start: '2024-01-01', end: '2026-01-01', outletId: 'o' }))
+      .toThrow('RANGE_TOO_LARGE');
+    expect(() => inspectionExport.normalizeExportRequest({ start: '2026-03-01', end: '2026-03-01' }))
+      .toThrow('OUTLET_REQUIRED');
+  });
+
+  it('queries each dataset for the outlet and store-local days', async () => {
+    mockRows();
+    await inspectionExport.buildInspectionExport({ start: '2026-03-01', end: '2026-03-31', outletId: 'outlet-1' });
+
+    expect(db.query).toHaveBeenCalledTimes(3);
+    db.query.mock.calls.forEach(([, params]) => {
+      expect(params).toEqual(['outlet-1', '2026-03-01', '2026-03-31', 'America/Chicago']);
+    });
+  });
+
+  it('bundles CSV and PDF renderings with a manifest and hashes of every file', async () => {
+    mockRows({
+      overrides: [{ override_id: 'ovr-1', verification_id: 'ver-1', sale_id: 'SALE-1', manager_id: 'mgr_1', manager_name: 'Dana' }]
+    });
+
+    const result = await inspectionExport.buildInspectionExport({
+      start: '2026-03-01',
+      end: '2026-03-31',
+      outletId: 'outlet-1',
+      generatedBy: { id: 'admin-1', role: 'compliance' },
+      now: new Date('2026-04-01T12:00:00Z')
+    });
+
+    expect(result.bundleName).toBe('tabc-inspection-outlet-1-2026-03-01_2026-03-31');
+    expect(result.manifest.datasets).toEqual({
+      verifications: { rows: 1, files: ['verifications.csv', 'verifications.pdf'] },
+      overrides: { rows: 1, files: ['overrides.csv', 'overrides.pdf'] },
+      completions: { rows: 0, files: ['completions.csv', 'completions.pdf'] }
+    });
+
+    const entries = untar(result.archive);
+    const prefix = `${result.bundleName}/`;
+    expect(Object.keys(entries).map((name) => name.replace(prefix, '')).sort()).toEqual([
+      'SHA256SUMS', 'completions.csv', 'completions.pdf', 'manifest.json',
+      'overrides.csv', 'overrides.pdf', 'verifications.csv', 'verifications.pdf'
+    ]);
+    expect(sha256(result.archive)).toBe(result.archiveSha256);
+
+    // The manifest and SHA256SUMS describe exactly what is in the archive.
+    const manifest = JSON.parse(entries[`${prefix}manifest.json`].toString('utf8'));
+    manifest.files.forEach((file) => {
+      expect(sha256(entries[prefix + file.name])).toBe(file.sha256);
+      expect(entries[prefix + file.name].length).toBe(file.bytes);
+    });
+    const sums = entries[`${prefix}SHA256SUMS`].toString('utf8').trim().split('\n');
+    expect(sums).toHaveLength(7);
+    sums.forEach((line) => {
+      const [hash, name] = line.split('  ');
+      expect(sha256(entries[prefix + name])).toBe(hash);
+    });
+
+    const csv = entries[`${prefix}verifications.csv`].toString('utf8').split('\r\n');
+    expect(csv[0].startsWith('verification_id,sale_id,clerk_id')).toBe(true);
+    expect(csv[1]).toContain('"O""Neil, Jr"');
+    expect(csv[1]).toContain('2026-03-02T15:04:05.000Z');
+
+    const pdf = entries[`${prefix}verifications.pdf`].toString('latin1');
+    expect(pdf.startsWith('%PDF-1.4')).toBe(true);
+    expect(pdf.trimEnd().endsWith('%%EOF')).toBe(true);
+    expect(pdf).toContain('Page 1 of 1 - records: 1');
+    expect(pdf).toContain('2026-03-02 15:04:05');
+    expect(entries[`${prefix}completions.pdf`].toString('latin1')).toContain('No records in this range.');
+  });
+
+  it('produces identical hashes when the same export is rebuilt', async () => {
+    mockRows();
+    const options = { start: '2026-03-01', end: '2026-03-31', outletId: 'outlet-1', now: new Date('2026-04-01T12:00:00Z') };
+
+    const first = await inspectionExport.buildInspectionExport(options);
+    const second = await inspectionExport.buildInspectionExport(options);
+
+    expect(second.manifest.files).toEqual(first.manifest.files);
+    expect(second.archiveSha256).toBe(first.archiveSha256);
+  });
+
+  it('keeps CSV cells that would start a formula as text', () => {
+    const columns = [{ key: 'name' }, { key: 'notes' }, { key: 'amount' }];
+    const csv = toCsv(columns, [
+      { name: '=HYPERLINK("http://x","y")', notes: '+1 555 0100', amount: -5 },
+      { name: '@SUM(A1)', notes: '-2+3', amount: '-5' },
+      { name: '\tcmd', notes: 'plain - text', amount: 12.5 }
+    ]).toString('utf8').split('\r\n');
+
+    expect(csv[1]).toBe(`"'=HYPERLINK(""http://x"",""y"")",'+1 555 0100,-5`);
+    expect(csv[2]).toBe("'@SUM(A1),'-2+3,'-5");
+    expect(csv[3]).toBe("'\tcmd,plain - text,12.5");
+  });
+});
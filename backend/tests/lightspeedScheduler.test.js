@@ -0,0 +1,130 @@
+"use strict";
+
+const express = require('express');
+const request = require('supertest');
+const lightspeedScheduler = require('../src/lightspeedScheduler');
+
+function deferred() {
+  let resolve;
+  const promise = new Promise((res) => {
+    resolve = res;
+  });
+  return { promise, resolve };
+}
+
+const rateLimited = (retryAfter) => Object.assign(new Error('Request failed with status code 429'), {
+  response: { status: 429, headers: retryAfter === undefined ? {} : { 'retry-after': retryAfter } }
+});
+
+describe('lightspeedScheduler', () => {
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2026-03-10T18:00:00.000Z') });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('starts queued register calls ahead of admin and background calls', async () => {
+    const scheduler = lightspeedScheduler.createRequestScheduler({ settings: { maxConcurrent: 1 } });
+    const first = deferred();
+    const order = [];
+    const task = (name) => async () => {
+      order.push(name);
+      return { headers: {} };
+    };
+
+    const blocking = scheduler.schedule(() => first.promise, { lane: 'background' });
+    const queued = [
+      scheduler.schedule(task('cron'), { lane: 'background' }),
+      scheduler.schedule(task('bi'), { lane: 'admin' }),
+      scheduler.schedule(task('verify'), { lane: 'register' })
+    ];
+    expect(scheduler.getMetrics()).toMatchObject({ inFlight: 1, queued: 3 });
+
+    first.resolve({ headers: {} });
+    await Promise.all([blocking, ...queued]);
+
+    expect(order).toEqual(['verify', 'bi', 'cron']);
+    expect(scheduler.getMetrics().lanes.background).toMatchObject({ started: 2, completed: 2, failed: 0 });
+  });
+
+  it('sizes the bucket from rate-limit headers and waits for the reset when it runs dry', async () => {
+    const scheduler = lightspeedScheduler.createRequestScheduler();
+    const reset = new Date(Date.now() + 2000).toISOString();
+    await scheduler.schedule(async () => ({
+      headers: { 'x-ratelimit-limit': '50', 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': reset }
+    }));
+    expect(scheduler.getMetrics().bucket).toMatchObject({ source: 'headers', capacity: 50, tokens: 0, resetAt: reset });
+
+    const task = jest.fn().mockResolvedValue({ headers: {} });
+    const pending = scheduler.schedule(task, { lane: 'admin' });
+    await jest.advanceTimersByTimeAsync(1500);
+    expect(task).not.toHaveBeenCalled();
+
+    await jest.advanceTimersByTimeAsync(500);
+    await pending;
+    expect(task).toHaveBeenCalledTimes(1);
+    expect(scheduler.getMetrics().bucket.tokens).toBe(49);
+  });
+
+  it('pauses every lane until Retry-After and retries the rate-limited call', async () => {
+    const scheduler = lightspeedScheduler.createRequestScheduler();
+    const sale = jest.fn()
+      .mockRejectedValueOnce(rateLimited('3'))
+      .mockResolvedValueOnce({ headers: {}, data: { id: 'SALE-1' } });
+    const report = jest.fn().mockResolvedValue({ headers: {} });
+
+    const salePromise = scheduler.schedule(sale, { lane: 'register' });
+    await jest.advanceTimersByTimeAsync(0);
+    const reportPromise = scheduler.schedule(report, { lane: 'admin' });
+    expect(scheduler.getMetrics().bucket.pausedUntil).toBe('2026-03-10T18:00:03.000Z');
+
+    await jest.advanceTimersByTimeAsync(2900);
+    expect(sale).toHaveBeenCalledTimes(1);
+    expect(report).not.toHaveBeenCalled();
+
+    await jest.advanceTimersByTimeAsync(100);
+    await expect(salePromise).resolves.toMatchObject({ data: { id: 'SALE-1' } });
+    await reportPromise;
+    expect(scheduler.getMetrics().lanes.register).toMatchObject({ rateLimited: 1, retried: 1, completed: 1, failed: 0 });
+  });
+
+  it('fails register calls that cannot start within their wait budget instead of holding the till', async () => {
+    const scheduler = lightspeedScheduler.createRequestScheduler();
+    const tooLong = rateLimited(new Date(Date.now() + 60_000).toUTCString());
+
+    await expect(scheduler.schedule(() => Promise.reject(tooLong))).rejects.toBe(tooLong);
+
+    const verify = scheduler.schedule(jest.fn(), { lane: 'register' });
+    const cron = jest.fn().mockResolvedValue({ headers: {} });
+    const cronPromise = scheduler.schedule(cron, { lane: 'background' });
+    const expectation = expect(verify).rejects.toMatchObject({ code: 'RATE_LIMITED', lane: 'register' });
+    await jest.advanceTimersByTimeAsync(5000);
+    await expectation;
+    expect(cron).not.toHaveBeenCalled();
+
+    await jest.advanceTimersByTimeAsync(55_000);
+    await cronPromise;
+    expect(scheduler.getMetrics().lanes.register).toMatchObject({ rateLimited: 1, retried: 0, expired: 1, failed: 2 });
+  });
+
+  it('takes the lane from the request context', async () => {
+    expect(lightspeedScheduler.currentLane()).toBe('register');
+    await expect(lightspeedScheduler.runInLane('background', async () => {
+      await Promise.resolve();
+      return lightspeedScheduler.currentLane();
+    })).resolves.toBe('background');
+
+    jest.useRealTimers();
+    const app = express();
+    app.use(express.json());
+    app.use('/admin', lightspeedScheduler.laneMiddleware('admin'));
+    app.post('/admin/lane', async (req, res) => {
+      await new Promise((resolve) => setImmediate(resolve));
+      res.json({ lane: lightspeedScheduler.currentLane() });
+    });
+    const res = await request(app).post('/admin/lane').send({ any: 'body' }).expect(200);
+    expect(res.body.lane).toBe('admin');
+  });
+});
@@ -0,0 +1,307 @@
+"use strict";
+
+jest.mock('../src/db', () => ({
+  query: jest.fn(),
+  pool: { connect: jest.fn() }
+}));
+
+jest.mock('../src/lightspeedClient', () => ({
+  invalidateProductCache: jest.fn().mockReturnValue(1)
+}));
+
+jest.mock('../src/complianceStore', () => ({
+  checkSaleCompliance: jest.fn(),
+  recordComplianceException: jest.fn()
+}));
+
+jest.mock('../src/alerting', () => ({
+  processEvent: jest.fn().mockResolvedValue([])
+}));
+
+jest.mock('../src/marketingService', () => ({
+  upsertCustomerFromWebhook: jest.fn()
+}));
+
+const db = require('../src/db');
+const logger = require('../src/logger');
+const lightspeed = require('../src/lightspeedClient');
+const complianceStore = require('../src/complianceStore');
+const marketingService = require('../src/marketingService');
+const alerting = require('../src/alerting');
+const queue = require('../src/lightspeedWebhookQueue');
+
+// Hands `events` to claimPendingEvents and returns the status updates processPendingWebhookEvents makes.
+function mockQueue(events) {
+  const client = {
+    query: jest.fn(async (sql) => (sql.includes('FOR UPDATE SKIP LOCKED') ? { rows: events } : { rows: [] })),
+    release: jest.fn()
+  };
+  db.pool.connect.mockResolvedValue(client);
+  db.query.mockResolvedValue({ rows: [] });
+  return () => db.query.mock.calls.filter(([sql]) => sql.includes('UPDATE lightspeed_webhook_events'));
+}
+
+const formPayload = (value) => ({ payload: JSON.stringify(value) });
+
+describe('lightspeedWebhookQueue topic handlers', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(logger, 'logSecurity').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('parses form-encoded webhook bodies as well as JSON', () => {
+    const form = `type=sale.update&payload=${encodeURIComponent(JSON.stringify({ id: 'SALE-1', status: 'CLOSED' }))}`;
+    expect(queue.parseWebhookBody(Buffer.from(form))).toEqual({
+      payload: { id: 'SALE-1', status: 'CLOSED' },
+      topic: 'sale.update'
+    });
+    expect(queue.parseWebhookBody(Buffer.from('{"id":"p-1"}'))).toEqual({ payload: { id: 'p-1' }, topic: null });
+    expect(queue.parseWebhookBody(Buffer.from('not a webhook'))).toEqual({ payload: null, topic: null });
+  });
+
+  it('resolves exact topics before prefix wildcards', () => {
+    const exact = jest.fn();
+    queue.registerTopicHandler('register_sale.special', exact);
+    expect(queue.resolveTopicHandler('REGISTER_SALE.SPECIAL')).toBe(exact);
+    expect(queue.resolveTopicHandler('register_sale.update')).toBe(queue.resolveTopicHandler('sale.update'));
+    expect(queue.resolveTopicHandler('payment.update')).toBeNull();
+  });
+
+  it('records a compliance exception and raises an alert for a sale closed without a valid scan', async () => {
+    complianceStore.checkSaleCompliance.mockImplementation(async (saleId) => (saleId === 'SALE-OK'
+      ? { compliant: true, reason: null, verificationId: 'ver-ok' }
+      : { compliant: false, reason: 'VERIFICATION_EXPIRED', verificationId: 'ver-old' }));
+    complianceStore.recordComplianceException.mockImplementation(async (row) => ({ id: '5', ...row }));
+    const updates = mockQueue([
+      {
+        id: '1',
+        topic: 'sale.update',
+        payload: formPayload({
+          id: 'SALE-BAD',
+          status: 'CLOSED',
+          outlet_id: 'outlet-1',
+          register_id: 'reg-1',
+          user_id: 'u-1',
+          sale_date: '2026-03-10T18:00:00Z'
+        })
+      },
+      { id: '2', topic: 'register_sale.update', payload: { id: 'SALE-OK', status: 'CLOSED' } },
+      { id: '3', topic: 'sale.update', payload: { id: 'SALE-OPEN', status: 'SAVED' } }
+    ]);
+
+    const result = await queue.processPendingWebhookEvents();
+
+    expect(result).toEqual({ ok: true, processed: 3, failed: 0, retried: 0, deadLettered: 0, unhandled: 0, released: 0 });
+    expect(complianceStore.checkSaleCompliance).toHaveBeenCalledTimes(2);
+    expect(complianceStore.checkSaleCompliance).toHaveBeenCalledWith('SALE-BAD', { closedAt: new Date('2026-03-10T18:00:00Z') });
+    const exception = {
+      saleId: 'SALE-BAD',
+      outletId: 'outlet-1',
+      registerId: 'reg-1',
+      userId: 'u-1',
+      reason: 'VERIFICATION_EXPIRED',
+      verificationId: 'ver-old'
+    };
+    expect(complianceStore.recordComplianceException).toHaveBeenCalledTimes(1);
+    expect(complianceStore.recordComplianceException).toHaveBeenCalledWith({
+      ...exception,
+      closedAt: new Date('2026-03-10T18:00:00Z'),
+      webhookEventId: '1'
+    });
+    expect(logger.logSecurity).toHaveBeenCalledWith('closed_sale_without_verification', { ...exception, source: 'webhook' });
+    expect(alerting.processEvent).toHaveBeenCalledTimes(1);
+    expect(alerting.processEvent).toHaveBeenCalledWith({ kind: 'sale', exception: expect.objectContaining({ id: '5', saleId: 'SALE-BAD' }) });
+    expect(updates().map(([, params]) => params[0])).toEqual(['1', '2', '3']);
+  });
+
+  it('checks a sale event as soon as it arrives, within a time budget', async () => {
+    complianceStore.checkSaleCompliance.mockResolvedValue({ compliant: false, reason: 'NO_VERIFICATION', verificationId: null });
+    complianceStore.recordComplianceException.mockImplementation(async (row) => ({ id: '6', ...row }));
+    db.query.mockImplementation(async (sql) => (sql.includes("WHERE id = $1 AND status = 'pending'")
+      ? { rows: [{ id: '21', topic: 'sale.update', payload: { id: 'SALE-9', status: 'CLOSED' }, attempts: 1, signature_verified: true }] }
+      : { rows: [] }));
+
+    expect(queue.isInlineTopic('register_sale.update')).toBe(true);
+    expect(queue.isInlineTopic('customer.update')).toBe(false);
+    await expect(queue.processWebhookEventNow('21')).resolves.toBe('processed');
+    expect(alerting.processEvent).toHaveBeenCalledWith({ kind: 'sale', exception: expect.objectContaining({ saleId: 'SALE-9', webhookEventId: '21' }) });
+
+    // A duplicate delivery finds the event already claimed and does nothing.
+    db.query.mockResolvedValue({ rows: [] });
+    await expect(queue.processWebhookEventNow('21')).resolves.toBe('skipped');
+
+    // A slow check stops holding up the ACK once the budget is spent.
+    db.query.mockImplementation(async (sql) => (sql.includes("WHERE id = $1 AND status = 'pending'")
+      ? { rows: [{ id: '22', topic: 'sale.update', payload: { id: 'SALE-10', status: 'CLOSED' }, attempts: 1, signature_verified: true }] }
+      : { rows: [] }));
+    complianceStore.checkSaleCompliance.mockImplementation(() => new Promise(() => {}));
+    await expect(queue.processWebhookEventNow('22', { maxDurationMs: 20 })).resolves.toBe('timeout');
+  });
+
+  it('does not alert again when the sale already has an exception on record', async () => {
+    complianceStore.checkSaleCompliance.mockResolvedValue({ compliant: false, reason: 'NO_VERIFICATION', verificationId: null });
+    complianceStore.recordComplianceException.mockResolvedValue(null);
+    mockQueue([{ id: '1', topic: 'sale.update', payload: { id: 'SALE-BAD', status: 'CLOSED' } }]);
+
+    const result = await queue.processPendingWebhookEvents();
+
+    expect(result.processed).toBe(1);
+    expect(complianceStore.recordComplianceException).toHaveBeenCalledTimes(1);
+    expect(alerting.processEvent).not.toHaveBeenCalled();
+  });
+
+  it('invalidates product caches and upserts customer profiles from the payload', async () => {
+    marketingService.upsertCustomerFromWebhook.mockResolvedValue({ customerId: 'cust-1', applied: true });
+    mockQueue([
+      { id: '1', topic: 'product.update', payload: { id: 'prod-1', name: 'IPA 6pk' } },
+      { id: '2', topic: 'inventory.update', payload: { product_id: 'prod-2', outlet_id: 'outlet-1', count: 4 } },
+      { id: '3', topic: 'customer.update', payload: formPayload({ id: 'cust-1', first_name: 'Ana', version: 12 }) }
+    ]);
+
+    const result = await queue.processPendingWebhookEvents();
+
+    expect(result.processed).toBe(3);
+    expect(lightspeed.invalidateProductCache.mock.calls).toEqual([['prod-1'], ['prod-2']]);
+    expect(marketingService.upsertCustomerFromWebhook).toHaveBeenCalledWith(db.pool, { id: 'cust-1', first_name: 'Ana', version: 12 });
+  });
+
+  it('keeps unknown topics for inspection and dead-letters invalid payloads without retrying', async () => {
+    const updates = mockQueue([
+      { id: '1', topic: 'gift_card.update', payload: { id: 'gc-1' } },
+      { id: '2', topic: 'sale.update', payload: { status: 'CLOSED' } }
+    ]);
+
+    const result = await queue.processPendingWebhookEvents();
+
+    expect(result).toMatchObject({ processed: 0, failed: 1, deadLettered: 1, unhandled: 1 });
+    const [unhandled, failed] = updates();
+    expect(unhandled[0]).toContain("status = 'unhandled'");
+    expect(unhandled[1]).toEqual(['1', 'NO_HANDLER']);
+    expect(failed[0]).toContain("status = 'dead_letter'");
+    expect(failed[1]).toEqual(['2', 'Sale payload has no id']);
+  });
+
+  it('does not act on events whose signature did not verify once a client secret is configured', async () => {
+    process.env.LIGHTSPEED_CLIENT_SECRET = 'shh';
+    complianceStore.checkSaleCompliance.mockResolvedValue({ compliant: false, reason: 'NO_VERIFICATION', verificationId: null });
+    const updates = mockQueue([
+      { id: '1', topic: 'sale.update', payload: { id: 'SALE-1', status: 'CLOSED' }, signature_verified: false },
+      { id: '2', topic: 'customer.update', payload: { id: 'cust-1', first_name: 'Eve' }, signature_verified: false },
+      { id: '3', topic: 'product.update', payload: { id: 'prod-1' }, signature_verified: true }
+    ]);
+
+    try {
+      const result = await queue.processPendingWebhookEvents();
+
+      expect(result).toMatchObject({ processed: 1, unhandled: 2, failed: 0 });
+      expect(complianceStore.checkSaleCompliance).not.toHaveBeenCalled();
+      expect(marketingService.upsertCustomerFromWebhook).not.toHaveBeenCalled();
+      expect(lightspeed.invalidateProductCache).toHaveBeenCalledWith('prod-1');
+      expect(updates().slice(0, 2).map(([, params]) => params)).toEqual([
+        ['1', 'UNVERIFIED_SIGNATURE'],
+        ['2', 'UNVERIFIED_SIGNATURE']
+      ]);
+      expect(logger.logSecurity).toHaveBeenCalledWith('webhook_event_unverified_skipped', { id: '1', topic: 'sale.update' });
+    } finally {
+      delete process.env.LIGHTSPEED_CLIENT_SECRET;
+    }
+  });
+
+  it('retries failing handlers with backoff and dead-letters them at the attempt cap', async () => {
+    process.env.LIGHTSPEED_WEBHOOK_MAX_ATTEMPTS = '3';
+    marketingService.upsertCustomerFromWebhook.mockRejectedValue(new Error('connection reset'));
+    const updates = mockQueue([
+      { id: '1', topic: 'customer.update', payload: { id: 'cust-1' }, attempts: 0 },
+      { id: '2', topic: 'customer.update', payload: { id: 'cust-2' }, attempts: 2 }
+    ]);
+
+    try {
+      const before = Date.now();
+      const result = await queue.processPendingWebhookEvents();
+
+      expect(result).toMatchObject({ processed: 0, failed: 2, retried: 1, deadLettered: 1 });
+      const [retry, dead] = updates();
+      expect(retry[0]).toContain("SET status = 'pending', next_attempt_at = $2");
+      expect(retry[1][0]).toBe('1');
+      expect(retry[1][1].getTime()).toBeGreaterThanOrEqual(before + queue.computeBackoffMs(1));
+      expect(retry[1][2]).toBe('connection reset');
+      expect(dead[0]).toContain("status = 'dead_letter'");
+      expect(dead[1]).toEqual(['2', 'connection reset']);
+    } finally {
+      delete process.env.LIGHTSPEED_WEBHOOK_MAX_ATTEMPTS;
+    }
+  });
+
+  it('backs off exponentially up to a ceiling', () => {
+    expect([1, 2, 3, 4, 8, 20].map((n) => queue.computeBackoffMs(n) / 1000)).toEqual([30, 60, 120, 300, 7200, 7200]);
+  });
+
+  it('replays chosen events through their handler and dead-letters a failing replay', async () => {
+    db.query.mockImplementation(async (sql) => {
+      if (sql.includes('RETURNING id, topic, payload, attempts')) {
+        return {
+          rows: [
+            { id: '9', topic: 'sale.update', payload: { payload: JSON.stringify({ status: 'CLOSED' }) }, attempts: 6 },
+            { id: '4', topic: 'product.update', payload: { id: 'prod-4' }, attempts: 6 }
+          ]
+        };
+      }
+      return { rows: [] };
+    });
+
+    const result = await queue.replayWebhookEvents({ fromId: '4', toId: '9', status: 'dead_letter', replayedBy: 'owner@example.com' });
+
+    expect(result).toEqual({
+      replayed: 2,
+      processed: 1,
+      unhandled: 0,
+      deadLettered: 1,
+      events: [
+        { id: '4', topic: 'product.update', status: 'processed' },
+        { id: '9', topic: 'sale.update', status: 'dead_letter', error: 'Sale payload has no id' }
+      ]
+    });
+    const [sql, params] = db.query.mock.calls.find(([text]) => text.includes('RETURNING id, topic, payload, attempts'));
+    expect(sql).toContain("status <> 'processing' AND id >= $1 AND id <= $2 AND status = $3");
+    expect(params).toEqual(['4', '9', 'dead_letter', 200, 'owner@example.com']);
+    expect(lightspeed.invalidateProductCache).toHaveBeenCalledWith('prod-4');
+  });
+
+  it('refuses to replay without an id, id range or time range', async () => {
+    db.query.mockResolvedValue({ rows: [] });
+    await expect(queue.replayWebhookEvents({ status: 'dead_letter' })).rejects.toMatchObject({ code: 'INVALID_RANGE' });
+    await expect(queue.replayWebhookEvents({ ids: ['abc'] })).rejects.toMatchObject({ code: 'INVALID_RANGE' });
+  });
+
+  it('lists events without bodies, filtering a topic family', async () => {
+    db.query.mockImplementation(async (sql) => (sql.includes('FROM lightspeed_webhook_events')
+      ? { rows: [{ id: 12, topic: 'register_sale.update', status: 'dead_letter', attempts: 6, last_error: 'boom', received_at: '2026-03-01T10:00:00.000Z' }] }
+      : { rows: [] }));
+
+    const events = await queue.listWebhookEvents({ topic: 'register_sale.*', since: '2026-03-01', limit: 20 });
+
+    expect(events).toEqual([
+      expect.objectContaining({ id: '12', status: 'dead_letter', attempts: 6, lastError: 'boom', nextAttemptAt: null })
+    ]);
+    expect(events[0]).not.toHaveProperty('payload');
+    const [, params] = db.query.mock.calls.find(([text]) => text.includes('ORDER BY received_at DESC'));
+    expect(params).toEqual(['register_sale.%', new Date('2026-03-01'), 20, 0]);
+  });
+
+  it('returns events it has no time for to the pending queue', async () => {
+    const updates = mockQueue([
+      { id: '1', topic: 'product.update', payload: { id: 'prod-1' } },
+      { id: '2', topic: 'product.update', payload: { id: 'prod-2' } }
+    ]);
+
+    const result = await queue.processPendingWebhookEvents({ maxDurationMs: 0 });
+
+    expect(result).toMatchObject({ processed: 0, released: 2 });
+    expect(lightspeed.invalidateProductCache).not.toHaveBeenCalled();
+    expect(updates()).toEqual([[expect.stringContaining("SET status = 'pending'"), [['1', '2']]]]);
+  });
+});
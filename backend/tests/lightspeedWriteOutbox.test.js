@@ -0,0 +1,233 @@
+"use strict";
+
+jest.mock('../src/db', () => ({
+  query: jest.fn(),
+  pool: { connect: jest.fn() }
+}));
+
+jest.mock('../src/lightspeedClient', () => ({
+  recordVerification: jest.fn(),
+  completeSale: jest.fn(),
+  updateCustomerById: jest.fn()
+}));
+
+const db = require('../src/db');
+const logger = require('../src/logger');
+const lightspeed = require('../src/lightspeedClient');
+const outbox = require('../src/lightspeedWriteOutbox');
+
+const row = (overrides) => ({
+  id: '1',
+  idempotency_key: 'k-1',
+  kind: 'sale_note',
+  sale_id: 'SALE-1',
+  customer_id: null,
+  status: 'processing',
+  attempts: 0,
+  payload: {},
+  progress: null,
+  ...overrides
+});
+
+// Hands `batches` to successive claimDueWrites calls and returns the client so claim SQL can be inspected.
+function mockClaims(...batches) {
+  const client = {
+    query: jest.fn(async (sql) => (sql.includes('FOR UPDATE SKIP LOCKED') ? { rows: batches.shift() || [] } : { rows: [] })),
+    release: jest.fn()
+  };
+  db.pool.connect.mockResolvedValue(client);
+  db.query.mockResolvedValue({ rows: [] });
+  return client;
+}
+
+const outboxUpdates = () => db.query.mock.calls.filter(([sql]) => sql.includes('UPDATE lightspeed_write_outbox'));
+
+describe('lightspeedWriteOutbox', () => {
+  const originalPool = db.pool;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(logger, 'warn').mockImplementation(() => {});
+    db.pool = originalPool;
+    delete process.env.LIGHTSPEED_WRITE_MAX_ATTEMPTS;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('stores a repeated write once under the same idempotency key', async () => {
+    const stored = [];
+    db.query.mockImplementation(async (sql, params) => {
+      if (sql.includes('INSERT INTO lightspeed_write_outbox')) {
+        if (stored.length) return { rows: [] };
+        stored.push(row({ id: '7', idempotency_key: params[0], status: 'pending' }));
+        return { rows: stored };
+      }
+      if (sql.includes('SELECT * FROM lightspeed_write_outbox')) return { rows: stored };
+      return { rows: [] };
+    });
+
+    const payload = { saleId: 'SALE-1', verificationData: { approved: true } };
+    const first = await outbox.enqueueWrite({ kind: 'sale_note', saleId: 'SALE-1', payload });
+    const again = await outbox.enqueueWrite({ kind: 'sale_note', saleId: 'SALE-1', payload: { ...payload } });
+
+    expect(first).toMatchObject({ queued: true, duplicate: false, write: { id: '7', status: 'pending' } });
+    expect(first.write.idempotencyKey).toMatch(/^sale_note:sale:SALE-1:[0-9a-f]{64}$/);
+    expect(again).toMatchObject({ queued: true, duplicate: true, write: { id: '7' } });
+    expect(stored).toHaveLength(1);
+  });
+
+  it('puts a failed write back in the queue when the same key is submitted again', async () => {
+    db.query.mockImplementation(async (sql, params) => {
+      if (sql.includes('INSERT INTO lightspeed_write_outbox')) return { rows: [] };
+      if (sql.includes("WHERE idempotency_key = $1 AND status = 'failed'")) {
+        return { rows: [row({ id: '8', idempotency_key: params[0], kind: 'complete_sale', status: 'pending', attempts: 0 })] };
+      }
+      return { rows: [] };
+    });
+
+    const again = await outbox.enqueueWrite({
+      kind: 'complete_sale',
+      saleId: 'SALE-1',
+      idempotencyKey: 'complete_sale:SALE-1:ver-1',
+      payload: { saleId: 'SALE-1', verificationId: 'ver-1' }
+    });
+
+    expect(again).toMatchObject({ queued: true, duplicate: true, requeued: true, write: { id: '8', status: 'pending', attempts: 0 } });
+    const [requeueSql, requeueParams] = outboxUpdates()[0];
+    expect(requeueSql).toContain("SET status = 'pending', attempts = 0");
+    expect(requeueParams[0]).toBe('complete_sale:SALE-1:ver-1');
+  });
+
+  it('waits for the send and returns the write as it stands afterwards', async () => {
+    const client = mockClaims([
+      row({ id: '9', kind: 'complete_sale', payload: { saleId: 'SALE-1', verificationId: 'ver-1' } })
+    ]);
+    db.query.mockImplementation(async (sql) => {
+      if (sql.includes('INSERT INTO lightspeed_write_outbox')) return { rows: [row({ id: '9', kind: 'complete_sale', status: 'pending' })] };
+      if (sql.includes('SELECT * FROM lightspeed_write_outbox WHERE id = $1')) {
+        return { rows: [row({ id: '9', kind: 'complete_sale', status: 'done', result: { completedAt: '2026-03-10T18:00:00.000Z' } })] };
+      }
+      return { rows: [] };
+    });
+    lightspeed.completeSale.mockResolvedValue({ completedAt: '2026-03-10T18:00:00.000Z', amount: 42 });
+
+    const submitted = await outbox.submitWrite({
+      kind: 'complete_sale',
+      saleId: 'SALE-1',
+      payload: { saleId: 'SALE-1', verificationId: 'ver-1' }
+    }, { waitMs: 1000 });
+
+    expect(lightspeed.completeSale).toHaveBeenCalledTimes(1);
+    expect(client.query.mock.calls.find(([sql]) => sql.includes('FOR UPDATE SKIP LOCKED'))[1][1]).toBe('sale:SALE-1');
+    expect(submitted).toMatchObject({ queued: true, write: { id: '9', status: 'done', result: { completedAt: '2026-03-10T18:00:00.000Z' } } });
+  });
+
+  it('claims only the first outstanding write per sale and sends it', async () => {
+    const client = mockClaims([
+      row({ id: '3', payload: { saleId: 'SALE-1', clerkId: 'c-1', verificationData: { approved: true } } })
+    ]);
+    lightspeed.recordVerification.mockResolvedValue({ noteUpdated: true });
+
+    const result = await outbox.processDueWrites({ saleId: 'SALE-1' });
+
+    expect(result).toEqual({ ok: true, processed: 1, retried: 0, failed: 0 });
+    const [claimSql, claimParams] = client.query.mock.calls.find(([sql]) => sql.includes('FOR UPDATE SKIP LOCKED'));
+    expect(claimSql).toContain('earlier.id < w.id');
+    expect(claimParams[1]).toBe('sale:SALE-1');
+    expect(lightspeed.recordVerification).toHaveBeenCalledWith({
+      saleId: 'SALE-1',
+      clerkId: 'c-1',
+      verificationData: { approved: true }
+    });
+    const [doneSql, doneParams] = outboxUpdates()[0];
+    expect(doneSql).toContain("status = 'done'");
+    expect(doneSql).toContain("payload = '{}'::jsonb");
+    expect(doneParams).toEqual(['3', JSON.stringify({ noteUpdated: true })]);
+  });
+
+  it('retries a transient failure with backoff and keeps a posted payment from being posted twice', async () => {
+    mockClaims(
+      [row({ id: '4', kind: 'complete_sale', attempts: 1, payload: { saleId: 'SALE-1', verificationId: 'ver-1' } })],
+      [row({
+        id: '4',
+        kind: 'complete_sale',
+        attempts: 2,
+        payload: { saleId: 'SALE-1', verificationId: 'ver-1' },
+        progress: { paymentRecorded: true }
+      })]
+    );
+    lightspeed.completeSale
+      .mockRejectedValueOnce(Object.assign(new Error('Request failed with status code 503'), {
+        response: { status: 503 },
+        paymentRecorded: true
+      }))
+      .mockResolvedValueOnce({ completedAt: '2026-03-10T18:00:00.000Z', amount: 42 });
+
+    const before = Date.now();
+    await expect(outbox.processDueWrites()).resolves.toMatchObject({ processed: 1, retried: 1, failed: 0 });
+
+    const [, failureParams] = outboxUpdates()[0];
+    expect(failureParams[1]).toBe('pending');
+    expect(failureParams[2].getTime()).toBeGreaterThanOrEqual(before + outbox.computeBackoffMs(2));
+    expect(failureParams[4]).toBe(503);
+    expect(JSON.parse(failureParams[5])).toEqual({ paymentRecorded: true });
+    expect(lightspeed.completeSale.mock.calls.map(([args]) => args.skipPayment)).toEqual([false, true]);
+  });
+
+  it('fails a write Lightspeed rejects outright, or one that runs out of attempts', async () => {
+    process.env.LIGHTSPEED_WRITE_MAX_ATTEMPTS = '3';
+    mockClaims([
+      row({ id: '5', kind: 'customer_update', sale_id: null, customer_id: 'cust-1', attempts: 1, payload: { customerId: 'cust-1', fields: { dob: '1990-01-01' } } }),
+      row({ id: '6', kind: 'customer_update', sale_id: null, customer_id: 'cust-2', attempts: 3, payload: { customerId: 'cust-2', fields: { dob: '1990-01-01' } } })
+    ]);
+    lightspeed.updateCustomerById
+      .mockResolvedValueOnce({ updated: false, error: 'Validation failed', status: 422 })
+      .mockResolvedValueOnce({ updated: false, error: 'timeout', status: 504 });
+
+    await expect(outbox.processDueWrites()).resolves.toMatchObject({ processed: 0, retried: 0, failed: 2 });
+
+    expect(outboxUpdates().map(([, params]) => [params[0], params[1], params[4]])).toEqual([
+      ['5', 'failed', 422],
+      ['6', 'failed', 504]
+    ]);
+  });
+
+  it('sends due writes from any sale as traffic comes in, at most once per interval', async () => {
+    const now = Date.now() + 24 * 60 * 60 * 1000;
+    jest.spyOn(Date, 'now').mockReturnValue(now);
+    const client = mockClaims([
+      row({ id: '7', sale_id: 'SALE-7', attempts: 2, payload: { saleId: 'SALE-7', verificationData: { approved: true } } })
+    ]);
+    lightspeed.recordVerification.mockResolvedValue({ noteUpdated: true });
+
+    await expect(outbox.drainDueWrites()).resolves.toEqual({ ok: true, processed: 1, retried: 0, failed: 0 });
+    const [, claimParams] = client.query.mock.calls.find(([sql]) => sql.includes('FOR UPDATE SKIP LOCKED'));
+    expect(claimParams.slice(0, 2)).toEqual([5, null]);
+
+    Date.now.mockReturnValue(now + 5000);
+    await expect(outbox.drainDueWrites()).resolves.toEqual({ ok: false, reason: 'throttled' });
+    expect(lightspeed.recordVerification).toHaveBeenCalledTimes(1);
+
+    db.pool = null;
+    Date.now.mockReturnValue(now + 60 * 1000);
+    await expect(outbox.drainDueWrites()).resolves.toEqual({ ok: false, reason: 'db_disabled' });
+  });
+
+  it('sends the write inline when there is no database', async () => {
+    db.pool = null;
+    lightspeed.recordVerification.mockResolvedValue({ noteUpdated: true });
+
+    const result = await outbox.submitWrite({
+      kind: 'sale_note',
+      saleId: 'SALE-1',
+      payload: { saleId: 'SALE-1', verificationData: { approved: true } }
+    });
+
+    expect(result).toEqual({ queued: false, reason: 'db_disabled', result: { noteUpdated: true } });
+    expect(db.query).not.toHaveBeenCalled();
+    await expect(outbox.submitWrite({ kind: 'refund', saleId: 'SALE-1', payload: {} }))
+      .rejects.toMatchObject({ code: 'INVALID_PAYLOAD' });
+  });
+});
@@ -0,0 +1,220 @@
+"use strict";
+
+jest.mock('../src/db', () => {
+  // Just enough of Postgres for the statements managerStore issues.
+  const managers = new Map();
+  const lockouts = new Map();
+  const result = (rows) => ({ rows, rowCount: rows.length });
+  const now = () => new Date();
+
+  async function query(text, params = []) {
+    const sql = String(text).replace(/\s+/g, ' ').trim();
+    if (/^CREATE /.test(sql)) return result([]);
+
+    if (sql.startsWith('SELECT id FROM managers WHERE pin_lookup = $1 AND active')) {
+      return result([...managers.values()]
+        .filter((m) => m.pin_lookup === params[0] && m.active && m.id !== params[1])
+        .map((m) => ({ id: m.id })));
+    }
+    if (sql.startsWith('INSERT INTO managers')) {
+      const [id, name, employeeCode, email, pinHash, pinLookup, outletIds, allOutlets] = params;
+      managers.set(id, {
+        id, name, employee_code: employeeCode, email, pin_hash: pinHash, pin_lookup: pinLookup,
+        outlet_ids: outletIds, all_outlets: allOutlets, active: true, last_used_at: null,
+        created_at: now(), updated_at: now()
+      });
+      return result([]);
+    }
+    if (sql.includes('FROM managers m LEFT JOIN manager_pin_lockouts l') && sql.includes('WHERE m.id = $1')) {
+      const m = managers.get(params[0]);
+      return result(m ? [{ ...m, locked_until: lockouts.get(`manager:${m.id}`)?.locked_until || null }] : []);
+    }
+    if (sql.startsWith('SELECT * FROM managers WHERE id = $1 AND active')) {
+      const m = managers.get(params[0]);
+      return result(m && m.active ? [{ ...m }] : []);
+    }
+    if (sql.startsWith('SELECT * FROM managers WHERE pin_lookup = $1 AND active')) {
+      return result([...managers.values()].filter((m) => m.pin_lookup === params[0] && m.active).map((m) => ({ ...m })));
+    }
+    if (sql.startsWith('UPDATE managers SET pin_hash')) {
+      const m = managers.get(params[0]);
+      if (!m) return result([]);
+      Object.assign(m, { pin_hash: params[1], pin_lookup: params[2] });
+      return { rows: [], rowCount: 1 };
+    }
+    if (sql.startsWith('UPDATE managers SET active = FALSE')) {
+      const m = managers.get(params[0]);
+      if (!m || !m.active) return { rows: [], rowCount: 0 };
+      m.active = false;
+      return { rows: [], rowCount: 1 };
+    }
+    if (sql.startsWith('UPDATE managers SET last_used_at')) {
+      managers.get(params[0]).last_used_at = now();
+      return { rows: [], rowCount: 1 };
+    }
+    if (sql.startsWith('SELECT locked_until FROM manager_pin_lockouts')) {
+      const l = lockouts.get(params[0]);
+      return result(l && l.locked_until && l.locked_until > now() ? [{ locked_until: l.locked_until }] : []);
+    }
+    if (sql.startsWith('INSERT INTO manager_pin_lockouts')) {
+      const l = lockouts.get(params[0]);
+      const expired = l && l.locked_until && l.locked_until <= now();
+      const stale = l && l.last_failed_at < new Date(Date.now() - params[1] * 60000);
+      const next = l && !expired && !stale
+        ? { ...l, failed_attempts: l.failed_attempts + 1 }
+        : { failed_attempts: 1, locked_until: null };
+      next.last_failed_at = now();
+      lockouts.set(params[0], next);
+      return result([{ failed_attempts: next.failed_attempts }]);
+    }
+    if (sql.startsWith('UPDATE manager_pin_lockouts SET locked_until')) {
+      const l = lockouts.get(params[0]);
+      l.locked_until = new Date(Date.now() + params[1] * 60000);
+      return result([{ locked_until: l.locked_until }]);
+    }
+    if (sql.startsWith('DELETE FROM manager_pin_lockouts WHERE scope_key = $1')) {
+      const existed = lockouts.delete(params[0]);
+      return { rows: [], rowCount: existed ? 1 : 0 };
+    }
+    throw new Error(`Unexpected query in fake Postgres: ${sql}`);
+  }
+
+  return { pool: {}, query: jest.fn(query), __managers: managers, __lockouts: lockouts };
+});
+
+const db = require('../src/db');
+const managerStore = require('../src/managerStore');
+
+describe('managerStore', () => {
+  beforeEach(() => {
+    db.__managers.clear();
+    db.__lockouts.clear();
+    process.env.MANAGER_PIN_PEPPER = 'test-pepper';
+    process.env.MANAGER_PIN_MAX_ATTEMPTS = '3';
+  });
+
+  afterAll(() => {
+    delete process.env.MANAGER_PIN_PEPPER;
+    delete process.env.MANAGER_PIN_MAX_ATTEMPTS;
+  });
+
+  it('stores only a salted hash and a peppered lookup for the PIN', async () => {
+    const manager = await managerStore.createManager({ name: 'Dana', pin: '4821', outletIds: ['outlet-1'] });
+    const row = db.__managers.get(manager.id);
+
+    expect(manager).toMatchObject({ name: 'Dana', outletIds: ['outlet-1'], allOutlets: false, active: true });
+    expect(manager).not.toHaveProperty('pin_hash');
+    expect(row.pin_hash).toMatch(/^scrypt\$/);
+    expect(row.pin_hash).not.toContain('4821');
+    expect(row.pin_lookup).toBe(managerStore.computePinLookup('4821'));
+    await expect(managerStore.verifyPin('4821', row.pin_hash)).resolves.toBe(true);
+    await expect(managerStore.verifyPin('4822', row.pin_hash)).resolves.toBe(false);
+  });
+
+  it('refuses a PIN another active manager already uses', async () => {
+    await managerStore.createManager({ name: 'Dana', pin: '4821', allOutlets: true });
+    await expect(managerStore.createManager({ name: 'Sam', pin: '4821', allOutlets: true })).rejects.toThrow('PIN_IN_USE');
+    await expect(managerStore.createManager({ name: 'Sam', pin: '12' })).rejects.toThrow('INVALID_PIN_FORMAT');
+  });
+
+  it('neither sets nor checks PINs without a pepper', async () => {
+    const dana = await managerStore.createManager({ name: 'Dana', pin: '4821', allOutlets: true });
+    const originalApiKey = process.env.API_SECRET_KEY;
+    delete process.env.MANAGER_PIN_PEPPER;
+    delete process.env.API_SECRET_KEY;
+    try {
+      await expect(managerStore.createManager({ name: 'Sam', pin: '5931' })).rejects.toThrow('PIN_PEPPER_NOT_CONFIGURED');
+      await expect(managerStore.setManagerPin(dana.id, '5931')).rejects.toThrow('PIN_PEPPER_NOT_CONFIGURED');
+      await expect(managerStore.authenticateManagerPin({ pin: '4821', clientIp: '10.0.0.1' }))
+        .rejects.toThrow('PIN_PEPPER_NOT_CONFIGURED');
+      await expect(managerStore.authenticateManagerPin({ pin: '4821', managerId: dana.id, clientIp: '10.0.0.1' }))
+        .rejects.toThrow('PIN_PEPPER_NOT_CONFIGURED');
+    } finally {
+      if (originalApiKey !== undefined) process.env.API_SECRET_KEY = originalApiKey;
+    }
+    expect(db.__lockouts.size).toBe(0);
+  });
+
+  it('resolves a bare PIN to its manager and checks the outlet', async () => {
+    const dana = await managerStore.createManager({ name: 'Dana', pin: '4821', outletIds: ['outlet-1'] });
+
+    const ok = await managerStore.authenticateManagerPin({ pin: '4821', outletId: 'outlet-1', clientIp: '10.0.0.1' });
+    expect(ok).toMatchObject({ ok: true, manager: { id: dana.id, name: 'Dana' } });
+    expect(db.__managers.get(dana.id).last_used_at).toBeInstanceOf(Date);
+
+    const elsewhere = await managerStore.authenticateManagerPin({ pin: '4821', outletId: 'outlet-2', clientIp: '10.0.0.9' });
+    expect(elsewhere).toMatchObject({ ok: false, reason: 'MANAGER_NOT_AUTHORIZED_FOR_OUTLET' });
+
+    const unknownOutlet = await managerStore.authenticateManagerPin({ pin: '4821', outletId: null });
+    expect(unknownOutlet).toMatchObject({ ok: false, reason: 'MANAGER_NOT_AUTHORIZED_FOR_OUTLET' });
+  });
+
+  it('locks the client address after repeated failures, whatever register it claims to be', async () => {
+    await managerStore.createManager({ name: 'Dana', pin: '4821', allOutlets: true });
+
+    const first = await managerStore.authenticateManagerPin({ pin: '0000', clientIp: '10.0.0.1' });
+    expect(first).toEqual({ ok: false, reason: 'INVALID_PIN', attemptsRemaining: 2 });
+    await managerStore.authenticateManagerPin({ pin: '0001', clientIp: '10.0.0.1' });
+    const third = await managerStore.authenticateManagerPin({ pin: '0002', clientIp: '10.0.0.1' });
+    expect(third).toMatchObject({ ok: false, reason: 'PIN_LOCKED' });
+
+    // Even the right PIN is refused from that address until the lock expires...
+    const locked = await managerStore.authenticateManagerPin({ pin: '4821', clientIp: '10.0.0.1' });
+    expect(locked).toMatchObject({ ok: false, reason: 'PIN_LOCKED' });
+
+    // ...but other addresses are unaffected.
+    const other = await managerStore.authenticateManagerPin({ pin: '4821', clientIp: '10.0.0.2' });
+    expect(other.ok).toBe(true);
+  });
+
+  it('caps bare-PIN guesses chain-wide, even spread across addresses, and a correct PIN does not reset it', async () => {
+    process.env.MANAGER_PIN_GLOBAL_MAX_ATTEMPTS = '4';
+    try {
+      await managerStore.createManager({ name: 'Dana', pin: '4821', allOutlets: true });
+
+      await managerStore.authenticateManagerPin({ pin: '0000', clientIp: '10.0.0.1' });
+      await managerStore.authenticateManagerPin({ pin: '0001', clientIp: '10.0.0.2' });
+      expect((await managerStore.authenticateManagerPin({ pin: '4821', clientIp: '10.0.0.3' })).ok).toBe(true);
+      await managerStore.authenticateManagerPin({ pin: '0002', clientIp: '10.0.0.4' });
+      const fourth = await managerStore.authenticateManagerPin({ pin: '0003', clientIp: '10.0.0.5' });
+      expect(fourth).toMatchObject({ ok: false, reason: 'PIN_LOCKED' });
+
+      const fresh = await managerStore.authenticateManagerPin({ pin: '4821', clientIp: '10.0.0.6' });
+      expect(fresh).toMatchObject({ ok: false, reason: 'PIN_LOCKED' });
+    } finally {
+      delete process.env.MANAGER_PIN_GLOBAL_MAX_ATTEMPTS;
+    }
+  });
+
+  it('locks a named manager, and an admin unlock or PIN reset clears it', async () => {
+    const dana = await managerStore.createManager({ name: 'Dana', pin: '4821', allOutlets: true });
+
+    // Spread over addresses: the manager lock does not depend on where the guesses come from.
+    for (let i = 0; i < 3; i++) {
+      await managerStore.authenticateManagerPin({ pin: '9999', managerId: dana.id, clientIp: `10.0.1.${i}` });
+    }
+    expect((await managerStore.getManager(dana.id)).lockedUntil).toBeInstanceOf(Date);
+    expect(await managerStore.authenticateManagerPin({ pin: '4821', managerId: dana.id })).toMatchObject({ reason: 'PIN_LOCKED' });
+    // The lock follows the person when the same PIN is typed without a manager id.
+    expect(await managerStore.authenticateManagerPin({ pin: '4821', clientIp: '10.0.0.1' })).toMatchObject({ reason: 'PIN_LOCKED' });
+
+    await expect(managerStore.unlockManager(dana.id)).resolves.toBe(true);
+    expect((await managerStore.authenticateManagerPin({ pin: '4821', managerId: dana.id })).ok).toBe(true);
+
+    for (let i = 0; i < 3; i++) {
+      await managerStore.authenticateManagerPin({ pin: '9999', managerId: dana.id, clientIp: `10.0.2.${i}` });
+    }
+    await managerStore.setManagerPin(dana.id, '5555');
+    expect((await managerStore.authenticateManagerPin({ pin: '5555', managerId: dana.id })).ok).toBe(true);
+  });
+
+  it('stops authenticating a deactivated manager and frees their PIN', async () => {
+    const dana = await managerStore.createManager({ name: 'Dana', pin: '4821', allOutlets: true });
+    await expect(managerStore.deactivateManager(dana.id)).resolves.toBe(true);
+
+    const result = await managerStore.authenticateManagerPin({ pin: '4821', clientIp: '10.0.0.1' });
+    expect(result).toMatchObject({ ok: false, reason: 'INVALID_PIN' });
+    await expect(managerStore.createManager({ name: 'Sam', pin: '4821', allOutlets: true })).resolves.toMatchObject({ name: 'Sam' });
+    expect((await managerStore.getManager(dana.id)).active).toBe(false);
+  });
+});
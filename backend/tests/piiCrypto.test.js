@@ -0,0 +1,152 @@
+"use strict";
+
+jest.mock('../src/db', () => ({
+  query: jest.fn(),
+  pool: { connect: jest.fn() }
+}));
+
+const crypto = require('crypto');
+const db = require('../src/db');
+const piiCrypto = require('../src/piiCrypto');
+const complianceStore = require('../src/complianceStore');
+
+const KEY_A = crypto.randomBytes(32).toString('base64');
+const KEY_B = crypto.randomBytes(32).toString('base64');
+const BLIND_KEY = crypto.randomBytes(32).toString('base64');
+
+function useKeys(keys, activeKeyId) {
+  process.env.PII_ENCRYPTION_KEYS = keys;
+  process.env.PII_ACTIVE_KEY_ID = activeKeyId || '';
+  process.env.PII_BLIND_INDEX_KEY = BLIND_KEY;
+}
+
+describe('piiCrypto', () => {
+  afterEach(() => {
+    delete process.env.PII_ENCRYPTION_KEYS;
+    delete process.env.PII_ACTIVE_KEY_ID;
+    delete process.env.PII_BLIND_INDEX_KEY;
+  });
+
+  const fields = {
+    first_name: 'Ana',
+    middle_name: null,
+    last_name: 'Lopez',
+    date_of_birth: new Date('1990-04-05T00:00:00.000Z'),
+    document_number: 'D123-456'
+  };
+
+  it('stores plaintext unchanged when no keys are configured', () => {
+    const stored = piiCrypto.protectFields('verifications', fields);
+    expect(stored).toMatchObject({ ...fields, pii_key_id: null, pii_ciphertext: null, document_number_bidx: null });
+    expect(piiCrypto.revealRow('verifications', { id: 1, ...stored })).toEqual({ id: 1, ...fields });
+  });
+
+  it('encrypts PII under the active key and decrypts it back', () => {
+    useKeys(`a:${KEY_A}`);
+    const stored = piiCrypto.protectFields('verifications', fields);
+
+    expect(stored).toMatchObject({ first_name: null, last_name: null, date_of_birth: null, document_number: null, pii_key_id: 'a' });
+    expect(stored.pii_ciphertext).toMatch(/^v1\./);
+    expect(stored.pii_ciphertext).not.toContain('Lopez');
+    expect(piiCrypto.revealRow('verifications', { verification_id: 'v1', ...stored })).toEqual({
+      verification_id: 'v1',
+      first_name: 'Ana',
+      middle_name: null,
+      last_name: 'Lopez',
+      date_of_birth: new Date('1990-04-05T00:00:00.000Z'),
+      document_number: 'D123-456'
+    });
+  });
+
+  it('rejects ciphertext moved to another table', () => {
+    useKeys(`a:${KEY_A}`);
+    const stored = piiCrypto.protectFields('verifications', fields);
+    expect(() => piiCrypto.revealRow('banned_customers', stored)).toThrow();
+  });
+
+  it('computes blind indexes on normalized values', () => {
+    useKeys(`a:${KEY_A}`);
+    expect(piiCrypto.documentIndex('d123 456')).toBe(piiCrypto.documentIndex('D123-456'));
+    expect(piiCrypto.documentIndex('D123-457')).not.toBe(piiCrypto.documentIndex('D123-456'));
+    expect(piiCrypto.nameDobIndex(' ana ', 'LOPEZ', '1990-04-05')).toBe(
+      piiCrypto.nameDobIndex('Ana', 'Lopez', new Date('1990-04-05T00:00:00.000Z'))
+    );
+    const stored = piiCrypto.protectFields('banned_customers', { ...fields, phone: '(512) 555-0100', email: 'Ana@Example.com ' });
+    expect(stored.phone_bidx).toBe(piiCrypto.blindIndex('phone', '5125550100'));
+    expect(stored.email_bidx).toBe(piiCrypto.blindIndex('email', 'ana@example.com'));
+  });
+
+  it('re-wraps the data key under a new active key while keeping the old key readable', () => {
+    useKeys(`a:${KEY_A}`);
+    const stored = piiCrypto.protectFields('verifications', fields);
+
+    useKeys(`a:${KEY_A},b:${KEY_B}`);
+    expect(piiCrypto.getKeyring().activeKeyId).toBe('b');
+    expect(piiCrypto.revealRow('verifications', stored).last_name).toBe('Lopez');
+
+    const rewrapped = { ...stored, ...piiCrypto.rewrapDek(stored) };
+    expect(rewrapped.pii_key_id).toBe('b');
+
+    useKeys(`b:${KEY_B}`);
+    expect(piiCrypto.revealRow('verifications', rewrapped).last_name).toBe('Lopez');
+    expect(() => piiCrypto.revealRow('verifications', stored)).toThrow('PII_KEY_UNAVAILABLE');
+  });
+
+  it('requires a blind-index key and a known active key', () => {
+    process.env.PII_ENCRYPTION_KEYS = `a:${KEY_A}`;
+    expect(() => piiCrypto.getKeyring()).toThrow(/PII_BLIND_INDEX_KEY/);
+    useKeys(`a:${KEY_A}`, 'missing');
+    expect(() => piiCrypto.getKeyring()).toThrow(/not in the keyring/);
+  });
+
+  describe('complianceStore.migratePiiBatch', () => {
+    let client;
+
+    beforeEach(() => {
+      db.query.mockReset();
+      db.query.mockResolvedValue({ rows: [] });
+      client = { query: jest.fn().mockResolvedValue({ rows: [] }), release: jest.fn() };
+      db.pool.connect.mockReset();
+      db.pool.connect.mockResolvedValue(client);
+    });
+
+    it('encrypts plaintext rows, re-wraps old-key rows and ledgers the batch', async () => {
+      useKeys(`a:${KEY_A}`);
+      const oldRow = { id: '00000000-0000-0000-0000-000000000002', verification_id: 'v2', ...piiCrypto.protectFields('verifications', fields) };
+      useKeys(`a:${KEY_A},b:${KEY_B}`);
+      const plainRow = {
+        id: '00000000-0000-0000-0000-000000000001',
+        verification_id: 'v1',
+        first_name: 'Bo',
+        middle_name: null,
+        last_name: 'Diaz',
+        date_of_birth: '1985-01-02',
+        document_number: 'X9',
+        pii_key_id: null,
+        pii_dek: null,
+        pii_ciphertext: null,
+        document_number_bidx: null
+      };
+      client.query.mockImplementation(async (sql) => (sql.includes('FROM verifications') ? { rows: [plainRow, oldRow] } : { rows: [] }));
+
+      const result = await complianceStore.migratePiiBatch({ table: 'verifications', batchSize: 10 });
+
+      expect(result).toMatchObject({ scanned: 2, encrypted: 1, rewrapped: 1, reindexed: 0, lastId: oldRow.id, done: true });
+      const updates = client.query.mock.calls.filter(([sql]) => sql.startsWith('UPDATE verifications'));
+      expect(updates).toHaveLength(2);
+      expect(updates[0][0]).toContain('first_name = $2');
+      expect(updates[0][1]).toContain(piiCrypto.documentIndex('X9'));
+      expect(updates[0][1]).not.toContain('Diaz');
+      expect(updates[1][0]).not.toContain('pii_ciphertext');
+
+      const [[, params]] = client.query.mock.calls.filter(([sql]) => sql.includes('INSERT INTO compliance_audit_ledger'));
+      expect(params[1]).toBe('pii_reencrypted');
+      expect(JSON.parse(params[4])).toEqual({ keyId: 'b', encrypted: ['v1'], rewrapped: ['v2'], reindexed: [] });
+      expect(client.query).toHaveBeenLastCalledWith('COMMIT');
+    });
+
+    it('refuses to run without keys', async () => {
+      await expect(complianceStore.migratePiiBatch({ table: 'verifications' })).rejects.toThrow('PII_KEYS_NOT_CONFIGURED');
+    });
+  });
+});
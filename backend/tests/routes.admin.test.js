@@ -26,6 +26,8 @@ describe('Admin Routes', () => {
   beforeEach(() => {
     jest.clearAllMocks();
     process.env.API_SECRET_KEY = '';
+    // These cover route behaviour, not sign-in (see routes.adminAuth.test.js).
+    process.env.ADMIN_AUTH_BYPASS = 'true';
   });
 
   describe('GET /admin/pending/:locationId', () => {
@@ -0,0 +1,174 @@
+"use strict";
+
+jest.mock('../src/lightspeedClient', () => ({
+  recordVerification: jest.fn(),
+  getSaleById: jest.fn(),
+  completeSale: jest.fn(),
+  listSales: jest.fn()
+}));
+
+jest.mock('../src/db', () => ({
+  pool: { query: jest.fn() },
+  query: jest.fn()
+}));
+
+jest.mock('../src/adminUserStore', () => ({
+  ADMIN_ROLES: ['owner', 'compliance', 'store_manager', 'analyst'],
+  MIN_PASSWORD_LENGTH: 12,
+  authenticateAdminPassword: jest.fn(),
+  createSession: jest.fn(),
+  getSessionUser: jest.fn(),
+  revokeSession: jest.fn(),
+  listAdminUsers: jest.fn(),
+  createAdminUser: jest.fn(),
+  deactivateAdminUser: jest.fn()
+}));
+
+jest.mock('../src/complianceStore', () => ({
+  addBannedCustomer: jest.fn(),
+  listBannedCustomers: jest.fn()
+}));
+
+const request = require('supertest');
+const { app } = require('../src/app');
+const db = require('../src/db');
+const adminUserStore = require('../src/adminUserStore');
+const complianceStore = require('../src/complianceStore');
+
+const USERS = {
+  owner: { id: '11111111-1111-4111-8111-111111111111', email: 'owner@example.com', role: 'owner', outletIds: [] },
+  compliance: { id: '22222222-2222-4222-8222-222222222222', email: 'c@example.com', role: 'compliance', outletIds: [] },
+  analyst: { id: '33333333-3333-4333-8333-333333333333', email: 'a@example.com', role: 'analyst', outletIds: [] },
+  storeManager: {
+    id: '44444444-4444-4444-8444-444444444444',
+    email: 'sm@example.com',
+    role: 'store_manager',
+    outletIds: ['heights']
+  }
+};
+
+function signInAs(user) {
+  adminUserStore.getSessionUser.mockImplementation(async (token) => (token === 'session-token' ? user : null));
+}
+
+describe('Admin authentication and roles', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.API_SECRET_KEY = '';
+    delete process.env.ADMIN_AUTH_BYPASS;
+    db.pool.query.mockResolvedValue({ rows: [] });
+  });
+
+  it('rejects admin API calls without a session and redirects browser navigations to the login page', async () => {
+    const res = await request(app).get('/admin/status').set('Accept', 'application/json').expect(401);
+    expect(res.body.error).toBe('UNAUTHORIZED');
+
+    const page = await request(app).get('/admin/scans').set('Accept', 'text/html').expect(302);
+    expect(page.headers.location).toBe('/admin/login.html?next=%2Fadmin%2Fscans');
+  });
+
+  it('signs in with email and password and sets an httpOnly session cookie', async () => {
+    adminUserStore.authenticateAdminPassword.mockResolvedValue(USERS.compliance);
+    adminUserStore.createSession.mockResolvedValue({ token: 'session-token', expiresAt: new Date(Date.now() + 3600000) });
+
+    const res = await request(app)
+      .post('/admin/auth/login')
+      .send({ email: 'c@example.com', password: 'correct horse battery' })
+      .expect(200);
+
+    expect(res.body).toMatchObject({ success: true, user: { role: 'compliance' } });
+    expect(res.body.token).toBeUndefined();
+    expect(res.headers['set-cookie'][0]).toMatch(/^admin_session=session-token;.*HttpOnly/);
+
+    adminUserStore.authenticateAdminPassword.mockResolvedValue(null);
+    const bad = await request(app).post('/admin/auth/login').send({ email: 'c@example.com', password: 'nope' }).expect(401);
+    expect(bad.body.error).toBe('INVALID_CREDENTIALS');
+  });
+
+  it('resolves the session from the cookie or a bearer token, and logout revokes it', async () => {
+    signInAs(USERS.analyst);
+
+    const viaCookie = await request(app).get('/admin/auth/me').set('Cookie', 'admin_session=session-token').expect(200);
+    expect(viaCookie.body.user).toMatchObject({ role: 'analyst' });
+    await request(app).get('/admin/auth/me').set('Authorization', 'Bearer session-token').expect(200);
+    await request(app).get('/admin/auth/me').set('Authorization', 'Bearer stale').expect(401);
+
+    await request(app).post('/admin/auth/logout').set('Cookie', 'admin_session=session-token').expect(200);
+    expect(adminUserStore.revokeSession).toHaveBeenCalledWith('session-token');
+  });
+
+  it('enforces the role each endpoint declares', async () => {
+    signInAs(USERS.analyst);
+    const denied = await request(app).get('/admin/pending/heights').set('Authorization', 'Bearer session-token').expect(403);
+    expect(denied.body.error).toBe('FORBIDDEN');
+    await request(app).get('/admin/users').set('Authorization', 'Bearer session-token').expect(403);
+
+    signInAs(USERS.compliance);
+    await request(app).get('/admin/pending/heights').set('Authorization', 'Bearer session-token').expect(200);
+    await request(app).get('/admin/users').set('Authorization', 'Bearer session-token').expect(403);
+
+    signInAs(USERS.owner);
+    adminUserStore.listAdminUsers.mockResolvedValue([USERS.owner]);
+    const users = await request(app).get('/admin/users').set('Authorization', 'Bearer session-token').expect(200);
+    expect(users.body.count).toBe(1);
+  });
+
+  it('limits store managers to their own outlets', async () => {
+    signInAs(USERS.storeManager);
+
+    await request(app).get('/admin/pending/heights').set('Authorization', 'Bearer session-token').expect(200);
+    const res = await request(app).get('/admin/pending/downtown').set('Authorization', 'Bearer session-token').expect(403);
+    expect(res.body.error).toBe('OUTLET_FORBIDDEN');
+  });
+
+  it('requires a compliance user to edit the banned list', async () => {
+    complianceStore.addBannedCustomer.mockResolvedValue({ id: 'ban-1' });
+    const body = { documentType: 'passport', documentNumber: 'P1234567', issuingCountry: 'USA' };
+
+    await request(app).post('/api/banned').send(body).expect(401);
+
+    signInAs(USERS.analyst);
+    await request(app).post('/api/banned').set('Authorization', 'Bearer session-token').send(body).expect(403);
+    expect(complianceStore.addBannedCustomer).not.toHaveBeenCalled();
+
+    signInAs(USERS.compliance);
+    await request(app).post('/api/banned').set('Authorization', 'Bearer session-token').send(body).expect(201);
+    expect(complianceStore.addBannedCustomer).toHaveBeenCalledTimes(1);
+  });
+
+  it('requires a compliance user to read the banned list', async () => {
+    complianceStore.listBannedCustomers.mockResolvedValue([{ id: 'ban-1', firstName: 'Ana' }]);
+
+    await request(app).get('/api/banned').expect(401);
+
+    signInAs(USERS.storeManager);
+    await request(app).get('/api/banned').set('Authorization', 'Bearer session-token').expect(403);
+    expect(complianceStore.listBannedCustomers).not.toHaveBeenCalled();
+
+    signInAs(USERS.compliance);
+    const res = await request(app).get('/api/banned').set('Authorization', 'Bearer session-token').expect(200);
+    expect(res.body.count).toBe(1);
+  });
+
+  it('does not open the admin API just because the database is missing', async () => {
+    const pool = db.pool;
+    db.pool = null;
+    try {
+      const res = await request(app).get('/admin/users').expect(401);
+      expect(res.body.error).toBe('UNAUTHORIZED');
+      expect(adminUserStore.listAdminUsers).not.toHaveBeenCalled();
+    } finally {
+      db.pool = pool;
+    }
+  });
+
+  it('owners cannot deactivate themselves', async () => {
+    signInAs(USERS.owner);
+    const res = await request(app)
+      .delete(`/admin/users/${USERS.owner.id}`)
+      .set('Authorization', 'Bearer session-token')
+      .expect(400);
+    expect(res.body.error).toBe('CANNOT_DEACTIVATE_SELF');
+    expect(adminUserStore.deactivateAdminUser).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,139 @@
+"use strict";
+
+jest.mock('../src/lightspeedClient', () => ({
+  recordVerification: jest.fn(),
+  getSaleById: jest.fn(),
+  completeSale: jest.fn(),
+  listSales: jest.fn()
+}));
+
+jest.mock('../src/db', () => ({
+  pool: {},
+  query: jest.fn()
+}));
+
+jest.mock('../src/managerStore', () => ({
+  listManagers: jest.fn(),
+  getManager: jest.fn(),
+  createManager: jest.fn(),
+  updateManager: jest.fn(),
+  setManagerPin: jest.fn(),
+  deactivateManager: jest.fn(),
+  unlockManager: jest.fn()
+}));
+
+const request = require('supertest');
+const { app } = require('../src/app');
+const managerStore = require('../src/managerStore');
+
+const MANAGER = {
+  id: 'mgr_1',
+  name: 'Dana Manager',
+  employeeCode: 'E-17',
+  email: null,
+  outletIds: ['outlet-1'],
+  allOutlets: false,
+  active: true,
+  lockedUntil: null
+};
+
+describe('Admin manager accounts', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.API_SECRET_KEY = '';
+    // These cover route behaviour, not sign-in (see routes.adminAuth.test.js).
+    process.env.ADMIN_AUTH_BYPASS = 'true';
+  });
+
+  it('lists managers, optionally filtered by outlet', async () => {
+    managerStore.listManagers.mockResolvedValue([MANAGER]);
+
+    const res = await request(app).get('/admin/managers?outletId=outlet-1').expect(200);
+
+    expect(managerStore.listManagers).toHaveBeenCalledWith({ outletId: 'outlet-1', includeInactive: false });
+    expect(res.body).toMatchObject({ success: true, count: 1, managers: [{ id: 'mgr_1' }] });
+  });
+
+  it('creates a manager with a PIN and outlet assignment', async () => {
+    managerStore.createManager.mockResolvedValue(MANAGER);
+
+    const res = await request(app)
+      .post('/admin/managers')
+      .send({ name: 'Dana Manager', pin: '4821', outletIds: ['outlet-1'], employeeCode: 'E-17' })
+      .expect(201);
+
+    expect(managerStore.createManager).toHaveBeenCalledWith({
+      name: 'Dana Manager',
+      pin: '4821',
+      employeeCode: 'E-17',
+      email: null,
+      outletIds: ['outlet-1'],
+      allOutlets: false
+    });
+    expect(res.body.manager).toEqual(MANAGER);
+  });
+
+  it('rejects a manager without outlets or with a malformed PIN', async () => {
+    await request(app).post('/admin/managers').send({ name: 'Dana', pin: '4821' }).expect(400);
+    const res = await request(app).post('/admin/managers').send({ name: 'Dana', pin: '12ab', allOutlets: true }).expect(400);
+
+    expect(res.body.error).toBe('VALIDATION_ERROR');
+    expect(managerStore.createManager).not.toHaveBeenCalled();
+  });
+
+  it('returns 409 when the PIN belongs to another active manager', async () => {
+    managerStore.createManager.mockRejectedValue(new Error('PIN_IN_USE'));
+
+    const res = await request(app)
+      .post('/admin/managers')
+      .send({ name: 'Sam', pin: '4821', allOutlets: true })
+      .expect(409);
+
+    expect(res.body.error).toBe('PIN_IN_USE');
+  });
+
+  it('returns 503 when no PIN pepper is configured', async () => {
+    managerStore.createManager.mockRejectedValue(new Error('PIN_PEPPER_NOT_CONFIGURED'));
+
+    const res = await request(app)
+      .post('/admin/managers')
+      .send({ name: 'Sam', pin: '4821', allOutlets: true })
+      .expect(503);
+
+    expect(res.body.error).toBe('PIN_PEPPER_NOT_CONFIGURED');
+  });
+
+  it('updates profile fields but not the PIN through PATCH', async () => {
+    managerStore.updateManager.mockResolvedValue({ ...MANAGER, outletIds: ['outlet-1', 'outlet-2'] });
+
+    await request(app)
+      .patch('/admin/managers/mgr_1')
+      .send({ outletIds: ['outlet-1', 'outlet-2'] })
+      .expect(200);
+    expect(managerStore.updateManager).toHaveBeenCalledWith('mgr_1', { outletIds: ['outlet-1', 'outlet-2'] });
+
+    await request(app).patch('/admin/managers/mgr_1').send({ pin: '1111' }).expect(400);
+    expect(managerStore.updateManager).toHaveBeenCalledTimes(1);
+  });
+
+  it('resets a PIN and unlocks a manager', async () => {
+    managerStore.setManagerPin.mockResolvedValue(MANAGER);
+    managerStore.getManager.mockResolvedValue({ ...MANAGER, lockedUntil: new Date().toISOString() });
+    managerStore.unlockManager.mockResolvedValue(true);
+
+    await request(app).post('/admin/managers/mgr_1/pin').send({ pin: '7777' }).expect(200);
+    expect(managerStore.setManagerPin).toHaveBeenCalledWith('mgr_1', '7777');
+
+    const res = await request(app).post('/admin/managers/mgr_1/unlock').expect(200);
+    expect(res.body).toMatchObject({ success: true, cleared: true, manager: { id: 'mgr_1', lockedUntil: null } });
+  });
+
+  it('deactivates instead of deleting, and 404s unknown managers', async () => {
+    managerStore.deactivateManager.mockResolvedValueOnce(true).mockResolvedValueOnce(false);
+
+    const res = await request(app).delete('/admin/managers/mgr_1').expect(200);
+    expect(res.body).toEqual({ success: true, id: 'mgr_1', active: false });
+
+    await request(app).delete('/admin/managers/mgr_missing').expect(404);
+  });
+});
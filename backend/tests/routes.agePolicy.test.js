@@ -0,0 +1,175 @@
+"use strict";
+
+jest.mock('../src/lightspeedClient', () => ({
+  recordVerification: jest.fn(),
+  getSaleById: jest.fn(),
+  getProductById: jest.fn(),
+  updateCustomerById: jest.fn(),
+  completeSale: jest.fn(),
+  listSales: jest.fn()
+}));
+
+jest.mock('../src/complianceStore', () => ({
+  logDiagnostic: jest.fn().mockResolvedValue(null),
+  saveVerification: jest.fn().mockResolvedValue({ id: 'comp-1' }),
+  getLatestVerificationForSale: jest.fn(),
+  recordSaleCompletion: jest.fn(),
+  summarizeCompliance: jest.fn(),
+  findBannedCustomer: jest.fn().mockResolvedValue(null),
+  addBannedCustomer: jest.fn(),
+  listBannedCustomers: jest.fn(),
+  removeBannedCustomer: jest.fn()
+}));
+
+jest.mock('../src/db', () => ({
+  pool: {},
+  query: jest.fn()
+}));
+
+const request = require('supertest');
+const { app } = require('../src/app');
+const lightspeed = require('../src/lightspeedClient');
+const complianceStore = require('../src/complianceStore');
+
+// A 19-year-old relative to "now", so the test does not drift with the calendar.
+function nineteenYearOldDob() {
+  const now = new Date();
+  return new Date(Date.UTC(now.getUTCFullYear() - 19, 0, 1));
+}
+
+function barcodeFor(dob) {
+  const mm = String(dob.getUTCMonth() + 1).padStart(2, '0');
+  const dd = String(dob.getUTCDate()).padStart(2, '0');
+  return ['DAQD1234567', 'DCSDOE', 'DACJOHN', `DBB${mm}${dd}${dob.getUTCFullYear()}`, 'DBA01012099', 'DBC1', 'DAJTX'].join('\n');
+}
+
+describe('Age policy on verify routes', () => {
+  const originalEnv = { ...process.env };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.API_SECRET_KEY = '';
+    process.env.LIGHTSPEED_API_KEY = 'test-key';
+    process.env.AGE_POLICY_RULES = JSON.stringify({ outlets: { 'OUT-18': 18 }, categories: { 'CAT-THC': 21 } });
+    lightspeed.getProductById.mockImplementation(async (id) => ({
+      productId: id,
+      categoryId: id === 'P-FLOWER' ? 'CAT-THC' : 'CAT-ACC'
+    }));
+    lightspeed.recordVerification.mockImplementation(async ({ verificationData }) => ({
+      verificationId: 'ver-1',
+      saleId: 'SALE-1',
+      status: verificationData.approved ? 'approved' : 'rejected',
+      ...verificationData
+    }));
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  it('approves a 19-year-old at an 18+ outlet when the cart has no 21+ products', async () => {
+    lightspeed.getSaleById.mockResolvedValue({ saleId: 'SALE-1', outletId: 'OUT-18', items: [{ product_id: 'P-PAPERS' }] });
+
+    const res = await request(app)
+      .post('/api/sales/SALE-1/verify-bluetooth')
+      .send({ barcodeData: barcodeFor(nineteenYearOldDob()), registerId: 'REG-1' })
+      .expect(200);
+
+    expect(res.body.approved).toBe(true);
+    expect(res.body.ageRequirement).toMatchObject({ minimumAge: 18, rule: 'outlet', ruleId: 'outlet:OUT-18' });
+    expect(complianceStore.saveVerification).toHaveBeenCalledWith(
+      expect.objectContaining({ status: 'approved', minimumAge: 18, ageRule: 'outlet:OUT-18' }),
+      expect.any(Object)
+    );
+  });
+
+  it('rejects the same customer once a 21+ product is in the cart', async () => {
+    lightspeed.getSaleById.mockResolvedValue({
+      saleId: 'SALE-1',
+      outletId: 'OUT-18',
+      items: [{ product_id: 'P-PAPERS' }, { product_id: 'P-FLOWER' }]
+    });
+
+    const res = await request(app)
+      .post('/api/sales/SALE-1/verify-bluetooth')
+      .send({ barcodeData: barcodeFor(nineteenYearOldDob()), registerId: 'REG-1' })
+      .expect(200);
+
+    expect(res.body.approved).toBe(false);
+    expect(res.body.reason).toBe('Underage (19)');
+    expect(res.body.ageRequirement).toMatchObject({ minimumAge: 21, ruleId: 'category:cat-thc', productId: 'P-FLOWER' });
+  });
+
+  it('tightens a client approval on /verify and records the applied rule', async () => {
+    lightspeed.getSaleById.mockResolvedValue({ saleId: 'SALE-1', outletId: 'OUT-18', items: [{ product_id: 'P-FLOWER' }] });
+
+    const res = await request(app)
+      .post('/api/sales/SALE-1/verify')
+      .send({ clerkId: 'clerk-1', scan: { approved: true, age: 19, documentNumber: 'D1', documentExpiry: '2099-01-01' } })
+      .expect(201);
+
+    const verificationData = lightspeed.recordVerification.mock.calls[0][0].verificationData;
+    expect(verificationData).toMatchObject({ approved: false, reason: 'Underage (19)', minimumAge: 21, ageRule: 'category:cat-thc' });
+    expect(res.body.data.ageRequirement.minimumAge).toBe(21);
+  });
+
+  it('falls back to the strictest age when a product lookup does not answer in time', async () => {
+    lightspeed.getSaleById.mockResolvedValue({ saleId: 'SALE-1', outletId: 'OUT-18', items: [{ product_id: 'P-SLOW' }] });
+    lightspeed.getProductById.mockImplementation(() => new Promise(() => {}));
+
+    const started = Date.now();
+    const res = await request(app)
+      .post('/api/sales/SALE-1/verify-bluetooth')
+      .send({ barcodeData: barcodeFor(nineteenYearOldDob()), registerId: 'REG-1' })
+      .expect(200);
+
+    expect(Date.now() - started).toBeLessThan(5000);
+    expect(res.body.approved).toBe(false);
+    expect(res.body.ageRequirement).toMatchObject({ minimumAge: 21, ruleId: 'unresolved_product', productId: 'P-SLOW' });
+  }, 10000);
+
+  it('works the age out from the DOB when the client leaves it out, and declines a scan with neither', async () => {
+    lightspeed.getSaleById.mockResolvedValue({ saleId: 'SALE-1', outletId: 'OUT-18', items: [{ product_id: 'P-FLOWER' }] });
+    const dob = nineteenYearOldDob().toISOString().slice(0, 10);
+
+    await request(app)
+      .post('/api/sales/SALE-1/verify')
+      .send({ clerkId: 'clerk-1', scan: { approved: true, dob, documentNumber: 'D1', documentExpiry: '2099-01-01' } })
+      .expect(201);
+    expect(lightspeed.recordVerification.mock.calls[0][0].verificationData).toMatchObject({ approved: false, age: 19, reason: 'Underage (19)' });
+
+    lightspeed.recordVerification.mockClear();
+    await request(app)
+      .post('/api/sales/SALE-1/verify')
+      .send({ clerkId: 'clerk-1', scan: { approved: true, documentNumber: 'D1', documentExpiry: '2099-01-01' } })
+      .expect(201);
+    expect(lightspeed.recordVerification.mock.calls[0][0].verificationData).toMatchObject({ approved: false, reason: 'AGE_UNKNOWN' });
+  });
+
+  it('applies the strictest age when the sale cannot be found', async () => {
+    lightspeed.getSaleById.mockResolvedValue(null);
+
+    const res = await request(app)
+      .post('/api/sales/SALE-1/verify-bluetooth')
+      .send({ barcodeData: barcodeFor(nineteenYearOldDob()), registerId: 'REG-1', outletId: 'OUT-18' })
+      .expect(200);
+
+    expect(res.body.approved).toBe(false);
+    expect(res.body.ageRequirement).toMatchObject({ minimumAge: 21, ruleId: 'unresolved_product' });
+  });
+
+  it('applies the policy to scans read from the sale note', async () => {
+    const dob = nineteenYearOldDob();
+    lightspeed.getSaleById.mockResolvedValue({
+      saleId: 'SALE-1',
+      outletId: 'OUT-18',
+      items: [{ product_id: 'P-PAPERS' }],
+      note: `@ANSI 636015100001${barcodeFor(dob)}`
+    });
+
+    const res = await request(app).post('/api/sales/SALE-1/verify-from-note').send({}).expect(200);
+
+    expect(res.body.approved).toBe(true);
+    expect(res.body.ageRequirement.minimumAge).toBe(18);
+  });
+});
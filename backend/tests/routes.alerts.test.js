@@ -0,0 +1,92 @@
+"use strict";
+
+jest.mock('../src/lightspeedClient', () => ({
+  recordVerification: jest.fn(),
+  getSaleById: jest.fn(),
+  completeSale: jest.fn(),
+  listSales: jest.fn()
+}));
+
+jest.mock('../src/db', () => ({
+  pool: {},
+  query: jest.fn()
+}));
+
+jest.mock('../src/adminUserStore', () => ({
+  getSessionUser: jest.fn()
+}));
+
+jest.mock('../src/alerting', () => ({
+  processEvent: jest.fn().mockResolvedValue([]),
+  listAlerts: jest.fn(),
+  describeConfiguration: jest.fn()
+}));
+
+const request = require('supertest');
+const { app } = require('../src/app');
+const adminUserStore = require('../src/adminUserStore');
+const alerting = require('../src/alerting');
+
+describe('GET /admin/compliance/alerts', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.API_SECRET_KEY = '';
+    process.env.ADMIN_AUTH_BYPASS = 'true';
+  });
+
+  afterAll(() => {
+    delete process.env.ADMIN_AUTH_BYPASS;
+  });
+
+  it('lists alert history with the requested filters', async () => {
+    alerting.listAlerts.mockResolvedValue([
+      {
+        id: '7',
+        ruleId: 'banned_hit',
+        severity: 'critical',
+        summary: 'Banned customer scanned at outlet outlet-1',
+        outletId: 'outlet-1',
+        deliveries: { smtp: { status: 'sent' } }
+      }
+    ]);
+
+    const res = await request(app)
+      .get('/admin/compliance/alerts?ruleId=banned_hit&outletId=outlet-1&limit=25')
+      .expect(200);
+
+    expect(alerting.listAlerts).toHaveBeenCalledWith({
+      ruleId: 'banned_hit',
+      outletId: 'outlet-1',
+      severity: null,
+      limit: '25',
+      offset: undefined
+    });
+    expect(res.body).toMatchObject({ success: true, alerts: [{ id: '7', ruleId: 'banned_hit' }] });
+  });
+
+  it('returns the effective rules and channel configuration', async () => {
+    alerting.describeConfiguration.mockReturnValue({
+      enabled: true,
+      rules: [{ id: 'underage_burst', type: 'underage_rejections', threshold: 3, windowMinutes: 30 }],
+      channels: { smtp: false, webhook: true, file: false }
+    });
+
+    const res = await request(app).get('/admin/compliance/alerts/rules').expect(200);
+
+    expect(res.body).toMatchObject({ success: true, enabled: true, channels: { webhook: true } });
+    expect(res.body.rules[0].id).toBe('underage_burst');
+  });
+
+  it('is limited to the compliance role', async () => {
+    process.env.ADMIN_AUTH_BYPASS = 'false';
+    adminUserStore.getSessionUser.mockResolvedValue({ id: 'sm-1', role: 'store_manager', outletIds: ['outlet-1'] });
+
+    const res = await request(app)
+      .get('/admin/compliance/alerts')
+      .set('Authorization', 'Bearer token')
+      .expect(403);
+
+    expect(res.body.error).toBe('FORBIDDEN');
+    expect(alerting.listAlerts).not.toHaveBeenCalled();
+  });
+});
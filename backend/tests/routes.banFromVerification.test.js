@@ -0,0 +1,145 @@
+"use strict";
+
+jest.mock('../src/complianceStore', () => ({
+  saveVerification: jest.fn(),
+  getLatestVerificationForSale: jest.fn(),
+  findBannedCustomer: jest.fn(),
+  getVerification: jest.fn(),
+  banFromVerification: jest.fn()
+}));
+
+jest.mock('../src/managerStore', () => ({
+  authenticateManagerPin: jest.fn(),
+  isAuthorizedForOutlet: jest.requireActual('../src/managerStore').isAuthorizedForOutlet
+}));
+
+jest.mock('../src/db', () => ({
+  pool: {},
+  query: jest.fn()
+}));
+
+const request = require('supertest');
+const { app } = require('../src/app');
+const complianceStore = require('../src/complianceStore');
+const managerStore = require('../src/managerStore');
+
+const MANAGER = { id: 'manager-1', name: 'Dana Manager', outletIds: ['outlet-1'], allOutlets: false, active: true };
+
+describe('Ban from a verification', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.API_SECRET_KEY = '';
+    delete process.env.BAN_FROM_SCAN_LOOKBACK_DAYS;
+    complianceStore.getVerification.mockResolvedValue({ verification_id: 'ver-1', location_id: 'outlet-1' });
+    managerStore.authenticateManagerPin.mockImplementation(async ({ pin }) => (
+      pin === '1234' ? { ok: true, manager: MANAGER } : { ok: false, reason: 'INVALID_PIN', attemptsRemaining: 4 }
+    ));
+  });
+
+  afterAll(() => {
+    delete process.env.BAN_FROM_SCAN_LOOKBACK_DAYS;
+  });
+
+  it('requires a manager PIN and a reason', async () => {
+    await request(app).post('/api/verifications/ver-1/ban').send({ managerPin: '1234' }).expect(400);
+    await request(app).post('/api/verifications/ver-1/ban').send({ reason: 'Fake ID' }).expect(400);
+
+    const res = await request(app)
+      .post('/api/verifications/ver-1/ban')
+      .send({ managerPin: '0000', reason: 'Fake ID' })
+      .expect(403);
+
+    expect(res.body.error).toBe('INVALID_PIN');
+    expect(complianceStore.banFromVerification).not.toHaveBeenCalled();
+  });
+
+  it('counts PIN failures against the caller, not the register id it sends', async () => {
+    await request(app).post('/api/verifications/ver-1/ban').send({ managerPin: '0000', reason: 'Fake ID', registerId: 'REG-1' }).expect(403);
+    await request(app).post('/api/verifications/ver-1/ban').send({ managerPin: '0001', reason: 'Fake ID', registerId: 'REG-2' }).expect(403);
+
+    const scopes = managerStore.authenticateManagerPin.mock.calls.map(([args]) => args);
+    expect(scopes[0].clientIp).toEqual(expect.any(String));
+    expect(scopes[1].clientIp).toBe(scopes[0].clientIp);
+    expect(scopes[0]).not.toHaveProperty('scopeKey');
+  });
+
+  it('bans from the scan with the manager, checked against the scan outlet', async () => {
+    process.env.BAN_FROM_SCAN_LOOKBACK_DAYS = '14';
+    complianceStore.banFromVerification.mockResolvedValue({
+      ban: { id: 'ban-1', sourceVerificationId: 'ver-1' },
+      inserted: true,
+      flaggedVerificationIds: ['ver-1', 'ver-0']
+    });
+
+    const res = await request(app)
+      .post('/api/verifications/ver-1/ban')
+      .send({ managerId: 'manager-1', managerPin: '1234', reason: 'Fake ID', reasonCategory: 'fake_id', outletId: 'outlet-9' })
+      .expect(201);
+
+    expect(res.body).toMatchObject({
+      success: true,
+      data: { id: 'ban-1' },
+      flaggedVerificationIds: ['ver-1', 'ver-0'],
+      manager: { id: 'manager-1' }
+    });
+    expect(managerStore.authenticateManagerPin).toHaveBeenCalledWith(expect.objectContaining({ outletId: 'outlet-1', managerId: 'manager-1' }));
+    expect(complianceStore.banFromVerification).toHaveBeenCalledWith('ver-1', {
+      managerId: 'manager-1',
+      reason: 'Fake ID',
+      lookbackDays: 14,
+      terms: { startsAt: null, endsAt: null, scope: 'chain', outletIds: [], reasonCategory: 'fake_id' }
+    });
+  });
+
+  it('limits an outlet-scoped ban to outlets the manager is assigned to', async () => {
+    const res = await request(app)
+      .post('/api/verifications/ver-1/ban')
+      .send({ managerPin: '1234', reason: 'Theft', scope: 'outlets', outletIds: ['outlet-1', 'outlet-2'] })
+      .expect(403);
+
+    expect(res.body.error).toBe('MANAGER_NOT_AUTHORIZED_FOR_OUTLET');
+    expect(complianceStore.banFromVerification).not.toHaveBeenCalled();
+
+    complianceStore.banFromVerification.mockResolvedValue({ ban: { id: 'ban-1' }, inserted: true, existing: false, flaggedVerificationIds: [] });
+    await request(app)
+      .post('/api/verifications/ver-1/ban')
+      .send({ managerPin: '1234', reason: 'Theft', scope: 'outlet', outletIds: ['outlet-1'] })
+      .expect(201);
+    expect(complianceStore.banFromVerification.mock.calls[0][1].terms).toMatchObject({ scope: 'outlet', outletIds: ['outlet-1'] });
+  });
+
+  it('reports an existing ban kept as it was, and refuses one compliance lifted', async () => {
+    complianceStore.banFromVerification.mockResolvedValueOnce({
+      ban: { id: 'ban-1', scope: 'chain' },
+      inserted: false,
+      existing: true,
+      flaggedVerificationIds: ['ver-1']
+    });
+    const kept = await request(app)
+      .post('/api/verifications/ver-1/ban')
+      .send({ managerPin: '1234', reason: 'Theft', endsAt: '2099-01-02T00:00:00.000Z' })
+      .expect(200);
+    expect(kept.body).toMatchObject({ existingBan: true, data: { id: 'ban-1', scope: 'chain' } });
+
+    complianceStore.banFromVerification.mockRejectedValueOnce(new Error('BAN_LIFTED'));
+    const lifted = await request(app)
+      .post('/api/verifications/ver-1/ban')
+      .send({ managerPin: '1234', reason: 'Theft' })
+      .expect(409);
+    expect(lifted.body.error).toBe('BAN_LIFTED');
+  });
+
+  it('returns 404 for an unknown verification and 400 when the scan has nothing to ban by', async () => {
+    complianceStore.getVerification.mockResolvedValueOnce(null);
+    await request(app).post('/api/verifications/ver-x/ban').send({ managerPin: '1234', reason: 'Fake ID' }).expect(404);
+    expect(managerStore.authenticateManagerPin).not.toHaveBeenCalled();
+
+    complianceStore.banFromVerification.mockRejectedValue(new Error('VERIFICATION_HAS_NO_IDENTITY'));
+    const res = await request(app)
+      .post('/api/verifications/ver-1/ban')
+      .send({ managerPin: '1234', reason: 'Fake ID', lookbackDays: 7 })
+      .expect(400);
+    expect(res.body.error).toBe('VALIDATION_ERROR');
+    expect(complianceStore.banFromVerification.mock.calls[0][1].lookbackDays).toBe(7);
+  });
+});
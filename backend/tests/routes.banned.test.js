@@ -20,7 +20,11 @@ jest.mock('../src/complianceStore', () => ({
   findBannedCustomer: jest.fn(),
   addBannedCustomer: jest.fn(),
   listBannedCustomers: jest.fn(),
-  removeBannedCustomer: jest.fn()
+  listBannedRevisions: jest.fn(),
+  liftBannedCustomer: jest.fn(),
+  findBannedByKeys: jest.fn(),
+  importBannedCustomers: jest.fn(),
+  normalizeBanTerms: jest.fn()
 }));
 
 jest.mock('../src/db', () => ({
@@ -130,4 +134,250 @@ describe('Verification banned customer flow', () => {
     expect(verificationData.documentExpiry).toBe('2030-01-15');
     expect(verificationData.sex).toBe('F');
   });
+
+  it('holds a medium-confidence match for manager review instead of blocking it', async () => {
+    complianceStore.findBannedCustomer.mockResolvedValue({
+      id: 'ban-2',
+      notes: 'Fake ID',
+      match: {
+        confidence: 0.77,
+        level: 'medium',
+        matchedFields: [{ field: 'date_of_birth', match: 'exact' }, { field: 'first_name', match: 'phonetic' }]
+      }
+    });
+    lightspeed.recordVerification.mockImplementation(async ({ verificationData }) => ({
+      verificationId: 'ver-3',
+      saleId: 'SALE-1',
+      status: verificationData.approved ? 'approved' : 'rejected',
+      reason: verificationData.reason
+    }));
+
+    const res = await request(app)
+      .post('/api/sales/SALE-1/verify')
+      .send({
+        clerkId: 'clerk-3',
+        scan: {
+          approved: true,
+          firstName: 'Jon',
+          lastName: 'Smith',
+          dob: '1990-01-02',
+          age: 35,
+          documentType: 'drivers_license',
+          documentNumber: 'd7654321',
+          issuingCountry: 'usa',
+          address1: '12 Main St',
+          postalCode: '78701'
+        }
+      })
+      .expect(201);
+
+    expect(complianceStore.findBannedCustomer).toHaveBeenCalledWith(expect.objectContaining({
+      firstName: 'Jon',
+      address: '12 Main St',
+      postalCode: '78701'
+    }));
+    expect(lightspeed.recordVerification.mock.calls[0][0].verificationData).toMatchObject({
+      approved: false,
+      reason: 'POSSIBLE_BANNED_MATCH: manager review required'
+    });
+    expect(res.body.data).toMatchObject({
+      status: 'rejected',
+      banned: false,
+      bannedReason: null,
+      managerReviewRequired: true,
+      bannedMatch: { bannedId: 'ban-2', level: 'medium', confidence: 0.77 }
+    });
+  });
+});
+
+describe('Banned list administration', () => {
+  const BAN_ID = '55555555-5555-4555-8555-555555555555';
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.API_SECRET_KEY = '';
+    process.env.ADMIN_AUTH_BYPASS = 'true';
+  });
+
+  afterAll(() => {
+    delete process.env.ADMIN_AUTH_BYPASS;
+  });
+
+  it('saves ban terms with the editing admin', async () => {
+    complianceStore.addBannedCustomer.mockResolvedValue({ id: BAN_ID });
+
+    await request(app)
+      .post('/api/banned')
+      .send({
+        documentType: 'drivers_license',
+        documentNumber: 'd1234567',
+        firstName: 'John',
+        lastName: 'Smith',
+        scope: 'outlet',
+        outletIds: ['outlet-1'],
+        reasonCategory: 'theft',
+        endsAt: '2027-01-01T00:00:00Z'
+      })
+      .expect(201);
+
+    const [payload, options] = complianceStore.addBannedCustomer.mock.calls[0];
+    expect(payload).toMatchObject({ scope: 'outlet', outletIds: ['outlet-1'], reasonCategory: 'theft', endsAt: '2027-01-01T00:00:00Z' });
+    expect(options.changedBy).toBeTruthy();
+  });
+
+  it('rejects unknown reason categories and maps store term errors to 400', async () => {
+    await request(app)
+      .post('/api/banned')
+      .send({ documentType: 'drivers_license', documentNumber: 'D1', firstName: 'A', lastName: 'B', reasonCategory: 'rude' })
+      .expect(400);
+    expect(complianceStore.addBannedCustomer).not.toHaveBeenCalled();
+
+    complianceStore.addBannedCustomer.mockRejectedValue(new Error('OUTLETS_REQUIRED'));
+    const res = await request(app)
+      .post('/api/banned')
+      .send({ documentType: 'drivers_license', documentNumber: 'D1', firstName: 'A', lastName: 'B', scope: 'outlets' })
+      .expect(400);
+    expect(res.body.error).toBe('VALIDATION_ERROR');
+  });
+
+  it('lifts a ban with a reason instead of deleting it', async () => {
+    await request(app).delete(`/api/banned/${BAN_ID}`).send({}).expect(400);
+    expect(complianceStore.liftBannedCustomer).not.toHaveBeenCalled();
+
+    complianceStore.liftBannedCustomer.mockResolvedValue({ id: BAN_ID, status: 'lifted' });
+    const res = await request(app).delete(`/api/banned/${BAN_ID}`).send({ reason: 'Appeal granted' }).expect(200);
+
+    expect(res.body.data.status).toBe('lifted');
+    expect(complianceStore.liftBannedCustomer).toHaveBeenCalledWith(BAN_ID, expect.objectContaining({ reason: 'Appeal granted' }));
+
+    complianceStore.liftBannedCustomer.mockResolvedValue(null);
+    await request(app).delete(`/api/banned/${BAN_ID}`).send({ reason: 'Again' }).expect(404);
+  });
+
+  it('returns the revision timeline', async () => {
+    complianceStore.listBannedRevisions.mockResolvedValue([{ id: '1', action: 'created' }, { id: '2', action: 'lifted' }]);
+
+    const res = await request(app).get(`/api/banned/${BAN_ID}/history`).expect(200);
+
+    expect(res.body).toMatchObject({ success: true, count: 2 });
+    expect(complianceStore.listBannedRevisions).toHaveBeenCalledWith(BAN_ID);
+  });
+});
+
+describe('Banned list import and export', () => {
+  const csv = [
+    'Document Type,Document Number,Country,First Name,Last Name,DOB,Reason Category',
+    'drivers_license,d100,USA,Ann,Lee,1990-01-02,theft',
+    'drivers_license,D200,USA,Bob,Ray,1985-05-06,fake_id',
+    'drivers_license,D300,USA,Cal,Day,1980-01-01,other',
+    'drivers_license,D100,USA,Ann,Lee,1990-01-02,theft',
+    'drivers_license,D400,USA,Dee,Fox,01/02/1990,other',
+    'drivers_license,D500,USA,Eve,Gil,1970-03-04,other'
+  ].join('\n');
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.API_SECRET_KEY = '';
+    process.env.ADMIN_AUTH_BYPASS = 'true';
+    complianceStore.findBannedByKeys.mockResolvedValue([
+      { id: 'ban-2', documentType: 'drivers_license', documentNumber: 'D200', issuingCountry: 'USA', firstName: 'Bob', lastName: 'Ray', dateOfBirth: '1985-05-06', status: 'active' },
+      { id: 'ban-3', documentType: 'drivers_license', documentNumber: 'D300', issuingCountry: 'USA', firstName: 'Someone', lastName: 'Else', status: 'active' },
+      { id: 'ban-5', documentType: 'drivers_license', documentNumber: 'D500', issuingCountry: 'USA', firstName: 'Eve', lastName: 'Gil', status: 'lifted' }
+    ]);
+  });
+
+  afterAll(() => {
+    delete process.env.ADMIN_AUTH_BYPASS;
+  });
+
+  it('previews inserts, updates, conflicts and invalid rows without writing', async () => {
+    const res = await request(app)
+      .post('/api/banned/import')
+      .send({ format: 'csv', data: csv, dryRun: true })
+      .expect(200);
+
+    expect(res.body.summary).toEqual({ total: 6, insert: 1, update: 1, conflict: 3, invalid: 1 });
+    expect(res.body.rows.map((row) => [row.line, row.action, row.conflict || null])).toEqual([
+      [2, 'insert', null],
+      [3, 'update', null],
+      [4, 'conflict', 'identity_mismatch'],
+      [5, 'conflict', 'duplicate_in_file'],
+      [6, 'invalid', null],
+      [7, 'conflict', 'lifted']
+    ]);
+    expect(res.body.rows[4].errors[0].field).toBe('dateOfBirth');
+    expect(res.body.columns.dateOfBirth).toBe('DOB');
+    expect(complianceStore.importBannedCustomers).not.toHaveBeenCalled();
+  });
+
+  it('applies valid rows, overwriting conflicts when asked, from a raw CSV body', async () => {
+    complianceStore.importBannedCustomers.mockResolvedValue({ inserted: 1, updated: 3, ids: [] });
+
+    const res = await request(app)
+      .post('/api/banned/import?onConflict=overwrite')
+      .set('Content-Type', 'text/csv')
+      .send(csv)
+      .expect(201);
+
+    expect(res.body.summary).toMatchObject({ insert: 1, update: 3, conflict: 1, invalid: 1 });
+    const [entries, options] = complianceStore.importBannedCustomers.mock.calls[0];
+    expect(entries.map((entry) => entry.documentNumber)).toEqual(['D100', 'D200', 'D300', 'D500']);
+    expect(entries[0]).toMatchObject({ firstName: 'Ann', dateOfBirth: '1990-01-02', reasonCategory: 'theft', scope: 'chain' });
+    expect(options.changedBy).toBeTruthy();
+  });
+
+  it('honours an explicit column mapping for JSON and rejects unknown columns', async () => {
+    complianceStore.findBannedByKeys.mockResolvedValue([]);
+    const data = [{ kind: 'passport', number: 'P1', note: 'Chargeback' }];
+
+    const res = await request(app)
+      .post('/api/banned/import')
+      .send({ format: 'json', data, mapping: { documentType: 'kind', documentNumber: 'number' }, dryRun: 'true' })
+      .expect(200);
+    expect(res.body.rows[0]).toMatchObject({ action: 'insert', documentType: 'passport', documentNumber: 'P1' });
+
+    const bad = await request(app)
+      .post('/api/banned/import')
+      .send({ format: 'json', data, mapping: { documentNumber: 'missing' } })
+      .expect(400);
+    expect(bad.body).toMatchObject({ error: 'MAPPED_COLUMN_MISSING', column: 'missing' });
+  });
+
+  it('exports every page in the import format', async () => {
+    const ban = {
+      id: 'ban-1',
+      documentType: 'drivers_license',
+      documentNumber: 'D1',
+      issuingCountry: 'USA',
+      firstName: 'Ann',
+      lastName: 'Lee, Jr',
+      dateOfBirth: new Date('1990-01-02T00:00:00.000Z'),
+      phone: '+1 555 0100',
+      notes: '=HYPERLINK("http://x")',
+      scope: 'outlets',
+      outletIds: ['o-1', 'o-2'],
+      reasonCategory: 'theft',
+      startsAt: new Date('2026-01-01T00:00:00.000Z'),
+      endsAt: null
+    };
+    complianceStore.listBannedCustomers.mockResolvedValue([ban]);
+
+    const res = await request(app).get('/api/banned/export?format=csv').expect(200);
+
+    expect(res.headers['content-type']).toContain('text/csv');
+    expect(res.headers['content-disposition']).toMatch(/attachment; filename="banned-customers-.*\.csv"/);
+    const [header, row] = res.text.trim().split('\r\n');
+    expect(header.split(',')).toContain('outletIds');
+    expect(row).toContain('"Lee, Jr"');
+    expect(row).toContain('o-1;o-2');
+    expect(row).toContain('1990-01-02');
+    // Cells a spreadsheet would run as a formula are exported as text.
+    expect(row).toContain(",'+1 555 0100,");
+    expect(row).toContain(`"'=HYPERLINK(""http://x"")"`);
+    expect(complianceStore.listBannedCustomers).toHaveBeenCalledWith(expect.objectContaining({ status: 'active', offset: 0 }));
+
+    const json = await request(app).get('/api/banned/export?format=json&status=all').expect(200);
+    expect(json.body.entries[0]).toMatchObject({ documentNumber: 'D1', outletIds: ['o-1', 'o-2'] });
+    expect(json.body.entries[0]).not.toHaveProperty('id');
+  });
 });
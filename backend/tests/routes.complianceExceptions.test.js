@@ -0,0 +1,75 @@
+"use strict";
+
+jest.mock('../src/lightspeedClient', () => ({
+  recordVerification: jest.fn(),
+  getSaleById: jest.fn(),
+  completeSale: jest.fn(),
+  listSales: jest.fn()
+}));
+
+jest.mock('../src/complianceStore', () => ({
+  saveVerification: jest.fn(),
+  getLatestVerificationForSale: jest.fn(),
+  recordSaleCompletion: jest.fn(),
+  summarizeCompliance: jest.fn(),
+  findBannedCustomer: jest.fn().mockResolvedValue(null),
+  listComplianceExceptions: jest.fn()
+}));
+
+jest.mock('../src/db', () => ({
+  pool: {},
+  query: jest.fn()
+}));
+
+jest.mock('../src/adminUserStore', () => ({
+  getSessionUser: jest.fn()
+}));
+
+const request = require('supertest');
+const { app } = require('../src/app');
+const adminUserStore = require('../src/adminUserStore');
+const complianceStore = require('../src/complianceStore');
+
+describe('Sold-without-scan feed', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.API_SECRET_KEY = '';
+    process.env.ADMIN_AUTH_BYPASS = 'true';
+  });
+
+  afterAll(() => {
+    delete process.env.ADMIN_AUTH_BYPASS;
+  });
+
+  it('lists recent compliance exceptions for an outlet', async () => {
+    complianceStore.listComplianceExceptions.mockResolvedValue([
+      { id: '5', saleId: 'SALE-9', outletId: 'outlet-1', registerId: 'reg-2', userId: 'u-3', reason: 'NO_VERIFICATION' }
+    ]);
+
+    const res = await request(app).get('/admin/compliance/exceptions?minutes=60&outletId=outlet-1&limit=20').expect(200);
+
+    expect(complianceStore.listComplianceExceptions).toHaveBeenCalledWith({
+      outletId: 'outlet-1',
+      since: expect.any(Date),
+      limit: 20,
+      offset: 0
+    });
+    const since = complianceStore.listComplianceExceptions.mock.calls[0][0].since;
+    expect(Date.now() - since.getTime()).toBeGreaterThanOrEqual(60 * 60 * 1000);
+    expect(res.body).toMatchObject({ success: true, minutes: 60, count: 1, exceptions: [{ saleId: 'SALE-9', reason: 'NO_VERIFICATION' }] });
+  });
+
+  it('pins store managers to their outlet and refuses analysts', async () => {
+    process.env.ADMIN_AUTH_BYPASS = 'false';
+    complianceStore.listComplianceExceptions.mockResolvedValue([]);
+
+    adminUserStore.getSessionUser.mockResolvedValue({ id: 'sm-1', role: 'store_manager', outletIds: ['outlet-1'] });
+    await request(app).get('/admin/compliance/exceptions').set('Authorization', 'Bearer token').expect(200);
+    expect(complianceStore.listComplianceExceptions).toHaveBeenCalledWith(expect.objectContaining({ outletId: 'outlet-1' }));
+
+    adminUserStore.getSessionUser.mockResolvedValue({ id: 'an-1', role: 'analyst', outletIds: [] });
+    await request(app).get('/admin/compliance/exceptions').set('Authorization', 'Bearer token').expect(403);
+
+    expect(complianceStore.listComplianceExceptions).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,194 @@
+"use strict";
+
+jest.mock('../src/lightspeedClient', () => ({
+  recordVerification: jest.fn(),
+  getSaleById: jest.fn(),
+  updateCustomerById: jest.fn(),
+  completeSale: jest.fn(),
+  listSales: jest.fn()
+}));
+
+jest.mock('../src/complianceStore', () => ({
+  logDiagnostic: jest.fn().mockResolvedValue(null),
+  saveVerification: jest.fn().mockResolvedValue({ id: 'comp-1' }),
+  getLatestVerificationForSale: jest.fn(),
+  recordSaleCompletion: jest.fn(),
+  summarizeCompliance: jest.fn(),
+  findBannedCustomer: jest.fn().mockResolvedValue(null),
+  addBannedCustomer: jest.fn(),
+  listBannedCustomers: jest.fn(),
+  removeBannedCustomer: jest.fn()
+}));
+
+jest.mock('../src/db', () => ({
+  pool: {},
+  query: jest.fn()
+}));
+
+const request = require('supertest');
+const { app } = require('../src/app');
+const lightspeed = require('../src/lightspeedClient');
+const complianceStore = require('../src/complianceStore');
+
+const EXPIRED = '2020-06-30';
+const VALID = '2099-06-30';
+
+function barcode(expiryMmddccyy) {
+  return ['DAQD1234567', 'DCSDOE', 'DACJOHN', 'DBB01011980', `DBA${expiryMmddccyy}`, 'DBC1', 'DAJTX'].join('\n');
+}
+
+function scanPayload(documentExpiry) {
+  return {
+    approved: true,
+    firstName: 'John',
+    lastName: 'Doe',
+    dob: '1980-01-01',
+    age: 46,
+    documentType: 'drivers_license',
+    documentNumber: 'D1234567',
+    issuingCountry: 'USA',
+    documentExpiry
+  };
+}
+
+describe('Document expiry policy on verify entry points', () => {
+  const originalEnv = { ...process.env };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.API_SECRET_KEY = '';
+    process.env.LIGHTSPEED_API_KEY = 'test-key';
+    delete process.env.DOCUMENT_EXPIRY_POLICY;
+    delete process.env.DOCUMENT_EXPIRY_GRACE_DAYS;
+
+    lightspeed.getSaleById.mockResolvedValue({ saleId: 'SALE-1', items: [], note: '' });
+    lightspeed.recordVerification.mockImplementation(async ({ verificationData }) => ({
+      verificationId: 'ver-1',
+      saleId: 'SALE-1',
+      status: verificationData.approved ? 'approved' : 'rejected',
+      reason: verificationData.reason
+    }));
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  describe('POST /sales/:saleId/verify', () => {
+    it('rejects an expired document with EXPIRED_DOCUMENT', async () => {
+      const res = await request(app)
+        .post('/api/sales/SALE-1/verify')
+        .send({ clerkId: 'clerk-1', scan: scanPayload(EXPIRED) })
+        .expect(201);
+
+      const verificationData = lightspeed.recordVerification.mock.calls[0][0].verificationData;
+      expect(verificationData.approved).toBe(false);
+      expect(verificationData.reason).toBe('EXPIRED_DOCUMENT');
+      expect(res.body.data.expiry).toMatchObject({ status: 'expired', blocks: true, policy: 'reject' });
+    });
+
+    it('approves with a warning under the warn policy', async () => {
+      process.env.DOCUMENT_EXPIRY_POLICY = 'warn';
+
+      const res = await request(app)
+        .post('/api/sales/SALE-1/verify')
+        .send({ clerkId: 'clerk-1', scan: scanPayload(EXPIRED) })
+        .expect(201);
+
+      expect(lightspeed.recordVerification.mock.calls[0][0].verificationData.approved).toBe(true);
+      expect(res.body.data.expiry.warning).toMatch(/^Document expired \d+ day\(s\) ago$/);
+    });
+
+    it('leaves unexpired documents alone', async () => {
+      const res = await request(app)
+        .post('/api/sales/SALE-1/verify')
+        .send({ clerkId: 'clerk-1', scan: scanPayload(VALID) })
+        .expect(201);
+
+      expect(lightspeed.recordVerification.mock.calls[0][0].verificationData.approved).toBe(true);
+      expect(res.body.data.expiry.status).toBe('valid');
+    });
+  });
+
+  describe('POST /sales/:saleId/verify-bluetooth', () => {
+    it('rejects an expired license', async () => {
+      const res = await request(app)
+        .post('/api/sales/SALE-1/verify-bluetooth')
+        .send({ barcodeData: barcode('06302020'), registerId: 'REG-1', clerkId: 'clerk-1' })
+        .expect(200);
+
+      expect(res.body.approved).toBe(false);
+      expect(res.body.reason).toBe('EXPIRED_DOCUMENT');
+      expect(complianceStore.saveVerification).toHaveBeenCalledWith(
+        expect.objectContaining({ status: 'rejected', reason: 'EXPIRED_DOCUMENT', documentExpiry: EXPIRED }),
+        expect.any(Object)
+      );
+    });
+
+    it('approves inside the grace period', async () => {
+      process.env.DOCUMENT_EXPIRY_POLICY = 'grace';
+      process.env.DOCUMENT_EXPIRY_GRACE_DAYS = '36500';
+
+      const res = await request(app)
+        .post('/api/sales/SALE-1/verify-bluetooth')
+        .send({ barcodeData: barcode('06302020'), registerId: 'REG-1', clerkId: 'clerk-1' })
+        .expect(200);
+
+      expect(res.body.approved).toBe(true);
+      expect(res.body.expiry).toMatchObject({ status: 'grace', blocks: false });
+    });
+  });
+
+  describe('POST /sales/:saleId/verify-from-note', () => {
+    it('rejects an expired license scanned into the sale note', async () => {
+      lightspeed.getSaleById.mockResolvedValue({ saleId: 'SALE-1', items: [], note: `@ANSI 636015100001${barcode('06302020')}` });
+
+      const res = await request(app)
+        .post('/api/sales/SALE-1/verify-from-note')
+        .send({ clerkId: 'clerk-1' })
+        .expect(200);
+
+      expect(res.body.approved).toBe(false);
+      expect(res.body.reason).toBe('EXPIRED_DOCUMENT');
+      expect(res.body.expiry.status).toBe('expired');
+    });
+
+    it('approves a valid license scanned into the sale note', async () => {
+      lightspeed.getSaleById.mockResolvedValue({ saleId: 'SALE-1', items: [], note: `@ANSI 636015100001${barcode('06302099')}` });
+
+      const res = await request(app)
+        .post('/api/sales/SALE-1/verify-from-note')
+        .send({ clerkId: 'clerk-1' })
+        .expect(200);
+
+      expect(res.body.approved).toBe(true);
+      expect(res.body.reason).toBeNull();
+    });
+  });
+
+  describe('POST /dynamix/webhook', () => {
+    it('rejects an expired document', async () => {
+      const res = await request(app)
+        .post('/api/dynamix/webhook')
+        .send({ saleId: 'SALE-1', clerkId: 'clerk-1', scan: scanPayload(EXPIRED) })
+        .expect(200);
+
+      const verificationData = lightspeed.recordVerification.mock.calls[0][0].verificationData;
+      expect(verificationData.approved).toBe(false);
+      expect(verificationData.reason).toBe('EXPIRED_DOCUMENT');
+      expect(res.body.expiry.blocks).toBe(true);
+    });
+
+    it('approves with a warning under the warn policy', async () => {
+      process.env.DOCUMENT_EXPIRY_POLICY = 'warn';
+
+      const res = await request(app)
+        .post('/api/dynamix/webhook')
+        .send({ saleId: 'SALE-1', clerkId: 'clerk-1', scan: scanPayload(EXPIRED) })
+        .expect(200);
+
+      expect(lightspeed.recordVerification.mock.calls[0][0].verificationData.approved).toBe(true);
+      expect(res.body.expiry).toMatchObject({ status: 'expired', blocks: false });
+    });
+  });
+});
@@ -26,12 +26,12 @@ const saleVerificationStore = require('../src/saleVerificationStore');
 describe('Friendship & Reliability API Endpoints', () => {
     const saleId = 'ROUTE-TEST-1';
 
-    beforeEach(() => {
-        saleVerificationStore.completeVerification(saleId);
+    beforeEach(async () => {
+        await saleVerificationStore.completeVerification(saleId);
     });
 
     it('should record a heartbeat from the handheld', async () => {
-        saleVerificationStore.createVerification(saleId);
+        await saleVerificationStore.createVerification(saleId);
 
         const res = await request(app)
             .post(`/api/sales/${saleId}/heartbeat`)
@@ -39,19 +39,19 @@ describe('Friendship & Reliability API Endpoints', () => {
 
         expect(res.body.success).toBe(true);
 
-        const status = saleVerificationStore.getVerification(saleId);
+        const status = await saleVerificationStore.getVerification(saleId);
         expect(status.remoteScannerActive).toBe(true);
     });
 
     it('should record a session-specific log from the handheld', async () => {
-        saleVerificationStore.createVerification(saleId);
+        await saleVerificationStore.createVerification(saleId);
 
         await request(app)
             .post(`/api/sales/${saleId}/logs`)
             .send({ message: 'Handheld button pressed', type: 'info' })
             .expect(200);
 
-        const status = saleVerificationStore.getVerification(saleId);
+        const status = await saleVerificationStore.getVerification(saleId);
         expect(status.logs.some(l => l.m === 'Handheld button pressed')).toBe(true);
     });
 
@@ -62,9 +62,9 @@ describe('Friendship & Reliability API Endpoints', () => {
     });
 
     it('should include full friendship metadata in /status', async () => {
-        saleVerificationStore.createVerification(saleId);
-        saleVerificationStore.updateHeartbeat(saleId);
-        saleVerificationStore.addSessionLog(saleId, 'Backend testing /status');
+        await saleVerificationStore.createVerification(saleId);
+        await saleVerificationStore.updateHeartbeat(saleId);
+        await saleVerificationStore.addSessionLog(saleId, 'Backend testing /status');
 
         const res = await request(app)
             .get(`/api/sales/${saleId}/status`)
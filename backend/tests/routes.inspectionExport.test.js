@@ -0,0 +1,96 @@
+"use strict";
+
+jest.mock('../src/lightspeedClient', () => ({
+  recordVerification: jest.fn(),
+  getSaleById: jest.fn(),
+  completeSale: jest.fn(),
+  listSales: jest.fn()
+}));
+
+jest.mock('../src/db', () => ({
+  pool: {},
+  query: jest.fn()
+}));
+
+jest.mock('../src/adminUserStore', () => ({
+  getSessionUser: jest.fn()
+}));
+
+const request = require('supertest');
+const { app } = require('../src/app');
+const db = require('../src/db');
+const adminUserStore = require('../src/adminUserStore');
+
+const binaryParser = (res, callback) => {
+  const chunks = [];
+  res.on('data', (chunk) => chunks.push(chunk));
+  res.on('end', () => callback(null, Buffer.concat(chunks)));
+};
+
+describe('GET /admin/compliance/inspection-export', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.API_SECRET_KEY = '';
+    process.env.ADMIN_AUTH_BYPASS = 'true';
+    db.query.mockResolvedValue({ rows: [] });
+  });
+
+  afterAll(() => {
+    delete process.env.ADMIN_AUTH_BYPASS;
+  });
+
+  it('downloads the bundle with its SHA-256 in a header', async () => {
+    const res = await request(app)
+      .get('/admin/compliance/inspection-export?outletId=outlet-1&start=2026-03-01&end=2026-03-31')
+      .buffer(true)
+      .parse(binaryParser)
+      .expect(200);
+
+    expect(res.headers['content-type']).toMatch(/application\/gzip/);
+    expect(res.headers['content-disposition']).toBe(
+      'attachment; filename="tabc-inspection-outlet-1-2026-03-01_2026-03-31.tar.gz"'
+    );
+    expect(res.headers['x-bundle-sha256']).toBe(require('crypto').createHash('sha256').update(res.body).digest('hex'));
+  });
+
+  it('returns just the manifest when asked', async () => {
+    const res = await request(app)
+      .get('/admin/compliance/inspection-export?outletId=outlet-1&start=2026-03-01&end=2026-03-01&format=manifest')
+      .expect(200);
+
+    expect(res.body.manifest).toMatchObject({
+      type: 'tabc_inspection_export',
+      outlet: { id: 'outlet-1' },
+      range: { start: '2026-03-01', end: '2026-03-01', days: 1 },
+      generatedBy: { role: 'owner' }
+    });
+    expect(res.body.manifest.files).toHaveLength(6);
+  });
+
+  it('rejects a bad range or a missing outlet', async () => {
+    const bad = await request(app)
+      .get('/admin/compliance/inspection-export?outletId=outlet-1&start=2026-03-31&end=2026-03-01')
+      .expect(400);
+    expect(bad.body.error).toBe('VALIDATION_ERROR');
+
+    await request(app).get('/admin/compliance/inspection-export?start=2026-03-01&end=2026-03-31').expect(400);
+    expect(db.query).not.toHaveBeenCalled();
+  });
+
+  it('keeps store managers to their own outlet', async () => {
+    process.env.ADMIN_AUTH_BYPASS = 'false';
+    adminUserStore.getSessionUser.mockResolvedValue({ id: 'sm-1', role: 'store_manager', outletIds: ['outlet-1'] });
+
+    const res = await request(app)
+      .get('/admin/compliance/inspection-export?outletId=outlet-2&start=2026-03-01&end=2026-03-31&format=manifest')
+      .set('Authorization', 'Bearer token')
+      .expect(403);
+    expect(res.body.error).toBe('OUTLET_FORBIDDEN');
+
+    const own = await request(app)
+      .get('/admin/compliance/inspection-export?start=2026-03-01&end=2026-03-31&format=manifest')
+      .set('Authorization', 'Bearer token')
+      .expect(200);
+    expect(own.body.manifest.outlet.id).toBe('outlet-1');
+  });
+});
@@ -0,0 +1,72 @@
+"use strict";
+
+jest.mock('../src/lightspeedClient', () => ({
+  recordVerification: jest.fn(),
+  getSaleById: jest.fn(),
+  completeSale: jest.fn(),
+  listSales: jest.fn()
+}));
+
+jest.mock('../src/db', () => ({
+  pool: {},
+  query: jest.fn()
+}));
+
+jest.mock('../src/lightspeedWebhookQueue', () => {
+  const actual = jest.requireActual('../src/lightspeedWebhookQueue');
+  return {
+    ...actual,
+    enqueueWebhookEvent: jest.fn(),
+    processWebhookEventNow: jest.fn()
+  };
+});
+
+jest.mock('../src/lightspeedWriteOutbox', () => ({
+  ...jest.requireActual('../src/lightspeedWriteOutbox'),
+  drainDueWrites: jest.fn()
+}));
+
+const request = require('supertest');
+const { app } = require('../src/app');
+const queue = require('../src/lightspeedWebhookQueue');
+const lightspeedWriteOutbox = require('../src/lightspeedWriteOutbox');
+
+describe('POST /api/webhooks/lightspeed', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    queue.enqueueWebhookEvent.mockResolvedValue({ stored: true, eventKey: 'k-1', id: '31', status: 'pending' });
+  });
+
+  it('runs the compliance gate for a sale event before acknowledging it', async () => {
+    queue.processWebhookEventNow.mockResolvedValue('processed');
+
+    const res = await request(app)
+      .post('/api/webhooks/lightspeed/sale.update')
+      .set('Content-Type', 'application/json')
+      .send(JSON.stringify({ id: 'SALE-1', status: 'CLOSED' }))
+      .expect(200);
+
+    expect(queue.processWebhookEventNow).toHaveBeenCalledWith('31');
+    expect(lightspeedWriteOutbox.drainDueWrites).toHaveBeenCalledTimes(1);
+    expect(res.body).toMatchObject({ ok: true, topic: 'sale.update', stored: true, dispatched: 'processed' });
+  });
+
+  it('leaves other topics to the cron and still acknowledges when the inline run fails', async () => {
+    await request(app)
+      .post('/api/webhooks/lightspeed/product.update')
+      .set('Content-Type', 'application/json')
+      .send(JSON.stringify({ id: 'prod-1' }))
+      .expect(200);
+    expect(queue.processWebhookEventNow).not.toHaveBeenCalled();
+    // Any delivery sends Lightspeed writes whose retry is due.
+    expect(lightspeedWriteOutbox.drainDueWrites).toHaveBeenCalledTimes(1);
+
+    queue.processWebhookEventNow.mockRejectedValue(new Error('connection reset'));
+    const res = await request(app)
+      .post('/api/webhooks/lightspeed/register_sale.update')
+      .set('Content-Type', 'application/json')
+      .send(JSON.stringify({ id: 'SALE-2', status: 'CLOSED' }))
+      .expect(200);
+    expect(res.body).toMatchObject({ ok: true, stored: true, dispatched: 'error' });
+  });
+});
@@ -0,0 +1,92 @@
+"use strict";
+
+jest.mock('../src/lightspeedClient', () => ({
+  recordVerification: jest.fn(),
+  getSaleById: jest.fn(),
+  completeSale: jest.fn(),
+  listSales: jest.fn()
+}));
+
+jest.mock('../src/db', () => ({
+  pool: {},
+  query: jest.fn()
+}));
+
+jest.mock('../src/adminUserStore', () => ({
+  getSessionUser: jest.fn()
+}));
+
+jest.mock('../src/lightspeedWriteOutbox', () => ({
+  WRITE_KINDS: ['sale_note', 'complete_sale', 'customer_update'],
+  WRITE_STATUSES: ['pending', 'processing', 'done', 'failed'],
+  submitWrite: jest.fn(),
+  listWrites: jest.fn(),
+  getOutboxHealth: jest.fn(),
+  processDueWrites: jest.fn(),
+  retryWrite: jest.fn()
+}));
+
+const request = require('supertest');
+const { app } = require('../src/app');
+const adminUserStore = require('../src/adminUserStore');
+const outbox = require('../src/lightspeedWriteOutbox');
+
+describe('Lightspeed write outbox admin endpoints', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.API_SECRET_KEY = '';
+    process.env.ADMIN_AUTH_BYPASS = 'true';
+  });
+
+  afterAll(() => {
+    delete process.env.ADMIN_AUTH_BYPASS;
+  });
+
+  it('lists writes with filters alongside outbox health', async () => {
+    outbox.listWrites.mockResolvedValue([{ id: '9', kind: 'complete_sale', saleId: 'SALE-1', status: 'failed', attempts: 8 }]);
+    outbox.getOutboxHealth.mockResolvedValue({ pending: 2, processing: 0, done: 40, failed: 1 });
+
+    const res = await request(app)
+      .get('/admin/lightspeed/writes?status=failed&kind=complete_sale&saleId=SALE-1&limit=25')
+      .expect(200);
+
+    expect(outbox.listWrites).toHaveBeenCalledWith({
+      status: 'failed',
+      kind: 'complete_sale',
+      saleId: 'SALE-1',
+      limit: 25,
+      offset: 0
+    });
+    expect(res.body).toMatchObject({
+      success: true,
+      health: { pending: 2, failed: 1 },
+      writes: [{ id: '9', status: 'failed' }]
+    });
+
+    const bad = await request(app).get('/admin/lightspeed/writes?kind=refund').expect(400);
+    expect(bad.body.error).toBe('INVALID_KIND');
+  });
+
+  it('retries a failed write and answers 404 for one that cannot be retried', async () => {
+    outbox.retryWrite.mockResolvedValueOnce({ id: '9', kind: 'complete_sale', saleId: 'SALE-1', status: 'pending', attempts: 0 });
+
+    const res = await request(app).post('/admin/lightspeed/writes/9/retry').expect(200);
+    expect(outbox.retryWrite).toHaveBeenCalledWith('9', { retriedBy: expect.anything() });
+    expect(res.body).toMatchObject({ success: true, write: { id: '9', status: 'pending' } });
+
+    outbox.retryWrite.mockResolvedValueOnce(null);
+    const missing = await request(app).post('/admin/lightspeed/writes/10/retry').expect(404);
+    expect(missing.body.error).toBe('NOT_FOUND');
+  });
+
+  it('is limited to owners', async () => {
+    process.env.ADMIN_AUTH_BYPASS = 'false';
+    adminUserStore.getSessionUser.mockResolvedValue({ id: 'm-1', role: 'store_manager', outletIds: ['outlet-1'] });
+
+    await request(app).get('/admin/lightspeed/writes').set('Authorization', 'Bearer token').expect(403);
+    await request(app).post('/admin/lightspeed/writes/9/retry').set('Authorization', 'Bearer token').expect(403);
+
+    expect(outbox.listWrites).not.toHaveBeenCalled();
+    expect(outbox.retryWrite).not.toHaveBeenCalled();
+  });
+});
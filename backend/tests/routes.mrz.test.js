@@ -0,0 +1,179 @@
+"use strict";
+
+jest.mock('../src/lightspeedClient', () => ({
+  recordVerification: jest.fn(),
+  getSaleById: jest.fn().mockResolvedValue({
+    saleId: 'SALE-1',
+    total: 10,
+    items: [],
+    verification: null
+  }),
+  completeSale: jest.fn(),
+  listSales: jest.fn()
+}));
+
+jest.mock('../src/complianceStore', () => ({
+  saveVerification: jest.fn().mockResolvedValue({ id: 'comp-1' }),
+  getLatestVerificationForSale: jest.fn(),
+  recordSaleCompletion: jest.fn(),
+  summarizeCompliance: jest.fn(),
+  findBannedCustomer: jest.fn().mockResolvedValue(null),
+  addBannedCustomer: jest.fn(),
+  listBannedCustomers: jest.fn(),
+  removeBannedCustomer: jest.fn()
+}));
+
+jest.mock('../src/db', () => ({
+  pool: {},
+  query: jest.fn()
+}));
+
+const request = require('supertest');
+const { app } = require('../src/app');
+const lightspeed = require('../src/lightspeedClient');
+const { computeMrzCheckDigit, calculateAge } = require('../../shared/idParsing');
+
+const VALID_TD3 = ['P<USAJOHNSON<<CHRIS<<<<<<<<<<<<<<<<<<<<<<<<<', 'X123456785USA0003159M3403152<<<<<<<<<<<<<<00'];
+// Same passport with the DOB misread as 16 Mar: the DOB and composite check digits no longer match.
+const TAMPERED_TD3 = ['P<USAJOHNSON<<CHRIS<<<<<<<<<<<<<<<<<<<<<<<<<', 'X123456785USA0003169M3403152<<<<<<<<<<<<<<00'];
+
+// A valid TD3 passport MRZ for someone born on `dob` (a Date), check digits included.
+function td3BornOn(dob) {
+  const yymmdd = [dob.getUTCFullYear() % 100, dob.getUTCMonth() + 1, dob.getUTCDate()].map((n) => String(n).padStart(2, '0')).join('');
+  const number = 'X12345678';
+  const body = `${number}${computeMrzCheckDigit(number)}USA${yymmdd}${computeMrzCheckDigit(yymmdd)}F3403152<<<<<<<<<<<<<<0`;
+  const composite = computeMrzCheckDigit(body.substring(0, 10) + body.substring(13, 20) + body.substring(21, 43));
+  return ['P<USAJOHNSON<<CHRIS<<<<<<<<<<<<<<<<<<<<<<<<<', `${body}${composite}`];
+}
+
+describe('MRZ check digits on /sales/:saleId/verify', () => {
+  const originalPolicy = process.env.MRZ_CHECK_DIGIT_POLICY;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.API_SECRET_KEY = '';
+    delete process.env.MRZ_CHECK_DIGIT_POLICY;
+    lightspeed.recordVerification.mockImplementation(async ({ verificationData }) => ({
+      verificationId: 'ver-1',
+      saleId: 'SALE-1',
+      status: verificationData.approved ? 'approved' : 'rejected',
+      reason: verificationData.reason
+    }));
+  });
+
+  afterAll(() => {
+    if (originalPolicy === undefined) delete process.env.MRZ_CHECK_DIGIT_POLICY;
+    else process.env.MRZ_CHECK_DIGIT_POLICY = originalPolicy;
+  });
+
+  it('fills document fields from a valid MRZ and reports passing checks', async () => {
+    const res = await request(app)
+      .post('/api/sales/SALE-1/verify')
+      .send({ clerkId: 'clerk-1', scan: { approved: true, mrz: VALID_TD3 } })
+      .expect(201);
+
+    const verificationData = lightspeed.recordVerification.mock.calls[0][0].verificationData;
+    expect(verificationData).toMatchObject({
+      approved: true,
+      documentType: 'passport',
+      documentNumber: 'X12345678',
+      lastName: 'JOHNSON',
+      dob: '2000-03-15',
+      documentExpiry: '2034-03-15',
+      issuingCountry: 'USA',
+      source: 'mrz'
+    });
+    expect(res.body.data.mrz).toEqual({
+      format: 'TD3',
+      checkDigitsValid: true,
+      failedChecks: [],
+      mismatchedFields: [],
+      policy: 'reject',
+      flagged: false
+    });
+  });
+
+  it('takes the age from the MRZ DOB, not the client', async () => {
+    const now = new Date();
+    const mrz = td3BornOn(new Date(Date.UTC(now.getUTCFullYear() - 18, 0, 1)));
+
+    const res = await request(app)
+      .post('/api/sales/SALE-1/verify')
+      .send({ clerkId: 'clerk-1', scan: { approved: true, age: 30, mrz } })
+      .expect(201);
+
+    const verificationData = lightspeed.recordVerification.mock.calls[0][0].verificationData;
+    expect(verificationData).toMatchObject({ approved: false, reason: 'MRZ_MISMATCH', age: 18 });
+    expect(res.body.data.mrz).toMatchObject({ checkDigitsValid: true, mismatchedFields: ['age'] });
+
+    lightspeed.recordVerification.mockClear();
+    await request(app)
+      .post('/api/sales/SALE-1/verify')
+      .send({ clerkId: 'clerk-1', scan: { approved: true, age: 18, mrz } })
+      .expect(201);
+    expect(lightspeed.recordVerification.mock.calls[0][0].verificationData).toMatchObject({ approved: false, reason: 'Underage (18)' });
+
+    lightspeed.recordVerification.mockClear();
+    await request(app)
+      .post('/api/sales/SALE-1/verify')
+      .send({ clerkId: 'clerk-1', scan: { approved: true, age: 40, mrz: VALID_TD3 } })
+      .expect(201);
+    expect(lightspeed.recordVerification.mock.calls[0][0].verificationData.age).toBe(calculateAge('2000-03-15').age);
+  });
+
+  it('uses the MRZ values and declines the scan when the client sent a different DOB or document number', async () => {
+    const res = await request(app)
+      .post('/api/sales/SALE-1/verify')
+      .send({
+        clerkId: 'clerk-1',
+        scan: { approved: true, dob: '1990-01-01', documentNumber: 'Z9999999', lastName: 'Johnson-Smith', mrz: VALID_TD3 }
+      })
+      .expect(201);
+
+    const verificationData = lightspeed.recordVerification.mock.calls[0][0].verificationData;
+    expect(verificationData).toMatchObject({
+      approved: false,
+      reason: 'MRZ_MISMATCH',
+      dob: '2000-03-15',
+      documentNumber: 'X12345678',
+      lastName: 'Johnson-Smith'
+    });
+    expect(res.body.data.mrz).toMatchObject({ checkDigitsValid: true, mismatchedFields: ['documentNumber', 'dob'] });
+  });
+
+  it('rejects the scan when check digits fail under the default policy', async () => {
+    const res = await request(app)
+      .post('/api/sales/SALE-1/verify')
+      .send({ clerkId: 'clerk-1', scan: { approved: true, mrz: TAMPERED_TD3.join('\n') } })
+      .expect(201);
+
+    const verificationData = lightspeed.recordVerification.mock.calls[0][0].verificationData;
+    expect(verificationData.approved).toBe(false);
+    expect(verificationData.reason).toBe('MRZ_CHECK_FAILED');
+    expect(res.body.data.status).toBe('rejected');
+    expect(res.body.data.mrz).toMatchObject({ checkDigitsValid: false, failedChecks: ['dob', 'composite'], flagged: false });
+  });
+
+  it('keeps the approval but flags the scan when the policy is "flag"', async () => {
+    process.env.MRZ_CHECK_DIGIT_POLICY = 'flag';
+
+    const res = await request(app)
+      .post('/api/sales/SALE-1/verify')
+      .send({ clerkId: 'clerk-1', scan: { approved: true, mrz: TAMPERED_TD3 } })
+      .expect(201);
+
+    const verificationData = lightspeed.recordVerification.mock.calls[0][0].verificationData;
+    expect(verificationData.approved).toBe(true);
+    expect(res.body.data.mrz).toMatchObject({ policy: 'flag', flagged: true, failedChecks: ['dob', 'composite'] });
+  });
+
+  it('rejects MRZ text that cannot be parsed', async () => {
+    const res = await request(app)
+      .post('/api/sales/SALE-1/verify')
+      .send({ clerkId: 'clerk-1', scan: { approved: true, documentNumber: 'X1', mrz: ['NOT AN MRZ'] } })
+      .expect(201);
+
+    expect(lightspeed.recordVerification.mock.calls[0][0].verificationData.approved).toBe(false);
+    expect(res.body.data.mrz).toMatchObject({ format: null, failedChecks: ['format'] });
+  });
+});
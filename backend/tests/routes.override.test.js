@@ -18,7 +18,16 @@ jest.mock('../src/complianceStore', () => ({
   removeBannedCustomer: jest.fn(),
   markVerificationOverride: jest.fn(),
   listOverridesForSale: jest.fn(),
-  listRecentOverrides: jest.fn()
+  listRecentOverrides: jest.fn(),
+  countRecentOverrides: jest.fn()
+}));
+
+jest.mock('../src/managerStore', () => ({
+  authenticateManagerPin: jest.fn()
+}));
+
+jest.mock('../src/alerting', () => ({
+  processEvent: jest.fn().mockResolvedValue([])
 }));
 
 jest.mock('../src/db', () => ({
@@ -29,18 +38,21 @@ jest.mock('../src/db', () => ({
 const request = require('supertest');
 const { app } = require('../src/app');
 const complianceStore = require('../src/complianceStore');
+const managerStore = require('../src/managerStore');
+const alerting = require('../src/alerting');
+
+const MANAGER = { id: 'manager', name: 'Dana Manager', outletIds: ['outlet-1'], allOutlets: false, active: true };
 
 describe('Override endpoint', () => {
   beforeEach(() => {
-    process.env.OVERRIDE_PIN = '1234';
     complianceStore.getLatestVerificationForSale.mockReset();
     complianceStore.markVerificationOverride.mockReset();
     complianceStore.listOverridesForSale.mockReset();
     complianceStore.listRecentOverrides.mockReset();
-  });
-
-  afterAll(() => {
-    delete process.env.OVERRIDE_PIN;
+    complianceStore.countRecentOverrides.mockReset().mockResolvedValue(0);
+    managerStore.authenticateManagerPin.mockReset().mockImplementation(async ({ pin }) => (
+      pin === '1234' ? { ok: true, manager: MANAGER } : { ok: false, reason: 'INVALID_PIN', attemptsRemaining: 4 }
+    ));
   });
 
   it('rejects invalid manager pin', async () => {
@@ -99,6 +111,97 @@ describe('Override endpoint', () => {
     expect(res.body.data.override).toBeTruthy();
   });
 
+  it('records the authenticated manager account, not the PIN, on the override', async () => {
+    complianceStore.getLatestVerificationForSale.mockResolvedValue({ verification_id: 'ver-1', location_id: 'outlet-1' });
+    complianceStore.markVerificationOverride.mockResolvedValue({ verification: { status: 'approved_override' }, override: { id: 'ovr-1' } });
+
+    const res = await request(app)
+      .post('/api/sales/SALE-1/override')
+      .send({ verificationId: 'ver-1', managerPin: '1234', registerId: 'REG-1' })
+      .expect(200);
+
+    expect(managerStore.authenticateManagerPin).toHaveBeenCalledWith({
+      pin: '1234',
+      managerId: null,
+      outletId: 'outlet-1',
+      clientIp: expect.any(String)
+    });
+    expect(complianceStore.markVerificationOverride).toHaveBeenCalledWith(expect.objectContaining({ managerId: 'manager' }));
+    expect(res.body.manager).toEqual({ id: 'manager', name: 'Dana Manager' });
+  });
+
+  it('hands the override to the alert rules for abuse detection', async () => {
+    complianceStore.getLatestVerificationForSale.mockResolvedValue({ verification_id: 'ver-1', location_id: 'outlet-1' });
+    complianceStore.markVerificationOverride.mockResolvedValue({ verification: { status: 'approved_override', location_id: 'outlet-1' }, override: { id: 'ovr-1' } });
+    alerting.processEvent.mockClear();
+
+    await request(app)
+      .post('/api/sales/SALE-1/override')
+      .send({ verificationId: 'ver-1', managerPin: '1234', note: 'Checked passport' })
+      .expect(200);
+
+    expect(alerting.processEvent).toHaveBeenCalledWith({
+      kind: 'override',
+      outletId: 'outlet-1',
+      saleId: 'SALE-1',
+      verificationId: 'ver-1',
+      manager: MANAGER,
+      note: 'Checked passport'
+    });
+  });
+
+  it('checks the manager against the outlet the scan was recorded at, not the one the register sends', async () => {
+    complianceStore.getLatestVerificationForSale.mockResolvedValue({ verification_id: 'ver-1', location_id: 'outlet-2' });
+    managerStore.authenticateManagerPin.mockResolvedValue({ ok: false, reason: 'MANAGER_NOT_AUTHORIZED_FOR_OUTLET', manager: MANAGER });
+
+    const res = await request(app)
+      .post('/api/sales/SALE-1/override')
+      .send({ verificationId: 'ver-1', managerPin: '1234', outletId: 'outlet-1' })
+      .expect(403);
+
+    expect(managerStore.authenticateManagerPin).toHaveBeenCalledWith(expect.objectContaining({ outletId: 'outlet-2' }));
+    expect(res.body.error).toBe('MANAGER_NOT_AUTHORIZED_FOR_OUTLET');
+    expect(complianceStore.markVerificationOverride).not.toHaveBeenCalled();
+  });
+
+  it('falls back to the register outlet when the scan has no stored outlet', async () => {
+    complianceStore.getLatestVerificationForSale.mockResolvedValue({ verification_id: 'ver-1', location_id: null });
+    complianceStore.markVerificationOverride.mockResolvedValue({ id: 'ovr-1' });
+
+    await request(app)
+      .post('/api/sales/SALE-1/override')
+      .send({ verificationId: 'ver-1', managerPin: '1234', outletId: 'outlet-1' })
+      .expect(200);
+
+    expect(managerStore.authenticateManagerPin).toHaveBeenCalledWith(expect.objectContaining({ outletId: 'outlet-1' }));
+  });
+
+  it('returns 423 while the manager PIN is locked out', async () => {
+    const lockedUntil = new Date(Date.now() + 15 * 60 * 1000).toISOString();
+    managerStore.authenticateManagerPin.mockResolvedValue({ ok: false, reason: 'PIN_LOCKED', lockedUntil });
+
+    const res = await request(app)
+      .post('/api/sales/SALE-1/override')
+      .send({ verificationId: 'ver-1', managerPin: '1234', managerId: 'manager' })
+      .expect(423);
+
+    expect(res.body).toMatchObject({ error: 'PIN_LOCKED', lockedUntil });
+    expect(managerStore.authenticateManagerPin).toHaveBeenCalledWith(expect.objectContaining({ managerId: 'manager' }));
+    expect(complianceStore.markVerificationOverride).not.toHaveBeenCalled();
+  });
+
+  it('returns 503 when the server has no PIN pepper', async () => {
+    managerStore.authenticateManagerPin.mockRejectedValue(new Error('PIN_PEPPER_NOT_CONFIGURED'));
+
+    const res = await request(app)
+      .post('/api/sales/SALE-1/override')
+      .send({ verificationId: 'ver-1', managerPin: '1234' })
+      .expect(503);
+
+    expect(res.body.error).toBe('PIN_PEPPER_NOT_CONFIGURED');
+    expect(complianceStore.markVerificationOverride).not.toHaveBeenCalled();
+  });
+
   it('lists overrides for a sale', async () => {
     complianceStore.listOverridesForSale.mockResolvedValue([
       {
@@ -0,0 +1,123 @@
+"use strict";
+
+jest.mock('../src/lightspeedClient', () => ({
+  recordVerification: jest.fn(),
+  getSaleById: jest.fn(),
+  completeSale: jest.fn(),
+  listSales: jest.fn()
+}));
+
+jest.mock('../src/db', () => ({
+  pool: {},
+  query: jest.fn()
+}));
+
+jest.mock('../src/complianceStore', () => ({
+  enforceRetention: jest.fn(),
+  listLegalHolds: jest.fn(),
+  placeLegalHold: jest.fn(),
+  releaseLegalHold: jest.fn()
+}));
+
+const request = require('supertest');
+const { app } = require('../src/app');
+const db = require('../src/db');
+const complianceStore = require('../src/complianceStore');
+
+const HOLD_ID = '44444444-4444-4444-8444-444444444444';
+const TIMER_APIS = [
+  'hrtime', 'nextTick', 'performance', 'queueMicrotask', 'setImmediate', 'clearImmediate',
+  'setInterval', 'clearInterval', 'setTimeout', 'clearTimeout'
+];
+
+describe('retention options and legal holds', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.API_SECRET_KEY = '';
+    process.env.ADMIN_AUTH_BYPASS = 'true';
+  });
+
+  afterAll(() => {
+    delete process.env.ADMIN_AUTH_BYPASS;
+  });
+
+  it('runs a dry run from the cron endpoint without the daily gate', async () => {
+    const preview = { dryRun: true, verificationsDeleted: 2, preview: { verifications: ['v1', 'v2'] } };
+    complianceStore.enforceRetention.mockResolvedValue(preview);
+
+    const res = await request(app).get('/api/cron/retention?dryRun=true').expect(200);
+
+    expect(complianceStore.enforceRetention).toHaveBeenCalledWith({ verificationDays: 730, dryRun: true });
+    expect(res.body).toEqual({ success: true, dryRun: true, retention: preview });
+  });
+
+  it('still runs the rest of the daily maintenance when retention fails', async () => {
+    // Only the clock is faked: noon UTC is past the 01:01 UTC daily slot.
+    jest.useFakeTimers({ now: new Date('2026-03-10T12:00:00.000Z'), doNotFake: TIMER_APIS });
+    process.env.CRON_DAILY_TIMEZONE = 'UTC';
+    process.env.CRON_DAILY_HOUR = '1';
+    process.env.CRON_DAILY_MINUTE = '1';
+    db.pool.query = jest.fn().mockResolvedValue({ rows: [] });
+    complianceStore.enforceRetention.mockRejectedValue(new Error("EROFS: read-only file system, mkdir '/var/task/retention-archive'"));
+
+    try {
+      const res = await request(app).post('/api/cron/retention').expect(200);
+
+      expect(res.body).toMatchObject({
+        success: false,
+        daily: { shouldRun: true },
+        retention: null,
+        retentionError: { error: 'RETENTION_FAILED' },
+        saleSessionCleanup: { expired: expect.any(Number) }
+      });
+    } finally {
+      jest.useRealTimers();
+      delete process.env.CRON_DAILY_TIMEZONE;
+      delete process.env.CRON_DAILY_HOUR;
+      delete process.env.CRON_DAILY_MINUTE;
+      delete db.pool.query;
+    }
+  });
+
+  it('places a legal hold as the signed-in admin', async () => {
+    complianceStore.placeLegalHold.mockResolvedValue({ id: HOLD_ID, scope: 'document', value: 'D1234567' });
+
+    const res = await request(app)
+      .post('/admin/compliance/legal-holds')
+      .send({ scope: 'document', value: 'd1234567', reason: 'Subpoena 2026-114' })
+      .expect(201);
+
+    expect(res.body.hold.id).toBe(HOLD_ID);
+    expect(complianceStore.placeLegalHold).toHaveBeenCalledWith({
+      scope: 'document',
+      value: 'd1234567',
+      reason: 'Subpoena 2026-114',
+      placedBy: expect.any(String)
+    });
+  });
+
+  it('validates holds and reports duplicates', async () => {
+    const bad = await request(app)
+      .post('/admin/compliance/legal-holds')
+      .send({ scope: 'customer', value: 'x', reason: 'because' })
+      .expect(400);
+    expect(bad.body.error).toBe('VALIDATION_ERROR');
+    expect(complianceStore.placeLegalHold).not.toHaveBeenCalled();
+
+    complianceStore.placeLegalHold.mockRejectedValue(new Error('HOLD_EXISTS'));
+    const dup = await request(app)
+      .post('/admin/compliance/legal-holds')
+      .send({ scope: 'outlet', value: 'outlet-1', reason: 'Open investigation' })
+      .expect(409);
+    expect(dup.body.error).toBe('HOLD_EXISTS');
+  });
+
+  it('releases an active hold and 404s otherwise', async () => {
+    complianceStore.releaseLegalHold.mockResolvedValueOnce({ id: HOLD_ID, releasedAt: '2026-05-01T00:00:00.000Z' });
+    await request(app).post(`/admin/compliance/legal-holds/${HOLD_ID}/release`).send({ note: 'Case closed' }).expect(200);
+    expect(complianceStore.releaseLegalHold).toHaveBeenCalledWith(HOLD_ID, { releasedBy: expect.any(String), note: 'Case closed' });
+
+    complianceStore.releaseLegalHold.mockResolvedValueOnce(null);
+    await request(app).post(`/admin/compliance/legal-holds/${HOLD_ID}/release`).send({}).expect(404);
+  });
+});
@@ -0,0 +1,148 @@
+"use strict";
+
+jest.mock('../src/lightspeedClient', () => ({
+  recordVerification: jest.fn(),
+  getSaleById: jest.fn(),
+  completeSale: jest.fn(),
+  listSales: jest.fn()
+}));
+
+jest.mock('../src/complianceStore', () => ({
+  saveVerification: jest.fn(),
+  getLatestVerificationForSale: jest.fn(),
+  findBannedCustomer: jest.fn()
+}));
+
+jest.mock('../src/db', () => ({
+  pool: null,
+  query: jest.fn()
+}));
+
+const request = require('supertest');
+const { app } = require('../src/app');
+const saleVerificationStore = require('../src/saleVerificationStore');
+const { diffSaleStatus } = require('../src/saleEvents');
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function collectText(res, callback) {
+  let text = '';
+  res.setEncoding('utf8');
+  res.on('data', (chunk) => { text += chunk; });
+  res.on('end', () => callback(null, text));
+}
+
+function parseEvents(text) {
+  return text
+    .split('\n\n')
+    .map((block) => {
+      const event = block.match(/^event: (.+)$/m);
+      const data = block.match(/^data: (.+)$/m);
+      return event ? { event: event[1], data: data ? JSON.parse(data[1]) : null } : null;
+    })
+    .filter(Boolean);
+}
+
+function openStream(saleId) {
+  return request(app)
+    .get(`/api/sales/${saleId}/events`)
+    .buffer(true)
+    .parse(collectText)
+    .then((res) => res);
+}
+
+describe('GET /api/sales/:saleId/events', () => {
+  beforeEach(() => {
+    process.env.SALE_EVENTS_MAX_DURATION_MS = '1000';
+    process.env.SALE_EVENTS_REFRESH_MS = '250';
+  });
+
+  afterEach(() => {
+    delete process.env.SALE_EVENTS_MAX_DURATION_MS;
+    delete process.env.SALE_EVENTS_REFRESH_MS;
+  });
+
+  it('streams a snapshot, then status, heartbeat and log changes', async () => {
+    const saleId = 'SSE-SALE-1';
+    await saleVerificationStore.createVerification(saleId, { registerId: 'REG-1' });
+
+    const pending = openStream(saleId);
+    await sleep(150);
+    await saleVerificationStore.updateHeartbeat(saleId);
+    await saleVerificationStore.addSessionLog(saleId, 'Scanner armed', 'info');
+    await saleVerificationStore.updateVerification(saleId, { approved: true, verificationId: 'VER-9', customerName: 'Jane Doe', age: 31 });
+
+    const res = await pending;
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toContain('text/event-stream');
+
+    const events = parseEvents(res.body);
+    expect(events[0]).toMatchObject({ event: 'snapshot', data: { saleId, status: 'pending', remoteScannerActive: false } });
+    expect(events).toContainEqual(expect.objectContaining({ event: 'heartbeat', data: expect.objectContaining({ remoteScannerActive: true }) }));
+    expect(events).toContainEqual({ event: 'log', data: expect.objectContaining({ m: 'Scanner armed', type: 'info' }) });
+    expect(events).toContainEqual(expect.objectContaining({
+      event: 'status',
+      data: expect.objectContaining({ status: 'approved', verificationId: 'VER-9', customerName: 'Jane Doe', age: 31 })
+    }));
+    expect(events[events.length - 1].event).toBe('reconnect');
+
+    await saleVerificationStore.completeVerification(saleId);
+  });
+
+  it('sends closed and ends the stream when the session is completed', async () => {
+    const saleId = 'SSE-SALE-2';
+    await saleVerificationStore.createVerification(saleId);
+
+    const started = Date.now();
+    const pending = openStream(saleId);
+    await sleep(150);
+    await saleVerificationStore.completeVerification(saleId);
+
+    const res = await pending;
+    const events = parseEvents(res.body);
+    expect(events[events.length - 1]).toEqual({ event: 'closed', data: { saleId, reason: 'session_ended' } });
+    expect(Date.now() - started).toBeLessThan(1000);
+  });
+
+  it('creates a pending session for an unknown sale, like /status', async () => {
+    const res = await openStream('SSE-SALE-NEW');
+    const events = parseEvents(res.body);
+
+    expect(events[0]).toMatchObject({ event: 'snapshot', data: { saleId: 'SSE-SALE-NEW', status: 'pending' } });
+    await saleVerificationStore.completeVerification('SSE-SALE-NEW');
+  });
+});
+
+describe('diffSaleStatus', () => {
+  const base = {
+    saleId: 'S1',
+    verificationId: null,
+    status: 'pending',
+    age: null,
+    reason: null,
+    customerName: null,
+    updatedAt: '2026-01-01T00:00:00.000Z',
+    updatedAtMs: 1767225600000,
+    remoteScannerActive: false,
+    lastHeartbeat: null,
+    logs: [{ t: '2026-01-01T00:00:00.000Z', m: 'IDLE', type: 'info' }],
+    expiresAt: '2026-01-01T00:15:00.000Z'
+  };
+
+  it('emits nothing when the session is unchanged', () => {
+    expect(diffSaleStatus(base, JSON.parse(JSON.stringify(base)))).toEqual([]);
+  });
+
+  it('emits only log entries that were not seen before, even after the log window shifts', () => {
+    const next = {
+      ...base,
+      logs: [
+        { t: '2026-01-01T00:00:01.000Z', m: 'second', type: 'info' },
+        { t: '2026-01-01T00:00:02.000Z', m: 'third', type: 'warn' }
+      ]
+    };
+    const previous = { ...base, logs: [...base.logs, next.logs[0]] };
+
+    expect(diffSaleStatus(previous, next)).toEqual([['log', next.logs[1]]]);
+  });
+});
@@ -0,0 +1,287 @@
+"use strict";
+
+jest.mock('../src/lightspeedClient', () => ({
+  recordVerification: jest.fn(),
+  getSaleById: jest.fn(),
+  getProductById: jest.fn(),
+  completeSale: jest.fn(),
+  listSales: jest.fn()
+}));
+
+jest.mock('../src/complianceStore', () => ({
+  logDiagnostic: jest.fn().mockResolvedValue(null),
+  saveVerification: jest.fn().mockResolvedValue({ id: 'comp-1' }),
+  getLatestVerificationForSale: jest.fn(),
+  recordSaleCompletion: jest.fn().mockResolvedValue({}),
+  summarizeCompliance: jest.fn(),
+  findBannedCustomer: jest.fn().mockResolvedValue(null),
+  addBannedCustomer: jest.fn(),
+  listBannedCustomers: jest.fn(),
+  removeBannedCustomer: jest.fn()
+}));
+
+jest.mock('../src/db', () => ({
+  pool: {},
+  query: jest.fn()
+}));
+
+const request = require('supertest');
+const { app } = require('../src/app');
+const lightspeed = require('../src/lightspeedClient');
+const complianceStore = require('../src/complianceStore');
+const saleVerificationStore = require('../src/saleVerificationStore');
+const lightspeedWriteOutbox = require('../src/lightspeedWriteOutbox');
+const config = require('../src/config');
+
+const SCAN = {
+  approved: true,
+  firstName: 'Jane',
+  lastName: 'Doe',
+  dob: '1990-05-05',
+  age: 35,
+  documentType: 'drivers_license',
+  documentNumber: 'D5550001',
+  issuingCountry: 'USA',
+  documentExpiry: '2099-05-05'
+};
+
+let saleCounter = 0;
+function nextSaleId() {
+  saleCounter += 1;
+  return `SALE-C${saleCounter}`;
+}
+
+function approvedRow(saleId, verificationId) {
+  return { verification_id: verificationId, sale_id: saleId, status: 'approved', created_at: new Date().toISOString() };
+}
+
+describe('Sale verification API contracts', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.API_SECRET_KEY = '';
+    lightspeed.getSaleById.mockImplementation(async (saleId) => ({ saleId, total: 42.5, items: [], registerId: 'REG-1', verification: null }));
+    lightspeed.recordVerification.mockImplementation(async ({ saleId, clerkId, verificationData }) => ({
+      verificationId: `VER-${saleId}`,
+      saleId,
+      clerkId,
+      status: verificationData.approved ? 'approved' : 'rejected',
+      ...verificationData
+    }));
+  });
+
+  describe('v2', () => {
+    it('POST /api/v2/sales/:saleId/verifications writes Postgres and the in-memory session', async () => {
+      const saleId = nextSaleId();
+
+      const res = await request(app)
+        .post(`/api/v2/sales/${saleId}/verifications`)
+        .send({ clerkId: 'clerk-1', scan: SCAN })
+        .expect(201);
+
+      expect(res.body.data).toMatchObject({ verificationId: `VER-${saleId}`, status: 'approved', complianceRecordId: 'comp-1' });
+      expect(complianceStore.saveVerification).toHaveBeenCalledWith(
+        expect.objectContaining({ verificationId: `VER-${saleId}`, documentNumber: 'D5550001' }),
+        expect.any(Object)
+      );
+      expect(await saleVerificationStore.getVerification(saleId)).toMatchObject({
+        status: 'approved',
+        verificationId: `VER-${saleId}`,
+        customerName: 'Jane Doe',
+        age: 35
+      });
+    });
+
+    it('POST /api/v2/sales/:saleId/verifications validates the payload', async () => {
+      const res = await request(app)
+        .post(`/api/v2/sales/${nextSaleId()}/verifications`)
+        .send({ scan: SCAN })
+        .expect(400);
+
+      expect(res.body.error).toBe('VALIDATION_ERROR');
+    });
+
+    it('POST /api/v2/sales/:saleId/verifications/:verificationId/complete records the completion and closes the session', async () => {
+      const saleId = nextSaleId();
+      await request(app).post(`/api/v2/sales/${saleId}/verifications`).send({ clerkId: 'clerk-1', scan: SCAN }).expect(201);
+      complianceStore.getLatestVerificationForSale.mockResolvedValue(approvedRow(saleId, `VER-${saleId}`));
+
+      const res = await request(app)
+        .post(`/api/v2/sales/${saleId}/verifications/VER-${saleId}/complete`)
+        .send({ paymentType: 'card', amount: 42.5 })
+        .expect(200);
+
+      expect(res.body.data).toMatchObject({ saleId, verificationId: `VER-${saleId}`, paymentType: 'card', amount: 42.5 });
+      expect(complianceStore.recordSaleCompletion).toHaveBeenCalledWith(
+        expect.objectContaining({ saleId, verificationId: `VER-${saleId}`, paymentType: 'card' })
+      );
+      expect(await saleVerificationStore.getVerification(saleId)).toBeNull();
+    });
+
+    it('rejects completing a verification that is not the latest', async () => {
+      const saleId = nextSaleId();
+      complianceStore.getLatestVerificationForSale.mockResolvedValue(approvedRow(saleId, 'VER-NEWER'));
+
+      const res = await request(app)
+        .post(`/api/v2/sales/${saleId}/verifications/VER-OLDER/complete`)
+        .send({ paymentType: 'cash' })
+        .expect(409);
+
+      expect(res.body.error).toBe('VERIFICATION_MISMATCH');
+    });
+  });
+
+  describe('completion through the write outbox', () => {
+    beforeEach(() => {
+      config.lightspeed.enableWrites = true;
+    });
+
+    afterEach(() => {
+      config.lightspeed.enableWrites = false;
+      jest.restoreAllMocks();
+    });
+
+    it('answers 202 with the write still pending when Lightspeed has not confirmed the completion', async () => {
+      const saleId = nextSaleId();
+      complianceStore.getLatestVerificationForSale.mockResolvedValue(approvedRow(saleId, 'VER-1'));
+      const submit = jest.spyOn(lightspeedWriteOutbox, 'submitWrite').mockResolvedValue({
+        queued: true,
+        duplicate: false,
+        write: { id: '12', kind: 'complete_sale', saleId, status: 'pending', result: null }
+      });
+
+      const res = await request(app)
+        .post(`/api/v2/sales/${saleId}/verifications/VER-1/complete`)
+        .send({ paymentType: 'cash', amount: 12 })
+        .expect(202);
+
+      expect(submit).toHaveBeenCalledWith(
+        expect.objectContaining({ kind: 'complete_sale', idempotencyKey: `complete_sale:${saleId}:VER-1` }),
+        { waitMs: expect.any(Number) }
+      );
+      expect(res.body.data).toMatchObject({
+        saleId,
+        completedAt: null,
+        pending: true,
+        lightspeedWrite: { id: '12', status: 'pending' }
+      });
+      expect(complianceStore.recordSaleCompletion).toHaveBeenCalled();
+    });
+
+    it('reports a completed write with the time Lightspeed closed the sale', async () => {
+      const saleId = nextSaleId();
+      complianceStore.getLatestVerificationForSale.mockResolvedValue(approvedRow(saleId, 'VER-1'));
+      jest.spyOn(lightspeedWriteOutbox, 'submitWrite').mockResolvedValue({
+        queued: true,
+        duplicate: false,
+        write: { id: '13', kind: 'complete_sale', saleId, status: 'done', result: { completedAt: '2026-03-10T18:00:00.000Z', amount: 12 } }
+      });
+
+      const res = await request(app)
+        .post(`/api/v2/sales/${saleId}/verifications/VER-1/complete`)
+        .send({ paymentType: 'cash', amount: 12 })
+        .expect(200);
+
+      expect(res.body.data).toMatchObject({ completedAt: '2026-03-10T18:00:00.000Z', amount: 12, lightspeedWrite: { status: 'done' } });
+      expect(res.body.data.pending).toBeUndefined();
+    });
+
+    it('answers 502 and leaves the sale open when the write failed', async () => {
+      const saleId = nextSaleId();
+      complianceStore.getLatestVerificationForSale.mockResolvedValue(approvedRow(saleId, 'VER-1'));
+      jest.spyOn(lightspeedWriteOutbox, 'submitWrite').mockResolvedValue({
+        queued: true,
+        duplicate: false,
+        write: { id: '14', kind: 'complete_sale', saleId, status: 'failed', lastError: 'Validation failed', result: null }
+      });
+
+      const res = await request(app)
+        .post(`/api/v2/sales/${saleId}/verifications/VER-1/complete`)
+        .send({ paymentType: 'cash', amount: 12 })
+        .expect(502);
+
+      expect(res.body).toMatchObject({
+        error: 'LIGHTSPEED_WRITE_FAILED',
+        lightspeedWrite: { id: '14', status: 'failed', lastError: 'Validation failed' }
+      });
+      expect(complianceStore.recordSaleCompletion).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('legacy adapters', () => {
+    it('POST /api/sales/:saleId/verify with { clerkId, scan } matches the v2 response', async () => {
+      const saleId = nextSaleId();
+
+      const res = await request(app)
+        .post(`/api/sales/${saleId}/verify`)
+        .send({ clerkId: 'clerk-1', scan: SCAN })
+        .expect(201);
+
+      expect(Object.keys(res.body)).toEqual(['data']);
+      expect(res.body.data).toMatchObject({ verificationId: `VER-${saleId}`, status: 'approved' });
+      expect((await saleVerificationStore.getVerification(saleId)).verificationId).toBe(`VER-${saleId}`);
+    });
+
+    it('POST /api/sales/:saleId/verify with a scanner status push records it and keeps the legacy response', async () => {
+      const saleId = nextSaleId();
+
+      const res = await request(app)
+        .post(`/api/sales/${saleId}/verify`)
+        .send({ approved: false, customerName: 'Young Person', age: 19, reason: 'Underage (19)', registerId: 'REG-9' })
+        .expect(200);
+
+      expect(res.body).toEqual({ success: true, saleId, status: 'rejected', verificationId: `VER-${saleId}` });
+      expect(lightspeed.recordVerification.mock.calls[0][0]).toMatchObject({
+        clerkId: 'REG-9',
+        verificationData: expect.objectContaining({ approved: false, firstName: 'Young', lastName: 'Person', age: 19 })
+      });
+      expect(complianceStore.saveVerification).toHaveBeenCalled();
+      expect(await saleVerificationStore.getVerification(saleId)).toMatchObject({ status: 'rejected', reason: 'Underage (19)' });
+    });
+
+    it('POST /api/sales/:saleId/verify still rejects malformed scan payloads', async () => {
+      const res = await request(app)
+        .post(`/api/sales/${nextSaleId()}/verify`)
+        .send({ clerkId: 'clerk-1', scan: { firstName: 'No approval flag' } })
+        .expect(400);
+
+      expect(res.body.error).toBe('VALIDATION_ERROR');
+    });
+
+    it('POST /api/sales/:saleId/complete with { verificationId, paymentType } matches the v2 response', async () => {
+      const saleId = nextSaleId();
+      complianceStore.getLatestVerificationForSale.mockResolvedValue(approvedRow(saleId, 'VER-1'));
+
+      const res = await request(app)
+        .post(`/api/sales/${saleId}/complete`)
+        .send({ verificationId: 'VER-1', paymentType: 'cash', saleTotal: 12 })
+        .expect(200);
+
+      expect(res.body.data).toMatchObject({ saleId, verificationId: 'VER-1', paymentType: 'cash', amount: 12 });
+    });
+
+    it('POST /api/sales/:saleId/complete without verificationId completes the latest verification', async () => {
+      const saleId = nextSaleId();
+      await request(app).post(`/api/sales/${saleId}/verify`).send({ clerkId: 'clerk-1', scan: SCAN }).expect(201);
+      complianceStore.getLatestVerificationForSale.mockResolvedValue(approvedRow(saleId, `VER-${saleId}`));
+
+      const res = await request(app)
+        .post(`/api/sales/${saleId}/complete`)
+        .send({ approved: true, paymentType: 'cash', paymentAmount: 42.5 })
+        .expect(200);
+
+      expect(res.body).toMatchObject({ success: true, lightspeedResponse: null, data: { verificationId: `VER-${saleId}` } });
+      expect(complianceStore.recordSaleCompletion).toHaveBeenCalledWith(expect.objectContaining({ verificationId: `VER-${saleId}` }));
+    });
+
+    it('POST /api/sales/:saleId/complete without verificationId returns 404 when nothing was verified', async () => {
+      complianceStore.getLatestVerificationForSale.mockResolvedValue(null);
+
+      const res = await request(app)
+        .post(`/api/sales/${nextSaleId()}/complete`)
+        .send({ approved: true, paymentType: 'cash' })
+        .expect(404);
+
+      expect(res.body.error).toBe('VERIFICATION_NOT_FOUND');
+    });
+  });
+});
@@ -0,0 +1,126 @@
+"use strict";
+
+jest.mock('../src/lightspeedClient', () => ({
+  recordVerification: jest.fn(),
+  getSaleById: jest.fn().mockResolvedValue({
+    saleId: 'SALE-1',
+    total: 10,
+    items: [],
+    verification: null
+  }),
+  completeSale: jest.fn(),
+  listSales: jest.fn()
+}));
+
+jest.mock('../src/complianceStore', () => ({
+  saveVerification: jest.fn().mockResolvedValue({ id: 'comp-1' }),
+  getLatestVerificationForSale: jest.fn(),
+  recordSaleCompletion: jest.fn(),
+  summarizeCompliance: jest.fn(),
+  findBannedCustomer: jest.fn().mockResolvedValue(null),
+  addBannedCustomer: jest.fn(),
+  listBannedCustomers: jest.fn(),
+  removeBannedCustomer: jest.fn()
+}));
+
+jest.mock('../src/db', () => ({
+  pool: {},
+  query: jest.fn()
+}));
+
+jest.mock('../src/adminUserStore', () => ({
+  getSessionUser: jest.fn()
+}));
+
+jest.mock('../src/documentVelocity', () => ({
+  MAX_REPORT_DAYS: 31,
+  analyzeDocumentVelocity: jest.fn(),
+  getDocumentActivityToday: jest.fn()
+}));
+
+const request = require('supertest');
+const { app } = require('../src/app');
+const lightspeed = require('../src/lightspeedClient');
+const adminUserStore = require('../src/adminUserStore');
+const documentVelocity = require('../src/documentVelocity');
+
+describe('Repeat-document velocity', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.API_SECRET_KEY = '';
+    process.env.ADMIN_AUTH_BYPASS = 'true';
+    lightspeed.recordVerification.mockImplementation(async ({ verificationData }) => ({
+      verificationId: 'ver-1',
+      saleId: 'SALE-1',
+      status: verificationData.approved ? 'approved' : 'rejected',
+      documentType: verificationData.documentType,
+      documentNumber: verificationData.documentNumber,
+      issuingCountry: verificationData.issuingCountry
+    }));
+  });
+
+  afterAll(() => {
+    delete process.env.ADMIN_AUTH_BYPASS;
+  });
+
+  it('returns the "seen N times today" warning with the verification', async () => {
+    documentVelocity.getDocumentActivityToday.mockResolvedValue({
+      scansToday: 3,
+      salesToday: 3,
+      outletsToday: 2,
+      warning: 'This ID has been seen 3 times today at 2 outlets.'
+    });
+
+    const res = await request(app)
+      .post('/api/sales/SALE-1/verify')
+      .send({
+        clerkId: 'clerk-1',
+        scan: { approved: true, age: 30, documentType: 'drivers_license', documentNumber: 'D1234567', issuingCountry: 'USA' }
+      })
+      .expect(201);
+
+    expect(documentVelocity.getDocumentActivityToday).toHaveBeenCalledWith({
+      documentType: 'drivers_license',
+      issuingCountry: 'USA',
+      documentNumber: 'D1234567'
+    });
+    expect(res.body.data.documentVelocity).toEqual(expect.objectContaining({ scansToday: 3, warning: expect.stringContaining('3 times today') }));
+    expect(res.body.data.status).toBe('approved');
+  });
+
+  it('still records the verification when the velocity lookup fails', async () => {
+    documentVelocity.getDocumentActivityToday.mockRejectedValue(new Error('db down'));
+
+    const res = await request(app)
+      .post('/api/sales/SALE-1/verify')
+      .send({ clerkId: 'clerk-1', scan: { approved: true, age: 30, documentType: 'drivers_license', documentNumber: 'D1234567' } })
+      .expect(201);
+
+    expect(res.body.data.documentVelocity).toBeNull();
+  });
+
+  it('serves the velocity report to compliance admins', async () => {
+    documentVelocity.analyzeDocumentVelocity.mockResolvedValue({
+      days: 7,
+      since: '2026-03-03T23:00:00.000Z',
+      timeZone: 'America/Chicago',
+      thresholds: { hourlySales: 3, dailySales: 5, dailyOutlets: 2 },
+      documents: [{ documentNumber: 'D1234567', sales: 4, flags: [{ rule: 'hourly_sales', count: 4, threshold: 3 }] }]
+    });
+
+    const res = await request(app).get('/admin/compliance/velocity?days=7&outletId=outlet-1').expect(200);
+
+    expect(documentVelocity.analyzeDocumentVelocity).toHaveBeenCalledWith({ days: 7, outletId: 'outlet-1' });
+    expect(res.body).toMatchObject({ success: true, count: 1, days: 7, outletId: 'outlet-1' });
+    expect(res.body.documents[0].flags[0].rule).toBe('hourly_sales');
+  });
+
+  it('keeps the velocity report from store managers', async () => {
+    process.env.ADMIN_AUTH_BYPASS = 'false';
+    adminUserStore.getSessionUser.mockResolvedValue({ id: 'sm-1', role: 'store_manager', outletIds: ['outlet-1'] });
+
+    await request(app).get('/admin/compliance/velocity').set('Authorization', 'Bearer token').expect(403);
+
+    expect(documentVelocity.analyzeDocumentVelocity).not.toHaveBeenCalled();
+  });
+});
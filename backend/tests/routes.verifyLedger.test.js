@@ -0,0 +1,71 @@
+"use strict";
+
+jest.mock('../src/lightspeedClient', () => ({
+  recordVerification: jest.fn(),
+  getSaleById: jest.fn(),
+  completeSale: jest.fn(),
+  listSales: jest.fn()
+}));
+
+jest.mock('../src/db', () => ({
+  pool: {},
+  query: jest.fn()
+}));
+
+jest.mock('../src/adminUserStore', () => ({
+  getSessionUser: jest.fn()
+}));
+
+jest.mock('../src/auditLedger', () => ({
+  verifyLedger: jest.fn()
+}));
+
+const request = require('supertest');
+const { app } = require('../src/app');
+const adminUserStore = require('../src/adminUserStore');
+const auditLedger = require('../src/auditLedger');
+
+describe('GET /admin/compliance/verify-ledger', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.API_SECRET_KEY = '';
+    process.env.ADMIN_AUTH_BYPASS = 'true';
+  });
+
+  afterAll(() => {
+    delete process.env.ADMIN_AUTH_BYPASS;
+  });
+
+  it('reports the first broken link', async () => {
+    auditLedger.verifyLedger.mockResolvedValue({
+      ok: false,
+      entriesChecked: 41,
+      lastSeq: '41',
+      lastHash: 'a'.repeat(64),
+      firstBrokenLink: { seq: '42', reason: 'HASH_MISMATCH', expected: 'b'.repeat(64), actual: 'c'.repeat(64) }
+    });
+
+    const res = await request(app).get('/admin/compliance/verify-ledger').expect(200);
+
+    expect(res.body).toMatchObject({
+      success: true,
+      ok: false,
+      entriesChecked: 41,
+      firstBrokenLink: { seq: '42', reason: 'HASH_MISMATCH' }
+    });
+    expect(res.body.verifiedAt).toEqual(expect.any(String));
+  });
+
+  it('is limited to the compliance role', async () => {
+    process.env.ADMIN_AUTH_BYPASS = 'false';
+    adminUserStore.getSessionUser.mockResolvedValue({ id: 'sm-1', role: 'store_manager', outletIds: ['outlet-1'] });
+
+    const res = await request(app)
+      .get('/admin/compliance/verify-ledger')
+      .set('Authorization', 'Bearer token')
+      .expect(403);
+
+    expect(res.body.error).toBe('FORBIDDEN');
+    expect(auditLedger.verifyLedger).not.toHaveBeenCalled();
+  });
+});
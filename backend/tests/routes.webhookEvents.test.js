@@ -0,0 +1,130 @@
+"use strict";
+
+jest.mock('../src/lightspeedClient', () => ({
+  recordVerification: jest.fn(),
+  getSaleById: jest.fn(),
+  completeSale: jest.fn(),
+  listSales: jest.fn()
+}));
+
+jest.mock('../src/db', () => ({
+  pool: {},
+  query: jest.fn()
+}));
+
+jest.mock('../src/adminUserStore', () => ({
+  getSessionUser: jest.fn()
+}));
+
+jest.mock('../src/lightspeedWebhookQueue', () => ({
+  EVENT_STATUSES: ['pending', 'processing', 'processed', 'unhandled', 'dead_letter', 'failed'],
+  MAX_REPLAY_BATCH: 200,
+  normalizeTopic: jest.fn((topic) => String(topic || 'unknown').toLowerCase()),
+  listWebhookEvents: jest.fn(),
+  getWebhookEvent: jest.fn(),
+  replayWebhookEvents: jest.fn(),
+  getWebhookQueueHealth: jest.fn(),
+  processPendingWebhookEvents: jest.fn()
+}));
+
+const request = require('supertest');
+const { app } = require('../src/app');
+const adminUserStore = require('../src/adminUserStore');
+const queue = require('../src/lightspeedWebhookQueue');
+
+describe('Lightspeed webhook event admin endpoints', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.API_SECRET_KEY = '';
+    process.env.ADMIN_AUTH_BYPASS = 'true';
+  });
+
+  afterAll(() => {
+    delete process.env.ADMIN_AUTH_BYPASS;
+  });
+
+  it('lists events with status, topic and time filters', async () => {
+    queue.listWebhookEvents.mockResolvedValue([{ id: '12', topic: 'sale.update', status: 'dead_letter', attempts: 6 }]);
+
+    const res = await request(app)
+      .get('/admin/webhooks/events?status=dead_letter&topic=sale.update&since=2026-03-01&limit=25')
+      .expect(200);
+
+    expect(queue.listWebhookEvents).toHaveBeenCalledWith({
+      status: 'dead_letter',
+      topic: 'sale.update',
+      since: '2026-03-01',
+      until: null,
+      limit: 25,
+      offset: 0
+    });
+    expect(res.body).toMatchObject({ success: true, events: [{ id: '12', status: 'dead_letter' }] });
+  });
+
+  it('rejects an unknown status filter', async () => {
+    const res = await request(app).get('/admin/webhooks/events?status=lost').expect(400);
+    expect(res.body.error).toBe('INVALID_STATUS');
+    expect(queue.listWebhookEvents).not.toHaveBeenCalled();
+  });
+
+  it('shows one event with its raw payload', async () => {
+    queue.getWebhookEvent.mockResolvedValue({ id: '12', topic: 'sale.update', payload: { id: 'SALE-1' }, rawBody: 'payload=...' });
+
+    const res = await request(app).get('/admin/webhooks/events/12').expect(200);
+    expect(res.body.event).toMatchObject({ id: '12', payload: { id: 'SALE-1' } });
+
+    queue.getWebhookEvent.mockResolvedValue(null);
+    await request(app).get('/admin/webhooks/events/13').expect(404);
+  });
+
+  it('replays a single event and records who replayed it', async () => {
+    queue.replayWebhookEvents.mockResolvedValue({
+      replayed: 1,
+      processed: 1,
+      unhandled: 0,
+      deadLettered: 0,
+      events: [{ id: '12', topic: 'sale.update', status: 'processed' }]
+    });
+
+    const res = await request(app).post('/admin/webhooks/events/12/replay').expect(200);
+
+    expect(queue.replayWebhookEvents).toHaveBeenCalledWith({ ids: ['12'], replayedBy: expect.anything() });
+    expect(res.body).toMatchObject({ success: true, replayed: 1, events: [{ id: '12', status: 'processed' }] });
+  });
+
+  it('answers 404 when replaying an event that does not exist', async () => {
+    queue.replayWebhookEvents.mockResolvedValue({ replayed: 0, processed: 0, unhandled: 0, deadLettered: 0, events: [] });
+    queue.getWebhookEvent.mockResolvedValue(null);
+
+    const res = await request(app).post('/admin/webhooks/events/99/replay').expect(404);
+    expect(res.body.error).toBe('NOT_FOUND');
+  });
+
+  it('replays a range and reports a missing selection as 400', async () => {
+    queue.replayWebhookEvents.mockResolvedValueOnce({ replayed: 3, processed: 3, unhandled: 0, deadLettered: 0, events: [] });
+
+    await request(app)
+      .post('/admin/webhooks/events/replay')
+      .send({ since: '2026-03-01T00:00:00Z', until: '2026-03-02T00:00:00Z', status: 'dead_letter', limit: 1000 })
+      .expect(200);
+    expect(queue.replayWebhookEvents).toHaveBeenCalledWith(expect.objectContaining({
+      since: '2026-03-01T00:00:00Z',
+      until: '2026-03-02T00:00:00Z',
+      status: 'dead_letter',
+      limit: 200
+    }));
+
+    queue.replayWebhookEvents.mockRejectedValueOnce(Object.assign(new Error('Choose events to replay'), { code: 'INVALID_RANGE' }));
+    const res = await request(app).post('/admin/webhooks/events/replay').send({ status: 'dead_letter' }).expect(400);
+    expect(res.body.error).toBe('INVALID_RANGE');
+  });
+
+  it('is limited to owners', async () => {
+    process.env.ADMIN_AUTH_BYPASS = 'false';
+    adminUserStore.getSessionUser.mockResolvedValue({ id: 'c-1', role: 'compliance', outletIds: [] });
+
+    await request(app).post('/admin/webhooks/events/12/replay').set('Authorization', 'Bearer token').expect(403);
+
+    expect(queue.replayWebhookEvents).not.toHaveBeenCalled();
+  });
+});
@@ -1,77 +1,207 @@
+jest.mock('../src/db', () => {
+    // Just enough of Postgres for the statements saleVerificationPostgresStore issues.
+    const rows = new Map();
+    const serialize = (value) => JSON.parse(typeof value === 'string' ? value : JSON.stringify(value));
+    const result = (list) => ({ rows: list, rowCount: list.length });
+
+    async function query(text, params = []) {
+        const sql = String(text).replace(/\s+/g, ' ').trim();
+        if (/^CREATE /.test(sql)) return result([]);
+
+        if (sql.startsWith('INSERT INTO sale_verification_sessions')) {
+            const existing = rows.get(params[0]);
+            rows.set(params[0], {
+                session: serialize(params[1]),
+                version: existing ? existing.version + 1 : 0,
+                expiresAt: new Date(params[2])
+            });
+            return { rows: [], rowCount: 1 };
+        }
+        if (sql.startsWith('SELECT session, version FROM sale_verification_sessions WHERE sale_id = $1 AND expires_at > $2')) {
+            const row = rows.get(params[0]);
+            return result(row && row.expiresAt > params[1] ? [{ session: serialize(row.session), version: row.version }] : []);
+        }
+        if (sql.startsWith('UPDATE sale_verification_sessions SET session = $3')) {
+            const row = rows.get(params[0]);
+            if (!row || row.version !== params[1]) return { rows: [], rowCount: 0 };
+            row.session = serialize(params[2]);
+            row.version += 1;
+            return { rows: [], rowCount: 1 };
+        }
+        if (sql.startsWith('DELETE FROM sale_verification_sessions WHERE sale_id = $1')) {
+            const row = rows.get(params[0]);
+            rows.delete(params[0]);
+            return result(row ? [{ session: serialize(row.session) }] : []);
+        }
+        if (sql.startsWith('DELETE FROM sale_verification_sessions WHERE expires_at <= $1')) {
+            const expired = [...rows.entries()].filter(([, row]) => row.expiresAt <= params[0]);
+            expired.forEach(([saleId]) => rows.delete(saleId));
+            return result(expired.map(([saleId]) => ({ sale_id: saleId })));
+        }
+        if (sql === 'SELECT session FROM sale_verification_sessions') {
+            return result([...rows.values()].map((row) => ({ session: serialize(row.session) })));
+        }
+        throw new Error(`Unexpected query in fake Postgres: ${sql}`);
+    }
+
+    return { pool: {}, query: jest.fn(query), __rows: rows };
+});
+
+const db = require('../src/db');
 const saleVerificationStore = require('../src/saleVerificationStore');
+const { createPostgresSaleVerificationStore } = require('../src/saleVerificationPostgresStore');
 
-describe('saleVerificationStore Friendship Logic', () => {
+describe.each(['memory', 'postgres'])('saleVerificationStore Friendship Logic (%s backend)', (backend) => {
     const saleId = 'TEST-SALE-1';
 
-    beforeEach(() => {
+    beforeEach(async () => {
+        process.env.SALE_VERIFICATION_STORE = backend;
         // Clean up store before each test
-        saleVerificationStore.completeVerification(saleId);
+        await saleVerificationStore.completeVerification(saleId);
         jest.useFakeTimers();
     });
 
     afterEach(() => {
         jest.useRealTimers();
+        delete process.env.SALE_VERIFICATION_STORE;
     });
 
-    it('should initialize a session with friendship defaults', () => {
-        const verification = saleVerificationStore.createVerification(saleId);
+    it('should initialize a session with friendship defaults', async () => {
+        const verification = await saleVerificationStore.createVerification(saleId);
         expect(verification.remoteScannerActive).toBe(false);
         expect(verification.lastHeartbeat).toBe(null);
         expect(verification.logs.length).toBe(1);
         expect(verification.logs[0].m).toContain('Waiting for handheld');
     });
 
-    it('should update heartbeat and set active state', () => {
-        saleVerificationStore.createVerification(saleId);
-        const updated = saleVerificationStore.updateHeartbeat(saleId);
+    it('should update heartbeat and set active state', async () => {
+        await saleVerificationStore.createVerification(saleId);
+        const updated = await saleVerificationStore.updateHeartbeat(saleId);
 
         expect(updated.remoteScannerActive).toBe(true);
         expect(updated.lastHeartbeat).toBeInstanceOf(Date);
         expect(updated.logs.some(l => l.m.includes('Handheld scanner connected'))).toBe(true);
     });
 
-    it('should add session logs correctly', () => {
-        saleVerificationStore.createVerification(saleId);
-        saleVerificationStore.addSessionLog(saleId, 'Testing log message', 'info');
+    it('should add session logs correctly', async () => {
+        await saleVerificationStore.createVerification(saleId);
+        await saleVerificationStore.addSessionLog(saleId, 'Testing log message', 'info');
 
-        const verification = saleVerificationStore.getVerification(saleId);
+        const verification = await saleVerificationStore.getVerification(saleId);
         expect(verification.logs.some(l => l.m === 'Testing log message')).toBe(true);
     });
 
-    it('should cap logs at 50 entries', () => {
-        saleVerificationStore.createVerification(saleId);
+    it('should cap logs at 50 entries', async () => {
+        await saleVerificationStore.createVerification(saleId);
         for (let i = 0; i < 60; i++) {
-            saleVerificationStore.addSessionLog(saleId, `Log ${i}`);
+            await saleVerificationStore.addSessionLog(saleId, `Log ${i}`);
         }
 
-        const verification = saleVerificationStore.getVerification(saleId);
+        const verification = await saleVerificationStore.getVerification(saleId);
         expect(verification.logs.length).toBe(50);
     });
 
-    it('should transition to inactive if heartbeat is old (Friendship Auto-Detect)', () => {
-        saleVerificationStore.createVerification(saleId);
-        saleVerificationStore.updateHeartbeat(saleId);
+    it('should transition to inactive if heartbeat is old (Friendship Auto-Detect)', async () => {
+        await saleVerificationStore.createVerification(saleId);
+        await saleVerificationStore.updateHeartbeat(saleId);
 
-        let verification = saleVerificationStore.getVerification(saleId);
+        let verification = await saleVerificationStore.getVerification(saleId);
         expect(verification.remoteScannerActive).toBe(true);
 
         // Fast forward 11 seconds
         jest.advanceTimersByTime(11000);
 
         // Trigger auto-detect via getVerification
-        verification = saleVerificationStore.getVerification(saleId);
+        verification = await saleVerificationStore.getVerification(saleId);
         expect(verification.remoteScannerActive).toBe(false);
         expect(verification.logs.some(l => l.m.includes('Handheld scanner timed out'))).toBe(true);
     });
 
-    it('should include friendship data in getVerification result', () => {
-        saleVerificationStore.createVerification(saleId);
-        saleVerificationStore.updateHeartbeat(saleId);
-        saleVerificationStore.addSessionLog(saleId, 'Scan started');
+    it('should include friendship data in getVerification result', async () => {
+        await saleVerificationStore.createVerification(saleId);
+        await saleVerificationStore.updateHeartbeat(saleId);
+        await saleVerificationStore.addSessionLog(saleId, 'Scan started');
 
-        const status = saleVerificationStore.getVerification(saleId);
+        const status = await saleVerificationStore.getVerification(saleId);
         expect(status).toHaveProperty('remoteScannerActive', true);
         expect(status).toHaveProperty('logs');
         expect(status.logs.length).toBeGreaterThan(1);
     });
+
+    it('should record the scan result and drop the session on completion', async () => {
+        await saleVerificationStore.createVerification(saleId, { registerId: 'REG-1' });
+        const updated = await saleVerificationStore.updateVerification(saleId, {
+            approved: true,
+            verificationId: 'VER-1',
+            customerName: 'Jane Doe',
+            age: 30
+        });
+
+        expect(updated).toMatchObject({ status: 'approved', verificationId: 'VER-1', registerId: 'REG-1', age: 30 });
+        expect((await saleVerificationStore.getVerification(saleId)).status).toBe('approved');
+
+        await expect(saleVerificationStore.completeVerification(saleId)).resolves.toBe(true);
+        expect(await saleVerificationStore.getVerification(saleId)).toBeNull();
+    });
+
+    it('should hide and purge sessions after 15 minutes', async () => {
+        await saleVerificationStore.createVerification(saleId);
+
+        jest.advanceTimersByTime(15 * 60 * 1000 + 1000);
+
+        expect(await saleVerificationStore.getVerification(saleId)).toBeNull();
+        expect(await saleVerificationStore.updateVerification(saleId, { approved: true })).toBeNull();
+        await saleVerificationStore.purgeExpired();
+        expect((await saleVerificationStore.getStats()).total).toBe(0);
+    });
+});
+
+describe('saleVerificationStore Postgres backend across instances', () => {
+    const saleId = 'TEST-SALE-SHARED';
+
+    beforeEach(() => {
+        db.__rows.clear();
+    });
+
+    it('should let one instance see the session another instance created and updated', async () => {
+        const scanInstance = createPostgresSaleVerificationStore({ query: db.query });
+        const pollInstance = createPostgresSaleVerificationStore({ query: db.query });
+
+        await scanInstance.createVerification(saleId, { registerId: 'REG-7' });
+        await scanInstance.updateVerification(saleId, { approved: false, reason: 'Underage (19)', age: 19 });
+
+        const polled = await pollInstance.getVerification(saleId);
+        expect(polled).toMatchObject({ status: 'rejected', reason: 'Underage (19)', registerId: 'REG-7' });
+        expect(polled.createdAt).toBeInstanceOf(Date);
+
+        scanInstance.close();
+        pollInstance.close();
+    });
+
+    it('should retry a write that lost a version race instead of overwriting it', async () => {
+        const store = createPostgresSaleVerificationStore({ query: db.query });
+        const other = createPostgresSaleVerificationStore({ query: db.query });
+        await store.createVerification(saleId);
+
+        const realQuery = db.query.getMockImplementation();
+        let raced = false;
+        db.query.mockImplementation(async (text, params) => {
+            if (!raced && String(text).includes('UPDATE sale_verification_sessions')) {
+                raced = true;
+                db.query.mockImplementation(realQuery);
+                await other.addSessionLog(saleId, 'Concurrent log from another instance');
+            }
+            return realQuery(text, params);
+        });
+
+        await store.addSessionLog(saleId, 'Log from this instance');
+        expect(raced).toBe(true);
+
+        const verification = await store.getVerification(saleId);
+        const messages = verification.logs.map((entry) => entry.m);
+        expect(messages).toEqual(expect.arrayContaining(['Concurrent log from another instance', 'Log from this instance']));
+
+        store.close();
+        other.close();
+    });
 });
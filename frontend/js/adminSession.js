@@ -0,0 +1,70 @@
+// Admin console session helpers, shared by the admin-*.html pages (classic script: window.AdminSession).
+//
+// The session lives in the httpOnly admin_session cookie set by POST /admin/auth/login, so pages never touch the
+// token. They only need to send cookies (same-origin fetch does) and go to the login page when a call returns 401.
+//
+//   const res = await AdminSession.fetch('/admin/scans');   // redirects to /admin/login.html on 401
+//   AdminSession.me().then((user) => { ... });              // { email, name, role, outletIds } or null
+//   AdminSession.logout();
+(function (global) {
+    'use strict';
+
+    var LOGIN_PATH = '/admin/login.html';
+
+    function redirectToLogin() {
+        var next = global.location.pathname + global.location.search;
+        global.location.href = LOGIN_PATH + '?next=' + encodeURIComponent(next);
+    }
+
+    function adminFetch(path, options) {
+        var opts = Object.assign({ credentials: 'same-origin' }, options || {});
+        return global.fetch(path, opts).then(function (res) {
+            if (res.status === 401) {
+                redirectToLogin();
+            }
+            return res;
+        });
+    }
+
+    function me() {
+        return global.fetch('/admin/auth/me', { credentials: 'same-origin', cache: 'no-store' })
+            .then(function (res) { return res.ok ? res.json() : null; })
+            .then(function (data) { return data && data.user ? data.user : null; })
+            .catch(function () { return null; });
+    }
+
+    function logout() {
+        return global.fetch('/admin/auth/logout', { method: 'POST', credentials: 'same-origin' })
+            .catch(function () { return null; })
+            .then(function () { global.location.href = LOGIN_PATH; });
+    }
+
+    // Adds "<name> (role) · Sign out" to the shared admin nav once the session is known.
+    function mountNavAccount() {
+        var nav = global.document.querySelector('.admin-top-nav');
+        if (!nav) return;
+        me().then(function (user) {
+            if (!user) return;
+            var button = global.document.createElement('button');
+            button.type = 'button';
+            button.className = 'admin-top-nav__account';
+            button.title = 'Sign out';
+            button.textContent = (user.name || user.email || 'Admin') + ' (' + user.role + ') · Sign out';
+            button.addEventListener('click', logout);
+            nav.appendChild(button);
+        });
+    }
+
+    if (global.document.readyState === 'loading') {
+        global.document.addEventListener('DOMContentLoaded', mountNavAccount);
+    } else {
+        mountNavAccount();
+    }
+
+    global.AdminSession = {
+        fetch: adminFetch,
+        me: me,
+        logout: logout,
+        redirectToLogin: redirectToLogin
+    };
+})(window);
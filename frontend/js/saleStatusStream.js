@@ -0,0 +1,181 @@
+// Live verification status for a sale, shared by the payment-gateway pages (classic script: window.SaleStatusStream).
+//
+// Listens to GET /api/sales/:saleId/events (Server-Sent Events) and falls back to polling
+// GET /api/sales/:saleId/status when EventSource is unavailable or the stream keeps failing.
+// Either way `onUpdate` receives the same object /status returns (including the full `logs` array).
+//
+//   const watch = SaleStatusStream.watch({
+//       getSaleId: () => saleId,         // re-read on every tick; the stream reopens when the id changes
+//       headers: () => getApiHeaders(),  // for the polling fallback (EventSource cannot send headers)
+//       onUpdate: (data) => { ... }
+//   });
+//   watch.stop();
+(function (global) {
+    'use strict';
+
+    var MAX_LOGS = 50;
+    var MAX_STREAM_ERRORS = 3;
+    var STREAM_SILENCE_MS = 35000;
+
+    function watch(options) {
+        var opts = options || {};
+        var getSaleId = typeof opts.getSaleId === 'function' ? opts.getSaleId : function () { return opts.saleId; };
+        var getHeaders = typeof opts.headers === 'function' ? opts.headers : function () { return opts.headers || {}; };
+        var onUpdate = typeof opts.onUpdate === 'function' ? opts.onUpdate : function () { };
+        var onModeChange = typeof opts.onModeChange === 'function' ? opts.onModeChange : function () { };
+        var pollMs = opts.pollMs || 2000;
+
+        var stopped = false;
+        var mode = null;
+        var currentSaleId = null;
+        var state = null;
+        var source = null;
+        var streamErrors = 0;
+        var lastMessageAt = 0;
+        var pollTimer = null;
+        var polling = false;
+        var tickTimer = null;
+
+        function setMode(next) {
+            if (mode === next) return;
+            mode = next;
+            try { onModeChange(next); } catch (e) { }
+        }
+
+        function emit() {
+            if (stopped || !state) return;
+            try { onUpdate(state); } catch (e) { }
+        }
+
+        function closeStream() {
+            if (source) {
+                try { source.close(); } catch (e) { }
+                source = null;
+            }
+        }
+
+        function stopPolling() {
+            if (pollTimer) {
+                clearInterval(pollTimer);
+                pollTimer = null;
+            }
+        }
+
+        async function pollOnce() {
+            if (stopped || polling || !currentSaleId) return;
+            polling = true;
+            try {
+                var res = await fetch('/api/sales/' + encodeURIComponent(currentSaleId) + '/status?t=' + Date.now(), {
+                    headers: getHeaders()
+                });
+                if (res.ok) {
+                    state = await res.json();
+                    emit();
+                }
+            } catch (e) { } finally {
+                polling = false;
+            }
+        }
+
+        function startPolling() {
+            closeStream();
+            setMode('polling');
+            if (pollTimer) return;
+            pollTimer = setInterval(pollOnce, pollMs);
+            pollOnce();
+        }
+
+        function parse(event) {
+            try { return JSON.parse(event.data); } catch (e) { return null; }
+        }
+
+        function onStreamEvent(handler) {
+            return function (event) {
+                lastMessageAt = Date.now();
+                streamErrors = 0;
+                var data = parse(event);
+                if (data) handler(data);
+            };
+        }
+
+        function startStream() {
+            if (typeof global.EventSource !== 'function') {
+                startPolling();
+                return;
+            }
+
+            stopPolling();
+            closeStream();
+            setMode('stream');
+            streamErrors = 0;
+            lastMessageAt = Date.now();
+
+            var es = new global.EventSource('/api/sales/' + encodeURIComponent(currentSaleId) + '/events');
+            source = es;
+
+            es.addEventListener('snapshot', onStreamEvent(function (data) {
+                state = data;
+                emit();
+            }));
+            es.addEventListener('status', onStreamEvent(function (data) {
+                state = Object.assign({}, state || {}, data);
+                emit();
+            }));
+            es.addEventListener('heartbeat', onStreamEvent(function (data) {
+                state = Object.assign({}, state || {}, data);
+                emit();
+            }));
+            es.addEventListener('log', onStreamEvent(function (entry) {
+                var logs = ((state && state.logs) || []).concat([entry]);
+                state = Object.assign({}, state || {}, { logs: logs.slice(-MAX_LOGS) });
+                emit();
+            }));
+            es.addEventListener('ping', onStreamEvent(function () { }));
+            // A completed/expired session ends the stream. /status then creates a fresh pending session,
+            // which is what the polling flow has always done.
+            es.addEventListener('closed', onStreamEvent(function () {
+                startPolling();
+            }));
+            es.onerror = function () {
+                if (source !== es) return;
+                streamErrors += 1;
+                // CLOSED means the browser gave up (HTTP error, wrong content type); otherwise it is retrying.
+                if (es.readyState === 2 || streamErrors >= MAX_STREAM_ERRORS) startPolling();
+            };
+        }
+
+        function tick() {
+            if (stopped) return;
+            var saleId = getSaleId();
+            saleId = saleId ? String(saleId) : null;
+
+            if (saleId !== currentSaleId) {
+                currentSaleId = saleId;
+                state = null;
+                stopPolling();
+                closeStream();
+                setMode(null);
+                if (saleId) startStream();
+                return;
+            }
+
+            // A stream that went silent past the keepalive window is stuck behind a proxy; poll instead.
+            if (mode === 'stream' && Date.now() - lastMessageAt > STREAM_SILENCE_MS) startPolling();
+        }
+
+        tickTimer = setInterval(tick, 500);
+        tick();
+
+        return {
+            stop: function () {
+                stopped = true;
+                clearInterval(tickTimer);
+                stopPolling();
+                closeStream();
+            },
+            getMode: function () { return mode; }
+        };
+    }
+
+    global.SaleStatusStream = { watch: watch };
+})(typeof self !== 'undefined' ? self : this);
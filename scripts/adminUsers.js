@@ -0,0 +1,132 @@
+"use strict";
+
+require('./loadEnv').loadEnv();
+
+const { shutdown, pool } = require('../backend/src/db');
+const adminUserStore = require('../backend/src/adminUserStore');
+
+const [, , command, ...args] = process.argv;
+
+// Passwords are read from ADMIN_PASSWORD so they stay out of shell history and process listings.
+const USAGE = [
+  'Usage: node scripts/adminUsers.js <command>',
+  '  list',
+  `  add <email> <${adminUserStore.ADMIN_ROLES.join('|')}> [outletId,outletId] [name]   (password from ADMIN_PASSWORD)`,
+  '  password <userId>                                                      (password from ADMIN_PASSWORD)',
+  '  deactivate <userId>'
+].join('\n');
+
+class UsageError extends Error {
+  constructor(message, exitCode = 1) {
+    super(message);
+    this.name = 'UsageError';
+    this.exitCode = exitCode;
+  }
+}
+
+function describe(user) {
+  const outlets = user.role === 'store_manager' ? ` - ${user.outletIds.join(', ') || 'no outlets'}` : '';
+  const flags = [
+    user.active ? null : 'inactive',
+    user.lastLoginAt ? `last login ${new Date(user.lastLoginAt).toISOString()}` : 'never signed in'
+  ].filter(Boolean);
+  return `${user.id} :: ${user.email}${user.name ? ` (${user.name})` : ''} [${user.role}]${outlets} [${flags.join(', ')}]`;
+}
+
+function readPassword() {
+  const password = process.env.ADMIN_PASSWORD || '';
+  if (password.length < adminUserStore.MIN_PASSWORD_LENGTH) {
+    throw new UsageError(`Set ADMIN_PASSWORD to a password of at least ${adminUserStore.MIN_PASSWORD_LENGTH} characters.`);
+  }
+  return password;
+}
+
+async function listUsers() {
+  const users = await adminUserStore.listAdminUsers({ includeInactive: true });
+  if (!users.length) {
+    console.log('No admin users found.');
+    return;
+  }
+  users.forEach((user) => console.log(describe(user)));
+}
+
+async function addUser() {
+  const [email, role, outlets = '', name = null] = args;
+  if (!email || !role) {
+    throw new UsageError('Usage: node scripts/adminUsers.js add <email> <role> [outletId,outletId] [name]');
+  }
+  if (!adminUserStore.ADMIN_ROLES.includes(role)) {
+    throw new UsageError(`Role must be one of: ${adminUserStore.ADMIN_ROLES.join(', ')}.`);
+  }
+  const outletIds = outlets.split(',').map((id) => id.trim()).filter(Boolean);
+  if (role === 'store_manager' && !outletIds.length) {
+    throw new UsageError('Store managers need at least one outlet id.');
+  }
+
+  const user = await adminUserStore.createAdminUser({ email, name, role, outletIds, password: readPassword() });
+  console.log(`Admin user created: ${describe(user)}`);
+}
+
+async function resetPassword() {
+  const [id] = args;
+  if (!id) {
+    throw new UsageError('Usage: node scripts/adminUsers.js password <userId>');
+  }
+  const updated = await adminUserStore.setAdminPassword(id, readPassword());
+  console.log(updated ? 'Password updated; existing sessions were signed out.' : 'No admin user found for that id.');
+}
+
+async function deactivateUser() {
+  const [id] = args;
+  if (!id) {
+    throw new UsageError('Usage: node scripts/adminUsers.js deactivate <userId>');
+  }
+  const deactivated = await adminUserStore.deactivateAdminUser(id);
+  console.log(deactivated ? 'Admin user deactivated.' : 'No active admin user found for that id.');
+}
+
+async function main() {
+  if (!command) {
+    console.log(USAGE);
+    return 0;
+  }
+  if (!pool) {
+    console.error('DATABASE_URL is required to manage admin users.');
+    return 1;
+  }
+
+  try {
+    switch (command) {
+      case 'list':
+        await listUsers();
+        break;
+      case 'add':
+        await addUser();
+        break;
+      case 'password':
+        await resetPassword();
+        break;
+      case 'deactivate':
+        await deactivateUser();
+        break;
+      default:
+        throw new UsageError(`Unknown command: ${command}\n${USAGE}`);
+    }
+    return 0;
+  } catch (error) {
+    if (error instanceof UsageError) {
+      console.error(error.message);
+      return error.exitCode;
+    }
+    if (error.message === 'EMAIL_IN_USE') {
+      console.error('An admin user with that email already exists.');
+      return 1;
+    }
+    console.error('Error:', error.message);
+    return 1;
+  } finally {
+    await shutdown();
+  }
+}
+
+main().then((exitCode) => process.exit(exitCode));
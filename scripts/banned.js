@@ -3,11 +3,12 @@
 require('./loadEnv').loadEnv();
 
 const { Client } = require('pg');
+const piiCrypto = require('../backend/src/piiCrypto');
 
 const [, , command, ...args] = process.argv;
 
 if (!command) {
-  console.log('Usage: node scripts/banned.js <list|add|remove> [...]');
+  console.log('Usage: node scripts/banned.js <list|add|lift> [...]');
   process.exit(0);
 }
 
@@ -39,20 +40,30 @@ async function listBanned() {
         first_name,
         last_name,
         notes,
-        created_at
+        scope,
+        ends_at,
+        lifted_at,
+        created_at,
+        pii_key_id,
+        pii_dek,
+        pii_ciphertext
       FROM banned_customers
       ORDER BY created_at DESC
     `
   );
+  const decrypted = rows.map((row) => piiCrypto.revealRow('banned_customers', row));
 
-  if (!rows.length) {
+  if (!decrypted.length) {
     console.log('No banned customers found.');
     return;
   }
 
-  rows.forEach((row) => {
+  decrypted.forEach((row) => {
     const fullName = [row.first_name, row.last_name].filter(Boolean).join(' ') || 'Unknown';
-    console.log(`${row.id} :: ${row.document_type}/${row.document_number} (${row.issuing_country || 'N/A'}) - ${fullName} - ${row.notes || 'No note'}`);
+    const state = row.lifted_at
+      ? 'lifted'
+      : `${row.scope}${row.ends_at ? ` until ${new Date(row.ends_at).toISOString().slice(0, 10)}` : ''}`;
+    console.log(`${row.id} :: ${row.document_type}/${row.document_number} (${row.issuing_country || 'N/A'}) [${state}] - ${fullName} - ${row.notes || 'No note'}`);
   });
 }
 
@@ -64,38 +75,84 @@ async function addBanned() {
   }
 
   const note = noteParts.join(' ') || null;
+  // Encrypted when PII keys are configured (see backend/src/piiCrypto.js), matching what the API stores.
+  const stored = piiCrypto.protectFields('banned_customers', { document_number: documentNumber });
+  const conflictTarget = stored.pii_ciphertext
+    ? '(document_type, document_number_bidx, issuing_country) WHERE document_number_bidx IS NOT NULL'
+    : '(document_type, document_number, issuing_country)';
 
-  await client.query(
+  const { rows } = await client.query(
     `
       INSERT INTO banned_customers (
         document_type,
         document_number,
         issuing_country,
-        notes
+        notes,
+        pii_key_id,
+        pii_dek,
+        pii_ciphertext,
+        document_number_bidx
       )
-      VALUES ($1,$2,$3,$4)
-      ON CONFLICT (document_type, document_number, issuing_country)
+      VALUES ($1,$2,$3,$4,$5,$6,$7,$8)
+      ON CONFLICT ${conflictTarget}
       DO UPDATE
         SET notes = COALESCE(EXCLUDED.notes, banned_customers.notes),
             updated_at = NOW()
+      RETURNING id, starts_at, ends_at, scope, outlet_ids, reason_category, banned_location_id, notes, lifted_at,
+        (xmax = 0) AS inserted
     `,
-    [documentType, documentNumber, issuingCountry || '', note]
+    [
+      documentType,
+      stored.document_number,
+      issuingCountry || '',
+      note,
+      stored.pii_key_id,
+      stored.pii_dek,
+      stored.pii_ciphertext,
+      stored.document_number_bidx
+    ]
+  );
+
+  const row = rows[0];
+  await client.query(
+    `
+      INSERT INTO banned_customer_revisions (banned_id, action, changed_by, note, terms)
+      VALUES ($1, $2, 'scripts/banned.js', $3, $4)
+    `,
+    [
+      row.id,
+      row.inserted ? 'created' : 'updated',
+      note,
+      JSON.stringify({
+        startsAt: row.starts_at,
+        endsAt: row.ends_at,
+        scope: row.scope,
+        outletIds: row.outlet_ids,
+        reasonCategory: row.reason_category,
+        bannedLocationId: row.banned_location_id,
+        notes: row.notes,
+        liftedAt: row.lifted_at
+      })
+    ]
   );
 
   console.log('Banned record saved.');
 }
 
-async function removeBanned() {
-  const [id] = args;
-  if (!id) {
-    throw new UsageError('Usage: node scripts/banned.js remove <id>');
+// Bans are lifted, not deleted; this goes through complianceStore so the lift is in the history and audit ledger.
+async function liftBanned() {
+  const [id, ...reasonParts] = args;
+  const reason = reasonParts.join(' ').trim();
+  if (!id || !reason) {
+    throw new UsageError('Usage: node scripts/banned.js lift <id> <reason>');
   }
 
-  const { rowCount } = await client.query(`DELETE FROM banned_customers WHERE id = $1`, [id]);
-  if (rowCount) {
-    console.log('Removed banned record.');
+  const complianceStore = require('../backend/src/complianceStore');
+  const lifted = await complianceStore.liftBannedCustomer(id, { liftedBy: 'scripts/banned.js', reason });
+  if (lifted) {
+    console.log('Ban lifted.');
   } else {
-    console.log('No record found for that id.');
+    console.log('No active ban found for that id.');
   }
 }
 
@@ -110,8 +167,9 @@ async function main() {
       case 'add':
         await addBanned();
         break;
+      case 'lift':
       case 'remove':
-        await removeBanned();
+        await liftBanned();
         break;
       default:
         throw new UsageError(`Unknown command: ${command}`);
@@ -126,6 +184,9 @@ async function main() {
     }
   } finally {
     await client.end();
+    if (command === 'lift' || command === 'remove') {
+      await require('../backend/src/db').shutdown();
+    }
     if (exitCode !== 0) {
       process.exit(exitCode);
     }
@@ -1,5 +1,18 @@
 "use strict";
 
+/**
+ * Retention enforcement and legal holds.
+ *
+ *   node scripts/enforceRetention.js [--dry-run] [--no-archive] [--archive-dir=DIR]
+ *   node scripts/enforceRetention.js holds [--all]
+ *   node scripts/enforceRetention.js hold <sale|document|outlet> <value> <reason...>
+ *   node scripts/enforceRetention.js release <holdId> [note...]
+ *
+ * Retention windows come from RETENTION_DAYS / RETENTION_OVERRIDES_DAYS / RETENTION_COMPLETIONS_DAYS; removed rows
+ * are archived to RETENTION_ARCHIVE_DIR (or --archive-dir) first unless --no-archive (or RETENTION_ARCHIVE=false);
+ * with neither a directory nor --no-archive nothing is deleted.
+ */
+
 const { shutdown, pool } = require('../backend/src/db');
 const complianceStore = require('../backend/src/complianceStore');
 
@@ -13,29 +26,95 @@ function parseRetentionEnv(key, fallback) {
   return parsed;
 }
 
+function parseArgs(argv) {
+  const flags = {};
+  const positional = [];
+  argv.forEach((arg) => {
+    if (arg === '--dry-run') flags.dryRun = true;
+    else if (arg === '--no-archive') flags.archive = false;
+    else if (arg === '--all') flags.all = true;
+    else if (arg.startsWith('--archive-dir=')) flags.archiveDir = arg.slice('--archive-dir='.length);
+    else positional.push(arg);
+  });
+  return { flags, positional };
+}
+
+async function runRetention(flags) {
+  const verificationDays = parseRetentionEnv('RETENTION_DAYS', 365);
+  const overrideDays = parseRetentionEnv('RETENTION_OVERRIDES_DAYS', verificationDays);
+  const completionDays = parseRetentionEnv('RETENTION_COMPLETIONS_DAYS', verificationDays);
+
+  const results = await complianceStore.enforceRetention({
+    verificationDays,
+    overrideDays,
+    completionDays,
+    dryRun: Boolean(flags.dryRun),
+    ...(flags.archive === false ? { archive: false } : {}),
+    ...(flags.archiveDir ? { archiveDir: flags.archiveDir } : {})
+  });
+
+  const held = `${results.held.verifications} verifications, ${results.held.overrides} overrides, ` +
+    `${results.held.completions} sale completions kept under legal hold.`;
+
+  if (results.dryRun) {
+    console.log(
+      `Dry run: would remove ${results.verificationsDeleted} verifications, ` +
+        `${results.overridesDeleted} overrides, ${results.completionsDeleted} sale completions. ${held}`
+    );
+    console.log(JSON.stringify(results.preview, null, 2));
+    return;
+  }
+
+  console.log(
+    `Retention enforcement complete: ${results.verificationsDeleted} verifications, ` +
+      `${results.overridesDeleted} overrides, ${results.completionsDeleted} sale completions removed. ${held}`
+  );
+  if (results.archive) {
+    console.log(`Archived ${results.archive.rows} rows to ${results.archive.path} (sha256 ${results.archive.sha256})`);
+  }
+}
+
 async function main() {
   if (!pool) {
     console.error('DATABASE_URL is not configured. Retention enforcement cannot run.');
     process.exit(1);
   }
 
-  const verificationDays = parseRetentionEnv('RETENTION_DAYS', 365);
-  const overrideDays = parseRetentionEnv('RETENTION_OVERRIDES_DAYS', verificationDays);
-  const completionDays = parseRetentionEnv('RETENTION_COMPLETIONS_DAYS', verificationDays);
+  const { flags, positional } = parseArgs(process.argv.slice(2));
+  const [command, ...args] = positional;
 
   let exitCode = 0;
 
   try {
-    const results = await complianceStore.enforceRetention({
-      verificationDays,
-      overrideDays,
-      completionDays
-    });
-
-    console.log(
-      `Retention enforcement complete: ${results.verificationsDeleted} verifications, ` +
-        `${results.overridesDeleted} overrides, ${results.completionsDeleted} sale completions removed.`
-    );
+    if (!command) {
+      await runRetention(flags);
+    } else if (command === 'holds') {
+      const holds = await complianceStore.listLegalHolds({ includeReleased: Boolean(flags.all) });
+      console.table(holds.map((hold) => ({
+        id: hold.id,
+        scope: hold.scope,
+        value: hold.value,
+        reason: hold.reason,
+        placedBy: hold.placedBy,
+        released: hold.releasedAt ? 'yes' : ''
+      })));
+    } else if (command === 'hold') {
+      const [scope, value, ...reason] = args;
+      const hold = await complianceStore.placeLegalHold({ scope, value, reason: reason.join(' '), placedBy: 'cli' });
+      console.log(`Legal hold ${hold.id} placed on ${hold.scope} ${hold.value}`);
+    } else if (command === 'release') {
+      const [id, ...note] = args;
+      const hold = await complianceStore.releaseLegalHold(id, { releasedBy: 'cli', note: note.join(' ') || null });
+      if (!hold) {
+        console.error(`No active legal hold with id ${id}`);
+        exitCode = 1;
+      } else {
+        console.log(`Legal hold ${hold.id} released`);
+      }
+    } else {
+      console.error(`Unknown command: ${command}`);
+      exitCode = 1;
+    }
   } catch (error) {
     console.error('Retention enforcement failed:', error.message);
     exitCode = 1;
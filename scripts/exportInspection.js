@@ -0,0 +1,58 @@
+"use strict";
+
+require('./loadEnv').loadEnv();
+
+const fs = require('fs');
+const path = require('path');
+const { shutdown, pool } = require('../backend/src/db');
+const inspectionExport = require('../backend/src/inspectionExport');
+
+const USAGE = [
+  'Usage: node scripts/exportInspection.js <outletId> <start YYYY-MM-DD> <end YYYY-MM-DD> [outputDir]',
+  '  Writes <outputDir>/<bundle>/ (CSV, PDF, manifest.json, SHA256SUMS) and <outputDir>/<bundle>.tar.gz.',
+  '  outputDir defaults to ./exports. Verify later with: cd <bundle> && sha256sum -c SHA256SUMS'
+].join('\n');
+
+async function main() {
+  const [, , outletId, start, end, outputDir = 'exports'] = process.argv;
+  if (!outletId || !start || !end) {
+    console.log(USAGE);
+    return outletId ? 1 : 0;
+  }
+  if (!pool) {
+    console.error('DATABASE_URL is required to build an inspection export.');
+    return 1;
+  }
+
+  try {
+    const result = await inspectionExport.buildInspectionExport({
+      start,
+      end,
+      outletId,
+      generatedBy: { cli: true, user: process.env.USER || process.env.USERNAME || null }
+    });
+
+    const bundleDir = path.resolve(outputDir, result.bundleName);
+    fs.mkdirSync(bundleDir, { recursive: true });
+    result.files.forEach((file) => fs.writeFileSync(path.join(bundleDir, file.name), file.content));
+    const archivePath = path.resolve(outputDir, `${result.bundleName}.tar.gz`);
+    fs.writeFileSync(archivePath, result.archive);
+
+    Object.entries(result.manifest.datasets).forEach(([name, info]) => console.log(`${name}: ${info.rows} row(s)`));
+    console.log(`Bundle: ${bundleDir}`);
+    console.log(`Archive: ${archivePath}`);
+    console.log(`Archive SHA-256: ${result.archiveSha256}`);
+    return 0;
+  } catch (error) {
+    if (['INVALID_RANGE', 'RANGE_TOO_LARGE', 'OUTLET_REQUIRED'].includes(error.message)) {
+      console.error(`${error.message}: dates must be YYYY-MM-DD, start <= end, at most ${inspectionExport.MAX_RANGE_DAYS} days.`);
+      return 1;
+    }
+    console.error('Inspection export failed:', error.message);
+    return 1;
+  } finally {
+    await shutdown();
+  }
+}
+
+main().then((exitCode) => process.exit(exitCode));
@@ -0,0 +1,143 @@
+"use strict";
+
+require('./loadEnv').loadEnv();
+
+const { shutdown, pool } = require('../backend/src/db');
+const managerStore = require('../backend/src/managerStore');
+
+const [, , command, ...args] = process.argv;
+
+const USAGE = [
+  'Usage: node scripts/managers.js <command>',
+  '  list',
+  '  add <name> <pin> <outletId,outletId|*> [employeeCode]',
+  '  pin <managerId> <newPin>',
+  '  deactivate <managerId>',
+  '  unlock <managerId>'
+].join('\n');
+
+class UsageError extends Error {
+  constructor(message, exitCode = 1) {
+    super(message);
+    this.name = 'UsageError';
+    this.exitCode = exitCode;
+  }
+}
+
+function describe(manager) {
+  const outlets = manager.allOutlets ? 'all outlets' : manager.outletIds.join(', ') || 'no outlets';
+  const flags = [
+    manager.active ? null : 'inactive',
+    manager.lockedUntil ? `locked until ${new Date(manager.lockedUntil).toISOString()}` : null
+  ].filter(Boolean);
+  return `${manager.id} :: ${manager.name}${manager.employeeCode ? ` (${manager.employeeCode})` : ''} - ${outlets}${flags.length ? ` [${flags.join(', ')}]` : ''}`;
+}
+
+async function listManagers() {
+  const managers = await managerStore.listManagers({ includeInactive: true });
+  if (!managers.length) {
+    console.log('No managers found.');
+    return;
+  }
+  managers.forEach((manager) => console.log(describe(manager)));
+}
+
+async function addManager() {
+  const [name, pin, outlets, employeeCode = null] = args;
+  if (!name || !pin || !outlets) {
+    throw new UsageError('Usage: node scripts/managers.js add <name> <pin> <outletId,outletId|*> [employeeCode]');
+  }
+  if (!managerStore.isValidPin(pin)) {
+    throw new UsageError('PIN must be 4-8 digits.');
+  }
+
+  const allOutlets = outlets === '*';
+  const manager = await managerStore.createManager({
+    name,
+    pin,
+    employeeCode,
+    outletIds: allOutlets ? [] : outlets.split(','),
+    allOutlets
+  });
+  console.log(`Manager created: ${describe(manager)}`);
+}
+
+async function resetPin() {
+  const [id, pin] = args;
+  if (!id || !pin) {
+    throw new UsageError('Usage: node scripts/managers.js pin <managerId> <newPin>');
+  }
+  if (!managerStore.isValidPin(pin)) {
+    throw new UsageError('PIN must be 4-8 digits.');
+  }
+
+  const manager = await managerStore.setManagerPin(id, pin);
+  console.log(manager ? 'PIN updated.' : 'No manager found for that id.');
+}
+
+async function deactivateManager() {
+  const [id] = args;
+  if (!id) {
+    throw new UsageError('Usage: node scripts/managers.js deactivate <managerId>');
+  }
+  const deactivated = await managerStore.deactivateManager(id);
+  console.log(deactivated ? 'Manager deactivated.' : 'No active manager found for that id.');
+}
+
+async function unlockManager() {
+  const [id] = args;
+  if (!id) {
+    throw new UsageError('Usage: node scripts/managers.js unlock <managerId>');
+  }
+  const cleared = await managerStore.unlockManager(id);
+  console.log(cleared ? 'Lockout cleared.' : 'No lockout recorded for that manager.');
+}
+
+async function main() {
+  if (!command) {
+    console.log(USAGE);
+    return 0;
+  }
+  if (!pool) {
+    console.error('DATABASE_URL is required to manage manager accounts.');
+    return 1;
+  }
+
+  try {
+    switch (command) {
+      case 'list':
+        await listManagers();
+        break;
+      case 'add':
+        await addManager();
+        break;
+      case 'pin':
+        await resetPin();
+        break;
+      case 'deactivate':
+        await deactivateManager();
+        break;
+      case 'unlock':
+        await unlockManager();
+        break;
+      default:
+        throw new UsageError(`Unknown command: ${command}\n${USAGE}`);
+    }
+    return 0;
+  } catch (error) {
+    if (error instanceof UsageError) {
+      console.error(error.message);
+      return error.exitCode;
+    }
+    if (error.message === 'PIN_IN_USE') {
+      console.error('Another active manager already uses this PIN.');
+      return 1;
+    }
+    console.error('Error:', error.message);
+    return 1;
+  } finally {
+    await shutdown();
+  }
+}
+
+main().then((exitCode) => process.exit(exitCode));
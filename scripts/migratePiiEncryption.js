@@ -0,0 +1,107 @@
+"use strict";
+
+/**
+ * Encrypt existing PII and rotate PII keys.
+ *
+ *   node scripts/migratePiiEncryption.js [--dry-run] [--batch-size=N] [--table=verifications|banned_customers]
+ *   node scripts/migratePiiEncryption.js --generate-key
+ *
+ * Walks verifications and banned_customers in batches: plaintext rows are encrypted under the active key, rows
+ * wrapped under an older key are re-wrapped, and blind indexes are recomputed (after a blind-index key change).
+ * Each batch commits on its own with one audit ledger entry, so the script can be stopped and re-run.
+ *
+ * Rotation: add the new key to PII_ENCRYPTION_KEYS (or PII_KEYS_FILE), make it active, run this script, and only
+ * then drop the old key — retention archives written before the rotation still need it.
+ */
+
+require('./loadEnv').loadEnv();
+
+const piiCrypto = require('../backend/src/piiCrypto');
+
+const TABLES = ['verifications', 'banned_customers'];
+
+function parseArgs(argv) {
+  const flags = { batchSize: 200, tables: TABLES };
+  argv.forEach((arg) => {
+    if (arg === '--dry-run') flags.dryRun = true;
+    else if (arg === '--generate-key') flags.generateKey = true;
+    else if (arg.startsWith('--batch-size=')) flags.batchSize = parseInt(arg.slice('--batch-size='.length), 10) || 200;
+    else if (arg.startsWith('--table=')) flags.tables = [arg.slice('--table='.length)];
+    else throw new Error(`Unknown argument: ${arg}`);
+  });
+  return flags;
+}
+
+async function migrateTable(complianceStore, table, flags) {
+  const totals = { scanned: 0, encrypted: 0, rewrapped: 0, reindexed: 0 };
+  let afterId = null;
+  for (;;) {
+    const batch = await complianceStore.migratePiiBatch({
+      table,
+      afterId,
+      batchSize: flags.batchSize,
+      dryRun: Boolean(flags.dryRun)
+    });
+    Object.keys(totals).forEach((key) => {
+      totals[key] += batch[key];
+    });
+    afterId = batch.lastId;
+    if (batch.done) break;
+  }
+  console.log(
+    `${flags.dryRun ? '[dry run] ' : ''}${table}: ${totals.scanned} scanned, ${totals.encrypted} encrypted, ` +
+      `${totals.rewrapped} re-wrapped, ${totals.reindexed} re-indexed`
+  );
+}
+
+async function main() {
+  let flags;
+  try {
+    flags = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+
+  if (flags.generateKey) {
+    console.log(piiCrypto.generateKey());
+    process.exit(0);
+  }
+
+  const invalid = flags.tables.find((table) => !TABLES.includes(table));
+  if (invalid) {
+    console.error(`Unknown table: ${invalid} (expected ${TABLES.join(' or ')})`);
+    process.exit(1);
+  }
+
+  const { shutdown, pool } = require('../backend/src/db');
+  const complianceStore = require('../backend/src/complianceStore');
+
+  if (!pool) {
+    console.error('DATABASE_URL is not configured. PII migration cannot run.');
+    process.exit(1);
+  }
+
+  let exitCode = 0;
+  try {
+    const keyring = piiCrypto.getKeyring();
+    if (!keyring) {
+      throw new Error('No PII keys configured (PII_ENCRYPTION_KEYS or PII_KEYS_FILE)');
+    }
+    console.log(`Active PII key: ${keyring.activeKeyId}`);
+
+    for (const table of flags.tables) {
+      await migrateTable(complianceStore, table, flags);
+    }
+    const holds = await complianceStore.reindexLegalHolds({ dryRun: Boolean(flags.dryRun) });
+    console.log(`${flags.dryRun ? '[dry run] ' : ''}legal holds: ${holds.updated} of ${holds.checked} document holds re-indexed`);
+  } catch (error) {
+    console.error('PII migration failed:', error.message);
+    exitCode = 1;
+  } finally {
+    await shutdown();
+    process.exit(exitCode);
+  }
+}
+
+main();
@@ -22,7 +22,10 @@ const { app } = require('../backend/src/app');
 const API_KEY = process.env.SMOKE_API_KEY || process.env.API_SECRET_KEY || null;
 const SALE_ID = process.env.SMOKE_SALE_ID || 'SALE-1001';
 const BANNED_SALE_ID = process.env.SMOKE_BANNED_SALE_ID || 'SALE-1002';
-const OVERRIDE_PIN = process.env.SMOKE_OVERRIDE_PIN || process.env.OVERRIDE_PIN || null;
+const OVERRIDE_PIN = process.env.SMOKE_OVERRIDE_PIN || null;
+const OVERRIDE_MANAGER_ID = process.env.SMOKE_MANAGER_ID || null;
+// Session token from POST /admin/auth/login with {"issueToken": true}; the banned step needs a compliance user.
+const ADMIN_SESSION = process.env.SMOKE_ADMIN_SESSION || null;
 const SHOULD_SKIP_BANNED = process.env.SMOKE_SKIP_BANNED === 'true';
 function sanitizeHeaderValue(value) {
   if (value === null || value === undefined) return null;
@@ -44,6 +47,9 @@ function withHeaders(req) {
   if (LOCATION_ID) {
     req.set('X-Location-Id', LOCATION_ID);
   }
+  if (ADMIN_SESSION) {
+    req.set('Authorization', `Bearer ${ADMIN_SESSION}`);
+  }
   return req;
 }
 
@@ -114,13 +120,13 @@ async function runSmoke() {
     const overrideRes = await post(`/api/sales/${SALE_ID}/override`, {
       verificationId,
       managerPin: OVERRIDE_PIN,
-      managerId: 'smoke-manager',
+      managerId: OVERRIDE_MANAGER_ID || undefined,
       note: 'Smoke test auto-override'
     });
     assertOk(overrideRes, 'Override');
     console.log('[OK] Override');
   } else {
-    console.log('-- Override step skipped (no OVERRIDE_PIN set)');
+    console.log('-- Override step skipped (no SMOKE_OVERRIDE_PIN set)');
   }
 
   const completionRes = await post(`/api/sales/${SALE_ID}/complete`, {
@@ -0,0 +1,876 @@
+// Isomorphic ID parsing package: AAMVA PDF417 payloads, ICAO 9303 MRZ lines and vendor SDK field lists.
+//
+// One file on purpose: Express loads it with require('../../shared/idParsing') and the browser scan pages load it
+// with <script src="/shared/idParsing/index.js"> (exposed as window.IdParsing), so a scan decodes identically on
+// both sides. Keep it dependency-free and ES2018 so it runs unbundled in the register iPads' webviews.
+// Behaviour is pinned by the fixture corpus in ./fixtures (see backend/tests/idParsing.corpus.test.js).
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.IdParsing = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  // AAMVA DL/ID Card Design Standard decoder (PDF417 payloads, versions 01-10).
+  //
+  // Payload layout:
+  //   "@" LF RS CR            compliance indicator + data element / record separators + segment terminator
+  //   "ANSI " (or "AAMVA")    file type
+  //   IIN(6) VERSION(2) [JURISDICTION VERSION(2), v02+] ENTRIES(2)
+  //   ENTRIES x subfile designator: TYPE(2) OFFSET(4) LENGTH(4)
+  //   subfiles: TYPE + elements ("DAQ...", "DCS...") separated by LF, terminated by CR
+  //
+  // Scanners in keyboard-wedge mode often mangle or drop the control characters, so every structural step
+  // degrades gracefully (offset mismatch -> search by subfile type, no header -> treat the payload as one DL subfile)
+  // and records a warning instead of failing.
+
+  const MIN_VERSION = 1;
+  const MAX_VERSION = 10;
+
+  // Issuer identification numbers assigned to Canadian jurisdictions (dates are CCYYMMDD there).
+  const CANADIAN_IINS = new Set([
+    '604426', // Prince Edward Island
+    '604428', // Quebec
+    '604429', // Yukon
+    '604430', // Northwest Territories
+    '604432', // Alberta
+    '604433', // Nunavut
+    '636012', // Ontario
+    '636013', // Nova Scotia
+    '636016', // Newfoundland and Labrador
+    '636017', // New Brunswick
+    '636028', // British Columbia
+    '636044', // Saskatchewan
+    '636048' // Manitoba
+  ]);
+
+  const CANADIAN_PROVINCES = new Set(['AB', 'BC', 'MB', 'NB', 'NF', 'NL', 'NS', 'NT', 'NU', 'ON', 'PE', 'QC', 'SK', 'YT']);
+
+  const HEADER_PATTERN = /(?:ANSI ?|AAMVA)(\d{6})(\d{2})/;
+  const DESIGNATOR_PATTERN = /^([A-Z]{2})(\d{4})(\d{4})$/;
+  const SEPARATOR_PATTERN = /[\n\r\x1c-\x1f]+/;
+
+  function readHeader(data, warnings) {
+    const match = HEADER_PATTERN.exec(data);
+    if (!match) return null;
+
+    const version = Number.parseInt(match[2], 10);
+    let cursor = match.index + match[0].length;
+    let jurisdictionVersion = null;
+
+    if (version >= 2) {
+      jurisdictionVersion = Number.parseInt(data.substr(cursor, 2), 10);
+      cursor += 2;
+    }
+
+    const numberOfEntries = Number.parseInt(data.substr(cursor, 2), 10);
+    cursor += 2;
+
+    if (version < MIN_VERSION || version > MAX_VERSION) {
+      warnings.push(`unsupported_version:${match[2]}`);
+    }
+
+    // Offsets in the designators are relative to the compliance indicator when it survived the scanner.
+    const atIndex = data.lastIndexOf('@', match.index);
+    const fileStart = atIndex >= 0 && match.index - atIndex <= 4 ? atIndex : match.index;
+
+    const designators = [];
+    const entries = Number.isFinite(numberOfEntries) ? numberOfEntries : 0;
+    for (let i = 0; i < entries; i += 1) {
+      const raw = data.substr(cursor, 10);
+      const designator = DESIGNATOR_PATTERN.exec(raw);
+      if (!designator) {
+        warnings.push('invalid_subfile_designator');
+        break;
+      }
+      designators.push({
+        type: designator[1],
+        offset: Number.parseInt(designator[2], 10),
+        length: Number.parseInt(designator[3], 10)
+      });
+      cursor += 10;
+    }
+
+    if (!designators.length) {
+      warnings.push('missing_subfile_designators');
+    }
+
+    return {
+      iin: match[1],
+      version,
+      jurisdictionVersion: Number.isFinite(jurisdictionVersion) ? jurisdictionVersion : null,
+      numberOfEntries: Number.isFinite(numberOfEntries) ? numberOfEntries : null,
+      designators,
+      fileStart,
+      bodyStart: cursor
+    };
+  }
+
+  function locateSubfiles(data, header, warnings) {
+    const located = [];
+
+    for (const designator of header.designators) {
+      const start = header.fileStart + designator.offset;
+      if (data.substr(start, 2) === designator.type) {
+        located.push({ ...designator, start: start + 2, end: start + designator.length });
+        continue;
+      }
+
+      // Control characters were stripped or altered, so the offsets no longer line up. Find the subfile by
+      // its type followed by the first element ID instead.
+      const searchPattern = new RegExp(`${designator.type}(?=${designator.type.startsWith('Z') ? designator.type.charAt(0) : 'D'}[A-Z]{2})`, 'g');
+      searchPattern.lastIndex = header.bodyStart;
+      const found = searchPattern.exec(data);
+      warnings.push(`subfile_offset_mismatch:${designator.type}`);
+      if (found) {
+        located.push({ ...designator, start: found.index + 2, end: null });
+      } else {
+        warnings.push(`subfile_missing:${designator.type}`);
+      }
+    }
+
+    located.sort((a, b) => a.start - b.start);
+    return located.map((subfile, index) => {
+      const next = located[index + 1];
+      const fallbackEnd = next ? next.start - 2 : data.length;
+      const end = subfile.end && subfile.end > subfile.start ? Math.min(subfile.end, fallbackEnd) : fallbackEnd;
+      return { type: subfile.type, offset: subfile.offset, length: subfile.length, text: data.substring(subfile.start, end) };
+    });
+  }
+
+  function parseElements(text, { jurisdiction = false } = {}) {
+    const elements = {};
+    const leading = jurisdiction ? 'Z' : 'D';
+
+    for (const token of String(text || '').split(SEPARATOR_PATTERN)) {
+      let element = token.trim();
+      // Headerless payloads keep the subfile type glued to the first element ("DLDAQ123...").
+      if (!jurisdiction && /^(DL|ID)D[A-Z]{2}/.test(element)) {
+        element = element.substring(2);
+      }
+      if (element.length < 3 || element.charAt(0) !== leading || !/^[A-Z]{3}$/.test(element.substring(0, 3))) {
+        continue;
+      }
+      const id = element.substring(0, 3);
+      if (elements[id] !== undefined) continue;
+      const value = element.substring(3).trim();
+      elements[id] = value.length ? value : null;
+    }
+
+    return elements;
+  }
+
+  // Some scanners drop every separator, so "DBB" ends up glued to the previous element. Recover dates by pattern.
+  function recoverDateElement(data, id) {
+    const patterns = [
+      new RegExp(`${id}\\s*([0-9]{4}-[0-9]{2}-[0-9]{2})`),
+      new RegExp(`${id}\\s*([0-9]{2}/[0-9]{2}/[0-9]{4})`),
+      new RegExp(`${id}\\s*([0-9]{8})`),
+      new RegExp(`${id}[^0-9]*([0-9]{8})`)
+    ];
+    for (const pattern of patterns) {
+      const match = data.match(pattern);
+      if (match && match[1]) return match[1];
+    }
+    return null;
+  }
+
+  function buildUtcDate(year, month, day) {
+    if (!Number.isFinite(year) || !Number.isFinite(month) || !Number.isFinite(day)) return null;
+    if (month < 1 || month > 12 || day < 1 || day > 31 || year < 1900 || year > 2200) return null;
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+    return date;
+  }
+
+  function fromDigits(digits, format) {
+    if (format === 'CCYYMMDD') {
+      return buildUtcDate(
+        Number.parseInt(digits.substring(0, 4), 10),
+        Number.parseInt(digits.substring(4, 6), 10),
+        Number.parseInt(digits.substring(6, 8), 10)
+      );
+    }
+    return buildUtcDate(
+      Number.parseInt(digits.substring(4, 8), 10),
+      Number.parseInt(digits.substring(0, 2), 10),
+      Number.parseInt(digits.substring(2, 4), 10)
+    );
+  }
+
+  function inferDateFormat(digits) {
+    const startsWithYear = /^(19|20)/.test(digits);
+    const endsWithYear = /^(19|20)/.test(digits.substring(4, 8));
+    if (startsWithYear && !endsWithYear) return 'CCYYMMDD';
+    if (endsWithYear && !startsWithYear) return 'MMDDCCYY';
+    if (startsWithYear) return fromDigits(digits, 'CCYYMMDD') ? 'CCYYMMDD' : 'MMDDCCYY';
+    return null;
+  }
+
+  /**
+   * Expected date format for a payload: version 01 and Canadian jurisdictions use CCYYMMDD, US v02+ MMDDCCYY.
+   * Returns null when the header is missing and the format has to be inferred per value.
+   */
+  function resolveDateFormat({ version, country }) {
+    if (!Number.isFinite(version)) return null;
+    if (version === 1) return 'CCYYMMDD';
+    return country === 'CAN' ? 'CCYYMMDD' : 'MMDDCCYY';
+  }
+
+  function parseAamvaDate(raw, format, id, warnings) {
+    if (!raw) return null;
+    const value = String(raw).trim();
+
+    const iso = value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    if (iso) return buildUtcDate(Number(iso[1]), Number(iso[2]), Number(iso[3]));
+
+    const slashed = value.match(/^(\d{2})\/(\d{2})\/(\d{4})$/);
+    if (slashed) return buildUtcDate(Number(slashed[3]), Number(slashed[1]), Number(slashed[2]));
+
+    const digits = (value.match(/\d/g) || []).join('').substring(0, 8);
+    if (digits.length !== 8) {
+      warnings.push(`invalid_date:${id}`);
+      return null;
+    }
+
+    if (!format) {
+      const inferred = inferDateFormat(digits);
+      warnings.push(`date_format_inferred:${id}`);
+      const date = inferred ? fromDigits(digits, inferred) : null;
+      if (!date) warnings.push(`invalid_date:${id}`);
+      return date;
+    }
+
+    const date = fromDigits(digits, format);
+    if (date) return date;
+
+    const alternate = fromDigits(digits, format === 'CCYYMMDD' ? 'MMDDCCYY' : 'CCYYMMDD');
+    if (alternate) {
+      warnings.push(`date_format_mismatch:${id}`);
+      return alternate;
+    }
+
+    warnings.push(`invalid_date:${id}`);
+    return null;
+  }
+
+  function toIsoDate(date) {
+    return date instanceof Date && !Number.isNaN(date.getTime()) ? date.toISOString().slice(0, 10) : null;
+  }
+
+  function computeAge(dob, now = new Date()) {
+    if (!(dob instanceof Date) || Number.isNaN(dob.getTime())) return null;
+    let age = now.getUTCFullYear() - dob.getUTCFullYear();
+    const monthDiff = now.getUTCMonth() - dob.getUTCMonth();
+    if (monthDiff < 0 || (monthDiff === 0 && now.getUTCDate() < dob.getUTCDate())) {
+      age -= 1;
+    }
+    return age >= 0 ? age : null;
+  }
+
+  function normalizeSexCode(value) {
+    if (!value) return null;
+    const raw = String(value).trim().toUpperCase();
+    if (raw === '1' || raw === 'M') return 'M';
+    if (raw === '2' || raw === 'F') return 'F';
+    if (raw === '9' || raw === 'X') return 'X';
+    return raw || null;
+  }
+
+  function normalizePostalCode(value, country) {
+    if (!value) return null;
+    const raw = String(value).trim().replace(/\s+/g, ' ');
+    if (country === 'CAN') return raw.toUpperCase();
+    const digits = raw.replace(/[^0-9]/g, '');
+    if (digits.length === 9) {
+      return digits.endsWith('0000') ? digits.substring(0, 5) : `${digits.substring(0, 5)}-${digits.substring(5)}`;
+    }
+    return raw;
+  }
+
+  function resolveNames(elements) {
+    let lastName = elements.DCS || elements.DAB || null;
+    let firstName = elements.DAC || null;
+    let middleName = elements.DAD || null;
+
+    // v02/v03 combine given names in DCT ("FIRST,MIDDLE" or "FIRST MIDDLE").
+    if (!firstName && elements.DCT) {
+      const parts = elements.DCT.split(/[,\s]+/).filter(Boolean);
+      firstName = parts.shift() || null;
+      if (!middleName && parts.length) middleName = parts.join(' ');
+    }
+
+    // v01 full name: "LAST,FIRST,MIDDLE".
+    if ((!firstName || !lastName) && elements.DAA) {
+      const parts = elements.DAA.split(',').map((part) => part.trim());
+      if (!lastName && parts[0]) lastName = parts[0];
+      if (!firstName && parts[1]) firstName = parts[1];
+      if (!middleName && parts[2]) middleName = parts[2];
+    }
+
+    return { firstName, lastName, middleName };
+  }
+
+  function resolveCountry(elements, iin) {
+    const declared = elements.DCG ? String(elements.DCG).trim().toUpperCase() : null;
+    if (declared) return declared;
+    const state = elements.DAJ ? String(elements.DAJ).trim().toUpperCase() : null;
+    if (state && CANADIAN_PROVINCES.has(state)) return 'CAN';
+    if (iin && CANADIAN_IINS.has(iin)) return 'CAN';
+    return 'USA';
+  }
+
+  /**
+   * Decode an AAMVA PDF417 payload into typed fields.
+   *
+   * Returns null for empty input. Otherwise returns the identity fields used by the verify paths
+   * (`dob` as a UTC Date, `documentExpiry`/`issueDate` as YYYY-MM-DD), the decoded header under `aamva`,
+   * the raw `elements`/`jurisdictionElements` maps and a `warnings` list describing anything that had to be
+   * recovered or could not be read.
+   */
+  function decodeAAMVA(data, { now = new Date() } = {}) {
+    if (!data || typeof data !== 'string') return null;
+
+    const warnings = [];
+    const header = readHeader(data, warnings);
+
+    let elements = {};
+    let jurisdictionElements = {};
+    let subfiles = [];
+
+    if (header) {
+      subfiles = locateSubfiles(data, header, warnings);
+      for (const subfile of subfiles) {
+        if (subfile.type.startsWith('Z')) {
+          jurisdictionElements = { ...parseElements(subfile.text, { jurisdiction: true }), ...jurisdictionElements };
+        } else {
+          elements = { ...parseElements(subfile.text), ...elements };
+        }
+      }
+    } else {
+      warnings.push('missing_header');
+    }
+
+    if (!header || !Object.keys(elements).length) {
+      elements = { ...parseElements(data), ...elements };
+    }
+
+    for (const id of ['DBB', 'DBA']) {
+      if (!elements[id]) {
+        const recovered = recoverDateElement(data, id);
+        if (recovered) {
+          elements[id] = recovered;
+          warnings.push(`element_recovered:${id}`);
+        }
+      }
+    }
+
+    for (const id of ['DAQ', 'DBB']) {
+      if (!elements[id]) warnings.push(`missing_element:${id}`);
+    }
+
+    const iin = header ? header.iin : null;
+    const version = header ? header.version : null;
+    const issuingCountry = resolveCountry(elements, iin);
+    const dateFormat = resolveDateFormat({ version, country: issuingCountry });
+
+    const dob = parseAamvaDate(elements.DBB, dateFormat, 'DBB', warnings);
+    const expiry = parseAamvaDate(elements.DBA, dateFormat, 'DBA', warnings);
+    const issued = parseAamvaDate(elements.DBD, dateFormat, 'DBD', warnings);
+
+    const { firstName, lastName, middleName } = resolveNames(elements);
+
+    return {
+      firstName,
+      lastName,
+      middleName,
+      dob,
+      age: computeAge(dob, now),
+      documentNumber: elements.DAQ || null,
+      documentExpiry: toIsoDate(expiry),
+      issueDate: toIsoDate(issued),
+      sex: normalizeSexCode(elements.DBC),
+      issuingCountry,
+      postalCode: normalizePostalCode(elements.DAK, issuingCountry),
+      address1: elements.DAG || null,
+      address2: elements.DAH || null,
+      // Lightspeed has a suburb field; for US IDs this maps closest to city.
+      suburb: elements.DAI || null,
+      city: elements.DAI || null,
+      state: elements.DAJ || null,
+      aamva: {
+        iin,
+        version,
+        jurisdictionVersion: header ? header.jurisdictionVersion : null,
+        numberOfEntries: header ? header.numberOfEntries : null,
+        subfiles: subfiles.map(({ type, offset, length }) => ({ type, offset, length })),
+        dateFormat
+      },
+      elements,
+      jurisdictionElements,
+      warnings
+    };
+  }
+
+  // ---------------------------------------------------------------------------
+  // MRZ / vendor SDK helpers (browser scan pages; also exposed to Node for the fixture corpus).
+  // ---------------------------------------------------------------------------
+
+  function calculateAge(dobString) {
+    if (!dobString || dobString.length < 8) return null;
+
+    let month;
+    let day;
+    let year;
+
+    if (dobString.length === 8) {
+      const monthCandidate = parseInt(dobString.substring(0, 2), 10);
+      if (monthCandidate > 12) {
+        year = parseInt(dobString.substring(0, 4), 10);
+        month = parseInt(dobString.substring(4, 6), 10);
+        day = parseInt(dobString.substring(6, 8), 10);
+      } else {
+        month = monthCandidate;
+        day = parseInt(dobString.substring(2, 4), 10);
+        year = parseInt(dobString.substring(4, 8), 10);
+      }
+    } else if (dobString.includes('-')) {
+      const parts = dobString.split('-');
+      year = parseInt(parts[0], 10);
+      month = parseInt(parts[1], 10);
+      day = parseInt(parts[2], 10);
+    } else {
+      return null;
+    }
+
+    if ([month, day, year].some((value) => Number.isNaN(value))) return null;
+
+    const dob = new Date(year, month - 1, day);
+    if (Number.isNaN(dob.getTime())) return null;
+
+    const today = new Date();
+    let age = today.getFullYear() - dob.getFullYear();
+    const monthDiff = today.getMonth() - dob.getMonth();
+
+    if (monthDiff < 0 || (monthDiff === 0 && today.getDate() < dob.getDate())) {
+      age -= 1;
+    }
+
+    return {
+      age,
+      formatted: `${String(month).padStart(2, '0')}/${String(day).padStart(2, '0')}/${year}`,
+      iso: `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`
+    };
+  }
+
+  function normalizeDateString(value) {
+    if (!value) return '';
+    const trimmed = String(value).trim();
+    const isoMatch = trimmed.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    if (isoMatch) {
+      return `${isoMatch[1]}-${isoMatch[2]}-${isoMatch[3]}`;
+    }
+
+    const digits = trimmed.replace(/[^\d]/g, '');
+    if (digits.length === 8) {
+      const year = digits.substring(0, 4);
+      const month = digits.substring(4, 6);
+      const day = digits.substring(6, 8);
+      const monthNum = Number(month);
+      const dayNum = Number(day);
+      if (monthNum >= 1 && monthNum <= 12 && dayNum >= 1 && dayNum <= 31) {
+        return `${year}-${month}-${day}`;
+      }
+    }
+
+    return '';
+  }
+
+  function normalizeMrzSex(value) {
+    if (!value) return '';
+    const trimmed = String(value).trim().toUpperCase();
+    if (trimmed === 'M' || trimmed.startsWith('MALE')) return 'M';
+    if (trimmed === 'F' || trimmed.startsWith('FEMALE')) return 'F';
+    if (trimmed === 'X' || trimmed.startsWith('NON')) return 'X';
+    return '';
+  }
+
+  function parseLicenseData(parsedInfo) {
+    const data = {
+      firstName: '',
+      lastName: '',
+      middleName: '',
+      dob: '',
+      licenseNumber: '',
+      documentType: 'drivers_license',
+      issuingCountry: '',
+      documentExpiry: '',
+      nationality: '',
+      sex: ''
+    };
+
+    function extractFields(fields) {
+      for (const field of fields) {
+        if (Array.isArray(field)) {
+          extractFields(field);
+        } else {
+          if (!field) continue;
+
+          if (field.ChildFields) extractFields(field.ChildFields);
+          if (!field.FieldName || !field.Value) continue;
+
+          const fieldName = field.FieldName.toLowerCase();
+          const value = field.Value;
+
+          if (
+            fieldName === 'givenname' ||
+            fieldName === 'firstname' ||
+            fieldName === 'given_name' ||
+            fieldName === 'first_name' ||
+            fieldName === 'dcdname' ||
+            fieldName === 'customerfirstname'
+          ) {
+            data.firstName = value;
+          }
+
+          if (
+            fieldName === 'familyname' ||
+            fieldName === 'lastname' ||
+            fieldName === 'family_name' ||
+            fieldName === 'last_name' ||
+            fieldName === 'surname' ||
+            fieldName === 'dcsname' ||
+            fieldName === 'customerfamilyname'
+          ) {
+            data.lastName = value;
+          }
+
+          if (fieldName === 'middlename' || fieldName === 'middle_name' || fieldName === 'ddename') {
+            data.middleName = value;
+          }
+
+          if (
+            fieldName === 'birthdate' ||
+            fieldName === 'dateofbirth' ||
+            fieldName === 'birth_date' ||
+            fieldName === 'date_of_birth' ||
+            fieldName === 'dob' ||
+            fieldName === 'dbbname'
+          ) {
+            data.dob = value;
+          }
+
+          if (
+            fieldName === 'licensenumber' ||
+            fieldName === 'license_number' ||
+            fieldName === 'dlnumber' ||
+            fieldName === 'daqname' ||
+            fieldName === 'customernumber' ||
+            fieldName === 'documentnumber'
+          ) {
+            data.licenseNumber = value;
+          }
+
+          if (
+            fieldName === 'issuingcountry' ||
+            fieldName === 'issuing_country' ||
+            fieldName === 'issuingjurisdiction' ||
+            fieldName === 'country' ||
+            fieldName === 'jurisdiction'
+          ) {
+            data.issuingCountry = value;
+          }
+
+          if (
+            fieldName === 'expirationdate' ||
+            fieldName === 'expirydate' ||
+            fieldName === 'documentexpirationdate' ||
+            fieldName === 'expiry' ||
+            fieldName === 'dba'
+          ) {
+            data.documentExpiry = value;
+          }
+
+          if (fieldName === 'nationality' || fieldName === 'citizenship') {
+            data.nationality = value;
+          }
+
+          if (fieldName === 'sex' || fieldName === 'gender' || fieldName === 'dbc' || fieldName === 'dbcname') {
+            data.sex = value;
+          }
+        }
+      }
+    }
+
+    if (parsedInfo.ResultInfo) {
+      extractFields(parsedInfo.ResultInfo);
+    }
+
+    if (!data.documentNumber && data.licenseNumber) {
+      data.documentNumber = data.licenseNumber;
+    }
+
+    data.documentNumber = data.documentNumber ? String(data.documentNumber).trim().replace(/\s+/g, '').toUpperCase() : '';
+    if (!data.documentNumber && data.licenseNumber) {
+      data.documentNumber = String(data.licenseNumber).trim().replace(/\s+/g, '').toUpperCase();
+    }
+    if (data.licenseNumber) {
+      data.licenseNumber = data.documentNumber;
+    }
+
+    data.issuingCountry = data.issuingCountry ? String(data.issuingCountry).trim().toUpperCase() : '';
+    data.nationality = data.nationality ? String(data.nationality).trim().toUpperCase() : '';
+    if (!data.nationality && data.issuingCountry) {
+      data.nationality = data.issuingCountry;
+    }
+
+    data.documentExpiry = normalizeDateString(data.documentExpiry);
+    data.sex = normalizeMrzSex(data.sex);
+
+    return data;
+  }
+
+  // Birth dates are never in the future; expiry dates can be up to 50 years out. Uses the UTC year so the
+  // browser and the server agree regardless of the register's timezone.
+  function expandTwoDigitYear(twoDigit, { now = new Date(), future = false } = {}) {
+    const value = parseInt(twoDigit, 10);
+    if (Number.isNaN(value)) return null;
+    const current = now.getUTCFullYear() % 100;
+    const pivot = future ? (current + 50) % 100 : current;
+    const century = value > pivot ? 1900 : 2000;
+    return century + value;
+  }
+
+  function parseMrzDate(raw, options) {
+    if (!raw || raw.length < 6) return null;
+    const year = expandTwoDigitYear(raw.substring(0, 2), options);
+    const month = parseInt(raw.substring(2, 4), 10);
+    const day = parseInt(raw.substring(4, 6), 10);
+    if (!year || Number.isNaN(month) || Number.isNaN(day) || month < 1 || month > 12 || day < 1 || day > 31) {
+      return null;
+    }
+    return {
+      iso: `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`,
+      formatted: `${String(month).padStart(2, '0')}/${String(day).padStart(2, '0')}/${year}`
+    };
+  }
+
+  function extractMrzNames(raw = '') {
+    const [last = '', rest = ''] = raw.split('<<');
+    const givenParts = rest.split('<').filter(Boolean);
+    const firstName = givenParts.shift() || '';
+    const middleName = givenParts.join(' ').trim();
+    return {
+      lastName: last.replace(/<+/g, ' ').trim(),
+      firstName: firstName.replace(/<+/g, ' ').trim(),
+      middleName: middleName.replace(/<+/g, ' ').trim()
+    };
+  }
+
+  function sanitizeMrzLines(lines = []) {
+    const list = typeof lines === 'string' ? lines.split(/[\r\n]+/) : lines;
+    return list
+      .map((line) => String(line || '').replace(/\s+/g, '').toUpperCase().replace(/[^A-Z0-9<]/g, ''))
+      .filter((line) => line.length >= 30);
+  }
+
+  // ICAO 9303 part 3 check digit: weights 7-3-1 over digits (face value), letters (A=10..Z=35) and filler (<=0).
+  function computeMrzCheckDigit(value) {
+    const weights = [7, 3, 1];
+    let sum = 0;
+    for (let i = 0; i < value.length; i += 1) {
+      const char = value.charAt(i);
+      let code = 0;
+      if (char >= '0' && char <= '9') code = char.charCodeAt(0) - 48;
+      else if (char >= 'A' && char <= 'Z') code = char.charCodeAt(0) - 55;
+      sum += code * weights[i % 3];
+    }
+    return sum % 10;
+  }
+
+  function verifyMrzCheckDigit(value, checkChar, { optional = false } = {}) {
+    // Optional fields (personal number / optional data) may leave both the field and its check digit as filler.
+    if (optional && checkChar === '<' && /^<*$/.test(value)) return true;
+    if (!/^[0-9<]$/.test(checkChar)) return false;
+    const expected = checkChar === '<' ? 0 : Number(checkChar);
+    return computeMrzCheckDigit(value) === expected;
+  }
+
+  function summarizeChecks(checks) {
+    const failedChecks = Object.keys(checks).filter((key) => checks[key] === false);
+    return { checks, failedChecks, checkDigitsValid: failedChecks.length === 0 };
+  }
+
+  function resolveMrzDocumentType(code, fallback) {
+    const first = code.charAt(0);
+    if (first === 'P') return 'passport';
+    if (first === 'V') return 'visa';
+    return fallback;
+  }
+
+  function parseTd3(lines, now) {
+    const [line1, line2] = lines.map((line) => line.padEnd(44, '<').substring(0, 44));
+    const documentCode = line1.substring(0, 2);
+    const isVisa = documentCode.charAt(0) === 'V';
+    const names = extractMrzNames(line1.substring(5));
+    const docNum = line2.substring(0, 9).replace(/<+/g, '').trim();
+    const nationality = line2.substring(10, 13).replace(/<+/g, '').trim();
+    const issuingCountry = line1.substring(2, 5).replace(/<+/g, '').trim();
+    const birth = parseMrzDate(line2.substring(13, 19), { now });
+    const expiry = parseMrzDate(line2.substring(21, 27), { now, future: true });
+    const sex = line2.substring(20, 21).replace('<', '') || 'U';
+
+    // MRV-A visas carry no personal-number or composite check digits.
+    const checks = {
+      documentNumber: verifyMrzCheckDigit(line2.substring(0, 9), line2.charAt(9)),
+      dob: verifyMrzCheckDigit(line2.substring(13, 19), line2.charAt(19)),
+      expiry: verifyMrzCheckDigit(line2.substring(21, 27), line2.charAt(27))
+    };
+    if (!isVisa) {
+      checks.optionalData = verifyMrzCheckDigit(line2.substring(28, 42), line2.charAt(42), { optional: true });
+      checks.composite = verifyMrzCheckDigit(
+        line2.substring(0, 10) + line2.substring(13, 20) + line2.substring(21, 43),
+        line2.charAt(43)
+      );
+    }
+
+    return {
+      documentType: resolveMrzDocumentType(documentCode, 'passport'),
+      documentNumber: docNum ? docNum.toUpperCase() : '',
+      issuingCountry,
+      nationality,
+      dob: birth?.iso || null,
+      dobFormatted: birth?.formatted || null,
+      documentExpiry: expiry?.iso || null,
+      sex: normalizeMrzSex(sex),
+      ...names,
+      source: 'mrz',
+      mrzFormat: 'TD3',
+      ...summarizeChecks(checks)
+    };
+  }
+
+  function parseTd2(lines, now) {
+    const [line1, line2] = lines.map((line) => line.padEnd(36, '<').substring(0, 36));
+    const documentCode = line1.substring(0, 2);
+    const isVisa = documentCode.charAt(0) === 'V';
+    const names = extractMrzNames(line1.substring(5));
+    const docNum = line2.substring(0, 9).replace(/<+/g, '').trim();
+    const nationality = line2.substring(10, 13).replace(/<+/g, '').trim();
+    const issuingCountry = line1.substring(2, 5).replace(/<+/g, '').trim();
+    const birth = parseMrzDate(line2.substring(13, 19), { now });
+    const expiry = parseMrzDate(line2.substring(21, 27), { now, future: true });
+    const sex = line2.substring(20, 21).replace('<', '') || 'U';
+
+    // MRV-B visas have no composite check digit.
+    const checks = {
+      documentNumber: verifyMrzCheckDigit(line2.substring(0, 9), line2.charAt(9)),
+      dob: verifyMrzCheckDigit(line2.substring(13, 19), line2.charAt(19)),
+      expiry: verifyMrzCheckDigit(line2.substring(21, 27), line2.charAt(27))
+    };
+    if (!isVisa) {
+      checks.composite = verifyMrzCheckDigit(
+        line2.substring(0, 10) + line2.substring(13, 20) + line2.substring(21, 35),
+        line2.charAt(35)
+      );
+    }
+
+    return {
+      documentType: resolveMrzDocumentType(documentCode, 'mrz_id'),
+      documentNumber: docNum ? docNum.toUpperCase() : '',
+      issuingCountry,
+      nationality,
+      dob: birth?.iso || null,
+      dobFormatted: birth?.formatted || null,
+      documentExpiry: expiry?.iso || null,
+      sex: normalizeMrzSex(sex),
+      ...names,
+      source: 'mrz',
+      mrzFormat: 'TD2',
+      ...summarizeChecks(checks)
+    };
+  }
+
+  function parseTd1(lines, now) {
+    const [line1, line2, line3] = lines.map((line) => line.padEnd(30, '<').substring(0, 30));
+    const issuingCountry = line1.substring(2, 5).replace(/<+/g, '').trim();
+
+    // Document numbers longer than 9 characters overflow into the optional data field: the check digit position
+    // holds '<' and the real check digit is the last character of the overflow.
+    let docNumField = line1.substring(5, 14);
+    let docNumCheck = line1.charAt(14);
+    if (docNumCheck === '<') {
+      const overflow = (line1.substring(15, 30).match(/^[A-Z0-9]+/) || [''])[0];
+      if (overflow.length > 1) {
+        docNumField += overflow.slice(0, -1);
+        docNumCheck = overflow.slice(-1);
+      }
+    }
+    const docNum = docNumField.replace(/<+/g, '').trim();
+
+    const names = extractMrzNames(line3);
+    const birth = parseMrzDate(line2.substring(0, 6), { now });
+    const expiry = parseMrzDate(line2.substring(8, 14), { now, future: true });
+    const nationality = line2.substring(15, 18).replace(/<+/g, '').trim();
+    const sex = line2.substring(7, 8).replace('<', '') || 'U';
+
+    const checks = {
+      documentNumber: verifyMrzCheckDigit(docNumField, docNumCheck),
+      dob: verifyMrzCheckDigit(line2.substring(0, 6), line2.charAt(6)),
+      expiry: verifyMrzCheckDigit(line2.substring(8, 14), line2.charAt(14)),
+      composite: verifyMrzCheckDigit(
+        line1.substring(5, 30) + line2.substring(0, 7) + line2.substring(8, 15) + line2.substring(18, 29),
+        line2.charAt(29)
+      )
+    };
+
+    return {
+      documentType: 'mrz_id',
+      documentNumber: docNum ? docNum.toUpperCase() : '',
+      issuingCountry,
+      nationality,
+      dob: birth?.iso || null,
+      dobFormatted: birth?.formatted || null,
+      documentExpiry: expiry?.iso || null,
+      sex: normalizeMrzSex(sex),
+      ...names,
+      source: 'mrz',
+      mrzFormat: 'TD1',
+      ...summarizeChecks(checks)
+    };
+  }
+
+  // Accepts the MRZ as an array of OCR lines or a single newline-separated string. Format is chosen by line count
+  // and length (TD3 44, TD2 36, TD1 3x30) with some slack for OCR dropping trailing filler.
+  function parseMrz(lines = [], { now = new Date() } = {}) {
+    const sanitized = sanitizeMrzLines(lines);
+    if (!sanitized.length) return null;
+
+    if (sanitized.length === 2 && sanitized[0].length >= 40 && sanitized[1].length >= 40) {
+      return parseTd3(sanitized, now);
+    }
+
+    if (sanitized.length === 2 && sanitized[0].length >= 34 && sanitized[1].length >= 34) {
+      return parseTd2(sanitized, now);
+    }
+
+    if (sanitized.length >= 3 && sanitized[0].length >= 30 && sanitized[1].length >= 30) {
+      return parseTd1(sanitized.slice(0, 3), now);
+    }
+
+    return null;
+  }
+
+  return {
+    decodeAAMVA,
+    resolveDateFormat,
+    computeAge,
+    calculateAge,
+    parseLicenseData,
+    parseMrz,
+    computeMrzCheckDigit
+  };
+});